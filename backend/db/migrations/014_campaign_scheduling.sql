@@ -0,0 +1,14 @@
+-- Migration 014: Campaign Scheduling
+-- Purpose: Allow campaigns to be queued for sending at a future time
+
+-- When the campaign should be sent (UTC ISO timestamp)
+ALTER TABLE campaigns ADD COLUMN scheduled_at TIMESTAMP;
+
+-- Who scheduled the campaign (recorded as sent_by when it goes out)
+ALTER TABLE campaigns ADD COLUMN scheduled_by TEXT;
+
+-- Last reason the scheduler could not send the campaign
+ALTER TABLE campaigns ADD COLUMN schedule_error TEXT;
+
+-- Scheduler polls for due campaigns by status and time
+CREATE INDEX IF NOT EXISTS idx_campaigns_status_scheduled_at ON campaigns(status, scheduled_at);
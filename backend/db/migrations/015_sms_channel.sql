@@ -0,0 +1,5 @@
+-- Migration 015: SMS Channel
+-- Purpose: Track per-contact SMS consent for the SMS campaign channel
+
+-- Contact has opted in to receive SMS (required before SMS campaigns reach them)
+ALTER TABLE contacts ADD COLUMN consent_sms BOOLEAN DEFAULT 0;
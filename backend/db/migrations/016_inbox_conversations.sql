@@ -0,0 +1,50 @@
+-- Migration 016: Shared Inbox Conversations
+-- Tables: conversations, conversation_messages
+-- Purpose: Store inbound WhatsApp messages and agent replies as threads per contact
+
+-- One thread per contact and channel
+CREATE TABLE IF NOT EXISTS conversations (
+  id TEXT PRIMARY KEY,
+  tenant_id TEXT NOT NULL,
+  contact_id TEXT NOT NULL,
+  channel TEXT NOT NULL DEFAULT 'whatsapp',
+  status TEXT NOT NULL DEFAULT 'open',       -- 'open', 'closed'
+  assigned_user_id TEXT,                     -- Team member from user_tenants
+  last_inbound_at TIMESTAMP,                 -- Starts the 24h customer-service window
+  last_message_at TIMESTAMP,
+  last_message_preview TEXT,
+  unread_count INTEGER DEFAULT 0,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  FOREIGN KEY (tenant_id) REFERENCES tenants(id) ON DELETE CASCADE,
+  FOREIGN KEY (contact_id) REFERENCES contacts(id),
+  FOREIGN KEY (assigned_user_id) REFERENCES users(id) ON DELETE SET NULL,
+  UNIQUE(tenant_id, contact_id, channel),
+  CHECK (status IN ('open', 'closed'))
+);
+
+-- Inbound customer messages and outbound agent replies
+CREATE TABLE IF NOT EXISTS conversation_messages (
+  id TEXT PRIMARY KEY,
+  conversation_id TEXT NOT NULL,
+  tenant_id TEXT NOT NULL,
+  direction TEXT NOT NULL,                   -- 'inbound', 'outbound'
+  message_type TEXT NOT NULL DEFAULT 'text', -- 'text', 'template', 'image', 'button', ...
+  body TEXT,
+  template_id TEXT,
+  provider_message_id TEXT UNIQUE,           -- wamid from Meta
+  status TEXT NOT NULL DEFAULT 'received',   -- inbound: 'received', outbound: 'sent'|'delivered'|'read'|'failed'
+  status_reason TEXT,
+  sent_by_user_id TEXT,
+  payload TEXT,                              -- Raw provider message (JSON)
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  FOREIGN KEY (conversation_id) REFERENCES conversations(id) ON DELETE CASCADE,
+  FOREIGN KEY (tenant_id) REFERENCES tenants(id) ON DELETE CASCADE,
+  FOREIGN KEY (sent_by_user_id) REFERENCES users(id) ON DELETE SET NULL,
+  CHECK (direction IN ('inbound', 'outbound'))
+);
+
+CREATE INDEX IF NOT EXISTS idx_conversations_tenant_last_message ON conversations(tenant_id, last_message_at);
+CREATE INDEX IF NOT EXISTS idx_conversations_assigned_user ON conversations(tenant_id, assigned_user_id);
+CREATE INDEX IF NOT EXISTS idx_conversation_messages_conversation ON conversation_messages(conversation_id, created_at);
@@ -0,0 +1,5 @@
+-- Migration 017: Opt-out Keywords
+-- Purpose: Let tenants add localized opt-out keywords on top of the built-in STOP/UNSUBSCRIBE set
+
+-- JSON array of extra keywords, e.g. ["PARAR", "BAJA", "ARRET"]
+ALTER TABLE tenants ADD COLUMN opt_out_keywords TEXT;
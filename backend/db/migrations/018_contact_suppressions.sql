@@ -0,0 +1,20 @@
+-- Migration 018: Contact Suppressions
+-- Tables: contact_suppressions
+-- Purpose: Stop sending to addresses that hard-bounced or complained, independent of consent
+
+-- A suppression applies while the contact still has the suppressed address
+CREATE TABLE IF NOT EXISTS contact_suppressions (
+  id TEXT PRIMARY KEY,
+  tenant_id TEXT NOT NULL,
+  contact_id TEXT NOT NULL,
+  channel TEXT NOT NULL,                     -- 'whatsapp', 'email', 'sms'
+  address TEXT NOT NULL,                     -- Lowercased email or phone at the time of suppression
+  reason TEXT NOT NULL,                      -- 'hard_bounce', 'complaint'
+  source TEXT,                               -- Provider event that triggered it, e.g. 'ses'
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  FOREIGN KEY (tenant_id) REFERENCES tenants(id) ON DELETE CASCADE,
+  FOREIGN KEY (contact_id) REFERENCES contacts(id) ON DELETE CASCADE,
+  UNIQUE(contact_id, channel, address)
+);
+
+CREATE INDEX IF NOT EXISTS idx_contact_suppressions_tenant ON contact_suppressions(tenant_id, channel);
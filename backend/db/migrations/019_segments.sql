@@ -0,0 +1,27 @@
+-- Migration 019: Saved Segments
+-- Tables: segments, campaigns (segment_id), contacts (custom_attributes)
+-- Purpose: Reusable audience definitions with AND/OR/NOT groups that campaigns can reference
+
+-- definition is a JSON group: { match: 'all'|'any', negate, conditions: [...] }
+-- Segments used by sent campaigns are soft-deleted so past audiences stay explainable
+CREATE TABLE IF NOT EXISTS segments (
+  id TEXT PRIMARY KEY,
+  tenant_id TEXT NOT NULL,
+  name TEXT NOT NULL,
+  description TEXT,
+  definition TEXT NOT NULL,
+  created_by TEXT,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  deleted_at TIMESTAMP,
+  FOREIGN KEY (tenant_id) REFERENCES tenants(id) ON DELETE CASCADE,
+  FOREIGN KEY (created_by) REFERENCES users(id) ON DELETE SET NULL
+);
+
+CREATE INDEX IF NOT EXISTS idx_segments_tenant ON segments(tenant_id, deleted_at);
+
+-- When set, the segment decides the audience and audience_filters is ignored
+ALTER TABLE campaigns ADD COLUMN segment_id TEXT REFERENCES segments(id);
+
+-- Free-form JSON object of per-contact values that segments can filter on
+ALTER TABLE contacts ADD COLUMN custom_attributes TEXT;
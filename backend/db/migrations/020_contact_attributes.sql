@@ -0,0 +1,22 @@
+-- Migration 020: Custom Contact Attributes
+-- Tables: contact_attribute_definitions
+-- Purpose: Tenant-defined typed fields whose values live in contacts.custom_attributes
+
+-- options holds the JSON array of allowed values for enum attributes
+-- key and type are fixed after creation so stored values never change meaning
+CREATE TABLE IF NOT EXISTS contact_attribute_definitions (
+  id TEXT PRIMARY KEY,
+  tenant_id TEXT NOT NULL,
+  key TEXT NOT NULL,
+  label TEXT NOT NULL,
+  type TEXT NOT NULL CHECK (type IN ('string', 'number', 'date', 'boolean', 'enum')),
+  options TEXT,
+  created_by TEXT,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  FOREIGN KEY (tenant_id) REFERENCES tenants(id) ON DELETE CASCADE,
+  FOREIGN KEY (created_by) REFERENCES users(id) ON DELETE SET NULL,
+  UNIQUE (tenant_id, key)
+);
+
+CREATE INDEX IF NOT EXISTS idx_contact_attribute_definitions_tenant ON contact_attribute_definitions(tenant_id);
@@ -0,0 +1,46 @@
+-- Migration 021: Contact Import Jobs
+-- Tables: contact_import_jobs, contact_import_job_errors
+-- Purpose: Server-side CSV/XLSX imports processed in the background with progress and a rejected-rows report
+
+-- status moves mapping -> queued -> processing -> completed | failed
+-- column_mapping is a JSON object of file column -> contact field (name, phone, email, tags, consent_sms, attr.<key>)
+CREATE TABLE IF NOT EXISTS contact_import_jobs (
+  id TEXT PRIMARY KEY,
+  tenant_id TEXT NOT NULL,
+  created_by TEXT,
+  status TEXT NOT NULL DEFAULT 'mapping' CHECK (status IN ('mapping', 'queued', 'processing', 'completed', 'failed')),
+  file_name TEXT NOT NULL,
+  file_type TEXT NOT NULL CHECK (file_type IN ('csv', 'xlsx')),
+  file_path TEXT,
+  columns TEXT NOT NULL,
+  column_mapping TEXT,
+  duplicate_strategy TEXT CHECK (duplicate_strategy IN ('skip', 'update', 'merge')),
+  total_rows INTEGER,
+  processed_rows INTEGER NOT NULL DEFAULT 0,
+  created_rows INTEGER NOT NULL DEFAULT 0,
+  updated_rows INTEGER NOT NULL DEFAULT 0,
+  skipped_rows INTEGER NOT NULL DEFAULT 0,
+  failed_rows INTEGER NOT NULL DEFAULT 0,
+  error_message TEXT,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  started_at TIMESTAMP,
+  completed_at TIMESTAMP,
+  FOREIGN KEY (tenant_id) REFERENCES tenants(id) ON DELETE CASCADE,
+  FOREIGN KEY (created_by) REFERENCES users(id) ON DELETE SET NULL
+);
+
+CREATE INDEX IF NOT EXISTS idx_contact_import_jobs_tenant ON contact_import_jobs(tenant_id, created_at);
+
+-- raw_data keeps the original cells so the error report can be fixed and re-uploaded
+CREATE TABLE IF NOT EXISTS contact_import_job_errors (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  job_id TEXT NOT NULL,
+  row_number INTEGER NOT NULL,
+  field TEXT,
+  message TEXT NOT NULL,
+  raw_data TEXT,
+  FOREIGN KEY (job_id) REFERENCES contact_import_jobs(id) ON DELETE CASCADE
+);
+
+CREATE INDEX IF NOT EXISTS idx_contact_import_job_errors_job ON contact_import_job_errors(job_id, row_number);
@@ -0,0 +1,42 @@
+-- Migration 022: Campaign A/B Tests
+-- Tables: campaign_variants
+-- Purpose: Send 2-4 content variants to a test slice of the audience, pick a winner by read/open rate and send it to the rest
+
+-- Variant content uses the same shapes as campaigns.template_id / campaigns.message_content
+CREATE TABLE IF NOT EXISTS campaign_variants (
+  id TEXT PRIMARY KEY,
+  campaign_id TEXT NOT NULL,
+  tenant_id TEXT NOT NULL,
+  label TEXT NOT NULL,
+  position INTEGER NOT NULL,
+  template_id TEXT,
+  message_content TEXT,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  FOREIGN KEY (campaign_id) REFERENCES campaigns(id) ON DELETE CASCADE,
+  FOREIGN KEY (tenant_id) REFERENCES tenants(id) ON DELETE CASCADE,
+  UNIQUE(campaign_id, label)
+);
+
+CREATE INDEX IF NOT EXISTS idx_campaign_variants_campaign ON campaign_variants(campaign_id, position);
+
+-- Share of the audience (1-100) split evenly across variants. The rest gets the winner.
+ALTER TABLE campaigns ADD COLUMN ab_test_percentage INTEGER;
+
+-- How long to wait after the test slice is queued before picking the winner
+ALTER TABLE campaigns ADD COLUMN ab_wait_minutes INTEGER;
+
+-- 'testing' while waiting for the winner, 'completed' once the winner has been picked
+ALTER TABLE campaigns ADD COLUMN ab_status TEXT;
+
+ALTER TABLE campaigns ADD COLUMN ab_winner_due_at TIMESTAMP;
+ALTER TABLE campaigns ADD COLUMN ab_winner_variant_id TEXT;
+ALTER TABLE campaigns ADD COLUMN ab_winner_selected_at TIMESTAMP;
+
+-- Variant each message was sent with (NULL for campaigns without an A/B test)
+ALTER TABLE messages ADD COLUMN variant_id TEXT;
+
+CREATE INDEX IF NOT EXISTS idx_messages_campaign_variant ON messages(campaign_id, variant_id);
+
+-- Scheduler polls for tests whose winner is due
+CREATE INDEX IF NOT EXISTS idx_campaigns_ab_status_due ON campaigns(ab_status, ab_winner_due_at);
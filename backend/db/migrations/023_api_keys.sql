@@ -0,0 +1,61 @@
+-- Migration 023: Tenant API Keys
+-- Tables: api_keys, audit_logs (rebuilt)
+-- Purpose: Hashed, scoped API keys for the public REST API, with per-request metering and audit
+
+-- Only the SHA-256 hash of a key is stored. key_prefix is shown in Settings to tell keys apart.
+CREATE TABLE IF NOT EXISTS api_keys (
+  id TEXT PRIMARY KEY,
+  tenant_id TEXT NOT NULL,
+  name TEXT NOT NULL,
+  key_prefix TEXT NOT NULL,
+  key_hash TEXT NOT NULL UNIQUE,
+  scopes TEXT NOT NULL,
+  created_by TEXT,
+  last_used_at TIMESTAMP,
+  rotated_at TIMESTAMP,
+  revoked_at TIMESTAMP,
+  revoked_by TEXT,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  FOREIGN KEY (tenant_id) REFERENCES tenants(id) ON DELETE CASCADE,
+  FOREIGN KEY (created_by) REFERENCES users(id) ON DELETE SET NULL,
+  FOREIGN KEY (revoked_by) REFERENCES users(id) ON DELETE SET NULL
+);
+
+CREATE INDEX IF NOT EXISTS idx_api_keys_tenant ON api_keys(tenant_id, revoked_at);
+
+-- Authenticated API requests this month, metered against plans.api_tokens_per_month
+ALTER TABLE usage_counters ADD COLUMN api_requests INTEGER DEFAULT 0;
+
+-- ===== AUDIT LOGS TABLE MIGRATION =====
+-- API requests are audited with the key as actor: allow actor_type 'api_key' and
+-- record the key in actor_api_key_id (actor_user_id only references users)
+-- Strategy: Create new table with correct schema, copy data, rename
+
+CREATE TABLE audit_logs_new (
+  id TEXT PRIMARY KEY,
+  actor_user_id TEXT,
+  actor_type TEXT NOT NULL CHECK (actor_type IN ('platform_user', 'tenant_user', 'system', 'api_key')),
+  actor_api_key_id TEXT,
+  tenant_id TEXT, -- Nullable for platform-only actions
+  action TEXT NOT NULL,
+  target_type TEXT,
+  target_id TEXT,
+  metadata TEXT, -- JSON: action-specific data (no secrets)
+  ip_address TEXT,
+  created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+  FOREIGN KEY (actor_user_id) REFERENCES users(id) ON DELETE SET NULL,
+  FOREIGN KEY (tenant_id) REFERENCES tenants(id) ON DELETE CASCADE
+);
+
+INSERT INTO audit_logs_new (id, actor_user_id, actor_type, tenant_id, action, target_type, target_id, metadata, ip_address, created_at)
+SELECT id, actor_user_id, actor_type, tenant_id, action, target_type, target_id, metadata, ip_address, created_at FROM audit_logs;
+
+DROP TABLE audit_logs;
+ALTER TABLE audit_logs_new RENAME TO audit_logs;
+
+CREATE INDEX IF NOT EXISTS idx_audit_logs_tenant ON audit_logs(tenant_id, created_at DESC);
+CREATE INDEX IF NOT EXISTS idx_audit_logs_actor ON audit_logs(actor_user_id, created_at DESC);
+CREATE INDEX IF NOT EXISTS idx_audit_logs_action ON audit_logs(action, created_at DESC);
+CREATE INDEX IF NOT EXISTS idx_audit_logs_created ON audit_logs(created_at DESC);
+CREATE INDEX IF NOT EXISTS idx_audit_logs_api_key ON audit_logs(actor_api_key_id, created_at DESC);
@@ -0,0 +1,55 @@
+-- Migration 024: Outbound Webhooks
+-- Tables: webhook_endpoints, webhook_deliveries
+-- Purpose: Tenant-configured HTTPS endpoints notified of message, contact and campaign events, with signed payloads, retries and a delivery log
+
+-- events is a JSON array of subscribed event types. secret_encrypted signs payloads (HMAC-SHA256).
+-- consecutive_failures counts failed attempts since the last success. The endpoint is disabled when it reaches the limit.
+CREATE TABLE IF NOT EXISTS webhook_endpoints (
+  id TEXT PRIMARY KEY,
+  tenant_id TEXT NOT NULL,
+  url TEXT NOT NULL,
+  description TEXT,
+  events TEXT NOT NULL,
+  secret_encrypted TEXT NOT NULL,
+  is_active INTEGER DEFAULT 1,
+  consecutive_failures INTEGER DEFAULT 0,
+  disabled_at TIMESTAMP,
+  disabled_reason TEXT,
+  last_success_at TIMESTAMP,
+  last_failure_at TIMESTAMP,
+  created_by TEXT,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  FOREIGN KEY (tenant_id) REFERENCES tenants(id) ON DELETE CASCADE,
+  FOREIGN KEY (created_by) REFERENCES users(id) ON DELETE SET NULL
+);
+
+CREATE INDEX IF NOT EXISTS idx_webhook_endpoints_tenant ON webhook_endpoints(tenant_id, is_active);
+
+-- One row per event per endpoint. status: pending, succeeded, failed (retries exhausted or endpoint disabled).
+-- event_id is shared by the deliveries of one event and sent as X-EngageNinja-Event-Id for idempotency.
+CREATE TABLE IF NOT EXISTS webhook_deliveries (
+  id TEXT PRIMARY KEY,
+  tenant_id TEXT NOT NULL,
+  endpoint_id TEXT NOT NULL,
+  event_id TEXT NOT NULL,
+  event_type TEXT NOT NULL,
+  payload TEXT NOT NULL,
+  status TEXT NOT NULL DEFAULT 'pending',
+  attempts INTEGER DEFAULT 0,
+  next_attempt_at TIMESTAMP,
+  last_attempt_at TIMESTAMP,
+  response_status INTEGER,
+  response_body TEXT,
+  error TEXT,
+  duration_ms INTEGER,
+  delivered_at TIMESTAMP,
+  replay_of TEXT,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  FOREIGN KEY (tenant_id) REFERENCES tenants(id) ON DELETE CASCADE,
+  FOREIGN KEY (endpoint_id) REFERENCES webhook_endpoints(id) ON DELETE CASCADE
+);
+
+CREATE INDEX IF NOT EXISTS idx_webhook_deliveries_due ON webhook_deliveries(status, next_attempt_at);
+CREATE INDEX IF NOT EXISTS idx_webhook_deliveries_endpoint ON webhook_deliveries(endpoint_id, created_at DESC);
@@ -0,0 +1,37 @@
+-- Migration 025: Durable Job Queue
+-- Tables: jobs, rate_limit_windows
+-- Purpose: SQLite-backed jobs with leases and priority lanes (replaces the in-memory message poller), and rate limits shared by every worker process
+
+-- status: queued, leased, completed, failed
+-- A leased job belongs to lease_owner (hostname:pid) until lease_expires_at (visibility timeout). Expired leases go back to the queue.
+-- lane: transactional jobs are leased before bulk jobs.
+-- dedupe_key: at most one queued or leased job per key (e.g. the message ID).
+CREATE TABLE IF NOT EXISTS jobs (
+  id TEXT PRIMARY KEY,
+  queue TEXT NOT NULL,
+  lane TEXT NOT NULL DEFAULT 'bulk' CHECK (lane IN ('transactional', 'bulk')),
+  payload TEXT NOT NULL,
+  tenant_id TEXT,
+  dedupe_key TEXT,
+  status TEXT NOT NULL DEFAULT 'queued' CHECK (status IN ('queued', 'leased', 'completed', 'failed')),
+  attempts INTEGER DEFAULT 0,
+  max_attempts INTEGER DEFAULT 5,
+  run_at TIMESTAMP NOT NULL,
+  lease_owner TEXT,
+  lease_expires_at TIMESTAMP,
+  last_error TEXT,
+  completed_at TIMESTAMP,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_jobs_ready ON jobs(queue, status, lane, run_at);
+CREATE INDEX IF NOT EXISTS idx_jobs_lease ON jobs(status, lease_expires_at);
+CREATE UNIQUE INDEX IF NOT EXISTS idx_jobs_dedupe_active ON jobs(dedupe_key) WHERE status IN ('queued', 'leased');
+
+-- Fixed-window counters (e.g. send:whatsapp per second) shared across worker processes
+CREATE TABLE IF NOT EXISTS rate_limit_windows (
+  key TEXT PRIMARY KEY,
+  window_start INTEGER NOT NULL,
+  count INTEGER NOT NULL DEFAULT 0
+);
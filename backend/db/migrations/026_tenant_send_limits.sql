@@ -0,0 +1,25 @@
+-- Migration 026: Per-Tenant Send Limits
+-- Tables: tenant_channel_settings, rate_limit_buckets, rate_limit_windows, messages, jobs
+-- Purpose: Throttle each tenant by its own WhatsApp messaging tier and email provider quota (token buckets) instead of global per-channel windows
+
+-- messaging_tier: Meta's 24h business-initiated limit (TIER_250, TIER_1K, TIER_10K, TIER_100K, TIER_UNLIMITED)
+-- send_rate_per_second: provider throughput (WhatsApp 80 or 1000, SES MaxSendRate, ...). NULL uses the channel default.
+-- daily_send_limit: provider 24h quota (SES Max24HourSend, ...). NULL derives it from messaging_tier or leaves it unlimited.
+ALTER TABLE tenant_channel_settings ADD COLUMN messaging_tier TEXT;
+ALTER TABLE tenant_channel_settings ADD COLUMN send_rate_per_second INTEGER;
+ALTER TABLE tenant_channel_settings ADD COLUMN daily_send_limit INTEGER;
+ALTER TABLE tenant_channel_settings ADD COLUMN send_limits_synced_at TIMESTAMP;
+
+-- Token buckets shared by every worker process (key e.g. send:<tenant>:whatsapp)
+CREATE TABLE IF NOT EXISTS rate_limit_buckets (
+  key TEXT PRIMARY KEY,
+  tokens REAL NOT NULL,
+  updated_at_ms INTEGER NOT NULL
+);
+
+-- Fixed windows were global per channel and are replaced by the buckets above
+DROP TABLE IF EXISTS rate_limit_windows;
+
+-- Per-tenant queue depth and throughput for the admin dashboard
+CREATE INDEX IF NOT EXISTS idx_jobs_tenant_status ON jobs(tenant_id, status);
+CREATE INDEX IF NOT EXISTS idx_messages_sent_at ON messages(sent_at);
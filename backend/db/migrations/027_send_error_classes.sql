@@ -0,0 +1,11 @@
+-- Migration 027: Send Error Classes
+-- Tables: messages, tenant_channel_settings
+-- Purpose: Record why a send failed (permanent, rate_limited, transient, auth_failure, template_paused) and when it is retried, and pause a tenant's channel when the provider rejects its credentials
+
+-- error_class: class of the last send error. next_attempt_at: when a queued retry is due (NULL when not waiting on a retry).
+ALTER TABLE messages ADD COLUMN error_class TEXT;
+ALTER TABLE messages ADD COLUMN next_attempt_at TIMESTAMP;
+
+-- Set when the provider rejects the tenant's credentials or account. Sends on the channel wait until it is reconnected.
+ALTER TABLE tenant_channel_settings ADD COLUMN sends_paused_at TIMESTAMP;
+ALTER TABLE tenant_channel_settings ADD COLUMN sends_paused_reason TEXT;
@@ -0,0 +1,9 @@
+-- Migration 028: Campaign Pause and Cancel
+-- Tables: campaigns
+-- Purpose: Let a sending campaign be paused, resumed or cancelled. Paused campaigns keep their queued messages, cancelled ones mark them 'cancelled'.
+
+-- status gains 'paused' (from sending) and 'cancelled' (from sending or paused)
+ALTER TABLE campaigns ADD COLUMN paused_at TIMESTAMP;
+ALTER TABLE campaigns ADD COLUMN paused_by TEXT;
+ALTER TABLE campaigns ADD COLUMN cancelled_at TIMESTAMP;
+ALTER TABLE campaigns ADD COLUMN cancelled_by TEXT;
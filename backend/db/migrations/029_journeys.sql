@@ -0,0 +1,139 @@
+-- Migration 029: Drip Journeys
+-- Tables: journeys, journey_enrollments, journey_step_runs, messages (rebuilt)
+-- Purpose: Multi-step journeys triggered by contact events, with per-contact enrollment state
+
+-- definition is JSON: { trigger: { type, ... }, start: stepId, steps: [{ id, type, ... }] }
+-- trigger_type is copied out of the definition so triggers can find active journeys quickly
+CREATE TABLE IF NOT EXISTS journeys (
+  id TEXT PRIMARY KEY,
+  tenant_id TEXT NOT NULL,
+  name TEXT NOT NULL,
+  description TEXT,
+  status TEXT NOT NULL DEFAULT 'draft' CHECK (status IN ('draft', 'active', 'paused', 'archived')),
+  trigger_type TEXT NOT NULL,
+  definition TEXT NOT NULL,
+  allow_reentry INTEGER NOT NULL DEFAULT 0,
+  created_by TEXT,
+  activated_at TIMESTAMP,
+  archived_at TIMESTAMP,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  FOREIGN KEY (tenant_id) REFERENCES tenants(id) ON DELETE CASCADE,
+  FOREIGN KEY (created_by) REFERENCES users(id) ON DELETE SET NULL
+);
+
+CREATE INDEX IF NOT EXISTS idx_journeys_tenant ON journeys(tenant_id, status);
+CREATE INDEX IF NOT EXISTS idx_journeys_trigger ON journeys(status, trigger_type);
+
+-- One row per contact per pass through a journey. next_run_at is when the scheduler
+-- runs current_step_id (NULL once the enrollment has finished).
+-- trigger_key dedupes date triggers: one enrollment per contact per date.
+CREATE TABLE IF NOT EXISTS journey_enrollments (
+  id TEXT PRIMARY KEY,
+  journey_id TEXT NOT NULL,
+  tenant_id TEXT NOT NULL,
+  contact_id TEXT NOT NULL,
+  status TEXT NOT NULL DEFAULT 'active' CHECK (status IN ('active', 'completed', 'exited', 'failed')),
+  current_step_id TEXT,
+  next_run_at TIMESTAMP,
+  trigger_key TEXT,
+  trigger_data TEXT,
+  last_message_id TEXT,
+  exit_reason TEXT,
+  enrolled_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  completed_at TIMESTAMP,
+  updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  FOREIGN KEY (journey_id) REFERENCES journeys(id) ON DELETE CASCADE,
+  FOREIGN KEY (tenant_id) REFERENCES tenants(id) ON DELETE CASCADE,
+  FOREIGN KEY (contact_id) REFERENCES contacts(id) ON DELETE CASCADE
+);
+
+-- A contact is in a journey at most once at a time
+CREATE UNIQUE INDEX IF NOT EXISTS idx_journey_enrollments_active
+  ON journey_enrollments(journey_id, contact_id) WHERE status = 'active';
+CREATE UNIQUE INDEX IF NOT EXISTS idx_journey_enrollments_trigger_key
+  ON journey_enrollments(journey_id, contact_id, trigger_key) WHERE trigger_key IS NOT NULL;
+CREATE INDEX IF NOT EXISTS idx_journey_enrollments_due ON journey_enrollments(status, next_run_at);
+CREATE INDEX IF NOT EXISTS idx_journey_enrollments_journey ON journey_enrollments(journey_id, enrolled_at DESC);
+
+-- History of every step an enrollment ran, for the builder's per-step stats
+CREATE TABLE IF NOT EXISTS journey_step_runs (
+  id TEXT PRIMARY KEY,
+  enrollment_id TEXT NOT NULL,
+  journey_id TEXT NOT NULL,
+  tenant_id TEXT NOT NULL,
+  step_id TEXT NOT NULL,
+  step_type TEXT NOT NULL,
+  outcome TEXT NOT NULL,
+  detail TEXT,
+  message_id TEXT,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  FOREIGN KEY (enrollment_id) REFERENCES journey_enrollments(id) ON DELETE CASCADE,
+  FOREIGN KEY (journey_id) REFERENCES journeys(id) ON DELETE CASCADE
+);
+
+CREATE INDEX IF NOT EXISTS idx_journey_step_runs_enrollment ON journey_step_runs(enrollment_id, created_at);
+CREATE INDEX IF NOT EXISTS idx_journey_step_runs_journey ON journey_step_runs(journey_id, step_id);
+
+-- ===== MESSAGES TABLE MIGRATION =====
+-- Journey sends are messages without a campaign: campaign_id becomes nullable and
+-- journey messages point at their journey and enrollment instead. Their template
+-- and content are kept in content_snapshot.
+-- Strategy: Create new table with correct schema, copy data, rename
+-- (foreign keys are off while message_status_events points at the old table)
+
+PRAGMA foreign_keys = OFF;
+
+CREATE TABLE messages_new (
+  id TEXT PRIMARY KEY,
+  tenant_id TEXT NOT NULL,
+  campaign_id TEXT,
+  journey_id TEXT,
+  journey_enrollment_id TEXT,
+  contact_id TEXT NOT NULL,
+  channel TEXT NOT NULL,
+  provider TEXT NOT NULL,
+  provider_message_id TEXT,
+  status TEXT DEFAULT 'queued',
+  status_reason TEXT,
+  attempts INTEGER DEFAULT 1,
+  content_snapshot TEXT,
+  sent_at TIMESTAMP,
+  delivered_at TIMESTAMP,
+  read_at TIMESTAMP,
+  failed_at TIMESTAMP,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  variant_id TEXT,
+  error_class TEXT,
+  next_attempt_at TIMESTAMP,
+  FOREIGN KEY (tenant_id) REFERENCES tenants(id),
+  FOREIGN KEY (campaign_id) REFERENCES campaigns(id),
+  FOREIGN KEY (journey_id) REFERENCES journeys(id),
+  FOREIGN KEY (contact_id) REFERENCES contacts(id),
+  UNIQUE(provider_message_id)
+);
+
+INSERT INTO messages_new (
+  id, tenant_id, campaign_id, contact_id, channel, provider, provider_message_id, status,
+  status_reason, attempts, content_snapshot, sent_at, delivered_at, read_at, failed_at,
+  created_at, updated_at, variant_id, error_class, next_attempt_at
+)
+SELECT
+  id, tenant_id, campaign_id, contact_id, channel, provider, provider_message_id, status,
+  status_reason, attempts, content_snapshot, sent_at, delivered_at, read_at, failed_at,
+  created_at, updated_at, variant_id, error_class, next_attempt_at
+FROM messages;
+
+DROP TABLE messages;
+ALTER TABLE messages_new RENAME TO messages;
+
+CREATE INDEX IF NOT EXISTS idx_messages_tenant_id ON messages(tenant_id);
+CREATE INDEX IF NOT EXISTS idx_messages_campaign_id ON messages(campaign_id);
+CREATE INDEX IF NOT EXISTS idx_messages_contact_id ON messages(contact_id);
+CREATE INDEX IF NOT EXISTS idx_messages_status ON messages(status);
+CREATE INDEX IF NOT EXISTS idx_messages_campaign_variant ON messages(campaign_id, variant_id);
+CREATE INDEX IF NOT EXISTS idx_messages_sent_at ON messages(sent_at);
+CREATE INDEX IF NOT EXISTS idx_messages_journey_enrollment ON messages(journey_enrollment_id);
+
+PRAGMA foreign_keys = ON;
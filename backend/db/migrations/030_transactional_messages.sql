@@ -0,0 +1,17 @@
+-- Migration 030: Transactional Messages
+-- Tables: messages
+-- Purpose: One-off API sends (order confirmations, OTPs) to a single contact, outside campaigns and journeys
+
+-- Transactional messages have no campaign or journey and are queued on the transactional lane
+ALTER TABLE messages ADD COLUMN transactional INTEGER NOT NULL DEFAULT 0;
+
+-- Idempotency-Key sent with the request, and a hash of the request body so a reused
+-- key with a different request is rejected instead of replayed
+ALTER TABLE messages ADD COLUMN idempotency_key TEXT;
+ALTER TABLE messages ADD COLUMN request_hash TEXT;
+
+-- API key that sent the message (NULL for session requests)
+ALTER TABLE messages ADD COLUMN api_key_id TEXT;
+
+CREATE UNIQUE INDEX IF NOT EXISTS idx_messages_idempotency_key
+  ON messages(tenant_id, idempotency_key) WHERE idempotency_key IS NOT NULL;
@@ -0,0 +1,28 @@
+-- Migration 031: Email Open and Click Tracking
+-- Tables: email_tracking_events, messages
+-- Purpose: Record opens (tracking pixel) and clicks (rewritten links) of outbound emails per message and per link
+
+CREATE TABLE IF NOT EXISTS email_tracking_events (
+  id TEXT PRIMARY KEY,
+  tenant_id TEXT NOT NULL,
+  message_id TEXT NOT NULL,
+  campaign_id TEXT,
+  event_type TEXT NOT NULL CHECK (event_type IN ('open', 'click')),
+  -- Link target for clicks
+  url TEXT,
+  -- pixel, link or ses (SNS event notifications)
+  source TEXT NOT NULL DEFAULT 'pixel',
+  ip_address TEXT,
+  user_agent TEXT,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  FOREIGN KEY (tenant_id) REFERENCES tenants(id) ON DELETE CASCADE,
+  FOREIGN KEY (message_id) REFERENCES messages(id) ON DELETE CASCADE
+);
+
+CREATE INDEX IF NOT EXISTS idx_email_tracking_events_message ON email_tracking_events(message_id, event_type);
+CREATE INDEX IF NOT EXISTS idx_email_tracking_events_campaign ON email_tracking_events(campaign_id, event_type);
+
+-- Totals per message, including repeat opens and clicks. read_at is the first open.
+ALTER TABLE messages ADD COLUMN open_count INTEGER NOT NULL DEFAULT 0;
+ALTER TABLE messages ADD COLUMN click_count INTEGER NOT NULL DEFAULT 0;
+ALTER TABLE messages ADD COLUMN first_clicked_at TIMESTAMP;
@@ -0,0 +1,31 @@
+-- Migration 032: Sender Domains
+-- Tables: sender_domains
+-- Purpose: Domains tenants send email from, with a generated DKIM keypair and the SPF/DKIM/DMARC
+-- results of the last DNS check. Email sends need a verified domain for the sender address.
+
+CREATE TABLE IF NOT EXISTS sender_domains (
+  id TEXT PRIMARY KEY,
+  tenant_id TEXT NOT NULL,
+  domain TEXT NOT NULL,
+  -- DKIM selector (<selector>._domainkey.<domain>), public key as published and the
+  -- encrypted private key used to sign SMTP sends
+  dkim_selector TEXT NOT NULL,
+  dkim_public_key TEXT NOT NULL,
+  dkim_private_key_encrypted TEXT NOT NULL,
+  -- pending until the first check passes, verified while all three records pass, failed otherwise
+  status TEXT NOT NULL DEFAULT 'pending' CHECK (status IN ('pending', 'verified', 'failed')),
+  spf_status TEXT NOT NULL DEFAULT 'pending' CHECK (spf_status IN ('pending', 'pass', 'fail')),
+  dkim_status TEXT NOT NULL DEFAULT 'pending' CHECK (dkim_status IN ('pending', 'pass', 'fail')),
+  dmarc_status TEXT NOT NULL DEFAULT 'pending' CHECK (dmarc_status IN ('pending', 'pass', 'fail')),
+  -- JSON { spf, dkim, dmarc } with the record found and why it failed
+  check_details TEXT,
+  last_checked_at TIMESTAMP,
+  verified_at TIMESTAMP,
+  created_by TEXT,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  FOREIGN KEY (tenant_id) REFERENCES tenants(id) ON DELETE CASCADE,
+  UNIQUE (tenant_id, domain)
+);
+
+CREATE INDEX IF NOT EXISTS idx_sender_domains_tenant_status ON sender_domains(tenant_id, status);
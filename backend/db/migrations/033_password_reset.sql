@@ -0,0 +1,6 @@
+-- Migration 033: Self-service Password Reset
+-- Tables: password_reset_tokens
+-- Purpose: Look up a user's outstanding reset tokens. password_reset_tokens.token holds the
+-- SHA-256 of the emailed token, never the token itself.
+
+CREATE INDEX IF NOT EXISTS idx_password_reset_tokens_user ON password_reset_tokens(user_id, used_at);
@@ -0,0 +1,30 @@
+-- Migration 034: TOTP Two-Factor Authentication
+-- Tables: users, user_recovery_codes, tenants, platform_config
+-- Purpose: Optional TOTP second factor with one-time recovery codes, and policies that require it
+-- for a tenant's members or for every user with a platform role
+
+-- totp_secret_encrypted: active secret once enrollment is confirmed
+-- totp_pending_secret_encrypted: secret shown during enrollment, until a code from it is verified
+-- totp_last_used_step: last accepted 30s time step, so a code can't be replayed
+ALTER TABLE users ADD COLUMN totp_secret_encrypted TEXT;
+ALTER TABLE users ADD COLUMN totp_pending_secret_encrypted TEXT;
+ALTER TABLE users ADD COLUMN totp_enabled_at TIMESTAMP;
+ALTER TABLE users ADD COLUMN totp_last_used_step INTEGER;
+
+-- One-time recovery codes (SHA-256 of the normalized code)
+CREATE TABLE IF NOT EXISTS user_recovery_codes (
+  id TEXT PRIMARY KEY,
+  user_id TEXT NOT NULL,
+  code_hash TEXT NOT NULL,
+  used_at TIMESTAMP,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
+);
+
+CREATE INDEX IF NOT EXISTS idx_user_recovery_codes_user ON user_recovery_codes(user_id, used_at);
+
+-- Members of a tenant with require_2fa = 1 must enroll before using the app
+ALTER TABLE tenants ADD COLUMN require_2fa INTEGER NOT NULL DEFAULT 0;
+
+-- Platform-wide policy for users whose role_global is not none
+INSERT OR IGNORE INTO platform_config (key, value) VALUES ('require_2fa_platform_users', 'false');
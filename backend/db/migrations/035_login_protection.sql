@@ -0,0 +1,28 @@
+-- Migration 035: Login Brute-Force Protection
+-- Tables: login_failures, account_unlock_tokens
+-- Purpose: Failed-login counters per account and per IP for progressive delays and temporary
+-- account lockout, and single-use unlock links emailed to the owner when an account locks
+
+-- identifier is the lowercased login email (scope account, whether or not a user has it)
+-- or the client IP (scope ip). Times are unix milliseconds.
+CREATE TABLE IF NOT EXISTS login_failures (
+  scope TEXT NOT NULL CHECK (scope IN ('account', 'ip')),
+  identifier TEXT NOT NULL,
+  failure_count INTEGER NOT NULL DEFAULT 0,
+  first_failed_at_ms INTEGER NOT NULL,
+  last_failed_at_ms INTEGER NOT NULL,
+  locked_until_ms INTEGER,
+  PRIMARY KEY (scope, identifier)
+);
+
+-- token is the SHA-256 of the emailed token
+CREATE TABLE IF NOT EXISTS account_unlock_tokens (
+  token TEXT PRIMARY KEY,
+  user_id TEXT NOT NULL,
+  expires_at TIMESTAMP NOT NULL,
+  used_at TIMESTAMP,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
+);
+
+CREATE INDEX IF NOT EXISTS idx_account_unlock_tokens_user ON account_unlock_tokens(user_id, used_at);
@@ -0,0 +1,13 @@
+-- Migration 036: Server-Side Sessions
+-- Tables: sessions
+-- Purpose: Persist express-session data in SQLite so logins survive a restart and users
+-- can list and revoke the places they are signed in
+
+-- sess is the JSON-serialized session, expires_at_ms the cookie expiry in unix milliseconds
+CREATE TABLE IF NOT EXISTS sessions (
+  sid TEXT PRIMARY KEY,
+  sess TEXT NOT NULL,
+  expires_at_ms INTEGER NOT NULL
+);
+
+CREATE INDEX IF NOT EXISTS idx_sessions_expires_at ON sessions(expires_at_ms);
@@ -0,0 +1,32 @@
+-- Migration 037: Tenant Single Sign-On
+-- Tables: tenant_sso_configs, tenant_sso_domains
+-- Purpose: Per-tenant OIDC identity provider settings, the email domains that route logins
+-- to it, and the switch that turns off password login for the tenant's members
+
+-- One identity provider per tenant. protocol leaves room for SAML, which is not supported yet.
+CREATE TABLE IF NOT EXISTS tenant_sso_configs (
+  tenant_id TEXT PRIMARY KEY,
+  protocol TEXT NOT NULL DEFAULT 'oidc' CHECK (protocol IN ('oidc', 'saml')),
+  enabled INTEGER NOT NULL DEFAULT 0,
+  issuer TEXT NOT NULL,
+  client_id TEXT NOT NULL,
+  client_secret_encrypted TEXT NOT NULL,
+  -- Tenant role given to users who join through their first SSO login
+  default_role TEXT NOT NULL DEFAULT 'member' CHECK (default_role IN ('viewer', 'member', 'admin')),
+  enforce_sso INTEGER NOT NULL DEFAULT 0,
+  created_by TEXT,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  FOREIGN KEY (tenant_id) REFERENCES tenants(id) ON DELETE CASCADE
+);
+
+-- Email domains discovered on the login page. A domain belongs to one tenant and must be
+-- one of its verified sender domains when it is added.
+CREATE TABLE IF NOT EXISTS tenant_sso_domains (
+  domain TEXT PRIMARY KEY,
+  tenant_id TEXT NOT NULL,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  FOREIGN KEY (tenant_id) REFERENCES tenant_sso_configs(tenant_id) ON DELETE CASCADE
+);
+
+CREATE INDEX IF NOT EXISTS idx_tenant_sso_domains_tenant ON tenant_sso_domains(tenant_id);
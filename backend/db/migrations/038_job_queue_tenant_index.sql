@@ -0,0 +1,6 @@
+-- Migration 038: Job Queue Tenant Index
+-- Tables: jobs
+-- Purpose: Let a lease find each tenant's ready jobs with index seeks instead of ranking every queued job
+
+-- Ready jobs per queue, lane and tenant in run order
+CREATE INDEX IF NOT EXISTS idx_jobs_ready_tenant ON jobs(queue, status, lane, tenant_id, run_at, created_at);
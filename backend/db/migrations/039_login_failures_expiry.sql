@@ -0,0 +1,6 @@
+-- Migration 039: Login Failure Expiry Index
+-- Tables: login_failures
+-- Purpose: Let the housekeeping job find expired login failure counters without scanning the table
+
+-- Expired locks, then unlocked counters by their last failure
+CREATE INDEX IF NOT EXISTS idx_login_failures_expiry ON login_failures(locked_until_ms, last_failed_at_ms);
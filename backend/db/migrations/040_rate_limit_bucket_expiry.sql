@@ -0,0 +1,5 @@
+-- Migration 040: Rate Limit Bucket Expiry Index
+-- Tables: rate_limit_buckets
+-- Purpose: Let the housekeeping job find idle rate limit buckets without scanning the table
+
+CREATE INDEX IF NOT EXISTS idx_rate_limit_buckets_updated ON rate_limit_buckets(updated_at_ms);
@@ -16,7 +16,9 @@ module.exports = [
         setInterval: 'readonly',
         clearInterval: 'readonly',
         Buffer: 'readonly',
-        URL: 'readonly'
+        URL: 'readonly',
+        fetch: 'readonly',
+        AbortSignal: 'readonly'
       }
     },
     rules: {
@@ -0,0 +1,169 @@
+#!/usr/bin/env node
+
+/**
+ * Mock OIDC Identity Provider
+ * A small OpenID Connect provider for trying tenant SSO locally and for the SSO
+ * integration test. The sign-in page asks for any email and name and returns an
+ * RS256-signed ID token for it (authorization code flow with PKCE).
+ *
+ * Run: node scripts/mock-oidc-idp.js
+ *   MOCK_IDP_PORT (default 5190), MOCK_IDP_CLIENT_ID (default engageninja),
+ *   MOCK_IDP_CLIENT_SECRET (default mock-secret)
+ * Then in Settings → SSO use issuer http://127.0.0.1:5190 with that client id and secret.
+ */
+
+const crypto = require('crypto');
+const express = require('express');
+
+const CODE_TTL_MS = 60 * 1000;
+
+const escapeHtml = (value) => String(value ?? '').replace(/[&<>"']/g, (ch) => ({
+  '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;'
+}[ch]));
+
+const signJwt = (payload, privateKey, kid) => {
+  const encode = (part) => Buffer.from(JSON.stringify(part)).toString('base64url');
+  const data = `${encode({ alg: 'RS256', typ: 'JWT', kid })}.${encode(payload)}`;
+  return `${data}.${crypto.sign('sha256', Buffer.from(data), privateKey).toString('base64url')}`;
+};
+
+/**
+ * Start the provider
+ * @param {Object} options - { port (0 picks a free one), host, clientId, clientSecret }
+ * @returns {Promise<{ issuer: string, port: number, close: Function }>}
+ */
+function startMockIdp({ port = 0, host = '127.0.0.1', clientId = 'engageninja', clientSecret = 'mock-secret' } = {}) {
+  const { privateKey, publicKey } = crypto.generateKeyPairSync('rsa', { modulusLength: 2048 });
+  const kid = crypto.randomBytes(8).toString('hex');
+  const codes = new Map();
+  let issuer = null;
+
+  const app = express();
+  app.use(express.urlencoded({ extended: false }));
+
+  app.get('/.well-known/openid-configuration', (req, res) => {
+    res.json({
+      issuer,
+      authorization_endpoint: `${issuer}/authorize`,
+      token_endpoint: `${issuer}/token`,
+      jwks_uri: `${issuer}/jwks`,
+      response_types_supported: ['code'],
+      subject_types_supported: ['public'],
+      id_token_signing_alg_values_supported: ['RS256'],
+      token_endpoint_auth_methods_supported: ['client_secret_basic', 'client_secret_post'],
+      code_challenge_methods_supported: ['S256'],
+      scopes_supported: ['openid', 'email', 'profile']
+    });
+  });
+
+  app.get('/jwks', (req, res) => {
+    res.json({ keys: [{ ...publicKey.export({ format: 'jwk' }), kid, use: 'sig', alg: 'RS256' }] });
+  });
+
+  // Sign-in page: any email is accepted
+  app.get('/authorize', (req, res) => {
+    const { client_id, redirect_uri, response_type, code_challenge, code_challenge_method } = req.query;
+    if (client_id !== clientId || !redirect_uri || response_type !== 'code' || !code_challenge || code_challenge_method !== 'S256') {
+      return res.status(400).send('Bad authorization request');
+    }
+    const hidden = ['client_id', 'redirect_uri', 'state', 'nonce', 'code_challenge']
+      .map(name => `<input type="hidden" name="${name}" value="${escapeHtml(req.query[name])}">`)
+      .join('');
+    res.send(`<!doctype html>
+<html><body style="font-family: sans-serif; max-width: 360px; margin: 80px auto">
+  <h2>Mock identity provider</h2>
+  <form method="post" action="/authorize">
+    ${hidden}
+    <p><label>Email<br><input name="email" value="${escapeHtml(req.query.login_hint)}" required></label></p>
+    <p><label>Name<br><input name="name" value="Mock User"></label></p>
+    <button name="decision" value="approve">Sign in</button>
+    <button name="decision" value="deny">Cancel</button>
+  </form>
+</body></html>`);
+  });
+
+  app.post('/authorize', (req, res) => {
+    const { client_id, redirect_uri, state, nonce, code_challenge, email, name, decision } = req.body;
+    if (client_id !== clientId || !redirect_uri) {
+      return res.status(400).send('Bad authorization request');
+    }
+    const target = new URL(redirect_uri);
+    if (state) target.searchParams.set('state', state);
+    if (decision === 'deny') {
+      target.searchParams.set('error', 'access_denied');
+      target.searchParams.set('error_description', 'The user cancelled sign-in');
+      return res.redirect(target.toString());
+    }
+
+    const code = crypto.randomBytes(24).toString('base64url');
+    codes.set(code, { redirectUri: redirect_uri, nonce, codeChallenge: code_challenge, email, name, expiresAt: Date.now() + CODE_TTL_MS });
+    target.searchParams.set('code', code);
+    res.redirect(target.toString());
+  });
+
+  app.post('/token', (req, res) => {
+    let [id, secret] = [req.body.client_id, req.body.client_secret];
+    const basic = (req.get('authorization') || '').match(/^Basic (.+)$/);
+    if (basic) {
+      [id, secret] = Buffer.from(basic[1], 'base64').toString('utf8').split(':').map(decodeURIComponent);
+    }
+    if (id !== clientId || secret !== clientSecret) {
+      return res.status(401).json({ error: 'invalid_client' });
+    }
+
+    const grant = codes.get(req.body.code);
+    codes.delete(req.body.code);
+    const challenge = crypto.createHash('sha256').update(String(req.body.code_verifier || '')).digest('base64url');
+    if (req.body.grant_type !== 'authorization_code' || !grant || grant.expiresAt < Date.now()
+      || grant.redirectUri !== req.body.redirect_uri || grant.codeChallenge !== challenge) {
+      return res.status(400).json({ error: 'invalid_grant' });
+    }
+
+    const now = Math.floor(Date.now() / 1000);
+    const [givenName, ...rest] = String(grant.name || '').trim().split(/\s+/);
+    const idToken = signJwt({
+      iss: issuer,
+      aud: clientId,
+      sub: crypto.createHash('sha256').update(grant.email.toLowerCase()).digest('hex').slice(0, 32),
+      email: grant.email,
+      email_verified: true,
+      name: grant.name || undefined,
+      given_name: givenName || undefined,
+      family_name: rest.join(' ') || undefined,
+      nonce: grant.nonce,
+      iat: now,
+      exp: now + 300
+    }, privateKey, kid);
+
+    res.json({
+      access_token: crypto.randomBytes(24).toString('base64url'),
+      token_type: 'Bearer',
+      expires_in: 300,
+      id_token: idToken
+    });
+  });
+
+  return new Promise((resolve) => {
+    const server = app.listen(port, host, () => {
+      const actualPort = server.address().port;
+      issuer = `http://${host}:${actualPort}`;
+      resolve({
+        issuer,
+        port: actualPort,
+        close: () => new Promise(done => server.close(done))
+      });
+    });
+  });
+}
+
+if (require.main === module) {
+  const clientId = process.env.MOCK_IDP_CLIENT_ID || 'engageninja';
+  const clientSecret = process.env.MOCK_IDP_CLIENT_SECRET || 'mock-secret';
+  startMockIdp({ port: parseInt(process.env.MOCK_IDP_PORT || '5190', 10), clientId, clientSecret }).then(({ issuer }) => {
+    console.log(`Mock OIDC provider running at ${issuer}`);
+    console.log(`  client id: ${clientId}`);
+    console.log(`  client secret: ${clientSecret}`);
+  });
+}
+
+module.exports = { startMockIdp };
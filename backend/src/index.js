@@ -9,6 +9,8 @@ const express = require('express');
 const cors = require('cors');
 const cookieParser = require('cookie-parser');
 const session = require('express-session');
+const SqliteSessionStore = require('./services/sqliteSessionStore');
+const { recordSessionActivity } = require('./utils/sessions');
 
 // Configuration
 const PORT = process.env.BACKEND_PORT || 5173;
@@ -26,7 +28,7 @@ const app = express();
 const corsOptions = {
   credentials: true,
   methods: ['GET', 'POST', 'PUT', 'DELETE', 'PATCH', 'OPTIONS'],
-  allowedHeaders: ['Content-Type', 'Authorization'],
+  allowedHeaders: ['Content-Type', 'Authorization', 'Idempotency-Key'],
   maxAge: 3600
 };
 
@@ -60,8 +62,12 @@ app.use((req, res, next) => {
 // Cookie parser middleware
 app.use(cookieParser());
 
-// Session middleware
+// API key authentication (Authorization: Bearer); must run before the session middleware
+app.use('/api', require('./middleware/apiKeyAuth').authenticateApiKey);
+
+// Session middleware (sessions live in SQLite so they survive restarts)
 app.use(session({
+  store: new SqliteSessionStore(),
   secret: SESSION_SECRET,
   resave: false,
   saveUninitialized: false,
@@ -83,6 +89,15 @@ app.use((req, res, next) => {
   next();
 });
 
+// Keep the device, IP and last-seen time shown in the active sessions list current
+app.use((req, res, next) => {
+  recordSessionActivity(req);
+  next();
+});
+
+// Users required to use 2FA must enroll before reaching anything outside /api/auth
+app.use('/api', require('./middleware/twoFactor').requireTwoFactorEnrollment);
+
 // ===== ROUTES =====
 
 // Health check endpoint
@@ -106,6 +121,7 @@ app.get('/api/status', (req, res) => {
 });
 
 // ===== ROUTE MOUNTING =====
+app.use('/api/auth/sso', require('./routes/sso'));
 app.use('/api/auth', require('./routes/auth'));
 app.use('/api/tenant/users', require('./routes/tenant-users'));
 app.use('/api/tenant', require('./routes/tenant'));
@@ -114,8 +130,18 @@ app.use('/api/admin', require('./routes/admin'));
 // app.use('/api/tenants', require('./routes/tenants'));
 app.use('/api/contacts', require('./routes/contacts'));
 app.use('/api/campaigns', require('./routes/campaigns'));
+app.use('/api/segments', require('./routes/segments'));
+app.use('/api/journeys', require('./routes/journeys'));
+app.use('/api/messages', require('./routes/messages'));
+app.use('/api/settings/api-keys', require('./routes/api-keys'));
+app.use('/api/settings/webhooks', require('./routes/outbound-webhooks'));
+app.use('/api/settings/sender-domains', require('./routes/sender-domains'));
+app.use('/api/settings/sso', require('./routes/sso-settings'));
 app.use('/api/settings', require('./routes/settings'));
 app.use('/api/templates', require('./routes/templates'));
+app.use('/api/inbox', require('./routes/inbox'));
+app.use('/api/unsubscribe', require('./routes/unsubscribe'));
+app.use('/api/track', require('./routes/tracking'));
 
 // ===== BILLING SERVICE INITIALIZATION =====
 let billingService = null;
@@ -189,9 +215,25 @@ const server = app.listen(PORT, () => {
   console.log(`✓ CORS Origin: ${FRONTEND_URL}`);
   console.log(`✓ Health check: GET /health\n`);
 
-  // Start message queue processor for sending queued messages
+  // Start the durable job worker and send queued messages through it
   const messageQueue = require('./services/messageQueue');
   messageQueue.startMessageProcessor();
+
+  // Start scheduler that queues campaigns once their scheduled time arrives
+  const campaignScheduler = require('./services/campaignScheduler');
+  campaignScheduler.startCampaignScheduler();
+
+  // Run drip journey steps that are due and enroll contacts on date triggers
+  require('./services/journeys').startJourneyScheduler();
+
+  // Restart queued contact imports and fail ones interrupted by the last shutdown
+  require('./services/contactImport').resumeImportJobs();
+
+  // Deliver outbound tenant webhooks and retry failed ones
+  require('./services/outboundWebhooks').startWebhookDispatcher();
+
+  // Prune expired login failure counters and idle rate limit buckets
+  require('./services/housekeeping').startHousekeeping();
 });
 
 // Graceful shutdown handling
@@ -0,0 +1,101 @@
+/**
+ * API Key Authentication
+ * Accepts `Authorization: Bearer <key>` on /api as an alternative to the session cookie.
+ *
+ * Mounted before the session middleware: a valid key gets a request-only session
+ * ({ userId, activeTenantId } of the user who created the key), so express-session
+ * skips the request and route-level requireAuth / validateTenantAccess work unchanged.
+ * Scopes are checked here against the API path; every request is metered against
+ * the plan and audited with the key as actor.
+ */
+
+const db = require('../db');
+const {
+  findActiveApiKey,
+  getRequiredScope,
+  consumeApiRequest,
+  touchApiKey
+} = require('../services/apiKeys');
+const { logAudit, AUDIT_ACTIONS } = require('../utils/audit');
+
+const reject = (res, statusCode, error, message, extra = {}) => {
+  return res.status(statusCode).json({ error, message, ...extra, status: 'error' });
+};
+
+function authenticateApiKey(req, res, next) {
+  const match = (req.get('authorization') || '').match(/^Bearer\s+(\S+)$/i);
+  if (!match) {
+    return next();
+  }
+
+  try {
+    const apiKey = findActiveApiKey(match[1]);
+    if (!apiKey) {
+      return reject(res, 401, 'Unauthorized', 'Invalid or revoked API key');
+    }
+
+    const scope = getRequiredScope(req.method, req.path);
+    if (!scope) {
+      return reject(res, 403, 'Forbidden', 'This endpoint is not available with an API key');
+    }
+    if (!apiKey.scopes.includes(scope)) {
+      return reject(res, 403, 'Forbidden', `API key is missing the ${scope} scope`, { required_scope: scope });
+    }
+
+    // Keys act on behalf of their creator; they stop working if that user is deactivated
+    // or loses access to the tenant
+    const membership = apiKey.created_by && db.prepare(`
+      SELECT ut.active AS membership_active, u.active AS user_active
+      FROM user_tenants ut
+      JOIN users u ON u.id = ut.user_id
+      WHERE ut.user_id = ? AND ut.tenant_id = ?
+    `).get(apiKey.created_by, apiKey.tenant_id);
+    if (!membership || !membership.membership_active || !membership.user_active) {
+      return reject(res, 401, 'Unauthorized', 'The user who created this API key no longer has access to the tenant');
+    }
+
+    const usage = consumeApiRequest(apiKey.tenant_id);
+    if (!usage.allowed) {
+      return usage.reason === 'disabled'
+        ? reject(res, 403, 'API Not Enabled', 'API access is not included in your plan. Upgrade to use API keys.')
+        : reject(res, 429, 'API Limit Exceeded', `You've used ${usage.used} of ${usage.limit} API requests this month.`, {
+          current: usage.used,
+          limit: usage.limit
+        });
+    }
+
+    touchApiKey(apiKey.id);
+
+    req.apiKey = { id: apiKey.id, tenantId: apiKey.tenant_id, scopes: apiKey.scopes };
+    req.session = { userId: apiKey.created_by, activeTenantId: apiKey.tenant_id, apiKeyId: apiKey.id };
+
+    res.on('finish', () => {
+      logAudit({
+        actorUserId: null,
+        actorType: 'api_key',
+        actorApiKeyId: apiKey.id,
+        tenantId: apiKey.tenant_id,
+        action: AUDIT_ACTIONS.API_REQUEST,
+        targetType: 'api_key',
+        targetId: apiKey.id,
+        metadata: {
+          keyName: apiKey.name,
+          method: req.method,
+          path: req.originalUrl.split('?')[0],
+          scope,
+          statusCode: res.statusCode
+        },
+        ipAddress: req.ip
+      });
+    });
+
+    next();
+  } catch (error) {
+    console.error('API key authentication error:', error);
+    return reject(res, 500, 'Internal Server Error', 'Failed to authenticate API key');
+  }
+}
+
+module.exports = {
+  authenticateApiKey
+};
@@ -0,0 +1,34 @@
+/**
+ * Two-Factor Enforcement
+ * Users that a tenant or platform policy requires to use 2FA, but who have not
+ * enrolled yet, may only reach /api/auth/* (where enrollment lives) until they do.
+ * API key requests and SSO sessions (the identity provider handles MFA) are not affected.
+ */
+
+const db = require('../db');
+const { isTwoFactorRequired } = require('../services/twoFactor');
+
+function requireTwoFactorEnrollment(req, res, next) {
+  if (!req.session?.userId || req.session.apiKeyId || req.session.authMethod === 'sso' || req.path.startsWith('/auth/')) {
+    return next();
+  }
+
+  try {
+    const user = db.prepare('SELECT id, role_global, totp_secret_encrypted FROM users WHERE id = ?').get(req.session.userId);
+    if (!user || user.totp_secret_encrypted || !isTwoFactorRequired(user)) {
+      return next();
+    }
+
+    return res.status(403).json({
+      error: 'Two-Factor Setup Required',
+      message: 'Set up two-factor authentication on your profile to continue',
+      two_factor_setup_required: true,
+      status: 'error'
+    });
+  } catch (error) {
+    console.error('Two-factor enforcement error:', error);
+    next(error);
+  }
+}
+
+module.exports = { requireTwoFactorEnrollment };
@@ -12,6 +12,10 @@ const { requirePlatformAdmin } = require('../middleware/rbac');
 const { logAudit, AUDIT_ACTIONS } = require('../utils/audit');
 const { copyActiveGlobalTagsToTenant } = require('../utils/globalTags');
 const { getBillingSummary, BillingSummaryError } = require('../services/billingSummary');
+const { getTenantQueueStats } = require('../services/messageQueue');
+const EmailService = require('../services/emailService');
+const { disableTwoFactor } = require('../services/twoFactor');
+const { destroyUserSessions, destroyUserTenantSessions, listUserSessions } = require('../utils/sessions');
 
 const PLAN_COLUMNS = [
   'id',
@@ -202,7 +206,8 @@ router.get('/tenants/:tenantId', (req, res) => {
         u.name,
         ut.role,
         ut.active,
-        ut.created_at as joined_at
+        ut.created_at as joined_at,
+        CASE WHEN u.totp_secret_encrypted IS NULL THEN 0 ELSE 1 END as two_factor_enabled
       FROM users u
       INNER JOIN user_tenants ut ON u.id = ut.user_id
       WHERE ut.tenant_id = ?
@@ -553,6 +558,14 @@ router.post('/tenants', (req, res) => {
           ) VALUES (?, ?, ?, 'owner', ?, ?, ?)
         `).run(inviteId, tenantId, email, req.session.userId, token, expiresAt.toISOString());
 
+        new EmailService().sendInvitationEmail({
+          email,
+          token,
+          role: 'owner',
+          expiresAt: expiresAt.toISOString(),
+          tenantName: name.trim()
+        }).catch(err => console.error('Owner invitation email failed:', err.message));
+
         logAudit({
           actorUserId: req.session.userId,
           actorType: 'platform_user',
@@ -689,7 +702,8 @@ router.patch('/tenants/:tenantId', (req, res) => {
       support_email,
       wa_messages_override,
       emails_override,
-      sms_override
+      sms_override,
+      require_2fa
     } = req.body;
 
     // Verify tenant exists
@@ -753,6 +767,13 @@ router.patch('/tenants/:tenantId', (req, res) => {
       changes.metadata = metadata;
     }
 
+    // Members must enroll in 2FA before using the app
+    if (require_2fa !== undefined) {
+      updates.push('require_2fa = ?');
+      params.push(parseBooleanValue(require_2fa));
+      changes.require_2fa = Boolean(parseBooleanValue(require_2fa));
+    }
+
     // Handle custom billing price (for negotiated rates)
     if (price !== undefined) {
       if (price === null || price === '') {
@@ -1048,6 +1069,7 @@ router.get('/users', (req, res) => {
         u.role_global,
         u.active,
         u.created_at,
+        CASE WHEN u.totp_secret_encrypted IS NULL THEN 0 ELSE 1 END as two_factor_enabled,
         COUNT(DISTINCT ut.tenant_id) as tenant_count
       FROM users u
       LEFT JOIN user_tenants ut ON u.id = ut.user_id AND ut.active = 1
@@ -1117,13 +1139,15 @@ router.get('/users', (req, res) => {
  * GET /api/admin/users/:userId
  * Get detailed user information including all tenant memberships
  */
-router.get('/users/:userId', (req, res) => {
+router.get('/users/:userId', async (req, res) => {
   try {
     const { userId } = req.params;
 
     const user = db.prepare(`
       SELECT
-        id, email, name, first_name, last_name, phone, timezone, role_global, active, created_at, updated_at
+        id, email, name, first_name, last_name, phone, timezone, role_global, active, created_at, updated_at,
+        totp_enabled_at,
+        CASE WHEN totp_secret_encrypted IS NULL THEN 0 ELSE 1 END as two_factor_enabled
       FROM users
       WHERE id = ?
     `).get(userId);
@@ -1149,7 +1173,8 @@ router.get('/users/:userId', (req, res) => {
 
     res.json({
       user,
-      tenants
+      tenants,
+      sessions: await listUserSessions(req.sessionStore, userId)
     });
   } catch (error) {
     console.error('Error getting user details:', error);
@@ -1164,7 +1189,7 @@ router.get('/users/:userId', (req, res) => {
  *   - active: true/false
  *   - role_global: none/platform_support/platform_admin/system_admin
  */
-router.patch('/users/:userId', (req, res) => {
+router.patch('/users/:userId', async (req, res) => {
   try {
     const { userId } = req.params;
     const { active, role_global } = req.body;
@@ -1237,6 +1262,11 @@ router.patch('/users/:userId', (req, res) => {
       UPDATE users SET ${updates.join(', ')} WHERE id = ?
     `).run(...params);
 
+    // A deactivated user is signed out everywhere
+    if (active === false) {
+      changes.sessionsRevoked = await destroyUserSessions(req.sessionStore, userId);
+    }
+
     if (active !== undefined) {
       logAudit({
         actorUserId: req.session.userId,
@@ -1247,7 +1277,8 @@ router.patch('/users/:userId', (req, res) => {
         targetId: userId,
         metadata: {
           wasActive: changes.wasActive,
-          nowActive: changes.nowActive
+          nowActive: changes.nowActive,
+          ...(changes.sessionsRevoked !== undefined && { sessionsRevoked: changes.sessionsRevoked })
         },
         ipAddress: req.ip
       });
@@ -1280,6 +1311,90 @@ router.patch('/users/:userId', (req, res) => {
   }
 });
 
+/**
+ * POST /api/admin/users/:userId/2fa/reset
+ * Turn off a user's 2FA and delete their recovery codes (lost device).
+ * If a policy requires 2FA they have to enroll again after their next login.
+ */
+router.post('/users/:userId/2fa/reset', (req, res) => {
+  try {
+    const { userId } = req.params;
+
+    if (userId === req.session.userId) {
+      return res.status(400).json({ error: 'Cannot reset two-factor authentication for your own account' });
+    }
+
+    const user = db.prepare('SELECT id, totp_secret_encrypted FROM users WHERE id = ?').get(userId);
+    if (!user) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+    if (!user.totp_secret_encrypted) {
+      return res.status(400).json({ error: 'Two-factor authentication is not enabled for this user' });
+    }
+
+    disableTwoFactor(userId);
+
+    logAudit({
+      actorUserId: req.session.userId,
+      actorType: 'platform_user',
+      tenantId: null,
+      action: AUDIT_ACTIONS.USER_2FA_RESET,
+      targetType: 'user',
+      targetId: userId,
+      ipAddress: req.ip
+    });
+
+    res.json({
+      message: 'Two-factor authentication reset',
+      userId
+    });
+  } catch (error) {
+    console.error('Error resetting two-factor authentication:', error);
+    res.status(500).json({ error: 'Failed to reset two-factor authentication' });
+  }
+});
+
+/**
+ * DELETE /api/admin/users/:userId/sessions
+ * Force logout: end every session of a user
+ */
+router.delete('/users/:userId/sessions', async (req, res) => {
+  try {
+    const { userId } = req.params;
+
+    if (userId === req.session.userId) {
+      return res.status(400).json({ error: 'Use your profile to sign out your own sessions' });
+    }
+
+    const user = db.prepare('SELECT id, email FROM users WHERE id = ?').get(userId);
+    if (!user) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+
+    const sessionsRevoked = await destroyUserSessions(req.sessionStore, userId);
+
+    logAudit({
+      actorUserId: req.session.userId,
+      actorType: 'platform_user',
+      tenantId: null,
+      action: AUDIT_ACTIONS.USER_FORCE_LOGOUT,
+      targetType: 'user',
+      targetId: userId,
+      metadata: { email: user.email, sessionsRevoked },
+      ipAddress: req.ip
+    });
+
+    res.json({
+      message: 'User signed out of all sessions',
+      userId,
+      sessionsRevoked
+    });
+  } catch (error) {
+    console.error('Error forcing logout:', error);
+    res.status(500).json({ error: 'Failed to sign out user' });
+  }
+});
+
 /**
  * POST /api/admin/users/:userId/tenants/:tenantId/assign
  * Assign existing user to a tenant with a specific role
@@ -1436,7 +1551,7 @@ router.patch('/users/:userId/tenants/:tenantId', (req, res) => {
  * DELETE /api/admin/users/:userId/tenants/:tenantId
  * Remove a user's membership from a tenant
  */
-router.delete('/users/:userId/tenants/:tenantId', (req, res) => {
+router.delete('/users/:userId/tenants/:tenantId', async (req, res) => {
   try {
     const { userId, tenantId } = req.params;
 
@@ -1461,6 +1576,9 @@ router.delete('/users/:userId/tenants/:tenantId', (req, res) => {
       WHERE user_id = ? AND tenant_id = ?
     `).run(userId, tenantId);
 
+    // Sessions still working in this tenant end with the membership
+    const sessionsRevoked = await destroyUserTenantSessions(req.sessionStore, userId, tenantId);
+
     logAudit({
       actorUserId: req.session.userId,
       actorType: 'platform_user',
@@ -1472,7 +1590,8 @@ router.delete('/users/:userId/tenants/:tenantId', (req, res) => {
         tenantId,
         tenantName: membership.tenant_name,
         email: membership.user_email,
-        role: membership.role
+        role: membership.role,
+        sessionsRevoked
       },
       ipAddress: req.ip
     });
@@ -1779,4 +1898,26 @@ router.get('/stats', (req, res) => {
   }
 });
 
+/**
+ * GET /api/admin/queue
+ * Outbound message queue depth, throughput and send limits per tenant
+ */
+router.get('/queue', (req, res) => {
+  try {
+    const tenants = getTenantQueueStats();
+    const totals = tenants.reduce((sum, t) => ({
+      ready: sum.ready + t.ready,
+      waiting: sum.waiting + t.waiting,
+      in_flight: sum.in_flight + t.in_flight,
+      sent_last_minute: sum.sent_last_minute + t.sent_last_minute,
+      sent_last_hour: sum.sent_last_hour + t.sent_last_hour
+    }), { ready: 0, waiting: 0, in_flight: 0, sent_last_minute: 0, sent_last_hour: 0 });
+
+    res.json({ tenants, totals });
+  } catch (error) {
+    console.error('Error retrieving queue stats:', error);
+    res.status(500).json({ error: 'Failed to retrieve queue statistics' });
+  }
+});
+
 module.exports = router;
@@ -0,0 +1,256 @@
+/**
+ * API Keys Routes
+ * Create, list, rotate and revoke tenant API keys from Settings (admin+).
+ * Session-only: API keys themselves can't manage keys.
+ */
+
+const express = require('express');
+const router = express.Router();
+const db = require('../db');
+const { requireAdmin } = require('../middleware/rbac');
+const { logAudit, AUDIT_ACTIONS } = require('../utils/audit');
+const {
+  SCOPES,
+  validateApiKeyInput,
+  listApiKeys,
+  getApiKey,
+  createApiKey,
+  rotateApiKey,
+  revokeApiKey
+} = require('../services/apiKeys');
+
+// ===== MIDDLEWARE =====
+
+// Check if user is authenticated
+const requireAuth = (req, res, next) => {
+  if (!req.session || !req.session.userId) {
+    return res.status(401).json({
+      error: 'Unauthorized',
+      message: 'You must be logged in',
+      status: 'error'
+    });
+  }
+  next();
+};
+
+// Validate tenant access (ensure user has access to tenant)
+const validateTenantAccess = (req, res, next) => {
+  const tenantId = req.session.activeTenantId;
+
+  if (!tenantId) {
+    return res.status(400).json({
+      error: 'Missing tenant',
+      message: 'Tenant ID is required',
+      status: 'error'
+    });
+  }
+
+  const userTenant = db.prepare(`
+    SELECT ut.tenant_id FROM user_tenants ut
+    WHERE ut.user_id = ? AND ut.tenant_id = ?
+  `).get(req.session.userId, tenantId);
+
+  if (!userTenant) {
+    return res.status(403).json({
+      error: 'Forbidden',
+      message: 'You do not have access to this tenant',
+      status: 'error'
+    });
+  }
+
+  req.tenantId = tenantId;
+  next();
+};
+
+// ===== HELPER FUNCTIONS =====
+
+/**
+ * Plan API access and this month's request count
+ */
+function getApiUsage(tenantId) {
+  const plan = db.prepare(`
+    SELECT p.api_enabled, p.api_tokens_per_month
+    FROM tenants t
+    JOIN plans p ON p.id = t.plan_id
+    WHERE t.id = ?
+  `).get(tenantId);
+
+  const now = new Date();
+  const yearMonth = `${now.getFullYear()}-${String(now.getMonth() + 1).padStart(2, '0')}`;
+  const usage = db.prepare(`
+    SELECT api_requests FROM usage_counters WHERE tenant_id = ? AND year_month = ?
+  `).get(tenantId, yearMonth);
+
+  return {
+    enabled: Boolean(plan?.api_enabled),
+    limit: plan?.api_tokens_per_month || 0,
+    used: usage?.api_requests || 0
+  };
+}
+
+const notFound = (res) => res.status(404).json({
+  error: 'Not Found',
+  message: 'API key not found',
+  status: 'error'
+});
+
+// ===== ROUTES =====
+
+/**
+ * GET /api/settings/api-keys
+ * Keys for the active tenant, available scopes and this month's API usage
+ */
+router.get('/', requireAuth, validateTenantAccess, requireAdmin, (req, res) => {
+  try {
+    return res.json({
+      data: listApiKeys(req.tenantId),
+      scopes: SCOPES,
+      usage: getApiUsage(req.tenantId),
+      status: 'success'
+    });
+  } catch (error) {
+    console.error('Error listing API keys:', error);
+    return res.status(500).json({
+      error: 'Internal Server Error',
+      message: 'Failed to list API keys',
+      status: 'error'
+    });
+  }
+});
+
+/**
+ * POST /api/settings/api-keys
+ * Create a key { name, scopes }. The secret is only returned in this response.
+ */
+router.post('/', requireAuth, validateTenantAccess, requireAdmin, (req, res) => {
+  try {
+    const { value, error } = validateApiKeyInput(req.body || {});
+    if (error) {
+      return res.status(400).json({
+        error: 'Validation Error',
+        message: error,
+        status: 'error'
+      });
+    }
+
+    const { apiKey, secret } = createApiKey(req.tenantId, value, req.session.userId);
+
+    logAudit({
+      actorUserId: req.session.userId,
+      actorType: 'tenant_user',
+      tenantId: req.tenantId,
+      action: AUDIT_ACTIONS.API_KEY_CREATE,
+      targetType: 'api_key',
+      targetId: apiKey.id,
+      metadata: { name: apiKey.name, scopes: apiKey.scopes, keyPrefix: apiKey.key_prefix },
+      ipAddress: req.ip
+    });
+
+    return res.status(201).json({
+      data: { ...apiKey, secret },
+      status: 'success',
+      message: 'API key created. Copy it now; it will not be shown again.'
+    });
+  } catch (error) {
+    console.error('Error creating API key:', error);
+    return res.status(500).json({
+      error: 'Internal Server Error',
+      message: 'Failed to create API key',
+      status: 'error'
+    });
+  }
+});
+
+/**
+ * POST /api/settings/api-keys/:id/rotate
+ * Issue a new secret for a key; the previous secret stops working immediately
+ */
+router.post('/:id/rotate', requireAuth, validateTenantAccess, requireAdmin, (req, res) => {
+  try {
+    const existing = getApiKey(req.tenantId, req.params.id);
+    if (!existing) {
+      return notFound(res);
+    }
+    if (existing.revoked_at) {
+      return res.status(409).json({
+        error: 'Conflict',
+        message: 'Revoked keys cannot be rotated',
+        status: 'error'
+      });
+    }
+
+    const { apiKey, secret } = rotateApiKey(req.tenantId, existing.id);
+
+    logAudit({
+      actorUserId: req.session.userId,
+      actorType: 'tenant_user',
+      tenantId: req.tenantId,
+      action: AUDIT_ACTIONS.API_KEY_ROTATE,
+      targetType: 'api_key',
+      targetId: apiKey.id,
+      metadata: { name: apiKey.name, previousKeyPrefix: existing.key_prefix, keyPrefix: apiKey.key_prefix },
+      ipAddress: req.ip
+    });
+
+    return res.json({
+      data: { ...apiKey, secret },
+      status: 'success',
+      message: 'API key rotated. Copy the new key now; it will not be shown again.'
+    });
+  } catch (error) {
+    console.error('Error rotating API key:', error);
+    return res.status(500).json({
+      error: 'Internal Server Error',
+      message: 'Failed to rotate API key',
+      status: 'error'
+    });
+  }
+});
+
+/**
+ * DELETE /api/settings/api-keys/:id
+ * Revoke a key. It stays listed for history.
+ */
+router.delete('/:id', requireAuth, validateTenantAccess, requireAdmin, (req, res) => {
+  try {
+    const existing = getApiKey(req.tenantId, req.params.id);
+    if (!existing) {
+      return notFound(res);
+    }
+    if (existing.revoked_at) {
+      return res.status(409).json({
+        error: 'Conflict',
+        message: 'API key is already revoked',
+        status: 'error'
+      });
+    }
+
+    const apiKey = revokeApiKey(req.tenantId, existing.id, req.session.userId);
+
+    logAudit({
+      actorUserId: req.session.userId,
+      actorType: 'tenant_user',
+      tenantId: req.tenantId,
+      action: AUDIT_ACTIONS.API_KEY_REVOKE,
+      targetType: 'api_key',
+      targetId: apiKey.id,
+      metadata: { name: apiKey.name, keyPrefix: apiKey.key_prefix },
+      ipAddress: req.ip
+    });
+
+    return res.json({
+      data: apiKey,
+      status: 'success',
+      message: 'API key revoked'
+    });
+  } catch (error) {
+    console.error('Error revoking API key:', error);
+    return res.status(500).json({
+      error: 'Internal Server Error',
+      message: 'Failed to revoke API key',
+      status: 'error'
+    });
+  }
+});
+
+module.exports = router;
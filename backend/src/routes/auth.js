@@ -9,6 +9,19 @@ const db = require('../db');
 const bcrypt = require('bcrypt');
 const { v4: uuidv4 } = require('uuid');
 const { copyActiveGlobalTagsToTenant } = require('../utils/globalTags');
+const { logAudit, AUDIT_ACTIONS } = require('../utils/audit');
+const {
+  publicSessionId,
+  recordSessionActivity,
+  destroyUserSessions,
+  destroyUserSession,
+  listUserSessions
+} = require('../utils/sessions');
+const EmailService = require('../services/emailService');
+const passwordReset = require('../services/passwordReset');
+const twoFactor = require('../services/twoFactor');
+const loginProtection = require('../services/loginProtection');
+const sso = require('../services/sso');
 
 const recaptchaSecret = process.env.RECAPTCHA_SECRET_KEY;
 
@@ -74,6 +87,133 @@ const requireAuth = (req, res, next) => {
   next();
 };
 
+// ===== HELPERS =====
+
+// Audit actor type for a user acting on their own account
+const getActorType = (user) => (
+  ['platform_admin', 'system_admin', 'platform_support'].includes(user.role_global) ? 'platform_user' : 'tenant_user'
+);
+
+const tooManyRequests = (res, retryInMs, message) => {
+  res.set('Retry-After', String(Math.ceil(retryInMs / 1000)));
+  return res.status(429).json({
+    error: 'Too Many Requests',
+    message,
+    status: 'error'
+  });
+};
+
+// Compared against when the email has no account, so unknown and known emails take as long
+const DUMMY_PASSWORD_HASH = bcrypt.hashSync('engageninja-no-such-user', 10);
+
+const formatWait = (ms) => {
+  const seconds = Math.ceil(ms / 1000);
+  return seconds < 120 ? `${seconds} seconds` : `${Math.ceil(seconds / 60)} minutes`;
+};
+
+/**
+ * Count a failed login, audit it, and when it locks the account email the owner an unlock link
+ */
+const handleLoginFailure = (req, email, user) => {
+  const { failureCount, locked, lockedUntil } = loginProtection.recordLoginFailure(email, req.ip);
+  const metadata = { email: String(email).toLowerCase(), failure_count: failureCount };
+
+  logAudit({
+    actorUserId: null,
+    actorType: 'system',
+    action: AUDIT_ACTIONS.AUTH_LOGIN_FAILED,
+    targetType: user ? 'user' : null,
+    targetId: user?.id || null,
+    metadata: { ...metadata, reason: user ? 'wrong_password' : 'unknown_email' },
+    ipAddress: req.ip
+  });
+  if (!locked) return;
+
+  logAudit({
+    actorUserId: null,
+    actorType: 'system',
+    action: AUDIT_ACTIONS.AUTH_LOCKED,
+    targetType: user ? 'user' : null,
+    targetId: user?.id || null,
+    metadata: { ...metadata, locked_until: lockedUntil },
+    ipAddress: req.ip
+  });
+
+  if (user && user.active !== 0) {
+    const token = loginProtection.createUnlockToken(user.id, lockedUntil);
+    new EmailService().sendAccountLockedEmail({
+      email: user.email,
+      name: user.first_name || user.name,
+      token,
+      lockedMinutes: loginProtection.LOCKOUT_MINUTES
+    }).catch(err => console.error('Account lock email error:', err));
+  }
+};
+
+/**
+ * Start the session for a user who passed every login step and send the login response
+ * @param {string} [ssoTenantId] - Set when the first step was the tenant's SSO; the session
+ *   is then limited to that tenant
+ */
+const completeLogin = (req, res, user, ssoTenantId = null) => {
+  const userTenants = db.prepare(`
+    SELECT ut.tenant_id, ut.role, t.name, t.plan_id, p.name as plan
+    FROM user_tenants ut
+    JOIN tenants t ON ut.tenant_id = t.id
+    JOIN plans p ON t.plan_id = p.id
+    WHERE ut.user_id = ?
+    ORDER BY ut.created_at
+  `).all(user.id).filter(t => !ssoTenantId || t.tenant_id === ssoTenantId);
+
+  if (!userTenants || userTenants.length === 0) {
+    return res.status(500).json({
+      error: 'No tenant found',
+      message: 'User has no associated tenants',
+      status: 'error'
+    });
+  }
+
+  // Determine active tenant: only auto-set when there is a single tenant
+  const hasMultipleTenants = userTenants.length > 1;
+  const activeTenantId = hasMultipleTenants ? null : userTenants[0].tenant_id;
+
+  // Set session
+  req.session.userId = user.id;
+  req.session.email = user.email;
+  req.session.activeTenantId = activeTenantId;
+  req.session.authMethod = ssoTenantId ? 'sso' : 'password';
+  if (ssoTenantId) {
+    req.session.ssoTenantId = ssoTenantId;
+  } else {
+    delete req.session.ssoTenantId;
+  }
+  recordSessionActivity(req);
+
+  const twoFactorEnabled = Boolean(user.totp_secret_encrypted);
+
+  return res.status(200).json({
+    user_id: user.id,
+    email: user.email,
+    name: user.name || null,
+    first_name: user.first_name || null,
+    last_name: user.last_name || null,
+    phone: user.phone || null,
+    timezone: user.timezone || null,
+    role_global: user.role_global,
+    tenants: userTenants.map(t => ({
+      tenant_id: t.tenant_id,
+      name: t.name,
+      plan: t.plan,
+      role: t.role
+    })),
+    active_tenant_id: activeTenantId,
+    must_select_tenant: hasMultipleTenants && !activeTenantId,
+    two_factor_enabled: twoFactorEnabled,
+    two_factor_setup_required: !twoFactorEnabled && twoFactor.isTwoFactorRequired(user),
+    status: 'success'
+  });
+};
+
 // ===== ROUTES =====
 
 /**
@@ -163,7 +303,7 @@ router.post('/signup', async (req, res) => {
     const trimmedCompanyName = companyName.trim();
 
     // Hash password
-    const passwordHash = bcrypt.hashSync(password, 10);
+    const passwordHash = await bcrypt.hash(password, 10);
 
     // Create user
     const userId = uuidv4();
@@ -213,6 +353,9 @@ router.post('/signup', async (req, res) => {
     req.session.userId = userId;
     req.session.email = normalizedEmail;
     req.session.activeTenantId = tenantId;
+    req.session.authMethod = 'password';
+    delete req.session.ssoTenantId;
+    recordSessionActivity(req);
 
     res.status(201).json({
       user_id: userId,
@@ -242,7 +385,7 @@ router.post('/signup', async (req, res) => {
  * POST /auth/login
  * Authenticate user with email and password
  */
-router.post('/login', (req, res) => {
+router.post('/login', async (req, res) => {
   try {
     ensureUserTableHasNameColumn();
     const { email, password } = req.body;
@@ -256,76 +399,140 @@ router.post('/login', (req, res) => {
       });
     }
 
-    // Find user
-    const user = db.prepare('SELECT id, email, name, first_name, last_name, phone, timezone, password_hash, role_global FROM users WHERE email = ?').get(email.toLowerCase());
-
-    if (!user) {
-      return res.status(401).json({
-        error: 'Invalid credentials',
-        message: 'Email or password is incorrect',
+    // Locked accounts and throttled accounts/IPs are refused before the password is checked;
+    // an allowed attempt counts as a failure until the password turns out right
+    const { allowed, reason, retryInMs } = loginProtection.reserveLoginAttempt(email, req.ip);
+    if (!allowed && reason === 'locked') {
+      res.set('Retry-After', String(Math.ceil(retryInMs / 1000)));
+      return res.status(423).json({
+        error: 'Account Locked',
+        message: `This account is locked after too many failed logins. Use the unlock link we emailed, reset your password, or try again in ${formatWait(retryInMs)}.`,
         status: 'error'
       });
     }
+    if (!allowed) {
+      return tooManyRequests(res, retryInMs, `Too many failed login attempts. Try again in ${formatWait(retryInMs)}.`);
+    }
+
+    // Find user
+    const user = db.prepare('SELECT id, email, name, first_name, last_name, phone, timezone, password_hash, role_global, active, totp_secret_encrypted FROM users WHERE email = ?').get(email.toLowerCase());
 
     // Verify password
-    const isPasswordValid = bcrypt.compareSync(password, user.password_hash);
-    if (!isPasswordValid) {
+    const isPasswordValid = await bcrypt.compare(password, user?.password_hash || DUMMY_PASSWORD_HASH);
+    if (!user || !isPasswordValid) {
+      handleLoginFailure(req, email, user);
       return res.status(401).json({
         error: 'Invalid credentials',
         message: 'Email or password is incorrect',
         status: 'error'
       });
     }
+    loginProtection.recordLoginSuccess(email, req.ip);
 
-    // Get user's tenants
-    const userTenants = db.prepare(`
-      SELECT ut.tenant_id, ut.role, t.name, t.plan_id, p.name as plan
-      FROM user_tenants ut
-      JOIN tenants t ON ut.tenant_id = t.id
-      JOIN plans p ON t.plan_id = p.id
-      WHERE ut.user_id = ?
-      ORDER BY ut.created_at
-    `).all(user.id);
+    if (!user.active) {
+      return res.status(403).json({
+        error: 'Account Deactivated',
+        message: 'This account has been deactivated. Contact your administrator.',
+        status: 'error'
+      });
+    }
 
-    if (!userTenants || userTenants.length === 0) {
-      return res.status(500).json({
-        error: 'No tenant found',
-        message: 'User has no associated tenants',
+    // Members of a tenant that enforces SSO sign in through its identity provider
+    const enforcedSso = sso.getEnforcedSsoTenant(user);
+    if (enforcedSso) {
+      return res.status(403).json({
+        error: 'SSO Required',
+        message: `${enforcedSso.tenant_name} requires single sign-on. Continue with your identity provider.`,
+        sso_required: true,
+        sso_login_url: sso.getLoginUrl(user.email),
         status: 'error'
       });
     }
 
-    // Determine active tenant: only auto-set when there is a single tenant
-    const hasMultipleTenants = userTenants.length > 1;
-    const activeTenantId = hasMultipleTenants ? null : userTenants[0].tenant_id;
+    // Accounts with 2FA finish signing in at POST /auth/login/2fa
+    if (user.totp_secret_encrypted) {
+      delete req.session.userId;
+      delete req.session.activeTenantId;
+      req.session.pendingTwoFactor = {
+        userId: user.id,
+        expiresAt: Date.now() + twoFactor.LOGIN_WINDOW_MS
+      };
+      return res.status(200).json({
+        two_factor_required: true,
+        message: 'Enter the code from your authenticator app',
+        status: 'success'
+      });
+    }
 
-    // Set session
-    req.session.userId = user.id;
-    req.session.email = user.email;
-    req.session.activeTenantId = activeTenantId;
+    return completeLogin(req, res, user);
 
-    res.status(200).json({
-      user_id: user.id,
-      email: user.email,
-      name: user.name || null,
-      first_name: user.first_name || null,
-      last_name: user.last_name || null,
-      phone: user.phone || null,
-      timezone: user.timezone || null,
-      role_global: user.role_global,
-      tenants: userTenants.map(t => ({
-        tenant_id: t.tenant_id,
-        name: t.name,
-        plan: t.plan,
-        role: t.role
-      })),
-      active_tenant_id: activeTenantId,
-      must_select_tenant: hasMultipleTenants && !activeTenantId,
-      status: 'success'
+  } catch (error) {
+    console.error('Login error:', error);
+    res.status(500).json({
+      error: 'Login failed',
+      message: error.message || 'An error occurred during login',
+      status: 'error'
     });
+  }
+});
+
+/**
+ * POST /auth/login/2fa
+ * Second login step: a code from the authenticator app or an unused recovery code
+ */
+router.post('/login/2fa', (req, res) => {
+  try {
+    const pending = req.session?.pendingTwoFactor;
+    if (!pending || pending.expiresAt <= Date.now()) {
+      if (req.session) delete req.session.pendingTwoFactor;
+      return res.status(401).json({
+        error: 'Unauthorized',
+        message: 'Your sign-in has expired. Log in again.',
+        status: 'error'
+      });
+    }
+
+    const { code } = req.body;
+    if (!code) {
+      return res.status(400).json({
+        error: 'Missing fields',
+        message: 'Code is required',
+        status: 'error'
+      });
+    }
+
+    const { allowed, retryInMs } = twoFactor.takeCodeAttemptToken(pending.userId);
+    if (!allowed) {
+      return tooManyRequests(res, retryInMs, 'Too many verification attempts. Try again later.');
+    }
+
+    const result = twoFactor.verifySecondFactor(pending.userId, code);
+    if (!result.valid) {
+      return res.status(401).json({
+        error: 'Invalid code',
+        message: 'That code is not valid',
+        status: 'error'
+      });
+    }
+
+    const user = db.prepare('SELECT id, email, name, first_name, last_name, phone, timezone, role_global, totp_secret_encrypted FROM users WHERE id = ?').get(pending.userId);
+    delete req.session.pendingTwoFactor;
+
+    if (result.method === 'recovery_code') {
+      logAudit({
+        actorUserId: user.id,
+        actorType: getActorType(user),
+        action: AUDIT_ACTIONS.USER_2FA_RECOVERY_USED,
+        targetType: 'user',
+        targetId: user.id,
+        metadata: { recovery_codes_remaining: twoFactor.getTwoFactorStatus(user.id).recovery_codes_remaining },
+        ipAddress: req.ip
+      });
+    }
 
+    return completeLogin(req, res, user, pending.ssoTenantId);
   } catch (error) {
-    console.error('Login error:', error);
+    console.error('Two-factor login error:', error);
     res.status(500).json({
       error: 'Login failed',
       message: error.message || 'An error occurred during login',
@@ -357,6 +564,15 @@ router.post('/switch-tenant', requireAuth, (req, res) => {
       WHERE ut.user_id = ? AND ut.tenant_id = ?
     `).get(req.session.userId, tenantId);
 
+    // An SSO session only vouches for the tenant whose identity provider signed the user in
+    if (req.session.ssoTenantId && tenantId !== req.session.ssoTenantId) {
+      return res.status(403).json({
+        error: 'Forbidden',
+        message: 'You signed in with single sign-on for another organization. Log in again to switch.',
+        status: 'error'
+      });
+    }
+
     if (!tenant) {
       // Platform admins can enter any tenant; create membership on the fly
       const user = db.prepare('SELECT role_global FROM users WHERE id = ?').get(req.session.userId);
@@ -471,7 +687,7 @@ router.post('/logout', (req, res) => {
 router.get('/me', requireAuth, (req, res) => {
   try {
     ensureUserTableHasNameColumn();
-    const user = db.prepare('SELECT id, email, name, first_name, last_name, phone, timezone, role_global, active FROM users WHERE id = ?').get(req.session.userId);
+    const user = db.prepare('SELECT id, email, name, first_name, last_name, phone, timezone, role_global, active, totp_secret_encrypted FROM users WHERE id = ?').get(req.session.userId);
 
     if (!user) {
       return res.status(401).json({
@@ -488,7 +704,7 @@ router.get('/me', requireAuth, (req, res) => {
       JOIN plans p ON t.plan_id = p.id
       WHERE ut.user_id = ?
       ORDER BY ut.created_at
-    `).all(user.id);
+    `).all(user.id).filter(t => !req.session.ssoTenantId || t.tenant_id === req.session.ssoTenantId);
 
     const hasMultipleTenants = userTenants.length > 1;
     const mustSelectTenant = hasMultipleTenants && !req.session.activeTenantId;
@@ -522,6 +738,9 @@ router.get('/me', requireAuth, (req, res) => {
       active_tenant_id: req.session.activeTenantId,
       active_tenant_role: currentTenantRole,
       must_select_tenant: mustSelectTenant,
+      two_factor_enabled: Boolean(user.totp_secret_encrypted),
+      two_factor_setup_required: !user.totp_secret_encrypted && req.session.authMethod !== 'sso'
+        && twoFactor.isTwoFactorRequired(user),
       status: 'success'
     });
 
@@ -601,7 +820,7 @@ router.put('/profile', requireAuth, (req, res) => {
  * POST /auth/change-password
  * Change current user's password
  */
-router.post('/change-password', requireAuth, (req, res) => {
+router.post('/change-password', requireAuth, async (req, res) => {
   try {
     const { current_password, new_password } = req.body;
     if (!current_password || !new_password) {
@@ -628,7 +847,7 @@ router.post('/change-password', requireAuth, (req, res) => {
       });
     }
 
-    const isCurrentValid = bcrypt.compareSync(current_password, user.password_hash);
+    const isCurrentValid = await bcrypt.compare(current_password, user.password_hash);
     if (!isCurrentValid) {
       return res.status(401).json({
         error: 'Invalid credentials',
@@ -637,7 +856,7 @@ router.post('/change-password', requireAuth, (req, res) => {
       });
     }
 
-    const newHash = bcrypt.hashSync(new_password, 10);
+    const newHash = await bcrypt.hash(new_password, 10);
     const now = new Date().toISOString();
     db.prepare('UPDATE users SET password_hash = ?, updated_at = ? WHERE id = ?').run(newHash, now, user.id);
 
@@ -655,6 +874,518 @@ router.post('/change-password', requireAuth, (req, res) => {
   }
 });
 
+/**
+ * POST /auth/forgot-password
+ * Email a single-use reset link. Responds the same whether or not the account exists.
+ */
+router.post('/forgot-password', (req, res) => {
+  try {
+    const email = String(req.body?.email || '').trim().toLowerCase();
+    if (!validateEmail(email)) {
+      return res.status(400).json({
+        error: 'Invalid email',
+        message: 'Please provide a valid email address',
+        status: 'error'
+      });
+    }
+
+    const user = db.prepare('SELECT id, email, name, first_name, role_global, active FROM users WHERE email = ?').get(email);
+    const { allowed, retryInMs } = passwordReset.takeResetRequestToken(req.ip, email);
+
+    if (user) {
+      logAudit({
+        actorUserId: user.id,
+        actorType: getActorType(user),
+        action: AUDIT_ACTIONS.USER_PASSWORD_RESET_REQUEST,
+        targetType: 'user',
+        targetId: user.id,
+        metadata: { rate_limited: !allowed },
+        ipAddress: req.ip
+      });
+    }
+    if (!allowed) {
+      return tooManyRequests(res, retryInMs, 'Too many password reset attempts. Try again later.');
+    }
+
+    // Deactivated accounts don't get a link
+    if (user && user.active !== 0) {
+      const { token } = passwordReset.createResetToken(user.id);
+      // Not awaited, so the response time doesn't reveal whether the account exists
+      new EmailService().sendPasswordResetEmail({
+        email: user.email,
+        name: user.first_name || user.name,
+        token,
+        expiresMinutes: passwordReset.TOKEN_EXPIRY_MINUTES
+      }).catch(err => console.error('Password reset email error:', err));
+    }
+
+    res.status(200).json({
+      status: 'success',
+      message: 'If an account exists for that email, a password reset link is on its way.'
+    });
+  } catch (error) {
+    console.error('Forgot password error:', error);
+    res.status(500).json({
+      error: 'Password reset failed',
+      message: error.message || 'Could not start password reset',
+      status: 'error'
+    });
+  }
+});
+
+/**
+ * POST /auth/reset-password
+ * Set a new password with a reset token and end the user's other sessions
+ */
+router.post('/reset-password', async (req, res) => {
+  try {
+    const { token, new_password } = req.body || {};
+    if (!token || !new_password) {
+      return res.status(400).json({
+        error: 'Missing fields',
+        message: 'Reset token and new password are required',
+        status: 'error'
+      });
+    }
+    if (!validatePassword(new_password)) {
+      return res.status(400).json({
+        error: 'Invalid password',
+        message: 'Password must be at least 9 characters',
+        status: 'error'
+      });
+    }
+
+    const { allowed, retryInMs } = passwordReset.takeResetAttemptToken(req.ip);
+    if (!allowed) {
+      return tooManyRequests(res, retryInMs, 'Too many password reset attempts. Try again later.');
+    }
+
+    const { userId, reason } = passwordReset.completeReset(token, await bcrypt.hash(new_password, 10));
+    if (reason) {
+      const messages = {
+        invalid: 'This password reset link is invalid. Request a new one.',
+        used: 'This password reset link has already been used. Request a new one.',
+        expired: 'This password reset link has expired. Request a new one.'
+      };
+      return res.status(400).json({
+        error: 'Invalid token',
+        message: messages[reason],
+        status: 'error'
+      });
+    }
+
+    const sessionsRevoked = await destroyUserSessions(req.sessionStore, userId, req.sessionID);
+    const user = db.prepare('SELECT id, email, role_global FROM users WHERE id = ?').get(userId);
+    // A new password also lifts a lockout
+    loginProtection.clearAccountFailures(user.email);
+    logAudit({
+      actorUserId: userId,
+      actorType: getActorType(user),
+      action: AUDIT_ACTIONS.USER_PASSWORD_RESET,
+      targetType: 'user',
+      targetId: userId,
+      metadata: { sessions_revoked: sessionsRevoked },
+      ipAddress: req.ip
+    });
+
+    res.status(200).json({
+      status: 'success',
+      message: 'Password reset. Log in with your new password.'
+    });
+  } catch (error) {
+    console.error('Reset password error:', error);
+    res.status(500).json({
+      error: 'Password reset failed',
+      message: error.message || 'Could not reset password',
+      status: 'error'
+    });
+  }
+});
+
+/**
+ * POST /auth/unlock-account
+ * Lift a lockout early with the single-use link emailed when the account locked
+ */
+router.post('/unlock-account', (req, res) => {
+  try {
+    const { userId, reason } = loginProtection.unlockAccount(req.body?.token);
+    if (reason) {
+      const messages = {
+        invalid: 'This unlock link is invalid.',
+        used: 'This unlock link has already been used.',
+        expired: 'This unlock link has expired, and so has the lock. You can log in again.'
+      };
+      return res.status(400).json({
+        error: 'Invalid token',
+        message: messages[reason],
+        status: 'error'
+      });
+    }
+
+    const user = db.prepare('SELECT id, role_global FROM users WHERE id = ?').get(userId);
+    logAudit({
+      actorUserId: userId,
+      actorType: getActorType(user),
+      action: AUDIT_ACTIONS.AUTH_UNLOCKED,
+      targetType: 'user',
+      targetId: userId,
+      ipAddress: req.ip
+    });
+
+    res.status(200).json({
+      status: 'success',
+      message: 'Account unlocked. You can log in again.'
+    });
+  } catch (error) {
+    console.error('Unlock account error:', error);
+    res.status(500).json({
+      error: 'Unlock failed',
+      message: error.message || 'Could not unlock account',
+      status: 'error'
+    });
+  }
+});
+
+// Checks a code from the user's authenticator (or a recovery code) behind the attempt limit.
+// Sends the error response and returns false when it doesn't pass.
+const checkSecondFactor = (req, res, userId, code) => {
+  if (!code) {
+    res.status(400).json({
+      error: 'Missing fields',
+      message: 'Code is required',
+      status: 'error'
+    });
+    return false;
+  }
+  const { allowed, retryInMs } = twoFactor.takeCodeAttemptToken(userId);
+  if (!allowed) {
+    tooManyRequests(res, retryInMs, 'Too many verification attempts. Try again later.');
+    return false;
+  }
+  if (!twoFactor.verifySecondFactor(userId, code).valid) {
+    res.status(401).json({
+      error: 'Invalid code',
+      message: 'That code is not valid',
+      status: 'error'
+    });
+    return false;
+  }
+  return true;
+};
+
+/**
+ * GET /auth/2fa
+ * Two-factor status for the current user, including whether a policy requires it
+ */
+router.get('/2fa', requireAuth, (req, res) => {
+  try {
+    res.json({
+      data: twoFactor.getTwoFactorStatus(req.session.userId),
+      status: 'success'
+    });
+  } catch (error) {
+    console.error('Get 2FA status error:', error);
+    res.status(500).json({
+      error: 'Failed to fetch two-factor status',
+      message: error.message,
+      status: 'error'
+    });
+  }
+});
+
+/**
+ * POST /auth/2fa/setup
+ * Start enrollment: a new secret with its provisioning URI and QR code.
+ * Nothing changes for login until the secret is confirmed at /2fa/enable.
+ */
+router.post('/2fa/setup', requireAuth, async (req, res) => {
+  try {
+    const status = twoFactor.getTwoFactorStatus(req.session.userId);
+    if (status.enabled) {
+      return res.status(400).json({
+        error: 'Already enabled',
+        message: 'Two-factor authentication is already on. Turn it off first to use a new device.',
+        status: 'error'
+      });
+    }
+
+    const enrollment = await twoFactor.beginEnrollment(req.session.userId);
+    res.json({
+      data: enrollment,
+      status: 'success'
+    });
+  } catch (error) {
+    console.error('2FA setup error:', error);
+    res.status(500).json({
+      error: 'Two-factor setup failed',
+      message: error.message,
+      status: 'error'
+    });
+  }
+});
+
+/**
+ * POST /auth/2fa/enable
+ * Confirm enrollment with a code from the new secret. Returns the recovery codes, once.
+ */
+router.post('/2fa/enable', requireAuth, (req, res) => {
+  try {
+    const { code } = req.body;
+    if (!code) {
+      return res.status(400).json({
+        error: 'Missing fields',
+        message: 'Code is required',
+        status: 'error'
+      });
+    }
+
+    const { allowed, retryInMs } = twoFactor.takeCodeAttemptToken(req.session.userId);
+    if (!allowed) {
+      return tooManyRequests(res, retryInMs, 'Too many verification attempts. Try again later.');
+    }
+
+    const { recoveryCodes, error } = twoFactor.confirmEnrollment(req.session.userId, code);
+    if (error) {
+      return res.status(400).json({
+        error: 'Invalid code',
+        message: error,
+        status: 'error'
+      });
+    }
+
+    const user = db.prepare('SELECT id, role_global FROM users WHERE id = ?').get(req.session.userId);
+    logAudit({
+      actorUserId: user.id,
+      actorType: getActorType(user),
+      action: AUDIT_ACTIONS.USER_2FA_ENABLE,
+      targetType: 'user',
+      targetId: user.id,
+      ipAddress: req.ip
+    });
+
+    res.json({
+      data: { recovery_codes: recoveryCodes },
+      message: 'Two-factor authentication is on',
+      status: 'success'
+    });
+  } catch (error) {
+    console.error('2FA enable error:', error);
+    res.status(500).json({
+      error: 'Two-factor setup failed',
+      message: error.message,
+      status: 'error'
+    });
+  }
+});
+
+/**
+ * POST /auth/2fa/recovery-codes
+ * Replace the recovery codes (the old ones stop working). Requires a current code.
+ */
+router.post('/2fa/recovery-codes', requireAuth, (req, res) => {
+  try {
+    const userId = req.session.userId;
+    if (!twoFactor.getTwoFactorStatus(userId).enabled) {
+      return res.status(400).json({
+        error: 'Not enabled',
+        message: 'Two-factor authentication is not on',
+        status: 'error'
+      });
+    }
+    if (!checkSecondFactor(req, res, userId, req.body.code)) return;
+
+    const recoveryCodes = twoFactor.createRecoveryCodes(userId);
+    const user = db.prepare('SELECT id, role_global FROM users WHERE id = ?').get(userId);
+    logAudit({
+      actorUserId: userId,
+      actorType: getActorType(user),
+      action: AUDIT_ACTIONS.USER_2FA_RECOVERY_CODES,
+      targetType: 'user',
+      targetId: userId,
+      ipAddress: req.ip
+    });
+
+    res.json({
+      data: { recovery_codes: recoveryCodes },
+      status: 'success'
+    });
+  } catch (error) {
+    console.error('2FA recovery codes error:', error);
+    res.status(500).json({
+      error: 'Failed to create recovery codes',
+      message: error.message,
+      status: 'error'
+    });
+  }
+});
+
+/**
+ * POST /auth/2fa/disable
+ * Turn 2FA off with the account password and a current code.
+ * Not allowed while a tenant or platform policy requires 2FA.
+ */
+router.post('/2fa/disable', requireAuth, async (req, res) => {
+  try {
+    const userId = req.session.userId;
+    const { password, code } = req.body;
+    const status = twoFactor.getTwoFactorStatus(userId);
+    if (!status.enabled) {
+      return res.status(400).json({
+        error: 'Not enabled',
+        message: 'Two-factor authentication is not on',
+        status: 'error'
+      });
+    }
+    if (status.required) {
+      return res.status(403).json({
+        error: 'Forbidden',
+        message: 'Two-factor authentication is required for your account and cannot be turned off',
+        status: 'error'
+      });
+    }
+
+    const user = db.prepare('SELECT id, role_global, password_hash FROM users WHERE id = ?').get(userId);
+    if (!password || !(await bcrypt.compare(password, user.password_hash))) {
+      return res.status(401).json({
+        error: 'Invalid credentials',
+        message: 'Password is incorrect',
+        status: 'error'
+      });
+    }
+    if (!checkSecondFactor(req, res, userId, code)) return;
+
+    twoFactor.disableTwoFactor(userId);
+    logAudit({
+      actorUserId: userId,
+      actorType: getActorType(user),
+      action: AUDIT_ACTIONS.USER_2FA_DISABLE,
+      targetType: 'user',
+      targetId: userId,
+      ipAddress: req.ip
+    });
+
+    res.json({
+      message: 'Two-factor authentication is off',
+      status: 'success'
+    });
+  } catch (error) {
+    console.error('2FA disable error:', error);
+    res.status(500).json({
+      error: 'Failed to turn off two-factor authentication',
+      message: error.message,
+      status: 'error'
+    });
+  }
+});
+
+/**
+ * GET /auth/sessions
+ * Where the current user is signed in: device, IP and last activity of each session
+ */
+router.get('/sessions', requireAuth, async (req, res) => {
+  try {
+    res.json({
+      data: await listUserSessions(req.sessionStore, req.session.userId, req.sessionID),
+      status: 'success'
+    });
+  } catch (error) {
+    console.error('List sessions error:', error);
+    res.status(500).json({
+      error: 'Failed to fetch sessions',
+      message: error.message,
+      status: 'error'
+    });
+  }
+});
+
+/**
+ * DELETE /auth/sessions
+ * Sign out every other session of the current user
+ */
+router.delete('/sessions', requireAuth, async (req, res) => {
+  try {
+    const userId = req.session.userId;
+    const sessionsRevoked = await destroyUserSessions(req.sessionStore, userId, req.sessionID);
+    const user = db.prepare('SELECT role_global FROM users WHERE id = ?').get(userId);
+
+    logAudit({
+      actorUserId: userId,
+      actorType: getActorType(user || {}),
+      tenantId: req.session.activeTenantId || null,
+      action: AUDIT_ACTIONS.USER_SESSION_REVOKE,
+      targetType: 'user',
+      targetId: userId,
+      metadata: { scope: 'others', sessions_revoked: sessionsRevoked },
+      ipAddress: req.ip
+    });
+
+    res.json({
+      data: { sessions_revoked: sessionsRevoked },
+      message: 'Signed out of all other sessions',
+      status: 'success'
+    });
+  } catch (error) {
+    console.error('Revoke sessions error:', error);
+    res.status(500).json({
+      error: 'Failed to revoke sessions',
+      message: error.message,
+      status: 'error'
+    });
+  }
+});
+
+/**
+ * DELETE /auth/sessions/:sessionId
+ * Sign out one session of the current user (id from GET /auth/sessions)
+ */
+router.delete('/sessions/:sessionId', requireAuth, async (req, res) => {
+  try {
+    const userId = req.session.userId;
+    const { sessionId } = req.params;
+
+    if (sessionId === publicSessionId(req.sessionID)) {
+      return res.status(400).json({
+        error: 'Current session',
+        message: 'Use log out to end the session you are using',
+        status: 'error'
+      });
+    }
+
+    const revoked = await destroyUserSession(req.sessionStore, userId, sessionId);
+    if (!revoked) {
+      return res.status(404).json({
+        error: 'Not Found',
+        message: 'Session not found',
+        status: 'error'
+      });
+    }
+
+    const user = db.prepare('SELECT role_global FROM users WHERE id = ?').get(userId);
+    logAudit({
+      actorUserId: userId,
+      actorType: getActorType(user || {}),
+      tenantId: req.session.activeTenantId || null,
+      action: AUDIT_ACTIONS.USER_SESSION_REVOKE,
+      targetType: 'user',
+      targetId: userId,
+      metadata: { scope: 'one', sessions_revoked: 1 },
+      ipAddress: req.ip
+    });
+
+    res.json({
+      message: 'Session signed out',
+      status: 'success'
+    });
+  } catch (error) {
+    console.error('Revoke session error:', error);
+    res.status(500).json({
+      error: 'Failed to revoke session',
+      message: error.message,
+      status: 'error'
+    });
+  }
+});
+
 /**
  * POST /auth/accept-invite
  * Accept a pending invitation and join a tenant
@@ -8,10 +8,44 @@ const router = express.Router();
 const db = require('../db');
 const { v4: uuidv4 } = require('uuid');
 const metricsEmitter = require('../services/metricsEmitter');
-const { getWhatsAppCredentials, getEmailCredentials } = require('../services/messageQueue');
+const { getEmailEngagement, getCampaignLinkClicks } = require('../services/emailTracking');
+const {
+  getWhatsAppCredentials,
+  getEmailCredentials,
+  getSmsCredentials,
+  enqueueMessageJobs,
+  reconcileMessageJobs,
+  markCampaignIfComplete
+} = require('../services/messageQueue');
 const { requireMember, requireAdmin } = require('../middleware/rbac');
 const { logAudit, AUDIT_ACTIONS } = require('../utils/audit');
 const { canTenantSendCampaigns } = require('../utils/subscriptionChecks');
+const {
+  USAGE_COLUMNS,
+  getMessageProvider,
+  getNoRecipientsMessage,
+  queueCampaignSend,
+  validateCampaignChannel
+} = require('../services/campaignSender');
+const { parseScheduleTime } = require('../utils/timezone');
+const { getSmsBody } = require('../services/sms');
+const {
+  resolveAudience,
+  resolveCampaignAudience,
+  resolveContactList,
+  formatAudienceSummary
+} = require('../services/audience');
+const { getSegment } = require('../services/segments');
+const {
+  validateAbTestInput,
+  saveCampaignAbTest,
+  copyCampaignAbTest,
+  getVariantMetrics,
+  formatAbTest
+} = require('../services/abTesting');
+
+// Carriers reassemble at most ~10 segments; Twilio rejects bodies over 1600 characters
+const SMS_MAX_BODY_LENGTH = 1600;
 
 // ===== MIDDLEWARE =====
 
@@ -57,6 +91,87 @@ const validateTenantAccess = (req, res, next) => {
   next();
 };
 
+// ===== HELPER FUNCTIONS =====
+
+/**
+ * Resolve a requested schedule time for the active tenant
+ * Wall-clock values ('YYYY-MM-DDTHH:mm') are interpreted in the tenant's timezone.
+ * Returns { scheduledAt, timezone } or { error }.
+ */
+function resolveScheduledAt(value, tenantId) {
+  const tenant = db.prepare('SELECT timezone FROM tenants WHERE id = ?').get(tenantId);
+  const timezone = tenant?.timezone || 'UTC';
+
+  if (!value) {
+    return { error: 'scheduled_at is required' };
+  }
+
+  const scheduledDate = parseScheduleTime(value, timezone);
+  if (!scheduledDate) {
+    return { error: 'scheduled_at must be an ISO timestamp or a local date/time (YYYY-MM-DDTHH:mm)' };
+  }
+
+  if (scheduledDate.getTime() <= Date.now()) {
+    return { error: 'Scheduled time must be in the future' };
+  }
+
+  return { scheduledAt: scheduledDate.toISOString(), timezone };
+}
+
+/**
+ * Check that a requested segment belongs to the tenant and hasn't been deleted
+ * Returns { segmentId } (null when no segment is requested) or { error }.
+ */
+function resolveSegmentReference(segmentId, tenantId) {
+  if (!segmentId) {
+    return { segmentId: null };
+  }
+
+  const segment = getSegment(tenantId, segmentId);
+  if (!segment || segment.deleted_at) {
+    return { error: 'Segment not found' };
+  }
+
+  return { segmentId: segment.id };
+}
+
+/**
+ * Validate the optional ab_test field of a create/update request
+ * undefined leaves the current test alone, null removes it.
+ * Returns { unchanged: true }, { config } (config is null to remove) or { error }.
+ */
+function resolveAbTestInput(abTest, tenantId, channel) {
+  if (abTest === undefined) {
+    return { unchanged: true };
+  }
+  if (abTest === null) {
+    return { config: null };
+  }
+
+  const result = validateAbTestInput(tenantId, channel, abTest);
+  if (result.error) {
+    return { error: result.error };
+  }
+  return { config: result.value };
+}
+
+/**
+ * A/B test summary and per-variant results (test slice only) for metrics responses
+ * Returns { abTest: null, variantMetrics: null } for campaigns without a test.
+ */
+function getAbTestResults(campaign) {
+  const abTest = formatAbTest(campaign);
+  if (!abTest) {
+    return { abTest: null, variantMetrics: null };
+  }
+
+  const variantMetrics = getVariantMetrics(campaign).map(variant => ({
+    ...variant,
+    is_winner: variant.id === campaign.ab_winner_variant_id
+  }));
+  return { abTest, variantMetrics };
+}
+
 // ===== ROUTES =====
 
 /**
@@ -80,6 +195,7 @@ router.get('/', requireAuth, validateTenantAccess, (req, res) => {
         c.status,
         c.created_at,
         c.sent_at,
+        c.scheduled_at,
         COUNT(m.id) as message_count,
         SUM(CASE WHEN m.status = 'sent' THEN 1 ELSE 0 END) as sent_count,
         SUM(CASE WHEN m.status = 'delivered' THEN 1 ELSE 0 END) as delivered_count,
@@ -141,7 +257,8 @@ router.get('/', requireAuth, validateTenantAccess, (req, res) => {
         read_count: campaign.read_count || 0,
         failed_count: campaign.failed_count || 0,
         created_at: campaign.created_at,
-        sent_at: campaign.sent_at
+        sent_at: campaign.sent_at,
+        scheduled_at: campaign.scheduled_at
       })),
       pagination: {
         limit: parsedLimit,
@@ -247,7 +364,9 @@ router.post('/', requireAuth, validateTenantAccess, (req, res) => {
       template_id,
       message_content,
       audience_filters,
-      subject
+      segment_id,
+      subject,
+      ab_test
     } = req.body;
 
     // Validate required fields
@@ -259,6 +378,15 @@ router.post('/', requireAuth, validateTenantAccess, (req, res) => {
       });
     }
 
+    const segmentResult = resolveSegmentReference(segment_id, req.tenantId);
+    if (segmentResult.error) {
+      return res.status(400).json({
+        error: 'Validation Error',
+        message: segmentResult.error,
+        status: 'error'
+      });
+    }
+
     // Channel-specific validation
     if (channel === 'whatsapp') {
       const creds = getWhatsAppCredentials(req.tenantId);
@@ -322,10 +450,51 @@ router.post('/', requireAuth, validateTenantAccess, (req, res) => {
       });
     }
 
+    if (channel === 'sms') {
+      const creds = getSmsCredentials(req.tenantId);
+      if (!creds) {
+        return res.status(400).json({
+          error: 'SMS Not Configured',
+          message: 'Connect SMS in Settings before creating an SMS campaign',
+          status: 'error'
+        });
+      }
+
+      // Normalize SMS payload to JSON { body }
+      const smsBody = getSmsBody(message_content).trim();
+
+      if (!smsBody) {
+        return res.status(400).json({
+          error: 'Validation Error',
+          message: 'Message body is required for SMS campaigns',
+          status: 'error'
+        });
+      }
+
+      if (smsBody.length > SMS_MAX_BODY_LENGTH) {
+        return res.status(400).json({
+          error: 'Validation Error',
+          message: `SMS body cannot exceed ${SMS_MAX_BODY_LENGTH} characters`,
+          status: 'error'
+        });
+      }
+
+      normalizedMessageContent = JSON.stringify({ body: smsBody });
+    }
+
     if (channel === 'whatsapp' && message_content && typeof message_content !== 'string') {
       normalizedMessageContent = JSON.stringify(message_content);
     }
 
+    const abTestResult = resolveAbTestInput(ab_test, req.tenantId, channel);
+    if (abTestResult.error) {
+      return res.status(400).json({
+        error: 'Validation Error',
+        message: abTestResult.error,
+        status: 'error'
+      });
+    }
+
     const campaignId = uuidv4();
     const now = new Date().toISOString();
 
@@ -333,23 +502,30 @@ router.post('/', requireAuth, validateTenantAccess, (req, res) => {
     const stmt = db.prepare(`
       INSERT INTO campaigns (
         id, tenant_id, name, description, channel, status, template_id,
-        message_content, audience_filters, created_at, updated_at
-      ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+        message_content, audience_filters, segment_id, created_at, updated_at
+      ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
     `);
 
-    stmt.run(
-      campaignId,
-      req.tenantId,
-      name,
-      description || null,
-      channel,
-      'draft',
-      template_id || null,
-      normalizedMessageContent || null,
-      audience_filters ? JSON.stringify(audience_filters) : null,
-      now,
-      now
-    );
+    db.transaction(() => {
+      stmt.run(
+        campaignId,
+        req.tenantId,
+        name,
+        description || null,
+        channel,
+        'draft',
+        template_id || null,
+        normalizedMessageContent || null,
+        audience_filters ? JSON.stringify(audience_filters) : null,
+        segmentResult.segmentId,
+        now,
+        now
+      );
+
+      if (abTestResult.config) {
+        saveCampaignAbTest({ id: campaignId, tenant_id: req.tenantId }, abTestResult.config);
+      }
+    })();
 
     // Fetch the created campaign
     const campaign = db.prepare('SELECT * FROM campaigns WHERE id = ?').get(campaignId);
@@ -432,23 +608,29 @@ router.post('/:id/duplicate', requireAuth, validateTenantAccess, (req, res) => {
 
     const newName = deriveVersionedName();
 
-    db.prepare(`
-      INSERT INTO campaigns (
-        id, tenant_id, name, description, channel, status, template_id,
-        message_content, audience_filters, created_at, updated_at
-      ) VALUES (?, ?, ?, ?, ?, 'draft', ?, ?, ?, ?, ?)
-    `).run(
-      newId,
-      req.tenantId,
-      newName,
-      campaign.description,
-      campaign.channel,
-      campaign.template_id,
-      campaign.message_content,
-      campaign.audience_filters,
-      now,
-      now
-    );
+    db.transaction(() => {
+      db.prepare(`
+        INSERT INTO campaigns (
+          id, tenant_id, name, description, channel, status, template_id,
+          message_content, audience_filters, segment_id, created_at, updated_at
+        ) VALUES (?, ?, ?, ?, ?, 'draft', ?, ?, ?, ?, ?, ?)
+      `).run(
+        newId,
+        req.tenantId,
+        newName,
+        campaign.description,
+        campaign.channel,
+        campaign.template_id,
+        campaign.message_content,
+        campaign.audience_filters,
+        campaign.segment_id,
+        now,
+        now
+      );
+
+      // Variant A was overwritten by the winner once the test finished; copy the variants as tested
+      copyCampaignAbTest(campaign, { id: newId, tenant_id: req.tenantId });
+    })();
 
     return res.status(201).json({
       status: 'success',
@@ -483,7 +665,9 @@ router.put('/:id', requireAuth, validateTenantAccess, (req, res) => {
       channel,
       template_id,
       message_content,
-      audience_filters
+      audience_filters,
+      segment_id,
+      ab_test
     } = req.body;
 
     const campaign = db.prepare(`
@@ -568,6 +752,38 @@ router.put('/:id', requireAuth, validateTenantAccess, (req, res) => {
       });
     }
 
+    if (channel === 'sms') {
+      const creds = getSmsCredentials(req.tenantId);
+      if (!creds) {
+        return res.status(400).json({
+          error: 'SMS Not Configured',
+          message: 'Connect SMS in Settings before editing an SMS campaign',
+          status: 'error'
+        });
+      }
+
+      // Normalize SMS payload to JSON { body }
+      const smsBody = getSmsBody(message_content).trim();
+
+      if (!smsBody) {
+        return res.status(400).json({
+          error: 'Validation Error',
+          message: 'Message body is required for SMS campaigns',
+          status: 'error'
+        });
+      }
+
+      if (smsBody.length > SMS_MAX_BODY_LENGTH) {
+        return res.status(400).json({
+          error: 'Validation Error',
+          message: `SMS body cannot exceed ${SMS_MAX_BODY_LENGTH} characters`,
+          status: 'error'
+        });
+      }
+
+      normalizedMessageContent = JSON.stringify({ body: smsBody });
+    }
+
     if (channel === 'whatsapp' && message_content && typeof message_content !== 'string') {
       normalizedMessageContent = JSON.stringify(message_content);
     }
@@ -580,22 +796,50 @@ router.put('/:id', requireAuth, validateTenantAccess, (req, res) => {
       });
     }
 
+    const segmentResult = resolveSegmentReference(segment_id, req.tenantId);
+    if (segmentResult.error) {
+      return res.status(400).json({
+        error: 'Validation Error',
+        message: segmentResult.error,
+        status: 'error'
+      });
+    }
+
+    const abTestResult = resolveAbTestInput(ab_test, req.tenantId, channel);
+    if (abTestResult.error) {
+      return res.status(400).json({
+        error: 'Validation Error',
+        message: abTestResult.error,
+        status: 'error'
+      });
+    }
+
     const now = new Date().toISOString();
-    db.prepare(`
-      UPDATE campaigns
-      SET name = ?, description = ?, channel = ?, template_id = ?, message_content = ?, audience_filters = ?, updated_at = ?
-      WHERE id = ? AND tenant_id = ?
-    `).run(
-      name,
-      description || null,
-      channel,
-      template_id || null,
-      normalizedMessageContent || null,
-      audience_filters ? JSON.stringify(audience_filters) : null,
-      now,
-      id,
-      req.tenantId
-    );
+    db.transaction(() => {
+      db.prepare(`
+        UPDATE campaigns
+        SET name = ?, description = ?, channel = ?, template_id = ?, message_content = ?, audience_filters = ?, segment_id = ?, updated_at = ?
+        WHERE id = ? AND tenant_id = ?
+      `).run(
+        name,
+        description || null,
+        channel,
+        template_id || null,
+        normalizedMessageContent || null,
+        audience_filters ? JSON.stringify(audience_filters) : null,
+        segmentResult.segmentId,
+        now,
+        id,
+        req.tenantId
+      );
+
+      if (!abTestResult.unchanged) {
+        saveCampaignAbTest(campaign, abTestResult.config);
+      } else if (channel !== campaign.channel) {
+        // Variants are channel-specific; switching channel drops the test
+        saveCampaignAbTest(campaign, null);
+      }
+    })();
 
     const updated = db.prepare(`SELECT id, name, channel, status, updated_at FROM campaigns WHERE id = ?`).get(id);
 
@@ -642,7 +886,8 @@ router.get('/roi-snapshot', requireAuth, validateTenantAccess, (req, res) => {
           resend_count: 0,
           uplift_reads: 0,
           avg_uplift_points: 0,
-          best_resend: null
+          best_resend: null,
+          email: getEmailEngagement([])
         },
         status: 'success'
       });
@@ -731,7 +976,9 @@ router.get('/roi-snapshot', requireAuth, validateTenantAccess, (req, res) => {
         resend_count: resendCount,
         uplift_reads: upliftReads,
         avg_uplift_points: parseFloat(avgUpliftPoints),
-        best_resend: bestResend
+        best_resend: bestResend,
+        // Opens and clicks tracked across the email campaigns in this window
+        email: getEmailEngagement(campaigns.filter(c => c.channel === 'email').map(c => c.id))
       },
       status: 'success'
     });
@@ -745,6 +992,85 @@ router.get('/roi-snapshot', requireAuth, validateTenantAccess, (req, res) => {
   }
 });
 
+/**
+ * POST /campaigns/audience/preview
+ * Count who a draft audience would reach, with excluded contacts broken down by reason
+ * Body: { channel, audience_filters, segment_id }
+ */
+router.post('/audience/preview', requireAuth, validateTenantAccess, (req, res) => {
+  try {
+    const { channel, audience_filters, segment_id } = req.body || {};
+
+    if (!['whatsapp', 'email', 'sms'].includes(channel)) {
+      return res.status(400).json({
+        error: 'Validation Error',
+        message: 'channel must be "whatsapp", "email" or "sms"',
+        status: 'error'
+      });
+    }
+
+    const segmentResult = resolveSegmentReference(segment_id, req.tenantId);
+    if (segmentResult.error) {
+      return res.status(400).json({
+        error: 'Validation Error',
+        message: segmentResult.error,
+        status: 'error'
+      });
+    }
+
+    const audience = resolveAudience({
+      tenantId: req.tenantId,
+      channel,
+      audienceFilters: audience_filters || null,
+      segmentId: segmentResult.segmentId
+    });
+
+    return res.json({
+      data: formatAudienceSummary(audience),
+      status: 'success'
+    });
+  } catch (error) {
+    console.error('Error previewing audience:', error);
+    return res.status(500).json({
+      error: 'Failed to preview audience',
+      message: error.message,
+      status: 'error'
+    });
+  }
+});
+
+/**
+ * GET /campaigns/:id/audience
+ * Current audience for a saved campaign (what a send right now would reach)
+ */
+router.get('/:id/audience', requireAuth, validateTenantAccess, (req, res) => {
+  try {
+    const campaign = db.prepare(`
+      SELECT * FROM campaigns WHERE id = ? AND tenant_id = ?
+    `).get(req.params.id, req.tenantId);
+
+    if (!campaign) {
+      return res.status(404).json({
+        error: 'Not Found',
+        message: 'Campaign not found',
+        status: 'error'
+      });
+    }
+
+    return res.json({
+      data: formatAudienceSummary(resolveCampaignAudience(campaign)),
+      status: 'success'
+    });
+  } catch (error) {
+    console.error('Error resolving campaign audience:', error);
+    return res.status(500).json({
+      error: 'Failed to resolve audience',
+      message: error.message,
+      status: 'error'
+    });
+  }
+});
+
 router.get('/:id/metrics', requireAuth, validateTenantAccess, (req, res) => {
   try {
     const { id } = req.params;
@@ -772,7 +1098,9 @@ router.get('/:id/metrics', requireAuth, validateTenantAccess, (req, res) => {
         SUM(CASE WHEN status = 'delivered' THEN 1 ELSE 0 END) as delivered_count,
         SUM(CASE WHEN status = 'read' THEN 1 ELSE 0 END) as read_count,
         SUM(CASE WHEN status = 'failed' THEN 1 ELSE 0 END) as failed_count,
-        MAX(status_reason) as last_error,
+        SUM(CASE WHEN status = 'cancelled' THEN 1 ELSE 0 END) as cancelled_count,
+        MAX(CASE WHEN status != 'cancelled' THEN status_reason END) as last_error,
+        MIN(CASE WHEN status = 'queued' THEN next_attempt_at END) as next_retry_at,
         MAX(updated_at) as last_message_update
       FROM messages
       WHERE campaign_id = ?
@@ -832,6 +1160,9 @@ router.get('/:id/metrics', requireAuth, validateTenantAccess, (req, res) => {
       };
     }
 
+    const { abTest, variantMetrics } = getAbTestResults(campaign);
+    const isEmail = campaign.channel === 'email';
+
     return res.json({
       campaign: {
         id: campaign.id,
@@ -839,7 +1170,9 @@ router.get('/:id/metrics', requireAuth, validateTenantAccess, (req, res) => {
         channel: campaign.channel,
         status: campaign.status,
         sent_at: campaign.sent_at,
-        completed_at: campaign.completed_at
+        completed_at: campaign.completed_at,
+        paused_at: campaign.paused_at,
+        cancelled_at: campaign.cancelled_at
       },
       metrics: {
         queued: metrics.queued_count || 0,
@@ -848,13 +1181,19 @@ router.get('/:id/metrics', requireAuth, validateTenantAccess, (req, res) => {
         delivered: metrics.delivered_count || 0,
         read: metrics.read_count || 0,
         failed: metrics.failed_count || 0,
+        cancelled: metrics.cancelled_count || 0,
         total: totalSent,
         read_rate: parseFloat(readRate),
         last_error: metrics.last_error || null,
+        next_retry_at: metrics.next_retry_at || null,
         last_message_update: metrics.last_message_update || null
       },
       resend_metrics: resendMetrics,
       uplift: upliftData,
+      ab_test: abTest,
+      variants: variantMetrics,
+      engagement: isEmail ? getEmailEngagement([campaign.id]) : null,
+      links: isEmail ? getCampaignLinkClicks(campaign.id) : [],
       status: 'success'
     });
   } catch (error) {
@@ -896,10 +1235,13 @@ router.get('/:id', requireAuth, validateTenantAccess, (req, res) => {
         SUM(CASE WHEN status = 'delivered' THEN 1 ELSE 0 END) as delivered_count,
         SUM(CASE WHEN status = 'read' THEN 1 ELSE 0 END) as read_count,
         SUM(CASE WHEN status = 'failed' THEN 1 ELSE 0 END) as failed_count,
-        MAX(status_reason) as last_error
+        SUM(CASE WHEN status = 'cancelled' THEN 1 ELSE 0 END) as cancelled_count,
+        MAX(CASE WHEN status != 'cancelled' THEN status_reason END) as last_error
       FROM messages WHERE campaign_id = ?
     `).get(id);
 
+    const segment = campaign.segment_id ? getSegment(req.tenantId, campaign.segment_id) : null;
+
     return res.json({
       data: {
         id: campaign.id,
@@ -910,9 +1252,18 @@ router.get('/:id', requireAuth, validateTenantAccess, (req, res) => {
         template_id: campaign.template_id,
         message_content: campaign.message_content,
         audience_filters: campaign.audience_filters ? JSON.parse(campaign.audience_filters) : null,
+        segment_id: campaign.segment_id,
+        segment: segment
+          ? { id: segment.id, name: segment.name, deleted: Boolean(segment.deleted_at) }
+          : null,
         created_at: campaign.created_at,
         updated_at: campaign.updated_at,
         sent_at: campaign.sent_at,
+        scheduled_at: campaign.scheduled_at,
+        schedule_error: campaign.schedule_error,
+        paused_at: campaign.paused_at,
+        cancelled_at: campaign.cancelled_at,
+        ab_test: formatAbTest(campaign),
         metrics: {
           total: metrics.total || 0,
           queued: metrics.queued_count || 0,
@@ -920,6 +1271,7 @@ router.get('/:id', requireAuth, validateTenantAccess, (req, res) => {
           delivered: metrics.delivered_count || 0,
           read: metrics.read_count || 0,
           failed: metrics.failed_count || 0,
+          cancelled: metrics.cancelled_count || 0,
           last_error: metrics.last_error || null
         }
       },
@@ -942,7 +1294,7 @@ router.get('/:id', requireAuth, validateTenantAccess, (req, res) => {
 router.patch('/:id', requireAuth, validateTenantAccess, (req, res) => {
   try {
     const { id } = req.params;
-    const { name, description, message_content, audience_filters } = req.body;
+    const { name, description, message_content, audience_filters, segment_id } = req.body;
 
     // Check if campaign exists and is in draft status
     const campaign = db.prepare(`
@@ -965,6 +1317,16 @@ router.patch('/:id', requireAuth, validateTenantAccess, (req, res) => {
       });
     }
 
+    // segment_id: null clears the segment, omitted leaves it unchanged
+    const segmentResult = resolveSegmentReference(segment_id, req.tenantId);
+    if (segmentResult.error) {
+      return res.status(400).json({
+        error: 'Validation Error',
+        message: segmentResult.error,
+        status: 'error'
+      });
+    }
+
     const now = new Date().toISOString();
 
     // Update campaign
@@ -974,6 +1336,7 @@ router.patch('/:id', requireAuth, validateTenantAccess, (req, res) => {
           description = COALESCE(?, description),
           message_content = COALESCE(?, message_content),
           audience_filters = COALESCE(?, audience_filters),
+          segment_id = CASE WHEN ? THEN ? ELSE segment_id END,
           updated_at = ?
       WHERE id = ? AND tenant_id = ?
     `);
@@ -983,6 +1346,8 @@ router.patch('/:id', requireAuth, validateTenantAccess, (req, res) => {
       description || null,
       message_content || null,
       audience_filters ? JSON.stringify(audience_filters) : null,
+      segment_id !== undefined ? 1 : 0,
+      segmentResult.segmentId,
       now,
       id,
       req.tenantId
@@ -999,6 +1364,7 @@ router.patch('/:id', requireAuth, validateTenantAccess, (req, res) => {
         channel: updated.channel,
         status: updated.status,
         message_content: updated.message_content,
+        segment_id: updated.segment_id,
         updated_at: updated.updated_at
       },
       status: 'success',
@@ -1043,310 +1409,551 @@ router.post('/:id/send', requireAuth, validateTenantAccess, requireMember, (req,
       });
     }
 
-    // Parse audience filters
-    const audienceFilters = campaign.audience_filters ? JSON.parse(campaign.audience_filters) : {};
-
-    // Get all contacts for this tenant that match audience filters
-    let contactQuery = 'SELECT id FROM contacts WHERE tenant_id = ? AND deleted_at IS NULL';
-    let params = [req.tenantId];
-
-    // Filter by tags if specified
-    if (audienceFilters.tags && audienceFilters.tags.length > 0) {
-      const placeholders = audienceFilters.tags.map(() => '?').join(',');
-      contactQuery = `
-        SELECT DISTINCT c.id FROM contacts c
-        INNER JOIN contact_tags ct ON c.id = ct.contact_id
-        INNER JOIN tags t ON ct.tag_id = t.id
-        WHERE c.tenant_id = ? AND c.deleted_at IS NULL
-        AND t.id IN (${placeholders})
-        GROUP BY c.id
-        HAVING COUNT(DISTINCT t.id) = ?
-      `;
-      params = [req.tenantId, ...audienceFilters.tags, audienceFilters.tags.length];
-    }
-
-    const contacts = db.prepare(contactQuery).all(...params);
-    const audienceCount = contacts.length;
-
-    if (audienceCount === 0) {
-      return res.status(400).json({
-        error: 'No Recipients',
-        message: 'No contacts match the specified audience filters',
+    const result = queueCampaignSend(campaign, req.session.userId);
+    if (!result.success) {
+      return res.status(result.statusCode).json({
+        error: result.error,
+        message: result.message,
+        ...result.extra,
         status: 'error'
       });
     }
 
-    // Channel-level validations before queueing messages
-    if (campaign.channel === 'whatsapp') {
-      const creds = getWhatsAppCredentials(req.tenantId);
-      if (!creds || !creds.access_token || !creds.phone_number_id) {
-        return res.status(400).json({
-          error: 'WhatsApp Not Configured',
-          message: 'Connect WhatsApp in Settings before sending this campaign',
-          status: 'error'
-        });
-      }
-      if (!campaign.template_id) {
-        return res.status(400).json({
-          error: 'Validation Error',
-          message: 'Template is required to send a WhatsApp campaign',
-          status: 'error'
-        });
-      }
-
-      // Validate template variable count matches payload
-      const tmpl = db.prepare(`
-        SELECT body_variables, header_variables, variable_count, buttons_json
-        FROM whatsapp_templates
-        WHERE id = ? AND tenant_id = ?
-      `).get(campaign.template_id, req.tenantId);
-
-      let requiredVars = [];
-      let requiredCount = 0;
-      let buttonVars = [];
-      try {
-        const bodyVars = tmpl?.body_variables ? JSON.parse(tmpl.body_variables) : [];
-        const headerVars = tmpl?.header_variables ? JSON.parse(tmpl.header_variables) : [];
-        // Button URL placeholders
-        if (tmpl?.buttons_json) {
-          try {
-            const buttons = JSON.parse(tmpl.buttons_json) || [];
-            buttons.forEach(btn => {
-              if (btn.type === 'URL' && typeof btn.url === 'string') {
-                const matches = btn.url.match(/\{\{(\w+)\}\}/g);
-                if (matches) {
-                  matches.forEach(m => buttonVars.push(m.replace(/\{\{|\}\}/g, '')));
-                }
-              }
-            });
-          } catch (e) {
-            // ignore
-          }
-        }
-
-        requiredVars = Array.from(new Set([...(bodyVars || []), ...(headerVars || []), ...(buttonVars || [])])).filter(Boolean);
-        requiredCount = requiredVars.length;
-      } catch (e) {
-        // ignore parse errors; treat as no requirements
-        requiredVars = [];
-      }
-      if (!requiredCount && typeof tmpl?.variable_count === 'number') {
-        requiredCount = tmpl.variable_count;
-      }
+    const { audienceCount, audience, messageIds, abTest } = result;
 
-      if (requiredVars.length > 0 || requiredCount > 0) {
-        let providedVars = [];
-        try {
-          const parsed = typeof campaign.message_content === 'string'
-            ? JSON.parse(campaign.message_content)
-            : campaign.message_content || {};
-          const staticVars = parsed.static || {};
-          const mappingVars = parsed.mapping || {};
-          providedVars = Array.from(new Set([...Object.keys(staticVars), ...Object.keys(mappingVars)]));
-        } catch (e) {
-          providedVars = [];
-        }
+    // Log audit event
+    logAudit({
+      actorUserId: req.session.userId,
+      actorType: 'tenant_user',
+      tenantId: req.tenantId,
+      action: AUDIT_ACTIONS.CAMPAIGN_SEND,
+      targetType: 'campaign',
+      targetId: campaign.id,
+      metadata: {
+        campaignName: campaign.name,
+        channel: campaign.channel,
+        audienceCount,
+        excluded: audience.excluded,
+        messageIds: messageIds.length,
+        abTestCount: abTest ? abTest.testCount : undefined
+      },
+      ipAddress: req.ip
+    });
 
-        const missing = requiredVars.filter(v => !providedVars.includes(String(v)));
-        if (missing.length > 0 || (requiredCount && providedVars.length < requiredCount)) {
-          return res.status(400).json({
-            error: 'Template Variables Missing',
-            message: missing.length > 0
-              ? `Missing values for template variables: ${missing.join(', ')}`
-              : `Template expects ${requiredCount} variables but only ${providedVars.length} provided`,
-            status: 'error'
-          });
-        }
-      }
-    } else if (campaign.channel === 'email') {
-      const creds = getEmailCredentials(req.tenantId);
-      if (!creds) {
-        return res.status(400).json({
-          error: 'Email Not Configured',
-          message: 'Connect Email (SES/Brevo) in Settings before sending this campaign',
-          status: 'error'
-        });
-      }
-      let emailContent = {};
-      try {
-        emailContent = typeof campaign.message_content === 'string'
-          ? JSON.parse(campaign.message_content)
-          : campaign.message_content || {};
-      } catch {
-        emailContent = {};
-      }
-      const emailSubject = (emailContent.subject || campaign.name || '').trim();
-      const htmlBody = emailContent.htmlBody || emailContent.html || (typeof campaign.message_content === 'string' ? campaign.message_content : '');
-      const textBody = emailContent.textBody || emailContent.text || '';
-      if (!emailSubject || (!htmlBody && !textBody)) {
-        return res.status(400).json({
-          error: 'Validation Error',
-          message: 'Email subject and body are required before sending',
-          status: 'error'
-        });
-      }
+    // Return success with metrics
+    // A/B tests only queue the test slice now; the rest follows once the winner is picked
+    return res.json({
+      data: {
+        id: campaign.id,
+        status: 'sending',
+        audience_count: audienceCount,
+        audience: formatAudienceSummary(audience),
+        message_ids: messageIds,
+        ab_test: abTest
+          ? { test_count: abTest.testCount, winner_due_at: abTest.winnerDueAt }
+          : null,
+        metrics: {
+          total: messageIds.length,
+          queued: messageIds.length,
+          sent: 0,
+          delivered: 0,
+          read: 0,
+          failed: 0
+        }
+      },
+      status: 'success',
+      message: 'Campaign sent successfully'
+    });
+  } catch (error) {
+    console.error('Error sending campaign:', error);
+    return res.status(500).json({
+      error: 'Failed to send campaign',
+      message: error.message,
+      status: 'error'
+    });
+  }
+});
+
+/**
+ * POST /campaigns/:id/schedule
+ * Schedule a draft campaign to be sent at a future time
+ * Body: { scheduled_at } - ISO timestamp, or local date/time in the tenant timezone
+ */
+router.post('/:id/schedule', requireAuth, validateTenantAccess, requireMember, (req, res) => {
+  try {
+    const { id } = req.params;
+    const { scheduled_at } = req.body || {};
+
+    const campaign = db.prepare(`
+      SELECT * FROM campaigns WHERE id = ? AND tenant_id = ?
+    `).get(id, req.tenantId);
+
+    if (!campaign) {
+      return res.status(404).json({
+        error: 'Not Found',
+        message: 'Campaign not found',
+        status: 'error'
+      });
     }
 
-    // Get user's plan
-    const tenant = db.prepare('SELECT plan_id FROM tenants WHERE id = ?').get(req.tenantId);
-    const plan = db.prepare('SELECT * FROM plans WHERE id = ?').get(tenant.plan_id);
+    if (campaign.status !== 'draft') {
+      return res.status(400).json({
+        error: 'Invalid Operation',
+        message: 'Campaign must be in draft status to schedule',
+        status: 'error'
+      });
+    }
 
-    // Check subscription status and grace period before allowing campaign send
-    const subscriptionCheck = canTenantSendCampaigns(db, req.tenantId);
-    if (!subscriptionCheck.allowed) {
-      return res.status(403).json({
-        error: 'Subscription Issue',
-        message: subscriptionCheck.reason,
-        status: 'error',
-        graceUntil: subscriptionCheck.graceUntil,
-        failureReason: subscriptionCheck.failureReason,
-        expired: subscriptionCheck.expired
+    const schedule = resolveScheduledAt(scheduled_at, req.tenantId);
+    if (schedule.error) {
+      return res.status(400).json({
+        error: 'Validation Error',
+        message: schedule.error,
+        status: 'error'
       });
     }
 
-    // Get current month usage
-    const now = new Date();
-    const yearMonth = `${now.getFullYear()}-${String(now.getMonth() + 1).padStart(2, '0')}`;
+    // Surface configuration problems now rather than when the scheduler runs
+    const audience = resolveCampaignAudience(campaign);
+    if (audience.eligibleCount === 0) {
+      return res.status(400).json({
+        error: 'No Recipients',
+        message: getNoRecipientsMessage(audience),
+        audience: formatAudienceSummary(audience),
+        status: 'error'
+      });
+    }
 
-    let usage = db.prepare(`
-      SELECT * FROM usage_counters
-      WHERE tenant_id = ? AND year_month = ?
-    `).get(req.tenantId, yearMonth);
+    const channelError = validateCampaignChannel(campaign);
+    if (channelError) {
+      return res.status(channelError.statusCode).json({
+        error: channelError.error,
+        message: channelError.message,
+        status: 'error'
+      });
+    }
 
-    // Get plan overrides if they exist
-    const overrides = db.prepare(`SELECT * FROM plan_overrides WHERE tenant_id = ?`).get(req.tenantId);
+    const now = new Date().toISOString();
+    db.prepare(`
+      UPDATE campaigns
+      SET status = 'scheduled', scheduled_at = ?, scheduled_by = ?, schedule_error = NULL, updated_at = ?
+      WHERE id = ?
+    `).run(schedule.scheduledAt, req.session.userId, now, campaign.id);
 
-    // Determine message type and get current usage
-    let currentUsage = 0;
-    let messageType = campaign.channel === 'whatsapp' ? 'whatsapp_messages_sent' : 'email_messages_sent';
+    logAudit({
+      actorUserId: req.session.userId,
+      actorType: 'tenant_user',
+      tenantId: req.tenantId,
+      action: AUDIT_ACTIONS.CAMPAIGN_SCHEDULE,
+      targetType: 'campaign',
+      targetId: campaign.id,
+      metadata: {
+        campaignName: campaign.name,
+        scheduledAt: schedule.scheduledAt,
+        timezone: schedule.timezone
+      },
+      ipAddress: req.ip
+    });
 
-    // Use override limit if set, otherwise use plan default
-    let planLimit;
-    if (campaign.channel === 'whatsapp') {
-      planLimit = overrides?.wa_messages_override ?? plan.whatsapp_messages_per_month;
-    } else if (campaign.channel === 'email') {
-      planLimit = overrides?.emails_override ?? plan.email_messages_per_month;
-    } else {
-      planLimit = 0;
+    return res.json({
+      data: {
+        id: campaign.id,
+        status: 'scheduled',
+        scheduled_at: schedule.scheduledAt,
+        timezone: schedule.timezone
+      },
+      status: 'success',
+      message: 'Campaign scheduled successfully'
+    });
+  } catch (error) {
+    console.error('Error scheduling campaign:', error);
+    return res.status(500).json({
+      error: 'Failed to schedule campaign',
+      message: error.message,
+      status: 'error'
+    });
+  }
+});
+
+/**
+ * PATCH /campaigns/:id/schedule
+ * Move a scheduled campaign to a new send time
+ * Body: { scheduled_at } - ISO timestamp, or local date/time in the tenant timezone
+ */
+router.patch('/:id/schedule', requireAuth, validateTenantAccess, requireMember, (req, res) => {
+  try {
+    const { id } = req.params;
+    const { scheduled_at } = req.body || {};
+
+    const campaign = db.prepare(`
+      SELECT * FROM campaigns WHERE id = ? AND tenant_id = ?
+    `).get(id, req.tenantId);
+
+    if (!campaign) {
+      return res.status(404).json({
+        error: 'Not Found',
+        message: 'Campaign not found',
+        status: 'error'
+      });
     }
 
-    if (usage) {
-      currentUsage = usage[messageType] || 0;
+    if (campaign.status !== 'scheduled') {
+      return res.status(400).json({
+        error: 'Invalid Operation',
+        message: 'Only scheduled campaigns can be rescheduled',
+        status: 'error'
+      });
     }
 
-    // Check plan limits (hard cap enforcement)
-    if (currentUsage + audienceCount > planLimit) {
-      return res.status(403).json({
-        error: 'Usage Limit Exceeded',
-        message: `You've used ${currentUsage} of ${planLimit} ${campaign.channel} messages this month. Upgrade your plan to send more.`,
-        current: currentUsage,
-        limit: planLimit,
-        remaining: Math.max(0, planLimit - currentUsage),
-        requested: audienceCount,
+    const schedule = resolveScheduledAt(scheduled_at, req.tenantId);
+    if (schedule.error) {
+      return res.status(400).json({
+        error: 'Validation Error',
+        message: schedule.error,
         status: 'error'
       });
     }
 
-    // Create message records (one per recipient)
-    const messageInsertStmt = db.prepare(`
-      INSERT INTO messages (
-        id, tenant_id, campaign_id, contact_id, channel, provider,
-        status, attempts, created_at, updated_at
-      ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
-    `);
+    const now = new Date().toISOString();
+    db.prepare(`
+      UPDATE campaigns
+      SET scheduled_at = ?, scheduled_by = ?, updated_at = ?
+      WHERE id = ? AND status = 'scheduled'
+    `).run(schedule.scheduledAt, req.session.userId, now, campaign.id);
 
-    const now_iso = new Date().toISOString();
-    const messageIds = [];
+    logAudit({
+      actorUserId: req.session.userId,
+      actorType: 'tenant_user',
+      tenantId: req.tenantId,
+      action: AUDIT_ACTIONS.CAMPAIGN_RESCHEDULE,
+      targetType: 'campaign',
+      targetId: campaign.id,
+      metadata: {
+        campaignName: campaign.name,
+        previousScheduledAt: campaign.scheduled_at,
+        scheduledAt: schedule.scheduledAt,
+        timezone: schedule.timezone
+      },
+      ipAddress: req.ip
+    });
 
-    for (const contact of contacts) {
-      const messageId = uuidv4();
-      messageIds.push(messageId);
-      messageInsertStmt.run(
-        messageId,
-        req.tenantId,
-        campaign.id,
-        contact.id,
-        campaign.channel,
-        campaign.channel === 'whatsapp' ? 'whatsapp_cloud' : 'ses',
-        'queued',
-        1,
-        now_iso,
-        now_iso
-      );
+    return res.json({
+      data: {
+        id: campaign.id,
+        status: 'scheduled',
+        scheduled_at: schedule.scheduledAt,
+        timezone: schedule.timezone
+      },
+      status: 'success',
+      message: 'Campaign rescheduled successfully'
+    });
+  } catch (error) {
+    console.error('Error rescheduling campaign:', error);
+    return res.status(500).json({
+      error: 'Failed to reschedule campaign',
+      message: error.message,
+      status: 'error'
+    });
+  }
+});
+
+/**
+ * DELETE /campaigns/:id/schedule
+ * Cancel a scheduled send and return the campaign to draft
+ */
+router.delete('/:id/schedule', requireAuth, validateTenantAccess, requireMember, (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const campaign = db.prepare(`
+      SELECT * FROM campaigns WHERE id = ? AND tenant_id = ?
+    `).get(id, req.tenantId);
+
+    if (!campaign) {
+      return res.status(404).json({
+        error: 'Not Found',
+        message: 'Campaign not found',
+        status: 'error'
+      });
+    }
+
+    if (campaign.status !== 'scheduled') {
+      return res.status(400).json({
+        error: 'Invalid Operation',
+        message: 'Campaign is not scheduled',
+        status: 'error'
+      });
     }
 
-    // Update campaign status to "sending"
+    const now = new Date().toISOString();
     db.prepare(`
       UPDATE campaigns
-      SET status = 'sending', sent_at = ?, sent_by = ?, updated_at = ?
-      WHERE id = ?
-    `).run(now_iso, req.session.userId, now_iso, campaign.id);
+      SET status = 'draft', scheduled_at = NULL, scheduled_by = NULL, updated_at = ?
+      WHERE id = ? AND status = 'scheduled'
+    `).run(now, campaign.id);
 
-    // Update usage counter
-    if (usage) {
-      db.prepare(`
-        UPDATE usage_counters
-        SET ${messageType} = ${messageType} + ?
-        WHERE tenant_id = ? AND year_month = ?
-      `).run(audienceCount, req.tenantId, yearMonth);
-    } else {
-      const counterStmt = db.prepare(`
-        INSERT INTO usage_counters (
-          id, tenant_id, year_month, whatsapp_messages_sent,
-          email_messages_sent, updated_at
-        ) VALUES (?, ?, ?, ?, ?, ?)
-      `);
-      const counterId = uuidv4();
-      counterStmt.run(
-        counterId,
-        req.tenantId,
-        yearMonth,
-        campaign.channel === 'whatsapp' ? audienceCount : 0,
-        campaign.channel === 'email' ? audienceCount : 0,
-        now_iso
-      );
+    logAudit({
+      actorUserId: req.session.userId,
+      actorType: 'tenant_user',
+      tenantId: req.tenantId,
+      action: AUDIT_ACTIONS.CAMPAIGN_UNSCHEDULE,
+      targetType: 'campaign',
+      targetId: campaign.id,
+      metadata: {
+        campaignName: campaign.name,
+        scheduledAt: campaign.scheduled_at
+      },
+      ipAddress: req.ip
+    });
+
+    return res.json({
+      data: {
+        id: campaign.id,
+        status: 'draft'
+      },
+      status: 'success',
+      message: 'Scheduled send cancelled'
+    });
+  } catch (error) {
+    console.error('Error cancelling scheduled campaign:', error);
+    return res.status(500).json({
+      error: 'Failed to cancel scheduled campaign',
+      message: error.message,
+      status: 'error'
+    });
+  }
+});
+
+/**
+ * POST /campaigns/:id/pause
+ * Stop sending a campaign that is in "sending" status
+ * Queued messages stay queued and are skipped by the queue until the campaign is
+ * resumed. Messages already handed to a worker still go out.
+ */
+router.post('/:id/pause', requireAuth, validateTenantAccess, requireMember, (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const campaign = db.prepare(`
+      SELECT * FROM campaigns WHERE id = ? AND tenant_id = ?
+    `).get(id, req.tenantId);
+
+    if (!campaign) {
+      return res.status(404).json({
+        error: 'Not Found',
+        message: 'Campaign not found',
+        status: 'error'
+      });
     }
 
-    // Return success with metrics
+    if (campaign.status !== 'sending') {
+      return res.status(400).json({
+        error: 'Invalid Operation',
+        message: 'Only a campaign that is sending can be paused',
+        status: 'error'
+      });
+    }
+
+    const now = new Date().toISOString();
+    db.prepare(`
+      UPDATE campaigns
+      SET status = 'paused', paused_at = ?, paused_by = ?, updated_at = ?
+      WHERE id = ? AND status = 'sending'
+    `).run(now, req.session.userId, now, campaign.id);
+
+    const { queued } = db.prepare(`
+      SELECT COUNT(*) as queued FROM messages WHERE campaign_id = ? AND status IN ('queued', 'processing')
+    `).get(campaign.id);
+
+    logAudit({
+      actorUserId: req.session.userId,
+      actorType: 'tenant_user',
+      tenantId: req.tenantId,
+      action: AUDIT_ACTIONS.CAMPAIGN_PAUSE,
+      targetType: 'campaign',
+      targetId: campaign.id,
+      metadata: {
+        campaignName: campaign.name,
+        queuedCount: queued
+      },
+      ipAddress: req.ip
+    });
+
+    metricsEmitter.emit(`campaign:${campaign.id}:metrics`);
+
     return res.json({
       data: {
         id: campaign.id,
-        status: 'sending',
-        audience_count: audienceCount,
-        message_ids: messageIds,
-        metrics: {
-          total: audienceCount,
-          queued: audienceCount,
-          sent: 0,
-          delivered: 0,
-          read: 0,
-          failed: 0
-        }
+        status: 'paused',
+        paused_at: now,
+        queued_count: queued
       },
       status: 'success',
-      message: 'Campaign sent successfully'
+      message: 'Campaign paused'
+    });
+  } catch (error) {
+    console.error('Error pausing campaign:', error);
+    return res.status(500).json({
+      error: 'Failed to pause campaign',
+      message: error.message,
+      status: 'error'
     });
+  }
+});
+
+/**
+ * POST /campaigns/:id/resume
+ * Continue sending a paused campaign
+ */
+router.post('/:id/resume', requireAuth, validateTenantAccess, requireMember, (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const campaign = db.prepare(`
+      SELECT * FROM campaigns WHERE id = ? AND tenant_id = ?
+    `).get(id, req.tenantId);
+
+    if (!campaign) {
+      return res.status(404).json({
+        error: 'Not Found',
+        message: 'Campaign not found',
+        status: 'error'
+      });
+    }
+
+    if (campaign.status !== 'paused') {
+      return res.status(400).json({
+        error: 'Invalid Operation',
+        message: 'Campaign is not paused',
+        status: 'error'
+      });
+    }
+
+    const now = new Date().toISOString();
+    const requeued = db.transaction(() => {
+      db.prepare(`
+        UPDATE campaigns
+        SET status = 'sending', paused_at = NULL, paused_by = NULL, updated_at = ?
+        WHERE id = ? AND status = 'paused'
+      `).run(now, campaign.id);
+      // Jobs were dropped while paused; queue new ones for the remaining messages
+      return reconcileMessageJobs(campaign.id);
+    })();
+
+    // Everything may have gone out before the pause took effect
+    markCampaignIfComplete(campaign.id, req.tenantId);
+    const updated = db.prepare('SELECT status FROM campaigns WHERE id = ?').get(campaign.id);
 
-    // Log audit event
     logAudit({
       actorUserId: req.session.userId,
       actorType: 'tenant_user',
       tenantId: req.tenantId,
-      action: AUDIT_ACTIONS.CAMPAIGN_SEND,
+      action: AUDIT_ACTIONS.CAMPAIGN_RESUME,
       targetType: 'campaign',
       targetId: campaign.id,
       metadata: {
         campaignName: campaign.name,
-        channel: campaign.channel,
-        audienceCount,
-        messageIds: messageIds.length
+        pausedAt: campaign.paused_at,
+        requeuedCount: requeued
       },
       ipAddress: req.ip
     });
+
+    metricsEmitter.emit(`campaign:${campaign.id}:metrics`);
+
+    return res.json({
+      data: {
+        id: campaign.id,
+        status: updated.status,
+        requeued_count: requeued
+      },
+      status: 'success',
+      message: 'Campaign resumed'
+    });
   } catch (error) {
-    console.error('Error sending campaign:', error);
+    console.error('Error resuming campaign:', error);
     return res.status(500).json({
-      error: 'Failed to send campaign',
+      error: 'Failed to resume campaign',
+      message: error.message,
+      status: 'error'
+    });
+  }
+});
+
+/**
+ * POST /campaigns/:id/cancel
+ * Stop a sending or paused campaign for good
+ * Queued messages are marked cancelled; messages already handed to a worker still go out.
+ */
+router.post('/:id/cancel', requireAuth, validateTenantAccess, requireMember, (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const campaign = db.prepare(`
+      SELECT * FROM campaigns WHERE id = ? AND tenant_id = ?
+    `).get(id, req.tenantId);
+
+    if (!campaign) {
+      return res.status(404).json({
+        error: 'Not Found',
+        message: 'Campaign not found',
+        status: 'error'
+      });
+    }
+
+    if (campaign.status !== 'sending' && campaign.status !== 'paused') {
+      return res.status(400).json({
+        error: 'Invalid Operation',
+        message: 'Only a campaign that is sending or paused can be cancelled',
+        status: 'error'
+      });
+    }
+
+    const now = new Date().toISOString();
+    const cancelled = db.transaction(() => {
+      db.prepare(`
+        UPDATE campaigns
+        SET status = 'cancelled', cancelled_at = ?, cancelled_by = ?, completed_at = ?, updated_at = ?
+        WHERE id = ? AND status IN ('sending', 'paused')
+      `).run(now, req.session.userId, now, now, campaign.id);
+      return db.prepare(`
+        UPDATE messages
+        SET status = 'cancelled', status_reason = 'Campaign cancelled', next_attempt_at = NULL, updated_at = ?
+        WHERE campaign_id = ? AND status = 'queued'
+      `).run(now, campaign.id).changes;
+    })();
+
+    logAudit({
+      actorUserId: req.session.userId,
+      actorType: 'tenant_user',
+      tenantId: req.tenantId,
+      action: AUDIT_ACTIONS.CAMPAIGN_CANCEL,
+      targetType: 'campaign',
+      targetId: campaign.id,
+      metadata: {
+        campaignName: campaign.name,
+        previousStatus: campaign.status,
+        cancelledCount: cancelled
+      },
+      ipAddress: req.ip
+    });
+
+    metricsEmitter.emit(`campaign:${campaign.id}:metrics`);
+
+    return res.json({
+      data: {
+        id: campaign.id,
+        status: 'cancelled',
+        cancelled_at: now,
+        cancelled_count: cancelled
+      },
+      status: 'success',
+      message: `Campaign cancelled, ${cancelled} unsent message(s) will not be sent`
+    });
+  } catch (error) {
+    console.error('Error cancelling campaign:', error);
+    return res.status(500).json({
+      error: 'Failed to cancel campaign',
       message: error.message,
       status: 'error'
     });
@@ -1383,6 +1990,14 @@ router.post('/:id/resend', requireAuth, validateTenantAccess, requireMember, (re
       });
     }
 
+    if (campaign.status === 'paused' || campaign.status === 'cancelled') {
+      return res.status(400).json({
+        error: 'Invalid Operation',
+        message: `Cannot resend a ${campaign.status} campaign`,
+        status: 'error'
+      });
+    }
+
     // Campaign cannot already be a resend
     if (campaign.resend_of_campaign_id) {
       return res.status(400).json({
@@ -1473,21 +2088,33 @@ router.post('/:id/resend', requireAuth, validateTenantAccess, requireMember, (re
           status: 'error'
         });
       }
+    } else if (campaign.channel === 'sms') {
+      const creds = getSmsCredentials(req.tenantId);
+      if (!creds) {
+        return res.status(400).json({
+          error: 'SMS Not Configured',
+          message: 'Connect SMS in Settings before resending',
+          status: 'error'
+        });
+      }
+      if (!getSmsBody(campaign.message_content).trim()) {
+        return res.status(400).json({
+          error: 'Validation Error',
+          message: 'SMS message body is required before resending',
+          status: 'error'
+        });
+      }
     }
 
     // Get non-readers from original campaign
-    // Non-readers = delivered but not read
-    const nonReaders = db.prepare(`
-      SELECT DISTINCT contact_id FROM messages
-      WHERE campaign_id = ?
-        AND status = 'delivered'
-      UNION
+    // Non-readers = delivered (or still in flight) but not read
+    const pendingReaders = db.prepare(`
       SELECT DISTINCT contact_id FROM messages
       WHERE campaign_id = ?
-        AND status IN ('sent', 'queued')
-    `).all(id, id);
+        AND status IN ('delivered', 'sent', 'queued')
+    `).all(id);
 
-    if (nonReaders.length === 0) {
+    if (pendingReaders.length === 0) {
       return res.status(400).json({
         error: 'No Recipients',
         message: 'All recipients have read the original message. No resend needed.',
@@ -1495,6 +2122,19 @@ router.post('/:id/resend', requireAuth, validateTenantAccess, requireMember, (re
       });
     }
 
+    // Non-readers who have since opted out, lost their address or been deleted are not resent to
+    const audience = resolveContactList(req.tenantId, campaign.channel, pendingReaders.map(r => r.contact_id));
+    const nonReaders = audience.contactIds;
+
+    if (nonReaders.length === 0) {
+      return res.status(400).json({
+        error: 'No Recipients',
+        message: 'All remaining non-readers are excluded (opted out, no address, suppressed or deleted). No resend needed.',
+        audience: formatAudienceSummary(audience),
+        status: 'error'
+      });
+    }
+
     // Get usage limits for the tenant
     const tenant = db.prepare('SELECT plan_id FROM tenants WHERE id = ?').get(req.tenantId);
     const plan = db.prepare('SELECT * FROM plans WHERE id = ?').get(tenant.plan_id);
@@ -1554,6 +2194,20 @@ router.post('/:id/resend', requireAuth, validateTenantAccess, requireMember, (re
           status: 'error'
         });
       }
+    } else if (campaign.channel === 'sms' && usage) {
+      currentUsage = usage.sms_sent || 0;
+      const smsLimit = overrides?.sms_override ?? plan.sms_messages_per_month;
+      if (currentUsage + nonReaders.length > smsLimit) {
+        return res.status(403).json({
+          error: 'Usage Limit Exceeded',
+          message: `Resending would exceed your monthly SMS limit. You've used ${currentUsage} of ${smsLimit} messages. ${Math.max(0, smsLimit - currentUsage)} remaining.`,
+          current: currentUsage,
+          limit: smsLimit,
+          remaining: Math.max(0, smsLimit - currentUsage),
+          requested: nonReaders.length,
+          status: 'error'
+        });
+      }
     }
 
     // Create new campaign as resend
@@ -1563,9 +2217,9 @@ router.post('/:id/resend', requireAuth, validateTenantAccess, requireMember, (re
     db.prepare(`
       INSERT INTO campaigns (
         id, tenant_id, name, description, channel, template_id,
-        audience_filters, message_content, status, resend_of_campaign_id,
+        audience_filters, segment_id, message_content, status, resend_of_campaign_id,
         sent_by, sent_at, created_at, updated_at
-      ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+      ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
     `).run(
       resendCampaignId,
       req.tenantId,
@@ -1574,6 +2228,7 @@ router.post('/:id/resend', requireAuth, validateTenantAccess, requireMember, (re
       campaign.channel,
       campaign.template_id,
       campaign.audience_filters,
+      campaign.segment_id,
       campaign.message_content,
       'sending',
       id, // Link to original campaign
@@ -1592,25 +2247,27 @@ router.post('/:id/resend', requireAuth, validateTenantAccess, requireMember, (re
     `);
 
     const messageIds = [];
-    for (const record of nonReaders) {
+    const provider = getMessageProvider(campaign.channel, req.tenantId);
+    for (const contactId of nonReaders) {
       const messageId = uuidv4();
       messageIds.push(messageId);
       messageInsertStmt.run(
         messageId,
         req.tenantId,
         resendCampaignId,
-        record.contact_id,
+        contactId,
         campaign.channel,
-        campaign.channel === 'whatsapp' ? 'whatsapp_cloud' : 'ses',
+        provider,
         'queued',
         1,
         now_iso,
         now_iso
       );
     }
+    enqueueMessageJobs(messageIds.map(messageId => ({ id: messageId, tenant_id: req.tenantId })));
 
     // Update usage counter
-    const messageType = campaign.channel === 'whatsapp' ? 'whatsapp_messages_sent' : 'email_messages_sent';
+    const messageType = USAGE_COLUMNS[campaign.channel] || 'email_messages_sent';
     if (usage) {
       db.prepare(`
         UPDATE usage_counters
@@ -1622,14 +2279,15 @@ router.post('/:id/resend', requireAuth, validateTenantAccess, requireMember, (re
       db.prepare(`
         INSERT INTO usage_counters (
           id, tenant_id, year_month, whatsapp_messages_sent,
-          email_messages_sent, updated_at
-        ) VALUES (?, ?, ?, ?, ?, ?)
+          email_messages_sent, sms_sent, updated_at
+        ) VALUES (?, ?, ?, ?, ?, ?, ?)
       `).run(
         counterId,
         req.tenantId,
         yearMonth,
         campaign.channel === 'whatsapp' ? nonReaders.length : 0,
         campaign.channel === 'email' ? nonReaders.length : 0,
+        campaign.channel === 'sms' ? nonReaders.length : 0,
         now_iso
       );
     }
@@ -1647,6 +2305,7 @@ router.post('/:id/resend', requireAuth, validateTenantAccess, requireMember, (re
         resendCampaignId,
         channel: campaign.channel,
         resendCount: nonReaders.length,
+        excluded: audience.excluded,
         messageIds: messageIds.length
       },
       ipAddress: req.ip
@@ -1658,6 +2317,7 @@ router.post('/:id/resend', requireAuth, validateTenantAccess, requireMember, (re
         original_campaign_id: id,
         status: 'sending',
         recipient_count: nonReaders.length,
+        audience: formatAudienceSummary(audience),
         message_ids: messageIds,
         metrics: {
           total: nonReaders.length,
@@ -1701,6 +2361,16 @@ router.post('/:id/retry-failed', requireAuth, validateTenantAccess, (req, res) =
       });
     }
 
+    if (campaign.status === 'paused' || campaign.status === 'cancelled') {
+      return res.status(400).json({
+        error: 'Invalid Operation',
+        message: campaign.status === 'paused'
+          ? 'Resume the campaign before retrying failed messages'
+          : 'Cannot retry messages of a cancelled campaign',
+        status: 'error'
+      });
+    }
+
     // Validate channel is still configured
     if (campaign.channel === 'whatsapp') {
       const creds = getWhatsAppCredentials(req.tenantId);
@@ -1727,6 +2397,15 @@ router.post('/:id/retry-failed', requireAuth, validateTenantAccess, (req, res) =
           status: 'error'
         });
       }
+    } else if (campaign.channel === 'sms') {
+      const creds = getSmsCredentials(req.tenantId);
+      if (!creds) {
+        return res.status(400).json({
+          error: 'SMS Not Configured',
+          message: 'Connect SMS in Settings before retrying failed messages',
+          status: 'error'
+        });
+      }
     }
 
     // Prevent stacking retries while there are already queued messages for this campaign
@@ -1745,7 +2424,7 @@ router.post('/:id/retry-failed', requireAuth, validateTenantAccess, (req, res) =
 
     // Get failed messages (non-archived campaigns only, but allow sent/sending)
     const failedMessages = db.prepare(`
-      SELECT id FROM messages
+      SELECT id, contact_id FROM messages
       WHERE campaign_id = ? AND status = 'failed'
     `).all(id);
 
@@ -1757,6 +2436,20 @@ router.post('/:id/retry-failed', requireAuth, validateTenantAccess, (req, res) =
       });
     }
 
+    // Failures caused by an opt-out, missing address or suppression would only fail again
+    const audience = resolveContactList(req.tenantId, campaign.channel, failedMessages.map(m => m.contact_id));
+    const retryableContacts = new Set(audience.contactIds);
+    const retryableMessages = failedMessages.filter(m => retryableContacts.has(m.contact_id));
+
+    if (retryableMessages.length === 0) {
+      return res.status(400).json({
+        error: 'No Recipients',
+        message: 'None of the failed messages can be retried: their contacts are opted out, unreachable, suppressed or deleted',
+        audience: formatAudienceSummary(audience),
+        status: 'error'
+      });
+    }
+
     const now = new Date().toISOString();
     const retryTransaction = db.transaction((ids) => {
       const placeholders = ids.map(() => '?').join(',');
@@ -1765,18 +2458,23 @@ router.post('/:id/retry-failed', requireAuth, validateTenantAccess, (req, res) =
         SET status = 'queued',
             attempts = 0,
             status_reason = NULL,
+            error_class = NULL,
+            next_attempt_at = NULL,
             updated_at = ?
         WHERE id IN (${placeholders})
       `).run(now, ...ids);
+      enqueueMessageJobs(ids.map(messageId => ({ id: messageId, tenant_id: req.tenantId })));
     });
 
-    retryTransaction(failedMessages.map(m => m.id));
+    retryTransaction(retryableMessages.map(m => m.id));
 
     return res.json({
       status: 'success',
-      message: `Queued ${failedMessages.length} failed message(s) for retry`,
+      message: `Queued ${retryableMessages.length} failed message(s) for retry`,
       data: {
-        retry_count: failedMessages.length
+        retry_count: retryableMessages.length,
+        skipped_count: failedMessages.length - retryableMessages.length,
+        audience: formatAudienceSummary(audience)
       }
     });
   } catch (error) {
@@ -1883,7 +2581,8 @@ router.get('/:id/metrics/stream', requireAuth, validateTenantAccess, (req, res)
             SUM(CASE WHEN status = 'sent' THEN 1 ELSE 0 END) as sent_count,
             SUM(CASE WHEN status = 'delivered' THEN 1 ELSE 0 END) as delivered_count,
             SUM(CASE WHEN status = 'read' THEN 1 ELSE 0 END) as read_count,
-            SUM(CASE WHEN status = 'failed' THEN 1 ELSE 0 END) as failed_count
+            SUM(CASE WHEN status = 'failed' THEN 1 ELSE 0 END) as failed_count,
+            SUM(CASE WHEN status = 'cancelled' THEN 1 ELSE 0 END) as cancelled_count
           FROM messages
           WHERE campaign_id = ?
         `).get(id);
@@ -1892,13 +2591,19 @@ router.get('/:id/metrics/stream', requireAuth, validateTenantAccess, (req, res)
         const readCount = metrics.read_count || 0;
         const readRate = totalSent > 0 ? ((readCount / totalSent) * 100).toFixed(2) : 0;
 
+        // Re-read the campaign: it can be paused, resumed or cancelled and the
+        // A/B winner picked while the stream is open
+        const current = db.prepare('SELECT * FROM campaigns WHERE id = ?').get(id) || campaign;
+
         // Build response object
         const data = {
           timestamp: new Date().toISOString(),
           campaign: {
-            id: campaign.id,
-            name: campaign.name,
-            status: campaign.status
+            id: current.id,
+            name: current.name,
+            status: current.status,
+            paused_at: current.paused_at,
+            cancelled_at: current.cancelled_at
           },
           metrics: {
             queued: metrics.queued_count || 0,
@@ -1906,11 +2611,23 @@ router.get('/:id/metrics/stream', requireAuth, validateTenantAccess, (req, res)
             delivered: metrics.delivered_count || 0,
             read: metrics.read_count || 0,
             failed: metrics.failed_count || 0,
+            cancelled: metrics.cancelled_count || 0,
             total: totalSent,
             read_rate: parseFloat(readRate)
           }
         };
 
+        const { abTest, variantMetrics } = getAbTestResults(current);
+        if (abTest) {
+          data.ab_test = abTest;
+          data.variants = variantMetrics;
+        }
+
+        if (current.channel === 'email') {
+          data.engagement = getEmailEngagement([id]);
+          data.links = getCampaignLinkClicks(id);
+        }
+
         // Check if this is a resend for uplift calculation
         if (campaign.resend_of_campaign_id) {
           const originalMetrics = db.prepare(`
@@ -4,11 +4,39 @@
  */
 
 const express = require('express');
+const multer = require('multer');
 const router = express.Router();
 const db = require('../db');
 const { v4: uuidv4 } = require('uuid');
 const { requireMember, requireAdmin } = require('../middleware/rbac');
 const { logAudit, AUDIT_ACTIONS } = require('../utils/audit');
+const { emitContactEvent } = require('../services/outboundWebhooks');
+const { handleContactCreated, handleTagsAdded } = require('../services/journeys');
+const {
+  MAX_ATTRIBUTES_PER_TENANT,
+  getAttributeDefinitions,
+  getAttributeDefinition,
+  validateNewDefinition,
+  validateDefinitionUpdate,
+  validateAttributeValues,
+  parseAttributeValues,
+  mergeAttributeValues,
+  formatAttributeValue,
+  buildAttributeFilter
+} = require('../services/contactAttributes');
+const {
+  UPLOAD_DIR,
+  MAX_FILE_SIZE,
+  IMPORT_FIELDS,
+  detectFileType,
+  DUPLICATE_STRATEGIES,
+  prepareImportRow,
+  applyImportRow,
+  formatJob,
+  getImportJob,
+  createImportJob,
+  startImportJob
+} = require('../services/contactImport');
 
 // ===== MIDDLEWARE =====
 
@@ -54,6 +82,60 @@ const validateTenantAccess = (req, res, next) => {
   next();
 };
 
+// ===== HELPER FUNCTIONS =====
+
+/**
+ * Build WHERE fragments for ?attr[key]=value filters
+ * @returns {{ sql: string, params: Array } | { error: string }}
+ */
+function buildAttributeFilters(tenantId, attrQuery) {
+  if (attrQuery === undefined) return { sql: '', params: [] };
+  if (!attrQuery || typeof attrQuery !== 'object' || Array.isArray(attrQuery)) {
+    return { error: 'Attribute filters must look like attr[key]=value' };
+  }
+
+  const definitions = getAttributeDefinitions(tenantId);
+  let sql = '';
+  const params = [];
+  for (const [key, raw] of Object.entries(attrQuery)) {
+    if (typeof raw !== 'string') {
+      return { error: `Filter for "${key}" must be a single value` };
+    }
+    if (!raw.trim()) continue;
+    const definition = definitions.find(d => d.key === key);
+    if (!definition) {
+      return { error: `Unknown attribute "${key}"` };
+    }
+    const filter = buildAttributeFilter(definition, raw);
+    if (filter.error) return filter;
+    sql += ` AND ${filter.sql}`;
+    params.push(...filter.params);
+  }
+  return { sql, params };
+}
+
+// CSV cell with embedded quotes escaped
+const csvCell = (value) => `"${String(value ?? '').replace(/"/g, '""')}"`;
+
+// Import files are written to disk and streamed by the background job, never buffered in memory
+const importUpload = multer({
+  dest: UPLOAD_DIR,
+  limits: { fileSize: MAX_FILE_SIZE, files: 1 },
+  fileFilter: (req, file, cb) => cb(null, Boolean(detectFileType(file.originalname)))
+}).single('file');
+
+const handleImportUpload = (req, res, next) => {
+  importUpload(req, res, (err) => {
+    if (!err) return next();
+    const tooLarge = err.code === 'LIMIT_FILE_SIZE';
+    res.status(tooLarge ? 413 : 400).json({
+      error: tooLarge ? 'File too large' : 'Invalid upload',
+      message: tooLarge ? `Import files can be up to ${Math.round(MAX_FILE_SIZE / (1024 * 1024))} MB` : err.message,
+      status: 'error'
+    });
+  });
+};
+
 // ===== ROUTES =====
 
 /**
@@ -62,10 +144,19 @@ const validateTenantAccess = (req, res, next) => {
  */
 router.get('/', requireAuth, validateTenantAccess, (req, res) => {
   try {
-    const { search, tag, limit = 50, offset = 0 } = req.query;
+    const { search, tag, attr, limit = 50, offset = 0 } = req.query;
     const parsedLimit = Math.min(parseInt(limit) || 50, 500); // Max 500 per request
     const parsedOffset = parseInt(offset) || 0;
 
+    const attributeFilters = buildAttributeFilters(req.tenantId, attr);
+    if (attributeFilters.error) {
+      return res.status(400).json({
+        error: 'Invalid filter',
+        message: attributeFilters.error,
+        status: 'error'
+      });
+    }
+
     let query = `
       SELECT
         c.id,
@@ -74,6 +165,8 @@ router.get('/', requireAuth, validateTenantAccess, (req, res) => {
         c.name,
         c.consent_whatsapp,
         c.consent_email,
+        c.consent_sms,
+        c.custom_attributes,
         c.created_at,
         GROUP_CONCAT(t.name, ', ') as tags
       FROM contacts c
@@ -97,6 +190,9 @@ router.get('/', requireAuth, validateTenantAccess, (req, res) => {
       params.push(tag.trim());
     }
 
+    query += attributeFilters.sql;
+    params.push(...attributeFilters.params);
+
     query += ` GROUP BY c.id ORDER BY c.created_at DESC LIMIT ? OFFSET ?`;
     params.push(parsedLimit, parsedOffset);
 
@@ -122,6 +218,9 @@ router.get('/', requireAuth, validateTenantAccess, (req, res) => {
       countParams = [req.tenantId];
     }
 
+    countQuery += attributeFilters.sql;
+    countParams.push(...attributeFilters.params);
+
     const { count } = db.prepare(countQuery).get(...countParams);
 
     // Parse tags into arrays
@@ -132,7 +231,9 @@ router.get('/', requireAuth, validateTenantAccess, (req, res) => {
       email: c.email,
       consent_whatsapp: Boolean(c.consent_whatsapp),
       consent_email: Boolean(c.consent_email),
+      consent_sms: Boolean(c.consent_sms),
       tags: c.tags ? c.tags.split(', ').filter(t => t) : [],
+      custom_attributes: parseAttributeValues(c.custom_attributes),
       created_at: c.created_at
     }));
 
@@ -218,9 +319,9 @@ router.post('/bulk/tags', requireAuth, validateTenantAccess, (req, res) => {
     const insertContactTag = db.prepare('INSERT OR IGNORE INTO contact_tags (contact_id, tag_id) VALUES (?, ?)');
     const addTagsTransaction = db.transaction((contactIds, tags) => {
       for (const contact of contactIds) {
-        for (const tag of tags) {
-          insertContactTag.run(contact.id, tag.id);
-        }
+        // Only tags the contact didn't have yet start tag_added journeys
+        const added = tags.filter(tag => insertContactTag.run(contact.id, tag.id).changes > 0).map(tag => tag.id);
+        handleTagsAdded(req.tenantId, contact.id, added);
       }
     });
 
@@ -448,7 +549,7 @@ router.post('/bulk/delete', requireAuth, validateTenantAccess, requireMember, (r
  */
 router.post('/', requireAuth, validateTenantAccess, requireMember, (req, res) => {
   try {
-    const { name, phone, email, consent_whatsapp = false, consent_email = false, tags = [] } = req.body;
+    const { name, phone, email, consent_whatsapp = false, consent_email = false, consent_sms = false, tags = [], custom_attributes } = req.body;
 
     // Validation
     if (!name || !phone) {
@@ -459,6 +560,19 @@ router.post('/', requireAuth, validateTenantAccess, requireMember, (req, res) =>
       });
     }
 
+    let attributeValues = null;
+    if (custom_attributes !== undefined && custom_attributes !== null) {
+      const attributes = validateAttributeValues(getAttributeDefinitions(req.tenantId), custom_attributes);
+      if (attributes.error) {
+        return res.status(400).json({
+          error: 'Invalid attribute',
+          message: attributes.error,
+          status: 'error'
+        });
+      }
+      attributeValues = mergeAttributeValues(null, attributes.values);
+    }
+
     // Check if phone already exists for this tenant
     const existing = db.prepare(
       'SELECT id FROM contacts WHERE tenant_id = ? AND phone = ?'
@@ -478,8 +592,8 @@ router.post('/', requireAuth, validateTenantAccess, requireMember, (req, res) =>
 
     db.prepare(`
       INSERT INTO contacts
-      (id, tenant_id, name, phone, email, consent_whatsapp, consent_email, consent_source, consent_updated_at, created_at, updated_at)
-      VALUES (?, ?, ?, ?, ?, ?, ?, 'manual', ?, ?, ?)
+      (id, tenant_id, name, phone, email, consent_whatsapp, consent_email, consent_sms, consent_source, consent_updated_at, custom_attributes, created_at, updated_at)
+      VALUES (?, ?, ?, ?, ?, ?, ?, ?, 'manual', ?, ?, ?, ?)
     `).run(
       contactId,
       req.tenantId,
@@ -488,23 +602,30 @@ router.post('/', requireAuth, validateTenantAccess, requireMember, (req, res) =>
       email || null,
       consent_whatsapp ? 1 : 0,
       consent_email ? 1 : 0,
+      consent_sms ? 1 : 0,
       now,
+      attributeValues,
       now,
       now
     );
 
     // Add tags
     const insertContactTag = db.prepare('INSERT INTO contact_tags (contact_id, tag_id) VALUES (?, ?)');
+    const addedTagIds = [];
     if (Array.isArray(tags) && tags.length > 0) {
       for (const tagId of tags) {
         // Verify tag belongs to this tenant
         const tag = db.prepare('SELECT id FROM tags WHERE id = ? AND tenant_id = ? AND status = \'active\'').get(tagId, req.tenantId);
         if (tag) {
           insertContactTag.run(contactId, tagId);
+          addedTagIds.push(tagId);
         }
       }
     }
 
+    emitContactEvent(req.tenantId, contactId, 'contact.created');
+    handleContactCreated(req.tenantId, contactId, addedTagIds);
+
     res.status(201).json({
       contact_id: contactId,
       name,
@@ -667,6 +788,463 @@ router.post('/bulk/delete', requireAuth, validateTenantAccess, requireMember, (r
   }
 });
 
+/**
+ * GET /contacts/attributes
+ * List the tenant's custom attribute definitions
+ */
+router.get('/attributes', requireAuth, validateTenantAccess, (req, res) => {
+  try {
+    res.status(200).json({
+      data: getAttributeDefinitions(req.tenantId),
+      status: 'success'
+    });
+  } catch (error) {
+    console.error('Get contact attributes error:', error);
+    res.status(500).json({
+      error: 'Failed to fetch attributes',
+      message: error.message,
+      status: 'error'
+    });
+  }
+});
+
+/**
+ * POST /contacts/attributes
+ * Define a custom attribute (admin/owner only)
+ * Body: { key, label, type: 'string' | 'number' | 'date' | 'boolean' | 'enum', options }
+ */
+router.post('/attributes', requireAuth, validateTenantAccess, requireAdmin, (req, res) => {
+  try {
+    const validation = validateNewDefinition(req.body);
+    if (validation.error) {
+      return res.status(400).json({
+        error: 'Validation Error',
+        message: validation.error,
+        status: 'error'
+      });
+    }
+    const { key, label, type, options } = validation.value;
+
+    const existing = getAttributeDefinitions(req.tenantId);
+    if (existing.some(d => d.key.toLowerCase() === key.toLowerCase())) {
+      return res.status(409).json({
+        error: 'Duplicate Attribute',
+        message: `An attribute with key "${key}" already exists`,
+        status: 'error'
+      });
+    }
+    if (existing.length >= MAX_ATTRIBUTES_PER_TENANT) {
+      return res.status(400).json({
+        error: 'Attribute Limit Reached',
+        message: `Workspaces can define up to ${MAX_ATTRIBUTES_PER_TENANT} custom attributes`,
+        status: 'error'
+      });
+    }
+
+    const id = uuidv4();
+    const now = new Date().toISOString();
+    db.prepare(`
+      INSERT INTO contact_attribute_definitions (id, tenant_id, key, label, type, options, created_by, created_at, updated_at)
+      VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)
+    `).run(id, req.tenantId, key, label, type, type === 'enum' ? JSON.stringify(options) : null, req.session.userId, now, now);
+
+    logAudit({
+      actorUserId: req.session.userId,
+      actorType: 'tenant_user',
+      tenantId: req.tenantId,
+      action: AUDIT_ACTIONS.CONTACT_ATTRIBUTE_CREATE,
+      targetType: 'contact_attribute',
+      targetId: id,
+      metadata: { key, type },
+      ipAddress: req.ip
+    });
+
+    res.status(201).json({
+      data: getAttributeDefinition(req.tenantId, id),
+      status: 'success'
+    });
+  } catch (error) {
+    console.error('Create contact attribute error:', error);
+    res.status(500).json({
+      error: 'Failed to create attribute',
+      message: error.message,
+      status: 'error'
+    });
+  }
+});
+
+/**
+ * PATCH /contacts/attributes/:attributeId
+ * Rename an attribute or change enum options (admin/owner only)
+ * Key and type are fixed once created.
+ */
+router.patch('/attributes/:attributeId', requireAuth, validateTenantAccess, requireAdmin, (req, res) => {
+  try {
+    const definition = getAttributeDefinition(req.tenantId, req.params.attributeId);
+    if (!definition) {
+      return res.status(404).json({
+        error: 'Not Found',
+        message: 'Attribute not found',
+        status: 'error'
+      });
+    }
+
+    const validation = validateDefinitionUpdate(definition, req.body);
+    if (validation.error) {
+      return res.status(400).json({
+        error: 'Validation Error',
+        message: validation.error,
+        status: 'error'
+      });
+    }
+    const changes = validation.value;
+
+    if (Object.keys(changes).length > 0) {
+      db.prepare(`
+        UPDATE contact_attribute_definitions
+        SET label = ?, options = ?, updated_at = ?
+        WHERE id = ? AND tenant_id = ?
+      `).run(
+        changes.label ?? definition.label,
+        definition.type === 'enum' ? JSON.stringify(changes.options ?? definition.options) : null,
+        new Date().toISOString(),
+        definition.id,
+        req.tenantId
+      );
+
+      logAudit({
+        actorUserId: req.session.userId,
+        actorType: 'tenant_user',
+        tenantId: req.tenantId,
+        action: AUDIT_ACTIONS.CONTACT_ATTRIBUTE_UPDATE,
+        targetType: 'contact_attribute',
+        targetId: definition.id,
+        metadata: { key: definition.key, changes: Object.keys(changes) },
+        ipAddress: req.ip
+      });
+    }
+
+    res.status(200).json({
+      data: getAttributeDefinition(req.tenantId, definition.id),
+      status: 'success'
+    });
+  } catch (error) {
+    console.error('Update contact attribute error:', error);
+    res.status(500).json({
+      error: 'Failed to update attribute',
+      message: error.message,
+      status: 'error'
+    });
+  }
+});
+
+/**
+ * DELETE /contacts/attributes/:attributeId
+ * Remove an attribute and its stored values from every contact (admin/owner only)
+ */
+router.delete('/attributes/:attributeId', requireAuth, validateTenantAccess, requireAdmin, (req, res) => {
+  try {
+    const definition = getAttributeDefinition(req.tenantId, req.params.attributeId);
+    if (!definition) {
+      return res.status(404).json({
+        error: 'Not Found',
+        message: 'Attribute not found',
+        status: 'error'
+      });
+    }
+
+    const path = `$."${definition.key}"`;
+    const removeAttribute = db.transaction(() => {
+      const cleared = db.prepare(`
+        UPDATE contacts
+        SET custom_attributes = NULLIF(json_remove(custom_attributes, ?), '{}'), updated_at = ?
+        WHERE tenant_id = ? AND json_valid(custom_attributes) AND json_extract(custom_attributes, ?) IS NOT NULL
+      `).run(path, new Date().toISOString(), req.tenantId, path).changes;
+      db.prepare('DELETE FROM contact_attribute_definitions WHERE id = ? AND tenant_id = ?').run(definition.id, req.tenantId);
+      return cleared;
+    });
+    const cleared = removeAttribute();
+
+    logAudit({
+      actorUserId: req.session.userId,
+      actorType: 'tenant_user',
+      tenantId: req.tenantId,
+      action: AUDIT_ACTIONS.CONTACT_ATTRIBUTE_DELETE,
+      targetType: 'contact_attribute',
+      targetId: definition.id,
+      metadata: { key: definition.key, contacts_cleared: cleared },
+      ipAddress: req.ip
+    });
+
+    res.status(200).json({
+      data: { id: definition.id, contacts_cleared: cleared },
+      message: 'Attribute deleted',
+      status: 'success'
+    });
+  } catch (error) {
+    console.error('Delete contact attribute error:', error);
+    res.status(500).json({
+      error: 'Failed to delete attribute',
+      message: error.message,
+      status: 'error'
+    });
+  }
+});
+
+/**
+ * GET /contacts/export
+ * Export contacts as CSV
+ */
+router.get('/export', requireAuth, validateTenantAccess, (req, res) => {
+  try {
+    // Get all contacts with tags for this tenant
+    const contacts = db.prepare(`
+      SELECT
+        c.id,
+        c.name,
+        c.phone,
+        c.email,
+        c.consent_whatsapp,
+        c.consent_email,
+        c.consent_sms,
+        c.custom_attributes,
+        c.created_at,
+        GROUP_CONCAT(t.name, ', ') as tags
+      FROM contacts c
+      LEFT JOIN contact_tags ct ON c.id = ct.contact_id
+      LEFT JOIN tags t ON ct.tag_id = t.id
+      WHERE c.tenant_id = ?
+      GROUP BY c.id
+      ORDER BY c.created_at DESC
+    `).all(req.tenantId);
+
+    const definitions = getAttributeDefinitions(req.tenantId);
+
+    // Build CSV content, one extra column per custom attribute
+    const header = ['Name', 'Phone', 'Email', 'Tags', 'Consent WhatsApp', 'Consent Email', 'Consent SMS', 'Created At', ...definitions.map(d => d.label)];
+    let csv = `${header.map(csvCell).join(',')}\n`;
+
+    for (const contact of contacts) {
+      const attributes = parseAttributeValues(contact.custom_attributes);
+      const cells = [
+        contact.name,
+        contact.phone,
+        contact.email,
+        contact.tags,
+        contact.consent_whatsapp ? 'Yes' : 'No',
+        contact.consent_email ? 'Yes' : 'No',
+        contact.consent_sms ? 'Yes' : 'No',
+        contact.created_at,
+        ...definitions.map(d => formatAttributeValue(attributes[d.key]))
+      ];
+      csv += `${cells.map(csvCell).join(',')}\n`;
+    }
+
+    // Send as file download
+    const filename = `contacts-${new Date().toISOString().split('T')[0]}.csv`;
+    res.setHeader('Content-Type', 'text/csv');
+    res.setHeader('Content-Disposition', `attachment; filename="${filename}"`);
+    res.send(csv);
+
+  } catch (error) {
+    console.error('Export contacts error:', error);
+    res.status(500).json({
+      error: 'Failed to export contacts',
+      message: error.message,
+      status: 'error'
+    });
+  }
+});
+
+/**
+ * POST /contacts/imports
+ * Upload a CSV or XLSX file (multipart field "file") for a background import
+ * Returns the detected columns, a preview and a suggested column mapping.
+ */
+router.post('/imports', requireAuth, validateTenantAccess, requireMember, handleImportUpload, async (req, res) => {
+  try {
+    if (!req.file) {
+      return res.status(400).json({
+        error: 'No file uploaded',
+        message: 'Upload a .csv or .xlsx file in the "file" field',
+        status: 'error'
+      });
+    }
+
+    const result = await createImportJob({
+      tenantId: req.tenantId,
+      userId: req.session.userId,
+      fileName: req.file.originalname,
+      filePath: req.file.path
+    });
+    if (result.error) {
+      return res.status(400).json({
+        error: 'Invalid file',
+        message: result.error,
+        status: 'error'
+      });
+    }
+
+    const definitions = getAttributeDefinitions(req.tenantId);
+    res.status(201).json({
+      data: {
+        job: result.job,
+        preview: result.preview,
+        suggested_mapping: result.suggestedMapping,
+        fields: [
+          ...IMPORT_FIELDS.map(field => ({ value: field, label: field, required: field === 'name' || field === 'phone' })),
+          ...definitions.map(d => ({ value: `attr.${d.key}`, label: d.label, type: d.type, required: false }))
+        ],
+        duplicate_strategies: DUPLICATE_STRATEGIES
+      },
+      status: 'success'
+    });
+  } catch (error) {
+    console.error('Upload contact import error:', error);
+    res.status(500).json({
+      error: 'Failed to upload import file',
+      message: error.message,
+      status: 'error'
+    });
+  }
+});
+
+/**
+ * POST /contacts/imports/:jobId/start
+ * Start processing an uploaded file
+ * Body: { column_mapping: { "File Column": "name" | "phone" | "email" | "tags" | "consent_sms" | "attr.<key>" }, duplicate_strategy: "skip" | "update" | "merge" }
+ */
+router.post('/imports/:jobId/start', requireAuth, validateTenantAccess, requireMember, (req, res) => {
+  try {
+    const { column_mapping, duplicate_strategy = 'skip' } = req.body;
+    const result = startImportJob(req.tenantId, req.params.jobId, {
+      columnMapping: column_mapping,
+      duplicateStrategy: duplicate_strategy
+    });
+
+    if (result.error) {
+      return res.status(result.status || 400).json({
+        error: result.status === 404 ? 'Not found' : 'Invalid import',
+        message: result.error,
+        status: 'error'
+      });
+    }
+
+    res.status(202).json({
+      data: result.job,
+      message: 'Import started',
+      status: 'success'
+    });
+  } catch (error) {
+    console.error('Start contact import error:', error);
+    res.status(500).json({
+      error: 'Failed to start import',
+      message: error.message,
+      status: 'error'
+    });
+  }
+});
+
+/**
+ * GET /contacts/imports
+ * Recent import jobs for the tenant
+ */
+router.get('/imports', requireAuth, validateTenantAccess, (req, res) => {
+  try {
+    const jobs = db.prepare(`
+      SELECT * FROM contact_import_jobs
+      WHERE tenant_id = ? AND status != 'mapping'
+      ORDER BY created_at DESC
+      LIMIT 20
+    `).all(req.tenantId);
+
+    res.json({
+      data: jobs.map(formatJob),
+      status: 'success'
+    });
+  } catch (error) {
+    console.error('List contact imports error:', error);
+    res.status(500).json({
+      error: 'Failed to fetch imports',
+      message: error.message,
+      status: 'error'
+    });
+  }
+});
+
+/**
+ * GET /contacts/imports/:jobId
+ * Import job status and progress
+ */
+router.get('/imports/:jobId', requireAuth, validateTenantAccess, (req, res) => {
+  try {
+    const job = getImportJob(req.tenantId, req.params.jobId);
+    if (!job) {
+      return res.status(404).json({
+        error: 'Not found',
+        message: 'Import not found',
+        status: 'error'
+      });
+    }
+
+    res.json({
+      data: formatJob(job),
+      status: 'success'
+    });
+  } catch (error) {
+    console.error('Get contact import error:', error);
+    res.status(500).json({
+      error: 'Failed to fetch import',
+      message: error.message,
+      status: 'error'
+    });
+  }
+});
+
+/**
+ * GET /contacts/imports/:jobId/errors
+ * Download rejected rows as CSV: row number, field, reason, then the original columns
+ */
+router.get('/imports/:jobId/errors', requireAuth, validateTenantAccess, (req, res) => {
+  try {
+    const job = getImportJob(req.tenantId, req.params.jobId);
+    if (!job) {
+      return res.status(404).json({
+        error: 'Not found',
+        message: 'Import not found',
+        status: 'error'
+      });
+    }
+
+    const columns = JSON.parse(job.columns || '[]');
+    const errors = db.prepare(`
+      SELECT row_number, field, message, raw_data
+      FROM contact_import_job_errors
+      WHERE job_id = ?
+      ORDER BY row_number ASC, id ASC
+    `).iterate(job.id);
+
+    const baseName = job.file_name.replace(/\.[^.]+$/, '').replace(/[^\w.-]+/g, '_');
+    res.setHeader('Content-Type', 'text/csv');
+    res.setHeader('Content-Disposition', `attachment; filename="${baseName}-errors.csv"`);
+    res.write(`${['Row', 'Field', 'Error', ...columns].map(csvCell).join(',')}\n`);
+    for (const error of errors) {
+      let raw = {};
+      try { raw = JSON.parse(error.raw_data || '{}'); } catch { raw = {}; }
+      res.write(`${[error.row_number, error.field, error.message, ...columns.map(c => raw[c])].map(csvCell).join(',')}\n`);
+    }
+    res.end();
+  } catch (error) {
+    console.error('Download import errors error:', error);
+    if (res.headersSent) return res.end();
+    res.status(500).json({
+      error: 'Failed to download import errors',
+      message: error.message,
+      status: 'error'
+    });
+  }
+});
+
 /**
  * GET /contacts/:id
  * Get a single contact by ID
@@ -683,8 +1261,10 @@ router.get('/:id', requireAuth, validateTenantAccess, (req, res) => {
         c.name,
         c.consent_whatsapp,
         c.consent_email,
+        c.consent_sms,
         c.consent_source,
         c.consent_updated_at,
+        c.custom_attributes,
         c.created_at,
         c.updated_at
       FROM contacts c
@@ -711,6 +1291,8 @@ router.get('/:id', requireAuth, validateTenantAccess, (req, res) => {
         ...contact,
         consent_whatsapp: Boolean(contact.consent_whatsapp),
         consent_email: Boolean(contact.consent_email),
+        consent_sms: Boolean(contact.consent_sms),
+        custom_attributes: parseAttributeValues(contact.custom_attributes),
         tags: tags.map(t => ({ id: t.id, name: t.name }))
       },
       status: 'success'
@@ -733,10 +1315,10 @@ router.get('/:id', requireAuth, validateTenantAccess, (req, res) => {
 router.put('/:id', requireAuth, validateTenantAccess, requireMember, (req, res) => {
   try {
     const { id } = req.params;
-    const { name, phone, email, consent_whatsapp, consent_email, tags } = req.body;
+    const { name, phone, email, consent_whatsapp, consent_email, consent_sms, tags, custom_attributes } = req.body;
 
     // Check if contact exists and belongs to tenant
-    const contact = db.prepare('SELECT id FROM contacts WHERE id = ? AND tenant_id = ?').get(id, req.tenantId);
+    const contact = db.prepare('SELECT id, custom_attributes FROM contacts WHERE id = ? AND tenant_id = ?').get(id, req.tenantId);
     if (!contact) {
       return res.status(404).json({
         error: 'Not found',
@@ -760,6 +1342,20 @@ router.put('/:id', requireAuth, validateTenantAccess, requireMember, (req, res)
       }
     }
 
+    // Only the keys sent are changed; null or '' clears a value
+    let attributeChanges = null;
+    if (custom_attributes !== undefined) {
+      const attributes = validateAttributeValues(getAttributeDefinitions(req.tenantId), custom_attributes);
+      if (attributes.error) {
+        return res.status(400).json({
+          error: 'Invalid attribute',
+          message: attributes.error,
+          status: 'error'
+        });
+      }
+      attributeChanges = attributes.values;
+    }
+
     // Update contact
     const now = new Date().toISOString();
     const updates = [];
@@ -785,6 +1381,14 @@ router.put('/:id', requireAuth, validateTenantAccess, requireMember, (req, res)
       updates.push('consent_email = ?');
       params.push(consent_email ? 1 : 0);
     }
+    if (consent_sms !== undefined) {
+      updates.push('consent_sms = ?');
+      params.push(consent_sms ? 1 : 0);
+    }
+    if (attributeChanges) {
+      updates.push('custom_attributes = ?');
+      params.push(mergeAttributeValues(contact.custom_attributes, attributeChanges));
+    }
 
     if (updates.length > 0) {
       updates.push('updated_at = ?');
@@ -800,7 +1404,10 @@ router.put('/:id', requireAuth, validateTenantAccess, requireMember, (req, res)
     }
 
     // Update tags if provided
+    const addedTagIds = [];
     if (Array.isArray(tags)) {
+      const previousTagIds = db.prepare('SELECT tag_id FROM contact_tags WHERE contact_id = ?').all(id).map(row => row.tag_id);
+
       // Remove existing tags
       db.prepare('DELETE FROM contact_tags WHERE contact_id = ?').run(id);
 
@@ -810,10 +1417,14 @@ router.put('/:id', requireAuth, validateTenantAccess, requireMember, (req, res)
         const tag = db.prepare('SELECT id FROM tags WHERE id = ? AND tenant_id = ? AND status = \'active\'').get(tagId, req.tenantId);
         if (tag) {
           insertContactTag.run(id, tagId);
+          if (!previousTagIds.includes(tagId)) addedTagIds.push(tagId);
         }
       }
     }
 
+    emitContactEvent(req.tenantId, id, 'contact.updated');
+    handleTagsAdded(req.tenantId, id, addedTagIds);
+
     res.status(200).json({
       contact_id: id,
       message: 'Contact updated successfully',
@@ -1101,141 +1712,35 @@ router.post('/import', requireAuth, validateTenantAccess, requireMember, (req, r
       errors: []
     };
 
-    // Validate and insert in transaction
-    const insertContact = db.prepare(`
-      INSERT INTO contacts
-      (id, tenant_id, name, phone, email, consent_whatsapp, consent_email, consent_source, consent_updated_at, created_at, updated_at)
-      VALUES (?, ?, ?, ?, ?, ?, ?, 'csv_import', ?, ?, ?)
-    `);
-
-    const insertContactTag = db.prepare('INSERT INTO contact_tags (contact_id, tag_id) VALUES (?, ?)');
-    const getTagByName = db.prepare('SELECT id, status FROM tags WHERE tenant_id = ? AND name = ?');
-    const activateTag = db.prepare(`UPDATE tags SET status = 'active', updated_at = ? WHERE id = ?`);
-    const createTag = db.prepare(`
-      INSERT INTO tags (id, tenant_id, name, created_at, updated_at, status, scope, is_default)
-      VALUES (?, ?, ?, ?, ?, 'active', 'tenant', 0)
-    `);
+    // Custom attribute columns arrive as attr.<key>
+    const attributeDefinitions = getAttributeDefinitions(req.tenantId);
+    const now = new Date().toISOString();
 
-    // Start transaction
+    // Existing phones fail the row; background import jobs offer skip/update/merge instead
     const transaction = db.transaction(() => {
-      for (let i = 0; i < contactsData.length; i++) {
-        const row = contactsData[i];
+      contactsData.forEach((row, i) => {
         const rowNum = i + 1;
-
-        try {
-          // Validate required fields
-          const name = row.name?.toString().trim();
-          const phone = row.phone?.toString().trim();
-          const email = row.email?.toString().trim() || null;
-          const tagsStr = row.tags?.toString().trim() || '';
-
-          if (!name) {
-            results.failed++;
-            results.errors.push({
-              row: rowNum,
-              field: 'name',
-              message: 'Name is required'
-            });
-            continue;
-          }
-
-          if (!phone) {
-            results.failed++;
-            results.errors.push({
-              row: rowNum,
-              field: 'phone',
-              message: 'Phone is required'
-            });
-            continue;
-          }
-
-          // Validate E.164 phone format
-          if (!/^\+?[1-9]\d{1,14}$/.test(phone.replace(/[^\d+]/g, ''))) {
-            results.failed++;
-            results.errors.push({
-              row: rowNum,
-              field: 'phone',
-              message: 'Invalid phone format. Must be E.164 format (e.g., +1234567890)'
-            });
-            continue;
-          }
-
-          // Validate email if provided
-          if (email && !/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(email)) {
-            results.failed++;
-            results.errors.push({
-              row: rowNum,
-              field: 'email',
-              message: 'Invalid email format'
-            });
-            continue;
-          }
-
-          // Check for duplicate phone
-          const existing = db.prepare(
-            'SELECT id FROM contacts WHERE tenant_id = ? AND phone = ?'
-          ).get(req.tenantId, phone);
-
-          if (existing) {
-            results.failed++;
-            results.errors.push({
-              row: rowNum,
-              field: 'phone',
-              message: 'Phone already exists for this tenant'
-            });
-            continue;
-          }
-
-          // Create contact
-          const contactId = uuidv4();
-          const now = new Date().toISOString();
-
-          insertContact.run(
-            contactId,
-            req.tenantId,
-            name,
-            phone,
-            email,
-            1, // consent_whatsapp default true for imported
-            0, // consent_email default false
-            now,
-            now,
-            now
-          );
-
-          // Add tags if provided
-          if (tagsStr) {
-            const tagNames = tagsStr.split(',').map(t => t.trim()).filter(t => t);
-            for (const tagName of tagNames) {
-              let tag = getTagByName.get(req.tenantId, tagName);
-              if (tag) {
-                if (tag.status === 'archived') {
-                  activateTag.run(now, tag.id);
-                  tag.status = 'active';
-                }
-              } else {
-                const tagId = uuidv4();
-                createTag.run(tagId, req.tenantId, tagName, now, now);
-                tag = { id: tagId, status: 'active' };
-              }
-              if (tag.status === 'active') {
-                insertContactTag.run(contactId, tag.id);
-              }
+        let result = prepareImportRow(row || {}, attributeDefinitions);
+        if (!result.error) {
+          try {
+            result = db.transaction(() => applyImportRow(req.tenantId, result.contact, 'reject', now))();
+            if (result.outcome === 'created') {
+              handleContactCreated(req.tenantId, result.contactId, result.addedTagIds);
             }
+          } catch (error) {
+            result = { error: { message: error.message } };
           }
+        }
 
-          results.imported++;
-        } catch (error) {
+        if (result.error) {
           results.failed++;
-          results.errors.push({
-            row: rowNum,
-            message: error.message
-          });
+          results.errors.push({ row: rowNum, ...result.error });
+        } else {
+          results.imported++;
         }
-      }
+      });
     });
 
-    // Execute transaction
     transaction();
 
     // Log audit event
@@ -1270,60 +1775,4 @@ router.post('/import', requireAuth, validateTenantAccess, requireMember, (req, r
   }
 });
 
-/**
- * GET /contacts/export
- * Export contacts as CSV
- */
-router.get('/export', requireAuth, validateTenantAccess, (req, res) => {
-  try {
-    // Get all contacts with tags for this tenant
-    const contacts = db.prepare(`
-      SELECT
-        c.id,
-        c.name,
-        c.phone,
-        c.email,
-        c.consent_whatsapp,
-        c.consent_email,
-        c.created_at,
-        GROUP_CONCAT(t.name, ', ') as tags
-      FROM contacts c
-      LEFT JOIN contact_tags ct ON c.id = ct.contact_id
-      LEFT JOIN tags t ON ct.tag_id = t.id
-      WHERE c.tenant_id = ?
-      GROUP BY c.id
-      ORDER BY c.created_at DESC
-    `).all(req.tenantId);
-
-    // Build CSV content
-    let csv = 'Name,Phone,Email,Tags,Consent WhatsApp,Consent Email,Created At\n';
-
-    for (const contact of contacts) {
-      const name = (contact.name || '').replace(/"/g, '""');
-      const phone = contact.phone || '';
-      const email = (contact.email || '').replace(/"/g, '""');
-      const tags = (contact.tags || '').replace(/"/g, '""');
-      const consentWa = contact.consent_whatsapp ? 'Yes' : 'No';
-      const consentEmail = contact.consent_email ? 'Yes' : 'No';
-      const createdAt = contact.created_at || '';
-
-      csv += `"${name}","${phone}","${email}","${tags}","${consentWa}","${consentEmail}","${createdAt}"\n`;
-    }
-
-    // Send as file download
-    const filename = `contacts-${new Date().toISOString().split('T')[0]}.csv`;
-    res.setHeader('Content-Type', 'text/csv');
-    res.setHeader('Content-Disposition', `attachment; filename="${filename}"`);
-    res.send(csv);
-
-  } catch (error) {
-    console.error('Export contacts error:', error);
-    res.status(500).json({
-      error: 'Failed to export contacts',
-      message: error.message,
-      status: 'error'
-    });
-  }
-});
-
 module.exports = router;
@@ -0,0 +1,562 @@
+/**
+ * Inbox Routes
+ * Shared team inbox for inbound WhatsApp conversations
+ * - Listing threads per tenant with assignment and status filters
+ * - Reading a thread (marks it read)
+ * - Replying: free-form text inside the 24-hour window, templates after it closes
+ * - Assigning threads to team members and closing/reopening them
+ */
+
+const express = require('express');
+const router = express.Router();
+const db = require('../db');
+const whatsappService = require('../services/whatsapp');
+const { getWhatsAppCredentials } = require('../services/messageQueue');
+const {
+  getWindowExpiresAt,
+  isWindowOpen,
+  recordOutboundMessage
+} = require('../services/inbox');
+const { requireMember } = require('../middleware/rbac');
+const { logAudit, AUDIT_ACTIONS } = require('../utils/audit');
+
+const MAX_TEXT_LENGTH = 4096;
+const MEDIA_HEADER_TYPES = ['IMAGE', 'VIDEO', 'DOCUMENT'];
+
+// ===== MIDDLEWARE =====
+
+// Check if user is authenticated
+const requireAuth = (req, res, next) => {
+  if (!req.session || !req.session.userId) {
+    return res.status(401).json({
+      error: 'Unauthorized',
+      message: 'You must be logged in',
+      status: 'error'
+    });
+  }
+  next();
+};
+
+// Validate tenant access (ensure user has access to tenant)
+const validateTenantAccess = (req, res, next) => {
+  const tenantId = req.session.activeTenantId;
+
+  if (!tenantId) {
+    return res.status(400).json({
+      error: 'Missing tenant',
+      message: 'Tenant ID is required',
+      status: 'error'
+    });
+  }
+
+  const userTenant = db.prepare(`
+    SELECT ut.tenant_id FROM user_tenants ut
+    WHERE ut.user_id = ? AND ut.tenant_id = ?
+  `).get(req.session.userId, tenantId);
+
+  if (!userTenant) {
+    return res.status(403).json({
+      error: 'Forbidden',
+      message: 'You do not have access to this tenant',
+      status: 'error'
+    });
+  }
+
+  req.tenantId = tenantId;
+  next();
+};
+
+// ===== HELPER FUNCTIONS =====
+
+const CONVERSATION_SELECT = `
+  SELECT
+    cv.*,
+    c.name as contact_name,
+    c.phone as contact_phone,
+    c.email as contact_email,
+    u.name as assigned_user_name,
+    u.email as assigned_user_email
+  FROM conversations cv
+  JOIN contacts c ON c.id = cv.contact_id
+  LEFT JOIN users u ON u.id = cv.assigned_user_id
+`;
+
+function getConversation(tenantId, conversationId) {
+  return db.prepare(`${CONVERSATION_SELECT} WHERE cv.id = ? AND cv.tenant_id = ?`).get(conversationId, tenantId);
+}
+
+/**
+ * Shape a conversation row for the API
+ */
+function buildConversationResponse(row) {
+  return {
+    id: row.id,
+    channel: row.channel,
+    status: row.status,
+    contact: {
+      id: row.contact_id,
+      name: row.contact_name,
+      phone: row.contact_phone,
+      email: row.contact_email
+    },
+    assigned_user: row.assigned_user_id
+      ? { id: row.assigned_user_id, name: row.assigned_user_name, email: row.assigned_user_email }
+      : null,
+    last_message_at: row.last_message_at,
+    last_message_preview: row.last_message_preview,
+    last_inbound_at: row.last_inbound_at,
+    unread_count: row.unread_count || 0,
+    window_open: isWindowOpen(row),
+    window_expires_at: getWindowExpiresAt(row.last_inbound_at),
+    created_at: row.created_at,
+    updated_at: row.updated_at
+  };
+}
+
+function buildMessageResponse(row) {
+  return {
+    id: row.id,
+    direction: row.direction,
+    type: row.message_type,
+    body: row.body,
+    template_id: row.template_id,
+    status: row.status,
+    status_reason: row.status_reason,
+    sent_by: row.sent_by_user_id
+      ? { id: row.sent_by_user_id, name: row.sent_by_name, email: row.sent_by_email }
+      : null,
+    created_at: row.created_at
+  };
+}
+
+function safeParseArray(value) {
+  if (!value) return [];
+  try {
+    const parsed = JSON.parse(value);
+    return Array.isArray(parsed) ? parsed : [];
+  } catch {
+    return [];
+  }
+}
+
+/**
+ * Fill template placeholders so the thread shows what the customer received
+ */
+function renderTemplateText(text, variables) {
+  if (!text) return '';
+  return text.replace(/\{\{(\w+)\}\}/g, (match, key) => (
+    variables[key] !== undefined && variables[key] !== '' ? String(variables[key]) : match
+  ));
+}
+
+/**
+ * Active team members who can reply (viewers are read-only)
+ */
+function getAssignableMember(tenantId, userId) {
+  return db.prepare(`
+    SELECT u.id, u.name, u.email, ut.role
+    FROM user_tenants ut
+    JOIN users u ON u.id = ut.user_id
+    WHERE ut.tenant_id = ? AND ut.user_id = ? AND ut.active = 1 AND ut.role != 'viewer'
+  `).get(tenantId, userId);
+}
+
+// ===== ROUTES =====
+
+/**
+ * GET /api/inbox/conversations
+ * List conversations for the tenant, most recent first
+ * Query: status (open|closed|all), assignee (me|unassigned|<user id>), search
+ */
+router.get('/conversations', requireAuth, validateTenantAccess, (req, res) => {
+  try {
+    const { status = 'open', assignee, search } = req.query;
+    const limit = Math.min(parseInt(req.query.limit, 10) || 50, 200);
+    const offset = Math.max(parseInt(req.query.offset, 10) || 0, 0);
+
+    if (!['open', 'closed', 'all'].includes(status)) {
+      return res.status(400).json({
+        error: 'Validation Error',
+        message: 'status must be open, closed or all',
+        status: 'error'
+      });
+    }
+
+    let where = 'WHERE cv.tenant_id = ?';
+    const params = [req.tenantId];
+
+    if (status !== 'all') {
+      where += ' AND cv.status = ?';
+      params.push(status);
+    }
+
+    if (assignee === 'me') {
+      where += ' AND cv.assigned_user_id = ?';
+      params.push(req.session.userId);
+    } else if (assignee === 'unassigned') {
+      where += ' AND cv.assigned_user_id IS NULL';
+    } else if (assignee) {
+      where += ' AND cv.assigned_user_id = ?';
+      params.push(assignee);
+    }
+
+    if (search) {
+      where += ' AND (c.name LIKE ? OR c.phone LIKE ? OR c.email LIKE ?)';
+      const term = `%${search}%`;
+      params.push(term, term, term);
+    }
+
+    const total = db.prepare(`
+      SELECT COUNT(*) as count
+      FROM conversations cv
+      JOIN contacts c ON c.id = cv.contact_id
+      ${where}
+    `).get(...params).count;
+
+    const rows = db.prepare(`
+      ${CONVERSATION_SELECT}
+      ${where}
+      ORDER BY cv.last_message_at DESC
+      LIMIT ? OFFSET ?
+    `).all(...params, limit, offset);
+
+    res.json({
+      data: rows.map(buildConversationResponse),
+      pagination: { total, limit, offset },
+      status: 'success'
+    });
+  } catch (error) {
+    console.error('List conversations error:', error);
+    res.status(500).json({
+      error: 'Internal Server Error',
+      message: 'Failed to load conversations',
+      status: 'error'
+    });
+  }
+});
+
+/**
+ * GET /api/inbox/assignees
+ * Team members conversations can be assigned to
+ */
+router.get('/assignees', requireAuth, validateTenantAccess, (req, res) => {
+  try {
+    const members = db.prepare(`
+      SELECT u.id, u.name, u.email, ut.role
+      FROM user_tenants ut
+      JOIN users u ON u.id = ut.user_id
+      WHERE ut.tenant_id = ? AND ut.active = 1 AND ut.role != 'viewer'
+      ORDER BY COALESCE(u.name, u.email) ASC
+    `).all(req.tenantId);
+
+    res.json({ data: members, status: 'success' });
+  } catch (error) {
+    console.error('List assignees error:', error);
+    res.status(500).json({
+      error: 'Internal Server Error',
+      message: 'Failed to load team members',
+      status: 'error'
+    });
+  }
+});
+
+/**
+ * GET /api/inbox/conversations/:id
+ * Conversation with its messages; marks the thread read
+ */
+router.get('/conversations/:id', requireAuth, validateTenantAccess, (req, res) => {
+  try {
+    const conversation = getConversation(req.tenantId, req.params.id);
+    if (!conversation) {
+      return res.status(404).json({
+        error: 'Not Found',
+        message: 'Conversation not found',
+        status: 'error'
+      });
+    }
+
+    const messages = db.prepare(`
+      SELECT m.*, u.name as sent_by_name, u.email as sent_by_email
+      FROM conversation_messages m
+      LEFT JOIN users u ON u.id = m.sent_by_user_id
+      WHERE m.conversation_id = ?
+      ORDER BY m.created_at ASC
+    `).all(conversation.id);
+
+    if (conversation.unread_count > 0) {
+      db.prepare('UPDATE conversations SET unread_count = 0 WHERE id = ?').run(conversation.id);
+      conversation.unread_count = 0;
+    }
+
+    res.json({
+      data: {
+        ...buildConversationResponse(conversation),
+        messages: messages.map(buildMessageResponse)
+      },
+      status: 'success'
+    });
+  } catch (error) {
+    console.error('Get conversation error:', error);
+    res.status(500).json({
+      error: 'Internal Server Error',
+      message: 'Failed to load conversation',
+      status: 'error'
+    });
+  }
+});
+
+/**
+ * POST /api/inbox/conversations/:id/messages
+ * Reply to a conversation
+ * Body: { type: 'text', text } or { type: 'template', template_id, variables, media }
+ * Free-form text is only allowed inside the 24-hour customer-service window.
+ */
+router.post('/conversations/:id/messages', requireAuth, validateTenantAccess, requireMember, async (req, res) => {
+  try {
+    const { type = 'text', text, template_id: templateId, variables = {}, media = {} } = req.body || {};
+
+    const conversation = getConversation(req.tenantId, req.params.id);
+    if (!conversation) {
+      return res.status(404).json({
+        error: 'Not Found',
+        message: 'Conversation not found',
+        status: 'error'
+      });
+    }
+
+    if (!['text', 'template'].includes(type)) {
+      return res.status(400).json({
+        error: 'Validation Error',
+        message: 'type must be text or template',
+        status: 'error'
+      });
+    }
+
+    if (!conversation.contact_phone) {
+      return res.status(400).json({
+        error: 'Validation Error',
+        message: 'Contact has no phone number',
+        status: 'error'
+      });
+    }
+
+    const credentials = getWhatsAppCredentials(req.tenantId);
+    if (!credentials || !credentials.phone_number_id || !credentials.access_token) {
+      return res.status(400).json({
+        error: 'WhatsApp Not Configured',
+        message: 'Connect WhatsApp in Settings before replying',
+        status: 'error'
+      });
+    }
+
+    let providerMessageId;
+    let storedBody;
+
+    if (type === 'text') {
+      const messageText = typeof text === 'string' ? text.trim() : '';
+      if (!messageText) {
+        return res.status(400).json({
+          error: 'Validation Error',
+          message: 'Message text is required',
+          status: 'error'
+        });
+      }
+      if (messageText.length > MAX_TEXT_LENGTH) {
+        return res.status(400).json({
+          error: 'Validation Error',
+          message: `Message text must be ${MAX_TEXT_LENGTH} characters or fewer`,
+          status: 'error'
+        });
+      }
+      if (!isWindowOpen(conversation)) {
+        return res.status(400).json({
+          error: 'Window Closed',
+          message: 'The 24-hour customer-service window has closed. Send an approved template instead.',
+          status: 'error'
+        });
+      }
+
+      providerMessageId = await whatsappService.sendWhatsAppText(
+        credentials.phone_number_id,
+        credentials.access_token,
+        conversation.contact_phone,
+        messageText
+      );
+      storedBody = messageText;
+    } else {
+      const template = templateId ? db.prepare(`
+        SELECT id, name, status, header_type, header_text, body_template, body_variables, header_variables, buttons_json
+        FROM whatsapp_templates
+        WHERE id = ? AND tenant_id = ?
+      `).get(templateId, req.tenantId) : null;
+
+      if (!template) {
+        return res.status(400).json({
+          error: 'Validation Error',
+          message: 'A valid template_id is required',
+          status: 'error'
+        });
+      }
+      if (template.status !== 'APPROVED') {
+        return res.status(400).json({
+          error: 'Validation Error',
+          message: 'Only approved templates can be sent',
+          status: 'error'
+        });
+      }
+
+      const bodyVars = safeParseArray(template.body_variables);
+      const headerVars = safeParseArray(template.header_variables);
+      const missing = [...headerVars, ...bodyVars].filter(v => variables[v] === undefined || String(variables[v]).trim() === '');
+      if (missing.length > 0) {
+        return res.status(400).json({
+          error: 'Validation Error',
+          message: `Missing template variables: ${missing.join(', ')}`,
+          status: 'error'
+        });
+      }
+      if (MEDIA_HEADER_TYPES.includes(template.header_type) && !media?.header_link) {
+        return res.status(400).json({
+          error: 'Validation Error',
+          message: `Template requires a ${template.header_type.toLowerCase()} header link`,
+          status: 'error'
+        });
+      }
+
+      providerMessageId = await whatsappService.sendWhatsAppMessage(
+        credentials.phone_number_id,
+        credentials.access_token,
+        conversation.contact_phone,
+        {
+          name: template.name,
+          body_variables: bodyVars,
+          header_variables: headerVars,
+          header_type: template.header_type,
+          buttons: safeParseArray(template.buttons_json)
+        },
+        variables,
+        media
+      );
+      storedBody = renderTemplateText(template.body_template, variables) || template.name;
+    }
+
+    const message = recordOutboundMessage(conversation, {
+      type,
+      body: storedBody,
+      templateId: type === 'template' ? templateId : null,
+      providerMessageId,
+      userId: req.session.userId
+    });
+
+    const sender = db.prepare('SELECT name, email FROM users WHERE id = ?').get(req.session.userId) || {};
+
+    res.status(201).json({
+      data: buildMessageResponse({ ...message, sent_by_name: sender.name, sent_by_email: sender.email }),
+      status: 'success'
+    });
+  } catch (error) {
+    console.error('Send inbox reply error:', error);
+    res.status(502).json({
+      error: 'Send Failed',
+      message: error.message || 'Failed to send message',
+      status: 'error'
+    });
+  }
+});
+
+/**
+ * PATCH /api/inbox/conversations/:id
+ * Assign a conversation and/or change its status
+ * Body: { assigned_user_id: string|null, status: 'open'|'closed' }
+ */
+router.patch('/conversations/:id', requireAuth, validateTenantAccess, requireMember, (req, res) => {
+  try {
+    const body = req.body || {};
+    const conversation = getConversation(req.tenantId, req.params.id);
+    if (!conversation) {
+      return res.status(404).json({
+        error: 'Not Found',
+        message: 'Conversation not found',
+        status: 'error'
+      });
+    }
+
+    const hasAssignee = Object.prototype.hasOwnProperty.call(body, 'assigned_user_id');
+    const hasStatus = Object.prototype.hasOwnProperty.call(body, 'status');
+    const assigneeId = hasAssignee ? (body.assigned_user_id || null) : conversation.assigned_user_id;
+    const newStatus = hasStatus ? body.status : conversation.status;
+
+    if (hasAssignee && assigneeId && !getAssignableMember(req.tenantId, assigneeId)) {
+      return res.status(400).json({
+        error: 'Validation Error',
+        message: 'Assignee must be an active team member who can reply',
+        status: 'error'
+      });
+    }
+
+    if (hasStatus && !['open', 'closed'].includes(newStatus)) {
+      return res.status(400).json({
+        error: 'Validation Error',
+        message: 'status must be open or closed',
+        status: 'error'
+      });
+    }
+
+    const assigneeChanged = assigneeId !== conversation.assigned_user_id;
+    const statusChanged = newStatus !== conversation.status;
+
+    if (assigneeChanged || statusChanged) {
+      db.prepare(`
+        UPDATE conversations
+        SET assigned_user_id = ?, status = ?, updated_at = ?
+        WHERE id = ?
+      `).run(assigneeId, newStatus, new Date().toISOString(), conversation.id);
+    }
+
+    if (assigneeChanged) {
+      logAudit({
+        actorUserId: req.session.userId,
+        actorType: 'tenant_user',
+        tenantId: req.tenantId,
+        action: AUDIT_ACTIONS.CONVERSATION_ASSIGN,
+        targetType: 'conversation',
+        targetId: conversation.id,
+        metadata: {
+          from: conversation.assigned_user_id,
+          to: assigneeId
+        },
+        ipAddress: req.ip
+      });
+    }
+
+    if (statusChanged) {
+      logAudit({
+        actorUserId: req.session.userId,
+        actorType: 'tenant_user',
+        tenantId: req.tenantId,
+        action: AUDIT_ACTIONS.CONVERSATION_STATUS_CHANGE,
+        targetType: 'conversation',
+        targetId: conversation.id,
+        metadata: {
+          from: conversation.status,
+          to: newStatus
+        },
+        ipAddress: req.ip
+      });
+    }
+
+    res.json({
+      data: buildConversationResponse(getConversation(req.tenantId, conversation.id)),
+      status: 'success'
+    });
+  } catch (error) {
+    console.error('Update conversation error:', error);
+    res.status(500).json({
+      error: 'Internal Server Error',
+      message: 'Failed to update conversation',
+      status: 'error'
+    });
+  }
+});
+
+module.exports = router;
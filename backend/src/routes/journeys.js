@@ -0,0 +1,574 @@
+/**
+ * Journeys Routes
+ * Multi-step drip journeys triggered by contact events
+ * - CRUD for journey definitions (drafts can be edited, active ones must be paused first)
+ * - Activate / pause / archive
+ * - Per-step stats and the contacts currently or previously enrolled
+ */
+
+const express = require('express');
+const router = express.Router();
+const db = require('../db');
+const { v4: uuidv4 } = require('uuid');
+const { requireMember } = require('../middleware/rbac');
+const { logAudit, AUDIT_ACTIONS } = require('../utils/audit');
+const {
+  validateJourneyDefinition,
+  getJourney,
+  getEnrollmentCounts,
+  getStepStats,
+  exitActiveEnrollments
+} = require('../services/journeys');
+
+const ENROLLMENT_STATUSES = ['active', 'completed', 'exited', 'failed'];
+
+// ===== MIDDLEWARE =====
+
+// Check if user is authenticated
+const requireAuth = (req, res, next) => {
+  if (!req.session || !req.session.userId) {
+    return res.status(401).json({
+      error: 'Unauthorized',
+      message: 'You must be logged in',
+      status: 'error'
+    });
+  }
+  next();
+};
+
+// Validate tenant access (ensure user has access to tenant)
+const validateTenantAccess = (req, res, next) => {
+  const tenantId = req.session.activeTenantId;
+
+  if (!tenantId) {
+    return res.status(400).json({
+      error: 'Missing tenant',
+      message: 'Tenant ID is required',
+      status: 'error'
+    });
+  }
+
+  const userTenant = db.prepare(`
+    SELECT ut.tenant_id FROM user_tenants ut
+    WHERE ut.user_id = ? AND ut.tenant_id = ?
+  `).get(req.session.userId, tenantId);
+
+  if (!userTenant) {
+    return res.status(403).json({
+      error: 'Forbidden',
+      message: 'You do not have access to this tenant',
+      status: 'error'
+    });
+  }
+
+  req.tenantId = tenantId;
+  next();
+};
+
+// ===== HELPER FUNCTIONS =====
+
+function formatJourney(journey, extra = {}) {
+  return {
+    id: journey.id,
+    name: journey.name,
+    description: journey.description,
+    status: journey.status,
+    trigger_type: journey.trigger_type,
+    definition: typeof journey.definition === 'string' ? JSON.parse(journey.definition) : journey.definition,
+    allow_reentry: Boolean(journey.allow_reentry),
+    created_by: journey.created_by,
+    activated_at: journey.activated_at,
+    archived_at: journey.archived_at,
+    created_at: journey.created_at,
+    updated_at: journey.updated_at,
+    ...extra
+  };
+}
+
+function getVisibleJourney(tenantId, journeyId) {
+  const journey = getJourney(tenantId, journeyId);
+  return journey && journey.status !== 'archived' ? journey : null;
+}
+
+function validateJourneyName(name, tenantId, excludeId = null) {
+  const trimmed = typeof name === 'string' ? name.trim() : '';
+  if (!trimmed) {
+    return { error: 'Journey name is required' };
+  }
+  if (trimmed.length > 100) {
+    return { error: 'Journey name cannot exceed 100 characters' };
+  }
+
+  const duplicate = db.prepare(`
+    SELECT id FROM journeys
+    WHERE tenant_id = ? AND LOWER(name) = LOWER(?) AND status != 'archived' AND id != COALESCE(?, '')
+  `).get(tenantId, trimmed, excludeId);
+  if (duplicate) {
+    return { error: 'A journey with this name already exists' };
+  }
+
+  return { name: trimmed };
+}
+
+function notFound(res) {
+  return res.status(404).json({
+    error: 'Not Found',
+    message: 'Journey not found',
+    status: 'error'
+  });
+}
+
+function auditJourney(req, action, journey, metadata = {}) {
+  logAudit({
+    actorUserId: req.session.userId,
+    actorType: 'tenant_user',
+    tenantId: req.tenantId,
+    action,
+    targetType: 'journey',
+    targetId: journey.id,
+    metadata: { name: journey.name, ...metadata },
+    ipAddress: req.ip
+  });
+}
+
+// ===== ROUTES =====
+
+/**
+ * GET /journeys
+ * List journeys with enrollment counts by status
+ */
+router.get('/', requireAuth, validateTenantAccess, (req, res) => {
+  try {
+    const journeys = db.prepare(`
+      SELECT * FROM journeys
+      WHERE tenant_id = ? AND status != 'archived'
+      ORDER BY name ASC
+    `).all(req.tenantId);
+    const counts = getEnrollmentCounts(journeys.map(journey => journey.id));
+
+    return res.json({
+      data: journeys.map(journey => formatJourney(journey, { enrollments: counts.get(journey.id) })),
+      status: 'success'
+    });
+  } catch (error) {
+    console.error('Error fetching journeys:', error);
+    return res.status(500).json({
+      error: 'Failed to fetch journeys',
+      message: error.message,
+      status: 'error'
+    });
+  }
+});
+
+/**
+ * GET /journeys/:id
+ * Journey details with enrollment counts and per-step stats
+ */
+router.get('/:id', requireAuth, validateTenantAccess, (req, res) => {
+  try {
+    const journey = getVisibleJourney(req.tenantId, req.params.id);
+    if (!journey) return notFound(res);
+
+    return res.json({
+      data: formatJourney(journey, {
+        enrollments: getEnrollmentCounts([journey.id]).get(journey.id),
+        step_stats: getStepStats(journey.id)
+      }),
+      status: 'success'
+    });
+  } catch (error) {
+    console.error('Error fetching journey:', error);
+    return res.status(500).json({
+      error: 'Failed to fetch journey',
+      message: error.message,
+      status: 'error'
+    });
+  }
+});
+
+/**
+ * POST /journeys
+ * Create a draft journey
+ * Body: { name, description, definition, allow_reentry }
+ */
+router.post('/', requireAuth, validateTenantAccess, requireMember, (req, res) => {
+  try {
+    const { description, definition, allow_reentry: allowReentry } = req.body || {};
+
+    const nameResult = validateJourneyName(req.body?.name, req.tenantId);
+    if (nameResult.error) {
+      return res.status(400).json({
+        error: 'Validation Error',
+        message: nameResult.error,
+        status: 'error'
+      });
+    }
+
+    const definitionResult = validateJourneyDefinition(definition, req.tenantId);
+    if (definitionResult.error) {
+      return res.status(400).json({
+        error: 'Validation Error',
+        message: definitionResult.error,
+        status: 'error'
+      });
+    }
+
+    const journeyId = uuidv4();
+    const now = new Date().toISOString();
+
+    db.prepare(`
+      INSERT INTO journeys (
+        id, tenant_id, name, description, status, trigger_type, definition, allow_reentry,
+        created_by, created_at, updated_at
+      ) VALUES (?, ?, ?, ?, 'draft', ?, ?, ?, ?, ?, ?)
+    `).run(
+      journeyId,
+      req.tenantId,
+      nameResult.name,
+      description || null,
+      definitionResult.definition.trigger.type,
+      JSON.stringify(definitionResult.definition),
+      allowReentry ? 1 : 0,
+      req.session.userId,
+      now,
+      now
+    );
+
+    const journey = getJourney(req.tenantId, journeyId);
+    auditJourney(req, AUDIT_ACTIONS.JOURNEY_CREATE, journey, { trigger: journey.trigger_type });
+
+    return res.status(201).json({
+      data: formatJourney(journey, { enrollments: getEnrollmentCounts([journeyId]).get(journeyId), step_stats: {} }),
+      status: 'success',
+      message: 'Journey created successfully'
+    });
+  } catch (error) {
+    console.error('Error creating journey:', error);
+    return res.status(500).json({
+      error: 'Failed to create journey',
+      message: error.message,
+      status: 'error'
+    });
+  }
+});
+
+/**
+ * PUT /journeys/:id
+ * Update a draft or paused journey
+ * Contacts waiting at a step that was removed leave the journey.
+ */
+router.put('/:id', requireAuth, validateTenantAccess, requireMember, (req, res) => {
+  try {
+    const journey = getVisibleJourney(req.tenantId, req.params.id);
+    if (!journey) return notFound(res);
+
+    if (journey.status === 'active') {
+      return res.status(409).json({
+        error: 'Journey Active',
+        message: 'Pause the journey before editing it',
+        status: 'error'
+      });
+    }
+
+    const { description, definition, allow_reentry: allowReentry } = req.body || {};
+
+    const nameResult = validateJourneyName(req.body?.name ?? journey.name, req.tenantId, journey.id);
+    if (nameResult.error) {
+      return res.status(400).json({
+        error: 'Validation Error',
+        message: nameResult.error,
+        status: 'error'
+      });
+    }
+
+    const definitionResult = validateJourneyDefinition(definition ?? journey.definition, req.tenantId);
+    if (definitionResult.error) {
+      return res.status(400).json({
+        error: 'Validation Error',
+        message: definitionResult.error,
+        status: 'error'
+      });
+    }
+
+    const stepIds = new Set(definitionResult.definition.steps.map(step => step.id));
+    const removedSteps = (journey.definition?.steps || []).map(step => step.id).filter(id => !stepIds.has(id));
+
+    const exited = db.transaction(() => {
+      db.prepare(`
+        UPDATE journeys
+        SET name = ?, description = ?, trigger_type = ?, definition = ?, allow_reentry = ?, updated_at = ?
+        WHERE id = ? AND tenant_id = ?
+      `).run(
+        nameResult.name,
+        description !== undefined ? (description || null) : journey.description,
+        definitionResult.definition.trigger.type,
+        JSON.stringify(definitionResult.definition),
+        allowReentry !== undefined ? (allowReentry ? 1 : 0) : journey.allow_reentry,
+        new Date().toISOString(),
+        journey.id,
+        req.tenantId
+      );
+      return exitActiveEnrollments(journey.id, 'Step removed from the journey', removedSteps);
+    })();
+
+    auditJourney(req, AUDIT_ACTIONS.JOURNEY_UPDATE, { ...journey, name: nameResult.name }, {
+      definition_changed: definition !== undefined,
+      exited_enrollments: exited
+    });
+
+    const updated = getJourney(req.tenantId, journey.id);
+
+    return res.json({
+      data: formatJourney(updated, {
+        enrollments: getEnrollmentCounts([journey.id]).get(journey.id),
+        step_stats: getStepStats(journey.id)
+      }),
+      status: 'success',
+      message: 'Journey updated successfully'
+    });
+  } catch (error) {
+    console.error('Error updating journey:', error);
+    return res.status(500).json({
+      error: 'Failed to update journey',
+      message: error.message,
+      status: 'error'
+    });
+  }
+});
+
+/**
+ * POST /journeys/:id/activate
+ * Start enrolling contacts (drafts), or resume a paused journey's waiting contacts
+ * The definition is checked again in case a tag or template it uses has gone.
+ */
+router.post('/:id/activate', requireAuth, validateTenantAccess, requireMember, (req, res) => {
+  try {
+    const journey = getVisibleJourney(req.tenantId, req.params.id);
+    if (!journey) return notFound(res);
+
+    if (journey.status === 'active') {
+      return res.status(409).json({
+        error: 'Already Active',
+        message: 'Journey is already active',
+        status: 'error'
+      });
+    }
+
+    const definitionResult = validateJourneyDefinition(journey.definition, req.tenantId);
+    if (definitionResult.error) {
+      return res.status(400).json({
+        error: 'Validation Error',
+        message: definitionResult.error,
+        status: 'error'
+      });
+    }
+
+    const now = new Date().toISOString();
+    db.prepare(`
+      UPDATE journeys
+      SET status = 'active', activated_at = COALESCE(activated_at, ?), updated_at = ?
+      WHERE id = ? AND tenant_id = ? AND status IN ('draft', 'paused')
+    `).run(now, now, journey.id, req.tenantId);
+
+    auditJourney(req, AUDIT_ACTIONS.JOURNEY_ACTIVATE, journey, { previous_status: journey.status });
+
+    return res.json({
+      data: formatJourney(getJourney(req.tenantId, journey.id)),
+      status: 'success',
+      message: journey.status === 'paused' ? 'Journey resumed' : 'Journey activated'
+    });
+  } catch (error) {
+    console.error('Error activating journey:', error);
+    return res.status(500).json({
+      error: 'Failed to activate journey',
+      message: error.message,
+      status: 'error'
+    });
+  }
+});
+
+/**
+ * POST /journeys/:id/pause
+ * Stop enrolling new contacts; enrolled contacts wait where they are until it resumes
+ */
+router.post('/:id/pause', requireAuth, validateTenantAccess, requireMember, (req, res) => {
+  try {
+    const journey = getVisibleJourney(req.tenantId, req.params.id);
+    if (!journey) return notFound(res);
+
+    if (journey.status !== 'active') {
+      return res.status(409).json({
+        error: 'Not Active',
+        message: 'Only active journeys can be paused',
+        status: 'error'
+      });
+    }
+
+    db.prepare(`
+      UPDATE journeys SET status = 'paused', updated_at = ? WHERE id = ? AND tenant_id = ?
+    `).run(new Date().toISOString(), journey.id, req.tenantId);
+
+    auditJourney(req, AUDIT_ACTIONS.JOURNEY_PAUSE, journey);
+
+    return res.json({
+      data: formatJourney(getJourney(req.tenantId, journey.id)),
+      status: 'success',
+      message: 'Journey paused'
+    });
+  } catch (error) {
+    console.error('Error pausing journey:', error);
+    return res.status(500).json({
+      error: 'Failed to pause journey',
+      message: error.message,
+      status: 'error'
+    });
+  }
+});
+
+/**
+ * DELETE /journeys/:id
+ * Archive a journey; contacts still in it leave without running further steps
+ * Enrollment history and messages already sent are kept.
+ */
+router.delete('/:id', requireAuth, validateTenantAccess, requireMember, (req, res) => {
+  try {
+    const journey = getVisibleJourney(req.tenantId, req.params.id);
+    if (!journey) return notFound(res);
+
+    const exited = db.transaction(() => {
+      const now = new Date().toISOString();
+      db.prepare(`
+        UPDATE journeys SET status = 'archived', archived_at = ?, updated_at = ? WHERE id = ? AND tenant_id = ?
+      `).run(now, now, journey.id, req.tenantId);
+      return exitActiveEnrollments(journey.id, 'Journey archived');
+    })();
+
+    auditJourney(req, AUDIT_ACTIONS.JOURNEY_ARCHIVE, journey, { exited_enrollments: exited });
+
+    return res.json({
+      data: { exited_count: exited },
+      status: 'success',
+      message: 'Journey archived'
+    });
+  } catch (error) {
+    console.error('Error archiving journey:', error);
+    return res.status(500).json({
+      error: 'Failed to archive journey',
+      message: error.message,
+      status: 'error'
+    });
+  }
+});
+
+/**
+ * GET /journeys/:id/enrollments
+ * Contacts enrolled in the journey, newest first, with the steps they ran
+ * Query: status, limit (max 100), offset
+ */
+router.get('/:id/enrollments', requireAuth, validateTenantAccess, (req, res) => {
+  try {
+    const journey = getVisibleJourney(req.tenantId, req.params.id);
+    if (!journey) return notFound(res);
+
+    const { status } = req.query;
+    if (status && !ENROLLMENT_STATUSES.includes(status)) {
+      return res.status(400).json({
+        error: 'Validation Error',
+        message: `status must be one of: ${ENROLLMENT_STATUSES.join(', ')}`,
+        status: 'error'
+      });
+    }
+    const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 50, 1), 100);
+    const offset = Math.max(parseInt(req.query.offset, 10) || 0, 0);
+
+    const filter = `e.journey_id = ? AND e.tenant_id = ? ${status ? 'AND e.status = ?' : ''}`;
+    const params = [journey.id, req.tenantId, ...(status ? [status] : [])];
+
+    const enrollments = db.prepare(`
+      SELECT e.*, c.name as contact_name, c.phone as contact_phone, c.email as contact_email
+      FROM journey_enrollments e
+      LEFT JOIN contacts c ON c.id = e.contact_id
+      WHERE ${filter}
+      ORDER BY e.enrolled_at DESC
+      LIMIT ? OFFSET ?
+    `).all(...params, limit, offset);
+    const { total } = db.prepare(`SELECT COUNT(*) as total FROM journey_enrollments e WHERE ${filter}`).get(...params);
+
+    const stepRuns = enrollments.length > 0
+      ? db.prepare(`
+        SELECT r.enrollment_id, r.step_id, r.step_type, r.outcome, r.detail, r.message_id, r.created_at,
+          m.status as message_status
+        FROM journey_step_runs r
+        LEFT JOIN messages m ON m.id = r.message_id
+        WHERE r.enrollment_id IN (${enrollments.map(() => '?').join(',')})
+        ORDER BY r.created_at ASC
+      `).all(...enrollments.map(e => e.id))
+      : [];
+
+    return res.json({
+      data: enrollments.map(e => ({
+        id: e.id,
+        status: e.status,
+        contact: { id: e.contact_id, name: e.contact_name, phone: e.contact_phone, email: e.contact_email },
+        current_step_id: e.current_step_id,
+        next_run_at: e.next_run_at,
+        trigger_data: e.trigger_data ? JSON.parse(e.trigger_data) : null,
+        exit_reason: e.exit_reason,
+        enrolled_at: e.enrolled_at,
+        completed_at: e.completed_at,
+        steps: stepRuns.filter(run => run.enrollment_id === e.id).map(({ enrollment_id: _enrollmentId, ...run }) => run)
+      })),
+      pagination: { total, limit, offset },
+      status: 'success'
+    });
+  } catch (error) {
+    console.error('Error fetching journey enrollments:', error);
+    return res.status(500).json({
+      error: 'Failed to fetch enrollments',
+      message: error.message,
+      status: 'error'
+    });
+  }
+});
+
+/**
+ * POST /journeys/:id/enrollments/:enrollmentId/exit
+ * Take a contact out of the journey before it finishes
+ */
+router.post('/:id/enrollments/:enrollmentId/exit', requireAuth, validateTenantAccess, requireMember, (req, res) => {
+  try {
+    const journey = getVisibleJourney(req.tenantId, req.params.id);
+    if (!journey) return notFound(res);
+
+    const now = new Date().toISOString();
+    const result = db.prepare(`
+      UPDATE journey_enrollments
+      SET status = 'exited', exit_reason = 'Removed by a team member', next_run_at = NULL, completed_at = ?, updated_at = ?
+      WHERE id = ? AND journey_id = ? AND tenant_id = ? AND status = 'active'
+    `).run(now, now, req.params.enrollmentId, journey.id, req.tenantId);
+
+    if (result.changes === 0) {
+      return res.status(404).json({
+        error: 'Not Found',
+        message: 'No active enrollment with this id',
+        status: 'error'
+      });
+    }
+
+    auditJourney(req, AUDIT_ACTIONS.JOURNEY_ENROLLMENT_EXIT, journey, { enrollment_id: req.params.enrollmentId });
+
+    return res.json({
+      status: 'success',
+      message: 'Contact removed from the journey'
+    });
+  } catch (error) {
+    console.error('Error exiting journey enrollment:', error);
+    return res.status(500).json({
+      error: 'Failed to remove contact from journey',
+      message: error.message,
+      status: 'error'
+    });
+  }
+});
+
+module.exports = router;
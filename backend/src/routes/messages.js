@@ -0,0 +1,137 @@
+/**
+ * Messages Routes
+ * Transactional sends: one message to one contact, outside campaigns
+ * - Send a WhatsApp template or an email, with an optional Idempotency-Key
+ * - Look up a transactional message's delivery status
+ */
+
+const express = require('express');
+const router = express.Router();
+const db = require('../db');
+const { requireMember } = require('../middleware/rbac');
+const {
+  sendTransactionalMessage,
+  getTransactionalMessage,
+  formatTransactionalMessage
+} = require('../services/transactionalSender');
+
+// ===== MIDDLEWARE =====
+
+// Check if user is authenticated
+const requireAuth = (req, res, next) => {
+  if (!req.session || !req.session.userId) {
+    return res.status(401).json({
+      error: 'Unauthorized',
+      message: 'You must be logged in',
+      status: 'error'
+    });
+  }
+  next();
+};
+
+// Validate tenant access (ensure user has access to tenant)
+const validateTenantAccess = (req, res, next) => {
+  const tenantId = req.session.activeTenantId;
+
+  if (!tenantId) {
+    return res.status(400).json({
+      error: 'Missing tenant',
+      message: 'Tenant ID is required',
+      status: 'error'
+    });
+  }
+
+  const userTenant = db.prepare(`
+    SELECT ut.tenant_id FROM user_tenants ut
+    WHERE ut.user_id = ? AND ut.tenant_id = ?
+  `).get(req.session.userId, tenantId);
+
+  if (!userTenant) {
+    return res.status(403).json({
+      error: 'Forbidden',
+      message: 'You do not have access to this tenant',
+      status: 'error'
+    });
+  }
+
+  req.tenantId = tenantId;
+  next();
+};
+
+// ===== ROUTES =====
+
+/**
+ * POST /messages
+ * Queue a transactional message to one contact (created if new)
+ * Headers: Idempotency-Key (optional)
+ * Body: { channel, contact: { id } | { phone, email, name, consent_* }, template_id | template_name, variables }
+ *       Email: { channel: 'email', contact, subject, htmlBody, textBody, variables }
+ * 202 for a new message, 200 when an earlier request with the same key is replayed
+ */
+router.post('/', requireAuth, validateTenantAccess, requireMember, (req, res) => {
+  try {
+    const result = sendTransactionalMessage(req.tenantId, req.body, {
+      idempotencyKey: req.get('idempotency-key') || null,
+      apiKeyId: req.apiKey?.id || null
+    });
+
+    if (!result.success) {
+      return res.status(result.statusCode).json({
+        error: result.error,
+        message: result.message,
+        ...result.extra,
+        status: 'error'
+      });
+    }
+
+    if (result.replayed) {
+      res.set('Idempotent-Replayed', 'true');
+    }
+    return res.status(result.replayed ? 200 : 202).json({
+      data: {
+        ...formatTransactionalMessage(result.message),
+        contact_created: result.contactCreated
+      },
+      status: 'success',
+      message: result.replayed ? 'Message was already queued for this Idempotency-Key' : 'Message queued'
+    });
+  } catch (error) {
+    console.error('Error sending transactional message:', error);
+    return res.status(500).json({
+      error: 'Failed to send message',
+      message: error.message,
+      status: 'error'
+    });
+  }
+});
+
+/**
+ * GET /messages/:id
+ * Status of a transactional message
+ */
+router.get('/:id', requireAuth, validateTenantAccess, (req, res) => {
+  try {
+    const message = getTransactionalMessage(req.tenantId, req.params.id);
+    if (!message) {
+      return res.status(404).json({
+        error: 'Not Found',
+        message: 'Message not found',
+        status: 'error'
+      });
+    }
+
+    return res.json({
+      data: formatTransactionalMessage(message),
+      status: 'success'
+    });
+  } catch (error) {
+    console.error('Error fetching transactional message:', error);
+    return res.status(500).json({
+      error: 'Failed to fetch message',
+      message: error.message,
+      status: 'error'
+    });
+  }
+});
+
+module.exports = router;
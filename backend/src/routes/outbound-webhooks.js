@@ -0,0 +1,357 @@
+/**
+ * Outbound Webhooks Routes
+ * Tenant webhook endpoints, their event subscriptions and delivery log (admin+).
+ * Inbound provider webhooks (Meta, SES, Stripe) live in webhooks.js.
+ */
+
+const express = require('express');
+const router = express.Router();
+const db = require('../db');
+const { requireAdmin } = require('../middleware/rbac');
+const { logAudit, AUDIT_ACTIONS } = require('../utils/audit');
+const {
+  WEBHOOK_EVENTS,
+  validateEndpointInput,
+  listEndpoints,
+  getEndpoint,
+  createEndpoint,
+  updateEndpoint,
+  rotateEndpointSecret,
+  getEndpointSecret,
+  deleteEndpoint,
+  queueTestEvent,
+  listDeliveries,
+  getDelivery,
+  replayDelivery
+} = require('../services/outboundWebhooks');
+
+const DELIVERY_STATUSES = ['pending', 'succeeded', 'failed'];
+
+// ===== MIDDLEWARE =====
+
+// Check if user is authenticated
+const requireAuth = (req, res, next) => {
+  if (!req.session || !req.session.userId) {
+    return res.status(401).json({
+      error: 'Unauthorized',
+      message: 'You must be logged in',
+      status: 'error'
+    });
+  }
+  next();
+};
+
+// Validate tenant access (ensure user has access to tenant)
+const validateTenantAccess = (req, res, next) => {
+  const tenantId = req.session.activeTenantId;
+
+  if (!tenantId) {
+    return res.status(400).json({
+      error: 'Missing tenant',
+      message: 'Tenant ID is required',
+      status: 'error'
+    });
+  }
+
+  const userTenant = db.prepare(`
+    SELECT ut.tenant_id FROM user_tenants ut
+    WHERE ut.user_id = ? AND ut.tenant_id = ?
+  `).get(req.session.userId, tenantId);
+
+  if (!userTenant) {
+    return res.status(403).json({
+      error: 'Forbidden',
+      message: 'You do not have access to this tenant',
+      status: 'error'
+    });
+  }
+
+  req.tenantId = tenantId;
+  next();
+};
+
+// Load the endpoint named in :id for the active tenant
+const loadEndpoint = (req, res, next) => {
+  const endpoint = getEndpoint(req.tenantId, req.params.id);
+  if (!endpoint) {
+    return res.status(404).json({
+      error: 'Not Found',
+      message: 'Webhook endpoint not found',
+      status: 'error'
+    });
+  }
+  req.endpoint = endpoint;
+  next();
+};
+
+// ===== HELPER FUNCTIONS =====
+
+const serverError = (res, message, error) => {
+  console.error(`${message}:`, error);
+  return res.status(500).json({
+    error: 'Internal Server Error',
+    message,
+    status: 'error'
+  });
+};
+
+// ===== ROUTES =====
+
+/**
+ * GET /api/settings/webhooks
+ * Endpoints for the active tenant and the events they can subscribe to
+ */
+router.get('/', requireAuth, validateTenantAccess, requireAdmin, (req, res) => {
+  try {
+    return res.json({
+      data: listEndpoints(req.tenantId),
+      events: WEBHOOK_EVENTS,
+      status: 'success'
+    });
+  } catch (error) {
+    return serverError(res, 'Failed to list webhook endpoints', error);
+  }
+});
+
+/**
+ * POST /api/settings/webhooks
+ * Create an endpoint { url, description?, events }. Returns its signing secret.
+ */
+router.post('/', requireAuth, validateTenantAccess, requireAdmin, async (req, res) => {
+  try {
+    const { value, error } = await validateEndpointInput(req.body || {});
+    if (error) {
+      return res.status(400).json({
+        error: 'Validation Error',
+        message: error,
+        status: 'error'
+      });
+    }
+
+    const { endpoint, secret } = createEndpoint(req.tenantId, value, req.session.userId);
+
+    logAudit({
+      actorUserId: req.session.userId,
+      actorType: 'tenant_user',
+      tenantId: req.tenantId,
+      action: AUDIT_ACTIONS.WEBHOOK_CREATE,
+      targetType: 'webhook_endpoint',
+      targetId: endpoint.id,
+      metadata: { url: endpoint.url, events: endpoint.events },
+      ipAddress: req.ip
+    });
+
+    return res.status(201).json({
+      data: { ...endpoint, secret },
+      status: 'success',
+      message: 'Webhook endpoint created'
+    });
+  } catch (error) {
+    return serverError(res, 'Failed to create webhook endpoint', error);
+  }
+});
+
+/**
+ * PUT /api/settings/webhooks/:id
+ * Update url, description, events or is_active. Re-enabling resets the failure count.
+ */
+router.put('/:id', requireAuth, validateTenantAccess, requireAdmin, loadEndpoint, async (req, res) => {
+  try {
+    const { value, error } = await validateEndpointInput(req.body || {}, { partial: true });
+    if (error) {
+      return res.status(400).json({
+        error: 'Validation Error',
+        message: error,
+        status: 'error'
+      });
+    }
+
+    const endpoint = updateEndpoint(req.tenantId, req.endpoint.id, value);
+
+    logAudit({
+      actorUserId: req.session.userId,
+      actorType: 'tenant_user',
+      tenantId: req.tenantId,
+      action: AUDIT_ACTIONS.WEBHOOK_UPDATE,
+      targetType: 'webhook_endpoint',
+      targetId: endpoint.id,
+      metadata: { changes: Object.keys(value), url: endpoint.url, isActive: endpoint.is_active },
+      ipAddress: req.ip
+    });
+
+    return res.json({
+      data: endpoint,
+      status: 'success',
+      message: 'Webhook endpoint updated'
+    });
+  } catch (error) {
+    return serverError(res, 'Failed to update webhook endpoint', error);
+  }
+});
+
+/**
+ * DELETE /api/settings/webhooks/:id
+ * Delete an endpoint and its delivery log
+ */
+router.delete('/:id', requireAuth, validateTenantAccess, requireAdmin, loadEndpoint, (req, res) => {
+  try {
+    deleteEndpoint(req.tenantId, req.endpoint.id);
+
+    logAudit({
+      actorUserId: req.session.userId,
+      actorType: 'tenant_user',
+      tenantId: req.tenantId,
+      action: AUDIT_ACTIONS.WEBHOOK_DELETE,
+      targetType: 'webhook_endpoint',
+      targetId: req.endpoint.id,
+      metadata: { url: req.endpoint.url },
+      ipAddress: req.ip
+    });
+
+    return res.json({
+      status: 'success',
+      message: 'Webhook endpoint deleted'
+    });
+  } catch (error) {
+    return serverError(res, 'Failed to delete webhook endpoint', error);
+  }
+});
+
+/**
+ * GET /api/settings/webhooks/:id/secret
+ * Reveal the signing secret
+ */
+router.get('/:id/secret', requireAuth, validateTenantAccess, requireAdmin, loadEndpoint, (req, res) => {
+  try {
+    return res.json({
+      data: { secret: getEndpointSecret(req.tenantId, req.endpoint.id) },
+      status: 'success'
+    });
+  } catch (error) {
+    return serverError(res, 'Failed to load webhook secret', error);
+  }
+});
+
+/**
+ * POST /api/settings/webhooks/:id/rotate-secret
+ * Issue a new signing secret; deliveries from now on use it
+ */
+router.post('/:id/rotate-secret', requireAuth, validateTenantAccess, requireAdmin, loadEndpoint, (req, res) => {
+  try {
+    const { endpoint, secret } = rotateEndpointSecret(req.tenantId, req.endpoint.id);
+
+    logAudit({
+      actorUserId: req.session.userId,
+      actorType: 'tenant_user',
+      tenantId: req.tenantId,
+      action: AUDIT_ACTIONS.WEBHOOK_ROTATE_SECRET,
+      targetType: 'webhook_endpoint',
+      targetId: endpoint.id,
+      metadata: { url: endpoint.url },
+      ipAddress: req.ip
+    });
+
+    return res.json({
+      data: { ...endpoint, secret },
+      status: 'success',
+      message: 'Signing secret rotated'
+    });
+  } catch (error) {
+    return serverError(res, 'Failed to rotate webhook secret', error);
+  }
+});
+
+/**
+ * POST /api/settings/webhooks/:id/test
+ * Queue a webhook.test event for this endpoint
+ */
+router.post('/:id/test', requireAuth, validateTenantAccess, requireAdmin, loadEndpoint, (req, res) => {
+  try {
+    if (!req.endpoint.is_active) {
+      return res.status(409).json({
+        error: 'Conflict',
+        message: 'Enable the endpoint before sending a test event',
+        status: 'error'
+      });
+    }
+
+    const deliveryId = queueTestEvent(req.endpoint);
+    return res.status(202).json({
+      data: { delivery_id: deliveryId },
+      status: 'success',
+      message: 'Test event queued'
+    });
+  } catch (error) {
+    return serverError(res, 'Failed to queue test event', error);
+  }
+});
+
+/**
+ * GET /api/settings/webhooks/:id/deliveries
+ * Delivery log, newest first. Query: status, limit (max 100), offset
+ */
+router.get('/:id/deliveries', requireAuth, validateTenantAccess, requireAdmin, loadEndpoint, (req, res) => {
+  try {
+    const status = DELIVERY_STATUSES.includes(req.query.status) ? req.query.status : null;
+    const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 50, 1), 100);
+    const offset = Math.max(parseInt(req.query.offset, 10) || 0, 0);
+
+    const { deliveries, total } = listDeliveries(req.tenantId, req.endpoint.id, { status, limit, offset });
+    return res.json({
+      data: deliveries,
+      pagination: { total, limit, offset },
+      status: 'success'
+    });
+  } catch (error) {
+    return serverError(res, 'Failed to load webhook deliveries', error);
+  }
+});
+
+/**
+ * POST /api/settings/webhooks/deliveries/:deliveryId/replay
+ * Send a logged delivery again (same payload and event ID)
+ */
+router.post('/deliveries/:deliveryId/replay', requireAuth, validateTenantAccess, requireAdmin, (req, res) => {
+  try {
+    const delivery = getDelivery(req.tenantId, req.params.deliveryId);
+    if (!delivery) {
+      return res.status(404).json({
+        error: 'Not Found',
+        message: 'Webhook delivery not found',
+        status: 'error'
+      });
+    }
+
+    const endpoint = getEndpoint(req.tenantId, delivery.endpoint_id);
+    if (!endpoint.is_active) {
+      return res.status(409).json({
+        error: 'Conflict',
+        message: 'Enable the endpoint before replaying deliveries',
+        status: 'error'
+      });
+    }
+
+    const replay = replayDelivery(req.tenantId, delivery);
+
+    logAudit({
+      actorUserId: req.session.userId,
+      actorType: 'tenant_user',
+      tenantId: req.tenantId,
+      action: AUDIT_ACTIONS.WEBHOOK_REPLAY,
+      targetType: 'webhook_delivery',
+      targetId: replay.id,
+      metadata: { endpointId: endpoint.id, eventType: delivery.event_type, replayOf: delivery.id },
+      ipAddress: req.ip
+    });
+
+    return res.status(202).json({
+      data: replay,
+      status: 'success',
+      message: 'Delivery queued for replay'
+    });
+  } catch (error) {
+    return serverError(res, 'Failed to replay webhook delivery', error);
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,454 @@
+/**
+ * Segments Routes
+ * Saved, reusable audience definitions for campaigns
+ * - CRUD for tenant segments (AND/OR/NOT groups of conditions)
+ * - Live size estimates for saved segments and unsaved builder drafts
+ */
+
+const express = require('express');
+const router = express.Router();
+const db = require('../db');
+const { v4: uuidv4 } = require('uuid');
+const { requireMember } = require('../middleware/rbac');
+const { logAudit, AUDIT_ACTIONS } = require('../utils/audit');
+const {
+  CHANNELS,
+  validateSegmentDefinition,
+  countSegmentContacts,
+  getSegment
+} = require('../services/segments');
+const { resolveAudience } = require('../services/audience');
+const { getAttributeDefinitions } = require('../services/contactAttributes');
+
+// ===== MIDDLEWARE =====
+
+// Check if user is authenticated
+const requireAuth = (req, res, next) => {
+  if (!req.session || !req.session.userId) {
+    return res.status(401).json({
+      error: 'Unauthorized',
+      message: 'You must be logged in',
+      status: 'error'
+    });
+  }
+  next();
+};
+
+// Validate tenant access (ensure user has access to tenant)
+const validateTenantAccess = (req, res, next) => {
+  const tenantId = req.session.activeTenantId;
+
+  if (!tenantId) {
+    return res.status(400).json({
+      error: 'Missing tenant',
+      message: 'Tenant ID is required',
+      status: 'error'
+    });
+  }
+
+  const userTenant = db.prepare(`
+    SELECT ut.tenant_id FROM user_tenants ut
+    WHERE ut.user_id = ? AND ut.tenant_id = ?
+  `).get(req.session.userId, tenantId);
+
+  if (!userTenant) {
+    return res.status(403).json({
+      error: 'Forbidden',
+      message: 'You do not have access to this tenant',
+      status: 'error'
+    });
+  }
+
+  req.tenantId = tenantId;
+  next();
+};
+
+// ===== HELPER FUNCTIONS =====
+
+/**
+ * Size of a segment overall and per channel once consent, reachability and
+ * suppression rules are applied
+ * @returns {{ matched: number, eligible: { whatsapp: number, email: number, sms: number } }}
+ */
+function estimateSegment(tenantId, definition) {
+  const eligible = {};
+  CHANNELS.forEach(channel => {
+    eligible[channel] = resolveAudience({ tenantId, channel, segmentDefinition: definition }).eligibleCount;
+  });
+
+  return { matched: countSegmentContacts(tenantId, definition), eligible };
+}
+
+function formatSegment(segment, extra = {}) {
+  return {
+    id: segment.id,
+    name: segment.name,
+    description: segment.description,
+    definition: typeof segment.definition === 'string' ? JSON.parse(segment.definition) : segment.definition,
+    created_by: segment.created_by,
+    created_at: segment.created_at,
+    updated_at: segment.updated_at,
+    ...extra
+  };
+}
+
+function getActiveSegment(tenantId, segmentId) {
+  const segment = getSegment(tenantId, segmentId);
+  return segment && !segment.deleted_at ? segment : null;
+}
+
+function validateSegmentName(name, tenantId, excludeId = null) {
+  const trimmed = typeof name === 'string' ? name.trim() : '';
+  if (!trimmed) {
+    return { error: 'Segment name is required' };
+  }
+  if (trimmed.length > 100) {
+    return { error: 'Segment name cannot exceed 100 characters' };
+  }
+
+  const duplicate = db.prepare(`
+    SELECT id FROM segments
+    WHERE tenant_id = ? AND LOWER(name) = LOWER(?) AND deleted_at IS NULL AND id != COALESCE(?, '')
+  `).get(tenantId, trimmed, excludeId);
+  if (duplicate) {
+    return { error: 'A segment with this name already exists' };
+  }
+
+  return { name: trimmed };
+}
+
+// ===== ROUTES =====
+
+/**
+ * GET /segments
+ * List segments with their current size and how many campaigns use them
+ */
+router.get('/', requireAuth, validateTenantAccess, (req, res) => {
+  try {
+    const segments = db.prepare(`
+      SELECT s.*,
+        (SELECT COUNT(*) FROM campaigns c WHERE c.segment_id = s.id AND c.status != 'archived') as campaign_count
+      FROM segments s
+      WHERE s.tenant_id = ? AND s.deleted_at IS NULL
+      ORDER BY s.name ASC
+    `).all(req.tenantId);
+
+    return res.json({
+      data: segments.map(segment => {
+        const definition = JSON.parse(segment.definition);
+        return formatSegment({ ...segment, definition }, {
+          contact_count: countSegmentContacts(req.tenantId, definition),
+          campaign_count: segment.campaign_count
+        });
+      }),
+      status: 'success'
+    });
+  } catch (error) {
+    console.error('Error fetching segments:', error);
+    return res.status(500).json({
+      error: 'Failed to fetch segments',
+      message: error.message,
+      status: 'error'
+    });
+  }
+});
+
+/**
+ * GET /segments/fields
+ * Custom attribute keys already present on the tenant's contacts (builder suggestions)
+ */
+router.get('/fields', requireAuth, validateTenantAccess, (req, res) => {
+  try {
+    // Defined attributes are offered even before any contact has a value
+    const keys = db.prepare(`
+      SELECT je.key as key
+      FROM contacts c,
+        json_each(CASE WHEN json_valid(c.custom_attributes) THEN c.custom_attributes ELSE '{}' END) je
+      WHERE c.tenant_id = ? AND c.deleted_at IS NULL
+      UNION
+      SELECT key FROM contact_attribute_definitions WHERE tenant_id = ?
+      ORDER BY key ASC
+    `).all(req.tenantId, req.tenantId).map(row => row.key);
+
+    return res.json({
+      data: { attribute_keys: keys, attributes: getAttributeDefinitions(req.tenantId) },
+      status: 'success'
+    });
+  } catch (error) {
+    console.error('Error fetching segment fields:', error);
+    return res.status(500).json({
+      error: 'Failed to fetch segment fields',
+      message: error.message,
+      status: 'error'
+    });
+  }
+});
+
+/**
+ * POST /segments/estimate
+ * Live size of an unsaved definition while it is being built
+ * Body: { definition }
+ */
+router.post('/estimate', requireAuth, validateTenantAccess, (req, res) => {
+  try {
+    const result = validateSegmentDefinition(req.body?.definition, req.tenantId);
+    if (result.error) {
+      return res.status(400).json({
+        error: 'Validation Error',
+        message: result.error,
+        status: 'error'
+      });
+    }
+
+    return res.json({
+      data: estimateSegment(req.tenantId, result.definition),
+      status: 'success'
+    });
+  } catch (error) {
+    console.error('Error estimating segment:', error);
+    return res.status(500).json({
+      error: 'Failed to estimate segment',
+      message: error.message,
+      status: 'error'
+    });
+  }
+});
+
+/**
+ * GET /segments/:id
+ * Segment details with current size per channel
+ */
+router.get('/:id', requireAuth, validateTenantAccess, (req, res) => {
+  try {
+    const segment = getActiveSegment(req.tenantId, req.params.id);
+    if (!segment) {
+      return res.status(404).json({
+        error: 'Not Found',
+        message: 'Segment not found',
+        status: 'error'
+      });
+    }
+
+    return res.json({
+      data: formatSegment(segment, { estimate: estimateSegment(req.tenantId, segment.definition) }),
+      status: 'success'
+    });
+  } catch (error) {
+    console.error('Error fetching segment:', error);
+    return res.status(500).json({
+      error: 'Failed to fetch segment',
+      message: error.message,
+      status: 'error'
+    });
+  }
+});
+
+/**
+ * POST /segments
+ * Create a segment
+ * Body: { name, description, definition }
+ */
+router.post('/', requireAuth, validateTenantAccess, requireMember, (req, res) => {
+  try {
+    const { description, definition } = req.body || {};
+
+    const nameResult = validateSegmentName(req.body?.name, req.tenantId);
+    if (nameResult.error) {
+      return res.status(400).json({
+        error: 'Validation Error',
+        message: nameResult.error,
+        status: 'error'
+      });
+    }
+
+    const definitionResult = validateSegmentDefinition(definition, req.tenantId);
+    if (definitionResult.error) {
+      return res.status(400).json({
+        error: 'Validation Error',
+        message: definitionResult.error,
+        status: 'error'
+      });
+    }
+
+    const segmentId = uuidv4();
+    const now = new Date().toISOString();
+
+    db.prepare(`
+      INSERT INTO segments (id, tenant_id, name, description, definition, created_by, created_at, updated_at)
+      VALUES (?, ?, ?, ?, ?, ?, ?, ?)
+    `).run(
+      segmentId,
+      req.tenantId,
+      nameResult.name,
+      description || null,
+      JSON.stringify(definitionResult.definition),
+      req.session.userId,
+      now,
+      now
+    );
+
+    logAudit({
+      actorUserId: req.session.userId,
+      actorType: 'tenant_user',
+      tenantId: req.tenantId,
+      action: AUDIT_ACTIONS.SEGMENT_CREATE,
+      targetType: 'segment',
+      targetId: segmentId,
+      metadata: { name: nameResult.name },
+      ipAddress: req.ip
+    });
+
+    const segment = getSegment(req.tenantId, segmentId);
+
+    return res.status(201).json({
+      data: formatSegment(segment, { estimate: estimateSegment(req.tenantId, segment.definition) }),
+      status: 'success',
+      message: 'Segment created successfully'
+    });
+  } catch (error) {
+    console.error('Error creating segment:', error);
+    return res.status(500).json({
+      error: 'Failed to create segment',
+      message: error.message,
+      status: 'error'
+    });
+  }
+});
+
+/**
+ * PUT /segments/:id
+ * Update a segment's name, description or definition
+ * Draft and scheduled campaigns that use it pick up the change when they send.
+ */
+router.put('/:id', requireAuth, validateTenantAccess, requireMember, (req, res) => {
+  try {
+    const segment = getActiveSegment(req.tenantId, req.params.id);
+    if (!segment) {
+      return res.status(404).json({
+        error: 'Not Found',
+        message: 'Segment not found',
+        status: 'error'
+      });
+    }
+
+    const { description, definition } = req.body || {};
+
+    const nameResult = validateSegmentName(req.body?.name ?? segment.name, req.tenantId, segment.id);
+    if (nameResult.error) {
+      return res.status(400).json({
+        error: 'Validation Error',
+        message: nameResult.error,
+        status: 'error'
+      });
+    }
+
+    const definitionResult = validateSegmentDefinition(definition ?? segment.definition, req.tenantId);
+    if (definitionResult.error) {
+      return res.status(400).json({
+        error: 'Validation Error',
+        message: definitionResult.error,
+        status: 'error'
+      });
+    }
+
+    db.prepare(`
+      UPDATE segments
+      SET name = ?, description = ?, definition = ?, updated_at = ?
+      WHERE id = ? AND tenant_id = ?
+    `).run(
+      nameResult.name,
+      description !== undefined ? (description || null) : segment.description,
+      JSON.stringify(definitionResult.definition),
+      new Date().toISOString(),
+      segment.id,
+      req.tenantId
+    );
+
+    logAudit({
+      actorUserId: req.session.userId,
+      actorType: 'tenant_user',
+      tenantId: req.tenantId,
+      action: AUDIT_ACTIONS.SEGMENT_UPDATE,
+      targetType: 'segment',
+      targetId: segment.id,
+      metadata: { name: nameResult.name, definition_changed: definition !== undefined },
+      ipAddress: req.ip
+    });
+
+    const updated = getSegment(req.tenantId, segment.id);
+
+    return res.json({
+      data: formatSegment(updated, { estimate: estimateSegment(req.tenantId, updated.definition) }),
+      status: 'success',
+      message: 'Segment updated successfully'
+    });
+  } catch (error) {
+    console.error('Error updating segment:', error);
+    return res.status(500).json({
+      error: 'Failed to update segment',
+      message: error.message,
+      status: 'error'
+    });
+  }
+});
+
+/**
+ * DELETE /segments/:id
+ * Delete a segment that no draft or scheduled campaign still depends on
+ * Sent campaigns keep pointing at the (soft-deleted) segment for their history.
+ */
+router.delete('/:id', requireAuth, validateTenantAccess, requireMember, (req, res) => {
+  try {
+    const segment = getActiveSegment(req.tenantId, req.params.id);
+    if (!segment) {
+      return res.status(404).json({
+        error: 'Not Found',
+        message: 'Segment not found',
+        status: 'error'
+      });
+    }
+
+    const pending = db.prepare(`
+      SELECT name FROM campaigns
+      WHERE tenant_id = ? AND segment_id = ? AND status IN ('draft', 'scheduled')
+      ORDER BY name ASC
+    `).all(req.tenantId, segment.id);
+
+    if (pending.length > 0) {
+      return res.status(409).json({
+        error: 'Segment In Use',
+        message: `Segment is used by ${pending.length} unsent campaign(s): ${pending.map(c => c.name).join(', ')}`,
+        status: 'error'
+      });
+    }
+
+    db.prepare(`
+      UPDATE segments SET deleted_at = ?, updated_at = ? WHERE id = ? AND tenant_id = ?
+    `).run(new Date().toISOString(), new Date().toISOString(), segment.id, req.tenantId);
+
+    logAudit({
+      actorUserId: req.session.userId,
+      actorType: 'tenant_user',
+      tenantId: req.tenantId,
+      action: AUDIT_ACTIONS.SEGMENT_DELETE,
+      targetType: 'segment',
+      targetId: segment.id,
+      metadata: { name: segment.name },
+      ipAddress: req.ip
+    });
+
+    return res.json({
+      status: 'success',
+      message: 'Segment deleted successfully'
+    });
+  } catch (error) {
+    console.error('Error deleting segment:', error);
+    return res.status(500).json({
+      error: 'Failed to delete segment',
+      message: error.message,
+      status: 'error'
+    });
+  }
+});
+
+module.exports = router;
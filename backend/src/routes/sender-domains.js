@@ -0,0 +1,215 @@
+/**
+ * Sender Domains Routes
+ * Domains the tenant sends email from: DKIM keys, the DNS records to publish
+ * and SPF/DKIM/DMARC verification. Reading is open to tenant members; changes need admin+.
+ */
+
+const express = require('express');
+const router = express.Router();
+const db = require('../db');
+const { requireAdmin } = require('../middleware/rbac');
+const { logAudit, AUDIT_ACTIONS } = require('../utils/audit');
+const {
+  listSenderDomains,
+  getSenderDomain,
+  createSenderDomain,
+  deleteSenderDomain,
+  verifySenderDomain
+} = require('../services/senderDomains');
+
+// ===== MIDDLEWARE =====
+
+// Check if user is authenticated
+const requireAuth = (req, res, next) => {
+  if (!req.session || !req.session.userId) {
+    return res.status(401).json({
+      error: 'Unauthorized',
+      message: 'You must be logged in',
+      status: 'error'
+    });
+  }
+  next();
+};
+
+// Validate tenant access (ensure user has access to tenant)
+const validateTenantAccess = (req, res, next) => {
+  const tenantId = req.session.activeTenantId;
+
+  if (!tenantId) {
+    return res.status(400).json({
+      error: 'Missing tenant',
+      message: 'Tenant ID is required',
+      status: 'error'
+    });
+  }
+
+  const userTenant = db.prepare(`
+    SELECT ut.tenant_id FROM user_tenants ut
+    WHERE ut.user_id = ? AND ut.tenant_id = ?
+  `).get(req.session.userId, tenantId);
+
+  if (!userTenant) {
+    return res.status(403).json({
+      error: 'Forbidden',
+      message: 'You do not have access to this tenant',
+      status: 'error'
+    });
+  }
+
+  req.tenantId = tenantId;
+  next();
+};
+
+// Load the domain named in :id for the active tenant
+const loadDomain = (req, res, next) => {
+  const domain = getSenderDomain(req.tenantId, req.params.id);
+  if (!domain) {
+    return res.status(404).json({
+      error: 'Not Found',
+      message: 'Sender domain not found',
+      status: 'error'
+    });
+  }
+  req.senderDomain = domain;
+  next();
+};
+
+// ===== HELPER FUNCTIONS =====
+
+const serverError = (res, message, error) => {
+  console.error(`${message}:`, error);
+  return res.status(500).json({
+    error: 'Internal Server Error',
+    message,
+    status: 'error'
+  });
+};
+
+// ===== ROUTES =====
+
+/**
+ * GET /api/settings/sender-domains
+ * Domains for the active tenant with their DNS records and check results
+ */
+router.get('/', requireAuth, validateTenantAccess, (req, res) => {
+  try {
+    return res.json({
+      data: listSenderDomains(req.tenantId),
+      status: 'success'
+    });
+  } catch (error) {
+    return serverError(res, 'Failed to list sender domains', error);
+  }
+});
+
+/**
+ * POST /api/settings/sender-domains
+ * Add a domain { domain }. Generates its DKIM key; publish the returned records, then verify.
+ */
+router.post('/', requireAuth, validateTenantAccess, requireAdmin, (req, res) => {
+  try {
+    const { domain, error, statusCode } = createSenderDomain(req.tenantId, req.body?.domain, req.session.userId);
+    if (error) {
+      return res.status(statusCode).json({
+        error: statusCode === 409 ? 'Conflict' : 'Validation Error',
+        message: error,
+        status: 'error'
+      });
+    }
+
+    logAudit({
+      actorUserId: req.session.userId,
+      actorType: 'tenant_user',
+      tenantId: req.tenantId,
+      action: AUDIT_ACTIONS.SENDER_DOMAIN_CREATE,
+      targetType: 'sender_domain',
+      targetId: domain.id,
+      metadata: { domain: domain.domain },
+      ipAddress: req.ip
+    });
+
+    return res.status(201).json({
+      data: domain,
+      status: 'success',
+      message: 'Sender domain added. Publish the DNS records, then verify.'
+    });
+  } catch (error) {
+    return serverError(res, 'Failed to add sender domain', error);
+  }
+});
+
+/**
+ * GET /api/settings/sender-domains/:id
+ * One domain with its DNS records and the last check's results
+ */
+router.get('/:id', requireAuth, validateTenantAccess, loadDomain, (req, res) => {
+  return res.json({
+    data: req.senderDomain,
+    status: 'success'
+  });
+});
+
+/**
+ * POST /api/settings/sender-domains/:id/verify
+ * Look up SPF, DKIM and DMARC now and store the result
+ */
+router.post('/:id/verify', requireAuth, validateTenantAccess, requireAdmin, loadDomain, async (req, res) => {
+  try {
+    const domain = await verifySenderDomain(req.tenantId, req.senderDomain.id);
+
+    logAudit({
+      actorUserId: req.session.userId,
+      actorType: 'tenant_user',
+      tenantId: req.tenantId,
+      action: AUDIT_ACTIONS.SENDER_DOMAIN_VERIFY,
+      targetType: 'sender_domain',
+      targetId: domain.id,
+      metadata: {
+        domain: domain.domain,
+        status: domain.status,
+        spf: domain.spf_status,
+        dkim: domain.dkim_status,
+        dmarc: domain.dmarc_status
+      },
+      ipAddress: req.ip
+    });
+
+    return res.json({
+      data: domain,
+      status: 'success',
+      message: domain.status === 'verified' ? `${domain.domain} is verified` : `${domain.domain} failed verification`
+    });
+  } catch (error) {
+    return serverError(res, 'Failed to verify sender domain', error);
+  }
+});
+
+/**
+ * DELETE /api/settings/sender-domains/:id
+ * Remove a domain. Email from addresses on it is blocked until it is added and verified again.
+ */
+router.delete('/:id', requireAuth, validateTenantAccess, requireAdmin, loadDomain, (req, res) => {
+  try {
+    deleteSenderDomain(req.tenantId, req.senderDomain.id);
+
+    logAudit({
+      actorUserId: req.session.userId,
+      actorType: 'tenant_user',
+      tenantId: req.tenantId,
+      action: AUDIT_ACTIONS.SENDER_DOMAIN_DELETE,
+      targetType: 'sender_domain',
+      targetId: req.senderDomain.id,
+      metadata: { domain: req.senderDomain.domain },
+      ipAddress: req.ip
+    });
+
+    return res.json({
+      status: 'success',
+      message: 'Sender domain deleted'
+    });
+  } catch (error) {
+    return serverError(res, 'Failed to delete sender domain', error);
+  }
+});
+
+module.exports = router;
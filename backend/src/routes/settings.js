@@ -9,8 +9,17 @@ const db = require('../db');
 const { v4: uuidv4 } = require('uuid');
 const crypto = require('crypto');
 const whatsappService = require('../services/whatsapp');
+const smsService = require('../services/sms');
+const emailProviders = require('../services/emailProviders');
+const { getSenderDomainStatus } = require('../services/senderDomains');
+const { parseWhatsAppLimits, validateQuotaInput } = require('../services/tenantSendLimits');
 const { requireAdmin } = require('../middleware/rbac');
 const { logAudit, AUDIT_ACTIONS } = require('../utils/audit');
+const {
+  DEFAULT_OPT_OUT_KEYWORDS,
+  sanitizeOptOutKeywords,
+  getCustomOptOutKeywords
+} = require('../services/consent');
 
 // Ensure optional webhook columns exist (multi-tenant per channel)
 function ensureWhatsAppWebhookColumns() {
@@ -142,9 +151,8 @@ const validateWhatsAppCredentials = async (accessToken, phoneNumberId, businessA
     throw new Error('Invalid phone number ID format');
   }
 
-  // Call Meta to validate credentials (uses a lightweight info lookup)
-  await whatsappService.validateCredentials(phoneNumberId, accessToken);
-  return true;
+  // Call Meta to validate credentials (uses a lightweight info lookup that also returns the messaging tier)
+  return whatsappService.validateCredentials(phoneNumberId, accessToken);
 };
 
 // ===== ROUTES =====
@@ -269,15 +277,26 @@ router.get('/channels', requireAuth, (req, res) => {
 
     // Get WhatsApp channel settings
     const whatsappChannel = db.prepare(
-      `SELECT id, channel, provider, is_connected, connected_at, credentials_encrypted, webhook_verify_token, webhook_secret, phone_number_id, business_account_id
+      `SELECT id, channel, provider, is_connected, connected_at, credentials_encrypted, webhook_verify_token, webhook_secret, phone_number_id, business_account_id,
+         messaging_tier, send_rate_per_second, sends_paused_at, sends_paused_reason
        FROM tenant_channel_settings WHERE tenant_id = ? AND channel = ?`
     ).get(tenantId, 'whatsapp');
 
     // Get Email channel settings
     const emailChannel = db.prepare(
-      'SELECT id, channel, provider, is_connected, connected_at, verified_sender_email, credentials_encrypted FROM tenant_channel_settings WHERE tenant_id = ? AND channel = ?'
+      'SELECT id, channel, provider, is_connected, connected_at, verified_sender_email, credentials_encrypted, send_rate_per_second, daily_send_limit, sends_paused_at, sends_paused_reason FROM tenant_channel_settings WHERE tenant_id = ? AND channel = ?'
     ).get(tenantId, 'email');
 
+    // Get SMS channel settings
+    const smsChannel = db.prepare(
+      'SELECT id, channel, provider, is_connected, connected_at, credentials_encrypted, sends_paused_at, sends_paused_reason FROM tenant_channel_settings WHERE tenant_id = ? AND channel = ?'
+    ).get(tenantId, 'sms');
+
+    let smsCreds = null;
+    if (smsChannel?.credentials_encrypted) {
+      smsCreds = smsService.normalizeSmsCredentials(decryptCredentials(smsChannel.credentials_encrypted) || {});
+    }
+
     let whatsappPhoneNumberId = null;
     let whatsappBusinessAccountId = null;
     if (whatsappChannel?.credentials_encrypted) {
@@ -302,7 +321,11 @@ router.get('/channels', requireAuth, (req, res) => {
         phone_number_id: whatsappPhoneNumberId,
         business_account_id: whatsappBusinessAccountId,
         webhook_verify_token: whatsappChannel.webhook_verify_token || null,
-        webhook_secret_present: Boolean(whatsappChannel.webhook_secret)
+        webhook_secret_present: Boolean(whatsappChannel.webhook_secret),
+        messaging_tier: whatsappChannel.messaging_tier || null,
+        send_rate_per_second: whatsappChannel.send_rate_per_second || null,
+        sends_paused_at: whatsappChannel.sends_paused_at || null,
+        sends_paused_reason: whatsappChannel.sends_paused_reason || null
       } : {
         provider: null,
         is_connected: false,
@@ -310,7 +333,11 @@ router.get('/channels', requireAuth, (req, res) => {
         phone_number_id: null,
         business_account_id: null,
         webhook_verify_token: null,
-        webhook_secret_present: false
+        webhook_secret_present: false,
+        messaging_tier: null,
+        send_rate_per_second: null,
+        sends_paused_at: null,
+        sends_paused_reason: null
       },
       email: emailChannel ? {
         provider: emailChannel.provider,
@@ -333,14 +360,53 @@ router.get('/channels', requireAuth, (req, res) => {
           } catch (e) {
             return null;
           }
-        })()
+        })(),
+        ...(() => {
+          try {
+            const creds = decryptCredentials(emailChannel.credentials_encrypted);
+            return { smtp_host: creds?.smtpHost || null, smtp_port: creds?.smtpPort || null };
+          } catch {
+            return { smtp_host: null, smtp_port: null };
+          }
+        })(),
+        send_rate_per_second: emailChannel.send_rate_per_second || null,
+        daily_send_limit: emailChannel.daily_send_limit || null,
+        sends_paused_at: emailChannel.sends_paused_at || null,
+        sends_paused_reason: emailChannel.sends_paused_reason || null
       } : {
         provider: null,
         is_connected: false,
         connected_at: null,
         verified_sender_email: null,
         region: null,
-        access_key_id: null
+        access_key_id: null,
+        smtp_host: null,
+        smtp_port: null,
+        send_rate_per_second: null,
+        daily_send_limit: null,
+        sends_paused_at: null,
+        sends_paused_reason: null
+      },
+      sms: smsChannel ? {
+        provider: smsChannel.provider,
+        is_connected: smsChannel.is_connected === 1,
+        connected_at: smsChannel.connected_at,
+        account_sid: smsCreds?.account_sid || null,
+        from_number: smsCreds?.from_number || null,
+        messaging_service_sid: smsCreds?.messaging_service_sid || null,
+        status_callback_url: smsService.getSmsStatusCallbackUrl(),
+        sends_paused_at: smsChannel.sends_paused_at || null,
+        sends_paused_reason: smsChannel.sends_paused_reason || null
+      } : {
+        provider: null,
+        is_connected: false,
+        connected_at: null,
+        account_sid: null,
+        from_number: null,
+        messaging_service_sid: null,
+        status_callback_url: smsService.getSmsStatusCallbackUrl(),
+        sends_paused_at: null,
+        sends_paused_reason: null
       }
     };
 
@@ -406,8 +472,10 @@ router.post('/channels/whatsapp', requireAuth, requireAdmin, async (req, res) =>
     }
 
     // Validate credentials with Meta API
+    let sendLimits;
     try {
-      await validateWhatsAppCredentials(mergedCreds.access_token, mergedCreds.phone_number_id, mergedCreds.business_account_id);
+      const phoneNumber = await validateWhatsAppCredentials(mergedCreds.access_token, mergedCreds.phone_number_id, mergedCreds.business_account_id);
+      sendLimits = parseWhatsAppLimits(phoneNumber);
     } catch (validationErr) {
       return res.status(400).json({
         error: 'Invalid Credentials',
@@ -425,7 +493,7 @@ router.post('/channels/whatsapp', requireAuth, requireAdmin, async (req, res) =>
       // Update existing channel
       db.prepare(
         `UPDATE tenant_channel_settings
-         SET credentials_encrypted = ?, provider = ?, is_connected = 1, connected_at = ?, updated_at = ?, webhook_verify_token = ?, webhook_secret = ?, phone_number_id = ?, business_account_id = ?
+         SET credentials_encrypted = ?, provider = ?, is_connected = 1, connected_at = ?, updated_at = ?, sends_paused_at = NULL, sends_paused_reason = NULL, webhook_verify_token = ?, webhook_secret = ?, phone_number_id = ?, business_account_id = ?
          WHERE tenant_id = ? AND channel = ?`
       ).run(
         encryptedCredentials,
@@ -462,6 +530,13 @@ router.post('/channels/whatsapp', requireAuth, requireAdmin, async (req, res) =>
       );
     }
 
+    // Throttle sends by the number's messaging tier and throughput
+    db.prepare(`
+      UPDATE tenant_channel_settings
+      SET messaging_tier = ?, send_rate_per_second = ?, daily_send_limit = NULL, send_limits_synced_at = ?
+      WHERE tenant_id = ? AND channel = ?
+    `).run(sendLimits.messaging_tier, sendLimits.send_rate_per_second, now, tenantId, 'whatsapp');
+
     // Log audit event
     logAudit({
       actorUserId: req.session.userId,
@@ -486,7 +561,9 @@ router.post('/channels/whatsapp', requireAuth, requireAdmin, async (req, res) =>
       provider: 'whatsapp_cloud',
       connected_at: now,
       phone_number_id: mergedCreds.phone_number_id || null,
-      business_account_id: mergedCreds.business_account_id || null
+      business_account_id: mergedCreds.business_account_id || null,
+      messaging_tier: sendLimits.messaging_tier,
+      send_rate_per_second: sendLimits.send_rate_per_second
     });
   } catch (err) {
     console.error('Error connecting WhatsApp:', err);
@@ -500,12 +577,25 @@ router.post('/channels/whatsapp', requireAuth, requireAdmin, async (req, res) =>
 
 /**
  * POST /api/settings/channels/email
- * Connect Email channel (SES or Brevo)
+ * Connect Email channel (SMTP, SES or Brevo)
  */
 router.post('/channels/email', requireAuth, requireAdmin, async (req, res) => {
   try {
     const tenantId = getTenantId(req);
-    const { provider, accessKeyId, secretAccessKey, region, apiKey, verifiedSenderEmail, useStoredCredentials } = req.body;
+    const {
+      provider,
+      accessKeyId,
+      secretAccessKey,
+      region,
+      apiKey,
+      smtpHost,
+      smtpPort,
+      smtpSecure,
+      smtpUsername,
+      smtpPassword,
+      verifiedSenderEmail,
+      useStoredCredentials
+    } = req.body;
 
     if (!tenantId) {
       return res.status(400).json({
@@ -524,6 +614,14 @@ router.post('/channels/email', requireAuth, requireAdmin, async (req, res) => {
       });
     }
 
+    if (!emailProviders.EMAIL_PROVIDERS[provider]) {
+      return res.status(400).json({
+        error: 'Validation Error',
+        message: `Provider must be one of: ${Object.keys(emailProviders.EMAIL_PROVIDERS).join(', ')}`,
+        status: 'error'
+      });
+    }
+
     // Check if Email channel already exists
     const existingChannel = db.prepare(
       'SELECT id, credentials_encrypted FROM tenant_channel_settings WHERE tenant_id = ? AND channel = ?'
@@ -542,27 +640,45 @@ router.post('/channels/email', requireAuth, requireAdmin, async (req, res) => {
       mergedCreds = decryptCredentials(existingChannel.credentials_encrypted);
     }
 
-    // Validate input
-    if (!provider || !verifiedSenderEmail) {
+    if (!useStoredCredentials && provider === 'ses' && (!accessKeyId || !secretAccessKey || !region)) {
       return res.status(400).json({
         error: 'Validation Error',
-        message: 'Provider and verified sender email are required',
+        message: 'SES requires access key ID, secret key, and region',
         status: 'error'
       });
     }
 
-    if (!useStoredCredentials && provider === 'ses' && (!accessKeyId || !secretAccessKey || !region)) {
+    if (!useStoredCredentials && provider === 'brevo' && !apiKey) {
       return res.status(400).json({
         error: 'Validation Error',
-        message: 'SES requires access key ID, secret key, and region',
+        message: 'Brevo requires API key',
         status: 'error'
       });
     }
 
-    if (!useStoredCredentials && provider === 'brevo' && !apiKey) {
+    if (!useStoredCredentials && provider === 'smtp' && !smtpHost) {
       return res.status(400).json({
         error: 'Validation Error',
-        message: 'Brevo requires API key',
+        message: 'SMTP requires a host',
+        status: 'error'
+      });
+    }
+
+    if (!useStoredCredentials && provider === 'smtp' && smtpPort !== undefined && smtpPort !== null && smtpPort !== ''
+      && !(Number.isInteger(Number(smtpPort)) && Number(smtpPort) > 0 && Number(smtpPort) < 65536)) {
+      return res.status(400).json({
+        error: 'Validation Error',
+        message: 'SMTP port must be between 1 and 65535',
+        status: 'error'
+      });
+    }
+
+    // Optional provider quota (e.g. SES MaxSendRate / Max24HourSend) used to throttle sends
+    const quota = validateQuotaInput(req.body);
+    if (quota.error) {
+      return res.status(400).json({
+        error: 'Validation Error',
+        message: quota.error,
         status: 'error'
       });
     }
@@ -577,6 +693,12 @@ router.post('/channels/email', requireAuth, requireAdmin, async (req, res) => {
         credentialsData.region = region;
       } else if (provider === 'brevo') {
         credentialsData.apiKey = apiKey;
+      } else if (provider === 'smtp') {
+        credentialsData.smtpHost = String(smtpHost).trim();
+        credentialsData.smtpPort = smtpPort ? Number(smtpPort) : null;
+        credentialsData.smtpSecure = smtpSecure === true || smtpSecure === 'true';
+        credentialsData.smtpUsername = smtpUsername || '';
+        credentialsData.smtpPassword = smtpPassword || '';
       }
     }
 
@@ -584,6 +706,25 @@ router.post('/channels/email', requireAuth, requireAdmin, async (req, res) => {
     credentialsData.provider = provider;
     credentialsData.verifiedSenderEmail = verifiedSenderEmail;
 
+    // Stored credentials must belong to the same provider
+    const missingFields = emailProviders.getMissingEmailCredentials(credentialsData);
+    if (missingFields.length > 0) {
+      return res.status(400).json({
+        error: 'Validation Error',
+        message: `Missing ${provider} credentials: ${missingFields.join(', ')}`,
+        status: 'error'
+      });
+    }
+
+    const validation = await emailProviders.getEmailProvider(credentialsData, { timeoutMs: 10000 }).validateCredentials();
+    if (!validation.valid) {
+      return res.status(400).json({
+        error: 'Invalid Credentials',
+        message: validation.error || 'Failed to validate email credentials',
+        status: 'error'
+      });
+    }
+
     const encryptedCredentials = encryptCredentials(credentialsData);
     const now = new Date().toISOString();
 
@@ -591,7 +732,8 @@ router.post('/channels/email', requireAuth, requireAdmin, async (req, res) => {
       // Update existing channel
       db.prepare(
         `UPDATE tenant_channel_settings
-         SET credentials_encrypted = ?, provider = ?, is_connected = 1, connected_at = ?, verified_sender_email = ?, updated_at = ?
+         SET credentials_encrypted = ?, provider = ?, is_connected = 1, connected_at = ?, verified_sender_email = ?, updated_at = ?,
+             sends_paused_at = NULL, sends_paused_reason = NULL
          WHERE tenant_id = ? AND channel = ?`
       ).run(encryptedCredentials, provider, now, verifiedSenderEmail, now, tenantId, 'email');
     } else {
@@ -604,6 +746,12 @@ router.post('/channels/email', requireAuth, requireAdmin, async (req, res) => {
       ).run(id, tenantId, 'email', provider, encryptedCredentials, verifiedSenderEmail, now, now, now);
     }
 
+    db.prepare(`
+      UPDATE tenant_channel_settings
+      SET send_rate_per_second = ?, daily_send_limit = ?
+      WHERE tenant_id = ? AND channel = ?
+    `).run(quota.value.send_rate_per_second, quota.value.daily_send_limit, tenantId, 'email');
+
     // Log audit event
     logAudit({
       actorUserId: req.session.userId,
@@ -625,7 +773,9 @@ router.post('/channels/email', requireAuth, requireAdmin, async (req, res) => {
       status: 'success',
       channel: 'email',
       provider,
-      is_connected: true
+      is_connected: true,
+      send_rate_per_second: quota.value.send_rate_per_second,
+      daily_send_limit: quota.value.daily_send_limit
     });
   } catch (err) {
     console.error('Error connecting email channel:', err);
@@ -637,6 +787,139 @@ router.post('/channels/email', requireAuth, requireAdmin, async (req, res) => {
   }
 });
 
+/**
+ * POST /api/settings/channels/sms
+ * Connect SMS channel (Twilio, or the in-process mock gateway outside production)
+ */
+router.post('/channels/sms', requireAuth, requireAdmin, async (req, res) => {
+  try {
+    const tenantId = getTenantId(req);
+    const { provider, accountSid, authToken, fromNumber, messagingServiceSid } = req.body;
+
+    if (!tenantId) {
+      return res.status(400).json({
+        error: 'Bad Request',
+        message: 'No active tenant selected',
+        status: 'error'
+      });
+    }
+
+    if (!provider || !smsService.SMS_PROVIDERS[provider]) {
+      return res.status(400).json({
+        error: 'Validation Error',
+        message: `Provider must be one of: ${Object.keys(smsService.SMS_PROVIDERS).join(', ')}`,
+        status: 'error'
+      });
+    }
+
+    if (fromNumber && !/^\+[1-9]\d{1,14}$/.test(fromNumber)) {
+      return res.status(400).json({
+        error: 'Validation Error',
+        message: 'Sender number must be in E.164 format (e.g., +15551234567)',
+        status: 'error'
+      });
+    }
+
+    const existingChannel = db.prepare(
+      'SELECT id, credentials_encrypted FROM tenant_channel_settings WHERE tenant_id = ? AND channel = ?'
+    ).get(tenantId, 'sms');
+
+    // Allow re-saving without re-entering the auth token for the same account
+    let resolvedAuthToken = authToken;
+    if (!resolvedAuthToken && existingChannel?.credentials_encrypted) {
+      const stored = smsService.normalizeSmsCredentials(decryptCredentials(existingChannel.credentials_encrypted) || {});
+      if (stored.account_sid && stored.account_sid === accountSid) {
+        resolvedAuthToken = stored.auth_token;
+      }
+    }
+
+    if (provider === 'twilio' && (!accountSid || !resolvedAuthToken)) {
+      return res.status(400).json({
+        error: 'Validation Error',
+        message: 'Twilio requires account SID and auth token',
+        status: 'error'
+      });
+    }
+
+    if (provider === 'twilio' && !fromNumber && !messagingServiceSid) {
+      return res.status(400).json({
+        error: 'Validation Error',
+        message: 'Twilio requires a sender number or messaging service SID',
+        status: 'error'
+      });
+    }
+
+    const credentialsData = provider === 'twilio'
+      ? {
+          provider,
+          account_sid: accountSid,
+          auth_token: resolvedAuthToken,
+          from_number: fromNumber || null,
+          messaging_service_sid: messagingServiceSid || null
+        }
+      : { provider, from_number: fromNumber || null };
+
+    const validation = await smsService.getSmsProvider(credentialsData).validateCredentials();
+    if (!validation.valid) {
+      return res.status(400).json({
+        error: 'Invalid Credentials',
+        message: validation.error || 'Failed to validate SMS credentials',
+        status: 'error'
+      });
+    }
+
+    const encryptedCredentials = encryptCredentials(credentialsData);
+    const now = new Date().toISOString();
+
+    if (existingChannel) {
+      db.prepare(
+        `UPDATE tenant_channel_settings
+         SET credentials_encrypted = ?, provider = ?, is_connected = 1, connected_at = ?, updated_at = ?,
+             sends_paused_at = NULL, sends_paused_reason = NULL
+         WHERE tenant_id = ? AND channel = ?`
+      ).run(encryptedCredentials, provider, now, now, tenantId, 'sms');
+    } else {
+      db.prepare(
+        `INSERT INTO tenant_channel_settings
+         (id, tenant_id, channel, provider, credentials_encrypted, is_connected, connected_at, created_at, updated_at)
+         VALUES (?, ?, ?, ?, ?, 1, ?, ?, ?)`
+      ).run(uuidv4(), tenantId, 'sms', provider, encryptedCredentials, now, now, now);
+    }
+
+    // Log audit event
+    logAudit({
+      actorUserId: req.session.userId,
+      actorType: 'tenant_user',
+      tenantId,
+      action: AUDIT_ACTIONS.CHANNEL_CONNECT,
+      targetType: 'channel',
+      targetId: existingChannel?.id || uuidv4(),
+      metadata: {
+        channel: 'sms',
+        provider,
+        fromNumber: fromNumber || null,
+        messagingServiceSid: messagingServiceSid || null
+      },
+      ipAddress: req.ip
+    });
+
+    res.status(201).json({
+      message: 'SMS channel connected successfully',
+      status: 'success',
+      channel: 'sms',
+      provider,
+      is_connected: true
+    });
+  } catch (err) {
+    console.error('Error connecting SMS channel:', err);
+    res.status(500).json({
+      error: 'Internal Server Error',
+      message: 'Failed to connect SMS channel',
+      status: 'error'
+    });
+  }
+});
+
 /**
  * DELETE /api/settings/channels/:channel
  * Disconnect a channel
@@ -655,10 +938,10 @@ router.delete('/channels/:channel', requireAuth, requireAdmin, (req, res) => {
     }
 
     // Validate channel
-    if (!['whatsapp', 'email'].includes(channel)) {
+    if (!['whatsapp', 'email', 'sms'].includes(channel)) {
       return res.status(400).json({
         error: 'Invalid Channel',
-        message: 'Channel must be "whatsapp" or "email"',
+        message: 'Channel must be "whatsapp", "email" or "sms"',
         status: 'error'
       });
     }
@@ -744,21 +1027,16 @@ router.get('/channels/email/health', requireAuth, (req, res) => {
       });
     }
 
-    const missing = [];
-    if (channel.provider === 'ses') {
-      if (!creds?.accessKeyId) missing.push('accessKeyId');
-      if (!creds?.secretAccessKey) missing.push('secretAccessKey');
-      if (!creds?.region) missing.push('region');
-    }
-    if (channel.provider === 'brevo') {
-      if (!creds?.apiKey) missing.push('apiKey');
-    }
+    const missing = emailProviders.getMissingEmailCredentials({ ...creds, provider: channel.provider });
     if (!channel.verified_sender_email) {
       missing.push('verified_sender_email');
     }
 
     const credentialStatus = missing.length === 0 ? 'ok' : 'missing_fields';
 
+    // Sends need the sender address's domain verified (SPF, DKIM and DMARC)
+    const senderDomain = getSenderDomainStatus(tenantId, channel.verified_sender_email);
+
     return res.json({
       status: 'success',
       data: {
@@ -766,7 +1044,9 @@ router.get('/channels/email/health', requireAuth, (req, res) => {
         is_connected: channel.is_connected === 1,
         verified_sender_email: channel.verified_sender_email,
         credential_status: credentialStatus,
-        missing_fields: missing
+        missing_fields: missing,
+        sender_domain: senderDomain,
+        can_send: channel.is_connected === 1 && credentialStatus === 'ok' && senderDomain.status === 'verified'
       }
     });
   } catch (err) {
@@ -851,4 +1131,91 @@ router.post('/channels/whatsapp/validate', requireAuth, requireAdmin, async (req
   }
 });
 
+/**
+ * GET /api/settings/opt-out-keywords
+ * Built-in and tenant-specific keywords that opt a contact out of WhatsApp
+ */
+router.get('/opt-out-keywords', requireAuth, (req, res) => {
+  try {
+    const tenantId = getTenantId(req);
+    if (!tenantId) {
+      return res.status(400).json({
+        error: 'Bad Request',
+        message: 'No active tenant selected',
+        status: 'error'
+      });
+    }
+
+    res.json({
+      data: {
+        defaults: DEFAULT_OPT_OUT_KEYWORDS,
+        keywords: getCustomOptOutKeywords(tenantId)
+      },
+      status: 'success'
+    });
+  } catch (err) {
+    console.error('Error fetching opt-out keywords:', err);
+    res.status(500).json({
+      error: 'Internal Server Error',
+      message: 'Failed to fetch opt-out keywords',
+      status: 'error'
+    });
+  }
+});
+
+/**
+ * PUT /api/settings/opt-out-keywords
+ * Replace the tenant's custom (e.g. localized) opt-out keywords
+ */
+router.put('/opt-out-keywords', requireAuth, requireAdmin, (req, res) => {
+  try {
+    const tenantId = getTenantId(req);
+    if (!tenantId) {
+      return res.status(400).json({
+        error: 'Bad Request',
+        message: 'No active tenant selected',
+        status: 'error'
+      });
+    }
+
+    const { keywords, error } = sanitizeOptOutKeywords(req.body?.keywords);
+    if (error) {
+      return res.status(400).json({
+        error: 'Validation Error',
+        message: error,
+        status: 'error'
+      });
+    }
+
+    db.prepare('UPDATE tenants SET opt_out_keywords = ?, updated_at = ? WHERE id = ?')
+      .run(keywords.length ? JSON.stringify(keywords) : null, new Date().toISOString(), tenantId);
+
+    logAudit({
+      actorUserId: req.session.userId,
+      actorType: 'tenant_user',
+      tenantId,
+      action: AUDIT_ACTIONS.TENANT_UPDATE,
+      targetType: 'tenant',
+      targetId: tenantId,
+      metadata: { opt_out_keywords: keywords },
+      ipAddress: req.ip
+    });
+
+    res.json({
+      data: {
+        defaults: DEFAULT_OPT_OUT_KEYWORDS,
+        keywords
+      },
+      status: 'success'
+    });
+  } catch (err) {
+    console.error('Error updating opt-out keywords:', err);
+    res.status(500).json({
+      error: 'Internal Server Error',
+      message: 'Failed to update opt-out keywords',
+      status: 'error'
+    });
+  }
+});
+
 module.exports = router;
@@ -0,0 +1,171 @@
+/**
+ * SSO Settings Routes
+ * The tenant's OIDC identity provider, the email domains that sign in through it,
+ * the role given to people who join on their first SSO login and whether password
+ * login is turned off. Admin+ only.
+ */
+
+const express = require('express');
+const router = express.Router();
+const db = require('../db');
+const { requireAdmin } = require('../middleware/rbac');
+const { logAudit, AUDIT_ACTIONS } = require('../utils/audit');
+const { getRedirectUri, getSsoConfig, saveSsoConfig, deleteSsoConfig } = require('../services/sso');
+
+// ===== MIDDLEWARE =====
+
+// Check if user is authenticated
+const requireAuth = (req, res, next) => {
+  if (!req.session || !req.session.userId) {
+    return res.status(401).json({
+      error: 'Unauthorized',
+      message: 'You must be logged in',
+      status: 'error'
+    });
+  }
+  next();
+};
+
+// Validate tenant access (ensure user has access to tenant)
+const validateTenantAccess = (req, res, next) => {
+  const tenantId = req.session.activeTenantId;
+
+  if (!tenantId) {
+    return res.status(400).json({
+      error: 'Missing tenant',
+      message: 'Tenant ID is required',
+      status: 'error'
+    });
+  }
+
+  const userTenant = db.prepare(`
+    SELECT ut.tenant_id FROM user_tenants ut
+    WHERE ut.user_id = ? AND ut.tenant_id = ?
+  `).get(req.session.userId, tenantId);
+
+  if (!userTenant) {
+    return res.status(403).json({
+      error: 'Forbidden',
+      message: 'You do not have access to this tenant',
+      status: 'error'
+    });
+  }
+
+  req.tenantId = tenantId;
+  next();
+};
+
+// ===== HELPER FUNCTIONS =====
+
+const serverError = (res, message, error) => {
+  console.error(`${message}:`, error);
+  return res.status(500).json({
+    error: 'Internal Server Error',
+    message,
+    status: 'error'
+  });
+};
+
+// ===== ROUTES =====
+
+/**
+ * GET /api/settings/sso
+ * SSO settings for the active tenant (null until configured) and the redirect URI
+ * to register at the identity provider
+ */
+router.get('/', requireAuth, validateTenantAccess, requireAdmin, (req, res) => {
+  try {
+    return res.json({
+      data: {
+        config: getSsoConfig(req.tenantId),
+        redirect_uri: getRedirectUri()
+      },
+      status: 'success'
+    });
+  } catch (error) {
+    return serverError(res, 'Failed to load SSO settings', error);
+  }
+});
+
+/**
+ * PUT /api/settings/sso
+ * Save { protocol, enabled, issuer, client_id, client_secret, domains, default_role, enforce_sso }.
+ * Domains must be verified sender domains; the issuer's OpenID configuration is fetched to check it.
+ */
+router.put('/', requireAuth, validateTenantAccess, requireAdmin, async (req, res) => {
+  try {
+    const { config, error, statusCode } = await saveSsoConfig(req.tenantId, req.body || {}, req.session.userId);
+    if (error) {
+      return res.status(statusCode).json({
+        error: statusCode === 409 ? 'Conflict' : 'Validation Error',
+        message: error,
+        status: 'error'
+      });
+    }
+
+    logAudit({
+      actorUserId: req.session.userId,
+      actorType: 'tenant_user',
+      tenantId: req.tenantId,
+      action: AUDIT_ACTIONS.SSO_CONFIG_UPDATE,
+      targetType: 'tenant',
+      targetId: req.tenantId,
+      metadata: {
+        enabled: config.enabled,
+        issuer: config.issuer,
+        domains: config.domains,
+        default_role: config.default_role,
+        enforce_sso: config.enforce_sso
+      },
+      ipAddress: req.ip
+    });
+
+    return res.json({
+      data: {
+        config,
+        redirect_uri: getRedirectUri()
+      },
+      status: 'success',
+      message: 'SSO settings saved'
+    });
+  } catch (error) {
+    return serverError(res, 'Failed to save SSO settings', error);
+  }
+});
+
+/**
+ * DELETE /api/settings/sso
+ * Remove the identity provider; members sign in with passwords again
+ */
+router.delete('/', requireAuth, validateTenantAccess, requireAdmin, (req, res) => {
+  try {
+    const config = getSsoConfig(req.tenantId);
+    if (!config || !deleteSsoConfig(req.tenantId)) {
+      return res.status(404).json({
+        error: 'Not Found',
+        message: 'SSO is not configured',
+        status: 'error'
+      });
+    }
+
+    logAudit({
+      actorUserId: req.session.userId,
+      actorType: 'tenant_user',
+      tenantId: req.tenantId,
+      action: AUDIT_ACTIONS.SSO_CONFIG_DELETE,
+      targetType: 'tenant',
+      targetId: req.tenantId,
+      metadata: { issuer: config.issuer, domains: config.domains },
+      ipAddress: req.ip
+    });
+
+    return res.json({
+      status: 'success',
+      message: 'SSO settings removed'
+    });
+  } catch (error) {
+    return serverError(res, 'Failed to remove SSO settings', error);
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,139 @@
+/**
+ * Single Sign-On Routes
+ * Login through a tenant's OIDC identity provider: discovery by email domain, the
+ * redirect to the provider and the callback that starts the session. The browser
+ * is sent back to the app (APP_URL), with ?sso_error= on the login page if it failed.
+ */
+
+const express = require('express');
+const router = express.Router();
+const { logAudit, AUDIT_ACTIONS } = require('../utils/audit');
+const { recordSessionActivity } = require('../utils/sessions');
+const { LOGIN_WINDOW_MS } = require('../services/twoFactor');
+const sso = require('../services/sso');
+
+// ===== HELPERS =====
+
+const getAppUrl = () => (process.env.APP_URL || 'http://localhost:3173').replace(/\/+$/, '');
+
+const redirectWithError = (res, message) => (
+  res.redirect(`${getAppUrl()}/login?sso_error=${encodeURIComponent(message)}`)
+);
+
+// ===== ROUTES =====
+
+/**
+ * POST /api/auth/sso/discover
+ * Whether an email signs in with SSO { email }. Used by the login page as the email is typed.
+ */
+router.post('/discover', (req, res) => {
+  try {
+    const email = String(req.body?.email || '').trim().toLowerCase();
+    const match = email.includes('@') ? sso.findSsoForEmail(email) : null;
+
+    res.json({
+      data: match
+        ? {
+          sso: true,
+          tenant_name: match.tenant_name,
+          enforced: Boolean(match.enforce_sso),
+          login_url: sso.getLoginUrl(email)
+        }
+        : { sso: false },
+      status: 'success'
+    });
+  } catch (error) {
+    console.error('SSO discovery error:', error);
+    res.status(500).json({
+      error: 'SSO discovery failed',
+      message: error.message,
+      status: 'error'
+    });
+  }
+});
+
+/**
+ * GET /api/auth/sso/start?email=
+ * Redirect to the identity provider of the tenant that owns the email's domain
+ */
+router.get('/start', async (req, res) => {
+  try {
+    const email = String(req.query.email || '').trim().toLowerCase();
+    const match = sso.findSsoForEmail(email);
+    if (!match) {
+      return redirectWithError(res, 'Single sign-on is not set up for this email domain');
+    }
+
+    const { authorizationUrl, pending } = await sso.beginSsoLogin(match, email);
+    req.session.ssoLogin = pending;
+    res.redirect(authorizationUrl);
+  } catch (error) {
+    console.error('SSO start error:', error);
+    redirectWithError(res, 'Could not reach your identity provider. Try again later.');
+  }
+});
+
+/**
+ * GET /api/auth/sso/callback
+ * The identity provider sends the browser back here with ?code&state (or ?error)
+ */
+router.get('/callback', async (req, res) => {
+  const pending = req.session.ssoLogin;
+  delete req.session.ssoLogin;
+
+  try {
+    if (req.query.error) {
+      return redirectWithError(res, String(req.query.error_description || req.query.error));
+    }
+
+    const result = await sso.completeSsoLogin(pending, {
+      code: req.query.code ? String(req.query.code) : null,
+      state: req.query.state ? String(req.query.state) : null
+    });
+    if (result.error) {
+      return redirectWithError(res, result.error);
+    }
+
+    const { user, tenantId, created } = result;
+    if (created) {
+      logAudit({
+        actorUserId: user.id,
+        actorType: 'tenant_user',
+        tenantId,
+        action: AUDIT_ACTIONS.USER_SSO_PROVISION,
+        targetType: 'user',
+        targetId: user.id,
+        metadata: { email: user.email, role: result.role },
+        ipAddress: req.ip
+      });
+    }
+
+    // The identity provider vouches for the email, not for this account's own second factor
+    if (user.totp_secret_encrypted) {
+      delete req.session.userId;
+      delete req.session.activeTenantId;
+      req.session.pendingTwoFactor = {
+        userId: user.id,
+        ssoTenantId: tenantId,
+        expiresAt: Date.now() + LOGIN_WINDOW_MS
+      };
+      return res.redirect(`${getAppUrl()}/login?two_factor=1`);
+    }
+
+    delete req.session.pendingTwoFactor;
+    req.session.userId = user.id;
+    req.session.email = user.email;
+    req.session.activeTenantId = tenantId;
+    // Limited to this tenant; the identity provider handles MFA, so 2FA enrollment policies don't apply
+    req.session.authMethod = 'sso';
+    req.session.ssoTenantId = tenantId;
+    recordSessionActivity(req);
+
+    res.redirect(`${getAppUrl()}/dashboard`);
+  } catch (error) {
+    console.error('SSO callback error:', error);
+    redirectWithError(res, 'Single sign-on failed. Try again or contact your administrator.');
+  }
+});
+
+module.exports = router;
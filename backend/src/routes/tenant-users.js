@@ -10,6 +10,8 @@ const { v4: uuidv4 } = require('uuid');
 const crypto = require('crypto');
 const { requireAdmin } = require('../middleware/rbac');
 const { logAudit, AUDIT_ACTIONS } = require('../utils/audit');
+const { destroyUserTenantSessions } = require('../utils/sessions');
+const EmailService = require('../services/emailService');
 
 // ===== MIDDLEWARE =====
 
@@ -194,6 +196,18 @@ router.post('/invite', requireAuthAndTenant, requireAdmin, (req, res) => {
         now
       );
 
+      // Email the accept link (delivery failures don't fail the invite)
+      const tenant = db.prepare('SELECT name FROM tenants WHERE id = ?').get(tenantId);
+      const inviter = db.prepare('SELECT name, email FROM users WHERE id = ?').get(req.session.userId);
+      new EmailService().sendInvitationEmail({
+        email: email.toLowerCase(),
+        token: invitationToken,
+        role,
+        expiresAt: expiresAt.toISOString(),
+        tenantName: tenant?.name,
+        inviterName: inviter?.name || inviter?.email
+      }).catch(err => console.error('Invitation email failed:', err.message));
+
       // Log audit event
       logAudit({
         actorUserId: req.session.userId,
@@ -382,7 +396,7 @@ router.patch('/:userId/role', requireAuthAndTenant, requireAdmin, (req, res) =>
  * Remove user from current tenant
  * Requires: admin+ role
  */
-router.delete('/:userId', requireAuthAndTenant, requireAdmin, (req, res) => {
+router.delete('/:userId', requireAuthAndTenant, requireAdmin, async (req, res) => {
   try {
     const tenantId = req.session.activeTenantId;
     const userId = req.params.userId;
@@ -426,6 +440,9 @@ router.delete('/:userId', requireAuthAndTenant, requireAdmin, (req, res) => {
       WHERE user_id = ? AND tenant_id = ?
     `).run(userId, tenantId);
 
+    // Sessions still working in this tenant end with the membership
+    const sessionsRevoked = await destroyUserTenantSessions(req.sessionStore, userId, tenantId);
+
     // Log audit event
     logAudit({
       actorUserId: req.session.userId,
@@ -436,7 +453,8 @@ router.delete('/:userId', requireAuthAndTenant, requireAdmin, (req, res) => {
       targetId: userId,
       metadata: {
         email: targetUser.email,
-        role: targetUser.role
+        role: targetUser.role,
+        sessions_revoked: sessionsRevoked
       },
       ipAddress: req.ip
     });
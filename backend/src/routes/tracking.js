@@ -0,0 +1,79 @@
+/**
+ * Email Tracking Routes
+ * Public endpoints behind the open pixel and rewritten links in outbound emails.
+ * No session required - the signed token identifies the message (and link target).
+ */
+
+const express = require('express');
+const router = express.Router();
+const {
+  TRACKING_PIXEL,
+  verifyTrackingToken,
+  recordEmailOpen,
+  recordEmailClick
+} = require('../services/emailTracking');
+
+// ===== HELPER FUNCTIONS =====
+
+function getRequestDetails(req, source) {
+  return {
+    source,
+    ipAddress: req.ip,
+    userAgent: req.get('user-agent') || null
+  };
+}
+
+function sendPixel(res) {
+  res.set({
+    'Content-Type': 'image/gif',
+    'Content-Length': TRACKING_PIXEL.length,
+    'Cache-Control': 'no-store, no-cache, must-revalidate, private',
+    Pragma: 'no-cache',
+    Expires: '0'
+  });
+  return res.end(TRACKING_PIXEL);
+}
+
+// ===== ROUTES =====
+
+/**
+ * GET /api/track/open/:token
+ * Tracking pixel. Always answers with the image so a bad token never shows a
+ * broken image in the recipient's mail client.
+ */
+router.get('/open/:token', (req, res) => {
+  try {
+    const data = verifyTrackingToken(req.params.token);
+    if (data && !data.u) {
+      recordEmailOpen(data.m, getRequestDetails(req, 'pixel'));
+    }
+  } catch (err) {
+    console.error('Error recording email open:', err);
+  }
+  return sendPixel(res);
+});
+
+/**
+ * GET /api/track/click/:token
+ * Record the click and redirect to the link's original URL
+ */
+router.get('/click/:token', (req, res) => {
+  const data = verifyTrackingToken(req.params.token);
+  if (!data || typeof data.u !== 'string' || !/^https?:\/\//i.test(data.u)) {
+    return res.status(404).json({
+      error: 'Not Found',
+      message: 'Invalid tracking link',
+      status: 'error'
+    });
+  }
+
+  try {
+    recordEmailClick(data.m, data.u, getRequestDetails(req, 'link'));
+  } catch (err) {
+    // The recipient still gets where they were going
+    console.error('Error recording email click:', err);
+  }
+  return res.redirect(302, data.u);
+});
+
+module.exports = router;
@@ -0,0 +1,145 @@
+/**
+ * Unsubscribe Routes
+ * Public endpoints behind the signed links in campaign emails and the
+ * List-Unsubscribe header. No session required - the token identifies the contact.
+ */
+
+const express = require('express');
+const router = express.Router();
+const db = require('../db');
+const { verifyUnsubscribeToken, revokeConsent } = require('../services/consent');
+
+// ===== HELPER FUNCTIONS =====
+
+function escapeHtml(value) {
+  return String(value ?? '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+function renderPage(title, bodyHtml) {
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+  <meta charset="utf-8">
+  <meta name="viewport" content="width=device-width, initial-scale=1">
+  <title>${escapeHtml(title)}</title>
+  <style>
+    body { font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', sans-serif; background: #f9fafb; color: #111827; margin: 0; }
+    main { max-width: 28rem; margin: 4rem auto; padding: 2rem; background: #fff; border-radius: 0.75rem; box-shadow: 0 1px 3px rgba(0,0,0,0.1); }
+    h1 { font-size: 1.25rem; margin-top: 0; }
+    p { color: #4b5563; line-height: 1.5; }
+    button { background: #111827; color: #fff; border: 0; border-radius: 0.5rem; padding: 0.625rem 1rem; font-size: 0.875rem; cursor: pointer; }
+  </style>
+</head>
+<body>
+  <main>
+    <h1>${escapeHtml(title)}</h1>
+    ${bodyHtml}
+  </main>
+</body>
+</html>`;
+}
+
+/**
+ * Resolve a token to its contact and tenant, or null if invalid
+ */
+function resolveToken(token) {
+  const parsed = verifyUnsubscribeToken(token);
+  if (!parsed) return null;
+
+  const contact = db.prepare(`
+    SELECT c.id, c.tenant_id, c.email, c.consent_email, t.name as tenant_name
+    FROM contacts c
+    JOIN tenants t ON t.id = c.tenant_id
+    WHERE c.id = ? AND c.tenant_id = ?
+  `).get(parsed.contactId, parsed.tenantId);
+
+  return contact || null;
+}
+
+function sendInvalidLink(res) {
+  return res.status(404).type('html').send(renderPage(
+    'Link not valid',
+    '<p>This unsubscribe link is invalid or has expired.</p>'
+  ));
+}
+
+// ===== ROUTES =====
+
+/**
+ * GET /api/unsubscribe/:token
+ * Confirmation page. Opt-out only happens on POST so link scanners
+ * and mail-client prefetching can't unsubscribe anyone.
+ */
+router.get('/:token', (req, res) => {
+  try {
+    const contact = resolveToken(req.params.token);
+    if (!contact) {
+      return sendInvalidLink(res);
+    }
+
+    if (Number(contact.consent_email) !== 1) {
+      return res.type('html').send(renderPage(
+        'You are unsubscribed',
+        `<p>${escapeHtml(contact.email || 'This address')} will not receive marketing emails from ${escapeHtml(contact.tenant_name)}.</p>`
+      ));
+    }
+
+    res.type('html').send(renderPage(
+      'Unsubscribe',
+      `<p>Stop sending marketing emails from ${escapeHtml(contact.tenant_name)} to ${escapeHtml(contact.email || 'this address')}?</p>
+    <form method="POST" action="">
+      <button type="submit">Unsubscribe</button>
+    </form>`
+    ));
+  } catch (err) {
+    console.error('Error loading unsubscribe page:', err);
+    res.status(500).type('html').send(renderPage('Something went wrong', '<p>Please try again later.</p>'));
+  }
+});
+
+/**
+ * POST /api/unsubscribe/:token
+ * Confirm button on the page above, and RFC 8058 one-click requests from mail
+ * clients (body "List-Unsubscribe=One-Click")
+ */
+router.post('/:token', (req, res) => {
+  const oneClick = req.body?.['List-Unsubscribe'] === 'One-Click';
+
+  try {
+    const contact = resolveToken(req.params.token);
+    if (!contact) {
+      return oneClick
+        ? res.status(404).json({ error: 'Not Found', message: 'Invalid unsubscribe link', status: 'error' })
+        : sendInvalidLink(res);
+    }
+
+    const revoked = revokeConsent({
+      tenantId: contact.tenant_id,
+      contactId: contact.id,
+      channel: 'email',
+      source: oneClick ? 'email_list_unsubscribe' : 'email_unsubscribe_link',
+      ipAddress: req.ip
+    });
+
+    if (oneClick) {
+      return res.json({ data: { unsubscribed: true, changed: revoked }, status: 'success' });
+    }
+
+    res.type('html').send(renderPage(
+      'You are unsubscribed',
+      `<p>${escapeHtml(contact.email || 'This address')} will no longer receive marketing emails from ${escapeHtml(contact.tenant_name)}.</p>`
+    ));
+  } catch (err) {
+    console.error('Error processing unsubscribe:', err);
+    if (oneClick) {
+      return res.status(500).json({ error: 'Internal Server Error', message: 'Failed to unsubscribe', status: 'error' });
+    }
+    res.status(500).type('html').send(renderPage('Something went wrong', '<p>Please try again later.</p>'));
+  }
+});
+
+module.exports = router;
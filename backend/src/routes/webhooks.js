@@ -1,7 +1,8 @@
 /**
  * Webhooks Routes
- * Handles incoming webhooks from Meta WhatsApp and Email providers
+ * Handles incoming webhooks from Meta WhatsApp, Email and SMS providers
  * Processes message status updates (sent, delivered, read, failed)
+ * and stores inbound WhatsApp messages in the shared inbox
  */
 
 const express = require('express');
@@ -10,8 +11,20 @@ const db = require('../db');
 const crypto = require('crypto');
 const { v4: uuidv4 } = require('uuid');
 const metricsEmitter = require('../services/metricsEmitter');
-const { getWhatsAppCredentials } = require('../services/messageQueue');
+const { getWhatsAppCredentials, getSmsCredentials } = require('../services/messageQueue');
 const EmailService = require('../services/emailService');
+const {
+  updateMessageStatus,
+  updateCampaignMetrics,
+  isDuplicateWebhookEvent,
+  applyProviderStatus
+} = require('../services/messageStatus');
+const { getSmsProvider, getSmsStatusCallbackUrl } = require('../services/sms');
+const { recordInboundMessage, applyConversationMessageStatus, extractInboundContent } = require('../services/inbox');
+const { matchOptOutKeyword, revokeConsent } = require('../services/consent');
+const { suppressContact } = require('../services/audience');
+const { handleInboundMessage } = require('../services/journeys');
+const { recordEmailOpen, recordEmailClick } = require('../services/emailTracking');
 
 // ===== CONFIGURATION =====
 const ENABLE_WEBHOOK_VERIFICATION = process.env.ENABLE_WEBHOOK_VERIFICATION === 'true';
@@ -22,19 +35,6 @@ const SES_WEBHOOK_SECRET = process.env.SES_WEBHOOK_SECRET || 'test-webhook-secre
 const webhookEventLog = [];
 const MAX_LOG_ENTRIES = 1000;
 
-// Ensure message_status_events has status_reason column
-const ensureStatusEventsColumns = () => {
-  const cols = db.prepare(`PRAGMA table_info(message_status_events)`).all();
-  const names = cols.map(c => c.name);
-  if (!names.includes('status_reason')) {
-    try {
-      db.prepare(`ALTER TABLE message_status_events ADD COLUMN status_reason TEXT`).run();
-    } catch (e) {
-      console.warn('⚠️  Unable to add status_reason to message_status_events:', e.message);
-    }
-  }
-};
-
 // Ensure optional webhook columns exist (per-tenant)
 const ensureWhatsAppWebhookColumns = () => {
   const cols = db.prepare(`PRAGMA table_info(tenant_channel_settings)`).all();
@@ -72,6 +72,23 @@ const decryptCredentials = (encryptedData) => {
 
 // ===== HELPERS =====
 
+/**
+ * Find the WhatsApp channel settings whose phone_number_id matches a webhook
+ * @param {string} phoneNumberId - value.metadata.phone_number_id from Meta
+ * @returns {Object|null} { tenant_id, webhook_secret }
+ */
+const findWhatsAppChannelByPhoneNumberId = (phoneNumberId) => {
+  if (!phoneNumberId) return null;
+  const channels = db.prepare(`SELECT tenant_id, credentials_encrypted, webhook_secret FROM tenant_channel_settings WHERE channel = 'whatsapp'`).all();
+  for (const ch of channels) {
+    const creds = decryptCredentials(ch.credentials_encrypted) || {};
+    if (creds.phone_number_id && creds.phone_number_id === phoneNumberId) {
+      return { tenant_id: ch.tenant_id, webhook_secret: ch.webhook_secret };
+    }
+  }
+  return null;
+};
+
 /**
  * Verify Meta WhatsApp webhook signature
  * Meta sends X-Hub-Signature header with HMAC-SHA256 signature
@@ -165,124 +182,6 @@ const logWebhookEvent = (provider, type, data, status = 'received') => {
   return entry.id;
 };
 
-/**
- * Update message status from webhook
- */
-const updateMessageStatus = (tenantId, providerMessageId, newStatus, eventTimestamp, statusReason = null) => {
-  try {
-    ensureStatusEventsColumns();
-
-    // Find the message by provider_message_id
-    const message = db.prepare(`
-      SELECT id, campaign_id, status as old_status FROM messages
-      WHERE provider_message_id = ? AND tenant_id = ?
-    `).get(providerMessageId, tenantId);
-
-    if (!message) {
-      console.warn(`❌ Message not found for provider_message_id: ${providerMessageId}`);
-      return null;
-    }
-
-    // Update message status
-    const now = new Date().toISOString();
-    const statusTimestampColumn = newStatus === 'sent' ? 'sent_at' :
-                                   newStatus === 'delivered' ? 'delivered_at' :
-                                   newStatus === 'read' ? 'read_at' :
-                                   newStatus === 'failed' ? 'failed_at' : null;
-
-    let updateQuery = `
-      UPDATE messages
-      SET status = ?, updated_at = ?, status_reason = COALESCE(?, status_reason)
-    `;
-    const params = [newStatus, now, statusReason];
-
-    if (statusTimestampColumn) {
-      updateQuery += `, ${statusTimestampColumn} = ?`;
-      params.push(eventTimestamp || now);
-    }
-
-    updateQuery += ` WHERE id = ?`;
-    params.push(message.id);
-
-    const result = db.prepare(updateQuery).run(...params);
-
-    // Log the status event
-    const eventId = uuidv4();
-    db.prepare(`
-      INSERT INTO message_status_events (
-      id, message_id, provider_message_id, old_status, new_status,
-        event_timestamp, webhook_received_at, created_at, status_reason
-      ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)
-    `).run(
-      eventId,
-      message.id,
-      providerMessageId,
-      message.old_status,
-      newStatus,
-      eventTimestamp || now,
-      now,
-      now,
-      statusReason || null
-    );
-
-    console.log(`✅ Message ${message.id} status updated: ${message.old_status} → ${newStatus}`);
-
-    return {
-      messageId: message.id,
-      campaignId: message.campaign_id,
-      oldStatus: message.old_status,
-      newStatus,
-      eventId
-    };
-  } catch (error) {
-    console.error('❌ Error updating message status:', error.message);
-    throw error;
-  }
-};
-
-/**
- * Update campaign metrics after status change
- */
-const updateCampaignMetrics = (campaignId, tenantId) => {
-  try {
-    const metrics = db.prepare(`
-      SELECT
-        COUNT(*) as message_count,
-        SUM(CASE WHEN status = 'sent' THEN 1 ELSE 0 END) as sent_count,
-        SUM(CASE WHEN status = 'delivered' THEN 1 ELSE 0 END) as delivered_count,
-        SUM(CASE WHEN status = 'read' THEN 1 ELSE 0 END) as read_count,
-        SUM(CASE WHEN status = 'failed' THEN 1 ELSE 0 END) as failed_count
-      FROM messages
-      WHERE campaign_id = ? AND tenant_id = ?
-    `).get(campaignId, tenantId);
-
-    return metrics;
-  } catch (error) {
-    console.error('❌ Error updating campaign metrics:', error.message);
-    return null;
-  }
-};
-
-/**
- * Handle duplicate webhook events (idempotency)
- * Returns true if this is a duplicate event that was already processed
- */
-const isDuplicateWebhookEvent = (providerMessageId, newStatus) => {
-  // Check if we already have this exact status update
-  const existing = db.prepare(`
-    SELECT id FROM message_status_events
-    WHERE provider_message_id = ? AND new_status = ?
-    ORDER BY created_at DESC LIMIT 1
-  `).get(providerMessageId, newStatus);
-
-  if (existing) {
-    console.log(`⚠️  Duplicate webhook event for ${providerMessageId} → ${newStatus}`);
-    return true;
-  }
-
-  return false;
-};
-
 /**
  * Handle template status update webhook events from Meta
  * Meta sends message_template_status_update events when templates are approved, rejected, etc.
@@ -411,6 +310,16 @@ function handleTemplateStatusUpdate(entry) {
  *                 "timestamp": 1234567890,
  *                 "recipient_id": "..."
  *               }
+ *             ],
+ *             "contacts": [{ "wa_id": "...", "profile": { "name": "..." } }],
+ *             "messages": [
+ *               {
+ *                 "id": "wamid.abc...",   // inbound message, stored in the inbox
+ *                 "from": "15551234567",
+ *                 "timestamp": "1234567890",
+ *                 "type": "text",
+ *                 "text": { "body": "..." }
+ *               }
  *             ]
  *           },
  *           "field": "messages"
@@ -442,14 +351,10 @@ router.post('/whatsapp', express.raw({ type: 'application/json' }), (req, res) =
       verificationEnabled: ENABLE_WEBHOOK_VERIFICATION
     });
     if (phoneNumberIdFromMeta) {
-      const channels = db.prepare(`SELECT tenant_id, credentials_encrypted, webhook_secret FROM tenant_channel_settings WHERE channel = 'whatsapp'`).all();
-      for (const ch of channels) {
-        const creds = decryptCredentials(ch.credentials_encrypted) || {};
-        if (creds.phone_number_id && creds.phone_number_id === phoneNumberIdFromMeta) {
-          tenantSecret = ch.webhook_secret || null;
-          tenantIdForEvent = ch.tenant_id;
-          break;
-        }
+      const channel = findWhatsAppChannelByPhoneNumberId(phoneNumberIdFromMeta);
+      if (channel) {
+        tenantSecret = channel.webhook_secret || null;
+        tenantIdForEvent = channel.tenant_id;
       }
     }
     // Fallback: if we didn't find a tenant by phone_number_id, use the first WhatsApp secret (helps Meta sample tests)
@@ -496,14 +401,54 @@ router.post('/whatsapp', express.raw({ type: 'application/json' }), (req, res) =
           continue;
         }
 
-        // Only process message status updates
-        if (field !== 'messages') continue;
-        if (!value || !value.statuses) continue;
+        if (field !== 'messages' || !value) continue;
 
-        // Extract tenant_id from metadata if available
-        // In production, you'd have a way to map phone_number_id to tenant
         const phoneNumberId = value.metadata?.phone_number_id;
 
+        // Inbound customer messages go to the shared inbox. Unlike status receipts
+        // they must belong to a known number, so there is no fallback tenant.
+        if (Array.isArray(value.messages) && value.messages.length > 0) {
+          const inboxTenantId = findWhatsAppChannelByPhoneNumberId(phoneNumberId)?.tenant_id;
+          if (!inboxTenantId) {
+            console.warn(`⚠️  Inbound WhatsApp message for unknown phone_number_id: ${phoneNumberId}`);
+          } else {
+            for (const inbound of value.messages) {
+              if (!inbound?.id || !inbound.from) continue;
+              const profile = (value.contacts || []).find(c => c.wa_id === inbound.from) || null;
+              const result = recordInboundMessage(inboxTenantId, inbound, profile);
+
+              // STOP / UNSUBSCRIBE (or a tenant's localized keyword) revokes WhatsApp consent
+              const optOutKeyword = result.duplicate
+                ? null
+                : matchOptOutKeyword(inboxTenantId, extractInboundContent(inbound).body);
+              if (optOutKeyword) {
+                revokeConsent({
+                  tenantId: inboxTenantId,
+                  contactId: result.contactId,
+                  channel: 'whatsapp',
+                  source: 'whatsapp_keyword',
+                  metadata: { keyword: optOutKeyword, providerMessageId: inbound.id }
+                });
+              } else if (!result.duplicate) {
+                // Keyword replies can start a journey
+                handleInboundMessage(inboxTenantId, result.contactId, extractInboundContent(inbound).body);
+              }
+
+              logWebhookEvent('whatsapp', 'inbound_message', {
+                providerMessageId: inbound.id,
+                type: inbound.type,
+                conversationId: result.conversationId,
+                duplicate: result.duplicate,
+                optOut: Boolean(optOutKeyword),
+                tenant_id: inboxTenantId
+              });
+              processedCount++;
+            }
+          }
+        }
+
+        if (!Array.isArray(value.statuses)) continue;
+
         for (const status of value.statuses) {
           const { id: providerMessageId, status: newStatus, timestamp: eventTimestamp, errors } = status;
 
@@ -527,13 +472,18 @@ router.post('/whatsapp', express.raw({ type: 'application/json' }), (req, res) =
             SELECT tenant_id FROM messages WHERE provider_message_id = ?
           `).get(providerMessageId);
 
+          const statusReason = Array.isArray(errors) && errors.length > 0 ? (errors[0].title || errors[0].message) : null;
+
           if (!message) {
-            console.warn(`⚠️  Message not found for: ${providerMessageId}`);
+            // Receipts for inbox replies are tracked on the conversation message
+            if (applyConversationMessageStatus(providerMessageId, newStatus, statusReason)) {
+              processedCount++;
+            } else {
+              console.warn(`⚠️  Message not found for: ${providerMessageId}`);
+            }
             continue;
           }
 
-          const statusReason = Array.isArray(errors) && errors.length > 0 ? (errors[0].title || errors[0].message) : null;
-
           // Update message status
           updateMessageStatus(message.tenant_id, providerMessageId, newStatus, eventTimestamp, statusReason);
 
@@ -558,7 +508,7 @@ router.post('/whatsapp', express.raw({ type: 'application/json' }), (req, res) =
     res.status(200).json({
       success: true,
       processed: processedCount,
-      message: `Processed ${processedCount} status updates`
+      message: `Processed ${processedCount} webhook events`
     });
   } catch (error) {
     console.error('❌ WhatsApp webhook error:', error);
@@ -692,16 +642,14 @@ router.post('/email', (req, res) => {
         statusUpdate = { newStatus: 'delivered', eventTimestamp: sesEvent.delivery?.timestamp };
         break;
       case 'Open':
-        statusUpdate = { newStatus: 'read', eventTimestamp: sesEvent.open?.timestamp };
+      case 'Click':
+        // Recorded like the tracking pixel and links below (every open and click, not just the first)
+        statusUpdate = null;
         break;
       case 'Bounce':
       case 'Reject':
         statusUpdate = { newStatus: 'failed', eventTimestamp: sesEvent.bounce?.timestamp || mail.timestamp };
         break;
-      case 'Click':
-        // Clicks don't change status, but we could track them separately
-        statusUpdate = null;
-        break;
       case 'Complaint':
         // Mark as failed on complaints
         statusUpdate = { newStatus: 'failed', eventTimestamp: sesEvent.complaint?.timestamp };
@@ -711,18 +659,50 @@ router.post('/email', (req, res) => {
         statusUpdate = null;
     }
 
+    if (eventType === 'Open' || eventType === 'Click') {
+      const message = db.prepare('SELECT id FROM messages WHERE provider_message_id = ?').get(messageId);
+      if (message) {
+        const details = {
+          source: 'ses',
+          ipAddress: sesEvent[eventType.toLowerCase()]?.ipAddress,
+          userAgent: sesEvent[eventType.toLowerCase()]?.userAgent
+        };
+        if (eventType === 'Open') {
+          recordEmailOpen(message.id, details);
+        } else {
+          recordEmailClick(message.id, sesEvent.click?.link, details);
+        }
+      } else {
+        console.warn(`⚠️  Message not found for SES: ${messageId}`);
+      }
+    }
+
     if (statusUpdate) {
       // Check for duplicates
       if (!isDuplicateWebhookEvent(messageId, statusUpdate.newStatus)) {
         // Find the message and get tenant_id
         const message = db.prepare(`
-          SELECT tenant_id, campaign_id FROM messages WHERE provider_message_id = ?
+          SELECT tenant_id, campaign_id, contact_id FROM messages WHERE provider_message_id = ?
         `).get(messageId);
 
         if (message) {
           updateMessageStatus(message.tenant_id, messageId, statusUpdate.newStatus, statusUpdate.eventTimestamp);
           updateCampaignMetrics(message.campaign_id, message.tenant_id);
 
+          // Hard bounces and complaints keep the address out of future audiences
+          const suppressionReason = eventType === 'Complaint'
+            ? 'complaint'
+            : (eventType === 'Bounce' && sesEvent.bounce?.bounceType === 'Permanent' ? 'hard_bounce' : null);
+          if (suppressionReason && message.contact_id) {
+            suppressContact({
+              tenantId: message.tenant_id,
+              contactId: message.contact_id,
+              channel: 'email',
+              reason: suppressionReason,
+              source: 'ses'
+            });
+          }
+
           // Broadcast metrics update to SSE clients
           metricsEmitter.emit(`campaign:${message.campaign_id}:metrics`);
           console.log(`📡 Metrics broadcast for campaign ${message.campaign_id}`);
@@ -745,6 +725,82 @@ router.post('/email', (req, res) => {
   }
 });
 
+/**
+ * POST /webhooks/sms/status
+ * Receive SMS delivery status callbacks (Twilio-style, form encoded)
+ *
+ * Callback fields:
+ *   MessageSid=SM...          // provider_message_id
+ *   MessageStatus=queued|sent|delivered|undelivered|failed
+ *   ErrorCode=30003           // only on failures
+ *   AccountSid=AC...
+ *
+ * Signed with X-Twilio-Signature (HMAC-SHA1 over URL + sorted params) using the tenant's auth token.
+ */
+router.post('/sms/status', express.urlencoded({ extended: false }), (req, res) => {
+  try {
+    const params = req.body && !Buffer.isBuffer(req.body) ? req.body : {};
+    const providerMessageId = params.MessageSid || params.SmsSid;
+
+    if (!providerMessageId) {
+      return res.status(400).json({ error: 'Missing MessageSid' });
+    }
+
+    // Resolve the tenant (and its credentials) from the message we sent
+    const message = db.prepare(`
+      SELECT tenant_id FROM messages WHERE provider_message_id = ? AND channel = 'sms'
+    `).get(providerMessageId);
+
+    if (!message) {
+      // Acknowledge so the provider stops retrying callbacks for messages we don't know
+      console.warn(`⚠️  SMS message not found for: ${providerMessageId}`);
+      return res.status(200).json({ success: true, processed: 0 });
+    }
+
+    const credentials = getSmsCredentials(message.tenant_id);
+    if (!credentials) {
+      console.warn('⚠️  SMS status callback for tenant without a connected SMS channel', { tenantId: message.tenant_id });
+      return res.status(200).json({ success: true, processed: 0 });
+    }
+
+    const provider = getSmsProvider(credentials);
+
+    if (ENABLE_WEBHOOK_VERIFICATION) {
+      const signature = req.headers['x-twilio-signature'];
+      const callbackUrl = getSmsStatusCallbackUrl() || `${req.protocol}://${req.get('host')}${req.originalUrl}`;
+      if (!provider.verifyWebhookSignature(callbackUrl, params, signature)) {
+        console.warn('❌ SMS webhook signature verification failed', { tenantId: message.tenant_id });
+        return res.status(401).json({ error: 'Invalid signature' });
+      }
+    }
+
+    const statusUpdate = provider.parseStatusWebhook(params);
+
+    logWebhookEvent(`sms_${provider.name}`, 'message_status', {
+      providerMessageId,
+      status: params.MessageStatus || params.SmsStatus,
+      tenant_id: message.tenant_id
+    });
+
+    let processed = 0;
+    if (statusUpdate) {
+      const result = applyProviderStatus(
+        statusUpdate.providerMessageId,
+        statusUpdate.status,
+        new Date().toISOString(),
+        statusUpdate.statusReason
+      );
+      processed = result ? 1 : 0;
+    }
+
+    res.status(200).json({ success: true, processed });
+  } catch (error) {
+    console.error('❌ SMS webhook error:', error);
+    logWebhookEvent('sms', 'error', { error: error.message }, 'error');
+    res.status(500).json({ error: 'Internal server error', message: error.message });
+  }
+});
+
 /**
  * GET /webhooks/health
  * Health check for webhook system
@@ -754,7 +810,8 @@ router.get('/health', (req, res) => {
     status: 'ok',
     webhooks: {
       whatsapp: 'operational',
-      email: 'operational'
+      email: 'operational',
+      sms: 'operational'
     },
     recentEvents: webhookEventLog.slice(-10),
     totalEventsLogged: webhookEventLog.length
@@ -0,0 +1,305 @@
+/**
+ * A/B Testing Service
+ * Campaign variants, test-slice assignment and winner selection.
+ *
+ * A campaign with an A/B test has 2-4 rows in campaign_variants (labelled A-D).
+ * On send, ab_test_percentage of the eligible audience is split evenly across the
+ * variants and ab_status becomes 'testing'. Once ab_winner_due_at passes, the
+ * campaign scheduler picks the variant with the best read rate (WhatsApp reads,
+ * email opens - both land in messages.read_at) and queues it for everyone in the
+ * audience who hasn't been messaged yet.
+ *
+ * Variant A mirrors the campaign's own template_id / message_content so previews,
+ * duplicates and resends keep working on the campaign row.
+ */
+
+const db = require('../db');
+const { v4: uuidv4 } = require('uuid');
+
+const AB_TEST_CHANNELS = ['whatsapp', 'email'];
+const VARIANT_LABELS = ['A', 'B', 'C', 'D'];
+const MIN_VARIANTS = 2;
+const MAX_VARIANTS = VARIANT_LABELS.length;
+const MIN_WAIT_MINUTES = 15;
+const MAX_WAIT_MINUTES = 7 * 24 * 60;
+const DEFAULT_TEST_PERCENTAGE = 20;
+const DEFAULT_WAIT_MINUTES = 240;
+
+function parseContent(messageContent) {
+  if (!messageContent) return {};
+  if (typeof messageContent === 'object') return messageContent;
+  try {
+    return JSON.parse(messageContent) || {};
+  } catch {
+    return {};
+  }
+}
+
+/**
+ * Normalize one variant's content for the campaign channel
+ * @param {string} tenantId
+ * @param {string} channel - 'whatsapp' | 'email'
+ * @param {Object} variant - { template_id, message_content, subject }
+ * @param {string} label - Variant label for error messages
+ * @returns {{ value: { template_id: string|null, message_content: string } } | { error: string }}
+ */
+function normalizeVariantContent(tenantId, channel, variant, label) {
+  if (!variant || typeof variant !== 'object') {
+    return { error: `Variant ${label} is missing` };
+  }
+
+  if (channel === 'whatsapp') {
+    if (!variant.template_id) {
+      return { error: `Variant ${label} needs a WhatsApp template` };
+    }
+    const template = db.prepare('SELECT id FROM whatsapp_templates WHERE id = ? AND tenant_id = ?').get(variant.template_id, tenantId);
+    if (!template) {
+      return { error: `Variant ${label} uses an unknown template` };
+    }
+    const content = parseContent(variant.message_content);
+    return { value: { template_id: template.id, message_content: JSON.stringify(content) } };
+  }
+
+  const content = parseContent(variant.message_content);
+  const subject = String(variant.subject || content.subject || '').trim();
+  const htmlBody = content.htmlBody || content.html || '';
+  const textBody = content.textBody || content.text || '';
+  if (!subject) {
+    return { error: `Variant ${label} needs a subject` };
+  }
+  if (!htmlBody && !textBody) {
+    return { error: `Variant ${label} needs an email body` };
+  }
+  return { value: { template_id: null, message_content: JSON.stringify({ subject, htmlBody, textBody }) } };
+}
+
+/**
+ * Validate an A/B test definition from the campaign API
+ * @param {string} tenantId
+ * @param {string} channel - Campaign channel
+ * @param {Object} input - { variants: [{ template_id, message_content, subject }], test_percentage, wait_minutes }
+ * @returns {{ value: { testPercentage: number, waitMinutes: number, variants: Array } } | { error: string }}
+ */
+function validateAbTestInput(tenantId, channel, input) {
+  if (!input || typeof input !== 'object' || Array.isArray(input)) {
+    return { error: 'ab_test must be an object' };
+  }
+  if (!AB_TEST_CHANNELS.includes(channel)) {
+    return { error: 'A/B tests are available for WhatsApp and email campaigns' };
+  }
+
+  const { variants } = input;
+  if (!Array.isArray(variants) || variants.length < MIN_VARIANTS || variants.length > MAX_VARIANTS) {
+    return { error: `A/B tests need between ${MIN_VARIANTS} and ${MAX_VARIANTS} variants` };
+  }
+
+  const testPercentage = input.test_percentage === undefined ? DEFAULT_TEST_PERCENTAGE : Number(input.test_percentage);
+  if (!Number.isInteger(testPercentage) || testPercentage < 1 || testPercentage > 100) {
+    return { error: 'test_percentage must be a whole number between 1 and 100' };
+  }
+
+  const waitMinutes = input.wait_minutes === undefined ? DEFAULT_WAIT_MINUTES : Number(input.wait_minutes);
+  if (!Number.isInteger(waitMinutes) || waitMinutes < MIN_WAIT_MINUTES || waitMinutes > MAX_WAIT_MINUTES) {
+    return { error: `wait_minutes must be between ${MIN_WAIT_MINUTES} and ${MAX_WAIT_MINUTES}` };
+  }
+
+  const normalized = [];
+  for (let i = 0; i < variants.length; i++) {
+    const result = normalizeVariantContent(tenantId, channel, variants[i], VARIANT_LABELS[i]);
+    if (result.error) return result;
+    normalized.push({ label: VARIANT_LABELS[i], ...result.value });
+  }
+
+  return { value: { testPercentage, waitMinutes, variants: normalized } };
+}
+
+/**
+ * Variants for a campaign in label order
+ * @param {string} campaignId
+ * @returns {Array<Object>}
+ */
+function getCampaignVariants(campaignId) {
+  return db.prepare(`
+    SELECT id, label, position, template_id, message_content
+    FROM campaign_variants
+    WHERE campaign_id = ?
+    ORDER BY position ASC
+  `).all(campaignId);
+}
+
+/**
+ * Replace a draft campaign's A/B test. Variant A is copied onto the campaign row.
+ * Call inside a transaction together with the campaign insert/update.
+ * @param {Object} campaign - { id, tenant_id }
+ * @param {Object|null} config - From validateAbTestInput, or null to remove the test
+ */
+function saveCampaignAbTest(campaign, config) {
+  const now = new Date().toISOString();
+  db.prepare('DELETE FROM campaign_variants WHERE campaign_id = ?').run(campaign.id);
+
+  if (!config) {
+    db.prepare(`
+      UPDATE campaigns SET ab_test_percentage = NULL, ab_wait_minutes = NULL WHERE id = ?
+    `).run(campaign.id);
+    return;
+  }
+
+  const insert = db.prepare(`
+    INSERT INTO campaign_variants (id, campaign_id, tenant_id, label, position, template_id, message_content, created_at, updated_at)
+    VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)
+  `);
+  config.variants.forEach((variant, index) => {
+    insert.run(uuidv4(), campaign.id, campaign.tenant_id, variant.label, index, variant.template_id, variant.message_content, now, now);
+  });
+
+  const first = config.variants[0];
+  db.prepare(`
+    UPDATE campaigns
+    SET ab_test_percentage = ?, ab_wait_minutes = ?, template_id = ?, message_content = ?
+    WHERE id = ?
+  `).run(config.testPercentage, config.waitMinutes, first.template_id, first.message_content, campaign.id);
+}
+
+/**
+ * Copy a campaign's A/B test onto another draft (duplicate)
+ */
+function copyCampaignAbTest(sourceCampaign, targetCampaign) {
+  const variants = getCampaignVariants(sourceCampaign.id);
+  if (variants.length === 0) return;
+  saveCampaignAbTest(targetCampaign, {
+    testPercentage: sourceCampaign.ab_test_percentage,
+    waitMinutes: sourceCampaign.ab_wait_minutes,
+    variants
+  });
+}
+
+function shuffle(items) {
+  const result = [...items];
+  for (let i = result.length - 1; i > 0; i--) {
+    const j = Math.floor(Math.random() * (i + 1));
+    [result[i], result[j]] = [result[j], result[i]];
+  }
+  return result;
+}
+
+/**
+ * Randomly pick the test slice and spread it evenly over the variants
+ * @param {Array<string>} contactIds - Eligible audience
+ * @param {Array<Object>} variants
+ * @param {number} testPercentage
+ * @returns {{ recipients: Array<{ contactId: string, variantId: string }> } | { error: string }}
+ */
+function assignTestSlice(contactIds, variants, testPercentage) {
+  const testSize = Math.ceil((contactIds.length * testPercentage) / 100);
+  if (testSize < variants.length) {
+    return {
+      error: `An A/B test with ${variants.length} variants needs at least ${variants.length} contacts in the ${testPercentage}% test group (audience: ${contactIds.length})`
+    };
+  }
+
+  const recipients = shuffle(contactIds).slice(0, testSize).map((contactId, index) => ({
+    contactId,
+    variantId: variants[index % variants.length].id
+  }));
+  return { recipients };
+}
+
+/**
+ * Per-variant delivery and read metrics for the test slice
+ * Reads count WhatsApp read receipts and email opens; a read message was also delivered.
+ * The winner's rollout to the rest of the audience is queued at ab_winner_selected_at
+ * and left out so variants are compared on equal terms.
+ * @param {Object} campaign - Campaign row
+ * @returns {Array<Object>} One entry per variant in label order
+ */
+function getVariantMetrics(campaign) {
+  const variants = getCampaignVariants(campaign.id);
+  if (variants.length === 0) return [];
+
+  const rows = db.prepare(`
+    SELECT
+      variant_id,
+      COUNT(*) as total,
+      SUM(CASE WHEN status IN ('sent', 'delivered', 'read') THEN 1 ELSE 0 END) as sent_count,
+      SUM(CASE WHEN delivered_at IS NOT NULL OR read_at IS NOT NULL OR status IN ('delivered', 'read') THEN 1 ELSE 0 END) as delivered_count,
+      SUM(CASE WHEN read_at IS NOT NULL OR status = 'read' THEN 1 ELSE 0 END) as read_count,
+      SUM(CASE WHEN status = 'failed' THEN 1 ELSE 0 END) as failed_count
+    FROM messages
+    WHERE campaign_id = ? AND variant_id IS NOT NULL AND (? IS NULL OR created_at < ?)
+    GROUP BY variant_id
+  `).all(campaign.id, campaign.ab_winner_selected_at, campaign.ab_winner_selected_at);
+  const byVariant = new Map(rows.map(row => [row.variant_id, row]));
+
+  return variants.map(variant => {
+    const row = byVariant.get(variant.id) || {};
+    const total = row.total || 0;
+    const read = row.read_count || 0;
+    const delivered = row.delivered_count || 0;
+    return {
+      id: variant.id,
+      label: variant.label,
+      template_id: variant.template_id,
+      total,
+      sent: row.sent_count || 0,
+      delivered,
+      read,
+      failed: row.failed_count || 0,
+      read_rate: total > 0 ? parseFloat(((read / total) * 100).toFixed(2)) : 0,
+      delivery_rate: total > 0 ? parseFloat(((delivered / total) * 100).toFixed(2)) : 0
+    };
+  });
+}
+
+/**
+ * Best variant by read rate, then delivery rate; ties go to the earlier label
+ * @param {Array<Object>} variantMetrics - From getVariantMetrics
+ * @returns {Object|null}
+ */
+function pickWinner(variantMetrics) {
+  return variantMetrics.reduce((best, variant) => {
+    if (!best) return variant;
+    if (variant.read_rate > best.read_rate) return variant;
+    if (variant.read_rate === best.read_rate && variant.delivery_rate > best.delivery_rate) return variant;
+    return best;
+  }, null);
+}
+
+/**
+ * A/B test summary for campaign responses
+ * @param {Object} campaign - Campaign row
+ * @returns {Object|null} null when the campaign has no A/B test
+ */
+function formatAbTest(campaign) {
+  const variants = getCampaignVariants(campaign.id);
+  if (variants.length === 0) return null;
+  return {
+    test_percentage: campaign.ab_test_percentage,
+    wait_minutes: campaign.ab_wait_minutes,
+    status: campaign.ab_status || 'draft',
+    winner_due_at: campaign.ab_winner_due_at,
+    winner_variant_id: campaign.ab_winner_variant_id,
+    winner_selected_at: campaign.ab_winner_selected_at,
+    variants: variants.map(v => ({
+      id: v.id,
+      label: v.label,
+      template_id: v.template_id,
+      message_content: v.message_content
+    }))
+  };
+}
+
+module.exports = {
+  AB_TEST_CHANNELS,
+  MIN_VARIANTS,
+  MAX_VARIANTS,
+  MIN_WAIT_MINUTES,
+  MAX_WAIT_MINUTES,
+  validateAbTestInput,
+  getCampaignVariants,
+  saveCampaignAbTest,
+  copyCampaignAbTest,
+  assignTestSlice,
+  getVariantMetrics,
+  pickWinner,
+  formatAbTest
+};
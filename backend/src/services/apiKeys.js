@@ -0,0 +1,262 @@
+/**
+ * API Keys Service
+ * Tenant-scoped keys for the public REST API.
+ *
+ * Keys look like `en_<random>` and are shown once, on create and rotate. Only a
+ * SHA-256 hash is stored; key_prefix lets admins tell keys apart in Settings.
+ *
+ * Each key carries scopes. SCOPE_RULES maps API paths (relative to /api) to the
+ * scope a request needs; anything not listed (auth, settings, billing, admin...)
+ * stays session-only. Every authenticated request counts against the plan's
+ * api_tokens_per_month in usage_counters.api_requests.
+ */
+
+const crypto = require('crypto');
+const db = require('../db');
+const { v4: uuidv4 } = require('uuid');
+
+const KEY_PREFIX = 'en_';
+const DISPLAY_PREFIX_LENGTH = 11;
+const MAX_NAME_LENGTH = 100;
+
+const SCOPES = [
+  'contacts:read',
+  'contacts:write',
+  'campaigns:read',
+  'campaigns:write',
+  'campaigns:send',
+  'segments:read',
+  'segments:write',
+  'templates:read',
+  'messages:read',
+  'messages:send'
+];
+
+const READ_METHODS = ['GET', 'HEAD', 'OPTIONS'];
+
+// First matching rule wins; a missing scope for the method means "not available via API key"
+const SCOPE_RULES = [
+  // Anything that starts, stops or changes a delivery needs campaigns:send, not just campaigns:write
+  { pattern: /^\/campaigns\/[^/]+\/(send|schedule|resend|retry-failed|pause|resume|cancel)\/?$/, read: 'campaigns:read', write: 'campaigns:send' },
+  { pattern: /^\/campaigns(\/|$)/, read: 'campaigns:read', write: 'campaigns:write' },
+  { pattern: /^\/contacts(\/|$)/, read: 'contacts:read', write: 'contacts:write' },
+  { pattern: /^\/segments(\/|$)/, read: 'segments:read', write: 'segments:write' },
+  { pattern: /^\/templates(\/|$)/, read: 'templates:read' },
+  { pattern: /^\/messages(\/|$)/, read: 'messages:read', write: 'messages:send' }
+];
+
+function hashKey(secret) {
+  return crypto.createHash('sha256').update(secret).digest('hex');
+}
+
+function generateSecret() {
+  return `${KEY_PREFIX}${crypto.randomBytes(24).toString('base64url')}`;
+}
+
+function getYearMonth(now = new Date()) {
+  return `${now.getFullYear()}-${String(now.getMonth() + 1).padStart(2, '0')}`;
+}
+
+function parseScopes(value) {
+  try {
+    const scopes = JSON.parse(value);
+    return Array.isArray(scopes) ? scopes : [];
+  } catch {
+    return [];
+  }
+}
+
+/**
+ * API response shape for a key (never includes the hash)
+ */
+function formatApiKey(row) {
+  return {
+    id: row.id,
+    name: row.name,
+    key_prefix: row.key_prefix,
+    scopes: parseScopes(row.scopes),
+    created_by: row.created_by,
+    created_by_name: row.created_by_name || null,
+    last_used_at: row.last_used_at,
+    rotated_at: row.rotated_at,
+    revoked_at: row.revoked_at,
+    created_at: row.created_at,
+    updated_at: row.updated_at
+  };
+}
+
+/**
+ * Validate a create request
+ * @param {Object} input - { name, scopes }
+ * @returns {{ value: { name: string, scopes: Array<string> } } | { error: string }}
+ */
+function validateApiKeyInput(input = {}) {
+  const name = typeof input.name === 'string' ? input.name.trim() : '';
+  if (!name) {
+    return { error: 'Key name is required' };
+  }
+  if (name.length > MAX_NAME_LENGTH) {
+    return { error: `Key name cannot exceed ${MAX_NAME_LENGTH} characters` };
+  }
+
+  if (!Array.isArray(input.scopes) || input.scopes.length === 0) {
+    return { error: 'Select at least one scope' };
+  }
+  const unknown = input.scopes.filter(scope => !SCOPES.includes(scope));
+  if (unknown.length > 0) {
+    return { error: `Unknown scope: ${unknown.join(', ')}` };
+  }
+
+  // Keep a stable order so keys with the same access look the same
+  const scopes = SCOPES.filter(scope => input.scopes.includes(scope));
+  return { value: { name, scopes } };
+}
+
+/**
+ * Keys for a tenant, newest first, including revoked keys for history
+ */
+function listApiKeys(tenantId) {
+  return db.prepare(`
+    SELECT k.*, u.name as created_by_name
+    FROM api_keys k
+    LEFT JOIN users u ON u.id = k.created_by
+    WHERE k.tenant_id = ?
+    ORDER BY k.revoked_at IS NOT NULL, k.created_at DESC
+  `).all(tenantId).map(formatApiKey);
+}
+
+function getApiKey(tenantId, keyId) {
+  return db.prepare('SELECT * FROM api_keys WHERE id = ? AND tenant_id = ?').get(keyId, tenantId) || null;
+}
+
+/**
+ * Create a key
+ * @returns {{ apiKey: Object, secret: string }} The secret is only available here
+ */
+function createApiKey(tenantId, { name, scopes }, userId) {
+  const id = uuidv4();
+  const secret = generateSecret();
+  const now = new Date().toISOString();
+
+  db.prepare(`
+    INSERT INTO api_keys (id, tenant_id, name, key_prefix, key_hash, scopes, created_by, created_at, updated_at)
+    VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)
+  `).run(id, tenantId, name, secret.slice(0, DISPLAY_PREFIX_LENGTH), hashKey(secret), JSON.stringify(scopes), userId, now, now);
+
+  return { apiKey: formatApiKey(getApiKey(tenantId, id)), secret };
+}
+
+/**
+ * Replace a key's secret. The old secret stops working immediately.
+ * @returns {{ apiKey: Object, secret: string }}
+ */
+function rotateApiKey(tenantId, keyId) {
+  const secret = generateSecret();
+  const now = new Date().toISOString();
+
+  db.prepare(`
+    UPDATE api_keys
+    SET key_prefix = ?, key_hash = ?, rotated_at = ?, updated_at = ?
+    WHERE id = ? AND tenant_id = ? AND revoked_at IS NULL
+  `).run(secret.slice(0, DISPLAY_PREFIX_LENGTH), hashKey(secret), now, now, keyId, tenantId);
+
+  return { apiKey: formatApiKey(getApiKey(tenantId, keyId)), secret };
+}
+
+function revokeApiKey(tenantId, keyId, userId) {
+  const now = new Date().toISOString();
+  db.prepare(`
+    UPDATE api_keys
+    SET revoked_at = ?, revoked_by = ?, updated_at = ?
+    WHERE id = ? AND tenant_id = ? AND revoked_at IS NULL
+  `).run(now, userId, now, keyId, tenantId);
+  return formatApiKey(getApiKey(tenantId, keyId));
+}
+
+/**
+ * Look up an active key from the secret presented in a request
+ * @returns {Object|null} Key row with parsed scopes
+ */
+function findActiveApiKey(secret) {
+  if (typeof secret !== 'string' || !secret.startsWith(KEY_PREFIX)) {
+    return null;
+  }
+  const row = db.prepare(`
+    SELECT * FROM api_keys WHERE key_hash = ? AND revoked_at IS NULL
+  `).get(hashKey(secret));
+  return row ? { ...row, scopes: parseScopes(row.scopes) } : null;
+}
+
+/**
+ * Scope needed for a request, or null when the endpoint isn't exposed to API keys
+ * @param {string} method - HTTP method
+ * @param {string} path - Path relative to /api (e.g. /contacts/123)
+ */
+function getRequiredScope(method, path) {
+  // Express routes match regardless of case, so /campaigns/1/SEND must hit the send rule
+  const normalized = String(path).toLowerCase();
+  const rule = SCOPE_RULES.find(r => r.pattern.test(normalized));
+  if (!rule) return null;
+  return (READ_METHODS.includes(method) ? rule.read : rule.write) || null;
+}
+
+/**
+ * Count one API request against the tenant's plan
+ * Requests over the limit are rejected and not counted.
+ * @returns {{ allowed: boolean, reason?: 'disabled' | 'limit', used: number, limit: number }}
+ */
+function consumeApiRequest(tenantId) {
+  const plan = db.prepare(`
+    SELECT p.api_enabled, p.api_tokens_per_month
+    FROM tenants t
+    JOIN plans p ON p.id = t.plan_id
+    WHERE t.id = ?
+  `).get(tenantId);
+
+  if (!plan || !plan.api_enabled) {
+    return { allowed: false, reason: 'disabled', used: 0, limit: 0 };
+  }
+
+  const yearMonth = getYearMonth();
+  const limit = plan.api_tokens_per_month || 0;
+
+  return db.transaction(() => {
+    const usage = db.prepare(`
+      SELECT api_requests FROM usage_counters WHERE tenant_id = ? AND year_month = ?
+    `).get(tenantId, yearMonth);
+    const used = usage?.api_requests || 0;
+
+    if (used >= limit) {
+      return { allowed: false, reason: 'limit', used, limit };
+    }
+
+    const now = new Date().toISOString();
+    db.prepare(`
+      INSERT INTO usage_counters (id, tenant_id, year_month, api_requests, updated_at)
+      VALUES (?, ?, ?, 1, ?)
+      ON CONFLICT(tenant_id, year_month)
+      DO UPDATE SET api_requests = COALESCE(api_requests, 0) + 1, updated_at = excluded.updated_at
+    `).run(uuidv4(), tenantId, yearMonth, now);
+
+    return { allowed: true, used: used + 1, limit };
+  })();
+}
+
+function touchApiKey(keyId) {
+  db.prepare('UPDATE api_keys SET last_used_at = ? WHERE id = ?').run(new Date().toISOString(), keyId);
+}
+
+module.exports = {
+  SCOPES,
+  validateApiKeyInput,
+  listApiKeys,
+  getApiKey,
+  createApiKey,
+  rotateApiKey,
+  revokeApiKey,
+  findActiveApiKey,
+  getRequiredScope,
+  consumeApiRequest,
+  touchApiKey,
+  formatApiKey
+};
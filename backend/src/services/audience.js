@@ -0,0 +1,257 @@
+/**
+ * Audience Service
+ * Decides which contacts a send, resend, retry or preview actually reaches.
+ * Contacts that match the audience but can't be messaged on the channel are
+ * counted by reason instead of being queued to fail in the message queue.
+ */
+
+const db = require('../db');
+const { v4: uuidv4 } = require('uuid');
+const { CONSENT_COLUMNS } = require('./consent');
+const { compileSegmentDefinition, getSegment } = require('./segments');
+
+// Contact column holding the address for each channel
+const ADDRESS_COLUMNS = {
+  whatsapp: 'phone',
+  email: 'email',
+  sms: 'phone'
+};
+
+// Checked in this order; a contact is counted under the first reason that applies
+const EXCLUSION_REASONS = ['deleted', 'missing_address', 'no_consent', 'suppressed'];
+
+// Keeps IN (...) lists well under SQLite's bound-parameter limit
+const ID_CHUNK_SIZE = 500;
+
+function emptyBreakdown() {
+  return EXCLUSION_REASONS.reduce((acc, reason) => ({ ...acc, [reason]: 0 }), {});
+}
+
+function normalizeAddress(address) {
+  return String(address || '').trim().toLowerCase();
+}
+
+/**
+ * Columns and suppression flag needed to classify contacts for a channel
+ * @param {string} channel - Campaign channel
+ * @returns {string} SELECT list for the contacts table aliased as c
+ */
+function getContactColumnsSql(channel) {
+  // channel is interpolated, so anything unknown matches no suppressions
+  const suppressionChannel = ADDRESS_COLUMNS[channel] ? channel : '';
+  const addressColumn = ADDRESS_COLUMNS[channel] || 'email';
+  return `
+    c.id, c.phone, c.email, c.deleted_at,
+    c.consent_whatsapp, c.consent_email, c.consent_sms,
+    EXISTS (
+      SELECT 1 FROM contact_suppressions s
+      WHERE s.contact_id = c.id AND s.channel = '${suppressionChannel}'
+        AND s.address = LOWER(TRIM(c.${addressColumn}))
+    ) as suppressed
+  `;
+}
+
+/**
+ * Why a contact can't be messaged on a channel
+ * @param {Object} contact - Row with address, consent and deleted_at columns (suppressed optional)
+ * @param {string} channel - 'whatsapp' | 'email' | 'sms'
+ * @returns {string|null} One of EXCLUSION_REASONS, or null if the contact is reachable
+ */
+function getExclusionReason(contact, channel) {
+  if (!contact || contact.deleted_at) return 'deleted';
+
+  const addressColumn = ADDRESS_COLUMNS[channel];
+  if (!addressColumn || !normalizeAddress(contact[addressColumn])) return 'missing_address';
+  if (Number(contact[CONSENT_COLUMNS[channel]]) !== 1) return 'no_consent';
+  if (Number(contact.suppressed) === 1) return 'suppressed';
+  return null;
+}
+
+/**
+ * Split candidate contacts into recipients and an exclusion breakdown
+ * @returns {{ contactIds: Array<string>, matchedCount: number, eligibleCount: number, excludedCount: number, excluded: Object }}
+ */
+function classifyContacts(contacts, channel) {
+  const excluded = emptyBreakdown();
+  const contactIds = [];
+
+  contacts.forEach(contact => {
+    const reason = getExclusionReason(contact, channel);
+    if (reason) {
+      excluded[reason] += 1;
+    } else {
+      contactIds.push(contact.id);
+    }
+  });
+
+  return {
+    contactIds,
+    matchedCount: contacts.length,
+    eligibleCount: contactIds.length,
+    excludedCount: contacts.length - contactIds.length,
+    excluded
+  };
+}
+
+/**
+ * Resolve the audience for a channel and either a segment or audience filters
+ * A segment (saved or a validated draft definition) takes precedence over tag filters.
+ * With tag filters, contacts must carry every selected tag.
+ * @param {Object} options
+ * @param {string} options.tenantId - Tenant ID
+ * @param {string} options.channel - 'whatsapp' | 'email' | 'sms'
+ * @param {Object|string|null} options.audienceFilters - { tags: [tagId] } (JSON string accepted)
+ * @param {string|null} options.segmentId - Optional: saved segment ID
+ * @param {Object|null} options.segmentDefinition - Optional: validated definition (builder previews)
+ * @returns {Object} See classifyContacts
+ */
+function resolveAudience({ tenantId, channel, audienceFilters = null, segmentId = null, segmentDefinition = null }) {
+  let definition = segmentDefinition;
+  if (!definition && segmentId) {
+    const segment = getSegment(tenantId, segmentId);
+    if (!segment) {
+      throw new Error('Segment not found');
+    }
+    definition = segment.definition;
+  }
+
+  const filters = typeof audienceFilters === 'string' ? JSON.parse(audienceFilters) : (audienceFilters || {});
+  const tagIds = Array.isArray(filters.tags) ? filters.tags : [];
+
+  let contacts;
+  if (definition) {
+    const segmentWhere = compileSegmentDefinition(definition);
+    contacts = db.prepare(`
+      SELECT ${getContactColumnsSql(channel)}
+      FROM contacts c
+      WHERE c.tenant_id = ? AND c.deleted_at IS NULL
+        AND ${segmentWhere.sql}
+    `).all(tenantId, ...segmentWhere.params);
+  } else if (tagIds.length > 0) {
+    const placeholders = tagIds.map(() => '?').join(',');
+    contacts = db.prepare(`
+      SELECT ${getContactColumnsSql(channel)}
+      FROM contacts c
+      INNER JOIN contact_tags ct ON c.id = ct.contact_id
+      WHERE c.tenant_id = ? AND c.deleted_at IS NULL
+        AND ct.tag_id IN (${placeholders})
+      GROUP BY c.id
+      HAVING COUNT(DISTINCT ct.tag_id) = ?
+    `).all(tenantId, ...tagIds, tagIds.length);
+  } else {
+    contacts = db.prepare(`
+      SELECT ${getContactColumnsSql(channel)}
+      FROM contacts c
+      WHERE c.tenant_id = ? AND c.deleted_at IS NULL
+    `).all(tenantId);
+  }
+
+  return classifyContacts(contacts, channel);
+}
+
+/**
+ * Resolve the audience for a campaign row
+ */
+function resolveCampaignAudience(campaign) {
+  return resolveAudience({
+    tenantId: campaign.tenant_id,
+    channel: campaign.channel,
+    audienceFilters: campaign.audience_filters,
+    segmentId: campaign.segment_id || null
+  });
+}
+
+/**
+ * Re-check a known list of contacts (resend non-readers, retried messages)
+ * Contacts deleted since they were first messaged are reported as 'deleted'.
+ * @param {string} tenantId - Tenant ID
+ * @param {string} channel - Campaign channel
+ * @param {Array<string>} contactIds - Candidate contact IDs
+ * @returns {Object} See classifyContacts
+ */
+function resolveContactList(tenantId, channel, contactIds) {
+  const uniqueIds = [...new Set(contactIds)];
+  const found = [];
+
+  for (let i = 0; i < uniqueIds.length; i += ID_CHUNK_SIZE) {
+    const chunk = uniqueIds.slice(i, i + ID_CHUNK_SIZE);
+    const placeholders = chunk.map(() => '?').join(',');
+    found.push(...db.prepare(`
+      SELECT ${getContactColumnsSql(channel)}
+      FROM contacts c
+      WHERE c.tenant_id = ? AND c.id IN (${placeholders})
+    `).all(tenantId, ...chunk));
+  }
+
+  // Hard-deleted contacts have no row at all
+  const foundIds = new Set(found.map(c => c.id));
+  const missing = uniqueIds.filter(id => !foundIds.has(id)).map(id => ({ id, deleted_at: 'missing' }));
+
+  return classifyContacts([...found, ...missing], channel);
+}
+
+/**
+ * Whether a single contact can be messaged right now (used by the queue at send time)
+ * @returns {string|null} Exclusion reason, or null if reachable
+ */
+function checkContactEligibility(tenantId, contactId, channel) {
+  const contact = db.prepare(`
+    SELECT ${getContactColumnsSql(channel)} FROM contacts c WHERE c.id = ? AND c.tenant_id = ?
+  `).get(contactId, tenantId);
+  return getExclusionReason(contact, channel);
+}
+
+/**
+ * Stop future sends to a contact's current address on a channel
+ * @param {Object} options
+ * @param {string} options.tenantId - Tenant ID
+ * @param {string} options.contactId - Contact ID
+ * @param {string} options.channel - 'whatsapp' | 'email' | 'sms'
+ * @param {string} options.reason - 'hard_bounce' | 'complaint'
+ * @param {string} options.source - Optional: provider that reported it
+ * @returns {boolean} True if a new suppression was recorded
+ */
+function suppressContact({ tenantId, contactId, channel, reason, source = null }) {
+  const addressColumn = ADDRESS_COLUMNS[channel];
+  if (!addressColumn) {
+    throw new Error(`Unknown channel: ${channel}`);
+  }
+
+  const contact = db.prepare(`SELECT ${addressColumn} as address FROM contacts WHERE id = ? AND tenant_id = ?`)
+    .get(contactId, tenantId);
+  const address = normalizeAddress(contact?.address);
+  if (!address) return false;
+
+  const result = db.prepare(`
+    INSERT OR IGNORE INTO contact_suppressions (id, tenant_id, contact_id, channel, address, reason, source)
+    VALUES (?, ?, ?, ?, ?, ?, ?)
+  `).run(uuidv4(), tenantId, contactId, channel, address, reason, source);
+
+  if (result.changes > 0) {
+    console.log(`🚫 Suppressed ${channel} for contact ${contactId} (${reason})`);
+  }
+  return result.changes > 0;
+}
+
+/**
+ * Shape an audience result for API responses
+ */
+function formatAudienceSummary(audience) {
+  return {
+    matched: audience.matchedCount,
+    eligible: audience.eligibleCount,
+    excluded_total: audience.excludedCount,
+    excluded: audience.excluded
+  };
+}
+
+module.exports = {
+  EXCLUSION_REASONS,
+  getExclusionReason,
+  resolveAudience,
+  resolveCampaignAudience,
+  resolveContactList,
+  checkContactEligibility,
+  suppressContact,
+  formatAudienceSummary
+};
@@ -0,0 +1,115 @@
+/**
+ * Brevo Email Provider Implementation
+ *
+ * Sends through Brevo's transactional email API (api.brevo.com/v3/smtp/email)
+ * and validates the API key against the account endpoint.
+ */
+
+const https = require('https');
+const EmailProvider = require('./emailProvider');
+
+const BREVO_API_HOST = 'api.brevo.com';
+
+class BrevoEmailProvider extends EmailProvider {
+  constructor(credentials = {}, options = {}) {
+    super(credentials, options);
+    this.apiKey = credentials.apiKey;
+  }
+
+  get name() {
+    return 'brevo';
+  }
+
+  /**
+   * Make an authenticated request to the Brevo API
+   * @param {string} method - HTTP method
+   * @param {string} path - Path under /v3, e.g. '/smtp/email'
+   * @param {Object} payload - JSON body for POST requests
+   * @returns {Promise<Object>} Parsed JSON response
+   */
+  request(method, path, payload = null) {
+    return new Promise((resolve, reject) => {
+      const body = payload ? JSON.stringify(payload) : null;
+      const options = {
+        hostname: BREVO_API_HOST,
+        path: `/v3${path}`,
+        method,
+        headers: {
+          'api-key': this.apiKey,
+          Accept: 'application/json'
+        }
+      };
+
+      if (body) {
+        options.headers['Content-Type'] = 'application/json';
+        options.headers['Content-Length'] = Buffer.byteLength(body);
+      }
+
+      const req = https.request(options, (res) => {
+        let data = '';
+
+        res.on('data', (chunk) => {
+          data += chunk;
+        });
+
+        res.on('end', () => {
+          let parsed = {};
+          try {
+            parsed = JSON.parse(data || '{}');
+          } catch {
+            parsed = { message: data };
+          }
+
+          if (res.statusCode >= 200 && res.statusCode < 300) {
+            resolve(parsed);
+          } else {
+            const err = new Error(`Brevo API Error: ${parsed.message || `HTTP ${res.statusCode}`}`);
+            err.code = parsed.code;
+            err.statusCode = res.statusCode;
+            reject(err);
+          }
+        });
+      });
+
+      req.on('error', (error) => {
+        reject(error);
+      });
+
+      if (body) {
+        req.write(body);
+      }
+      req.end();
+    });
+  }
+
+  async send(email) {
+    const payload = {
+      sender: { email: email.from, ...(email.fromName ? { name: email.fromName } : {}) },
+      to: [{ email: email.to, ...(email.toName ? { name: email.toName } : {}) }],
+      subject: email.subject || '',
+      ...(email.htmlBody ? { htmlContent: email.htmlBody } : {}),
+      ...(email.textBody || !email.htmlBody ? { textContent: email.textBody || ' ' } : {}),
+      ...(email.replyTo ? { replyTo: { email: email.replyTo } } : {}),
+      ...(email.headers && Object.keys(email.headers).length > 0 ? { headers: email.headers } : {}),
+      ...(email.tags?.length ? { tags: email.tags.map(String) } : {})
+    };
+
+    const result = await this.request('POST', '/smtp/email', payload);
+    return { providerMessageId: result.messageId };
+  }
+
+  async validateCredentials() {
+    if (!this.apiKey) {
+      return { valid: false, error: 'Brevo requires API key' };
+    }
+
+    try {
+      const account = await this.request('GET', '/account');
+      return { valid: true, details: { email: account.email || null, company: account.companyName || null } };
+    } catch (error) {
+      return { valid: false, error: error.message };
+    }
+  }
+}
+
+module.exports = BrevoEmailProvider;
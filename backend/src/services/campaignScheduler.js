@@ -0,0 +1,170 @@
+/**
+ * Campaign Scheduler
+ * Polls for scheduled campaigns whose send time has passed and queues them
+ * through the same path as an immediate send. Also picks A/B test winners
+ * once their wait is over.
+ */
+
+const db = require('../db');
+const { queueCampaignSend, queueAbTestWinner } = require('./campaignSender');
+const { logAudit, AUDIT_ACTIONS } = require('../utils/audit');
+
+// How often to look for due campaigns
+const SCHEDULER_INTERVAL_MS = parseInt(process.env.CAMPAIGN_SCHEDULER_INTERVAL_MS || '30000', 10);
+
+/**
+ * Return a campaign to draft when it cannot be sent, keeping the reason for the UI
+ * @param {Object} campaign - Campaign row
+ * @param {string} reason - Why the send failed
+ */
+function markScheduleFailed(campaign, reason) {
+  const now = new Date().toISOString();
+  db.prepare(`
+    UPDATE campaigns
+    SET status = 'draft', scheduled_at = NULL, schedule_error = ?, updated_at = ?
+    WHERE id = ? AND status = 'scheduled'
+  `).run(reason, now, campaign.id);
+
+  logAudit({
+    actorUserId: campaign.scheduled_by || null,
+    actorType: 'system',
+    tenantId: campaign.tenant_id,
+    action: AUDIT_ACTIONS.CAMPAIGN_SCHEDULE_FAILED,
+    targetType: 'campaign',
+    targetId: campaign.id,
+    metadata: {
+      campaignName: campaign.name,
+      scheduledAt: campaign.scheduled_at,
+      reason
+    }
+  });
+}
+
+/**
+ * Send every scheduled campaign that is due
+ * @param {Date} now - Reference time (defaults to current time)
+ * @returns {number} Number of campaigns queued
+ */
+function processDueCampaigns(now = new Date()) {
+  const dueCampaigns = db.prepare(`
+    SELECT * FROM campaigns
+    WHERE status = 'scheduled' AND scheduled_at IS NOT NULL AND scheduled_at <= ?
+    ORDER BY scheduled_at ASC
+  `).all(now.toISOString());
+
+  let queued = 0;
+
+  for (const campaign of dueCampaigns) {
+    try {
+      const result = queueCampaignSend(campaign, campaign.scheduled_by);
+
+      if (!result.success) {
+        console.warn(`⚠️  Scheduled campaign ${campaign.id} not sent: ${result.message}`);
+        markScheduleFailed(campaign, result.message);
+        continue;
+      }
+
+      db.prepare(`
+        UPDATE campaigns SET schedule_error = NULL WHERE id = ?
+      `).run(campaign.id);
+
+      logAudit({
+        actorUserId: campaign.scheduled_by || null,
+        actorType: 'system',
+        tenantId: campaign.tenant_id,
+        action: AUDIT_ACTIONS.CAMPAIGN_SEND,
+        targetType: 'campaign',
+        targetId: campaign.id,
+        metadata: {
+          campaignName: campaign.name,
+          channel: campaign.channel,
+          audienceCount: result.audienceCount,
+          messageIds: result.messageIds.length,
+          scheduledAt: campaign.scheduled_at
+        }
+      });
+
+      console.log(`✓ Scheduled campaign ${campaign.id} queued (${result.audienceCount} recipients)`);
+      queued++;
+    } catch (error) {
+      console.error(`Error sending scheduled campaign ${campaign.id}:`, error);
+      markScheduleFailed(campaign, error.message);
+    }
+  }
+
+  return queued;
+}
+
+/**
+ * Pick winners for A/B tests whose wait is over and send them to the rest of the audience
+ * Paused campaigns wait until they are resumed; cancelled ones never roll out.
+ * @param {Date} now - Reference time (defaults to current time)
+ * @returns {number} Number of tests completed
+ */
+function processDueAbTests(now = new Date()) {
+  const dueTests = db.prepare(`
+    SELECT * FROM campaigns
+    WHERE ab_status = 'testing' AND status = 'sending'
+      AND ab_winner_due_at IS NOT NULL AND ab_winner_due_at <= ?
+    ORDER BY ab_winner_due_at ASC
+  `).all(now.toISOString());
+
+  let completed = 0;
+
+  for (const campaign of dueTests) {
+    try {
+      const result = queueAbTestWinner(campaign, now);
+
+      if (result.error) {
+        console.warn(`⚠️  A/B test winner for campaign ${campaign.id} not sent: ${result.error}`);
+      }
+
+      logAudit({
+        actorUserId: campaign.sent_by || null,
+        actorType: 'system',
+        tenantId: campaign.tenant_id,
+        action: AUDIT_ACTIONS.CAMPAIGN_AB_WINNER,
+        targetType: 'campaign',
+        targetId: campaign.id,
+        metadata: {
+          campaignName: campaign.name,
+          winner: result.winner?.label || null,
+          variants: result.variants.map(v => ({ label: v.label, total: v.total, readRate: v.read_rate })),
+          queuedCount: result.queuedCount,
+          error: result.error
+        }
+      });
+
+      console.log(`✓ A/B test for campaign ${campaign.id}: variant ${result.winner?.label || '-'} won, ${result.queuedCount} messages queued`);
+      completed++;
+    } catch (error) {
+      console.error(`Error picking A/B test winner for campaign ${campaign.id}:`, error);
+    }
+  }
+
+  return completed;
+}
+
+/**
+ * Start polling for due scheduled campaigns
+ */
+function startCampaignScheduler() {
+  console.log('🔄 Starting campaign scheduler...');
+
+  setInterval(() => {
+    try {
+      processDueCampaigns();
+      processDueAbTests();
+    } catch (error) {
+      console.error('Fatal error in campaign scheduler:', error);
+    }
+  }, SCHEDULER_INTERVAL_MS);
+
+  console.log('✓ Campaign scheduler started');
+}
+
+module.exports = {
+  processDueCampaigns,
+  processDueAbTests,
+  startCampaignScheduler
+};
@@ -0,0 +1,510 @@
+/**
+ * Campaign Sender
+ * Validates a campaign against channel setup, subscription and plan limits,
+ * then queues one message per recipient for the message queue processor.
+ * Shared by the send endpoint and the campaign scheduler.
+ */
+
+const db = require('../db');
+const { v4: uuidv4 } = require('uuid');
+const { getWhatsAppCredentials, getEmailCredentials, getSmsCredentials, enqueueMessageJobs } = require('./messageQueue');
+const { getSmsBody } = require('./sms');
+const { getSenderDomainError } = require('./senderDomains');
+const { resolveCampaignAudience, formatAudienceSummary } = require('./audience');
+const { canTenantSendCampaigns } = require('../utils/subscriptionChecks');
+const { getCampaignVariants, assignTestSlice, getVariantMetrics, pickWinner } = require('./abTesting');
+const { emitCampaignCompleted } = require('./outboundWebhooks');
+
+// usage_counters column metered for each channel
+const USAGE_COLUMNS = {
+  whatsapp: 'whatsapp_messages_sent',
+  email: 'email_messages_sent',
+  sms: 'sms_sent'
+};
+
+/**
+ * Provider recorded on queued messages for a channel
+ * @param {string} channel - Campaign channel
+ * @param {string} tenantId - Tenant ID (SMS and email use the tenant's configured provider)
+ * @returns {string}
+ */
+function getMessageProvider(channel, tenantId) {
+  if (channel === 'whatsapp') return 'whatsapp_cloud';
+  if (channel === 'sms') return getSmsCredentials(tenantId)?.provider || 'twilio';
+  return getEmailCredentials(tenantId)?.provider || 'ses';
+}
+
+/**
+ * Build a failed send result
+ * @param {number} statusCode - HTTP status the API should answer with
+ * @param {string} error - Short error label
+ * @param {string} message - Human readable reason
+ * @param {Object} extra - Additional fields to include in the response
+ */
+function failure(statusCode, error, message, extra = {}) {
+  return { success: false, statusCode, error, message, extra };
+}
+
+/**
+ * Explain an empty audience: nobody matched, or everyone who matched was excluded
+ * @param {Object} audience - Result from the audience service
+ * @returns {string}
+ */
+function getNoRecipientsMessage(audience) {
+  if (audience.matchedCount === 0) {
+    return 'No contacts match the specified audience filters';
+  }
+  return `All ${audience.matchedCount} matching contacts are excluded (no address, no consent or suppressed on this channel)`;
+}
+
+/**
+ * Channel-level validations before queueing messages
+ * @param {Object} campaign - Campaign row
+ * @returns {Object|null} Failure result, or null when the campaign is sendable
+ */
+function validateCampaignChannel(campaign) {
+  const tenantId = campaign.tenant_id;
+
+  if (campaign.channel === 'whatsapp') {
+    const creds = getWhatsAppCredentials(tenantId);
+    if (!creds || !creds.access_token || !creds.phone_number_id) {
+      return failure(400, 'WhatsApp Not Configured', 'Connect WhatsApp in Settings before sending this campaign');
+    }
+    if (!campaign.template_id) {
+      return failure(400, 'Validation Error', 'Template is required to send a WhatsApp campaign');
+    }
+
+    // Validate template variable count matches payload
+    const tmpl = db.prepare(`
+      SELECT body_variables, header_variables, variable_count, buttons_json
+      FROM whatsapp_templates
+      WHERE id = ? AND tenant_id = ?
+    `).get(campaign.template_id, tenantId);
+
+    let requiredVars = [];
+    let requiredCount = 0;
+    let buttonVars = [];
+    try {
+      const bodyVars = tmpl?.body_variables ? JSON.parse(tmpl.body_variables) : [];
+      const headerVars = tmpl?.header_variables ? JSON.parse(tmpl.header_variables) : [];
+      // Button URL placeholders
+      if (tmpl?.buttons_json) {
+        try {
+          const buttons = JSON.parse(tmpl.buttons_json) || [];
+          buttons.forEach(btn => {
+            if (btn.type === 'URL' && typeof btn.url === 'string') {
+              const matches = btn.url.match(/\{\{(\w+)\}\}/g);
+              if (matches) {
+                matches.forEach(m => buttonVars.push(m.replace(/\{\{|\}\}/g, '')));
+              }
+            }
+          });
+        } catch {
+          // ignore
+        }
+      }
+
+      requiredVars = Array.from(new Set([...(bodyVars || []), ...(headerVars || []), ...(buttonVars || [])])).filter(Boolean);
+      requiredCount = requiredVars.length;
+    } catch {
+      // ignore parse errors; treat as no requirements
+      requiredVars = [];
+    }
+    if (!requiredCount && typeof tmpl?.variable_count === 'number') {
+      requiredCount = tmpl.variable_count;
+    }
+
+    if (requiredVars.length > 0 || requiredCount > 0) {
+      let providedVars = [];
+      try {
+        const parsed = typeof campaign.message_content === 'string'
+          ? JSON.parse(campaign.message_content)
+          : campaign.message_content || {};
+        const staticVars = parsed.static || {};
+        const mappingVars = parsed.mapping || {};
+        providedVars = Array.from(new Set([...Object.keys(staticVars), ...Object.keys(mappingVars)]));
+      } catch {
+        providedVars = [];
+      }
+
+      const missing = requiredVars.filter(v => !providedVars.includes(String(v)));
+      if (missing.length > 0 || (requiredCount && providedVars.length < requiredCount)) {
+        return failure(
+          400,
+          'Template Variables Missing',
+          missing.length > 0
+            ? `Missing values for template variables: ${missing.join(', ')}`
+            : `Template expects ${requiredCount} variables but only ${providedVars.length} provided`
+        );
+      }
+    }
+  } else if (campaign.channel === 'email') {
+    const creds = getEmailCredentials(tenantId);
+    if (!creds) {
+      return failure(400, 'Email Not Configured', 'Connect Email (SES/Brevo/SMTP) in Settings before sending this campaign');
+    }
+    const senderDomainError = getSenderDomainError(tenantId, creds.verified_sender_email);
+    if (senderDomainError) {
+      return failure(400, 'Sender Domain Not Verified', senderDomainError);
+    }
+    let emailContent = {};
+    try {
+      emailContent = typeof campaign.message_content === 'string'
+        ? JSON.parse(campaign.message_content)
+        : campaign.message_content || {};
+    } catch {
+      emailContent = {};
+    }
+    const emailSubject = (emailContent.subject || campaign.name || '').trim();
+    const htmlBody = emailContent.htmlBody || emailContent.html || (typeof campaign.message_content === 'string' ? campaign.message_content : '');
+    const textBody = emailContent.textBody || emailContent.text || '';
+    if (!emailSubject || (!htmlBody && !textBody)) {
+      return failure(400, 'Validation Error', 'Email subject and body are required before sending');
+    }
+  } else if (campaign.channel === 'sms') {
+    const creds = getSmsCredentials(tenantId);
+    if (!creds) {
+      return failure(400, 'SMS Not Configured', 'Connect SMS in Settings before sending this campaign');
+    }
+    if (!getSmsBody(campaign.message_content).trim()) {
+      return failure(400, 'Validation Error', 'SMS message body is required before sending');
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Check the tenant can send another `count` messages on the campaign channel
+ * Covers subscription status and the monthly plan limit.
+ * @param {Object} campaign - Campaign row
+ * @param {number} count - Messages about to be sent
+ * @returns {Object|null} Failure result, or null when the send is allowed
+ */
+function checkSendAllowance(campaign, count) {
+  const tenantId = campaign.tenant_id;
+
+  // Get user's plan
+  const tenant = db.prepare('SELECT plan_id FROM tenants WHERE id = ?').get(tenantId);
+  const plan = db.prepare('SELECT * FROM plans WHERE id = ?').get(tenant.plan_id);
+
+  // Check subscription status and grace period before allowing campaign send
+  const subscriptionCheck = canTenantSendCampaigns(db, tenantId);
+  if (!subscriptionCheck.allowed) {
+    return failure(403, 'Subscription Issue', subscriptionCheck.reason, {
+      graceUntil: subscriptionCheck.graceUntil,
+      failureReason: subscriptionCheck.failureReason,
+      expired: subscriptionCheck.expired
+    });
+  }
+
+  const usage = db.prepare(`
+    SELECT * FROM usage_counters
+    WHERE tenant_id = ? AND year_month = ?
+  `).get(tenantId, getYearMonth());
+
+  // Get plan overrides if they exist
+  const overrides = db.prepare(`SELECT * FROM plan_overrides WHERE tenant_id = ?`).get(tenantId);
+
+  const messageType = USAGE_COLUMNS[campaign.channel] || 'email_messages_sent';
+
+  // Use override limit if set, otherwise use plan default
+  let planLimit;
+  if (campaign.channel === 'whatsapp') {
+    planLimit = overrides?.wa_messages_override ?? plan.whatsapp_messages_per_month;
+  } else if (campaign.channel === 'email') {
+    planLimit = overrides?.emails_override ?? plan.email_messages_per_month;
+  } else if (campaign.channel === 'sms') {
+    planLimit = overrides?.sms_override ?? plan.sms_messages_per_month;
+  } else {
+    planLimit = 0;
+  }
+
+  const currentUsage = usage ? (usage[messageType] || 0) : 0;
+
+  // Check plan limits (hard cap enforcement)
+  if (currentUsage + count > planLimit) {
+    return failure(
+      403,
+      'Usage Limit Exceeded',
+      `You've used ${currentUsage} of ${planLimit} ${campaign.channel} messages this month. Upgrade your plan to send more.`,
+      {
+        current: currentUsage,
+        limit: planLimit,
+        remaining: Math.max(0, planLimit - currentUsage),
+        requested: count
+      }
+    );
+  }
+
+  return null;
+}
+
+function getYearMonth() {
+  const now = new Date();
+  return `${now.getFullYear()}-${String(now.getMonth() + 1).padStart(2, '0')}`;
+}
+
+/**
+ * Add queued messages to this month's usage counter for the channel
+ * Call inside the transaction that inserts the messages.
+ * @param {string} tenantId - Tenant ID
+ * @param {string} channel - 'whatsapp' | 'email' | 'sms'
+ * @param {number} count - Messages queued
+ * @param {string} updatedAt - ISO timestamp
+ */
+function recordMessageUsage(tenantId, channel, count, updatedAt) {
+  const yearMonth = getYearMonth();
+  const messageType = USAGE_COLUMNS[channel] || 'email_messages_sent';
+  const usage = db.prepare(`
+    SELECT id FROM usage_counters WHERE tenant_id = ? AND year_month = ?
+  `).get(tenantId, yearMonth);
+
+  if (usage) {
+    db.prepare(`
+      UPDATE usage_counters
+      SET ${messageType} = ${messageType} + ?
+      WHERE tenant_id = ? AND year_month = ?
+    `).run(count, tenantId, yearMonth);
+  } else {
+    const counterStmt = db.prepare(`
+      INSERT INTO usage_counters (
+        id, tenant_id, year_month, whatsapp_messages_sent,
+        email_messages_sent, sms_sent, updated_at
+      ) VALUES (?, ?, ?, ?, ?, ?, ?)
+    `);
+    counterStmt.run(
+      uuidv4(),
+      tenantId,
+      yearMonth,
+      channel === 'whatsapp' ? count : 0,
+      channel === 'email' ? count : 0,
+      channel === 'sms' ? count : 0,
+      updatedAt
+    );
+  }
+}
+
+/**
+ * Insert queued messages and meter them against this month's usage
+ * Call inside a transaction.
+ * @param {Object} campaign - Campaign row
+ * @param {Array<{ contactId: string, variantId: string|null }>} recipients
+ * @param {string} createdAt - ISO timestamp for the message rows
+ * @returns {Array<string>} Message IDs
+ */
+function insertCampaignMessages(campaign, recipients, createdAt) {
+  const tenantId = campaign.tenant_id;
+  const messageInsertStmt = db.prepare(`
+    INSERT INTO messages (
+      id, tenant_id, campaign_id, contact_id, channel, provider,
+      status, attempts, variant_id, created_at, updated_at
+    ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+  `);
+
+  const messageIds = [];
+  const provider = getMessageProvider(campaign.channel, tenantId);
+
+  for (const { contactId, variantId } of recipients) {
+    const messageId = uuidv4();
+    messageIds.push(messageId);
+    messageInsertStmt.run(
+      messageId,
+      tenantId,
+      campaign.id,
+      contactId,
+      campaign.channel,
+      provider,
+      'queued',
+      1,
+      variantId || null,
+      createdAt,
+      createdAt
+    );
+  }
+  enqueueMessageJobs(messageIds.map(id => ({ id, tenant_id: tenantId })));
+  recordMessageUsage(tenantId, campaign.channel, recipients.length, createdAt);
+
+  return messageIds;
+}
+
+/**
+ * Validate each A/B variant as if it were the campaign's own content
+ * @returns {Object|null} Failure result naming the variant, or null
+ */
+function validateVariants(campaign, variants) {
+  for (const variant of variants) {
+    const error = validateCampaignChannel({ ...campaign, template_id: variant.template_id, message_content: variant.message_content });
+    if (error) {
+      return { ...error, message: `Variant ${variant.label}: ${error.message}` };
+    }
+  }
+  return null;
+}
+
+/**
+ * Queue a campaign for sending
+ * Callers are responsible for checking the campaign is in a sendable state.
+ * Campaigns with an A/B test only queue their test slice here; the campaign
+ * scheduler sends the winner to everyone else (see queueAbTestWinner).
+ *
+ * @param {Object} campaign - Campaign row
+ * @param {string} sentBy - User ID recorded as the sender
+ * @returns {Object} { success: true, audienceCount, audience, messageIds, sentAt, abTest } or a failure result
+ */
+function queueCampaignSend(campaign, sentBy) {
+  const audience = resolveCampaignAudience(campaign);
+  const audienceCount = audience.eligibleCount;
+
+  if (audienceCount === 0) {
+    return failure(400, 'No Recipients', getNoRecipientsMessage(audience), {
+      audience: formatAudienceSummary(audience)
+    });
+  }
+
+  const variants = campaign.ab_test_percentage ? getCampaignVariants(campaign.id) : [];
+
+  const channelError = variants.length > 0
+    ? validateVariants(campaign, variants)
+    : validateCampaignChannel(campaign);
+  if (channelError) {
+    return channelError;
+  }
+
+  // A/B tests reserve room for the full audience so the winner's rollout can't hit the limit
+  const allowanceError = checkSendAllowance(campaign, audienceCount);
+  if (allowanceError) {
+    return allowanceError;
+  }
+
+  let recipients = audience.contactIds.map(contactId => ({ contactId, variantId: null }));
+  let abTest = null;
+  if (variants.length > 0) {
+    const slice = assignTestSlice(audience.contactIds, variants, campaign.ab_test_percentage);
+    if (slice.error) {
+      return failure(400, 'Validation Error', slice.error);
+    }
+    recipients = slice.recipients;
+    abTest = {
+      testCount: recipients.length,
+      winnerDueAt: new Date(Date.now() + campaign.ab_wait_minutes * 60 * 1000).toISOString()
+    };
+  }
+
+  const now_iso = new Date().toISOString();
+  let messageIds = [];
+
+  const queueMessages = db.transaction(() => {
+    messageIds = insertCampaignMessages(campaign, recipients, now_iso);
+
+    // Update campaign status to "sending"
+    db.prepare(`
+      UPDATE campaigns
+      SET status = 'sending', sent_at = ?, sent_by = ?, updated_at = ?
+      WHERE id = ?
+    `).run(now_iso, sentBy, now_iso, campaign.id);
+
+    if (abTest) {
+      db.prepare(`
+        UPDATE campaigns
+        SET ab_status = 'testing', ab_winner_due_at = ?, ab_winner_variant_id = NULL, ab_winner_selected_at = NULL
+        WHERE id = ?
+      `).run(abTest.winnerDueAt, campaign.id);
+    }
+  });
+
+  queueMessages();
+
+  return { success: true, audienceCount, audience, messageIds, sentAt: now_iso, abTest };
+}
+
+/**
+ * Pick the A/B test winner and queue it for the rest of the audience
+ * The audience is resolved again so contacts who opted out during the test are
+ * skipped, and anyone already messaged by this campaign is left out.
+ * A rollout that can't be sent (plan limit, channel disconnected) still records
+ * the winner; the reason is kept in schedule_error.
+ *
+ * @param {Object} campaign - Campaign row with ab_status 'testing'
+ * @param {Date} now - Reference time
+ * @returns {{ winner: Object|null, variants: Array, queuedCount: number, error: string|null }}
+ */
+function queueAbTestWinner(campaign, now = new Date()) {
+  const variantMetrics = getVariantMetrics(campaign);
+  const winnerMetrics = pickWinner(variantMetrics);
+  const winner = winnerMetrics
+    ? getCampaignVariants(campaign.id).find(v => v.id === winnerMetrics.id)
+    : null;
+  const selectedAt = now.toISOString();
+
+  let recipients = [];
+  let error = null;
+  if (!winner) {
+    error = 'A/B test has no variants';
+  } else {
+    const audience = resolveCampaignAudience(campaign);
+    const messaged = new Set(
+      db.prepare('SELECT contact_id FROM messages WHERE campaign_id = ?').all(campaign.id).map(row => row.contact_id)
+    );
+    recipients = audience.contactIds
+      .filter(contactId => !messaged.has(contactId))
+      .map(contactId => ({ contactId, variantId: winner.id }));
+
+    if (recipients.length > 0) {
+      const winnerCampaign = { ...campaign, template_id: winner.template_id, message_content: winner.message_content };
+      const sendError = validateCampaignChannel(winnerCampaign) || checkSendAllowance(campaign, recipients.length);
+      if (sendError) {
+        error = sendError.message;
+        recipients = [];
+      }
+    }
+  }
+
+  const completed = db.transaction(() => {
+    if (recipients.length > 0) {
+      insertCampaignMessages(campaign, recipients, selectedAt);
+    }
+
+    // The campaign row now shows the content most of the audience received
+    db.prepare(`
+      UPDATE campaigns
+      SET ab_status = 'completed', ab_winner_variant_id = ?, ab_winner_selected_at = ?,
+          template_id = COALESCE(?, template_id), message_content = COALESCE(?, message_content),
+          schedule_error = ?, updated_at = ?
+      WHERE id = ?
+    `).run(
+      winner?.id || null,
+      selectedAt,
+      winner?.template_id || null,
+      winner?.message_content || null,
+      error,
+      selectedAt,
+      campaign.id
+    );
+
+    // Nothing left to send: finish the campaign now instead of waiting for the queue
+    return db.prepare(`
+      UPDATE campaigns
+      SET status = 'sent', completed_at = ?, updated_at = ?
+      WHERE id = ? AND status = 'sending'
+        AND NOT EXISTS (SELECT 1 FROM messages WHERE campaign_id = ? AND status IN ('queued', 'processing'))
+    `).run(selectedAt, selectedAt, campaign.id, campaign.id).changes > 0;
+  })();
+
+  if (completed) {
+    emitCampaignCompleted(campaign.id);
+  }
+
+  return { winner: winnerMetrics, variants: variantMetrics, queuedCount: recipients.length, error };
+}
+
+module.exports = {
+  USAGE_COLUMNS,
+  getMessageProvider,
+  checkSendAllowance,
+  recordMessageUsage,
+  getNoRecipientsMessage,
+  queueCampaignSend,
+  queueAbTestWinner,
+  validateCampaignChannel
+};
@@ -0,0 +1,240 @@
+/**
+ * Consent Service
+ * Opt-out keyword matching, consent revocation and signed email unsubscribe links
+ */
+
+const crypto = require('crypto');
+const db = require('../db');
+const { logAudit, AUDIT_ACTIONS } = require('../utils/audit');
+const { emitContactEvent } = require('./outboundWebhooks');
+
+// Consent flag a contact needs for each channel
+const CONSENT_COLUMNS = {
+  whatsapp: 'consent_whatsapp',
+  email: 'consent_email',
+  sms: 'consent_sms'
+};
+
+// Always honoured; tenants can add localized variants (tenants.opt_out_keywords)
+const DEFAULT_OPT_OUT_KEYWORDS = ['STOP', 'STOPALL', 'UNSUBSCRIBE', 'CANCEL', 'END', 'QUIT', 'OPT OUT', 'OPTOUT'];
+
+const MAX_CUSTOM_KEYWORDS = 50;
+const MAX_KEYWORD_LENGTH = 30;
+
+const UNSUBSCRIBE_SECRET = process.env.UNSUBSCRIBE_SECRET || process.env.SESSION_SECRET || 'dev-secret-change-in-production';
+
+/**
+ * Uppercase, strip accents/punctuation and collapse whitespace so "Stop!" and "arrêt" match
+ * @param {string} text - Keyword or inbound message text
+ * @returns {string}
+ */
+function normalizeKeyword(text) {
+  return String(text || '')
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toUpperCase()
+    .replace(/[^\p{L}\p{N}\s]/gu, ' ')
+    .replace(/\s+/g, ' ')
+    .trim();
+}
+
+/**
+ * Validate and normalize a tenant's custom keyword list
+ * @param {Array<string>} keywords - Raw keywords
+ * @returns {{ keywords?: Array<string>, error?: string }}
+ */
+function sanitizeOptOutKeywords(keywords) {
+  if (!Array.isArray(keywords)) {
+    return { error: 'keywords must be an array of strings' };
+  }
+  if (keywords.length > MAX_CUSTOM_KEYWORDS) {
+    return { error: `No more than ${MAX_CUSTOM_KEYWORDS} custom keywords are allowed` };
+  }
+
+  const normalized = [];
+  for (const keyword of keywords) {
+    if (typeof keyword !== 'string') {
+      return { error: 'keywords must be an array of strings' };
+    }
+    const value = normalizeKeyword(keyword);
+    if (!value) continue;
+    if (value.length > MAX_KEYWORD_LENGTH) {
+      return { error: `Keywords must be ${MAX_KEYWORD_LENGTH} characters or fewer` };
+    }
+    if (!normalized.includes(value) && !DEFAULT_OPT_OUT_KEYWORDS.includes(value)) {
+      normalized.push(value);
+    }
+  }
+  return { keywords: normalized };
+}
+
+/**
+ * Custom keywords configured for a tenant
+ * @returns {Array<string>}
+ */
+function getCustomOptOutKeywords(tenantId) {
+  const row = db.prepare('SELECT opt_out_keywords FROM tenants WHERE id = ?').get(tenantId);
+  if (!row?.opt_out_keywords) return [];
+  try {
+    const parsed = JSON.parse(row.opt_out_keywords);
+    return Array.isArray(parsed) ? parsed.map(normalizeKeyword).filter(Boolean) : [];
+  } catch {
+    return [];
+  }
+}
+
+/**
+ * Match an inbound message against the tenant's opt-out keywords
+ * The whole message must be the keyword, as carriers do, so "please don't stop" is ignored.
+ * @param {string} tenantId - Tenant ID
+ * @param {string} text - Inbound message text
+ * @returns {string|null} Matched keyword
+ */
+function matchOptOutKeyword(tenantId, text) {
+  const normalized = normalizeKeyword(text);
+  if (!normalized) return null;
+  const keywords = [...DEFAULT_OPT_OUT_KEYWORDS, ...getCustomOptOutKeywords(tenantId)];
+  return keywords.includes(normalized) ? normalized : null;
+}
+
+/**
+ * Turn off a contact's consent for a channel and record where the opt-out came from
+ * @param {Object} options
+ * @param {string} options.tenantId - Tenant ID
+ * @param {string} options.contactId - Contact ID
+ * @param {string} options.channel - 'whatsapp' | 'email' | 'sms'
+ * @param {string} options.source - Stored in consent_source (e.g. 'whatsapp_keyword')
+ * @param {string} options.ipAddress - Optional: requester IP
+ * @param {Object} options.metadata - Optional: extra audit details
+ * @returns {boolean} True if consent was on and has been revoked
+ */
+function revokeConsent({ tenantId, contactId, channel, source, ipAddress = null, metadata = {} }) {
+  const consentColumn = CONSENT_COLUMNS[channel];
+  if (!consentColumn) {
+    throw new Error(`Unknown consent channel: ${channel}`);
+  }
+
+  const contact = db.prepare(`
+    SELECT id, ${consentColumn} as consent FROM contacts WHERE id = ? AND tenant_id = ?
+  `).get(contactId, tenantId);
+  if (!contact || Number(contact.consent) !== 1) {
+    return false;
+  }
+
+  const now = new Date().toISOString();
+  db.prepare(`
+    UPDATE contacts
+    SET ${consentColumn} = 0, consent_source = ?, consent_updated_at = ?, updated_at = ?
+    WHERE id = ? AND tenant_id = ?
+  `).run(source, now, now, contactId, tenantId);
+
+  logAudit({
+    actorUserId: null,
+    actorType: 'system',
+    tenantId,
+    action: AUDIT_ACTIONS.CONTACT_OPT_OUT,
+    targetType: 'contact',
+    targetId: contactId,
+    metadata: {
+      channel,
+      source,
+      ...metadata
+    },
+    ipAddress
+  });
+
+  emitContactEvent(tenantId, contactId, 'contact.opted_out', { opted_out_channel: channel });
+
+  console.log(`🚫 Contact ${contactId} opted out of ${channel} (${source})`);
+  return true;
+}
+
+function signUnsubscribePayload(payload) {
+  return crypto.createHmac('sha256', UNSUBSCRIBE_SECRET).update(payload).digest('base64url');
+}
+
+/**
+ * Signed token identifying a contact's email subscription
+ */
+function createUnsubscribeToken(tenantId, contactId) {
+  const payload = Buffer.from(`${tenantId}:${contactId}`, 'utf8').toString('base64url');
+  return `${payload}.${signUnsubscribePayload(payload)}`;
+}
+
+/**
+ * Verify an unsubscribe token
+ * @returns {{ tenantId: string, contactId: string }|null}
+ */
+function verifyUnsubscribeToken(token) {
+  const [payload, signature] = String(token || '').split('.');
+  if (!payload || !signature) return null;
+
+  const expected = Buffer.from(signUnsubscribePayload(payload));
+  const received = Buffer.from(signature);
+  if (expected.length !== received.length || !crypto.timingSafeEqual(expected, received)) {
+    return null;
+  }
+
+  const [tenantId, contactId] = Buffer.from(payload, 'base64url').toString('utf8').split(':');
+  return tenantId && contactId ? { tenantId, contactId } : null;
+}
+
+/**
+ * Public unsubscribe URL for email links and the List-Unsubscribe header
+ */
+function getUnsubscribeUrl(tenantId, contactId) {
+  const base = (process.env.APP_URL || 'http://localhost:3173').replace(/\/+$/, '');
+  return `${base}/api/unsubscribe/${createUnsubscribeToken(tenantId, contactId)}`;
+}
+
+/**
+ * Headers that let mail clients show a native unsubscribe button (RFC 2369 / RFC 8058 one-click)
+ */
+function getListUnsubscribeHeaders(unsubscribeUrl) {
+  return {
+    'List-Unsubscribe': `<${unsubscribeUrl}>`,
+    'List-Unsubscribe-Post': 'List-Unsubscribe=One-Click'
+  };
+}
+
+/**
+ * Insert the unsubscribe link into an email
+ * Bodies can place it with {{unsubscribe_url}}; otherwise a footer is appended.
+ * @returns {{ htmlBody: string, textBody: string }}
+ */
+function addUnsubscribeLink(htmlBody, textBody, unsubscribeUrl) {
+  const placeholder = /\{\{\s*unsubscribe_url\s*\}\}/g;
+  let html = htmlBody || '';
+  let text = textBody || '';
+
+  if (placeholder.test(html)) {
+    html = html.replace(placeholder, unsubscribeUrl);
+  } else if (html) {
+    const footer = `<p style="font-size:12px;color:#6b7280;margin-top:24px;">Don't want these emails? <a href="${unsubscribeUrl}">Unsubscribe</a></p>`;
+    html = /<\/body>/i.test(html) ? html.replace(/<\/body>/i, `${footer}</body>`) : `${html}${footer}`;
+  }
+
+  placeholder.lastIndex = 0;
+  if (placeholder.test(text)) {
+    text = text.replace(placeholder, unsubscribeUrl);
+  } else if (text) {
+    text = `${text}\n\nUnsubscribe: ${unsubscribeUrl}`;
+  }
+
+  return { htmlBody: html, textBody: text };
+}
+
+module.exports = {
+  CONSENT_COLUMNS,
+  DEFAULT_OPT_OUT_KEYWORDS,
+  normalizeKeyword,
+  sanitizeOptOutKeywords,
+  getCustomOptOutKeywords,
+  matchOptOutKeyword,
+  revokeConsent,
+  createUnsubscribeToken,
+  verifyUnsubscribeToken,
+  getUnsubscribeUrl,
+  getListUnsubscribeHeaders,
+  addUnsubscribeLink
+};
@@ -0,0 +1,360 @@
+/**
+ * Contact Attributes Service
+ * Tenant-defined typed custom fields for contacts.
+ *
+ * Definitions live in contact_attribute_definitions. Values are stored per contact
+ * in contacts.custom_attributes as a JSON object keyed by attribute key:
+ *   string  -> string
+ *   number  -> number
+ *   date    -> 'YYYY-MM-DD'
+ *   boolean -> true | false
+ *   enum    -> one of the definition's options (canonical casing)
+ *
+ * Every value coming from the API, CSV import or query filters goes through
+ * coerceAttributeValue so stored data always matches the schema.
+ */
+
+const db = require('../db');
+
+const ATTRIBUTE_TYPES = ['string', 'number', 'date', 'boolean', 'enum'];
+const ATTRIBUTE_KEY_PATTERN = /^[A-Za-z_][A-Za-z0-9_]{0,63}$/;
+const MAX_ATTRIBUTES_PER_TENANT = 50;
+const MAX_LABEL_LENGTH = 100;
+const MAX_ENUM_OPTIONS = 100;
+const MAX_STRING_LENGTH = 1000;
+
+// Keys that would collide with built-in contact fields in imports and template sources
+const RESERVED_KEYS = ['id', 'name', 'phone', 'email', 'tags', 'consent_whatsapp', 'consent_email', 'consent_sms', 'created_at', 'updated_at'];
+
+const TRUE_VALUES = ['true', 'yes', 'y', '1'];
+const FALSE_VALUES = ['false', 'no', 'n', '0'];
+const DATE_PATTERN = /^(\d{4})-(\d{2})-(\d{2})$/;
+
+function parseOptions(raw) {
+  if (!raw) return [];
+  try {
+    const parsed = JSON.parse(raw);
+    return Array.isArray(parsed) ? parsed : [];
+  } catch {
+    return [];
+  }
+}
+
+function formatDefinition(row) {
+  return {
+    id: row.id,
+    key: row.key,
+    label: row.label,
+    type: row.type,
+    options: row.type === 'enum' ? parseOptions(row.options) : [],
+    created_at: row.created_at,
+    updated_at: row.updated_at
+  };
+}
+
+/**
+ * All attribute definitions for a tenant, oldest first so form and CSV column order is stable
+ * @param {string} tenantId
+ * @returns {Array<Object>}
+ */
+function getAttributeDefinitions(tenantId) {
+  return db.prepare(`
+    SELECT id, key, label, type, options, created_at, updated_at
+    FROM contact_attribute_definitions
+    WHERE tenant_id = ?
+    ORDER BY created_at ASC, key ASC
+  `).all(tenantId).map(formatDefinition);
+}
+
+/**
+ * Single definition by id, scoped to the tenant
+ * @returns {Object|null}
+ */
+function getAttributeDefinition(tenantId, id) {
+  const row = db.prepare(`
+    SELECT id, key, label, type, options, created_at, updated_at
+    FROM contact_attribute_definitions
+    WHERE id = ? AND tenant_id = ?
+  `).get(id, tenantId);
+  return row ? formatDefinition(row) : null;
+}
+
+// ===== DEFINITION VALIDATION =====
+
+function validateLabel(label) {
+  if (typeof label !== 'string' || !label.trim()) {
+    return { error: 'Label is required' };
+  }
+  if (label.trim().length > MAX_LABEL_LENGTH) {
+    return { error: `Label must be ${MAX_LABEL_LENGTH} characters or fewer` };
+  }
+  return { value: label.trim() };
+}
+
+function validateOptions(options) {
+  if (!Array.isArray(options) || options.length === 0) {
+    return { error: 'Enum attributes need at least one option' };
+  }
+  if (options.length > MAX_ENUM_OPTIONS) {
+    return { error: `Enum attributes support up to ${MAX_ENUM_OPTIONS} options` };
+  }
+
+  const cleaned = [];
+  const seen = new Set();
+  for (const option of options) {
+    const text = option === null || option === undefined ? '' : String(option).trim();
+    if (!text) {
+      return { error: 'Enum options cannot be empty' };
+    }
+    if (text.length > MAX_LABEL_LENGTH) {
+      return { error: `Enum options must be ${MAX_LABEL_LENGTH} characters or fewer` };
+    }
+    // Values are matched case-insensitively, so options must differ by more than case
+    if (seen.has(text.toLowerCase())) {
+      return { error: `Duplicate enum option "${text}"` };
+    }
+    seen.add(text.toLowerCase());
+    cleaned.push(text);
+  }
+  return { value: cleaned };
+}
+
+/**
+ * Validate a new attribute definition
+ * @param {Object} input - { key, label, type, options }
+ * @returns {{ value: Object } | { error: string }}
+ */
+function validateNewDefinition(input = {}) {
+  const key = typeof input.key === 'string' ? input.key.trim() : '';
+  if (!ATTRIBUTE_KEY_PATTERN.test(key)) {
+    return { error: 'Key must start with a letter or underscore and contain only letters, numbers and underscores (max 64)' };
+  }
+  if (RESERVED_KEYS.includes(key.toLowerCase())) {
+    return { error: `"${key}" is a built-in contact field and cannot be used as an attribute key` };
+  }
+
+  const label = validateLabel(input.label === undefined ? key : input.label);
+  if (label.error) return label;
+
+  if (!ATTRIBUTE_TYPES.includes(input.type)) {
+    return { error: `Type must be one of: ${ATTRIBUTE_TYPES.join(', ')}` };
+  }
+
+  let options = [];
+  if (input.type === 'enum') {
+    const result = validateOptions(input.options);
+    if (result.error) return result;
+    options = result.value;
+  }
+
+  return { value: { key, label: label.value, type: input.type, options } };
+}
+
+/**
+ * Validate changes to an existing definition. Only label and enum options can change.
+ * @param {Object} definition - Current definition
+ * @param {Object} input - { label, options }
+ * @returns {{ value: Object } | { error: string }}
+ */
+function validateDefinitionUpdate(definition, input = {}) {
+  if (input.key !== undefined && input.key !== definition.key) {
+    return { error: 'Attribute keys cannot be changed. Create a new attribute instead.' };
+  }
+  if (input.type !== undefined && input.type !== definition.type) {
+    return { error: 'Attribute types cannot be changed. Create a new attribute instead.' };
+  }
+
+  const changes = {};
+  if (input.label !== undefined) {
+    const label = validateLabel(input.label);
+    if (label.error) return label;
+    changes.label = label.value;
+  }
+  if (input.options !== undefined) {
+    if (definition.type !== 'enum') {
+      return { error: 'Only enum attributes have options' };
+    }
+    const options = validateOptions(input.options);
+    if (options.error) return options;
+    changes.options = options.value;
+  }
+  return { value: changes };
+}
+
+// ===== VALUE COERCION =====
+
+function isRealDate(year, month, day) {
+  const date = new Date(Date.UTC(year, month - 1, day));
+  return date.getUTCFullYear() === year && date.getUTCMonth() === month - 1 && date.getUTCDate() === day;
+}
+
+/**
+ * Coerce a raw value (JSON, form input or CSV cell) to the attribute's type
+ * Empty strings and null clear the value.
+ * @param {Object} definition
+ * @param {*} raw
+ * @returns {{ value: * } | { error: string }} value is null when the attribute should be cleared
+ */
+function coerceAttributeValue(definition, raw) {
+  if (raw === null || raw === undefined || (typeof raw === 'string' && raw.trim() === '')) {
+    return { value: null };
+  }
+
+  const { label, type } = definition;
+
+  switch (type) {
+    case 'string': {
+      if (typeof raw === 'object') return { error: `${label} must be text` };
+      const text = String(raw).trim();
+      if (text.length > MAX_STRING_LENGTH) {
+        return { error: `${label} must be ${MAX_STRING_LENGTH} characters or fewer` };
+      }
+      return { value: text };
+    }
+    case 'number': {
+      const number = typeof raw === 'number' ? raw : (typeof raw === 'string' ? Number(raw.trim()) : NaN);
+      if (!Number.isFinite(number)) return { error: `${label} must be a number` };
+      return { value: number };
+    }
+    case 'date': {
+      const text = typeof raw === 'string' ? raw.trim() : '';
+      const match = DATE_PATTERN.exec(text);
+      if (!match || !isRealDate(Number(match[1]), Number(match[2]), Number(match[3]))) {
+        return { error: `${label} must be a date in YYYY-MM-DD format` };
+      }
+      return { value: text };
+    }
+    case 'boolean': {
+      if (typeof raw === 'boolean') return { value: raw };
+      const text = String(raw).trim().toLowerCase();
+      if (TRUE_VALUES.includes(text)) return { value: true };
+      if (FALSE_VALUES.includes(text)) return { value: false };
+      return { error: `${label} must be yes or no` };
+    }
+    case 'enum': {
+      const text = typeof raw === 'object' ? '' : String(raw).trim().toLowerCase();
+      const option = definition.options.find(o => o.toLowerCase() === text);
+      if (!option) {
+        return { error: `${label} must be one of: ${definition.options.join(', ')}` };
+      }
+      return { value: option };
+    }
+    default:
+      return { error: `${label} has an unsupported type` };
+  }
+}
+
+/**
+ * Validate a { key: rawValue } object against the tenant's definitions
+ * @param {Array<Object>} definitions - From getAttributeDefinitions
+ * @param {Object} input
+ * @returns {{ values: Object } | { error: string, field?: string }} values map keys to coerced values (null = clear)
+ */
+function validateAttributeValues(definitions, input) {
+  if (input === null || typeof input !== 'object' || Array.isArray(input)) {
+    return { error: 'custom_attributes must be an object' };
+  }
+
+  const byKey = new Map(definitions.map(d => [d.key, d]));
+  const values = {};
+  for (const [key, raw] of Object.entries(input)) {
+    const definition = byKey.get(key);
+    if (!definition) {
+      return { error: `Unknown attribute "${key}"`, field: key };
+    }
+    const result = coerceAttributeValue(definition, raw);
+    if (result.error) return { error: result.error, field: key };
+    values[key] = result.value;
+  }
+  return { values };
+}
+
+/**
+ * Parse the stored custom_attributes column
+ * @param {string|null} raw
+ * @returns {Object}
+ */
+function parseAttributeValues(raw) {
+  if (!raw) return {};
+  try {
+    const parsed = JSON.parse(raw);
+    return parsed && typeof parsed === 'object' && !Array.isArray(parsed) ? parsed : {};
+  } catch {
+    return {};
+  }
+}
+
+/**
+ * Apply validated changes to the stored values
+ * @param {string|null} current - Stored custom_attributes JSON
+ * @param {Object} changes - From validateAttributeValues; null removes the key
+ * @returns {string|null} JSON to store, or null when no values remain
+ */
+function mergeAttributeValues(current, changes) {
+  const merged = parseAttributeValues(current);
+  for (const [key, value] of Object.entries(changes)) {
+    if (value === null) {
+      delete merged[key];
+    } else {
+      merged[key] = value;
+    }
+  }
+  return Object.keys(merged).length > 0 ? JSON.stringify(merged) : null;
+}
+
+/**
+ * Render a stored value as text for CSV export and message templates
+ * @param {*} value
+ * @returns {string}
+ */
+function formatAttributeValue(value) {
+  if (value === null || value === undefined) return '';
+  if (typeof value === 'boolean') return value ? 'Yes' : 'No';
+  return String(value);
+}
+
+/**
+ * WHERE fragment matching contacts (aliased c) whose attribute equals the given value
+ * Text comparisons ignore case.
+ * @param {Object} definition
+ * @param {*} raw - Filter value, coerced like any other input
+ * @returns {{ sql: string, params: Array } | { error: string }}
+ */
+function buildAttributeFilter(definition, raw) {
+  const result = coerceAttributeValue(definition, raw);
+  if (result.error) return result;
+
+  const valueSql = '(CASE WHEN json_valid(c.custom_attributes) THEN json_extract(c.custom_attributes, ?) END)';
+  const path = `$."${definition.key}"`;
+
+  if (result.value === null) {
+    return { sql: `${valueSql} IS NULL`, params: [path] };
+  }
+
+  switch (definition.type) {
+    case 'number':
+      return { sql: `CAST(${valueSql} AS REAL) = ?`, params: [path, result.value] };
+    case 'boolean':
+      return { sql: `${valueSql} = ?`, params: [path, result.value ? 1 : 0] };
+    case 'date':
+      return { sql: `${valueSql} = ?`, params: [path, result.value] };
+    default:
+      return { sql: `LOWER(${valueSql}) = LOWER(?)`, params: [path, result.value] };
+  }
+}
+
+module.exports = {
+  ATTRIBUTE_TYPES,
+  ATTRIBUTE_KEY_PATTERN,
+  MAX_ATTRIBUTES_PER_TENANT,
+  getAttributeDefinitions,
+  getAttributeDefinition,
+  validateNewDefinition,
+  validateDefinitionUpdate,
+  coerceAttributeValue,
+  validateAttributeValues,
+  parseAttributeValues,
+  mergeAttributeValues,
+  formatAttributeValue,
+  buildAttributeFilter
+};
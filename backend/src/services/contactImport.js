@@ -0,0 +1,662 @@
+/**
+ * Contact Import Service
+ * Row validation and duplicate handling shared by the JSON import endpoint and
+ * background CSV/XLSX import jobs.
+ *
+ * Jobs are created from an uploaded file (status 'mapping'), started once the user
+ * has mapped columns to contact fields ('queued'), then streamed in batches so large
+ * files never sit in memory ('processing' -> 'completed' | 'failed'). Rejected rows
+ * are kept in contact_import_job_errors for the downloadable error report.
+ *
+ * Duplicate phones (UNIQUE(tenant_id, phone)) are handled per job:
+ *   skip   - leave the existing contact untouched
+ *   update - mapped columns overwrite the contact; empty cells clear email/custom fields, tags are replaced
+ *   merge  - only fill in what the contact is missing; tags are added
+ * Imports can grant SMS consent (explicit yes) but never revoke consent.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const csvParser = require('csv-parser');
+const ExcelJS = require('exceljs');
+const { v4: uuidv4 } = require('uuid');
+const db = require('../db');
+const { logAudit, AUDIT_ACTIONS } = require('../utils/audit');
+const {
+  getAttributeDefinitions,
+  validateAttributeValues,
+  mergeAttributeValues,
+  parseAttributeValues
+} = require('./contactAttributes');
+const { handleContactCreated, handleTagsAdded } = require('./journeys');
+
+const IMPORT_FIELDS = ['name', 'phone', 'email', 'tags', 'consent_sms'];
+const DUPLICATE_STRATEGIES = ['skip', 'update', 'merge'];
+const FILE_TYPES = ['csv', 'xlsx'];
+
+const UPLOAD_DIR = process.env.CONTACT_IMPORT_DIR || path.join(__dirname, '../../tmp/imports');
+const MAX_FILE_SIZE = parseInt(process.env.CONTACT_IMPORT_MAX_FILE_SIZE || String(50 * 1024 * 1024), 10);
+const MAX_IMPORT_ROWS = parseInt(process.env.CONTACT_IMPORT_MAX_ROWS || '200000', 10);
+const BATCH_SIZE = 500;
+const PREVIEW_ROWS = 5;
+
+// Uploads that were never mapped and started are removed after a day
+const ABANDONED_UPLOAD_MS = 24 * 60 * 60 * 1000;
+
+// Common header spellings mapped to built-in fields when suggesting a mapping
+const HEADER_ALIASES = {
+  full_name: 'name',
+  contact_name: 'name',
+  phone_number: 'phone',
+  mobile: 'phone',
+  mobile_number: 'phone',
+  whatsapp: 'phone',
+  e_mail: 'email',
+  email_address: 'email',
+  sms_consent: 'consent_sms'
+};
+
+const YES_VALUES = ['yes', 'y', 'true', '1'];
+const PHONE_PATTERN = /^\+?[1-9]\d{1,14}$/;
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+// ===== FILE READING =====
+
+function normalizeCell(value) {
+  if (value === null || value === undefined) return '';
+  if (value instanceof Date) return value.toISOString().slice(0, 10);
+  if (typeof value === 'object') {
+    if (Array.isArray(value.richText)) return value.richText.map(part => part.text).join('');
+    if (value.text !== undefined) return normalizeCell(value.text);
+    if (value.result !== undefined) return normalizeCell(value.result);
+    return '';
+  }
+  return String(value);
+}
+
+// Excel adds a byte-order mark to CSV exports
+const headerColumns = (cells) => cells.map((cell, index) => (index === 0 ? cell.replace(/^\uFEFF/, '') : cell).trim());
+
+const isBlankRow = (cells) => cells.every(cell => !String(cell ?? '').trim());
+
+async function* readCsvRows(filePath) {
+  const parser = fs.createReadStream(filePath).pipe(csvParser({ headers: false }));
+  let rowNumber = 0;
+  for await (const record of parser) {
+    rowNumber++;
+    yield { rowNumber, cells: Object.values(record).map(normalizeCell) };
+  }
+}
+
+async function* readXlsxRows(filePath) {
+  const workbook = new ExcelJS.stream.xlsx.WorkbookReader(filePath, {
+    sharedStrings: 'cache',
+    styles: 'cache',
+    hyperlinks: 'ignore',
+    worksheets: 'emit'
+  });
+  // Only the first worksheet is imported
+  for await (const worksheet of workbook) {
+    for await (const row of worksheet) {
+      yield { rowNumber: row.number, cells: Array.from(row.values).slice(1).map(normalizeCell) };
+    }
+    break;
+  }
+}
+
+/**
+ * Stream rows from an uploaded file. The first row yielded is the header.
+ * @param {string} filePath
+ * @param {'csv'|'xlsx'} fileType
+ * @returns {AsyncGenerator<{ rowNumber: number, cells: string[] }>}
+ */
+function readRows(filePath, fileType) {
+  return fileType === 'xlsx' ? readXlsxRows(filePath) : readCsvRows(filePath);
+}
+
+/**
+ * File type from the uploaded file name
+ * @returns {'csv'|'xlsx'|null}
+ */
+function detectFileType(fileName) {
+  const extension = path.extname(fileName || '').toLowerCase().replace('.', '');
+  return FILE_TYPES.includes(extension) ? extension : null;
+}
+
+/**
+ * Header and first rows for the mapping step
+ * @returns {Promise<{ columns: string[], preview: Object[] } | { error: string }>}
+ */
+async function readFilePreview(filePath, fileType) {
+  let columns = null;
+  const preview = [];
+  try {
+    for await (const { cells } of readRows(filePath, fileType)) {
+      if (!columns) {
+        columns = headerColumns(cells);
+        continue;
+      }
+      if (isBlankRow(cells)) continue;
+      preview.push(Object.fromEntries(columns.map((column, index) => [column, cells[index] ?? ''])));
+      if (preview.length >= PREVIEW_ROWS) break;
+    }
+  } catch (error) {
+    return { error: `Could not read the ${fileType.toUpperCase()} file: ${error.message}` };
+  }
+
+  if (!columns || columns.every(column => !column)) {
+    return { error: 'The file needs a header row with column names' };
+  }
+  const named = columns.filter(Boolean);
+  if (new Set(named.map(c => c.toLowerCase())).size !== named.length) {
+    return { error: 'Column names in the header row must be unique' };
+  }
+  return { columns, preview };
+}
+
+async function countDataRows(filePath, fileType) {
+  let count = 0;
+  let header = true;
+  for await (const { cells } of readRows(filePath, fileType)) {
+    if (header) {
+      header = false;
+      continue;
+    }
+    if (!isBlankRow(cells)) count++;
+  }
+  return count;
+}
+
+// ===== MAPPING =====
+
+/**
+ * Guess a mapping from header names, matching built-in fields and custom attribute keys or labels
+ * @param {string[]} columns
+ * @param {Array} definitions - Custom attribute definitions
+ * @returns {Object} column -> field
+ */
+function suggestMapping(columns, definitions) {
+  const mapping = {};
+  const used = new Set();
+  for (const column of columns) {
+    if (!column) continue;
+    const normalized = column.trim().toLowerCase().replace(/[\s-]+/g, '_');
+    let field = IMPORT_FIELDS.includes(normalized) ? normalized : HEADER_ALIASES[normalized];
+    if (!field) {
+      const definition = definitions.find(d => d.key.toLowerCase() === normalized || d.label.toLowerCase() === column.trim().toLowerCase());
+      if (definition) field = `attr.${definition.key}`;
+    }
+    if (field && !used.has(field)) {
+      mapping[column] = field;
+      used.add(field);
+    }
+  }
+  return mapping;
+}
+
+/**
+ * Validate a column -> field mapping for a job
+ * @returns {{ value: Object } | { error: string }} value has skipped columns removed
+ */
+function validateMapping(mapping, columns, definitions) {
+  if (!mapping || typeof mapping !== 'object' || Array.isArray(mapping)) {
+    return { error: 'column_mapping must be an object of file column to contact field' };
+  }
+
+  const attributeFields = definitions.map(d => `attr.${d.key}`);
+  const cleaned = {};
+  const used = new Set();
+  for (const [column, field] of Object.entries(mapping)) {
+    if (!field) continue;
+    if (!columns.includes(column)) {
+      return { error: `Column "${column}" is not in the file` };
+    }
+    if (!IMPORT_FIELDS.includes(field) && !attributeFields.includes(field)) {
+      return { error: `Unknown contact field "${field}"` };
+    }
+    if (used.has(field)) {
+      return { error: `Only one column can be mapped to ${field}` };
+    }
+    used.add(field);
+    cleaned[column] = field;
+  }
+
+  if (!used.has('name') || !used.has('phone')) {
+    return { error: 'Map a column to both name and phone' };
+  }
+  return { value: cleaned };
+}
+
+// ===== ROW VALIDATION =====
+
+/**
+ * Validate one row already keyed by contact field (name, phone, email, tags, consent_sms, attr.<key>)
+ * Only fields present on the record are treated as provided.
+ * @param {Object} record
+ * @param {Array} definitions - Custom attribute definitions
+ * @returns {{ contact: Object } | { error: { field: string, message: string } }}
+ */
+function prepareImportRow(record, definitions) {
+  const text = (field) => (record[field] === null || record[field] === undefined ? '' : String(record[field]).trim());
+
+  const name = text('name');
+  const phone = text('phone');
+  const email = text('email') || null;
+
+  if (!name) {
+    return { error: { field: 'name', message: 'Name is required' } };
+  }
+  if (!phone) {
+    return { error: { field: 'phone', message: 'Phone is required' } };
+  }
+  if (!PHONE_PATTERN.test(phone.replace(/[^\d+]/g, ''))) {
+    return { error: { field: 'phone', message: 'Invalid phone format. Must be E.164 format (e.g., +1234567890)' } };
+  }
+  if (email && !EMAIL_PATTERN.test(email)) {
+    return { error: { field: 'email', message: 'Invalid email format' } };
+  }
+
+  const rawAttributes = {};
+  for (const [field, value] of Object.entries(record)) {
+    if (field.startsWith('attr.')) {
+      rawAttributes[field.slice('attr.'.length)] = value === null || value === undefined ? value : String(value);
+    }
+  }
+  const attributes = validateAttributeValues(definitions, rawAttributes);
+  if (attributes.error) {
+    return { error: { field: attributes.field ? `attr.${attributes.field}` : 'custom_attributes', message: attributes.error } };
+  }
+
+  return {
+    contact: {
+      name,
+      phone,
+      email,
+      tags: text('tags').split(',').map(t => t.trim()).filter(Boolean),
+      // SMS requires express opt-in, so only an explicit yes in the file grants it
+      grantSms: YES_VALUES.includes(text('consent_sms').toLowerCase()),
+      attributes: attributes.values,
+      hasEmail: 'email' in record,
+      hasTags: 'tags' in record
+    }
+  };
+}
+
+// ===== WRITING CONTACTS =====
+
+// Prepared lazily because this module loads before migrations create the tables
+let statements = null;
+function getStatements() {
+  if (!statements) {
+    statements = {
+      findByPhone: db.prepare('SELECT id, name, email, consent_sms, custom_attributes FROM contacts WHERE tenant_id = ? AND phone = ?'),
+      insertContact: db.prepare(`
+        INSERT INTO contacts
+        (id, tenant_id, name, phone, email, consent_whatsapp, consent_email, consent_sms, consent_source, consent_updated_at, custom_attributes, created_at, updated_at)
+        VALUES (?, ?, ?, ?, ?, 1, 0, ?, 'csv_import', ?, ?, ?, ?)
+      `),
+      updateContact: db.prepare(`
+        UPDATE contacts SET name = ?, email = ?, custom_attributes = ?, updated_at = ? WHERE id = ?
+      `),
+      grantSms: db.prepare(`
+        UPDATE contacts SET consent_sms = 1, consent_source = 'csv_import', consent_updated_at = ? WHERE id = ? AND consent_sms = 0
+      `),
+      getTagByName: db.prepare('SELECT id, status FROM tags WHERE tenant_id = ? AND name = ?'),
+      activateTag: db.prepare(`UPDATE tags SET status = 'active', updated_at = ? WHERE id = ?`),
+      createTag: db.prepare(`
+        INSERT INTO tags (id, tenant_id, name, created_at, updated_at, status, scope, is_default)
+        VALUES (?, ?, ?, ?, ?, 'active', 'tenant', 0)
+      `),
+      addContactTag: db.prepare('INSERT OR IGNORE INTO contact_tags (contact_id, tag_id) VALUES (?, ?)'),
+      getContactTagIds: db.prepare('SELECT tag_id FROM contact_tags WHERE contact_id = ?'),
+      clearContactTags: db.prepare('DELETE FROM contact_tags WHERE contact_id = ?')
+    };
+  }
+  return statements;
+}
+
+// Tag names in the file are created, or reactivated when archived
+function resolveTagIds(tenantId, names, now) {
+  const s = getStatements();
+  return names.map(name => {
+    const tag = s.getTagByName.get(tenantId, name);
+    if (!tag) {
+      const id = uuidv4();
+      s.createTag.run(id, tenantId, name, now, now);
+      return id;
+    }
+    if (tag.status === 'archived') {
+      s.activateTag.run(now, tag.id);
+    }
+    return tag.id;
+  });
+}
+
+/**
+ * Create the contact or apply the duplicate strategy to the existing one
+ * Call inside a transaction.
+ * @param {string} tenantId
+ * @param {Object} contact - From prepareImportRow
+ * @param {'skip'|'update'|'merge'|'reject'} strategy - reject fails the row (JSON import behaviour)
+ * @param {string} now - ISO timestamp
+ * @returns {{ outcome: 'created'|'updated'|'skipped', contactId?: string, addedTagIds?: Array<string> } | { error: { field: string, message: string } }}
+ */
+function applyImportRow(tenantId, contact, strategy, now) {
+  const s = getStatements();
+  const existing = s.findByPhone.get(tenantId, contact.phone);
+
+  if (!existing) {
+    const contactId = uuidv4();
+    s.insertContact.run(
+      contactId, tenantId, contact.name, contact.phone, contact.email,
+      contact.grantSms ? 1 : 0, now, mergeAttributeValues(null, contact.attributes), now, now
+    );
+    const tagIds = resolveTagIds(tenantId, contact.tags, now);
+    tagIds.forEach(tagId => s.addContactTag.run(contactId, tagId));
+    return { outcome: 'created', contactId, addedTagIds: tagIds };
+  }
+
+  if (strategy === 'reject') {
+    return { error: { field: 'phone', message: 'Phone already exists for this tenant' } };
+  }
+  if (strategy === 'skip') {
+    return { outcome: 'skipped' };
+  }
+
+  const previousTagIds = s.getContactTagIds.all(existing.id).map(row => row.tag_id);
+
+  if (strategy === 'update') {
+    s.updateContact.run(
+      contact.name,
+      contact.hasEmail ? contact.email : existing.email,
+      mergeAttributeValues(existing.custom_attributes, contact.attributes),
+      now,
+      existing.id
+    );
+    if (contact.hasTags) {
+      s.clearContactTags.run(existing.id);
+    }
+  } else {
+    const current = parseAttributeValues(existing.custom_attributes);
+    const missing = Object.fromEntries(
+      Object.entries(contact.attributes).filter(([key, value]) => value !== null && current[key] === undefined)
+    );
+    s.updateContact.run(
+      existing.name || contact.name,
+      existing.email || contact.email,
+      mergeAttributeValues(existing.custom_attributes, missing),
+      now,
+      existing.id
+    );
+  }
+
+  const tagIds = resolveTagIds(tenantId, contact.tags, now);
+  tagIds.forEach(tagId => s.addContactTag.run(existing.id, tagId));
+  if (contact.grantSms) {
+    s.grantSms.run(now, existing.id);
+  }
+  return { outcome: 'updated', contactId: existing.id, addedTagIds: tagIds.filter(tagId => !previousTagIds.includes(tagId)) };
+}
+
+// ===== JOBS =====
+
+function formatJob(job) {
+  if (!job) return null;
+  const total = job.total_rows;
+  return {
+    id: job.id,
+    status: job.status,
+    file_name: job.file_name,
+    file_type: job.file_type,
+    columns: JSON.parse(job.columns || '[]'),
+    column_mapping: job.column_mapping ? JSON.parse(job.column_mapping) : null,
+    duplicate_strategy: job.duplicate_strategy,
+    total_rows: total,
+    processed_rows: job.processed_rows,
+    created_rows: job.created_rows,
+    updated_rows: job.updated_rows,
+    skipped_rows: job.skipped_rows,
+    failed_rows: job.failed_rows,
+    progress: total ? Math.min(100, Math.round((job.processed_rows / total) * 100)) : (job.status === 'completed' ? 100 : 0),
+    error_message: job.error_message,
+    created_at: job.created_at,
+    started_at: job.started_at,
+    completed_at: job.completed_at
+  };
+}
+
+function getImportJob(tenantId, jobId) {
+  return db.prepare('SELECT * FROM contact_import_jobs WHERE id = ? AND tenant_id = ?').get(jobId, tenantId) || null;
+}
+
+function removeFile(filePath) {
+  if (!filePath) return;
+  fs.rm(filePath, { force: true }, () => {});
+}
+
+/**
+ * Delete uploads that were never started
+ */
+function cleanupAbandonedUploads() {
+  const cutoff = new Date(Date.now() - ABANDONED_UPLOAD_MS).toISOString();
+  const abandoned = db.prepare(`
+    SELECT id, file_path FROM contact_import_jobs WHERE status = 'mapping' AND created_at < ?
+  `).all(cutoff);
+  abandoned.forEach(job => {
+    removeFile(job.file_path);
+    db.prepare('DELETE FROM contact_import_jobs WHERE id = ?').run(job.id);
+  });
+}
+
+/**
+ * Register an uploaded file as an import job awaiting its column mapping
+ * @param {Object} params
+ * @param {string} params.tenantId
+ * @param {string} params.userId
+ * @param {string} params.fileName - Original file name
+ * @param {string} params.filePath - Where the upload was stored
+ * @returns {Promise<{ job: Object, preview: Object[], suggestedMapping: Object } | { error: string }>}
+ */
+async function createImportJob({ tenantId, userId, fileName, filePath }) {
+  cleanupAbandonedUploads();
+
+  const fileType = detectFileType(fileName);
+  if (!fileType) {
+    removeFile(filePath);
+    return { error: 'Upload a .csv or .xlsx file' };
+  }
+
+  const result = await readFilePreview(filePath, fileType);
+  if (result.error) {
+    removeFile(filePath);
+    return result;
+  }
+
+  const id = uuidv4();
+  const now = new Date().toISOString();
+  db.prepare(`
+    INSERT INTO contact_import_jobs (id, tenant_id, created_by, status, file_name, file_type, file_path, columns, created_at, updated_at)
+    VALUES (?, ?, ?, 'mapping', ?, ?, ?, ?, ?, ?)
+  `).run(id, tenantId, userId, fileName, fileType, filePath, JSON.stringify(result.columns), now, now);
+
+  return {
+    job: formatJob(getImportJob(tenantId, id)),
+    preview: result.preview,
+    suggestedMapping: suggestMapping(result.columns, getAttributeDefinitions(tenantId))
+  };
+}
+
+function updateJob(jobId, fields) {
+  const keys = Object.keys(fields);
+  db.prepare(`
+    UPDATE contact_import_jobs SET ${keys.map(k => `${k} = ?`).join(', ')}, updated_at = ? WHERE id = ?
+  `).run(...keys.map(k => fields[k]), new Date().toISOString(), jobId);
+}
+
+/**
+ * Process a queued job: count rows, then import them in batches with progress updates
+ * @param {string} jobId
+ */
+async function runImportJob(jobId) {
+  const job = db.prepare('SELECT * FROM contact_import_jobs WHERE id = ?').get(jobId);
+  if (!job || job.status !== 'queued') return;
+
+  updateJob(jobId, { status: 'processing', started_at: new Date().toISOString() });
+
+  const counts = { processed_rows: 0, created_rows: 0, updated_rows: 0, skipped_rows: 0, failed_rows: 0 };
+  try {
+    const definitions = getAttributeDefinitions(job.tenant_id);
+    const mapping = JSON.parse(job.column_mapping);
+
+    const total = await countDataRows(job.file_path, job.file_type);
+    if (total > MAX_IMPORT_ROWS) {
+      throw new Error(`Imports are limited to ${MAX_IMPORT_ROWS} rows; this file has ${total}`);
+    }
+    updateJob(jobId, { total_rows: total });
+
+    const insertError = db.prepare(`
+      INSERT INTO contact_import_job_errors (job_id, row_number, field, message, raw_data) VALUES (?, ?, ?, ?, ?)
+    `);
+    let columns = null;
+    let fieldIndexes = [];
+    let batch = [];
+
+    const processBatch = db.transaction((rows) => {
+      const now = new Date().toISOString();
+      for (const { rowNumber, cells } of rows) {
+        const record = Object.fromEntries(fieldIndexes.map(([field, index]) => [field, cells[index] ?? '']));
+        let result = prepareImportRow(record, definitions);
+        if (!result.error) {
+          try {
+            // Nested transaction is a savepoint, so a failing row leaves nothing behind
+            result = db.transaction(() => applyImportRow(job.tenant_id, result.contact, job.duplicate_strategy, now))();
+            if (result.outcome === 'created') {
+              handleContactCreated(job.tenant_id, result.contactId, result.addedTagIds);
+            } else if (result.outcome === 'updated') {
+              handleTagsAdded(job.tenant_id, result.contactId, result.addedTagIds);
+            }
+          } catch (error) {
+            result = { error: { field: null, message: error.message } };
+          }
+        }
+
+        counts.processed_rows++;
+        if (result.error) {
+          counts.failed_rows++;
+          const raw = Object.fromEntries(columns.map((column, index) => [column, cells[index] ?? '']));
+          insertError.run(jobId, rowNumber, result.error.field, result.error.message, JSON.stringify(raw));
+        } else {
+          counts[`${result.outcome}_rows`]++;
+        }
+      }
+      updateJob(jobId, counts);
+    });
+
+    for await (const row of readRows(job.file_path, job.file_type)) {
+      if (!columns) {
+        columns = headerColumns(row.cells);
+        fieldIndexes = Object.entries(mapping).map(([column, field]) => [field, columns.indexOf(column)]);
+        continue;
+      }
+      if (isBlankRow(row.cells)) continue;
+      batch.push(row);
+      if (batch.length >= BATCH_SIZE) {
+        processBatch(batch);
+        batch = [];
+        // Let requests (including progress polls) run between batches
+        await new Promise(resolve => setTimeout(resolve, 0));
+      }
+    }
+    if (batch.length > 0) processBatch(batch);
+
+    updateJob(jobId, { status: 'completed', completed_at: new Date().toISOString(), file_path: null });
+  } catch (error) {
+    console.error(`Contact import job ${jobId} failed:`, error.message);
+    updateJob(jobId, { ...counts, status: 'failed', error_message: error.message, completed_at: new Date().toISOString(), file_path: null });
+  } finally {
+    removeFile(job.file_path);
+  }
+
+  logAudit({
+    actorUserId: job.created_by,
+    actorType: 'tenant_user',
+    tenantId: job.tenant_id,
+    action: AUDIT_ACTIONS.CONTACT_IMPORT,
+    targetType: 'contact_import_job',
+    targetId: jobId,
+    metadata: {
+      file_name: job.file_name,
+      duplicate_strategy: job.duplicate_strategy,
+      created: counts.created_rows,
+      updated: counts.updated_rows,
+      skipped: counts.skipped_rows,
+      failed: counts.failed_rows
+    }
+  });
+}
+
+/**
+ * Queue a mapped job and start it in the background
+ * @returns {{ job: Object } | { error: string }}
+ */
+function startImportJob(tenantId, jobId, { columnMapping, duplicateStrategy }) {
+  const job = getImportJob(tenantId, jobId);
+  if (!job) return { error: 'Import not found', status: 404 };
+  if (job.status !== 'mapping') {
+    return { error: 'This import has already been started', status: 409 };
+  }
+  if (!DUPLICATE_STRATEGIES.includes(duplicateStrategy)) {
+    return { error: `duplicate_strategy must be one of: ${DUPLICATE_STRATEGIES.join(', ')}` };
+  }
+  const mapping = validateMapping(columnMapping, JSON.parse(job.columns), getAttributeDefinitions(tenantId));
+  if (mapping.error) return mapping;
+
+  updateJob(jobId, { status: 'queued', column_mapping: JSON.stringify(mapping.value), duplicate_strategy: duplicateStrategy });
+  setTimeout(() => {
+    runImportJob(jobId).catch(error => console.error(`Contact import job ${jobId} crashed:`, error));
+  }, 0);
+  return { job: formatJob(getImportJob(tenantId, jobId)) };
+}
+
+/**
+ * Pick up jobs after a restart: queued jobs start again, interrupted ones are failed
+ * Rows imported before the restart are kept.
+ */
+function resumeImportJobs() {
+  const now = new Date().toISOString();
+  const interrupted = db.prepare(`SELECT id, file_path FROM contact_import_jobs WHERE status = 'processing'`).all();
+  interrupted.forEach(job => {
+    removeFile(job.file_path);
+    updateJob(job.id, {
+      status: 'failed',
+      error_message: 'Interrupted by a server restart. Rows processed before the restart were kept.',
+      completed_at: now,
+      file_path: null
+    });
+  });
+
+  const queued = db.prepare(`SELECT id FROM contact_import_jobs WHERE status = 'queued' ORDER BY created_at ASC`).all();
+  queued.forEach(job => {
+    setTimeout(() => {
+      runImportJob(job.id).catch(error => console.error(`Contact import job ${job.id} crashed:`, error));
+    }, 0);
+  });
+}
+
+module.exports = {
+  IMPORT_FIELDS,
+  DUPLICATE_STRATEGIES,
+  UPLOAD_DIR,
+  MAX_FILE_SIZE,
+  detectFileType,
+  suggestMapping,
+  validateMapping,
+  prepareImportRow,
+  applyImportRow,
+  formatJob,
+  getImportJob,
+  createImportJob,
+  startImportJob,
+  runImportJob,
+  resumeImportJobs
+};
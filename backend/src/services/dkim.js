@@ -0,0 +1,128 @@
+/**
+ * DKIM (RFC 6376)
+ * Generates sender-domain keypairs and signs outgoing MIME messages with
+ * rsa-sha256 and relaxed/relaxed canonicalization. SES and Brevo sign with the
+ * keys configured in their own consoles; EngageNinja signs SMTP sends itself.
+ */
+
+const crypto = require('crypto');
+
+// Headers signed when present (lowercase)
+const SIGNED_HEADERS = [
+  'from',
+  'to',
+  'subject',
+  'date',
+  'message-id',
+  'reply-to',
+  'mime-version',
+  'content-type',
+  'list-unsubscribe',
+  'list-unsubscribe-post'
+];
+
+/**
+ * Generate an RSA keypair for a sender domain
+ * @returns {{ publicKey: string, privateKey: string }} Base64 DER public key (the DNS p= value) and PEM private key
+ */
+function generateDkimKeyPair() {
+  const { publicKey, privateKey } = crypto.generateKeyPairSync('rsa', {
+    modulusLength: 2048,
+    publicKeyEncoding: { type: 'spki', format: 'der' },
+    privateKeyEncoding: { type: 'pkcs8', format: 'pem' }
+  });
+  return { publicKey: publicKey.toString('base64'), privateKey };
+}
+
+/**
+ * DNS TXT value publishing a public key
+ * @param {string} publicKey - Base64 DER public key
+ * @returns {string}
+ */
+function getDkimRecordValue(publicKey) {
+  return `v=DKIM1; k=rsa; p=${publicKey}`;
+}
+
+// Relaxed body: collapse whitespace runs, strip line-end whitespace and trailing empty lines
+function canonicalizeBodyRelaxed(body) {
+  const lines = body.replace(/\r?\n/g, '\r\n').split('\r\n')
+    .map(line => line.replace(/[ \t]+/g, ' ').replace(/ $/, ''));
+  while (lines.length > 0 && lines[lines.length - 1] === '') {
+    lines.pop();
+  }
+  return lines.length === 0 ? '' : `${lines.join('\r\n')}\r\n`;
+}
+
+// Relaxed header: lowercase name, unfold and collapse whitespace in the value
+function canonicalizeHeaderRelaxed(name, value) {
+  return `${name.toLowerCase()}:${value.replace(/\r?\n(?=[ \t])/g, '').replace(/[ \t]+/g, ' ').trim()}`;
+}
+
+/**
+ * Split a message into unfolded headers and the body
+ * @returns {{ headers: Array<{ name: string, value: string }>, body: string }}
+ */
+function parseMessage(message) {
+  const normalized = message.replace(/\r?\n/g, '\r\n');
+  const separator = normalized.indexOf('\r\n\r\n');
+  const headerBlock = separator === -1 ? normalized : normalized.slice(0, separator);
+  const body = separator === -1 ? '' : normalized.slice(separator + 4);
+
+  const headers = [];
+  headerBlock.split('\r\n').forEach((line) => {
+    if (/^[ \t]/.test(line) && headers.length > 0) {
+      headers[headers.length - 1].value += `\r\n${line}`;
+      return;
+    }
+    const colon = line.indexOf(':');
+    if (colon > 0) {
+      headers.push({ name: line.slice(0, colon).trim(), value: line.slice(colon + 1) });
+    }
+  });
+  return { headers, body };
+}
+
+/**
+ * Sign a message and prepend its DKIM-Signature header
+ * @param {string} message - RFC 5322 message with CRLF line endings
+ * @param {Object} key - { domainName, keySelector, privateKey }
+ * @returns {string} Signed message
+ */
+function signDkim(message, { domainName, keySelector, privateKey }) {
+  const { headers, body } = parseMessage(message);
+  const bodyHash = crypto.createHash('sha256').update(canonicalizeBodyRelaxed(body), 'utf8').digest('base64');
+
+  // The last instance of each header is the one verifiers check
+  const signed = SIGNED_HEADERS
+    .map(name => [...headers].reverse().find(header => header.name.toLowerCase() === name))
+    .filter(Boolean);
+
+  const dkimValue = [
+    'v=1',
+    'a=rsa-sha256',
+    'c=relaxed/relaxed',
+    `d=${domainName}`,
+    `s=${keySelector}`,
+    `t=${Math.floor(Date.now() / 1000)}`,
+    `h=${signed.map(header => header.name.toLowerCase()).join(':')}`,
+    `bh=${bodyHash}`,
+    'b='
+  ].join('; ');
+
+  const signingInput = [
+    ...signed.map(header => canonicalizeHeaderRelaxed(header.name, header.value)),
+    canonicalizeHeaderRelaxed('DKIM-Signature', dkimValue)
+  ].join('\r\n');
+  const signature = crypto.sign('sha256', Buffer.from(signingInput, 'utf8'), privateKey).toString('base64');
+
+  return `DKIM-Signature: ${dkimValue}${signature}\r\n${message}`;
+}
+
+module.exports = {
+  generateDkimKeyPair,
+  getDkimRecordValue,
+  signDkim,
+  canonicalizeBodyRelaxed,
+  canonicalizeHeaderRelaxed,
+  parseMessage
+};
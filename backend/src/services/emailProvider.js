@@ -0,0 +1,46 @@
+/**
+ * EmailProvider - Abstract base class for email integrations
+ *
+ * Implements the provider pattern (like SmsProvider)
+ * Allows plugging in different email services (SMTP, SES, Brevo)
+ */
+
+class EmailProvider {
+  /**
+   * @param {Object} credentials - Decrypted channel credentials (or platform settings)
+   * @param {Object} options - Provider-specific options
+   */
+  constructor(credentials = {}, options = {}) {
+    this.credentials = credentials;
+    this.options = options;
+  }
+
+  /**
+   * Provider key stored in tenant_channel_settings.provider / messages.provider
+   * @returns {string}
+   */
+  get name() {
+    throw new Error('name not implemented');
+  }
+
+  /**
+   * Send an email
+   * @param {Object} _email - { to, toName, from, fromName, replyTo, subject, htmlBody, textBody, headers, tags, dkim }
+   *   dkim ({ domainName, keySelector, privateKey }) is the sender domain's key; providers that
+   *   sign with their own DKIM setup (SES, Brevo) ignore it
+   * @returns {Promise<Object>} - { providerMessageId }
+   */
+  async send(_email) {
+    throw new Error('send() not implemented');
+  }
+
+  /**
+   * Check that the stored credentials can be used to send
+   * @returns {Promise<Object>} - { valid: boolean, error?: string, details?: Object }
+   */
+  async validateCredentials() {
+    throw new Error('validateCredentials() not implemented');
+  }
+}
+
+module.exports = EmailProvider;
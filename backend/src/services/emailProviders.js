@@ -0,0 +1,133 @@
+/**
+ * Email Providers
+ * Resolves the email provider for a tenant's channel credentials, and the
+ * platform provider used for EngageNinja's own transactional mail
+ */
+
+const SmtpEmailProvider = require('./smtpEmail');
+const SesEmailProvider = require('./sesEmail');
+const BrevoEmailProvider = require('./brevoEmail');
+
+const EMAIL_PROVIDERS = {
+  smtp: SmtpEmailProvider,
+  ses: SesEmailProvider,
+  brevo: BrevoEmailProvider
+};
+
+// Credential fields each provider needs before it can send (SMTP port defaults to 587)
+const REQUIRED_CREDENTIALS = {
+  smtp: ['smtpHost'],
+  ses: ['accessKeyId', 'secretAccessKey', 'region'],
+  brevo: ['apiKey']
+};
+
+/**
+ * Normalize stored email credentials (accepts snake_case from older rows)
+ * @param {Object} creds - Decrypted credentials
+ * @returns {Object}
+ */
+function normalizeEmailCredentials(creds = {}) {
+  const provider = String(creds.provider || 'ses').toLowerCase();
+  const normalized = { provider };
+
+  if (provider === 'smtp') {
+    normalized.smtpHost = creds.smtpHost || creds.smtp_host || '';
+    normalized.smtpPort = parseInt(creds.smtpPort || creds.smtp_port, 10) || null;
+    normalized.smtpSecure = creds.smtpSecure === true || creds.smtpSecure === 'true'
+      || creds.smtp_secure === true || creds.smtp_secure === 'true';
+    normalized.smtpUsername = creds.smtpUsername || creds.smtp_username || '';
+    normalized.smtpPassword = creds.smtpPassword || creds.smtp_password || '';
+  } else if (provider === 'ses') {
+    normalized.accessKeyId = creds.accessKeyId || creds.access_key_id || '';
+    normalized.secretAccessKey = creds.secretAccessKey || creds.secret_access_key || '';
+    normalized.region = creds.region || '';
+    normalized.configurationSet = creds.configurationSet || creds.configuration_set || null;
+  } else if (provider === 'brevo') {
+    normalized.apiKey = creds.apiKey || creds.api_key || '';
+  }
+
+  normalized.verifiedSenderEmail = creds.verifiedSenderEmail || creds.verified_sender_email || null;
+  return normalized;
+}
+
+/**
+ * List the credential fields a provider still needs
+ * @param {Object} credentials - Decrypted (or normalized) credentials
+ * @returns {string[]} Missing field names (empty when complete)
+ */
+function getMissingEmailCredentials(credentials = {}) {
+  const normalized = normalizeEmailCredentials(credentials);
+  const required = REQUIRED_CREDENTIALS[normalized.provider] || [];
+  return required.filter(field => !normalized[field]);
+}
+
+/**
+ * Instantiate the provider for a set of email credentials
+ * @param {Object} credentials - Decrypted (or normalized) credentials
+ * @param {Object} options - Provider options (e.g. { timeoutMs, allowPrivateHost })
+ * @returns {EmailProvider}
+ */
+function getEmailProvider(credentials = {}, options = {}) {
+  const normalized = normalizeEmailCredentials(credentials);
+  const Provider = EMAIL_PROVIDERS[normalized.provider];
+  if (!Provider) {
+    throw new Error(`Unsupported email provider: ${normalized.provider}`);
+  }
+
+  return new Provider(normalized, options);
+}
+
+/**
+ * Platform email settings from the environment
+ * PLATFORM_EMAIL_PROVIDER picks smtp, ses or brevo; without it Brevo is used
+ * when BREVO_API_KEY is set (the original behaviour)
+ * @returns {Object|null} Credentials plus { senderEmail, senderName }, or null when not configured
+ */
+function getPlatformEmailSettings() {
+  const provider = (process.env.PLATFORM_EMAIL_PROVIDER || (process.env.BREVO_API_KEY ? 'brevo' : '')).toLowerCase();
+  if (!provider) {
+    return null;
+  }
+
+  const credentials = normalizeEmailCredentials({
+    provider,
+    smtpHost: process.env.SMTP_HOST,
+    smtpPort: process.env.SMTP_PORT,
+    smtpSecure: process.env.SMTP_SECURE,
+    smtpUsername: process.env.SMTP_USERNAME,
+    smtpPassword: process.env.SMTP_PASSWORD,
+    accessKeyId: process.env.AWS_ACCESS_KEY_ID,
+    secretAccessKey: process.env.AWS_SECRET_ACCESS_KEY,
+    region: process.env.AWS_REGION,
+    apiKey: process.env.BREVO_API_KEY
+  });
+
+  return {
+    ...credentials,
+    senderEmail: process.env.SENDER_EMAIL || 'noreply@engageninja.com',
+    senderName: process.env.SENDER_NAME || 'EngageNinja'
+  };
+}
+
+/**
+ * Provider for platform transactional mail (invites, billing notices)
+ * The SMTP relay comes from the environment, so it may be a private host
+ * @returns {EmailProvider|null} null when not configured or credentials are incomplete
+ */
+function getPlatformEmailProvider() {
+  const settings = getPlatformEmailSettings();
+  if (!settings || !EMAIL_PROVIDERS[settings.provider] || getMissingEmailCredentials(settings).length > 0) {
+    return null;
+  }
+  return getEmailProvider(settings, { allowPrivateHost: true });
+}
+
+module.exports = {
+  EMAIL_PROVIDERS,
+  REQUIRED_CREDENTIALS,
+  normalizeEmailCredentials,
+  getMissingEmailCredentials,
+  getEmailProvider,
+  getPlatformEmailSettings,
+  getPlatformEmailProvider
+};
@@ -1,17 +1,48 @@
 /**
  * Email Service
- * Sends transactional emails via Brevo (SendinBlue)
+ * Sends EngageNinja's own transactional emails (invites, billing notices)
+ * through the platform email provider (PLATFORM_EMAIL_PROVIDER: smtp, ses or brevo)
  */
 
+const { getPlatformEmailProvider, getPlatformEmailSettings } = require('./emailProviders');
+
+const escapeHtml = (value) => String(value ?? '').replace(/[&<>"']/g, ch => ({
+  '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;'
+}[ch]));
+
 class EmailService {
-  constructor(logger = console) {
+  /**
+   * @param {Object} logger - Logger (console by default)
+   * @param {EmailProvider|null} provider - Overrides the platform provider from the environment
+   */
+  constructor(logger = console, provider = undefined) {
+    const settings = getPlatformEmailSettings();
     this.logger = logger;
-    this.apiKey = process.env.BREVO_API_KEY;
-    this.senderEmail = process.env.SENDER_EMAIL || 'noreply@engageninja.com';
-    this.senderName = 'EngageNinja';
+    this.provider = provider === undefined ? getPlatformEmailProvider() : provider;
+    this.senderEmail = settings?.senderEmail || process.env.SENDER_EMAIL || 'noreply@engageninja.com';
+    this.senderName = settings?.senderName || 'EngageNinja';
 
-    if (!this.apiKey) {
-      this.logger.warn('⚠ BREVO_API_KEY not configured - email notifications disabled');
+    if (!this.provider) {
+      this.logger.warn('⚠ Platform email provider not configured - email notifications disabled');
+    }
+  }
+
+  /**
+   * Send one email to each recipient through the platform provider
+   * @param {Array<{email: string, name?: string}>} recipients
+   * @param {Object} email - { subject, htmlContent, tags }
+   */
+  async deliver(recipients, { subject, htmlContent, tags }) {
+    for (const recipient of recipients) {
+      await this.provider.send({
+        to: recipient.email,
+        toName: recipient.name,
+        from: this.senderEmail,
+        fromName: this.senderName,
+        subject,
+        htmlBody: htmlContent,
+        tags
+      });
     }
   }
 
@@ -19,7 +50,7 @@ class EmailService {
    * Send billing failure notification email
    */
   async sendBillingFailureEmail(tenant, failureReason, gracePeriodUntil) {
-    if (!this.apiKey) {
+    if (!this.provider) {
       this.logger.warn(`Email service not configured - skipping notification for tenant ${tenant.id}`);
       return { success: false, reason: 'Email service not configured' };
     }
@@ -51,25 +82,12 @@ class EmailService {
       const failureDesc = failureDescriptions[failureReason] || 'Payment processing failed.';
       const subject = `⚠️ Payment Failed - Action Required for ${tenant.name}`;
 
-      const response = await fetch('https://api.brevo.com/v3/smtp/email', {
-        method: 'POST',
-        headers: {
-          'api-key': this.apiKey,
-          'Content-Type': 'application/json'
-        },
-        body: JSON.stringify({
-          to: [{ email: billingEmail, name: tenant.name }],
-          sender: { email: this.senderEmail, name: this.senderName },
-          subject: subject,
-          htmlContent: `<html><body style="font-family: Arial, sans-serif;"><div style="max-width: 600px; margin: 0 auto;"><h2>Payment Failed</h2><p>Hi ${tenant.name},</p><p>Your recent payment failed: <strong>${failureDesc}</strong></p><p><strong>⏰ Grace Period Deadline: ${graceDate}</strong></p><p>You have 48 hours to update your payment method. Visit your billing settings to fix this.</p><p>Need help? Contact support@engageninja.com</p></div></body></html>`,
-          tags: ['billing', 'payment-failed', tenant.id]
-        })
+      await this.deliver([{ email: billingEmail, name: tenant.name }], {
+        subject,
+        htmlContent: `<html><body style="font-family: Arial, sans-serif;"><div style="max-width: 600px; margin: 0 auto;"><h2>Payment Failed</h2><p>Hi ${tenant.name},</p><p>Your recent payment failed: <strong>${failureDesc}</strong></p><p><strong>⏰ Grace Period Deadline: ${graceDate}</strong></p><p>You have 48 hours to update your payment method. Visit your billing settings to fix this.</p><p>Need help? Contact support@engageninja.com</p></div></body></html>`,
+        tags: ['billing', 'payment-failed', tenant.id]
       });
 
-      if (!response.ok) {
-        throw new Error('Failed to send email');
-      }
-
       this.logger.info(`Billing failure email sent to ${billingEmail} for tenant ${tenant.id}`);
       return { success: true };
     } catch (error) {
@@ -82,7 +100,7 @@ class EmailService {
    * Send payment success confirmation email
    */
   async sendPaymentSuccessEmail(tenant) {
-    if (!this.apiKey) {
+    if (!this.provider) {
       this.logger.warn(`Email service not configured - skipping notification for tenant ${tenant.id}`);
       return { success: false, reason: 'Email service not configured' };
     }
@@ -96,25 +114,12 @@ class EmailService {
 
       const subject = `✅ Payment Successful - ${tenant.name}`;
 
-      const response = await fetch('https://api.brevo.com/v3/smtp/email', {
-        method: 'POST',
-        headers: {
-          'api-key': this.apiKey,
-          'Content-Type': 'application/json'
-        },
-        body: JSON.stringify({
-          to: [{ email: billingEmail, name: tenant.name }],
-          sender: { email: this.senderEmail, name: this.senderName },
-          subject: subject,
-          htmlContent: `<html><body style="font-family: Arial, sans-serif;"><div style="max-width: 600px; margin: 0 auto;"><h2>✓ Payment Successful</h2><p>Hi ${tenant.name},</p><p>Your payment has been processed successfully and your subscription is now active.</p><p>You can now use all features in your plan. Visit your dashboard to get started.</p><p>Need help? Contact support@engageninja.com</p></div></body></html>`,
-          tags: ['billing', 'payment-success', tenant.id]
-        })
+      await this.deliver([{ email: billingEmail, name: tenant.name }], {
+        subject,
+        htmlContent: `<html><body style="font-family: Arial, sans-serif;"><div style="max-width: 600px; margin: 0 auto;"><h2>✓ Payment Successful</h2><p>Hi ${tenant.name},</p><p>Your payment has been processed successfully and your subscription is now active.</p><p>You can now use all features in your plan. Visit your dashboard to get started.</p><p>Need help? Contact support@engageninja.com</p></div></body></html>`,
+        tags: ['billing', 'payment-success', tenant.id]
       });
 
-      if (!response.ok) {
-        throw new Error('Failed to send email');
-      }
-
       this.logger.info(`Payment success email sent to ${billingEmail} for tenant ${tenant.id}`);
       return { success: true };
     } catch (error) {
@@ -127,7 +132,7 @@ class EmailService {
    * Send subscription cancellation notification email
    */
   async sendSubscriptionCancelledEmail(tenant, canceledAt, reason) {
-    if (!this.apiKey) {
+    if (!this.provider) {
       this.logger.warn(`Email service not configured - skipping notification for tenant ${tenant.id}`);
       return { success: false, reason: 'Email service not configured' };
     }
@@ -148,25 +153,12 @@ class EmailService {
 
       const subject = `📋 Subscription Cancelled - ${tenant.name}`;
 
-      const response = await fetch('https://api.brevo.com/v3/smtp/email', {
-        method: 'POST',
-        headers: {
-          'api-key': this.apiKey,
-          'Content-Type': 'application/json'
-        },
-        body: JSON.stringify({
-          to: [{ email: billingEmail, name: tenant.name }],
-          sender: { email: this.senderEmail, name: this.senderName },
-          subject: subject,
-          htmlContent: `<html><body style="font-family: Arial, sans-serif;"><div style="max-width: 600px; margin: 0 auto;"><h2>Subscription Cancelled</h2><p>Hi ${tenant.name},</p><p>Your subscription has been cancelled effective <strong>${cancelDate}</strong>.</p><p><strong>Cancellation Reason:</strong> ${reason}</p><p>Your account has been downgraded to the free plan. If this was a mistake or you'd like to reactivate your subscription, you can do so anytime from your billing settings.</p><p>We'd love to have you back! If there's anything we can improve, please let us know at support@engageninja.com</p></div></body></html>`,
-          tags: ['billing', 'subscription-cancelled', tenant.id]
-        })
+      await this.deliver([{ email: billingEmail, name: tenant.name }], {
+        subject,
+        htmlContent: `<html><body style="font-family: Arial, sans-serif;"><div style="max-width: 600px; margin: 0 auto;"><h2>Subscription Cancelled</h2><p>Hi ${tenant.name},</p><p>Your subscription has been cancelled effective <strong>${cancelDate}</strong>.</p><p><strong>Cancellation Reason:</strong> ${reason}</p><p>Your account has been downgraded to the free plan. If this was a mistake or you'd like to reactivate your subscription, you can do so anytime from your billing settings.</p><p>We'd love to have you back! If there's anything we can improve, please let us know at support@engageninja.com</p></div></body></html>`,
+        tags: ['billing', 'subscription-cancelled', tenant.id]
       });
 
-      if (!response.ok) {
-        throw new Error('Failed to send email');
-      }
-
       this.logger.info(`Subscription cancellation email sent to ${billingEmail} for tenant ${tenant.id}`);
       return { success: true };
     } catch (error) {
@@ -174,6 +166,134 @@ class EmailService {
       return { success: false, error: error.message };
     }
   }
+
+  /**
+   * Alert tenant admins that sends on a channel were paused (provider rejected the credentials)
+   */
+  async sendChannelPausedEmail(tenant, recipients, channel, reason) {
+    if (!this.provider) {
+      this.logger.warn(`Email service not configured - skipping notification for tenant ${tenant.id}`);
+      return { success: false, reason: 'Email service not configured' };
+    }
+
+    try {
+      if (!recipients || recipients.length === 0) {
+        this.logger.warn(`No admin email addresses for tenant ${tenant.id}`);
+        return { success: false, reason: 'No email address' };
+      }
+
+      const channelNames = { whatsapp: 'WhatsApp', email: 'Email', sms: 'SMS' };
+      const channelName = channelNames[channel] || channel;
+      const subject = `⚠️ ${channelName} Sending Paused - Action Required for ${tenant.name}`;
+
+      await this.deliver(recipients.map(user => ({ email: user.email, name: user.name || user.email })), {
+        subject,
+        htmlContent: `<html><body style="font-family: Arial, sans-serif;"><div style="max-width: 600px; margin: 0 auto;"><h2>${channelName} Sending Paused</h2><p>Hi ${tenant.name},</p><p>Your ${channelName} provider rejected the credentials connected to EngageNinja: <strong>${reason}</strong></p><p>We have paused all ${channelName} sends for your workspace so queued messages don't fail. They will go out once you reconnect ${channelName} in Settings → Channels.</p><p>Need help? Contact support@engageninja.com</p></div></body></html>`,
+        tags: ['channel', 'sends-paused', tenant.id]
+      });
+
+      this.logger.info(`Channel paused email sent to ${recipients.length} admin(s) for tenant ${tenant.id}`);
+      return { success: true };
+    } catch (error) {
+      this.logger.error(`Failed to send channel paused email for tenant ${tenant.id}:`, error.message);
+      return { success: false, error: error.message };
+    }
+  }
+
+  /**
+   * Send a workspace invitation with the accept link
+   * @param {Object} invitation - { email, token, role, expiresAt, tenantName, inviterName }
+   */
+  async sendInvitationEmail(invitation) {
+    if (!this.provider) {
+      this.logger.warn(`Email service not configured - skipping invitation for ${invitation.email}`);
+      return { success: false, reason: 'Email service not configured' };
+    }
+
+    try {
+      const baseUrl = (process.env.APP_URL || 'http://localhost:3173').replace(/\/+$/, '');
+      const acceptUrl = `${baseUrl}/accept-invite?token=${encodeURIComponent(invitation.token)}`;
+      const expiresDate = new Date(invitation.expiresAt).toLocaleDateString('en-US', {
+        weekday: 'short',
+        year: 'numeric',
+        month: 'short',
+        day: 'numeric'
+      });
+      const tenantName = escapeHtml(invitation.tenantName || 'an EngageNinja workspace');
+      const invitedBy = invitation.inviterName ? ` by <strong>${escapeHtml(invitation.inviterName)}</strong>` : '';
+      const subject = `You're invited to join ${invitation.tenantName || 'EngageNinja'}`;
+
+      await this.deliver([{ email: invitation.email }], {
+        subject,
+        htmlContent: `<html><body style="font-family: Arial, sans-serif;"><div style="max-width: 600px; margin: 0 auto;"><h2>You're Invited</h2><p>You have been invited${invitedBy} to join <strong>${tenantName}</strong> on EngageNinja as ${escapeHtml(invitation.role || 'member')}.</p><p><a href="${escapeHtml(acceptUrl)}">Accept your invitation</a></p><p>This invitation expires on <strong>${expiresDate}</strong>. If you weren't expecting it, you can ignore this email.</p><p>Need help? Contact support@engageninja.com</p></div></body></html>`,
+        tags: ['invitation', invitation.role || 'member']
+      });
+
+      this.logger.info(`Invitation email sent to ${invitation.email}`);
+      return { success: true };
+    } catch (error) {
+      this.logger.error(`Failed to send invitation email to ${invitation.email}:`, error.message);
+      return { success: false, error: error.message };
+    }
+  }
+
+  /**
+   * Send a password reset link
+   * @param {Object} reset - { email, name, token, expiresMinutes }
+   */
+  async sendPasswordResetEmail(reset) {
+    if (!this.provider) {
+      this.logger.warn(`Email service not configured - skipping password reset for ${reset.email}`);
+      return { success: false, reason: 'Email service not configured' };
+    }
+
+    try {
+      const baseUrl = (process.env.APP_URL || 'http://localhost:3173').replace(/\/+$/, '');
+      const resetUrl = `${baseUrl}/reset-password?token=${encodeURIComponent(reset.token)}`;
+      const greeting = reset.name ? `Hi ${escapeHtml(reset.name)},` : 'Hi,';
+
+      await this.deliver([{ email: reset.email, name: reset.name || undefined }], {
+        subject: 'Reset your EngageNinja password',
+        htmlContent: `<html><body style="font-family: Arial, sans-serif;"><div style="max-width: 600px; margin: 0 auto;"><h2>Reset Your Password</h2><p>${greeting}</p><p>Someone asked to reset the password for your EngageNinja account.</p><p><a href="${escapeHtml(resetUrl)}">Choose a new password</a></p><p>The link works once and expires in ${reset.expiresMinutes} minutes. Resetting signs you out everywhere else. If you didn't ask for this, you can ignore this email and your password stays the same.</p><p>Need help? Contact support@engageninja.com</p></div></body></html>`,
+        tags: ['password-reset']
+      });
+
+      this.logger.info(`Password reset email sent to ${reset.email}`);
+      return { success: true };
+    } catch (error) {
+      this.logger.error(`Failed to send password reset email to ${reset.email}:`, error.message);
+      return { success: false, error: error.message };
+    }
+  }
+
+  /**
+   * Tell a user their account was locked after failed logins, with an unlock link
+   * @param {Object} lock - { email, name, token, lockedMinutes }
+   */
+  async sendAccountLockedEmail(lock) {
+    if (!this.provider) {
+      this.logger.warn(`Email service not configured - skipping account lock notice for ${lock.email}`);
+      return { success: false, reason: 'Email service not configured' };
+    }
+
+    try {
+      const baseUrl = (process.env.APP_URL || 'http://localhost:3173').replace(/\/+$/, '');
+      const unlockUrl = `${baseUrl}/unlock-account?token=${encodeURIComponent(lock.token)}`;
+      const greeting = lock.name ? `Hi ${escapeHtml(lock.name)},` : 'Hi,';
+
+      await this.deliver([{ email: lock.email, name: lock.name || undefined }], {
+        subject: 'Your EngageNinja account was locked',
+        htmlContent: `<html><body style="font-family: Arial, sans-serif;"><div style="max-width: 600px; margin: 0 auto;"><h2>Account Locked</h2><p>${greeting}</p><p>There were too many failed attempts to log in to your EngageNinja account, so we locked it for ${lock.lockedMinutes} minutes.</p><p>If that was you, <a href="${escapeHtml(unlockUrl)}">unlock your account</a> now. The link works once.</p><p>If it wasn't you, someone may be guessing your password. Your account is safe while it is locked; consider resetting your password and turning on two-factor authentication.</p><p>Need help? Contact support@engageninja.com</p></div></body></html>`,
+        tags: ['account-locked']
+      });
+
+      this.logger.info(`Account lock notice sent to ${lock.email}`);
+      return { success: true };
+    } catch (error) {
+      this.logger.error(`Failed to send account lock notice to ${lock.email}:`, error.message);
+      return { success: false, error: error.message };
+    }
+  }
 }
 
 module.exports = EmailService;
@@ -0,0 +1,270 @@
+/**
+ * Email Tracking Service
+ * Open pixel and click-tracked links for outbound emails, and the opens and
+ * clicks they record per message and per link
+ */
+
+const crypto = require('crypto');
+const { v4: uuidv4 } = require('uuid');
+const db = require('../db');
+const metricsEmitter = require('./metricsEmitter');
+const { emitMessageEvent } = require('./outboundWebhooks');
+
+const TRACKING_SECRET = process.env.EMAIL_TRACKING_SECRET || process.env.SESSION_SECRET || 'dev-secret-change-in-production';
+
+// 1x1 transparent GIF served by the open endpoint
+const TRACKING_PIXEL = Buffer.from('R0lGODlhAQABAIAAAAAAAP///yH5BAEAAAAALAAAAAABAAEAAAIBRAA7', 'base64');
+
+// An open or click moves these to read; failed and cancelled messages keep their status
+const OPENABLE_STATUSES = ['sent', 'delivered'];
+
+const MAX_USER_AGENT_LENGTH = 512;
+const MAX_LINKS_REPORTED = 100;
+
+// <a ... href="..."> with either quote style
+const LINK_PATTERN = /(<a\b[^>]*?\bhref\s*=\s*)(["'])(.*?)\2/gi;
+
+// ===== TOKENS =====
+
+function signTrackingPayload(payload) {
+  return crypto.createHmac('sha256', TRACKING_SECRET).update(payload).digest('base64url');
+}
+
+/**
+ * Signed token carrying { m: messageId } for opens or { m, u: url } for clicks
+ * Signing the URL keeps the click endpoint from being used as an open redirect.
+ */
+function createTrackingToken(data) {
+  const payload = Buffer.from(JSON.stringify(data), 'utf8').toString('base64url');
+  return `${payload}.${signTrackingPayload(payload)}`;
+}
+
+/**
+ * Verify a tracking token
+ * @returns {Object|null} Token data, or null if the signature doesn't match
+ */
+function verifyTrackingToken(token) {
+  const [payload, signature] = String(token || '').split('.');
+  if (!payload || !signature) return null;
+
+  const expected = Buffer.from(signTrackingPayload(payload));
+  const received = Buffer.from(signature);
+  if (expected.length !== received.length || !crypto.timingSafeEqual(expected, received)) {
+    return null;
+  }
+
+  try {
+    const data = JSON.parse(Buffer.from(payload, 'base64url').toString('utf8'));
+    return data && typeof data.m === 'string' ? data : null;
+  } catch {
+    return null;
+  }
+}
+
+function getTrackingBaseUrl() {
+  return `${(process.env.APP_URL || 'http://localhost:3173').replace(/\/+$/, '')}/api/track`;
+}
+
+function getOpenUrl(messageId) {
+  return `${getTrackingBaseUrl()}/open/${createTrackingToken({ m: messageId })}`;
+}
+
+function getClickUrl(messageId, url) {
+  return `${getTrackingBaseUrl()}/click/${createTrackingToken({ m: messageId, u: url })}`;
+}
+
+// ===== CONTENT =====
+
+/**
+ * Route an email's http(s) links through the click endpoint and append the open pixel
+ * mailto:, tel:, anchors and placeholders such as {{unsubscribe_url}} are left as they are,
+ * so add tracking before the unsubscribe link is filled in.
+ * @param {string} htmlBody - Email HTML
+ * @param {string} messageId - Message the opens and clicks belong to
+ * @returns {string} Tracked HTML (empty bodies stay empty)
+ */
+function addEmailTracking(htmlBody, messageId) {
+  if (!htmlBody) return htmlBody || '';
+
+  const tracked = htmlBody.replace(LINK_PATTERN, (match, prefix, quote, href) => {
+    const url = href.replace(/&amp;/g, '&').trim();
+    if (!/^https?:\/\//i.test(url) || url.includes('{{')) {
+      return match;
+    }
+    return `${prefix}${quote}${getClickUrl(messageId, url)}${quote}`;
+  });
+
+  const pixel = `<img src="${getOpenUrl(messageId)}" width="1" height="1" alt="" style="display:block;width:1px;height:1px;border:0;" />`;
+  return /<\/body>/i.test(tracked) ? tracked.replace(/<\/body>/i, `${pixel}</body>`) : `${tracked}${pixel}`;
+}
+
+// ===== RECORDING =====
+
+function insertTrackingEvent(message, eventType, url, details, now) {
+  db.prepare(`
+    INSERT INTO email_tracking_events (
+      id, tenant_id, message_id, campaign_id, event_type, url, source, ip_address, user_agent, created_at
+    ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+  `).run(
+    uuidv4(),
+    message.tenant_id,
+    message.id,
+    message.campaign_id,
+    eventType,
+    url,
+    details.source || (eventType === 'open' ? 'pixel' : 'link'),
+    details.ipAddress || null,
+    details.userAgent ? String(details.userAgent).slice(0, MAX_USER_AGENT_LENGTH) : null,
+    now
+  );
+}
+
+/**
+ * First open or click: mark the message read and log the status change
+ * @returns {boolean} True if the status changed
+ */
+function markMessageRead(message, now) {
+  const placeholders = OPENABLE_STATUSES.map(() => '?').join(', ');
+  const result = db.prepare(`
+    UPDATE messages
+    SET status = 'read', read_at = COALESCE(read_at, ?), updated_at = ?
+    WHERE id = ? AND status IN (${placeholders})
+  `).run(now, now, message.id, ...OPENABLE_STATUSES);
+
+  if (result.changes === 0) {
+    return false;
+  }
+
+  db.prepare(`
+    INSERT INTO message_status_events (
+      id, message_id, provider_message_id, old_status, new_status, event_timestamp, webhook_received_at, created_at
+    ) VALUES (?, ?, ?, ?, 'read', ?, ?, ?)
+  `).run(uuidv4(), message.id, message.provider_message_id, message.status, now, now, now);
+  return true;
+}
+
+function getTrackedMessage(messageId) {
+  const message = db.prepare(`
+    SELECT id, tenant_id, campaign_id, channel, status, provider_message_id FROM messages WHERE id = ?
+  `).get(messageId);
+  return message && message.channel === 'email' ? message : null;
+}
+
+function notifyEngagement(message, becameRead) {
+  if (becameRead) {
+    emitMessageEvent(message.id, 'read');
+  }
+  if (message.campaign_id) {
+    metricsEmitter.emit(`campaign:${message.campaign_id}:metrics`);
+  }
+}
+
+/**
+ * Record an email open
+ * @param {string} messageId - Message ID
+ * @param {Object} details - { source: 'pixel' | 'ses', ipAddress, userAgent }
+ * @returns {Object|null} { messageId, campaignId, becameRead }, or null for unknown messages
+ */
+function recordEmailOpen(messageId, details = {}) {
+  const message = getTrackedMessage(messageId);
+  if (!message) return null;
+
+  const now = new Date().toISOString();
+  const becameRead = db.transaction(() => {
+    insertTrackingEvent(message, 'open', null, details, now);
+    db.prepare('UPDATE messages SET open_count = open_count + 1 WHERE id = ?').run(message.id);
+    return markMessageRead(message, now);
+  })();
+
+  notifyEngagement(message, becameRead);
+  return { messageId: message.id, campaignId: message.campaign_id, becameRead };
+}
+
+/**
+ * Record a click on a tracked link
+ * A click also counts as the first open when images were blocked.
+ * @param {string} messageId - Message ID
+ * @param {string} url - Link target
+ * @param {Object} details - { source: 'link' | 'ses', ipAddress, userAgent }
+ * @returns {Object|null} { messageId, campaignId, becameRead }, or null for unknown messages
+ */
+function recordEmailClick(messageId, url, details = {}) {
+  const message = getTrackedMessage(messageId);
+  if (!message) return null;
+
+  const now = new Date().toISOString();
+  const becameRead = db.transaction(() => {
+    insertTrackingEvent(message, 'click', url || null, details, now);
+    db.prepare(`
+      UPDATE messages SET click_count = click_count + 1, first_clicked_at = COALESCE(first_clicked_at, ?) WHERE id = ?
+    `).run(now, message.id);
+    return markMessageRead(message, now);
+  })();
+
+  notifyEngagement(message, becameRead);
+  return { messageId: message.id, campaignId: message.campaign_id, becameRead };
+}
+
+// ===== REPORTING =====
+
+const toRate = (count, total) => (total > 0 ? parseFloat(((count / total) * 100).toFixed(2)) : 0);
+
+/**
+ * Open and click totals for the email messages of one or more campaigns
+ * Rates are over messages handed to the provider.
+ * @param {string[]} campaignIds - Campaign IDs
+ * @returns {Object} { sent, opened, clicked, total_opens, total_clicks, open_rate, click_rate, click_to_open_rate }
+ */
+function getEmailEngagement(campaignIds) {
+  const ids = campaignIds.filter(Boolean);
+  const row = ids.length === 0 ? {} : db.prepare(`
+    SELECT
+      SUM(CASE WHEN sent_at IS NOT NULL THEN 1 ELSE 0 END) as sent,
+      SUM(CASE WHEN read_at IS NOT NULL THEN 1 ELSE 0 END) as opened,
+      SUM(CASE WHEN click_count > 0 THEN 1 ELSE 0 END) as clicked,
+      SUM(open_count) as total_opens,
+      SUM(click_count) as total_clicks
+    FROM messages
+    WHERE campaign_id IN (${ids.map(() => '?').join(', ')}) AND channel = 'email'
+  `).get(...ids);
+
+  const sent = row.sent || 0;
+  const opened = row.opened || 0;
+  const clicked = row.clicked || 0;
+  return {
+    sent,
+    opened,
+    clicked,
+    total_opens: row.total_opens || 0,
+    total_clicks: row.total_clicks || 0,
+    open_rate: toRate(opened, sent),
+    click_rate: toRate(clicked, sent),
+    click_to_open_rate: toRate(clicked, opened)
+  };
+}
+
+/**
+ * Clicks per link of a campaign, most clicked first
+ * @returns {Array} [{ url, clicks, unique_clicks, last_clicked_at }]
+ */
+function getCampaignLinkClicks(campaignId) {
+  return db.prepare(`
+    SELECT url, COUNT(*) as clicks, COUNT(DISTINCT message_id) as unique_clicks, MAX(created_at) as last_clicked_at
+    FROM email_tracking_events
+    WHERE campaign_id = ? AND event_type = 'click' AND url IS NOT NULL
+    GROUP BY url
+    ORDER BY clicks DESC, url
+    LIMIT ?
+  `).all(campaignId, MAX_LINKS_REPORTED);
+}
+
+module.exports = {
+  TRACKING_PIXEL,
+  createTrackingToken,
+  verifyTrackingToken,
+  addEmailTracking,
+  recordEmailOpen,
+  recordEmailClick,
+  getEmailEngagement,
+  getCampaignLinkClicks
+};
@@ -0,0 +1,50 @@
+/**
+ * Housekeeping
+ * Periodic cleanup of tables that only grow otherwise: expired login failure counters
+ * and idle rate limit buckets. It runs as a single recurring job on the job queue, so
+ * one worker does it however many backend processes are running.
+ */
+
+const jobQueue = require('./jobQueue');
+const { pruneLoginFailures } = require('./loginProtection');
+const { pruneIdleBuckets } = require('./rateLimiter');
+
+const HOUSEKEEPING_QUEUE = 'housekeeping';
+const HOUSEKEEPING_DEDUPE_KEY = 'housekeeping:prune';
+const HOUSEKEEPING_INTERVAL_MS = parseInt(process.env.HOUSEKEEPING_INTERVAL_MS || String(60 * 60 * 1000), 10);
+
+/**
+ * Delete expired rows
+ * @returns {{ loginFailures: number, rateLimitBuckets: number }} Rows deleted per table
+ */
+function pruneExpiredRows(now = Date.now()) {
+  return {
+    loginFailures: pruneLoginFailures(now),
+    rateLimitBuckets: pruneIdleBuckets(now)
+  };
+}
+
+async function handleHousekeepingJob() {
+  const pruned = pruneExpiredRows();
+  if (pruned.loginFailures > 0 || pruned.rateLimitBuckets > 0) {
+    console.log(`🧹 Pruned ${pruned.loginFailures} login failure counter(s), ${pruned.rateLimitBuckets} rate limit bucket(s)`);
+  }
+  // Deferring puts the same job back for the next run, keeping its dedupe key
+  return { deferInMs: HOUSEKEEPING_INTERVAL_MS };
+}
+
+/**
+ * Register the housekeeping handler and queue its job (a no-op when another
+ * process already has)
+ */
+function startHousekeeping() {
+  jobQueue.registerJobHandler(HOUSEKEEPING_QUEUE, handleHousekeepingJob, { concurrency: 1 });
+  jobQueue.enqueueJob(HOUSEKEEPING_QUEUE, {}, { dedupeKey: HOUSEKEEPING_DEDUPE_KEY });
+  console.log(`✓ Housekeeping scheduled every ${Math.round(HOUSEKEEPING_INTERVAL_MS / 60000)} min`);
+}
+
+module.exports = {
+  HOUSEKEEPING_QUEUE,
+  pruneExpiredRows,
+  startHousekeeping
+};
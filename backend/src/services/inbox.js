@@ -0,0 +1,263 @@
+/**
+ * Inbox Service
+ * Stores inbound WhatsApp messages and agent replies as conversations per contact
+ * and tracks the 24-hour customer-service window
+ */
+
+const db = require('../db');
+const { v4: uuidv4 } = require('uuid');
+
+// Meta only accepts free-form messages within 24h of the customer's last message
+const CUSTOMER_SERVICE_WINDOW_MS = 24 * 60 * 60 * 1000;
+
+// Outbound statuses only move forward (a late 'delivered' must not undo 'read')
+const OUTBOUND_STATUS_RANK = {
+  sent: 1,
+  delivered: 2,
+  read: 3,
+  failed: 4
+};
+
+const PREVIEW_LENGTH = 120;
+
+/**
+ * Convert a Meta unix timestamp (seconds) to ISO, falling back to now
+ */
+function toIsoTimestamp(unixSeconds) {
+  const seconds = parseInt(unixSeconds, 10);
+  if (!Number.isFinite(seconds)) {
+    return new Date().toISOString();
+  }
+  return new Date(seconds * 1000).toISOString();
+}
+
+/**
+ * When the customer-service window closes for a conversation
+ * @param {string|null} lastInboundAt - ISO timestamp of the last customer message
+ * @returns {string|null} ISO timestamp, or null if the customer never wrote in
+ */
+function getWindowExpiresAt(lastInboundAt) {
+  if (!lastInboundAt) return null;
+  const last = new Date(lastInboundAt).getTime();
+  if (Number.isNaN(last)) return null;
+  return new Date(last + CUSTOMER_SERVICE_WINDOW_MS).toISOString();
+}
+
+/**
+ * Whether free-form replies are allowed right now
+ * @param {Object} conversation - Row with last_inbound_at
+ * @returns {boolean}
+ */
+function isWindowOpen(conversation, now = Date.now()) {
+  const expiresAt = getWindowExpiresAt(conversation?.last_inbound_at);
+  return Boolean(expiresAt) && new Date(expiresAt).getTime() > now;
+}
+
+/**
+ * Pull a displayable type and body out of a Meta inbound message
+ * @param {Object} message - Entry from value.messages
+ * @returns {{ type: string, body: string|null }}
+ */
+function extractInboundContent(message = {}) {
+  const type = message.type || 'unknown';
+  switch (type) {
+    case 'text':
+      return { type, body: message.text?.body || '' };
+    case 'button':
+      return { type, body: message.button?.text || message.button?.payload || '' };
+    case 'interactive': {
+      const reply = message.interactive?.button_reply || message.interactive?.list_reply;
+      return { type, body: reply?.title || reply?.id || '' };
+    }
+    case 'image':
+    case 'video':
+    case 'document':
+      return { type, body: message[type]?.caption || `[${type}]` };
+    case 'location': {
+      const loc = message.location || {};
+      return { type, body: loc.name || loc.address || `[location ${loc.latitude}, ${loc.longitude}]` };
+    }
+    case 'audio':
+    case 'sticker':
+    case 'contacts':
+      return { type, body: `[${type}]` };
+    default:
+      return { type, body: null };
+  }
+}
+
+function buildPreview(body) {
+  if (!body) return null;
+  return body.length > PREVIEW_LENGTH ? `${body.slice(0, PREVIEW_LENGTH - 1)}…` : body;
+}
+
+/**
+ * Find the tenant contact for a WhatsApp sender, creating one if needed
+ * Numbers are compared digits-only since contacts may be stored with formatting.
+ * A message from a deleted contact restores it so the thread stays linked.
+ * @param {string} tenantId - Tenant ID
+ * @param {string} waId - Sender's WhatsApp ID (digits)
+ * @param {string|null} profileName - Sender's WhatsApp profile name
+ * @returns {string} Contact ID
+ */
+function findOrCreateContactByPhone(tenantId, waId, profileName = null) {
+  const digits = String(waId || '').replace(/[^0-9]/g, '');
+  if (!digits) {
+    throw new Error('Inbound message has no sender number');
+  }
+
+  const existing = db.prepare(`
+    SELECT id, deleted_at FROM contacts
+    WHERE tenant_id = ?
+      AND REPLACE(REPLACE(REPLACE(REPLACE(REPLACE(phone, '+', ''), ' ', ''), '-', ''), '(', ''), ')', '') = ?
+    ORDER BY deleted_at IS NOT NULL, created_at ASC
+    LIMIT 1
+  `).get(tenantId, digits);
+
+  const now = new Date().toISOString();
+  if (existing) {
+    if (existing.deleted_at) {
+      db.prepare('UPDATE contacts SET deleted_at = NULL, updated_at = ? WHERE id = ?').run(now, existing.id);
+    }
+    return existing.id;
+  }
+
+  // Writing in is not marketing consent, so consent flags stay off
+  const contactId = uuidv4();
+  db.prepare(`
+    INSERT INTO contacts (id, tenant_id, phone, name, consent_whatsapp, consent_email, consent_source, created_at, updated_at)
+    VALUES (?, ?, ?, ?, 0, 0, 'whatsapp_inbound', ?, ?)
+  `).run(contactId, tenantId, `+${digits}`, profileName || null, now, now);
+  return contactId;
+}
+
+/**
+ * Get the conversation for a contact on a channel, creating it if needed
+ * @returns {Object} Conversation row
+ */
+function getOrCreateConversation(tenantId, contactId, channel = 'whatsapp') {
+  const existing = db.prepare(`
+    SELECT * FROM conversations WHERE tenant_id = ? AND contact_id = ? AND channel = ?
+  `).get(tenantId, contactId, channel);
+  if (existing) return existing;
+
+  const id = uuidv4();
+  const now = new Date().toISOString();
+  db.prepare(`
+    INSERT INTO conversations (id, tenant_id, contact_id, channel, status, created_at, updated_at)
+    VALUES (?, ?, ?, ?, 'open', ?, ?)
+  `).run(id, tenantId, contactId, channel, now, now);
+  return db.prepare('SELECT * FROM conversations WHERE id = ?').get(id);
+}
+
+/**
+ * Store a customer message from the WhatsApp webhook
+ * Re-delivered webhooks are ignored by provider message ID.
+ * @param {string} tenantId - Tenant that owns the receiving phone number
+ * @param {Object} message - Entry from value.messages
+ * @param {Object|null} profile - Matching entry from value.contacts ({ wa_id, profile: { name } })
+ * @returns {{ conversationId: string, contactId: string, messageId: string, duplicate: boolean }}
+ */
+function recordInboundMessage(tenantId, message, profile = null) {
+  const existing = db.prepare(`
+    SELECT m.id, m.conversation_id, cv.contact_id
+    FROM conversation_messages m
+    JOIN conversations cv ON cv.id = m.conversation_id
+    WHERE m.provider_message_id = ?
+  `).get(message.id);
+  if (existing) {
+    return { conversationId: existing.conversation_id, contactId: existing.contact_id, messageId: existing.id, duplicate: true };
+  }
+
+  const { type, body } = extractInboundContent(message);
+  const receivedAt = toIsoTimestamp(message.timestamp);
+
+  const store = db.transaction(() => {
+    const contactId = findOrCreateContactByPhone(tenantId, message.from, profile?.profile?.name);
+    const conversation = getOrCreateConversation(tenantId, contactId, 'whatsapp');
+    const messageId = uuidv4();
+    const now = new Date().toISOString();
+
+    db.prepare(`
+      INSERT INTO conversation_messages
+      (id, conversation_id, tenant_id, direction, message_type, body, provider_message_id, status, payload, created_at, updated_at)
+      VALUES (?, ?, ?, 'inbound', ?, ?, ?, 'received', ?, ?, ?)
+    `).run(messageId, conversation.id, tenantId, type, body, message.id, JSON.stringify(message), receivedAt, now);
+
+    // A customer writing in reopens the thread and restarts the service window
+    db.prepare(`
+      UPDATE conversations
+      SET status = 'open',
+          last_inbound_at = CASE WHEN last_inbound_at IS NULL OR last_inbound_at < ? THEN ? ELSE last_inbound_at END,
+          last_message_at = CASE WHEN last_message_at IS NULL OR last_message_at < ? THEN ? ELSE last_message_at END,
+          last_message_preview = ?,
+          unread_count = unread_count + 1,
+          updated_at = ?
+      WHERE id = ?
+    `).run(receivedAt, receivedAt, receivedAt, receivedAt, buildPreview(body), now, conversation.id);
+
+    return { conversationId: conversation.id, contactId, messageId, duplicate: false };
+  });
+
+  return store();
+}
+
+/**
+ * Store an agent reply that was accepted by the provider
+ * @param {Object} conversation - Conversation row
+ * @param {Object} reply - { type, body, templateId, providerMessageId, userId }
+ * @returns {Object} Stored message row
+ */
+function recordOutboundMessage(conversation, { type, body, templateId = null, providerMessageId, userId }) {
+  const id = uuidv4();
+  const now = new Date().toISOString();
+
+  db.prepare(`
+    INSERT INTO conversation_messages
+    (id, conversation_id, tenant_id, direction, message_type, body, template_id, provider_message_id, status, sent_by_user_id, created_at, updated_at)
+    VALUES (?, ?, ?, 'outbound', ?, ?, ?, ?, 'sent', ?, ?, ?)
+  `).run(id, conversation.id, conversation.tenant_id, type, body, templateId, providerMessageId, userId, now, now);
+
+  db.prepare(`
+    UPDATE conversations
+    SET last_message_at = ?, last_message_preview = ?, unread_count = 0, updated_at = ?
+    WHERE id = ?
+  `).run(now, buildPreview(body), now, conversation.id);
+
+  return db.prepare('SELECT * FROM conversation_messages WHERE id = ?').get(id);
+}
+
+/**
+ * Apply a WhatsApp status receipt to an inbox reply
+ * @returns {boolean} True if the receipt matched an inbox message
+ */
+function applyConversationMessageStatus(providerMessageId, newStatus, statusReason = null) {
+  const message = db.prepare(`
+    SELECT id, status FROM conversation_messages
+    WHERE provider_message_id = ? AND direction = 'outbound'
+  `).get(providerMessageId);
+  if (!message) return false;
+
+  const currentRank = OUTBOUND_STATUS_RANK[message.status] || 0;
+  const nextRank = OUTBOUND_STATUS_RANK[newStatus];
+  if (!nextRank || nextRank <= currentRank) return true;
+
+  db.prepare(`
+    UPDATE conversation_messages
+    SET status = ?, status_reason = COALESCE(?, status_reason), updated_at = ?
+    WHERE id = ?
+  `).run(newStatus, statusReason, new Date().toISOString(), message.id);
+  return true;
+}
+
+module.exports = {
+  CUSTOMER_SERVICE_WINDOW_MS,
+  getWindowExpiresAt,
+  isWindowOpen,
+  extractInboundContent,
+  findOrCreateContactByPhone,
+  getOrCreateConversation,
+  recordInboundMessage,
+  recordOutboundMessage,
+  applyConversationMessageStatus
+};
@@ -0,0 +1,220 @@
+/**
+ * Job Queue
+ * Durable background jobs with leases (visibility timeouts), retries, priority
+ * lanes and a per-queue worker pool. The backend is picked by JOB_QUEUE_DRIVER
+ * (see jobQueueDriver.js for how an SQS driver maps onto the interface).
+ *
+ * Handlers return nothing to complete the job, { retryInMs } to run it again
+ * later, { deferInMs } to put it back without using an attempt (throttled), or
+ * throw to retry with backoff until max_attempts is reached.
+ */
+
+const os = require('os');
+const SqliteJobQueueDriver = require('./sqliteJobQueue');
+
+const JOB_QUEUE_DRIVERS = {
+  sqlite: SqliteJobQueueDriver
+};
+
+const LANES = {
+  TRANSACTIONAL: 'transactional',
+  BULK: 'bulk'
+};
+
+const WORKER_CONCURRENCY = parseInt(process.env.JOB_WORKER_CONCURRENCY || '4', 10);
+const POLL_INTERVAL_MS = parseInt(process.env.JOB_POLL_INTERVAL_MS || '250', 10);
+const VISIBILITY_TIMEOUT_MS = parseInt(process.env.JOB_VISIBILITY_TIMEOUT_MS || '60000', 10);
+const RECOVERY_INTERVAL_MS = parseInt(process.env.JOB_RECOVERY_INTERVAL_MS || '30000', 10);
+const RETRY_BASE_MS = 5000;
+const RETENTION_DAYS = 7;
+
+// Lease owner for this process; recovery uses it to spot leases held by dead local workers
+const WORKER_ID = `${os.hostname()}:${process.pid}`;
+
+const handlers = {};
+const inFlight = {};
+let driver = null;
+let workerStarted = false;
+
+/**
+ * Driver selected by JOB_QUEUE_DRIVER (default sqlite)
+ * @returns {JobQueueDriver}
+ */
+function getDriver() {
+  if (!driver) {
+    const key = process.env.JOB_QUEUE_DRIVER || 'sqlite';
+    const Driver = JOB_QUEUE_DRIVERS[key];
+    if (!Driver) {
+      throw new Error(`Unsupported job queue driver: ${key}`);
+    }
+    driver = new Driver();
+  }
+  return driver;
+}
+
+/**
+ * Add a job to a queue
+ * Uses the shared database connection, so enqueueing inside a db.transaction()
+ * commits or rolls back with the rows the job refers to.
+ * @param {string} queue - Queue name
+ * @param {Object} payload - Job data
+ * @param {Object} options - { lane, tenantId, dedupeKey, runAt, maxAttempts }
+ * @returns {string|null} Job ID, or null if an active job with the same dedupeKey exists
+ */
+function enqueueJob(queue, payload, options = {}) {
+  return getDriver().enqueue(queue, payload, options);
+}
+
+/**
+ * Register the handler for a queue
+ * @param {string} queue - Queue name
+ * @param {Function} handle - async (payload, job) => void | { retryInMs } | { deferInMs }
+ * @param {Object} options - { concurrency, onFailed: (payload, job, reason) => void }
+ */
+function registerJobHandler(queue, handle, options = {}) {
+  handlers[queue] = {
+    handle,
+    onFailed: options.onFailed || null,
+    concurrency: options.concurrency || WORKER_CONCURRENCY
+  };
+  inFlight[queue] = inFlight[queue] || 0;
+}
+
+/**
+ * Whether the process holding a lease is still running
+ * Only processes on this host can be checked; others rely on the lease expiring.
+ */
+function isOwnerAlive(owner) {
+  const [host, pid] = String(owner || '').split(':');
+  if (host !== os.hostname() || !pid) return true;
+  if (Number(pid) === process.pid) return true;
+  try {
+    process.kill(Number(pid), 0);
+    return true;
+  } catch (error) {
+    return error.code === 'EPERM';
+  }
+}
+
+function notifyFailed(job, reason) {
+  const handler = handlers[job.queue];
+  if (!handler?.onFailed) return;
+  try {
+    handler.onFailed(job.payload, job, reason);
+  } catch (error) {
+    console.error(`Job ${job.id} failure handler error:`, error.message);
+  }
+}
+
+/**
+ * Run one leased job and settle it (complete, retry or fail)
+ */
+async function runJob(job) {
+  const handler = handlers[job.queue];
+  try {
+    const result = await handler.handle(job.payload, job);
+    if (result && result.deferInMs !== undefined) {
+      getDriver().defer(job, result.deferInMs);
+    } else if (result && result.retryInMs !== undefined) {
+      getDriver().retry(job, { delayMs: result.retryInMs, error: result.error || null });
+    } else {
+      getDriver().complete(job);
+    }
+  } catch (error) {
+    const reason = error?.message || 'Unknown error';
+    if (job.attempts >= job.max_attempts) {
+      if (getDriver().fail(job, reason)) {
+        console.error(`✗ Job ${job.id} (${job.queue}) failed after ${job.attempts} attempts: ${reason}`);
+        notifyFailed(job, reason);
+      }
+    } else {
+      getDriver().retry(job, { delayMs: RETRY_BASE_MS * Math.pow(2, job.attempts - 1), error: reason });
+    }
+  }
+}
+
+/**
+ * Lease due jobs for every registered queue up to its free worker slots
+ * @returns {number} Jobs started
+ */
+function pollJobs() {
+  let started = 0;
+  Object.keys(handlers).forEach(queue => {
+    const free = handlers[queue].concurrency - inFlight[queue];
+    if (free <= 0) return;
+
+    const jobs = getDriver().lease(queue, { owner: WORKER_ID, limit: free, visibilityTimeoutMs: VISIBILITY_TIMEOUT_MS });
+    jobs.forEach(job => {
+      inFlight[queue]++;
+      started++;
+      runJob(job)
+        .catch(error => console.error(`Job ${job.id} crashed:`, error))
+        .finally(() => { inFlight[queue]--; });
+    });
+  });
+  return started;
+}
+
+/**
+ * Requeue jobs whose lease expired or whose worker died, and drop old finished jobs
+ * @returns {{ released: number, failed: number, purged: number }}
+ */
+function recoverJobs() {
+  const { released, failed } = getDriver().recover({ isOwnerAlive });
+  failed.forEach(job => notifyFailed(job, job.last_error));
+  const purged = getDriver().purge(new Date(Date.now() - RETENTION_DAYS * 24 * 60 * 60 * 1000));
+  if (released > 0 || failed.length > 0) {
+    console.log(`⟳ Recovered ${released} stuck job(s), ${failed.length} out of attempts`);
+  }
+  return { released, failed: failed.length, purged };
+}
+
+/**
+ * Job counts by queue, lane and status
+ */
+function getJobStats() {
+  return getDriver().stats();
+}
+
+/**
+ * Start the worker: recover jobs left by the last shutdown, then poll for due jobs
+ */
+function startJobWorker() {
+  if (workerStarted) return;
+  workerStarted = true;
+
+  try {
+    recoverJobs();
+  } catch (error) {
+    console.error('Job recovery failed:', error);
+  }
+
+  setInterval(() => {
+    try {
+      pollJobs();
+    } catch (error) {
+      console.error('Error polling jobs:', error);
+    }
+  }, POLL_INTERVAL_MS);
+
+  setInterval(() => {
+    try {
+      recoverJobs();
+    } catch (error) {
+      console.error('Job recovery failed:', error);
+    }
+  }, RECOVERY_INTERVAL_MS);
+
+  console.log(`✓ Job worker started (${getDriver().name}, ${WORKER_ID}, concurrency ${WORKER_CONCURRENCY})`);
+}
+
+module.exports = {
+  LANES,
+  WORKER_ID,
+  enqueueJob,
+  registerJobHandler,
+  pollJobs,
+  recoverJobs,
+  getJobStats,
+  startJobWorker
+};
@@ -0,0 +1,114 @@
+/**
+ * JobQueueDriver - Abstract base class for job queue backends
+ *
+ * Implements the provider pattern (like SmsProvider, BillingProvider)
+ * The worker in jobQueue.js only talks to this interface, so the SQLite driver
+ * can be swapped for a hosted queue. For SQS (queues in Terraform/engageninja-terraform-sqs.tf):
+ * - enqueue → SendMessage (DelaySeconds for runAt; one SQS queue per lane)
+ * - lease → ReceiveMessage with VisibilityTimeout; the receipt handle is the lease
+ * - complete → DeleteMessage
+ * - retry / defer → ChangeMessageVisibility to the delay (SQS still counts the receive)
+ * - fail → DeleteMessage after copying to the DLQ (or rely on the redrive policy)
+ * - recover → no-op; SQS returns messages whose visibility timeout expired
+ *
+ * Jobs handed to the worker look like:
+ * { id, queue, lane, payload (parsed), tenant_id, attempts, max_attempts, lease_owner, ... }
+ */
+
+class JobQueueDriver {
+  /**
+   * Driver key (JOB_QUEUE_DRIVER)
+   * @returns {string}
+   */
+  get name() {
+    throw new Error('name not implemented');
+  }
+
+  /**
+   * Add a job
+   * @param {string} _queue - Queue name (e.g. 'outbound_messages')
+   * @param {Object} _payload - JSON-serializable job data
+   * @param {Object} _options - { lane: 'transactional'|'bulk', tenantId, dedupeKey, runAt: Date, maxAttempts }
+   * @returns {string|null} Job ID, or null when an active job with the same dedupeKey exists
+   */
+  enqueue(_queue, _payload, _options = {}) {
+    throw new Error('enqueue() not implemented');
+  }
+
+  /**
+   * Claim up to `limit` due jobs, transactional lane first, tenants taking turns within a lane
+   * @param {string} _queue - Queue name
+   * @param {Object} _options - { owner, limit, visibilityTimeoutMs }
+   * @returns {Array<Object>} Leased jobs (attempts already incremented)
+   */
+  lease(_queue, _options) {
+    throw new Error('lease() not implemented');
+  }
+
+  /**
+   * Mark a leased job done
+   * @param {Object} _job - Leased job
+   * @returns {boolean} False if the lease was lost (expired and taken by another worker)
+   */
+  complete(_job) {
+    throw new Error('complete() not implemented');
+  }
+
+  /**
+   * Put a leased job back in the queue after a delay
+   * @param {Object} _job - Leased job
+   * @param {Object} _options - { delayMs, error }
+   * @returns {boolean} False if the lease was lost
+   */
+  retry(_job, _options) {
+    throw new Error('retry() not implemented');
+  }
+
+  /**
+   * Put a leased job back without using up an attempt (e.g. throttled before it ran)
+   * @param {Object} _job - Leased job
+   * @param {number} _delayMs - How long to wait
+   * @returns {boolean} False if the lease was lost
+   */
+  defer(_job, _delayMs) {
+    throw new Error('defer() not implemented');
+  }
+
+  /**
+   * Give up on a leased job
+   * @param {Object} _job - Leased job
+   * @param {string} _error - Reason
+   * @returns {boolean} False if the lease was lost
+   */
+  fail(_job, _error) {
+    throw new Error('fail() not implemented');
+  }
+
+  /**
+   * Return jobs with expired leases (or leases held by dead local workers) to the queue
+   * @param {Object} _options - { isOwnerAlive: (owner) => boolean }
+   * @returns {{ released: number, failed: Array<Object> }} Jobs that ran out of attempts are failed and returned
+   */
+  recover(_options) {
+    throw new Error('recover() not implemented');
+  }
+
+  /**
+   * Delete finished jobs older than the cutoff
+   * @param {Date} _before - Cutoff
+   * @returns {number} Jobs removed
+   */
+  purge(_before) {
+    throw new Error('purge() not implemented');
+  }
+
+  /**
+   * Job counts by queue, lane and status
+   * @returns {Array<Object>}
+   */
+  stats() {
+    throw new Error('stats() not implemented');
+  }
+}
+
+module.exports = JobQueueDriver;
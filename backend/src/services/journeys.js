@@ -0,0 +1,847 @@
+/**
+ * Journeys Service
+ * Multi-step drip journeys that contacts enter when something happens to them.
+ *
+ * A definition is a graph of steps starting at `start`:
+ *   { trigger, start: stepId, steps: [step] }
+ *
+ * Triggers:
+ *   { type: 'tag_added', tag_id }
+ *   { type: 'contact_created' }
+ *   { type: 'inbound_keyword', keywords: [string] }  (WhatsApp replies, whole message)
+ *   { type: 'date_attribute', attribute, offset_days, annual, hour }
+ *     Runs on attribute date + offset_days at `hour` in the tenant's timezone;
+ *     annual matches month and day only (birthdays, renewals).
+ *
+ * Steps (every step but condition continues at `next`, null ends the journey):
+ *   { id, type: 'send_template', template_id, message_content }  (WhatsApp)
+ *   { id, type: 'send_email', subject, htmlBody, textBody }
+ *   { id, type: 'delay', amount, unit: 'minutes' | 'hours' | 'days' }
+ *   { id, type: 'condition', status: 'sent' | 'delivered' | 'read' | 'failed', step_id, then, else }
+ *     Checks the message sent by step_id (default: the latest send) at the time it runs.
+ *   { id, type: 'add_tag' | 'remove_tag', tag_id }
+ *   { id, type: 'webhook', payload }  (journey.webhook to the tenant's endpoints)
+ *
+ * Triggers insert an enrollment due now; the scheduler runs each due enrollment's
+ * steps until it reaches a delay or the end of the journey.
+ */
+
+const db = require('../db');
+const { v4: uuidv4 } = require('uuid');
+const { normalizeKeyword } = require('./consent');
+const { checkContactEligibility } = require('./audience');
+const { getAttributeDefinitions } = require('./contactAttributes');
+const { emitWebhookEvent } = require('./outboundWebhooks');
+const { enqueueMessageJobs } = require('./messageQueue');
+const {
+  getMessageProvider,
+  validateCampaignChannel,
+  checkSendAllowance,
+  recordMessageUsage
+} = require('./campaignSender');
+const { isValidTimeZone } = require('../utils/timezone');
+
+const TRIGGER_TYPES = ['tag_added', 'contact_created', 'inbound_keyword', 'date_attribute'];
+const STEP_TYPES = ['send_template', 'send_email', 'delay', 'condition', 'add_tag', 'remove_tag', 'webhook'];
+const SEND_CHANNELS = { send_template: 'whatsapp', send_email: 'email' };
+const CONDITION_STATUSES = ['sent', 'delivered', 'read', 'failed'];
+const DELAY_UNITS = { minutes: 60 * 1000, hours: 60 * 60 * 1000, days: 24 * 60 * 60 * 1000 };
+const MAX_DELAY_MS = 365 * DELAY_UNITS.days;
+
+// Message statuses that satisfy each condition (a read message was also delivered and sent)
+const CONDITION_MATCHES = {
+  sent: ['sent', 'delivered', 'read'],
+  delivered: ['delivered', 'read'],
+  read: ['read'],
+  failed: ['failed']
+};
+
+const MAX_STEPS = 50;
+const MAX_KEYWORDS = 20;
+const MAX_OFFSET_DAYS = 365;
+const STEP_ID_PATTERN = /^[A-Za-z0-9_-]{1,64}$/;
+
+// How often to run due enrollments and date triggers
+const SCHEDULER_INTERVAL_MS = parseInt(process.env.JOURNEY_SCHEDULER_INTERVAL_MS || '15000', 10);
+const BATCH_SIZE = 200;
+
+// ===== VALIDATION =====
+
+function getActiveTag(tenantId, tagId) {
+  if (!tagId) return null;
+  return db.prepare(`SELECT id FROM tags WHERE id = ? AND tenant_id = ? AND status = 'active'`).get(tagId, tenantId) || null;
+}
+
+function validateTrigger(trigger, tenantId) {
+  if (!trigger || typeof trigger !== 'object' || !TRIGGER_TYPES.includes(trigger.type)) {
+    return { error: `Trigger type must be one of: ${TRIGGER_TYPES.join(', ')}` };
+  }
+
+  switch (trigger.type) {
+    case 'tag_added': {
+      if (!getActiveTag(tenantId, trigger.tag_id)) {
+        return { error: 'Tag trigger references an unknown or archived tag' };
+      }
+      return { trigger: { type: 'tag_added', tag_id: trigger.tag_id } };
+    }
+
+    case 'contact_created':
+      return { trigger: { type: 'contact_created' } };
+
+    case 'inbound_keyword': {
+      const keywords = Array.isArray(trigger.keywords)
+        ? Array.from(new Set(trigger.keywords.map(normalizeKeyword).filter(Boolean)))
+        : [];
+      if (keywords.length === 0) {
+        return { error: 'Keyword trigger needs at least one keyword' };
+      }
+      if (keywords.length > MAX_KEYWORDS) {
+        return { error: `Keyword triggers are limited to ${MAX_KEYWORDS} keywords` };
+      }
+      return { trigger: { type: 'inbound_keyword', keywords } };
+    }
+
+    case 'date_attribute': {
+      const definition = getAttributeDefinitions(tenantId).find(def => def.key === trigger.attribute);
+      if (!definition || definition.type !== 'date') {
+        return { error: 'Date trigger must reference a date attribute' };
+      }
+      const offsetDays = Number(trigger.offset_days ?? 0);
+      if (!Number.isInteger(offsetDays) || Math.abs(offsetDays) > MAX_OFFSET_DAYS) {
+        return { error: `offset_days must be a whole number between -${MAX_OFFSET_DAYS} and ${MAX_OFFSET_DAYS}` };
+      }
+      const hour = Number(trigger.hour ?? 9);
+      if (!Number.isInteger(hour) || hour < 0 || hour > 23) {
+        return { error: 'hour must be between 0 and 23' };
+      }
+      return {
+        trigger: {
+          type: 'date_attribute',
+          attribute: definition.key,
+          offset_days: offsetDays,
+          annual: Boolean(trigger.annual),
+          hour
+        }
+      };
+    }
+
+    default:
+      return { error: 'Unknown trigger type' };
+  }
+}
+
+function parseContent(value) {
+  if (value === undefined || value === null || value === '') return null;
+  if (typeof value !== 'string') return value;
+  try {
+    return JSON.parse(value);
+  } catch {
+    return value;
+  }
+}
+
+function optionalStepId(value) {
+  return value === undefined || value === null || value === '' ? null : value;
+}
+
+function validateStep(step, tenantId) {
+  if (!step || typeof step !== 'object') {
+    return { error: 'Each step must be an object' };
+  }
+  if (typeof step.id !== 'string' || !STEP_ID_PATTERN.test(step.id)) {
+    return { error: 'Step ids must be 1-64 letters, numbers, "-" or "_"' };
+  }
+  if (!STEP_TYPES.includes(step.type)) {
+    return { error: `Step ${step.id}: type must be one of: ${STEP_TYPES.join(', ')}` };
+  }
+
+  const base = { id: step.id, type: step.type, next: optionalStepId(step.next) };
+
+  switch (step.type) {
+    case 'send_template': {
+      const template = db.prepare(`
+        SELECT id FROM whatsapp_templates WHERE id = ? AND tenant_id = ?
+      `).get(step.template_id || null, tenantId);
+      if (!template) {
+        return { error: `Step ${step.id}: choose a WhatsApp template` };
+      }
+      return { step: { ...base, template_id: template.id, message_content: parseContent(step.message_content) } };
+    }
+
+    case 'send_email': {
+      const subject = typeof step.subject === 'string' ? step.subject.trim() : '';
+      const htmlBody = typeof step.htmlBody === 'string' ? step.htmlBody : '';
+      const textBody = typeof step.textBody === 'string' ? step.textBody : '';
+      if (!subject || (!htmlBody.trim() && !textBody.trim())) {
+        return { error: `Step ${step.id}: email subject and body are required` };
+      }
+      return { step: { ...base, subject, htmlBody, textBody } };
+    }
+
+    case 'delay': {
+      const amount = Number(step.amount);
+      if (!DELAY_UNITS[step.unit] || !Number.isInteger(amount) || amount < 1 || amount * DELAY_UNITS[step.unit] > MAX_DELAY_MS) {
+        return { error: `Step ${step.id}: delay must be a whole number of minutes, hours or days, up to 365 days` };
+      }
+      return { step: { ...base, amount, unit: step.unit } };
+    }
+
+    case 'condition': {
+      if (!CONDITION_STATUSES.includes(step.status)) {
+        return { error: `Step ${step.id}: condition status must be one of: ${CONDITION_STATUSES.join(', ')}` };
+      }
+      return {
+        step: {
+          id: step.id,
+          type: 'condition',
+          status: step.status,
+          step_id: optionalStepId(step.step_id),
+          then: optionalStepId(step.then),
+          else: optionalStepId(step.else)
+        }
+      };
+    }
+
+    case 'add_tag':
+    case 'remove_tag': {
+      if (!getActiveTag(tenantId, step.tag_id)) {
+        return { error: `Step ${step.id}: choose an active tag` };
+      }
+      return { step: { ...base, tag_id: step.tag_id } };
+    }
+
+    case 'webhook': {
+      const payload = step.payload ?? null;
+      if (payload !== null && (typeof payload !== 'object' || Array.isArray(payload))) {
+        return { error: `Step ${step.id}: webhook payload must be a JSON object` };
+      }
+      return { step: { ...base, payload } };
+    }
+
+    default:
+      return { error: `Step ${step.id}: unknown type` };
+  }
+}
+
+function getStepTargets(step) {
+  return step.type === 'condition' ? [step.then, step.else] : [step.next];
+}
+
+/**
+ * Validate and normalize a journey definition against the tenant's tags, templates
+ * and attributes. Every step must be reachable from `start` and the graph may not loop.
+ * @param {Object} definition - Definition from the client
+ * @param {string} tenantId - Tenant ID
+ * @returns {{ definition?: Object, error?: string }}
+ */
+function validateJourneyDefinition(definition, tenantId) {
+  if (!definition || typeof definition !== 'object') {
+    return { error: 'Journey definition is required' };
+  }
+
+  const triggerResult = validateTrigger(definition.trigger, tenantId);
+  if (triggerResult.error) return triggerResult;
+
+  if (!Array.isArray(definition.steps) || definition.steps.length === 0) {
+    return { error: 'A journey needs at least one step' };
+  }
+  if (definition.steps.length > MAX_STEPS) {
+    return { error: `Journeys are limited to ${MAX_STEPS} steps` };
+  }
+
+  const steps = [];
+  const byId = new Map();
+  for (const raw of definition.steps) {
+    const result = validateStep(raw, tenantId);
+    if (result.error) return result;
+    if (byId.has(result.step.id)) {
+      return { error: `Step id ${result.step.id} is used more than once` };
+    }
+    byId.set(result.step.id, result.step);
+    steps.push(result.step);
+  }
+
+  for (const step of steps) {
+    const missing = getStepTargets(step).find(target => target && !byId.has(target));
+    if (missing) {
+      return { error: `Step ${step.id} continues at unknown step ${missing}` };
+    }
+    if (step.type === 'condition' && step.step_id) {
+      const source = byId.get(step.step_id);
+      if (!source || !SEND_CHANNELS[source.type]) {
+        return { error: `Step ${step.id}: condition must check a send step` };
+      }
+    }
+  }
+
+  if (!byId.has(definition.start)) {
+    return { error: 'start must be the id of the first step' };
+  }
+
+  // Depth-first walk from start: a step seen again on the current path is a loop
+  const visited = new Set();
+  const onPath = new Set();
+  const walk = (stepId) => {
+    if (onPath.has(stepId)) return `Step ${stepId} loops back on itself`;
+    if (visited.has(stepId)) return null;
+    visited.add(stepId);
+    onPath.add(stepId);
+    for (const target of getStepTargets(byId.get(stepId))) {
+      if (target) {
+        const error = walk(target);
+        if (error) return error;
+      }
+    }
+    onPath.delete(stepId);
+    return null;
+  };
+  const loopError = walk(definition.start);
+  if (loopError) return { error: loopError };
+
+  const unreachable = steps.find(step => !visited.has(step.id));
+  if (unreachable) {
+    return { error: `Step ${unreachable.id} can't be reached from the start of the journey` };
+  }
+
+  return { definition: { trigger: triggerResult.trigger, start: definition.start, steps } };
+}
+
+// ===== JOURNEYS =====
+
+function parseDefinition(journey) {
+  try {
+    return JSON.parse(journey.definition);
+  } catch {
+    return null;
+  }
+}
+
+function getJourney(tenantId, journeyId) {
+  const journey = db.prepare('SELECT * FROM journeys WHERE id = ? AND tenant_id = ?').get(journeyId, tenantId);
+  return journey ? { ...journey, definition: parseDefinition(journey) } : null;
+}
+
+/**
+ * Enrollment counts by status for each of the given journeys
+ * @returns {Map<string, Object>} journeyId -> { active, completed, exited, failed }
+ */
+function getEnrollmentCounts(journeyIds) {
+  const counts = new Map(journeyIds.map(id => [id, { active: 0, completed: 0, exited: 0, failed: 0 }]));
+  if (journeyIds.length === 0) return counts;
+
+  const rows = db.prepare(`
+    SELECT journey_id, status, COUNT(*) as count FROM journey_enrollments
+    WHERE journey_id IN (${journeyIds.map(() => '?').join(',')})
+    GROUP BY journey_id, status
+  `).all(...journeyIds);
+  rows.forEach(row => {
+    counts.get(row.journey_id)[row.status] = row.count;
+  });
+  return counts;
+}
+
+/**
+ * How many enrollments ran each step, by outcome, and the status of the messages it sent
+ * @returns {Object} stepId -> { runs, outcomes: { outcome: count }, messages: { status: count } }
+ */
+function getStepStats(journeyId) {
+  const stats = {};
+  const ensure = (stepId) => {
+    stats[stepId] = stats[stepId] || { runs: 0, outcomes: {}, messages: {} };
+    return stats[stepId];
+  };
+
+  db.prepare(`
+    SELECT step_id, outcome, COUNT(*) as count FROM journey_step_runs
+    WHERE journey_id = ? GROUP BY step_id, outcome
+  `).all(journeyId).forEach(row => {
+    const stat = ensure(row.step_id);
+    stat.runs += row.count;
+    stat.outcomes[row.outcome] = row.count;
+  });
+
+  db.prepare(`
+    SELECT r.step_id, m.status, COUNT(*) as count
+    FROM journey_step_runs r
+    JOIN messages m ON m.id = r.message_id
+    WHERE r.journey_id = ?
+    GROUP BY r.step_id, m.status
+  `).all(journeyId).forEach(row => {
+    ensure(row.step_id).messages[row.status] = row.count;
+  });
+
+  return stats;
+}
+
+/**
+ * Exit active enrollments of a journey, optionally only those waiting at the given steps
+ * Call inside a transaction.
+ * @returns {number} Enrollments exited
+ */
+function exitActiveEnrollments(journeyId, reason, stepIds = null) {
+  const now = new Date().toISOString();
+  let sql = `
+    UPDATE journey_enrollments
+    SET status = 'exited', exit_reason = ?, next_run_at = NULL, completed_at = ?, updated_at = ?
+    WHERE journey_id = ? AND status = 'active'
+  `;
+  const params = [reason, now, now, journeyId];
+  if (stepIds) {
+    if (stepIds.length === 0) return 0;
+    sql += ` AND current_step_id IN (${stepIds.map(() => '?').join(',')})`;
+    params.push(...stepIds);
+  }
+  return db.prepare(sql).run(...params).changes;
+}
+
+// ===== TRIGGERS =====
+
+function getActiveJourneys(tenantId, triggerType) {
+  return db.prepare(`
+    SELECT * FROM journeys WHERE tenant_id = ? AND status = 'active' AND trigger_type = ?
+  `).all(tenantId, triggerType)
+    .map(journey => ({ ...journey, definition: parseDefinition(journey) }))
+    .filter(journey => journey.definition);
+}
+
+/**
+ * Put a contact into a journey, due to start right away
+ * Skips contacts already in it, and contacts who were in it before unless re-entry is on.
+ * @returns {boolean} True if an enrollment was created
+ */
+function enrollContact(journey, contactId, { triggerKey = null, triggerData = null, now = new Date() } = {}) {
+  const contact = db.prepare(`
+    SELECT id FROM contacts WHERE id = ? AND tenant_id = ? AND deleted_at IS NULL
+  `).get(contactId, journey.tenant_id);
+  if (!contact) return false;
+
+  if (!journey.allow_reentry) {
+    const previous = db.prepare(`
+      SELECT 1 FROM journey_enrollments WHERE journey_id = ? AND contact_id = ? LIMIT 1
+    `).get(journey.id, contactId);
+    if (previous) return false;
+  }
+
+  const at = now.toISOString();
+  // The unique indexes skip contacts already active (or already enrolled for this date)
+  const result = db.prepare(`
+    INSERT OR IGNORE INTO journey_enrollments (
+      id, journey_id, tenant_id, contact_id, status, current_step_id, next_run_at,
+      trigger_key, trigger_data, enrolled_at, updated_at
+    ) VALUES (?, ?, ?, ?, 'active', ?, ?, ?, ?, ?, ?)
+  `).run(
+    uuidv4(),
+    journey.id,
+    journey.tenant_id,
+    contactId,
+    journey.definition.start,
+    at,
+    triggerKey,
+    triggerData ? JSON.stringify(triggerData) : null,
+    at,
+    at
+  );
+  return result.changes > 0;
+}
+
+/**
+ * Run the trigger handler, logging instead of throwing so callers (contact saves,
+ * imports, inbound webhooks) never fail because of a journey
+ */
+function safely(label, fn) {
+  try {
+    return fn();
+  } catch (error) {
+    console.error(`Error enrolling contacts (${label}):`, error.message);
+    return 0;
+  }
+}
+
+/**
+ * Enroll a new contact in contact_created journeys (and tag_added journeys for its tags)
+ * @returns {number} Enrollments created
+ */
+function handleContactCreated(tenantId, contactId, tagIds = []) {
+  const enrolled = safely('contact_created', () => getActiveJourneys(tenantId, 'contact_created')
+    .filter(journey => enrollContact(journey, contactId)).length);
+  return enrolled + handleTagsAdded(tenantId, contactId, tagIds);
+}
+
+/**
+ * Enroll a contact in tag_added journeys for tags it just received
+ * @param {Array<string>} tagIds - Tags that were not on the contact before
+ * @returns {number} Enrollments created
+ */
+function handleTagsAdded(tenantId, contactId, tagIds) {
+  if (!Array.isArray(tagIds) || tagIds.length === 0) return 0;
+  return safely('tag_added', () => getActiveJourneys(tenantId, 'tag_added')
+    .filter(journey => tagIds.includes(journey.definition.trigger.tag_id))
+    .filter(journey => enrollContact(journey, contactId, { triggerData: { tag_id: journey.definition.trigger.tag_id } }))
+    .length);
+}
+
+/**
+ * Enroll a contact whose inbound message is one of a journey's keywords
+ * @returns {number} Enrollments created
+ */
+function handleInboundMessage(tenantId, contactId, text) {
+  const keyword = normalizeKeyword(text);
+  if (!keyword) return 0;
+  return safely('inbound_keyword', () => getActiveJourneys(tenantId, 'inbound_keyword')
+    .filter(journey => journey.definition.trigger.keywords.includes(keyword))
+    .filter(journey => enrollContact(journey, contactId, { triggerData: { keyword } }))
+    .length);
+}
+
+// ===== DATE TRIGGERS =====
+
+/**
+ * Calendar date and hour of an instant in a timezone
+ * @returns {{ date: string, hour: number }} date as YYYY-MM-DD
+ */
+function getLocalDateParts(now, timeZone) {
+  const parts = {};
+  new Intl.DateTimeFormat('en-US', {
+    timeZone,
+    hourCycle: 'h23',
+    year: 'numeric',
+    month: '2-digit',
+    day: '2-digit',
+    hour: '2-digit'
+  }).formatToParts(now).forEach(part => {
+    parts[part.type] = part.value;
+  });
+  return { date: `${parts.year}-${parts.month}-${parts.day}`, hour: Number(parts.hour) };
+}
+
+function shiftDate(date, days) {
+  const [year, month, day] = date.split('-').map(Number);
+  return new Date(Date.UTC(year, month - 1, day + days)).toISOString().slice(0, 10);
+}
+
+/**
+ * Enroll contacts whose date attribute (plus the journey's offset) is today in the
+ * tenant's timezone, once the configured hour has passed. Each contact enters once
+ * per date (trigger_key).
+ * @param {Date} now - Reference time
+ * @returns {number} Enrollments created
+ */
+function processDateTriggers(now = new Date()) {
+  const journeys = db.prepare(`
+    SELECT j.*, t.timezone FROM journeys j
+    JOIN tenants t ON t.id = j.tenant_id
+    WHERE j.status = 'active' AND j.trigger_type = 'date_attribute'
+  `).all();
+
+  let enrolled = 0;
+  for (const row of journeys) {
+    const journey = { ...row, definition: parseDefinition(row) };
+    if (!journey.definition) continue;
+    try {
+      const { attribute, offset_days: offsetDays, annual, hour } = journey.definition.trigger;
+      const local = getLocalDateParts(now, isValidTimeZone(row.timezone) ? row.timezone : 'UTC');
+      if (local.hour < hour) continue;
+
+      // A contact whose date is D enters on D + offset_days
+      const attributeDate = shiftDate(local.date, -offsetDays);
+      const contacts = db.prepare(`
+        SELECT id FROM contacts
+        WHERE tenant_id = ? AND deleted_at IS NULL AND json_valid(custom_attributes)
+          AND ${annual ? 'substr(json_extract(custom_attributes, ?), 6, 5) = ?' : 'json_extract(custom_attributes, ?) = ?'}
+      `).all(journey.tenant_id, `$.${attribute}`, annual ? attributeDate.slice(5) : attributeDate);
+
+      db.transaction(() => {
+        contacts.forEach(contact => {
+          if (enrollContact(journey, contact.id, { triggerKey: local.date, triggerData: { attribute, date: local.date }, now })) {
+            enrolled++;
+          }
+        });
+      })();
+    } catch (error) {
+      console.error(`Error running date trigger for journey ${journey.id}:`, error.message);
+    }
+  }
+  return enrolled;
+}
+
+// ===== STEPS =====
+
+function recordStepRun(enrollment, step, outcome, detail = null, messageId = null) {
+  db.prepare(`
+    INSERT INTO journey_step_runs (id, enrollment_id, journey_id, tenant_id, step_id, step_type, outcome, detail, message_id, created_at)
+    VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+  `).run(
+    uuidv4(),
+    enrollment.id,
+    enrollment.journey_id,
+    enrollment.tenant_id,
+    step.id,
+    step.type,
+    outcome,
+    detail,
+    messageId,
+    new Date().toISOString()
+  );
+}
+
+/**
+ * Queue the step's message through the same checks and metering as a campaign send
+ * @returns {Object} { outcome, detail, messageId } or { fail: reason }
+ */
+function runSendStep(enrollment, step, now) {
+  const channel = SEND_CHANNELS[step.type];
+  const content = step.type === 'send_email'
+    ? { subject: step.subject, htmlBody: step.htmlBody, textBody: step.textBody }
+    : step.message_content;
+  const sendLike = {
+    tenant_id: enrollment.tenant_id,
+    channel,
+    template_id: step.template_id || null,
+    message_content: content && typeof content === 'object' ? JSON.stringify(content) : content
+  };
+
+  const channelError = validateCampaignChannel(sendLike);
+  if (channelError) {
+    return { fail: channelError.message };
+  }
+
+  // Opted out or unreachable contacts skip the send and carry on through the journey
+  const exclusionReason = checkContactEligibility(enrollment.tenant_id, enrollment.contact_id, channel);
+  if (exclusionReason) {
+    return { outcome: 'skipped', detail: `Contact excluded from ${channel}: ${exclusionReason}`, messageId: null };
+  }
+
+  const allowanceError = checkSendAllowance(sendLike, 1);
+  if (allowanceError) {
+    return { fail: allowanceError.message };
+  }
+
+  const messageId = uuidv4();
+  const at = now.toISOString();
+  db.prepare(`
+    INSERT INTO messages (
+      id, tenant_id, campaign_id, journey_id, journey_enrollment_id, contact_id, channel, provider,
+      status, attempts, content_snapshot, created_at, updated_at
+    ) VALUES (?, ?, NULL, ?, ?, ?, ?, ?, 'queued', 1, ?, ?, ?)
+  `).run(
+    messageId,
+    enrollment.tenant_id,
+    enrollment.journey_id,
+    enrollment.id,
+    enrollment.contact_id,
+    channel,
+    getMessageProvider(channel, enrollment.tenant_id),
+    JSON.stringify({ template_id: sendLike.template_id, message_content: sendLike.message_content }),
+    at,
+    at
+  );
+  enqueueMessageJobs([{ id: messageId, tenant_id: enrollment.tenant_id }]);
+  recordMessageUsage(enrollment.tenant_id, channel, 1, at);
+
+  return { outcome: 'queued', detail: null, messageId };
+}
+
+function runConditionStep(enrollment, step) {
+  let messageId = enrollment.last_message_id;
+  if (step.step_id) {
+    messageId = db.prepare(`
+      SELECT message_id FROM journey_step_runs
+      WHERE enrollment_id = ? AND step_id = ? AND message_id IS NOT NULL
+      ORDER BY created_at DESC LIMIT 1
+    `).get(enrollment.id, step.step_id)?.message_id || null;
+  }
+  const message = messageId ? db.prepare('SELECT status FROM messages WHERE id = ?').get(messageId) : null;
+  const matched = Boolean(message) && CONDITION_MATCHES[step.status].includes(message.status);
+
+  return {
+    outcome: matched ? 'yes' : 'no',
+    detail: message ? `Message ${message.status}` : 'No message sent',
+    next: matched ? step.then : step.else
+  };
+}
+
+function runTagStep(enrollment, step, now) {
+  if (!getActiveTag(enrollment.tenant_id, step.tag_id)) {
+    return { outcome: 'skipped', detail: 'Tag no longer exists' };
+  }
+
+  if (step.type === 'remove_tag') {
+    db.prepare('DELETE FROM contact_tags WHERE contact_id = ? AND tag_id = ?').run(enrollment.contact_id, step.tag_id);
+    return { outcome: 'done', detail: null };
+  }
+
+  const added = db.prepare('INSERT OR IGNORE INTO contact_tags (contact_id, tag_id) VALUES (?, ?)')
+    .run(enrollment.contact_id, step.tag_id).changes > 0;
+  if (added) {
+    db.prepare('UPDATE contacts SET updated_at = ? WHERE id = ?').run(now.toISOString(), enrollment.contact_id);
+    // Tagging can start other journeys
+    handleTagsAdded(enrollment.tenant_id, enrollment.contact_id, [step.tag_id]);
+  }
+  return { outcome: 'done', detail: added ? null : 'Contact already had the tag' };
+}
+
+function runWebhookStep(enrollment, step, journey) {
+  const contact = db.prepare(`
+    SELECT id, name, phone, email FROM contacts WHERE id = ?
+  `).get(enrollment.contact_id);
+  const queued = emitWebhookEvent(enrollment.tenant_id, 'journey.webhook', {
+    journey_id: journey.id,
+    journey_name: journey.name,
+    enrollment_id: enrollment.id,
+    step_id: step.id,
+    contact,
+    payload: step.payload || {}
+  });
+  return { outcome: 'done', detail: `Queued for ${queued} endpoint(s)` };
+}
+
+// ===== SCHEDULER =====
+
+function finishEnrollment(enrollmentId, status, reason, at) {
+  db.prepare(`
+    UPDATE journey_enrollments
+    SET status = ?, exit_reason = ?, current_step_id = NULL, next_run_at = NULL, completed_at = ?, updated_at = ?
+    WHERE id = ?
+  `).run(status, reason, at, at, enrollmentId);
+}
+
+/**
+ * Run an enrollment's steps from its current step until a delay or the end
+ * Runs in one transaction and checks the enrollment is still due inside it, so a
+ * contact exited or a journey paused meanwhile is left alone.
+ * @param {string} enrollmentId - Enrollment ID
+ * @param {Date} now - Reference time
+ * @returns {string|null} Enrollment status afterwards, or null if it wasn't due
+ */
+function runEnrollment(enrollmentId, now = new Date()) {
+  return db.transaction(() => {
+    const at = now.toISOString();
+    const enrollment = db.prepare(`
+      SELECT e.* FROM journey_enrollments e
+      JOIN journeys j ON j.id = e.journey_id
+      WHERE e.id = ? AND e.status = 'active' AND e.next_run_at <= ? AND j.status = 'active'
+    `).get(enrollmentId, at);
+    if (!enrollment) return null;
+
+    const journey = getJourney(enrollment.tenant_id, enrollment.journey_id);
+    const steps = new Map((journey.definition?.steps || []).map(step => [step.id, step]));
+
+    const contact = db.prepare(`
+      SELECT id FROM contacts WHERE id = ? AND deleted_at IS NULL
+    `).get(enrollment.contact_id);
+    if (!contact) {
+      finishEnrollment(enrollment.id, 'exited', 'Contact deleted', at);
+      return 'exited';
+    }
+
+    let stepId = enrollment.current_step_id;
+    // A valid journey is loop-free, so no run passes more steps than it has
+    for (let ran = 0; stepId && ran < MAX_STEPS; ran++) {
+      const step = steps.get(stepId);
+      if (!step) {
+        finishEnrollment(enrollment.id, 'failed', `Step ${stepId} no longer exists`, at);
+        return 'failed';
+      }
+
+      let result;
+      if (SEND_CHANNELS[step.type]) {
+        result = runSendStep(enrollment, step, now);
+      } else if (step.type === 'condition') {
+        result = runConditionStep(enrollment, step);
+      } else if (step.type === 'add_tag' || step.type === 'remove_tag') {
+        result = runTagStep(enrollment, step, now);
+      } else if (step.type === 'webhook') {
+        result = runWebhookStep(enrollment, step, journey);
+      } else if (step.type === 'delay') {
+        const runAt = new Date(now.getTime() + step.amount * DELAY_UNITS[step.unit]).toISOString();
+        recordStepRun(enrollment, step, 'waiting', `Until ${runAt}`);
+        if (!step.next) break;
+        db.prepare(`
+          UPDATE journey_enrollments SET current_step_id = ?, next_run_at = ?, updated_at = ? WHERE id = ?
+        `).run(step.next, runAt, at, enrollment.id);
+        return 'active';
+      }
+
+      if (result.fail) {
+        recordStepRun(enrollment, step, 'failed', result.fail);
+        finishEnrollment(enrollment.id, 'failed', result.fail, at);
+        return 'failed';
+      }
+
+      recordStepRun(enrollment, step, result.outcome, result.detail, result.messageId || null);
+      if (SEND_CHANNELS[step.type]) {
+        // Conditions without a step_id check the latest send; a skipped send has none
+        enrollment.last_message_id = result.messageId;
+        db.prepare(`
+          UPDATE journey_enrollments SET last_message_id = ?, updated_at = ? WHERE id = ?
+        `).run(result.messageId, at, enrollment.id);
+      }
+      stepId = step.type === 'condition' ? result.next : step.next;
+    }
+
+    finishEnrollment(enrollment.id, 'completed', null, at);
+    return 'completed';
+  }).immediate();
+}
+
+/**
+ * Run every active enrollment that is due, in journeys that are active
+ * @param {Date} now - Reference time (defaults to current time)
+ * @returns {number} Enrollments run
+ */
+function processDueEnrollments(now = new Date()) {
+  const due = db.prepare(`
+    SELECT e.id FROM journey_enrollments e
+    JOIN journeys j ON j.id = e.journey_id
+    WHERE e.status = 'active' AND e.next_run_at IS NOT NULL AND e.next_run_at <= ? AND j.status = 'active'
+    ORDER BY e.next_run_at ASC
+    LIMIT ?
+  `).all(now.toISOString(), BATCH_SIZE);
+
+  let ran = 0;
+  for (const { id } of due) {
+    try {
+      if (runEnrollment(id, now)) ran++;
+    } catch (error) {
+      console.error(`Error running journey enrollment ${id}:`, error);
+      finishEnrollment(id, 'failed', error.message, new Date().toISOString());
+    }
+  }
+  return ran;
+}
+
+/**
+ * Start running due journey enrollments and date triggers
+ */
+function startJourneyScheduler() {
+  console.log('🔄 Starting journey scheduler...');
+
+  setInterval(() => {
+    try {
+      processDateTriggers();
+      processDueEnrollments();
+    } catch (error) {
+      console.error('Fatal error in journey scheduler:', error);
+    }
+  }, SCHEDULER_INTERVAL_MS);
+
+  console.log('✓ Journey scheduler started');
+}
+
+module.exports = {
+  MAX_STEPS,
+  TRIGGER_TYPES,
+  STEP_TYPES,
+  validateJourneyDefinition,
+  getJourney,
+  getEnrollmentCounts,
+  getStepStats,
+  exitActiveEnrollments,
+  handleContactCreated,
+  handleTagsAdded,
+  handleInboundMessage,
+  processDateTriggers,
+  processDueEnrollments,
+  runEnrollment,
+  startJourneyScheduler
+};
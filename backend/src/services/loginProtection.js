@@ -0,0 +1,202 @@
+/**
+ * Login Protection Service
+ * Counts failed logins per account (login email) and per client IP in login_failures.
+ * After a few free attempts each further attempt has to wait twice as long as the one
+ * before; an account that keeps failing is locked for a while and its owner is emailed a
+ * single-use unlock link. Counters are forgotten after an hour without failures, and an
+ * account's counter also resets on a successful login or unlock. The housekeeping job
+ * deletes forgotten counters with pruneLoginFailures.
+ */
+
+const crypto = require('crypto');
+const db = require('../db');
+
+const LOCKOUT_THRESHOLD = parseInt(process.env.LOGIN_LOCKOUT_THRESHOLD || '10', 10);
+const LOCKOUT_MINUTES = parseInt(process.env.LOGIN_LOCKOUT_MINUTES || '30', 10);
+const FAILURE_WINDOW_MS = 60 * 60 * 1000;
+
+// freeAttempts failures cost nothing; after that the wait doubles from 1s up to maxDelaySeconds
+const POLICY = {
+  account: { freeAttempts: 3, maxDelaySeconds: 60 },
+  ip: { freeAttempts: 10, maxDelaySeconds: 15 * 60 }
+};
+
+const hashToken = (token) => crypto.createHash('sha256').update(String(token)).digest('hex');
+
+const normalizeEmail = (email) => String(email || '').trim().toLowerCase();
+
+// Counters from an expired lock or an old burst of failures don't count
+const isStale = (row, now) => (
+  row.locked_until_ms ? row.locked_until_ms <= now : row.last_failed_at_ms < now - FAILURE_WINDOW_MS
+);
+
+const loadCounter = (scope, identifier, now) => {
+  const row = db.prepare('SELECT * FROM login_failures WHERE scope = ? AND identifier = ?').get(scope, identifier);
+  return row && !isStale(row, now) ? row : null;
+};
+
+const delayMs = (scope, failureCount) => {
+  const { freeAttempts, maxDelaySeconds } = POLICY[scope];
+  if (failureCount < freeAttempts) return 0;
+  return Math.min(2 ** (failureCount - freeAttempts), maxDelaySeconds) * 1000;
+};
+
+// Add one failure to a counter, starting over when the old one is stale
+const bumpCounter = (scope, identifier, now) => {
+  const existing = loadCounter(scope, identifier, now);
+  const failureCount = (existing?.failure_count || 0) + 1;
+  db.prepare(`
+    INSERT INTO login_failures (scope, identifier, failure_count, first_failed_at_ms, last_failed_at_ms, locked_until_ms)
+    VALUES (?, ?, ?, ?, ?, NULL)
+    ON CONFLICT(scope, identifier) DO UPDATE SET
+      failure_count = excluded.failure_count,
+      first_failed_at_ms = excluded.first_failed_at_ms,
+      last_failed_at_ms = excluded.last_failed_at_ms,
+      locked_until_ms = NULL
+  `).run(scope, identifier, failureCount, existing?.first_failed_at_ms || now, now);
+  return failureCount;
+};
+
+/**
+ * Check whether a login attempt may go ahead and, if so, count it as a failure up front.
+ * The check and the count happen in one transaction before the password is compared, so
+ * parallel attempts can't all pass the check before any of them is counted. A correct
+ * password gives the attempt back with recordLoginSuccess.
+ * @param {string} email - Login email
+ * @param {string} ipAddress - Client IP
+ * @returns {{ allowed: boolean, reason?: 'locked' | 'throttled', retryInMs: number }}
+ */
+function reserveLoginAttempt(email, ipAddress) {
+  return db.transaction(() => {
+    const now = Date.now();
+    const identifier = normalizeEmail(email);
+    const ipIdentifier = ipAddress || 'unknown';
+    const account = loadCounter('account', identifier, now);
+    if (account?.locked_until_ms) {
+      return { allowed: false, reason: 'locked', retryInMs: account.locked_until_ms - now };
+    }
+
+    const ip = loadCounter('ip', ipIdentifier, now);
+    const waits = [
+      account ? account.last_failed_at_ms + delayMs('account', account.failure_count) - now : 0,
+      ip ? ip.last_failed_at_ms + delayMs('ip', ip.failure_count) - now : 0
+    ];
+    const retryInMs = Math.max(...waits);
+    if (retryInMs > 0) {
+      return { allowed: false, reason: 'throttled', retryInMs };
+    }
+
+    bumpCounter('ip', ipIdentifier, now);
+    bumpCounter('account', identifier, now);
+    return { allowed: true, retryInMs: 0 };
+  }).immediate();
+}
+
+/**
+ * Confirm a reserved attempt as failed; locks the account once it reaches the threshold
+ * @returns {{ failureCount: number, locked: boolean, lockedUntil: string|null }} locked is true only
+ *   for the failure that locked the account
+ */
+function recordLoginFailure(email, ipAddress) {
+  return db.transaction(() => {
+    const now = Date.now();
+    const identifier = normalizeEmail(email);
+    // The reservation is gone if a parallel login succeeded or the account was unlocked meanwhile
+    if (!loadCounter('account', identifier, now)) {
+      bumpCounter('account', identifier, now);
+    }
+    db.prepare(`
+      UPDATE login_failures SET last_failed_at_ms = ?
+      WHERE (scope = 'account' AND identifier = ?) OR (scope = 'ip' AND identifier = ?)
+    `).run(now, identifier, ipAddress || 'unknown');
+
+    const account = loadCounter('account', identifier, now);
+    if (account.failure_count < LOCKOUT_THRESHOLD || account.locked_until_ms) {
+      return { failureCount: account.failure_count, locked: false, lockedUntil: null };
+    }
+
+    const lockedUntilMs = now + LOCKOUT_MINUTES * 60 * 1000;
+    db.prepare(`
+      UPDATE login_failures SET locked_until_ms = ? WHERE scope = 'account' AND identifier = ?
+    `).run(lockedUntilMs, identifier);
+    return { failureCount: account.failure_count, locked: true, lockedUntil: new Date(lockedUntilMs).toISOString() };
+  }).immediate();
+}
+
+/**
+ * Give back a reserved attempt whose password was right: the account's failures are
+ * forgotten and the IP's reservation is returned
+ */
+function recordLoginSuccess(email, ipAddress) {
+  db.transaction(() => {
+    clearAccountFailures(email);
+    db.prepare(`
+      UPDATE login_failures SET failure_count = failure_count - 1
+      WHERE scope = 'ip' AND identifier = ? AND failure_count > 0
+    `).run(ipAddress || 'unknown');
+  }).immediate();
+}
+
+/**
+ * Forget an account's failures after a successful login (the IP counter is kept)
+ */
+function clearAccountFailures(email) {
+  db.prepare(`DELETE FROM login_failures WHERE scope = 'account' AND identifier = ?`).run(normalizeEmail(email));
+}
+
+/**
+ * Issue an unlock link token that lasts as long as the lock
+ * @returns {string} Token for the emailed link
+ */
+function createUnlockToken(userId, expiresAt) {
+  const token = crypto.randomBytes(32).toString('base64url');
+  db.transaction(() => {
+    db.prepare('DELETE FROM account_unlock_tokens WHERE user_id = ? AND used_at IS NULL').run(userId);
+    db.prepare(`
+      INSERT INTO account_unlock_tokens (token, user_id, expires_at, created_at) VALUES (?, ?, ?, ?)
+    `).run(hashToken(token), userId, expiresAt, new Date().toISOString());
+  })();
+  return token;
+}
+
+/**
+ * Use an unlock token: clears the lock and the account's failure counter
+ * @returns {{ userId?: string, reason?: 'invalid' | 'used' | 'expired' }}
+ */
+function unlockAccount(token) {
+  return db.transaction(() => {
+    const row = token ? db.prepare('SELECT * FROM account_unlock_tokens WHERE token = ?').get(hashToken(token)) : null;
+    if (!row) return { reason: 'invalid' };
+    if (row.used_at) return { userId: row.user_id, reason: 'used' };
+    if (new Date(row.expires_at).getTime() <= Date.now()) return { userId: row.user_id, reason: 'expired' };
+
+    db.prepare('UPDATE account_unlock_tokens SET used_at = ? WHERE token = ?').run(new Date().toISOString(), row.token);
+    const user = db.prepare('SELECT email FROM users WHERE id = ?').get(row.user_id);
+    if (user) clearAccountFailures(user.email);
+    return { userId: row.user_id };
+  }).immediate();
+}
+
+/**
+ * Delete counters that no longer count (see isStale): expired locks, and failures
+ * older than the window on unlocked counters
+ * @returns {number} Counters deleted
+ */
+function pruneLoginFailures(now = Date.now()) {
+  return db.prepare(`
+    DELETE FROM login_failures
+    WHERE locked_until_ms <= ? OR (locked_until_ms IS NULL AND last_failed_at_ms < ?)
+  `).run(now, now - FAILURE_WINDOW_MS).changes;
+}
+
+module.exports = {
+  LOCKOUT_THRESHOLD,
+  LOCKOUT_MINUTES,
+  reserveLoginAttempt,
+  recordLoginFailure,
+  recordLoginSuccess,
+  clearAccountFailures,
+  createUnlockToken,
+  unlockAccount,
+  pruneLoginFailures
+};
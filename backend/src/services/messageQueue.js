@@ -1,78 +1,62 @@
 /**
  * Message Queue Processor
  * Processes queued messages and sends them via providers
- * Handles retries, error handling, and rate limiting
+ * Handles retries (per error class, see sendErrors.js), error handling, and rate limiting
  */
 
 const db = require('../db');
 const whatsappService = require('./whatsapp');
-const emailService = require('./emailService');
+const { getEmailProvider } = require('./emailProviders');
+const { findVerifiedSenderDomain, getSenderDomainError, getDkimSigningKey } = require('./senderDomains');
+const smsService = require('./sms');
+const consentService = require('./consent');
+const { addEmailTracking } = require('./emailTracking');
+const { checkContactEligibility } = require('./audience');
+const { parseAttributeValues, formatAttributeValue } = require('./contactAttributes');
+const { emitMessageEvent, emitCampaignCompleted } = require('./outboundWebhooks');
+const { reserveSendSlot, getTenantSendLimits, getSendPause, pauseTenantSends } = require('./tenantSendLimits');
+const { ERROR_CLASSES, RETRY_POLICIES, sendError, classifySendError, getRetryDelayMs } = require('./sendErrors');
+const jobQueue = require('./jobQueue');
 const crypto = require('crypto');
 
-// Rate limiting: max 80 API calls per second for WhatsApp
-const WHATSAPP_RATE_LIMIT = 80;
-// Rate limiting: max 14 emails per second for SES
-const EMAIL_RATE_LIMIT = 14;
-const RATE_WINDOW_MS = 1000;
+// Retry configuration (per error class in sendErrors.js)
+const RETRY_DELAY_MS = 5000; // send outcome never recorded
+const PAUSED_RECHECK_MS = 60 * 1000; // how often a paused channel's jobs look for a reconnect
 
-// Retry configuration
-const MAX_RETRIES = 3;
-const RETRY_DELAY_MS = 5000; // 5 seconds between retries
+// Message retries are counted on the message by error class; job attempts only
+// guard against workers dying mid-send
+const MESSAGE_JOB_MAX_ATTEMPTS = 10;
 
-// Track API call rate per channel
-let apiCallTimestamps = {
-  whatsapp: [],
-  email: []
-};
-
-/**
- * Check if we can make another API call without exceeding rate limit
- * @param {string} channel - 'whatsapp' or 'email'
- * @returns {boolean} True if we can proceed
- */
-function canMakeApiCall(channel = 'whatsapp') {
-  const now = Date.now();
-  const limit = channel === 'email' ? EMAIL_RATE_LIMIT : WHATSAPP_RATE_LIMIT;
-
-  // Remove timestamps older than the rate window
-  if (!apiCallTimestamps[channel]) {
-    apiCallTimestamps[channel] = [];
-  }
-  apiCallTimestamps[channel] = apiCallTimestamps[channel].filter(ts => now - ts < RATE_WINDOW_MS);
-  // Check if we're under the limit
-  return apiCallTimestamps[channel].length < limit;
-}
+// Job queue carrying one job per outbound message (SQS_OUTBOUND_MESSAGES_URL in AWS)
+const MESSAGE_QUEUE = 'outbound_messages';
 
 /**
- * Record an API call for rate limiting
- * @param {string} channel - 'whatsapp' or 'email'
- */
-function recordApiCall(channel = 'whatsapp') {
-  if (!apiCallTimestamps[channel]) {
-    apiCallTimestamps[channel] = [];
-  }
-  apiCallTimestamps[channel].push(Date.now());
-}
-
-/**
- * Mark campaign as complete (sent) when no queued messages remain
- * Only flips campaigns currently in "sending" status
+ * Mark campaign as complete (sent) when no queued or in-flight messages remain
+ * Only flips campaigns currently in "sending" status. A/B tests stay "sending"
+ * until the winner has gone out to the rest of the audience. A paused campaign is
+ * checked again when it resumes; a cancelled one stays cancelled (its unsent
+ * messages are 'cancelled', not pending). Journey messages have no campaign.
  */
 function markCampaignIfComplete(campaignId, tenantId) {
+  if (!campaignId) return;
   try {
     const pending = db.prepare(`
       SELECT COUNT(*) as queued_count
       FROM messages
-      WHERE campaign_id = ? AND tenant_id = ? AND status = 'queued'
+      WHERE campaign_id = ? AND tenant_id = ? AND status IN ('queued', 'processing')
     `).get(campaignId, tenantId);
 
     if (pending?.queued_count === 0) {
       const now = new Date().toISOString();
-      db.prepare(`
+      const result = db.prepare(`
         UPDATE campaigns
         SET status = 'sent', completed_at = ?, updated_at = ?
         WHERE id = ? AND tenant_id = ? AND status = 'sending'
+          AND (ab_status IS NULL OR ab_status != 'testing')
       `).run(now, now, campaignId, tenantId);
+      if (result.changes > 0) {
+        emitCampaignCompleted(campaignId);
+      }
     }
   } catch (err) {
     console.error('Error marking campaign complete:', err.message);
@@ -155,39 +139,90 @@ function getEmailCredentials(tenantId) {
   }
 }
 
+/**
+ * Get decrypted SMS credentials for a tenant
+ * @param {string} tenantId - Tenant ID
+ * @returns {Object|null} Normalized credentials (including provider) or null if not configured
+ */
+function getSmsCredentials(tenantId) {
+  try {
+    const setting = db.prepare(`
+      SELECT provider, credentials_encrypted FROM tenant_channel_settings
+      WHERE tenant_id = ? AND channel = 'sms' AND is_connected = 1
+    `).get(tenantId);
+
+    if (!setting) {
+      return null;
+    }
+
+    const credentials = decryptCredentials(setting.credentials_encrypted);
+    if (!credentials) {
+      return null;
+    }
+
+    return smsService.normalizeSmsCredentials({ provider: setting.provider, ...credentials });
+  } catch (error) {
+    console.error('Error getting SMS credentials:', error);
+    return null;
+  }
+}
+
 /**
  * Process a single queued message
- * Sends via WhatsApp or Email, handles retries and errors
+ * Sends via WhatsApp, Email or SMS, handles retries and errors
  * @param {Object} message - Message record from database
  * @returns {Promise<boolean>} True if sent successfully
  */
 async function processMessage(message) {
   try {
     // Get contact details
-    const contact = db.prepare('SELECT phone, email, name FROM contacts WHERE id = ?').get(message.contact_id);
+    const contact = db.prepare('SELECT phone, email, name, custom_attributes FROM contacts WHERE id = ?').get(message.contact_id);
     if (!contact) {
       db.prepare(`
         UPDATE messages SET status = 'failed', status_reason = 'Contact not found'
         WHERE id = ?
       `).run(message.id);
+      emitMessageEvent(message.id, 'failed');
       return false;
     }
 
-    const campaign = db.prepare(`
-      SELECT template_id, message_content, channel, description FROM campaigns WHERE id = ?
-    `).get(message.campaign_id);
+    let campaign = message.campaign_id
+      ? db.prepare(`
+        SELECT template_id, message_content, channel, description FROM campaigns WHERE id = ?
+      `).get(message.campaign_id)
+      : getSnapshotContent(message);
+
+    // A/B test messages carry their variant's template and content
+    if (campaign && message.variant_id) {
+      const variant = db.prepare(`
+        SELECT template_id, message_content FROM campaign_variants WHERE id = ?
+      `).get(message.variant_id);
+      if (variant) {
+        campaign = { ...campaign, template_id: variant.template_id, message_content: variant.message_content };
+      }
+    }
 
     if (!campaign) {
       db.prepare(`
         UPDATE messages SET status = 'failed', status_reason = 'Campaign not found'
         WHERE id = ?
       `).run(message.id);
+      emitMessageEvent(message.id, 'failed');
+      return false;
+    }
+
+    // Contact may have opted out or been suppressed after the message was queued
+    const exclusionReason = checkContactEligibility(message.tenant_id, message.contact_id, message.channel);
+    if (exclusionReason) {
+      handleMessageError(message, new Error(`Contact excluded from ${message.channel}: ${exclusionReason}`), { forceFail: true });
       return false;
     }
 
     // Route to appropriate channel handler
     if (message.channel === 'email') {
       return await processEmailMessage(message, contact, campaign);
+    } else if (message.channel === 'sms') {
+      return await processSmsMessage(message, contact, campaign);
     } else {
       return await processWhatsAppMessage(message, contact, campaign);
     }
@@ -200,80 +235,85 @@ async function processMessage(message) {
 }
 
 /**
- * Process a WhatsApp message
+ * Content of a message sent without a campaign (journey steps)
+ * content_snapshot holds { template_id, message_content } as JSON.
+ * @param {Object} message - Message row
+ * @returns {Object|null} Campaign-shaped content for the channel handlers
  */
-async function processWhatsAppMessage(message, contact, campaign) {
+function getSnapshotContent(message) {
+  if (!message.content_snapshot) return null;
   try {
-    if (!contact.phone) {
-      throw new Error('No phone number');
-    }
-
-    // Get WhatsApp credentials
-    const credentials = getWhatsAppCredentials(message.tenant_id);
-    if (!credentials || !credentials.phone_number_id || !credentials.access_token) {
-      throw new Error('WhatsApp not configured');
-    }
-
-    // Wait if rate limit would be exceeded
-    while (!canMakeApiCall('whatsapp')) {
-      await new Promise(resolve => setTimeout(resolve, 100));
-    }
+    const snapshot = JSON.parse(message.content_snapshot);
+    return {
+      template_id: snapshot.template_id || null,
+      message_content: snapshot.message_content ?? null,
+      channel: message.channel
+    };
+  } catch {
+    return null;
+  }
+}
 
-    // Send message via WhatsApp
-      const template = db.prepare(`
-        SELECT name, header_type, header_text, footer_text, body_template, body_variables, header_variables, variable_count
-        FROM whatsapp_templates
-        WHERE id = ? AND tenant_id = ?
-      `).get(campaign.template_id, message.tenant_id);
-
-    // Normalize template variables
-    const parsedBodyVars = safeParseArray(template?.body_variables);
-    const parsedHeaderVars = safeParseArray(template?.header_variables);
-    const parsedButtons = template?.buttons_json
-      ? safeParseArray(JSON.parse(template.buttons_json))
-      : (Array.isArray(template?.buttons) ? template.buttons : []);
-
-    const templateName = template?.name || campaign.template_id;
-    const variables = buildTemplateVariables(campaign.message_content, contact);
-    const media = extractMediaFromMessageContent(campaign.message_content);
-
-    const providerId = await whatsappService.sendWhatsAppMessage(
-      credentials.phone_number_id,
-      credentials.access_token,
-      contact.phone,
-      {
-        name: templateName,
-        body_variables: parsedBodyVars,
-        header_variables: parsedHeaderVars,
-        header_type: template?.header_type,
-        buttons: parsedButtons,
-        variables: parsedBodyVars && parsedBodyVars.length > 0 ? parsedBodyVars : undefined // fallback for send helper
-      },
-      variables,
-      media
-    );
-
-    recordApiCall('whatsapp');
-
-    // Update message with provider ID and mark as sent (webhook will update to delivered/read)
-    const now = new Date().toISOString();
-    db.prepare(`
-      UPDATE messages
-      SET status = 'sent', provider_message_id = ?, sent_at = ?, updated_at = ?
-      WHERE id = ?
-    `).run(providerId, now, now, message.id);
+/**
+ * Process a WhatsApp message
+ */
+async function processWhatsAppMessage(message, contact, campaign) {
+  if (!contact.phone) {
+    throw sendError('No phone number', ERROR_CLASSES.PERMANENT);
+  }
 
-    console.log(`✓ Message ${message.id} sent via WhatsApp (provider ID: ${providerId})`);
-    markCampaignIfComplete(message.campaign_id, message.tenant_id);
-    return true;
-  } catch (error) {
-    // Certain WhatsApp errors are non-retriable (e.g., variable mismatch)
-    if (isNonRetriableWhatsAppError(error)) {
-      handleMessageError(message, error, { forceFail: true });
-      return false;
-    }
-    throw error;
+  // Get WhatsApp credentials
+  const credentials = getWhatsAppCredentials(message.tenant_id);
+  if (!credentials || !credentials.phone_number_id || !credentials.access_token) {
+    throw new Error('WhatsApp not configured');
   }
+
+  // Send message via WhatsApp
+  const template = db.prepare(`
+    SELECT name, header_type, header_text, footer_text, body_template, body_variables, header_variables, variable_count
+    FROM whatsapp_templates
+    WHERE id = ? AND tenant_id = ?
+  `).get(campaign.template_id, message.tenant_id);
+
+  // Normalize template variables
+  const parsedBodyVars = safeParseArray(template?.body_variables);
+  const parsedHeaderVars = safeParseArray(template?.header_variables);
+  const parsedButtons = template?.buttons_json
+    ? safeParseArray(JSON.parse(template.buttons_json))
+    : (Array.isArray(template?.buttons) ? template.buttons : []);
+
+  const templateName = template?.name || campaign.template_id;
+  const variables = buildTemplateVariables(campaign.message_content, contact);
+  const media = extractMediaFromMessageContent(campaign.message_content);
+
+  const providerId = await whatsappService.sendWhatsAppMessage(
+    credentials.phone_number_id,
+    credentials.access_token,
+    contact.phone,
+    {
+      name: templateName,
+      body_variables: parsedBodyVars,
+      header_variables: parsedHeaderVars,
+      header_type: template?.header_type,
+      buttons: parsedButtons,
+      variables: parsedBodyVars && parsedBodyVars.length > 0 ? parsedBodyVars : undefined // fallback for send helper
+    },
+    variables,
+    media
+  );
+
+  // Update message with provider ID and mark as sent (webhook will update to delivered/read)
+  const now = new Date().toISOString();
+  db.prepare(`
+    UPDATE messages
+    SET status = 'sent', provider_message_id = ?, sent_at = ?, updated_at = ?
+    WHERE id = ?
+  `).run(providerId, now, now, message.id);
+
+  console.log(`✓ Message ${message.id} sent via WhatsApp (provider ID: ${providerId})`);
+  emitMessageEvent(message.id, 'sent');
+  markCampaignIfComplete(message.campaign_id, message.tenant_id);
+  return true;
 }
 
 /**
@@ -282,7 +322,7 @@ async function processWhatsAppMessage(message, contact, campaign) {
 async function processEmailMessage(message, contact, campaign) {
   try {
     if (!contact.email) {
-      throw new Error('No email address');
+      throw sendError('No email address', ERROR_CLASSES.PERMANENT);
     }
 
     // Get Email credentials
@@ -291,11 +331,6 @@ async function processEmailMessage(message, contact, campaign) {
       throw new Error('Email not configured');
     }
 
-    // Wait if rate limit would be exceeded
-    while (!canMakeApiCall('email')) {
-      await new Promise(resolve => setTimeout(resolve, 100));
-    }
-
     // Parse email content (should be { subject, htmlBody, textBody })
     let emailContent = {};
     try {
@@ -307,33 +342,50 @@ async function processEmailMessage(message, contact, campaign) {
     const subject = emailContent.subject || campaign.name || 'Message from EngageNinja';
     const htmlBody = emailContent.htmlBody || campaign.description || '';
     const textBody = emailContent.textBody || '';
-    const senderEmail = credentials.verified_sender_email || 'noreply@engageninja.com';
+    const senderEmail = credentials.verified_sender_email;
 
-    // Send email via SES/Brevo
-    const providerId = await emailService.send(
-      credentials,
-      contact.email,
-      subject,
-      htmlBody,
-      textBody,
-      senderEmail
-    );
+    // Only send from verified domains (the domain may have failed a re-check since queueing)
+    const senderDomain = findVerifiedSenderDomain(message.tenant_id, senderEmail);
+    if (!senderDomain) {
+      throw sendError(getSenderDomainError(message.tenant_id, senderEmail), ERROR_CLASSES.PERMANENT);
+    }
 
-    recordApiCall('email');
+    // Every campaign email carries an unsubscribe link and List-Unsubscribe headers.
+    // Links and the open pixel are tracked first so the unsubscribe link isn't.
+    const unsubscribeUrl = consentService.getUnsubscribeUrl(message.tenant_id, message.contact_id);
+    const body = consentService.addUnsubscribeLink(addEmailTracking(htmlBody, message.id), textBody, unsubscribeUrl);
+
+    // Send through the tenant's provider (SMTP, SES or Brevo)
+    const provider = getEmailProvider(credentials);
+    const result = await provider.send({
+      to: contact.email,
+      toName: contact.name || undefined,
+      from: senderEmail,
+      subject,
+      htmlBody: body.htmlBody,
+      textBody: body.textBody,
+      headers: consentService.getListUnsubscribeHeaders(unsubscribeUrl),
+      dkim: getDkimSigningKey(senderDomain)
+    });
+    const providerId = result.providerMessageId;
 
     // Update message with provider ID and mark as sent
     const now = new Date().toISOString();
     db.prepare(`
       UPDATE messages
       SET status = 'delivered',
+          provider = ?,
           provider_message_id = ?,
           sent_at = COALESCE(sent_at, ?),
           delivered_at = ?,
           updated_at = ?
       WHERE id = ?
-    `).run(providerId, now, now, now, message.id);
+    `).run(provider.name, providerId, now, now, now, message.id);
 
     console.log(`✓ Message ${message.id} sent via Email (provider ID: ${providerId})`);
+    // Email is marked delivered on handoff to the provider
+    emitMessageEvent(message.id, 'sent');
+    emitMessageEvent(message.id, 'delivered');
     markCampaignIfComplete(message.campaign_id, message.tenant_id);
     return true;
   } catch (error) {
@@ -341,129 +393,336 @@ async function processEmailMessage(message, contact, campaign) {
   }
 }
 
+/**
+ * Process an SMS message
+ */
+async function processSmsMessage(message, contact, campaign) {
+  if (!contact.phone) {
+    throw sendError('No phone number', ERROR_CLASSES.PERMANENT);
+  }
+
+  // Get SMS credentials
+  const credentials = getSmsCredentials(message.tenant_id);
+  if (!credentials) {
+    throw new Error('SMS not configured');
+  }
+
+  const body = smsService.renderSmsBody(smsService.getSmsBody(campaign.message_content), contact);
+  if (!body.trim()) {
+    handleMessageError(message, new Error('SMS body is empty'), { forceFail: true });
+    return false;
+  }
+
+  const provider = smsService.getSmsProvider(credentials);
+  const result = await provider.send(contact.phone, body);
+
+  // Mark as sent (status callback will update to delivered/failed)
+  const now = new Date().toISOString();
+  db.prepare(`
+    UPDATE messages
+    SET status = 'sent', provider = ?, provider_message_id = ?, sent_at = ?, updated_at = ?
+    WHERE id = ?
+  `).run(provider.name, result.providerMessageId, now, now, message.id);
+
+  console.log(`✓ Message ${message.id} sent via SMS (provider ID: ${result.providerMessageId})`);
+  emitMessageEvent(message.id, 'sent');
+  markCampaignIfComplete(message.campaign_id, message.tenant_id);
+  return true;
+}
+
 /**
  * Handle message errors and retry logic
+ * The error class decides what happens: permanent errors fail the message, auth
+ * failures pause the tenant's channel and keep the message queued without using an
+ * attempt, and the rest retry with jittered backoff until their class's attempts run out.
  */
 function handleMessageError(message, error, options = {}) {
-  const newRetries = (message.attempts || 0) + 1;
-  const now = new Date().toISOString();
+  const now = new Date();
   const reason = error?.message || 'Unknown error';
-  const forceFail = options.forceFail;
+  const errorClass = options.forceFail ? ERROR_CLASSES.PERMANENT : classifySendError(error, message.channel);
 
-  if (forceFail || newRetries >= MAX_RETRIES) {
-    // Max retries reached, mark as failed
+  if (errorClass === ERROR_CLASSES.AUTH_FAILURE) {
+    // Waits for the channel to be reconnected (see handleMessageJob)
     db.prepare(`
       UPDATE messages
-      SET status = 'failed', attempts = ?, updated_at = ?, status_reason = ?
+      SET status = 'queued', error_class = ?, next_attempt_at = NULL, updated_at = ?, status_reason = ?
       WHERE id = ?
-    `).run(newRetries, now, reason, message.id);
-    console.log(`✗ Message ${message.id} failed${forceFail ? ' (non-retriable)' : ''} after ${newRetries} retries: ${reason}`);
+    `).run(errorClass, now.toISOString(), reason, message.id);
+    pauseTenantSends(message.tenant_id, message.channel, reason);
+    console.log(`⏸ Message ${message.id} held, ${message.channel} paused for tenant ${message.tenant_id}: ${reason}`);
+    return;
+  }
+
+  const newRetries = (message.attempts || 0) + 1;
+  const policy = RETRY_POLICIES[errorClass];
+
+  if (newRetries >= policy.maxAttempts) {
+    // Non-retriable or out of attempts for this class, mark as failed
+    db.prepare(`
+      UPDATE messages
+      SET status = 'failed', attempts = ?, error_class = ?, next_attempt_at = NULL, updated_at = ?, status_reason = ?
+      WHERE id = ?
+    `).run(newRetries, errorClass, now.toISOString(), reason, message.id);
+    console.log(`✗ Message ${message.id} failed (${errorClass}) after ${newRetries} attempts: ${reason}`);
+    emitMessageEvent(message.id, 'failed');
     markCampaignIfComplete(message.campaign_id, message.tenant_id);
   } else {
-    // Will retry later
+    // Back in the queue; the message job runs again at next_attempt_at. Messages are
+    // created with attempts = 1, so the first failure schedules retry 1 (the base delay)
+    const retryNumber = newRetries - 1;
+    const nextAttemptAt = new Date(now.getTime() + getRetryDelayMs(errorClass, retryNumber));
     db.prepare(`
       UPDATE messages
-      SET attempts = ?, updated_at = ?, status_reason = ?
+      SET status = 'queued', attempts = ?, error_class = ?, next_attempt_at = ?, updated_at = ?, status_reason = ?
       WHERE id = ?
-    `).run(newRetries, now, reason, message.id);
-    console.log(`⟳ Message ${message.id} will retry (attempt ${newRetries}/${MAX_RETRIES}): ${reason}`);
+    `).run(newRetries, errorClass, nextAttemptAt.toISOString(), now.toISOString(), reason, message.id);
+    console.log(`⟳ Message ${message.id} will retry (${errorClass}, attempt ${newRetries}/${policy.maxAttempts}) at ${nextAttemptAt.toISOString()}: ${reason}`);
   }
 }
 
 /**
- * Process all queued messages (WhatsApp and Email)
- * Called periodically by the message processing loop
- * @returns {Promise<number>} Number of messages processed
+ * Queue one send job per message
+ * Call inside the transaction that inserts (or requeues) the messages.
+ * @param {Array<{ id: string, tenant_id: string }>} messages - Message rows
+ * @param {Object} options - { lane: 'transactional'|'bulk' }
+ * @returns {number} Jobs queued (messages that already have an active job are skipped)
  */
-async function processQueuedMessages() {
-  try {
-    // Get queued messages (limit to prevent overwhelming the system)
-    const queuedMessages = db.prepare(`
-      SELECT m.*, c.name as campaign_name, c.channel
-      FROM messages m
-      JOIN campaigns c ON m.campaign_id = c.id
-      WHERE m.status = 'queued'
-      ORDER BY m.created_at ASC
-      LIMIT 50
-    `).all();
-
-    if (queuedMessages.length === 0) {
-      return 0;
-    }
+function enqueueMessageJobs(messages, options = {}) {
+  const lane = options.lane || jobQueue.LANES.BULK;
+  let queued = 0;
+  messages.forEach(message => {
+    const jobId = jobQueue.enqueueJob(MESSAGE_QUEUE, { messageId: message.id }, {
+      lane,
+      tenantId: message.tenant_id,
+      dedupeKey: `message:${message.id}`,
+      maxAttempts: MESSAGE_JOB_MAX_ATTEMPTS
+    });
+    if (jobId) queued++;
+  });
+  return queued;
+}
 
-    let processedCount = 0;
+/**
+ * Job handler for the outbound_messages queue
+ * Skips messages of paused or cancelled campaigns, waits while the tenant's channel
+ * is paused or over its send limits, claims the message, sends it, and asks for a
+ * rerun at next_attempt_at when it was requeued.
+ * 'processing' is claimable too: it means the previous worker died mid-send.
+ * @param {{ messageId: string }} payload
+ */
+async function handleMessageJob({ messageId }) {
+  const message = db.prepare(`
+    SELECT m.*, c.name as campaign_name, COALESCE(c.channel, m.channel) as channel, c.status as campaign_status
+    FROM messages m
+    LEFT JOIN campaigns c ON m.campaign_id = c.id
+    WHERE m.id = ? AND m.status IN ('queued', 'processing')
+  `).get(messageId);
+
+  if (!message) {
+    return; // already sent, failed or removed
+  }
 
-    // Process each message
-    for (const message of queuedMessages) {
-      // Attempt to lock this message to avoid double-processing
-      const now = new Date().toISOString();
-      const lockResult = db.prepare(`
-        UPDATE messages
-        SET status = 'processing', updated_at = ?
-        WHERE id = ? AND status = 'queued'
-      `).run(now, message.id);
-
-      if (lockResult.changes === 0) {
-        continue; // already being processed
-      }
+  if (message.campaign_id && !message.campaign_name) {
+    db.prepare(`
+      UPDATE messages SET status = 'failed', status_reason = 'Campaign not found'
+      WHERE id = ?
+    `).run(messageId);
+    emitMessageEvent(messageId, 'failed');
+    return;
+  }
 
-      const success = await processMessage({ ...message, status: 'processing' });
-      if (success) {
-        processedCount++;
-      }
-      // Small delay between messages to avoid rate limiting
-      await new Promise(resolve => setTimeout(resolve, 50));
-    }
+  if (message.campaign_status === 'cancelled') {
+    db.prepare(`
+      UPDATE messages SET status = 'cancelled', status_reason = 'Campaign cancelled', next_attempt_at = NULL, updated_at = ?
+      WHERE id = ? AND status IN ('queued', 'processing')
+    `).run(new Date().toISOString(), messageId);
+    return;
+  }
 
-    if (queuedMessages.length > 0) {
-      console.log(`Processed ${processedCount}/${queuedMessages.length} queued messages`);
+  // Paused campaign: drop the job, resuming queues a new one
+  if (message.campaign_status === 'paused') {
+    return;
+  }
+
+  // Channel paused after an auth failure: check again later without using an attempt
+  if (getSendPause(message.tenant_id, message.channel)) {
+    return { deferInMs: PAUSED_RECHECK_MS };
+  }
+
+  // Over the tenant's throughput or daily limit: try again when a token is due
+  const slot = reserveSendSlot(message.tenant_id, message.channel);
+  if (!slot.allowed) {
+    return { deferInMs: slot.retryInMs };
+  }
+
+  const lockResult = db.prepare(`
+    UPDATE messages
+    SET status = 'processing', updated_at = ?
+    WHERE id = ? AND status IN ('queued', 'processing')
+  `).run(new Date().toISOString(), messageId);
+
+  if (lockResult.changes === 0) {
+    return;
+  }
+
+  await processMessage(message);
+
+  const after = db.prepare('SELECT status, status_reason, error_class, next_attempt_at FROM messages WHERE id = ?').get(messageId);
+  if (after?.status === 'queued') {
+    if (after.error_class === ERROR_CLASSES.AUTH_FAILURE) {
+      return { deferInMs: PAUSED_RECHECK_MS };
     }
-    return processedCount;
+    const retryInMs = after.next_attempt_at ? Math.max(new Date(after.next_attempt_at) - Date.now(), 0) : RETRY_DELAY_MS;
+    return { retryInMs, error: after.status_reason };
+  }
+  if (after?.status === 'processing') {
+    // Provider outcome was never recorded; hand it back to the queue
+    db.prepare(`UPDATE messages SET status = 'queued', updated_at = ? WHERE id = ?`).run(new Date().toISOString(), messageId);
+    return { retryInMs: RETRY_DELAY_MS };
+  }
+}
 
-  } catch (error) {
-    console.error('Error in message queue processor:', error);
-    return 0;
+/**
+ * Fail the message when its job runs out of attempts (e.g. the worker kept dying mid-send)
+ */
+function handleMessageJobFailed({ messageId }, job, reason) {
+  const message = db.prepare(`
+    SELECT id, campaign_id, tenant_id, attempts FROM messages
+    WHERE id = ? AND status IN ('queued', 'processing')
+  `).get(messageId);
+  if (!message) return;
+  handleMessageError(message, new Error(reason || 'Send job failed'), { forceFail: true });
+}
+
+/**
+ * Queue jobs for messages that have none: rows queued before the job queue existed,
+ * and 'processing' rows whose job was lost. Runs once on boot and when a campaign resumes.
+ * @param {string} campaignId - Only this campaign's messages (default all, except paused campaigns)
+ * @returns {number} Messages requeued
+ */
+function reconcileMessageJobs(campaignId = null) {
+  const reconcile = db.transaction(() => {
+    const orphaned = db.prepare(`
+      SELECT m.id, m.tenant_id, m.transactional FROM messages m
+      LEFT JOIN campaigns c ON c.id = m.campaign_id
+      WHERE m.status IN ('queued', 'processing')
+        AND (? IS NULL OR m.campaign_id = ?)
+        AND (c.status IS NULL OR c.status != 'paused')
+        AND NOT EXISTS (
+          SELECT 1 FROM jobs j
+          WHERE j.dedupe_key = 'message:' || m.id AND j.status IN ('queued', 'leased')
+        )
+    `).all(campaignId, campaignId);
+    if (orphaned.length === 0) return 0;
+
+    const requeue = db.prepare(`UPDATE messages SET status = 'queued', updated_at = ? WHERE id = ? AND status = 'processing'`);
+    const now = new Date().toISOString();
+    orphaned.forEach(message => requeue.run(now, message.id));
+    // Transactional API sends go back on their own lane
+    return enqueueMessageJobs(orphaned.filter(message => message.transactional), { lane: jobQueue.LANES.TRANSACTIONAL })
+      + enqueueMessageJobs(orphaned.filter(message => !message.transactional));
+  });
+
+  const count = reconcile();
+  if (count > 0) {
+    console.log(`⟳ Queued send jobs for ${count} message(s) without one`);
   }
+  return count;
+}
+
+/**
+ * Queue depth and recent throughput per tenant (tenants with queued or recently sent messages)
+ * ready: due now, waiting: scheduled retries or throttled, in_flight: leased by a worker
+ * @returns {Array<Object>}
+ */
+function getTenantQueueStats() {
+  const now = Date.now();
+  const rows = db.prepare(`
+    SELECT t.id as tenant_id, t.name as tenant_name,
+      COALESCE(q.ready, 0) as ready,
+      COALESCE(q.waiting, 0) as waiting,
+      COALESCE(q.in_flight, 0) as in_flight,
+      q.oldest_ready_at,
+      COALESCE(s.sent_last_minute, 0) as sent_last_minute,
+      COALESCE(s.sent_last_hour, 0) as sent_last_hour
+    FROM tenants t
+    LEFT JOIN (
+      SELECT tenant_id,
+        SUM(CASE WHEN status = 'queued' AND run_at <= ? THEN 1 ELSE 0 END) as ready,
+        SUM(CASE WHEN status = 'queued' AND run_at > ? THEN 1 ELSE 0 END) as waiting,
+        SUM(CASE WHEN status = 'leased' THEN 1 ELSE 0 END) as in_flight,
+        MIN(CASE WHEN status = 'queued' AND run_at <= ? THEN run_at END) as oldest_ready_at
+      FROM jobs
+      WHERE queue = ? AND status IN ('queued', 'leased')
+      GROUP BY tenant_id
+    ) q ON q.tenant_id = t.id
+    LEFT JOIN (
+      SELECT tenant_id,
+        SUM(CASE WHEN sent_at >= ? THEN 1 ELSE 0 END) as sent_last_minute,
+        COUNT(*) as sent_last_hour
+      FROM messages
+      WHERE sent_at >= ?
+      GROUP BY tenant_id
+    ) s ON s.tenant_id = t.id
+    WHERE q.tenant_id IS NOT NULL OR s.tenant_id IS NOT NULL
+    ORDER BY (COALESCE(q.ready, 0) + COALESCE(q.waiting, 0) + COALESCE(q.in_flight, 0)) DESC, sent_last_hour DESC
+  `).all(
+    new Date(now).toISOString(),
+    new Date(now).toISOString(),
+    new Date(now).toISOString(),
+    MESSAGE_QUEUE,
+    new Date(now - 60 * 1000).toISOString(),
+    new Date(now - 60 * 60 * 1000).toISOString()
+  );
+
+  const formatLimits = (tenantId, channel) => {
+    const limits = getTenantSendLimits(tenantId, channel);
+    return {
+      rate_per_second: limits.ratePerSecond,
+      daily_limit: limits.dailyLimit,
+      messaging_tier: limits.messagingTier
+    };
+  };
+
+  return rows.map(row => ({
+    ...row,
+    limits: {
+      whatsapp: formatLimits(row.tenant_id, 'whatsapp'),
+      email: formatLimits(row.tenant_id, 'email'),
+      sms: formatLimits(row.tenant_id, 'sms')
+    }
+  }));
 }
 
 /**
- * Start the message queue processor
- * Runs continuously, processing messages every 100ms
+ * Start sending queued messages
+ * Registers the outbound_messages handler, starts the job worker and picks up orphaned messages
  */
 function startMessageProcessor() {
   console.log('🔄 Starting message queue processor...');
 
-  setInterval(async () => {
-    try {
-      await processQueuedMessages();
-    } catch (error) {
-      console.error('Fatal error in message processor:', error);
-    }
-  }, 100); // Check queue every 100ms
+  jobQueue.registerJobHandler(MESSAGE_QUEUE, handleMessageJob, { onFailed: handleMessageJobFailed });
+  jobQueue.startJobWorker();
+  reconcileMessageJobs();
 
   console.log('✓ Message queue processor started');
 }
 
 module.exports = {
-  processQueuedMessages,
+  MESSAGE_QUEUE,
+  enqueueMessageJobs,
+  markCampaignIfComplete,
+  handleMessageJob,
+  handleMessageError,
+  reconcileMessageJobs,
+  getTenantQueueStats,
   processMessage,
   startMessageProcessor,
-  canMakeApiCall,
-  recordApiCall,
   getWhatsAppCredentials,
-  getEmailCredentials
+  getEmailCredentials,
+  getSmsCredentials
 };
 
-function isNonRetriableWhatsAppError(error) {
-  if (!error || !error.message) return false;
-  const msg = error.message.toLowerCase();
-  return msg.includes('number of parameters does not match') ||
-    msg.includes('mismatched variable') ||
-    msg.includes('template params') ||
-    msg.includes('placeholder') ||
-    msg.includes('permission');
-}
-
 function safeParseArray(value) {
   if (!value) return [];
   if (Array.isArray(value)) return value;
@@ -492,12 +751,17 @@ function buildTemplateVariables(messageContent, contact) {
 
   const variables = { ...(parsed.static || {}) };
   const mapping = parsed.mapping || {};
+  const attributes = parseAttributeValues(contact?.custom_attributes);
 
   Object.keys(mapping).forEach((key) => {
     const source = mapping[key];
     if (source === 'contact.name') variables[key] = contact?.name || '';
     if (source === 'contact.email') variables[key] = contact?.email || '';
     if (source === 'contact.phone') variables[key] = contact?.phone || '';
+    // Custom attribute sources look like attr.<key>
+    if (typeof source === 'string' && source.startsWith('attr.')) {
+      variables[key] = formatAttributeValue(attributes[source.slice('attr.'.length)]);
+    }
   });
 
   return variables;
@@ -0,0 +1,184 @@
+/**
+ * Message Status Service
+ * Applies provider delivery receipts to messages, records status events and
+ * notifies SSE listeners. Shared by provider webhooks and in-process adapters.
+ */
+
+const db = require('../db');
+const { v4: uuidv4 } = require('uuid');
+const metricsEmitter = require('./metricsEmitter');
+const { emitMessageEvent } = require('./outboundWebhooks');
+
+// Ensure message_status_events has status_reason column
+const ensureStatusEventsColumns = () => {
+  const cols = db.prepare(`PRAGMA table_info(message_status_events)`).all();
+  const names = cols.map(c => c.name);
+  if (!names.includes('status_reason')) {
+    try {
+      db.prepare(`ALTER TABLE message_status_events ADD COLUMN status_reason TEXT`).run();
+    } catch (e) {
+      console.warn('⚠️  Unable to add status_reason to message_status_events:', e.message);
+    }
+  }
+};
+
+/**
+ * Update message status from webhook
+ */
+const updateMessageStatus = (tenantId, providerMessageId, newStatus, eventTimestamp, statusReason = null) => {
+  try {
+    ensureStatusEventsColumns();
+
+    // Find the message by provider_message_id
+    const message = db.prepare(`
+      SELECT id, campaign_id, status as old_status FROM messages
+      WHERE provider_message_id = ? AND tenant_id = ?
+    `).get(providerMessageId, tenantId);
+
+    if (!message) {
+      console.warn(`❌ Message not found for provider_message_id: ${providerMessageId}`);
+      return null;
+    }
+
+    // Update message status
+    const now = new Date().toISOString();
+    const statusTimestampColumn = newStatus === 'sent' ? 'sent_at' :
+                                   newStatus === 'delivered' ? 'delivered_at' :
+                                   newStatus === 'read' ? 'read_at' :
+                                   newStatus === 'failed' ? 'failed_at' : null;
+
+    let updateQuery = `
+      UPDATE messages
+      SET status = ?, updated_at = ?, status_reason = COALESCE(?, status_reason)
+    `;
+    const params = [newStatus, now, statusReason];
+
+    if (statusTimestampColumn) {
+      updateQuery += `, ${statusTimestampColumn} = ?`;
+      params.push(eventTimestamp || now);
+    }
+
+    updateQuery += ` WHERE id = ?`;
+    params.push(message.id);
+
+    db.prepare(updateQuery).run(...params);
+
+    // Log the status event
+    const eventId = uuidv4();
+    db.prepare(`
+      INSERT INTO message_status_events (
+      id, message_id, provider_message_id, old_status, new_status,
+        event_timestamp, webhook_received_at, created_at, status_reason
+      ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)
+    `).run(
+      eventId,
+      message.id,
+      providerMessageId,
+      message.old_status,
+      newStatus,
+      eventTimestamp || now,
+      now,
+      now,
+      statusReason || null
+    );
+
+    console.log(`✅ Message ${message.id} status updated: ${message.old_status} → ${newStatus}`);
+    emitMessageEvent(message.id, newStatus);
+
+    return {
+      messageId: message.id,
+      campaignId: message.campaign_id,
+      oldStatus: message.old_status,
+      newStatus,
+      eventId
+    };
+  } catch (error) {
+    console.error('❌ Error updating message status:', error.message);
+    throw error;
+  }
+};
+
+/**
+ * Update campaign metrics after status change
+ */
+const updateCampaignMetrics = (campaignId, tenantId) => {
+  try {
+    const metrics = db.prepare(`
+      SELECT
+        COUNT(*) as message_count,
+        SUM(CASE WHEN status = 'sent' THEN 1 ELSE 0 END) as sent_count,
+        SUM(CASE WHEN status = 'delivered' THEN 1 ELSE 0 END) as delivered_count,
+        SUM(CASE WHEN status = 'read' THEN 1 ELSE 0 END) as read_count,
+        SUM(CASE WHEN status = 'failed' THEN 1 ELSE 0 END) as failed_count
+      FROM messages
+      WHERE campaign_id = ? AND tenant_id = ?
+    `).get(campaignId, tenantId);
+
+    return metrics;
+  } catch (error) {
+    console.error('❌ Error updating campaign metrics:', error.message);
+    return null;
+  }
+};
+
+/**
+ * Handle duplicate webhook events (idempotency)
+ * Returns true if this is a duplicate event that was already processed
+ */
+const isDuplicateWebhookEvent = (providerMessageId, newStatus) => {
+  // Check if we already have this exact status update
+  const existing = db.prepare(`
+    SELECT id FROM message_status_events
+    WHERE provider_message_id = ? AND new_status = ?
+    ORDER BY created_at DESC LIMIT 1
+  `).get(providerMessageId, newStatus);
+
+  if (existing) {
+    console.log(`⚠️  Duplicate webhook event for ${providerMessageId} → ${newStatus}`);
+    return true;
+  }
+
+  return false;
+};
+
+/**
+ * Apply a provider status update to the message it belongs to
+ * Skips duplicates, updates the message and broadcasts campaign metrics.
+ *
+ * @param {string} providerMessageId - ID returned by the provider on send
+ * @param {string} newStatus - sent | delivered | read | failed
+ * @param {string} eventTimestamp - When the provider observed the status
+ * @param {string} statusReason - Optional failure reason
+ * @returns {Object|null} Update result, or null if duplicate / unknown message
+ */
+const applyProviderStatus = (providerMessageId, newStatus, eventTimestamp, statusReason = null) => {
+  if (isDuplicateWebhookEvent(providerMessageId, newStatus)) {
+    return null;
+  }
+
+  const message = db.prepare(`
+    SELECT tenant_id, campaign_id FROM messages WHERE provider_message_id = ?
+  `).get(providerMessageId);
+
+  if (!message) {
+    console.warn(`⚠️  Message not found for: ${providerMessageId}`);
+    return null;
+  }
+
+  const result = updateMessageStatus(message.tenant_id, providerMessageId, newStatus, eventTimestamp, statusReason);
+  updateCampaignMetrics(message.campaign_id, message.tenant_id);
+
+  // Broadcast metrics update to SSE clients
+  metricsEmitter.emit(`campaign:${message.campaign_id}:metrics`);
+  console.log(`📡 Metrics broadcast for campaign ${message.campaign_id}`);
+
+  return result;
+};
+
+module.exports = {
+  ensureStatusEventsColumns,
+  updateMessageStatus,
+  updateCampaignMetrics,
+  isDuplicateWebhookEvent,
+  applyProviderStatus
+};
@@ -25,6 +25,8 @@ class MetricsEmitter extends EventEmitter {
     this.cleanupInterval = setInterval(() => {
       this.cleanupIdleConnections();
     }, 5 * 60 * 1000);
+    // Doesn't hold the process open on its own (scripts and tests load this module too)
+    this.cleanupInterval.unref();
   }
 
   /**
@@ -0,0 +1,125 @@
+/**
+ * Mock SMS Provider Implementation
+ *
+ * In-process SMS gateway for development and tests:
+ * - Records sent messages in an in-memory outbox instead of calling a carrier
+ * - Simulates delivery receipts after a configurable delay
+ * - Recipients ending in 0000 simulate an undelivered message
+ * - Recipients ending in 5550400, 5550401, 5550429 or 5550503 make send() fail with
+ *   the matching Twilio-style API error (invalid number, bad credentials, rate limit, outage)
+ *
+ * Disabled in production unless ENABLE_MOCK_SMS=true.
+ */
+
+const crypto = require('crypto');
+const SmsProvider = require('./smsProvider');
+
+const MAX_OUTBOX_ENTRIES = 500;
+const DEFAULT_DELIVERY_DELAY_MS = 1000;
+
+// Recipient suffix -> simulated API error
+const SIMULATED_ERRORS = {
+  '5550400': { statusCode: 400, code: 21211, message: "The 'To' number is not a valid phone number" },
+  '5550401': { statusCode: 401, code: 20003, message: 'Authenticate' },
+  '5550429': { statusCode: 429, code: 20429, message: 'Too Many Requests' },
+  '5550503': { statusCode: 503, code: 20503, message: 'Service Unavailable' }
+};
+
+// Shared across provider instances so tests can inspect what was "sent"
+const outbox = [];
+
+function isMockSmsAllowed() {
+  return process.env.NODE_ENV !== 'production' || process.env.ENABLE_MOCK_SMS === 'true';
+}
+
+class MockSmsProvider extends SmsProvider {
+  constructor(credentials = {}, options = {}) {
+    super(credentials, options);
+    const configuredDelay = parseInt(process.env.MOCK_SMS_DELIVERY_DELAY_MS, 10);
+    this.deliveryDelayMs = Number.isNaN(configuredDelay) ? DEFAULT_DELIVERY_DELAY_MS : configuredDelay;
+    this.fromNumber = credentials.from_number || '+15005550006';
+  }
+
+  get name() {
+    return 'mock';
+  }
+
+  async send(to, body) {
+    if (!isMockSmsAllowed()) {
+      throw new Error('Mock SMS provider is disabled in production');
+    }
+
+    const simulated = SIMULATED_ERRORS[String(to).replace(/[^0-9]/g, '').slice(-7)];
+    if (simulated) {
+      const err = new Error(`Mock SMS API Error: ${simulated.message}`);
+      err.code = simulated.code;
+      err.statusCode = simulated.statusCode;
+      throw err;
+    }
+
+    const providerMessageId = `SMmock${crypto.randomBytes(12).toString('hex')}`;
+    outbox.push({
+      providerMessageId,
+      from: this.fromNumber,
+      to,
+      body,
+      sentAt: new Date().toISOString()
+    });
+    if (outbox.length > MAX_OUTBOX_ENTRIES) {
+      outbox.shift();
+    }
+
+    // Simulate the carrier's delivery receipt
+    if (typeof this.options.onStatus === 'function') {
+      const undeliverable = String(to).replace(/[^0-9]/g, '').endsWith('0000');
+      setTimeout(() => {
+        try {
+          this.options.onStatus(
+            providerMessageId,
+            undeliverable ? 'failed' : 'delivered',
+            new Date().toISOString(),
+            undeliverable ? 'Mock carrier rejected the recipient' : null
+          );
+        } catch (error) {
+          console.error('Error applying mock SMS receipt:', error.message);
+        }
+      }, this.deliveryDelayMs);
+    }
+
+    return { providerMessageId, status: 'sent' };
+  }
+
+  async validateCredentials() {
+    if (!isMockSmsAllowed()) {
+      return { valid: false, error: 'Mock SMS provider is disabled in production' };
+    }
+    return { valid: true, details: { accountName: 'Mock SMS' } };
+  }
+
+  parseStatusWebhook(params = {}) {
+    const providerMessageId = params.MessageSid;
+    const status = (params.MessageStatus || '').toLowerCase();
+    if (!providerMessageId || !['sent', 'delivered', 'failed'].includes(status)) {
+      return null;
+    }
+    return { providerMessageId, status, statusReason: params.ErrorMessage || null };
+  }
+
+  verifyWebhookSignature() {
+    return isMockSmsAllowed();
+  }
+}
+
+/**
+ * Messages recorded by the mock gateway (most recent last)
+ * @returns {Array<Object>}
+ */
+MockSmsProvider.getOutbox = () => outbox.slice();
+
+MockSmsProvider.clearOutbox = () => {
+  outbox.length = 0;
+};
+
+MockSmsProvider.isAllowed = isMockSmsAllowed;
+
+module.exports = MockSmsProvider;
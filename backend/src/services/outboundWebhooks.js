@@ -0,0 +1,709 @@
+/**
+ * Outbound Webhooks Service
+ * Notifies tenant-configured endpoints when messages, contacts and campaigns change,
+ * and when a journey reaches a webhook step.
+ *
+ * Emitting an event only writes one webhook_deliveries row per subscribed endpoint,
+ * so callers never wait on the network. The dispatcher polls for due deliveries,
+ * POSTs the JSON payload signed with the endpoint's secret and retries failures with
+ * exponential backoff. Several tenants are served at once, each with one request in
+ * flight, so a slow endpoint only delays its own tenant. Endpoints that keep failing are
+ * disabled automatically.
+ *
+ * Signature: X-EngageNinja-Signature: t=<unix seconds>,v1=<hex HMAC-SHA256 of "<t>.<body>">
+ */
+
+const crypto = require('crypto');
+const http = require('http');
+const https = require('https');
+const db = require('../db');
+const { v4: uuidv4 } = require('uuid');
+const { logAudit, AUDIT_ACTIONS } = require('../utils/audit');
+const { assertPublicHost, lookupPublic } = require('../utils/privateNetwork');
+const { encryptSecret, decryptSecret } = require('../utils/secrets');
+
+const WEBHOOK_EVENTS = [
+  'message.sent',
+  'message.delivered',
+  'message.read',
+  'message.failed',
+  'contact.created',
+  'contact.updated',
+  'contact.opted_out',
+  'campaign.completed',
+  'journey.webhook'
+];
+
+// Sent by "Send test event"; not subscribable
+const TEST_EVENT = 'webhook.test';
+
+const MAX_ATTEMPTS = 8;
+// Delay before attempt n+1 is RETRY_BASE_MS * 2^(n-1): 30s, 1m, 2m ... about 1 hour in total
+const RETRY_BASE_MS = parseInt(process.env.WEBHOOK_RETRY_BASE_MS || '30000', 10);
+// Failed attempts in a row (across deliveries) before an endpoint is disabled
+const AUTO_DISABLE_AFTER_FAILURES = 15;
+const REQUEST_TIMEOUT_MS = 10000;
+const DISPATCH_INTERVAL_MS = parseInt(process.env.WEBHOOK_DISPATCH_INTERVAL_MS || '5000', 10);
+const DISPATCH_BATCH_SIZE = 50;
+// Tenants sending at the same time, and how many due deliveries one sends before its turn ends
+const DISPATCH_CONCURRENCY = 5;
+const TENANT_BATCH_SIZE = 10;
+const SECRET_PREFIX = 'whsec_';
+
+// Tenants with a delivery in flight
+const activeTenants = new Set();
+
+// ===== SECRETS =====
+
+function generateSecret() {
+  return `${SECRET_PREFIX}${crypto.randomBytes(24).toString('base64url')}`;
+}
+
+/**
+ * Signature header value for a payload
+ * @param {string} secret - Endpoint secret
+ * @param {number} timestamp - Unix seconds
+ * @param {string} body - Raw JSON body
+ */
+function signPayload(secret, timestamp, body) {
+  const digest = crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+  return `t=${timestamp},v1=${digest}`;
+}
+
+// ===== ENDPOINTS =====
+
+function parseEvents(value) {
+  try {
+    const events = JSON.parse(value);
+    return Array.isArray(events) ? events : [];
+  } catch {
+    return [];
+  }
+}
+
+/**
+ * API response shape for an endpoint (never includes the secret)
+ */
+function formatEndpoint(row) {
+  return {
+    id: row.id,
+    url: row.url,
+    description: row.description,
+    events: parseEvents(row.events),
+    is_active: Boolean(row.is_active),
+    consecutive_failures: row.consecutive_failures || 0,
+    disabled_at: row.disabled_at,
+    disabled_reason: row.disabled_reason,
+    last_success_at: row.last_success_at,
+    last_failure_at: row.last_failure_at,
+    created_at: row.created_at,
+    updated_at: row.updated_at
+  };
+}
+
+/**
+ * Validate endpoint fields. The URL's host must resolve to public addresses only.
+ * @param {Object} input - { url, description, events, is_active }
+ * @param {Object} options - { partial: true } for updates
+ * @returns {Promise<{ value: Object } | { error: string }>}
+ */
+async function validateEndpointInput(input = {}, { partial = false } = {}) {
+  const value = {};
+
+  if (!partial || input.url !== undefined) {
+    let url;
+    try {
+      url = new URL(String(input.url || '').trim());
+    } catch {
+      return { error: 'A valid URL is required' };
+    }
+    if (!['https:', 'http:'].includes(url.protocol)) {
+      return { error: 'URL must use https' };
+    }
+    if (url.protocol === 'http:' && process.env.NODE_ENV === 'production') {
+      return { error: 'URL must use https' };
+    }
+    try {
+      await assertPublicHost(url.hostname);
+    } catch (error) {
+      return {
+        error: error.code === 'EPRIVATEADDRESS'
+          ? 'URL must point to a public host, not a private or internal address'
+          : `Could not resolve ${url.hostname}`
+      };
+    }
+    value.url = url.toString();
+  }
+
+  if (input.description !== undefined) {
+    const description = input.description === null ? '' : String(input.description).trim();
+    if (description.length > 200) {
+      return { error: 'Description cannot exceed 200 characters' };
+    }
+    value.description = description || null;
+  }
+
+  if (!partial || input.events !== undefined) {
+    if (!Array.isArray(input.events) || input.events.length === 0) {
+      return { error: 'Select at least one event' };
+    }
+    const unknown = input.events.filter(event => !WEBHOOK_EVENTS.includes(event));
+    if (unknown.length > 0) {
+      return { error: `Unknown event: ${unknown.join(', ')}` };
+    }
+    value.events = WEBHOOK_EVENTS.filter(event => input.events.includes(event));
+  }
+
+  if (input.is_active !== undefined) {
+    value.is_active = Boolean(input.is_active);
+  }
+
+  return { value };
+}
+
+function listEndpoints(tenantId) {
+  return db.prepare(`
+    SELECT * FROM webhook_endpoints WHERE tenant_id = ? ORDER BY created_at DESC
+  `).all(tenantId).map(formatEndpoint);
+}
+
+function getEndpoint(tenantId, endpointId) {
+  return db.prepare('SELECT * FROM webhook_endpoints WHERE id = ? AND tenant_id = ?').get(endpointId, tenantId) || null;
+}
+
+/**
+ * Create an endpoint
+ * @returns {{ endpoint: Object, secret: string }}
+ */
+function createEndpoint(tenantId, { url, description = null, events }, userId) {
+  const id = uuidv4();
+  const secret = generateSecret();
+  const now = new Date().toISOString();
+
+  db.prepare(`
+    INSERT INTO webhook_endpoints (id, tenant_id, url, description, events, secret_encrypted, created_by, created_at, updated_at)
+    VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)
+  `).run(id, tenantId, url, description, JSON.stringify(events), encryptSecret(secret), userId, now, now);
+
+  return { endpoint: formatEndpoint(getEndpoint(tenantId, id)), secret };
+}
+
+/**
+ * Update an endpoint. Re-enabling clears the failure streak.
+ */
+function updateEndpoint(tenantId, endpointId, value) {
+  const existing = getEndpoint(tenantId, endpointId);
+  const now = new Date().toISOString();
+  const reactivate = value.is_active === true && !existing.is_active;
+
+  db.prepare(`
+    UPDATE webhook_endpoints
+    SET url = ?, description = ?, events = ?, is_active = ?,
+        consecutive_failures = ?, disabled_at = ?, disabled_reason = ?, updated_at = ?
+    WHERE id = ? AND tenant_id = ?
+  `).run(
+    value.url ?? existing.url,
+    value.description !== undefined ? value.description : existing.description,
+    value.events ? JSON.stringify(value.events) : existing.events,
+    value.is_active !== undefined ? (value.is_active ? 1 : 0) : existing.is_active,
+    reactivate ? 0 : existing.consecutive_failures,
+    reactivate ? null : existing.disabled_at,
+    reactivate ? null : existing.disabled_reason,
+    now,
+    endpointId,
+    tenantId
+  );
+
+  return formatEndpoint(getEndpoint(tenantId, endpointId));
+}
+
+/**
+ * Replace an endpoint's signing secret
+ * @returns {{ endpoint: Object, secret: string }}
+ */
+function rotateEndpointSecret(tenantId, endpointId) {
+  const secret = generateSecret();
+  db.prepare(`
+    UPDATE webhook_endpoints SET secret_encrypted = ?, updated_at = ? WHERE id = ? AND tenant_id = ?
+  `).run(encryptSecret(secret), new Date().toISOString(), endpointId, tenantId);
+  return { endpoint: formatEndpoint(getEndpoint(tenantId, endpointId)), secret };
+}
+
+function getEndpointSecret(tenantId, endpointId) {
+  const endpoint = getEndpoint(tenantId, endpointId);
+  return endpoint ? decryptSecret(endpoint.secret_encrypted) : null;
+}
+
+function deleteEndpoint(tenantId, endpointId) {
+  db.prepare('DELETE FROM webhook_endpoints WHERE id = ? AND tenant_id = ?').run(endpointId, tenantId);
+}
+
+// ===== EVENTS =====
+
+function insertDelivery(endpoint, eventId, eventType, payload, replayOf = null) {
+  const id = uuidv4();
+  const now = new Date().toISOString();
+  db.prepare(`
+    INSERT INTO webhook_deliveries (
+      id, tenant_id, endpoint_id, event_id, event_type, payload, status,
+      next_attempt_at, replay_of, created_at, updated_at
+    ) VALUES (?, ?, ?, ?, ?, ?, 'pending', ?, ?, ?, ?)
+  `).run(id, endpoint.tenant_id, endpoint.id, eventId, eventType, payload, now, replayOf, now, now);
+  return id;
+}
+
+function buildPayload(eventId, tenantId, eventType, data) {
+  return JSON.stringify({
+    id: eventId,
+    type: eventType,
+    created_at: new Date().toISOString(),
+    tenant_id: tenantId,
+    data
+  });
+}
+
+/**
+ * Queue an event for every active endpoint subscribed to it
+ * Never throws: a webhook problem must not break the action that raised the event.
+ * @returns {number} Deliveries queued
+ */
+function emitWebhookEvent(tenantId, eventType, data) {
+  try {
+    const endpoints = db.prepare(`
+      SELECT * FROM webhook_endpoints WHERE tenant_id = ? AND is_active = 1
+    `).all(tenantId).filter(endpoint => parseEvents(endpoint.events).includes(eventType));
+
+    if (endpoints.length === 0) {
+      return 0;
+    }
+
+    const eventId = uuidv4();
+    const payload = buildPayload(eventId, tenantId, eventType, data);
+    for (const endpoint of endpoints) {
+      insertDelivery(endpoint, eventId, eventType, payload);
+    }
+    return endpoints.length;
+  } catch (error) {
+    console.error(`Error queueing ${eventType} webhook:`, error.message);
+    return 0;
+  }
+}
+
+/**
+ * message.sent / delivered / read / failed for a message's current state
+ */
+function emitMessageEvent(messageId, status) {
+  const eventType = `message.${status}`;
+  if (!WEBHOOK_EVENTS.includes(eventType)) {
+    return 0;
+  }
+
+  const message = db.prepare(`
+    SELECT id, tenant_id, campaign_id, journey_id, contact_id, channel, status, status_reason, provider_message_id,
+      sent_at, delivered_at, read_at, failed_at
+    FROM messages WHERE id = ?
+  `).get(messageId);
+  if (!message) {
+    return 0;
+  }
+
+  const { tenant_id: tenantId, ...data } = message;
+  return emitWebhookEvent(tenantId, eventType, { ...data, status });
+}
+
+/**
+ * contact.created / updated / opted_out with the contact's current fields
+ */
+function emitContactEvent(tenantId, contactId, eventType, extra = {}) {
+  const contact = db.prepare(`
+    SELECT id, name, phone, email, consent_whatsapp, consent_email, consent_sms, consent_source,
+      consent_updated_at, custom_attributes, created_at, updated_at
+    FROM contacts WHERE id = ? AND tenant_id = ?
+  `).get(contactId, tenantId);
+  if (!contact) {
+    return 0;
+  }
+
+  let customAttributes = {};
+  try {
+    customAttributes = contact.custom_attributes ? JSON.parse(contact.custom_attributes) : {};
+  } catch {
+    customAttributes = {};
+  }
+
+  return emitWebhookEvent(tenantId, eventType, {
+    ...contact,
+    consent_whatsapp: Boolean(contact.consent_whatsapp),
+    consent_email: Boolean(contact.consent_email),
+    consent_sms: Boolean(contact.consent_sms),
+    custom_attributes: customAttributes,
+    ...extra
+  });
+}
+
+/**
+ * campaign.completed with final message counts
+ */
+function emitCampaignCompleted(campaignId) {
+  const campaign = db.prepare(`
+    SELECT id, tenant_id, name, channel, status, sent_at, completed_at FROM campaigns WHERE id = ?
+  `).get(campaignId);
+  if (!campaign) {
+    return 0;
+  }
+
+  const counts = db.prepare(`
+    SELECT
+      COUNT(*) as total,
+      SUM(CASE WHEN status IN ('sent', 'delivered', 'read') THEN 1 ELSE 0 END) as sent,
+      SUM(CASE WHEN status IN ('delivered', 'read') THEN 1 ELSE 0 END) as delivered,
+      SUM(CASE WHEN status = 'read' THEN 1 ELSE 0 END) as read,
+      SUM(CASE WHEN status = 'failed' THEN 1 ELSE 0 END) as failed
+    FROM messages WHERE campaign_id = ?
+  `).get(campaignId);
+
+  const { tenant_id: tenantId, ...data } = campaign;
+  return emitWebhookEvent(tenantId, 'campaign.completed', {
+    ...data,
+    metrics: {
+      total: counts.total || 0,
+      sent: counts.sent || 0,
+      delivered: counts.delivered || 0,
+      read: counts.read || 0,
+      failed: counts.failed || 0
+    }
+  });
+}
+
+/**
+ * Queue a webhook.test event for one endpoint, regardless of its subscriptions
+ * @returns {string} Delivery ID
+ */
+function queueTestEvent(endpoint) {
+  const eventId = uuidv4();
+  const payload = buildPayload(eventId, endpoint.tenant_id, TEST_EVENT, {
+    endpoint_id: endpoint.id,
+    message: 'This is a test event from EngageNinja'
+  });
+  return insertDelivery(endpoint, eventId, TEST_EVENT, payload);
+}
+
+// ===== DELIVERY LOG =====
+
+function formatDelivery(row) {
+  let payload = null;
+  try {
+    payload = JSON.parse(row.payload);
+  } catch {
+    payload = row.payload;
+  }
+  return {
+    id: row.id,
+    endpoint_id: row.endpoint_id,
+    event_id: row.event_id,
+    event_type: row.event_type,
+    status: row.status,
+    attempts: row.attempts || 0,
+    next_attempt_at: row.status === 'pending' ? row.next_attempt_at : null,
+    last_attempt_at: row.last_attempt_at,
+    response_status: row.response_status,
+    error: row.error,
+    duration_ms: row.duration_ms,
+    delivered_at: row.delivered_at,
+    replay_of: row.replay_of,
+    payload,
+    created_at: row.created_at
+  };
+}
+
+/**
+ * Deliveries for an endpoint, newest first
+ * @param {Object} options - { status, limit, offset }
+ * @returns {{ deliveries: Array, total: number }}
+ */
+function listDeliveries(tenantId, endpointId, { status = null, limit = 50, offset = 0 } = {}) {
+  const where = ['tenant_id = ?', 'endpoint_id = ?'];
+  const params = [tenantId, endpointId];
+  if (status) {
+    where.push('status = ?');
+    params.push(status);
+  }
+
+  const total = db.prepare(`SELECT COUNT(*) as count FROM webhook_deliveries WHERE ${where.join(' AND ')}`).get(...params).count;
+  const deliveries = db.prepare(`
+    SELECT * FROM webhook_deliveries
+    WHERE ${where.join(' AND ')}
+    ORDER BY created_at DESC
+    LIMIT ? OFFSET ?
+  `).all(...params, limit, offset).map(formatDelivery);
+
+  return { deliveries, total };
+}
+
+function getDelivery(tenantId, deliveryId) {
+  return db.prepare('SELECT * FROM webhook_deliveries WHERE id = ? AND tenant_id = ?').get(deliveryId, tenantId) || null;
+}
+
+/**
+ * Send a logged delivery again as a new delivery with the same payload and event ID
+ * @returns {Object} The new delivery
+ */
+function replayDelivery(tenantId, delivery) {
+  const endpoint = getEndpoint(tenantId, delivery.endpoint_id);
+  const id = insertDelivery(endpoint, delivery.event_id, delivery.event_type, delivery.payload, delivery.id);
+  return formatDelivery(getDelivery(tenantId, id));
+}
+
+// ===== DISPATCH =====
+
+function getRetryDelayMs(attempts) {
+  return RETRY_BASE_MS * Math.pow(2, Math.max(attempts - 1, 0));
+}
+
+/**
+ * Turn an endpoint off after too many failures and fail its pending deliveries
+ */
+function disableEndpoint(endpoint, reason) {
+  const now = new Date().toISOString();
+  db.transaction(() => {
+    db.prepare(`
+      UPDATE webhook_endpoints
+      SET is_active = 0, disabled_at = ?, disabled_reason = ?, updated_at = ?
+      WHERE id = ?
+    `).run(now, reason, now, endpoint.id);
+    db.prepare(`
+      UPDATE webhook_deliveries
+      SET status = 'failed', error = COALESCE(error, 'Endpoint disabled'), next_attempt_at = NULL, updated_at = ?
+      WHERE endpoint_id = ? AND status = 'pending'
+    `).run(now, endpoint.id);
+  })();
+
+  logAudit({
+    actorUserId: null,
+    actorType: 'system',
+    tenantId: endpoint.tenant_id,
+    action: AUDIT_ACTIONS.WEBHOOK_DISABLE,
+    targetType: 'webhook_endpoint',
+    targetId: endpoint.id,
+    metadata: { url: endpoint.url, reason }
+  });
+
+  console.warn(`⚠️  Webhook endpoint ${endpoint.id} disabled: ${reason}`);
+}
+
+function recordAttempt(delivery, endpoint, result) {
+  const now = new Date();
+  const nowIso = now.toISOString();
+  const attempts = (delivery.attempts || 0) + 1;
+
+  if (result.ok) {
+    db.prepare(`
+      UPDATE webhook_deliveries
+      SET status = 'succeeded', attempts = ?, last_attempt_at = ?, delivered_at = ?, next_attempt_at = NULL,
+          response_status = ?, error = NULL, duration_ms = ?, updated_at = ?
+      WHERE id = ?
+    `).run(attempts, nowIso, nowIso, result.status, result.durationMs, nowIso, delivery.id);
+    db.prepare(`
+      UPDATE webhook_endpoints SET consecutive_failures = 0, last_success_at = ?, updated_at = ? WHERE id = ?
+    `).run(nowIso, nowIso, endpoint.id);
+    return;
+  }
+
+  const exhausted = attempts >= MAX_ATTEMPTS;
+  db.prepare(`
+    UPDATE webhook_deliveries
+    SET status = ?, attempts = ?, last_attempt_at = ?, next_attempt_at = ?,
+        response_status = ?, error = ?, duration_ms = ?, updated_at = ?
+    WHERE id = ?
+  `).run(
+    exhausted ? 'failed' : 'pending',
+    attempts,
+    nowIso,
+    exhausted ? null : new Date(now.getTime() + getRetryDelayMs(attempts)).toISOString(),
+    result.status,
+    result.error,
+    result.durationMs,
+    nowIso,
+    delivery.id
+  );
+
+  const failures = (endpoint.consecutive_failures || 0) + 1;
+  db.prepare(`
+    UPDATE webhook_endpoints SET consecutive_failures = ?, last_failure_at = ?, updated_at = ? WHERE id = ?
+  `).run(failures, nowIso, nowIso, endpoint.id);
+
+  if (failures >= AUTO_DISABLE_AFTER_FAILURES) {
+    disableEndpoint(endpoint, `${failures} consecutive failed deliveries (last: ${result.error})`);
+  }
+}
+
+/**
+ * POST a body and resolve with the response status. Redirects aren't followed and the
+ * response body is discarded, so nothing the endpoint's host returns reaches the tenant.
+ * Connections to private addresses fail, also when DNS changes after the URL was saved.
+ */
+function postToEndpoint(url, headers, body) {
+  return new Promise((resolve, reject) => {
+    const target = new URL(url);
+    const client = target.protocol === 'https:' ? https : http;
+    const req = client.request(target, {
+      method: 'POST',
+      headers: { ...headers, 'Content-Length': Buffer.byteLength(body) },
+      lookup: lookupPublic,
+      timeout: REQUEST_TIMEOUT_MS
+    }, (res) => {
+      res.resume();
+      res.on('end', () => resolve(res.statusCode));
+      res.on('error', reject);
+    });
+    req.on('timeout', () => {
+      const error = new Error(`Timed out after ${REQUEST_TIMEOUT_MS / 1000}s`);
+      error.name = 'TimeoutError';
+      req.destroy(error);
+    });
+    req.on('error', reject);
+    req.end(body);
+  });
+}
+
+/**
+ * POST one delivery to its endpoint
+ * @returns {Promise<{ ok: boolean, status: number|null, error: string|null, durationMs: number }>}
+ */
+async function sendDelivery(delivery, endpoint) {
+  const timestamp = Math.floor(Date.now() / 1000);
+  const started = Date.now();
+
+  try {
+    // IP literals skip the DNS lookup, so they are checked here
+    await assertPublicHost(new URL(endpoint.url).hostname);
+    const status = await postToEndpoint(endpoint.url, {
+      'Content-Type': 'application/json',
+      'User-Agent': 'EngageNinja-Webhooks/1.0',
+      'X-EngageNinja-Event': delivery.event_type,
+      'X-EngageNinja-Event-Id': delivery.event_id,
+      'X-EngageNinja-Delivery': delivery.id,
+      'X-EngageNinja-Signature': signPayload(decryptSecret(endpoint.secret_encrypted), timestamp, delivery.payload)
+    }, delivery.payload);
+    const ok = status >= 200 && status < 300;
+    return {
+      ok,
+      status,
+      error: ok ? null : `HTTP ${status}`,
+      durationMs: Date.now() - started
+    };
+  } catch (error) {
+    return {
+      ok: false,
+      status: null,
+      error: error.code === 'EPRIVATEADDRESS' ? 'Endpoint resolves to a private or internal address' : error.message,
+      durationMs: Date.now() - started
+    };
+  }
+}
+
+/**
+ * Send one tenant's due deliveries in order
+ * @returns {Promise<number>} Deliveries attempted
+ */
+async function sendTenantBatch(deliveries) {
+  let attempted = 0;
+  for (const delivery of deliveries) {
+    // Re-read: earlier failures in this batch may have disabled the endpoint
+    const endpoint = db.prepare('SELECT * FROM webhook_endpoints WHERE id = ?').get(delivery.endpoint_id);
+    if (!endpoint || !endpoint.is_active) {
+      continue;
+    }
+
+    const result = await sendDelivery(delivery, endpoint);
+    recordAttempt(delivery, endpoint, result);
+    attempted++;
+  }
+  return attempted;
+}
+
+/**
+ * Attempt pending deliveries that are due, for up to DISPATCH_CONCURRENCY tenants at once.
+ * Tenants still busy from an earlier call are skipped until they finish.
+ * @param {Date} now - Reference time (defaults to current time)
+ * @returns {Promise<number>} Deliveries attempted
+ */
+async function processDueDeliveries(now = new Date()) {
+  const slots = DISPATCH_CONCURRENCY - activeTenants.size;
+  if (slots <= 0) {
+    return 0;
+  }
+
+  const busy = [...activeTenants];
+  const due = db.prepare(`
+    SELECT * FROM webhook_deliveries
+    WHERE status = 'pending' AND next_attempt_at <= ?
+      ${busy.length > 0 ? `AND tenant_id NOT IN (${busy.map(() => '?').join(', ')})` : ''}
+    ORDER BY next_attempt_at ASC
+    LIMIT ?
+  `).all(now.toISOString(), ...busy, DISPATCH_BATCH_SIZE);
+
+  const batches = new Map();
+  due.forEach(delivery => {
+    if (!batches.has(delivery.tenant_id)) {
+      if (batches.size >= slots) return;
+      batches.set(delivery.tenant_id, []);
+    }
+    const batch = batches.get(delivery.tenant_id);
+    if (batch.length < TENANT_BATCH_SIZE) batch.push(delivery);
+  });
+
+  const results = await Promise.allSettled([...batches].map(async ([tenantId, deliveries]) => {
+    activeTenants.add(tenantId);
+    try {
+      return await sendTenantBatch(deliveries);
+    } finally {
+      activeTenants.delete(tenantId);
+    }
+  }));
+  results.filter(result => result.status === 'rejected')
+    .forEach(result => console.error('Webhook dispatch error:', result.reason));
+  return results.reduce((sum, result) => sum + (result.status === 'fulfilled' ? result.value : 0), 0);
+}
+
+/**
+ * Start polling for due webhook deliveries
+ */
+function startWebhookDispatcher() {
+  console.log('🔄 Starting webhook dispatcher...');
+
+  setInterval(async () => {
+    try {
+      await processDueDeliveries();
+    } catch (error) {
+      console.error('Fatal error in webhook dispatcher:', error);
+    }
+  }, DISPATCH_INTERVAL_MS);
+
+  console.log('✓ Webhook dispatcher started');
+}
+
+module.exports = {
+  WEBHOOK_EVENTS,
+  MAX_ATTEMPTS,
+  AUTO_DISABLE_AFTER_FAILURES,
+  signPayload,
+  validateEndpointInput,
+  listEndpoints,
+  getEndpoint,
+  createEndpoint,
+  updateEndpoint,
+  rotateEndpointSecret,
+  getEndpointSecret,
+  deleteEndpoint,
+  emitWebhookEvent,
+  emitMessageEvent,
+  emitContactEvent,
+  emitCampaignCompleted,
+  queueTestEvent,
+  listDeliveries,
+  getDelivery,
+  replayDelivery,
+  processDueDeliveries,
+  startWebhookDispatcher
+};
@@ -0,0 +1,111 @@
+/**
+ * Password Reset Service
+ * Single-use, expiring reset tokens in password_reset_tokens. Only the SHA-256 of a
+ * token is stored; the token itself is only ever in the emailed link. Requests and
+ * completions are throttled per IP and per account with the shared rate limiter.
+ */
+
+const crypto = require('crypto');
+const db = require('../db');
+const { takeTokens } = require('./rateLimiter');
+
+const TOKEN_EXPIRY_MINUTES = parseInt(process.env.PASSWORD_RESET_TOKEN_EXPIRY_MINUTES || '60', 10);
+
+// { capacity, windowSeconds }: capacity attempts, refilled evenly over the window
+const RATE_LIMITS = {
+  requestPerIp: { capacity: 5, windowSeconds: 15 * 60 },
+  requestPerEmail: { capacity: 3, windowSeconds: 60 * 60 },
+  resetPerIp: { capacity: 10, windowSeconds: 15 * 60 }
+};
+
+const hashToken = (token) => crypto.createHash('sha256').update(String(token)).digest('hex');
+
+const bucket = (name, id) => ({
+  key: `password_reset:${name}:${id}`,
+  capacity: RATE_LIMITS[name].capacity,
+  ratePerSecond: RATE_LIMITS[name].capacity / RATE_LIMITS[name].windowSeconds
+});
+
+/**
+ * Throttle reset requests from one IP and for one email address
+ * @returns {{ allowed: boolean, retryInMs: number }}
+ */
+function takeResetRequestToken(ipAddress, email) {
+  return takeTokens([
+    bucket('requestPerIp', ipAddress || 'unknown'),
+    bucket('requestPerEmail', String(email).toLowerCase())
+  ]);
+}
+
+/**
+ * Throttle reset completions (token guesses) from one IP
+ * @returns {{ allowed: boolean, retryInMs: number }}
+ */
+function takeResetAttemptToken(ipAddress) {
+  return takeTokens([bucket('resetPerIp', ipAddress || 'unknown')]);
+}
+
+/**
+ * Issue a reset token, replacing any the user still has outstanding
+ * @param {string} userId - User ID
+ * @returns {{ token: string, expiresAt: string }}
+ */
+function createResetToken(userId) {
+  const token = crypto.randomBytes(32).toString('base64url');
+  const now = new Date();
+  const expiresAt = new Date(now.getTime() + TOKEN_EXPIRY_MINUTES * 60 * 1000).toISOString();
+
+  db.transaction(() => {
+    db.prepare('DELETE FROM password_reset_tokens WHERE user_id = ? AND used_at IS NULL').run(userId);
+    db.prepare(`
+      INSERT INTO password_reset_tokens (token, user_id, expires_at, created_at) VALUES (?, ?, ?, ?)
+    `).run(hashToken(token), userId, expiresAt, now.toISOString());
+  })();
+
+  return { token, expiresAt };
+}
+
+/**
+ * Look up a token without using it
+ * @returns {{ row?: Object, reason?: 'invalid' | 'used' | 'expired' }}
+ */
+function findResetToken(token) {
+  const row = token
+    ? db.prepare('SELECT * FROM password_reset_tokens WHERE token = ?').get(hashToken(token))
+    : null;
+  if (!row) return { reason: 'invalid' };
+  if (row.used_at) return { row, reason: 'used' };
+  if (new Date(row.expires_at).getTime() <= Date.now()) return { row, reason: 'expired' };
+  return { row };
+}
+
+/**
+ * Set a new password with a token; the token is used up in the same transaction
+ * @param {string} token - Token from the emailed link
+ * @param {string} passwordHash - bcrypt hash of the new password
+ * @returns {{ userId?: string, reason?: 'invalid' | 'used' | 'expired' }}
+ */
+function completeReset(token, passwordHash) {
+  return db.transaction(() => {
+    const { row, reason } = findResetToken(token);
+    if (reason) return { userId: row?.user_id, reason };
+
+    const now = new Date().toISOString();
+    const claimed = db.prepare(`
+      UPDATE password_reset_tokens SET used_at = ? WHERE token = ? AND used_at IS NULL
+    `).run(now, row.token);
+    if (claimed.changes === 0) return { userId: row.user_id, reason: 'used' };
+
+    db.prepare('UPDATE users SET password_hash = ?, updated_at = ? WHERE id = ?').run(passwordHash, now, row.user_id);
+    return { userId: row.user_id };
+  }).immediate();
+}
+
+module.exports = {
+  TOKEN_EXPIRY_MINUTES,
+  takeResetRequestToken,
+  takeResetAttemptToken,
+  createResetToken,
+  findResetToken,
+  completeReset
+};
@@ -0,0 +1,62 @@
+/**
+ * Shared Rate Limiter
+ * Token buckets in the rate_limit_buckets table, so every worker process
+ * sending for the same tenant draws from one budget.
+ */
+
+const db = require('../db');
+
+// The slowest bucket (a daily send limit) refills within a day, and a missing bucket
+// starts full, so a bucket left alone that long can be deleted without changing anything
+const BUCKET_IDLE_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Take one token from every bucket, or none if any bucket is short
+ * Buckets refill continuously at ratePerSecond up to capacity and start full.
+ * @param {Array<{ key: string, ratePerSecond: number, capacity: number }>} buckets
+ * @returns {{ allowed: boolean, retryInMs: number }} retryInMs is how long until every bucket has a token
+ */
+function takeTokens(buckets) {
+  const take = db.transaction(() => {
+    const now = Date.now();
+    const load = db.prepare('SELECT tokens, updated_at_ms FROM rate_limit_buckets WHERE key = ?');
+
+    const levels = buckets.map(bucket => {
+      const row = load.get(bucket.key);
+      const elapsedSeconds = row ? Math.max(now - row.updated_at_ms, 0) / 1000 : 0;
+      const tokens = row
+        ? Math.min(bucket.capacity, row.tokens + elapsedSeconds * bucket.ratePerSecond)
+        : bucket.capacity;
+      return { ...bucket, tokens };
+    });
+
+    const short = levels.filter(level => level.tokens < 1);
+    const allowed = short.length === 0;
+    const retryInMs = allowed
+      ? 0
+      : Math.max(...short.map(level => Math.ceil(((1 - level.tokens) / level.ratePerSecond) * 1000)));
+
+    const save = db.prepare(`
+      INSERT INTO rate_limit_buckets (key, tokens, updated_at_ms) VALUES (?, ?, ?)
+      ON CONFLICT(key) DO UPDATE SET tokens = excluded.tokens, updated_at_ms = excluded.updated_at_ms
+    `);
+    levels.forEach(level => save.run(level.key, allowed ? level.tokens - 1 : level.tokens, now));
+
+    return { allowed, retryInMs };
+  });
+
+  return take.immediate();
+}
+
+/**
+ * Delete buckets that haven't been used for BUCKET_IDLE_MS
+ * @returns {number} Buckets deleted
+ */
+function pruneIdleBuckets(now = Date.now()) {
+  return db.prepare('DELETE FROM rate_limit_buckets WHERE updated_at_ms < ?').run(now - BUCKET_IDLE_MS).changes;
+}
+
+module.exports = {
+  takeTokens,
+  pruneIdleBuckets
+};
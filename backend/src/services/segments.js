@@ -0,0 +1,376 @@
+/**
+ * Segments Service
+ * Saved audience definitions built from nested AND/OR/NOT groups.
+ *
+ * A definition is a group:
+ *   { match: 'all' | 'any', negate: boolean, conditions: [condition | group] }
+ *
+ * Conditions:
+ *   { type: 'tag', operator: 'has' | 'not_has', value: tagId }
+ *   { type: 'consent', channel: 'whatsapp' | 'email' | 'sms', value: boolean }
+ *   { type: 'created_at', operator: 'after' | 'before', value: 'YYYY-MM-DD' }
+ *   { type: 'created_at', operator: 'in_last_days' | 'older_than_days', value: days }
+ *   { type: 'engagement', event: 'sent' | 'delivered' | 'read' | 'failed',
+ *     operator: 'ever' | 'never' | 'in_last_days' | 'not_in_last_days', value: days, channel }
+ *   { type: 'attribute', key, operator: 'equals' | 'not_equals' | 'contains' | 'gt' | 'lt'
+ *     | 'before' | 'after' | 'is_set' | 'is_not_set', value }
+ *
+ * Definitions are validated once and compiled to a parameterised WHERE fragment
+ * over the contacts table aliased as c.
+ */
+
+const db = require('../db');
+const { CONSENT_COLUMNS } = require('./consent');
+
+const CHANNELS = ['whatsapp', 'email', 'sms'];
+const MATCH_MODES = ['all', 'any'];
+const MAX_DEPTH = 4;
+const MAX_CONDITIONS = 50;
+const MAX_DAYS = 3650;
+
+const CREATED_AT_OPERATORS = ['after', 'before', 'in_last_days', 'older_than_days'];
+const ENGAGEMENT_OPERATORS = ['ever', 'never', 'in_last_days', 'not_in_last_days'];
+const ATTRIBUTE_OPERATORS = ['equals', 'not_equals', 'contains', 'gt', 'lt', 'before', 'after', 'is_set', 'is_not_set'];
+
+// A read message was delivered even if the provider never sent the delivered callback
+const ENGAGEMENT_COLUMNS = {
+  sent: 'm.sent_at',
+  delivered: 'COALESCE(m.delivered_at, m.read_at)',
+  read: 'm.read_at',
+  failed: 'm.failed_at'
+};
+
+const ATTRIBUTE_KEY_PATTERN = /^[A-Za-z_][A-Za-z0-9_]{0,63}$/;
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}/;
+
+function isValidDate(value) {
+  return typeof value === 'string' && DATE_PATTERN.test(value) && !Number.isNaN(Date.parse(value));
+}
+
+function parseDays(value) {
+  const days = Number(value);
+  return Number.isInteger(days) && days >= 1 && days <= MAX_DAYS ? days : null;
+}
+
+// ===== VALIDATION =====
+
+function validateCondition(condition, context) {
+  const { tenantId } = context;
+
+  switch (condition.type) {
+    case 'tag': {
+      if (!['has', 'not_has'].includes(condition.operator)) {
+        return { error: 'Tag conditions need operator "has" or "not_has"' };
+      }
+      const tag = db.prepare('SELECT id FROM tags WHERE id = ? AND tenant_id = ?').get(condition.value, tenantId);
+      if (!tag) {
+        return { error: 'Tag condition references an unknown tag' };
+      }
+      return { condition: { type: 'tag', operator: condition.operator, value: tag.id } };
+    }
+
+    case 'consent': {
+      if (!CHANNELS.includes(condition.channel)) {
+        return { error: 'Consent conditions need a channel of "whatsapp", "email" or "sms"' };
+      }
+      return { condition: { type: 'consent', channel: condition.channel, value: condition.value !== false } };
+    }
+
+    case 'created_at': {
+      if (!CREATED_AT_OPERATORS.includes(condition.operator)) {
+        return { error: `created_at operator must be one of: ${CREATED_AT_OPERATORS.join(', ')}` };
+      }
+      if (['after', 'before'].includes(condition.operator)) {
+        if (!isValidDate(condition.value)) {
+          return { error: 'created_at needs a date (YYYY-MM-DD)' };
+        }
+        return { condition: { type: 'created_at', operator: condition.operator, value: condition.value } };
+      }
+      const days = parseDays(condition.value);
+      if (!days) {
+        return { error: `created_at needs a number of days between 1 and ${MAX_DAYS}` };
+      }
+      return { condition: { type: 'created_at', operator: condition.operator, value: days } };
+    }
+
+    case 'engagement': {
+      if (!ENGAGEMENT_COLUMNS[condition.event]) {
+        return { error: 'Engagement event must be "sent", "delivered", "read" or "failed"' };
+      }
+      if (!ENGAGEMENT_OPERATORS.includes(condition.operator)) {
+        return { error: `Engagement operator must be one of: ${ENGAGEMENT_OPERATORS.join(', ')}` };
+      }
+      if (condition.channel && !CHANNELS.includes(condition.channel)) {
+        return { error: 'Engagement channel must be "whatsapp", "email" or "sms"' };
+      }
+      const normalized = {
+        type: 'engagement',
+        event: condition.event,
+        operator: condition.operator,
+        channel: condition.channel || null
+      };
+      if (condition.operator.endsWith('_days')) {
+        normalized.value = parseDays(condition.value);
+        if (!normalized.value) {
+          return { error: `Engagement window needs a number of days between 1 and ${MAX_DAYS}` };
+        }
+      }
+      return { condition: normalized };
+    }
+
+    case 'attribute': {
+      if (!ATTRIBUTE_KEY_PATTERN.test(condition.key || '')) {
+        return { error: 'Attribute key must start with a letter or underscore and contain only letters, numbers and underscores' };
+      }
+      if (!ATTRIBUTE_OPERATORS.includes(condition.operator)) {
+        return { error: `Attribute operator must be one of: ${ATTRIBUTE_OPERATORS.join(', ')}` };
+      }
+      const normalized = { type: 'attribute', key: condition.key, operator: condition.operator };
+      if (['gt', 'lt'].includes(condition.operator)) {
+        if (condition.value === '' || condition.value === null || !Number.isFinite(Number(condition.value))) {
+          return { error: `Attribute "${condition.key}" needs a numeric value` };
+        }
+        normalized.value = Number(condition.value);
+      } else if (['before', 'after'].includes(condition.operator)) {
+        if (!isValidDate(condition.value)) {
+          return { error: `Attribute "${condition.key}" needs a date (YYYY-MM-DD)` };
+        }
+        normalized.value = condition.value;
+      } else if (!['is_set', 'is_not_set'].includes(condition.operator)) {
+        if (condition.value === undefined || condition.value === null || condition.value === '') {
+          return { error: `Attribute "${condition.key}" needs a value` };
+        }
+        normalized.value = ['string', 'number', 'boolean'].includes(typeof condition.value)
+          ? condition.value
+          : String(condition.value);
+      }
+      return { condition: normalized };
+    }
+
+    case 'group':
+      return validateGroup(condition, { ...context, depth: context.depth + 1 });
+
+    default:
+      return { error: `Unknown condition type: ${condition.type}` };
+  }
+}
+
+function validateGroup(group, context) {
+  if (!group || typeof group !== 'object' || Array.isArray(group)) {
+    return { error: 'Segment definition must be an object' };
+  }
+  if (context.depth > MAX_DEPTH) {
+    return { error: `Segments can nest groups at most ${MAX_DEPTH} levels deep` };
+  }
+
+  const match = group.match || 'all';
+  if (!MATCH_MODES.includes(match)) {
+    return { error: 'Group match must be "all" or "any"' };
+  }
+
+  const conditions = group.conditions || [];
+  if (!Array.isArray(conditions)) {
+    return { error: 'Group conditions must be an array' };
+  }
+
+  const normalized = [];
+  for (const condition of conditions) {
+    context.counter.count += 1;
+    if (context.counter.count > MAX_CONDITIONS) {
+      return { error: `Segments can have at most ${MAX_CONDITIONS} conditions` };
+    }
+    if (!condition || typeof condition !== 'object') {
+      return { error: 'Each condition must be an object' };
+    }
+    const result = validateCondition(condition, context);
+    if (result.error) return result;
+    normalized.push(result.condition);
+  }
+
+  return {
+    condition: {
+      type: 'group',
+      match,
+      negate: group.negate === true,
+      conditions: normalized
+    }
+  };
+}
+
+/**
+ * Validate and normalize a segment definition for a tenant
+ * Unknown fields are dropped and tag IDs are checked against the tenant's tags.
+ * @param {Object|string} definition - Root group (JSON string accepted)
+ * @param {string} tenantId - Tenant ID
+ * @returns {{ definition: Object }|{ error: string }}
+ */
+function validateSegmentDefinition(definition, tenantId) {
+  let parsed = definition;
+  if (typeof definition === 'string') {
+    try {
+      parsed = JSON.parse(definition);
+    } catch {
+      return { error: 'Segment definition must be valid JSON' };
+    }
+  }
+
+  const result = validateGroup(parsed, { tenantId, depth: 1, counter: { count: 0 } });
+  if (result.error) return result;
+
+  // The root is always a group, so it doesn't carry the type marker used for nesting
+  const { match, negate, conditions } = result.condition;
+  return { definition: { match, negate, conditions } };
+}
+
+// ===== SQL COMPILATION =====
+
+function attributeValueSql(key, params) {
+  params.push(`$."${key}"`);
+  return '(CASE WHEN json_valid(c.custom_attributes) THEN json_extract(c.custom_attributes, ?) END)';
+}
+
+function compileAttribute(condition, params) {
+  const value = attributeValueSql(condition.key, params);
+
+  switch (condition.operator) {
+    case 'equals':
+    case 'not_equals': {
+      let equalsSql;
+      if (typeof condition.value === 'number') {
+        equalsSql = `CAST(${value} AS REAL) = ?`;
+        params.push(condition.value);
+      } else if (typeof condition.value === 'boolean') {
+        // JSON true/false extract as 1/0
+        equalsSql = `${value} = ?`;
+        params.push(condition.value ? 1 : 0);
+      } else {
+        equalsSql = `LOWER(CAST(${value} AS TEXT)) = LOWER(?)`;
+        params.push(String(condition.value));
+      }
+      return condition.operator === 'equals'
+        ? `COALESCE(${equalsSql}, 0)`
+        : `NOT COALESCE(${equalsSql}, 0)`;
+    }
+    case 'contains':
+      params.push(String(condition.value));
+      return `COALESCE(instr(LOWER(CAST(${value} AS TEXT)), LOWER(?)) > 0, 0)`;
+    case 'gt':
+      params.push(condition.value);
+      return `COALESCE(CAST(${value} AS REAL) > ?, 0)`;
+    case 'lt':
+      params.push(condition.value);
+      return `COALESCE(CAST(${value} AS REAL) < ?, 0)`;
+    case 'after':
+      params.push(condition.value);
+      return `COALESCE(julianday(${value}) >= julianday(?), 0)`;
+    case 'before':
+      params.push(condition.value);
+      return `COALESCE(julianday(${value}) < julianday(?), 0)`;
+    case 'is_set':
+      return `COALESCE(CAST(${value} AS TEXT) != '', 0)`;
+    case 'is_not_set':
+      return `NOT COALESCE(CAST(${value} AS TEXT) != '', 0)`;
+    default:
+      throw new Error(`Unknown attribute operator: ${condition.operator}`);
+  }
+}
+
+function compileEngagement(condition, params) {
+  const column = ENGAGEMENT_COLUMNS[condition.event];
+  let sql = `SELECT 1 FROM messages m WHERE m.contact_id = c.id AND ${column} IS NOT NULL`;
+
+  if (condition.channel) {
+    sql += ' AND m.channel = ?';
+    params.push(condition.channel);
+  }
+  if (condition.operator.endsWith('_days')) {
+    sql += ` AND julianday(${column}) >= julianday('now', ?)`;
+    params.push(`-${condition.value} days`);
+  }
+
+  const positive = ['ever', 'in_last_days'].includes(condition.operator);
+  return `${positive ? '' : 'NOT '}EXISTS (${sql})`;
+}
+
+function compileCondition(condition, params) {
+  switch (condition.type) {
+    case 'group':
+      return compileGroup(condition, params);
+    case 'tag':
+      params.push(condition.value);
+      return `${condition.operator === 'not_has' ? 'NOT ' : ''}EXISTS (
+        SELECT 1 FROM contact_tags ct WHERE ct.contact_id = c.id AND ct.tag_id = ?
+      )`;
+    case 'consent':
+      return condition.value
+        ? `c.${CONSENT_COLUMNS[condition.channel]} = 1`
+        : `COALESCE(c.${CONSENT_COLUMNS[condition.channel]}, 0) != 1`;
+    case 'created_at':
+      if (condition.operator === 'after' || condition.operator === 'before') {
+        params.push(condition.value);
+        return `julianday(c.created_at) ${condition.operator === 'after' ? '>=' : '<'} julianday(?)`;
+      }
+      params.push(`-${condition.value} days`);
+      return `julianday(c.created_at) ${condition.operator === 'in_last_days' ? '>=' : '<'} julianday('now', ?)`;
+    case 'engagement':
+      return compileEngagement(condition, params);
+    case 'attribute':
+      return compileAttribute(condition, params);
+    default:
+      throw new Error(`Unknown condition type: ${condition.type}`);
+  }
+}
+
+function compileGroup(group, params) {
+  const parts = (group.conditions || []).map(condition => compileCondition(condition, params));
+  // An empty group matches every contact
+  const sql = parts.length > 0
+    ? `(${parts.join(group.match === 'any' ? ' OR ' : ' AND ')})`
+    : '(1 = 1)';
+  return group.negate ? `NOT ${sql}` : sql;
+}
+
+/**
+ * Compile a validated definition into a WHERE fragment over contacts aliased as c
+ * @param {Object} definition - Output of validateSegmentDefinition
+ * @returns {{ sql: string, params: Array }}
+ */
+function compileSegmentDefinition(definition) {
+  const params = [];
+  const sql = compileGroup(definition, params);
+  return { sql, params };
+}
+
+/**
+ * Number of live contacts matching a definition, before channel rules
+ * @returns {number}
+ */
+function countSegmentContacts(tenantId, definition) {
+  const { sql, params } = compileSegmentDefinition(definition);
+  const row = db.prepare(`
+    SELECT COUNT(*) as count FROM contacts c
+    WHERE c.tenant_id = ? AND c.deleted_at IS NULL AND ${sql}
+  `).get(tenantId, ...params);
+  return row.count;
+}
+
+/**
+ * Load a tenant's segment, including soft-deleted ones still referenced by campaigns
+ * @returns {Object|null} Segment row with definition parsed
+ */
+function getSegment(tenantId, segmentId) {
+  const segment = db.prepare(`
+    SELECT * FROM segments WHERE id = ? AND tenant_id = ?
+  `).get(segmentId, tenantId);
+  if (!segment) return null;
+
+  return { ...segment, definition: JSON.parse(segment.definition) };
+}
+
+module.exports = {
+  CHANNELS,
+  validateSegmentDefinition,
+  compileSegmentDefinition,
+  countSegmentContacts,
+  getSegment
+};
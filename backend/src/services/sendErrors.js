@@ -0,0 +1,176 @@
+/**
+ * Send Error Classification
+ * Sorts provider errors (Meta Graph API, SES / Brevo, Twilio) into classes, each
+ * with its own retry policy:
+ *   permanent       - the message can never be sent as is (bad number, invalid params)
+ *   rate_limited    - the provider wants us to slow down
+ *   transient       - network errors, provider outages, channel not configured yet
+ *   auth_failure    - credentials or account rejected; the tenant's channel is paused
+ *   template_paused - Meta paused the WhatsApp template for low quality
+ */
+
+const ERROR_CLASSES = {
+  PERMANENT: 'permanent',
+  RATE_LIMITED: 'rate_limited',
+  TRANSIENT: 'transient',
+  AUTH_FAILURE: 'auth_failure',
+  TEMPLATE_PAUSED: 'template_paused'
+};
+
+// The message fails when its attempts count reaches maxAttempts. Retry n waits
+// baseDelayMs * 2^(n-1) (capped at maxDelayMs), jittered between half and all of it.
+// Auth failures don't retry: the message waits for the channel to be reconnected.
+const RETRY_POLICIES = {
+  permanent: { maxAttempts: 0 },
+  rate_limited: { maxAttempts: 8, baseDelayMs: 30 * 1000, maxDelayMs: 15 * 60 * 1000 },
+  transient: { maxAttempts: 5, baseDelayMs: 5 * 1000, maxDelayMs: 5 * 60 * 1000 },
+  template_paused: { maxAttempts: 4, baseDelayMs: 60 * 60 * 1000, maxDelayMs: 6 * 60 * 60 * 1000 }
+};
+
+const NETWORK_ERROR_CODES = ['ECONNRESET', 'ECONNREFUSED', 'ETIMEDOUT', 'ENOTFOUND', 'EAI_AGAIN', 'EPIPE', 'ESOCKETTIMEDOUT'];
+
+// Meta Graph / WhatsApp Cloud API error codes
+const WHATSAPP_ERROR_CODES = {
+  auth_failure: [
+    0, // AuthException
+    3, // capability
+    10, // permission denied
+    102, // session expired
+    190, // access token expired or invalid
+    368, // temporarily blocked for policy violations
+    131031, // business account locked
+    131042 // business eligibility (payment) issue
+  ],
+  rate_limited: [
+    4, // app request limit
+    17, // user request limit
+    32, // page request limit
+    613, // calls within one hour exceeded
+    80007, // WABA rate limit
+    130429, // throughput reached
+    131048, // spam rate limit
+    131056 // too many messages to the same recipient
+  ],
+  transient: [
+    1, // unknown API error
+    2, // service temporarily unavailable
+    131000, // something went wrong
+    131016, // service unavailable
+    131057, // account in maintenance mode
+    133004 // server temporarily unavailable
+  ],
+  template_paused: [
+    132015 // template paused for low quality
+  ]
+};
+
+// SES error names and Brevo error codes
+const EMAIL_ERROR_CODES = {
+  auth_failure: [
+    'AccessDenied', 'AccessDeniedException', 'InvalidClientTokenId', 'SignatureDoesNotMatch',
+    'UnrecognizedClientException', 'ExpiredToken', 'AccountSendingPausedException',
+    'unauthorized', 'permission_denied', 'account_under_validation', 'not_enough_credits'
+  ],
+  rate_limited: [
+    'Throttling', 'ThrottlingException', 'TooManyRequestsException', 'LimitExceededException',
+    'too_many_requests'
+  ],
+  transient: [
+    'ServiceUnavailable', 'InternalFailure', 'RequestTimeout'
+  ]
+};
+
+// Twilio error codes
+const SMS_ERROR_CODES = {
+  auth_failure: [20003, 20005, 20008],
+  rate_limited: [20429, 14107],
+  transient: [20500, 20503, 30001]
+};
+
+const CHANNEL_ERROR_CODES = {
+  whatsapp: WHATSAPP_ERROR_CODES,
+  email: EMAIL_ERROR_CODES,
+  sms: SMS_ERROR_CODES
+};
+
+// For errors without a usable code
+const PERMANENT_MESSAGE_PATTERNS = [
+  'number of parameters does not match',
+  'mismatched variable',
+  'template params',
+  'placeholder'
+];
+
+/**
+ * Error carrying its class, for failures detected before reaching the provider
+ * @param {string} message - Error message
+ * @param {string} errorClass - One of ERROR_CLASSES
+ */
+function sendError(message, errorClass) {
+  const error = new Error(message);
+  error.errorClass = errorClass;
+  return error;
+}
+
+/**
+ * Classify a send error
+ * Uses an explicit errorClass, then the provider error code, then the HTTP status,
+ * then the message. Anything unrecognised is treated as transient.
+ * @param {Error} error - Error thrown while sending ({ code, subcode, statusCode } from provider clients)
+ * @param {string} channel - 'whatsapp' | 'email' | 'sms'
+ * @returns {string} One of ERROR_CLASSES
+ */
+function classifySendError(error, channel) {
+  if (!error) return ERROR_CLASSES.TRANSIENT;
+  if (error.errorClass) return error.errorClass;
+
+  if (NETWORK_ERROR_CODES.includes(error.code)) {
+    return ERROR_CLASSES.TRANSIENT;
+  }
+
+  const codes = CHANNEL_ERROR_CODES[channel] || {};
+  if (error.code !== undefined && error.code !== null) {
+    const match = Object.keys(codes).find(errorClass => codes[errorClass].includes(error.code));
+    if (match) return match;
+    // Graph API permission errors use the 200-299 range
+    if (channel === 'whatsapp' && error.code >= 200 && error.code < 300) {
+      return ERROR_CLASSES.AUTH_FAILURE;
+    }
+  }
+
+  const status = error.statusCode;
+  if (status === 401 || status === 403) return ERROR_CLASSES.AUTH_FAILURE;
+  if (status === 429) return ERROR_CLASSES.RATE_LIMITED;
+  if (status >= 500) return ERROR_CLASSES.TRANSIENT;
+  if (status >= 400) return ERROR_CLASSES.PERMANENT;
+
+  const text = (error.message || '').toLowerCase();
+  if (PERMANENT_MESSAGE_PATTERNS.some(pattern => text.includes(pattern))) {
+    return ERROR_CLASSES.PERMANENT;
+  }
+  if (text.includes('permission')) {
+    return ERROR_CLASSES.AUTH_FAILURE;
+  }
+
+  return ERROR_CLASSES.TRANSIENT;
+}
+
+/**
+ * Jittered exponential backoff for a retry
+ * @param {string} errorClass - One of ERROR_CLASSES (with a retry policy)
+ * @param {number} retryNumber - 1 for the first retry
+ * @returns {number} Delay in ms
+ */
+function getRetryDelayMs(errorClass, retryNumber) {
+  const policy = RETRY_POLICIES[errorClass] || RETRY_POLICIES.transient;
+  const delay = Math.min(policy.maxDelayMs, policy.baseDelayMs * Math.pow(2, Math.max(retryNumber - 1, 0)));
+  return Math.round(delay / 2 + Math.random() * (delay / 2));
+}
+
+module.exports = {
+  ERROR_CLASSES,
+  RETRY_POLICIES,
+  sendError,
+  classifySendError,
+  getRetryDelayMs
+};
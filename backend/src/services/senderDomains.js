@@ -0,0 +1,390 @@
+/**
+ * Sender Domains Service
+ * Domains a tenant sends email from. Adding a domain generates a DKIM keypair and
+ * the DNS records to publish; checking it looks up SPF, DKIM and DMARC through the
+ * resolver in DNS_RESOLVER_SERVERS (e.g. a local DNS stub) or the system resolver.
+ * A domain is verified while all three records pass, and email sends need a
+ * verified domain for the sender address.
+ */
+
+const { Resolver } = require('dns').promises;
+const db = require('../db');
+const { v4: uuidv4 } = require('uuid');
+const { generateDkimKeyPair, getDkimRecordValue } = require('./dkim');
+const { encryptSecret, decryptSecret } = require('../utils/secrets');
+
+const DKIM_SELECTOR = 'engageninja';
+const DNS_TIMEOUT_MS = parseInt(process.env.DNS_TIMEOUT_MS || '5000', 10);
+const MAX_DOMAINS_PER_TENANT = 20;
+
+// SPF mechanism each provider sends through
+const PROVIDER_SPF_INCLUDES = {
+  ses: 'include:amazonses.com',
+  brevo: 'include:spf.brevo.com'
+};
+
+const DOMAIN_PATTERN = /^(?=.{4,253}$)(?!-)[a-z0-9-]{1,63}(?<!-)(\.(?!-)[a-z0-9-]{1,63}(?<!-))*\.[a-z]{2,63}$/;
+
+// ===== DOMAINS =====
+
+/**
+ * Validate and normalize a domain name (lowercase, no trailing dot)
+ * @param {string} input - Domain from the request
+ * @returns {{ value?: string, error?: string }}
+ */
+function normalizeDomain(input) {
+  const domain = String(input || '').trim().toLowerCase().replace(/\.$/, '');
+  if (!domain) {
+    return { error: 'domain is required' };
+  }
+  if (!DOMAIN_PATTERN.test(domain)) {
+    return { error: 'Enter a domain name like example.com (no http:// or email address)' };
+  }
+  return { value: domain };
+}
+
+/**
+ * Domain part of an email address
+ * @param {string} email - Address
+ * @returns {string|null}
+ */
+function getEmailDomain(email) {
+  const at = String(email || '').lastIndexOf('@');
+  return at === -1 ? null : String(email).slice(at + 1).trim().toLowerCase() || null;
+}
+
+/**
+ * SPF mechanism for the tenant's email provider (null for SMTP relays, which vary)
+ */
+function getSpfInclude(tenantId) {
+  const channel = db.prepare(`
+    SELECT provider FROM tenant_channel_settings WHERE tenant_id = ? AND channel = 'email'
+  `).get(tenantId);
+  return PROVIDER_SPF_INCLUDES[channel?.provider] || null;
+}
+
+/**
+ * DNS records the tenant has to publish for a domain
+ * @param {Object} row - sender_domains row
+ * @returns {Array<Object>} [{ purpose, type, host, value }]
+ */
+function getDnsRecords(row) {
+  const spfInclude = getSpfInclude(row.tenant_id);
+  return [
+    {
+      purpose: 'spf',
+      type: 'TXT',
+      host: row.domain,
+      value: `v=spf1 ${spfInclude || 'a mx'} ~all`
+    },
+    {
+      purpose: 'dkim',
+      type: 'TXT',
+      host: `${row.dkim_selector}._domainkey.${row.domain}`,
+      value: getDkimRecordValue(row.dkim_public_key)
+    },
+    {
+      purpose: 'dmarc',
+      type: 'TXT',
+      host: `_dmarc.${row.domain}`,
+      value: 'v=DMARC1; p=none; adkim=r; aspf=r'
+    }
+  ];
+}
+
+function serializeDomain(row) {
+  if (!row) return null;
+  let details = {};
+  try {
+    details = row.check_details ? JSON.parse(row.check_details) : {};
+  } catch {
+    details = {};
+  }
+  return {
+    id: row.id,
+    domain: row.domain,
+    status: row.status,
+    spf_status: row.spf_status,
+    dkim_status: row.dkim_status,
+    dmarc_status: row.dmarc_status,
+    dkim_selector: row.dkim_selector,
+    check_details: details,
+    records: getDnsRecords(row),
+    last_checked_at: row.last_checked_at,
+    verified_at: row.verified_at,
+    created_at: row.created_at,
+    updated_at: row.updated_at
+  };
+}
+
+function listSenderDomains(tenantId) {
+  return db.prepare(`
+    SELECT * FROM sender_domains WHERE tenant_id = ? ORDER BY domain
+  `).all(tenantId).map(serializeDomain);
+}
+
+function getSenderDomain(tenantId, id) {
+  return serializeDomain(db.prepare(`
+    SELECT * FROM sender_domains WHERE id = ? AND tenant_id = ?
+  `).get(id, tenantId));
+}
+
+/**
+ * Add a domain with a fresh DKIM keypair
+ * @returns {{ domain?: Object, error?: string, statusCode?: number }}
+ */
+function createSenderDomain(tenantId, input, userId = null) {
+  const { value: domain, error } = normalizeDomain(input);
+  if (error) {
+    return { error, statusCode: 400 };
+  }
+
+  const existing = db.prepare('SELECT id FROM sender_domains WHERE tenant_id = ? AND domain = ?').get(tenantId, domain);
+  if (existing) {
+    return { error: `${domain} has already been added`, statusCode: 409 };
+  }
+  const count = db.prepare('SELECT COUNT(*) as count FROM sender_domains WHERE tenant_id = ?').get(tenantId).count;
+  if (count >= MAX_DOMAINS_PER_TENANT) {
+    return { error: `A workspace can have at most ${MAX_DOMAINS_PER_TENANT} sender domains`, statusCode: 400 };
+  }
+
+  const { publicKey, privateKey } = generateDkimKeyPair();
+  const id = uuidv4();
+  const now = new Date().toISOString();
+  db.prepare(`
+    INSERT INTO sender_domains (
+      id, tenant_id, domain, dkim_selector, dkim_public_key, dkim_private_key_encrypted, created_by, created_at, updated_at
+    ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)
+  `).run(id, tenantId, domain, DKIM_SELECTOR, publicKey, encryptSecret(privateKey), userId, now, now);
+
+  return { domain: getSenderDomain(tenantId, id) };
+}
+
+function deleteSenderDomain(tenantId, id) {
+  return db.prepare('DELETE FROM sender_domains WHERE id = ? AND tenant_id = ?').run(id, tenantId).changes > 0;
+}
+
+// ===== DNS CHECKS =====
+
+/**
+ * Resolver for the checks; DNS_RESOLVER_SERVERS is a comma-separated list such as "127.0.0.1:5353"
+ */
+function getResolver() {
+  const resolver = new Resolver({ timeout: DNS_TIMEOUT_MS, tries: 2 });
+  const servers = String(process.env.DNS_RESOLVER_SERVERS || '').split(',').map(s => s.trim()).filter(Boolean);
+  if (servers.length > 0) {
+    resolver.setServers(servers);
+  }
+  return resolver;
+}
+
+/**
+ * TXT records at a name, each joined into one string (empty when there are none)
+ */
+async function lookupTxt(resolver, host) {
+  try {
+    const records = await resolver.resolveTxt(host);
+    return records.map(chunks => chunks.join(''));
+  } catch (error) {
+    if (['ENODATA', 'ENOTFOUND', 'NXDOMAIN'].includes(error.code)) {
+      return [];
+    }
+    throw error;
+  }
+}
+
+// Parse "k=v; k=v" tag lists (DKIM and DMARC records)
+function parseTags(record) {
+  return record.split(';').reduce((tags, part) => {
+    const index = part.indexOf('=');
+    if (index > 0) {
+      tags[part.slice(0, index).trim().toLowerCase()] = part.slice(index + 1).trim();
+    }
+    return tags;
+  }, {});
+}
+
+function checkSpf(records, spfInclude) {
+  const spf = records.filter(record => /^v=spf1(\s|$)/i.test(record.trim()));
+  if (spf.length === 0) {
+    return { status: 'fail', record: null, error: 'No SPF record (v=spf1) found' };
+  }
+  if (spf.length > 1) {
+    return { status: 'fail', record: spf.join(' | '), error: 'More than one SPF record; merge them into one' };
+  }
+  const terms = spf[0].toLowerCase().split(/\s+/);
+  if (terms.includes('+all') || terms.includes('all')) {
+    return { status: 'fail', record: spf[0], error: 'SPF record allows every server (+all)' };
+  }
+  if (spfInclude && !terms.includes(spfInclude)) {
+    return { status: 'fail', record: spf[0], error: `SPF record does not contain ${spfInclude}` };
+  }
+  return { status: 'pass', record: spf[0] };
+}
+
+function checkDkim(records, publicKey) {
+  const dkim = records.find(record => /(^|;)\s*p=/i.test(record));
+  if (!dkim) {
+    return { status: 'fail', record: null, error: 'No DKIM record found at the selector' };
+  }
+  const tags = parseTags(dkim);
+  if ((tags.p || '').replace(/\s+/g, '') !== publicKey) {
+    return { status: 'fail', record: dkim, error: 'DKIM public key does not match the key generated for this domain' };
+  }
+  return { status: 'pass', record: dkim };
+}
+
+function checkDmarc(records) {
+  const dmarc = records.find(record => /^v=DMARC1\s*(;|$)/i.test(record.trim()));
+  if (!dmarc) {
+    return { status: 'fail', record: null, error: 'No DMARC record (v=DMARC1) found' };
+  }
+  if (!['none', 'quarantine', 'reject'].includes((parseTags(dmarc).p || '').toLowerCase())) {
+    return { status: 'fail', record: dmarc, error: 'DMARC record needs a policy (p=none, quarantine or reject)' };
+  }
+  return { status: 'pass', record: dmarc };
+}
+
+/**
+ * Look up a domain's records and store the result
+ * @returns {Promise<Object|null>} Updated domain, or null when it doesn't exist
+ */
+async function verifySenderDomain(tenantId, id) {
+  const row = db.prepare('SELECT * FROM sender_domains WHERE id = ? AND tenant_id = ?').get(id, tenantId);
+  if (!row) return null;
+
+  const resolver = getResolver();
+  const check = async (host, evaluate) => {
+    try {
+      return evaluate(await lookupTxt(resolver, host));
+    } catch (error) {
+      return { status: 'fail', record: null, error: `DNS lookup failed (${error.code || error.message})` };
+    }
+  };
+
+  const [spf, dkim, dmarc] = await Promise.all([
+    check(row.domain, records => checkSpf(records, getSpfInclude(tenantId))),
+    check(`${row.dkim_selector}._domainkey.${row.domain}`, records => checkDkim(records, row.dkim_public_key)),
+    check(`_dmarc.${row.domain}`, records => checkDmarc(records))
+  ]);
+
+  const verified = [spf, dkim, dmarc].every(result => result.status === 'pass');
+  const now = new Date().toISOString();
+  db.prepare(`
+    UPDATE sender_domains
+    SET status = ?, spf_status = ?, dkim_status = ?, dmarc_status = ?, check_details = ?,
+        last_checked_at = ?, verified_at = CASE WHEN ? THEN COALESCE(verified_at, ?) ELSE NULL END, updated_at = ?
+    WHERE id = ?
+  `).run(
+    verified ? 'verified' : 'failed',
+    spf.status,
+    dkim.status,
+    dmarc.status,
+    JSON.stringify({ spf, dkim, dmarc }),
+    now,
+    verified ? 1 : 0,
+    now,
+    now,
+    id
+  );
+
+  return getSenderDomain(tenantId, id);
+}
+
+// ===== SENDING =====
+
+// Domain rows covering a sender address: its own domain or a parent, longest (most specific) first
+function findSenderDomains(tenantId, email, verifiedOnly) {
+  const domain = getEmailDomain(email);
+  if (!domain) return [];
+
+  const labels = domain.split('.');
+  const candidates = labels.slice(0, -1).map((_label, index) => labels.slice(index).join('.'));
+  if (candidates.length === 0) return [];
+
+  return db.prepare(`
+    SELECT * FROM sender_domains
+    WHERE tenant_id = ? ${verifiedOnly ? "AND status = 'verified'" : ''} AND domain IN (${candidates.map(() => '?').join(', ')})
+    ORDER BY LENGTH(domain) DESC
+  `).all(tenantId, ...candidates);
+}
+
+/**
+ * Verified domain covering a sender address: the address's own domain or a parent of it
+ * @param {string} tenantId - Tenant ID
+ * @param {string} email - Sender address
+ * @returns {Object|null} sender_domains row
+ */
+function findVerifiedSenderDomain(tenantId, email) {
+  return findSenderDomains(tenantId, email, true)[0] || null;
+}
+
+/**
+ * Why a sender address can't be used, or null when its domain is verified
+ * @param {string} tenantId - Tenant ID
+ * @param {string} email - Sender address
+ * @returns {string|null}
+ */
+function getSenderDomainError(tenantId, email) {
+  const domain = getEmailDomain(email);
+  if (!domain) {
+    return 'Set a sender email address in Settings → Channels before sending email';
+  }
+  if (!findVerifiedSenderDomain(tenantId, email)) {
+    return `Sender domain ${domain} is not verified. Add it in Settings → Sender Domains and publish its DNS records`;
+  }
+  return null;
+}
+
+/**
+ * DKIM signing key for a verified domain row (passed to providers as email.dkim)
+ */
+function getDkimSigningKey(row) {
+  return {
+    domainName: row.domain,
+    keySelector: row.dkim_selector,
+    privateKey: decryptSecret(row.dkim_private_key_encrypted)
+  };
+}
+
+/**
+ * Verification summary for the sender address (used by the email health check)
+ * @returns {Object} { domain, status, spf_status, dkim_status, dmarc_status, last_checked_at }
+ */
+function getSenderDomainStatus(tenantId, email) {
+  const domain = getEmailDomain(email);
+  if (!domain) {
+    return { domain: null, status: 'missing' };
+  }
+
+  const row = findVerifiedSenderDomain(tenantId, email) || findSenderDomains(tenantId, email, false)[0];
+  if (!row) {
+    return { domain, status: 'missing' };
+  }
+  return {
+    id: row.id,
+    domain: row.domain,
+    status: row.status,
+    spf_status: row.spf_status,
+    dkim_status: row.dkim_status,
+    dmarc_status: row.dmarc_status,
+    last_checked_at: row.last_checked_at
+  };
+}
+
+module.exports = {
+  DKIM_SELECTOR,
+  PROVIDER_SPF_INCLUDES,
+  normalizeDomain,
+  getEmailDomain,
+  getDnsRecords,
+  listSenderDomains,
+  getSenderDomain,
+  createSenderDomain,
+  deleteSenderDomain,
+  verifySenderDomain,
+  findVerifiedSenderDomain,
+  getSenderDomainError,
+  getDkimSigningKey,
+  getSenderDomainStatus
+};
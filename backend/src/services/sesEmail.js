@@ -0,0 +1,192 @@
+/**
+ * Amazon SES Email Provider Implementation
+ *
+ * Calls the SES v2 HTTP API directly (no AWS SDK):
+ * - Signature Version 4 request signing
+ * - SendEmail with Simple content and custom headers (List-Unsubscribe)
+ * - Credential validation via GetAccount, which also returns the send quota
+ */
+
+const https = require('https');
+const crypto = require('crypto');
+const EmailProvider = require('./emailProvider');
+
+const SES_SERVICE = 'ses';
+
+const hmac = (key, value) => crypto.createHmac('sha256', key).update(value, 'utf8').digest();
+const sha256Hex = (value) => crypto.createHash('sha256').update(value, 'utf8').digest('hex');
+
+class SesEmailProvider extends EmailProvider {
+  constructor(credentials = {}, options = {}) {
+    super(credentials, options);
+    this.accessKeyId = credentials.accessKeyId;
+    this.secretAccessKey = credentials.secretAccessKey;
+    this.region = credentials.region || 'us-east-1';
+    this.configurationSet = credentials.configurationSet || null;
+  }
+
+  get name() {
+    return 'ses';
+  }
+
+  get hostname() {
+    return `email.${this.region}.amazonaws.com`;
+  }
+
+  /**
+   * Signature Version 4 headers for a request
+   * @returns {Object} Headers including Authorization
+   */
+  signRequest(method, path, body, now = new Date()) {
+    const amzDate = now.toISOString().replace(/[:-]|\.\d{3}/g, '');
+    const dateStamp = amzDate.slice(0, 8);
+    const payloadHash = sha256Hex(body);
+
+    const headers = {
+      host: this.hostname,
+      'x-amz-content-sha256': payloadHash,
+      'x-amz-date': amzDate
+    };
+    if (body) {
+      headers['content-type'] = 'application/json';
+    }
+
+    const signedHeaders = Object.keys(headers).sort();
+    const canonicalRequest = [
+      method,
+      path,
+      '',
+      ...signedHeaders.map(name => `${name}:${headers[name]}`),
+      '',
+      signedHeaders.join(';'),
+      payloadHash
+    ].join('\n');
+
+    const scope = `${dateStamp}/${this.region}/${SES_SERVICE}/aws4_request`;
+    const stringToSign = ['AWS4-HMAC-SHA256', amzDate, scope, sha256Hex(canonicalRequest)].join('\n');
+
+    const signingKey = ['aws4_request', SES_SERVICE, this.region, dateStamp]
+      .reduceRight((key, part) => hmac(key, part), `AWS4${this.secretAccessKey}`);
+    const signature = crypto.createHmac('sha256', signingKey).update(stringToSign, 'utf8').digest('hex');
+
+    return {
+      ...headers,
+      Authorization: `AWS4-HMAC-SHA256 Credential=${this.accessKeyId}/${scope}, SignedHeaders=${signedHeaders.join(';')}, Signature=${signature}`
+    };
+  }
+
+  /**
+   * Make a signed request to the SES v2 API
+   * @param {string} method - HTTP method
+   * @param {string} path - Path such as '/v2/email/outbound-emails'
+   * @param {Object} payload - JSON body for POST requests
+   * @returns {Promise<Object>} Parsed JSON response
+   */
+  request(method, path, payload = null) {
+    return new Promise((resolve, reject) => {
+      const body = payload ? JSON.stringify(payload) : '';
+      const headers = this.signRequest(method, path, body);
+      if (body) {
+        headers['Content-Length'] = Buffer.byteLength(body);
+      }
+
+      const req = https.request({ hostname: this.hostname, path, method, headers }, (res) => {
+        let data = '';
+
+        res.on('data', (chunk) => {
+          data += chunk;
+        });
+
+        res.on('end', () => {
+          let parsed = {};
+          try {
+            parsed = JSON.parse(data || '{}');
+          } catch {
+            parsed = { message: data };
+          }
+
+          if (res.statusCode >= 200 && res.statusCode < 300) {
+            resolve(parsed);
+            return;
+          }
+
+          // Error name comes from x-amzn-ErrorType ("Name:http://...") or the body
+          const errorType = String(res.headers['x-amzn-errortype'] || parsed.__type || parsed.code || '').split(/[:#]/);
+          const code = errorType.length > 1 && !errorType[0] ? errorType[1] : errorType[0];
+          const err = new Error(`SES API Error: ${parsed.message || parsed.Message || `HTTP ${res.statusCode}`}`);
+          err.code = code || undefined;
+          err.statusCode = res.statusCode;
+          reject(err);
+        });
+      });
+
+      req.on('error', (error) => {
+        reject(error);
+      });
+
+      if (body) {
+        req.write(body);
+      }
+      req.end();
+    });
+  }
+
+  async send(email) {
+    const headers = Object.entries(email.headers || {}).map(([Name, Value]) => ({ Name, Value: String(Value) }));
+    const body = {};
+    if (email.htmlBody) body.Html = { Data: email.htmlBody, Charset: 'UTF-8' };
+    if (email.textBody || !email.htmlBody) body.Text = { Data: email.textBody || '', Charset: 'UTF-8' };
+
+    const payload = {
+      FromEmailAddress: email.fromName ? `${email.fromName.replace(/[\r\n"]/g, '')} <${email.from}>` : email.from,
+      Destination: { ToAddresses: [email.to] },
+      Content: {
+        Simple: {
+          Subject: { Data: email.subject || '', Charset: 'UTF-8' },
+          Body: body,
+          ...(headers.length > 0 ? { Headers: headers } : {})
+        }
+      }
+    };
+    if (email.replyTo) {
+      payload.ReplyToAddresses = [email.replyTo];
+    }
+    if (this.configurationSet) {
+      payload.ConfigurationSetName = this.configurationSet;
+    }
+    if (email.tags?.length) {
+      payload.EmailTags = email.tags.map((tag, index) => ({
+        Name: `tag${index + 1}`,
+        Value: String(tag).replace(/[^\w.-]/g, '_').slice(0, 256)
+      }));
+    }
+
+    const result = await this.request('POST', '/v2/email/outbound-emails', payload);
+    return { providerMessageId: result.MessageId };
+  }
+
+  async validateCredentials() {
+    if (!this.accessKeyId || !this.secretAccessKey || !this.region) {
+      return { valid: false, error: 'SES requires access key ID, secret key, and region' };
+    }
+
+    try {
+      const account = await this.request('GET', '/v2/email/account');
+      if (account.SendingEnabled === false) {
+        return { valid: false, error: 'Sending is paused for this SES account' };
+      }
+      return {
+        valid: true,
+        details: {
+          production_access: account.ProductionAccessEnabled === true,
+          max_send_rate: account.SendQuota?.MaxSendRate ?? null,
+          max_24_hour_send: account.SendQuota?.Max24HourSend ?? null
+        }
+      };
+    } catch (error) {
+      return { valid: false, error: error.message };
+    }
+  }
+}
+
+module.exports = SesEmailProvider;
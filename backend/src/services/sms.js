@@ -0,0 +1,123 @@
+/**
+ * SMS Service
+ * Resolves the SMS provider for a tenant's credentials and renders message bodies
+ */
+
+const TwilioSmsProvider = require('./twilioSms');
+const MockSmsProvider = require('./mockSms');
+const { applyProviderStatus } = require('./messageStatus');
+
+const SMS_PROVIDERS = {
+  twilio: TwilioSmsProvider,
+  mock: MockSmsProvider
+};
+
+// GSM-7 basic character set (plus the extension table, which costs two septets)
+const GSM7_BASIC = '@£$¥èéùìòÇ\nØø\rÅåΔ_ΦΓΛΩΠΨΣΘΞÆæßÉ !"#¤%&\'()*+,-./0123456789:;<=>?¡ABCDEFGHIJKLMNOPQRSTUVWXYZÄÖÑÜ§¿abcdefghijklmnopqrstuvwxyzäöñüà';
+const GSM7_EXTENDED = '^{}\\[~]|€\f';
+
+/**
+ * Normalize stored SMS credentials (accepts camelCase from older clients)
+ * @param {Object} creds - Decrypted credentials
+ * @returns {Object}
+ */
+function normalizeSmsCredentials(creds = {}) {
+  return {
+    provider: creds.provider || 'twilio',
+    account_sid: creds.account_sid || creds.accountSid || '',
+    auth_token: creds.auth_token || creds.authToken || '',
+    from_number: creds.from_number || creds.fromNumber || null,
+    messaging_service_sid: creds.messaging_service_sid || creds.messagingServiceSid || null
+  };
+}
+
+/**
+ * Public URL providers should post delivery receipts to
+ * @returns {string|null}
+ */
+function getSmsStatusCallbackUrl() {
+  const base = process.env.WEBHOOK_BASE_URL;
+  if (!base) return null;
+  return `${base.replace(/\/+$/, '')}/webhooks/sms/status`;
+}
+
+/**
+ * Instantiate the provider for a set of SMS credentials
+ * @param {Object} credentials - Decrypted (or normalized) credentials
+ * @returns {SmsProvider}
+ */
+function getSmsProvider(credentials = {}) {
+  const normalized = normalizeSmsCredentials(credentials);
+  const Provider = SMS_PROVIDERS[normalized.provider];
+  if (!Provider) {
+    throw new Error(`Unsupported SMS provider: ${normalized.provider}`);
+  }
+
+  return new Provider(normalized, {
+    statusCallbackUrl: getSmsStatusCallbackUrl(),
+    onStatus: applyProviderStatus
+  });
+}
+
+/**
+ * Parse SMS campaign content ({ body } JSON or a plain string)
+ * @param {string|Object} messageContent - campaigns.message_content
+ * @returns {string}
+ */
+function getSmsBody(messageContent) {
+  if (!messageContent) return '';
+  if (typeof messageContent === 'object') return messageContent.body || '';
+  try {
+    const parsed = JSON.parse(messageContent);
+    return typeof parsed === 'string' ? parsed : (parsed?.body || '');
+  } catch {
+    return messageContent;
+  }
+}
+
+/**
+ * Replace {{name}}, {{email}} and {{phone}} placeholders with contact values
+ * @param {string} body - Message template
+ * @param {Object} contact - Contact row
+ * @returns {string}
+ */
+function renderSmsBody(body, contact = {}) {
+  return String(body || '').replace(/\{\{\s*(name|email|phone)\s*\}\}/g, (_match, field) => contact?.[field] || '');
+}
+
+/**
+ * Count the segments an SMS body will be billed as by carriers
+ * @param {string} text - Message text
+ * @returns {Object} { encoding: 'GSM-7'|'UCS-2', characters, segments }
+ */
+function countSmsSegments(text = '') {
+  const chars = Array.from(String(text));
+  const isGsm = chars.every(ch => GSM7_BASIC.includes(ch) || GSM7_EXTENDED.includes(ch));
+
+  if (isGsm) {
+    const septets = chars.reduce((sum, ch) => sum + (GSM7_EXTENDED.includes(ch) ? 2 : 1), 0);
+    return {
+      encoding: 'GSM-7',
+      characters: septets,
+      segments: septets === 0 ? 0 : (septets <= 160 ? 1 : Math.ceil(septets / 153))
+    };
+  }
+
+  // UCS-2 counts UTF-16 code units
+  const units = String(text).length;
+  return {
+    encoding: 'UCS-2',
+    characters: units,
+    segments: units <= 70 ? 1 : Math.ceil(units / 67)
+  };
+}
+
+module.exports = {
+  SMS_PROVIDERS,
+  normalizeSmsCredentials,
+  getSmsStatusCallbackUrl,
+  getSmsProvider,
+  getSmsBody,
+  renderSmsBody,
+  countSmsSegments
+};
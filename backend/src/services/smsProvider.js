@@ -0,0 +1,65 @@
+/**
+ * SmsProvider - Abstract base class for SMS integrations
+ *
+ * Implements the provider pattern (like BillingProvider)
+ * Allows plugging in different SMS gateways (Twilio, in-process mock, etc.)
+ */
+
+class SmsProvider {
+  /**
+   * @param {Object} credentials - Decrypted channel credentials
+   * @param {Object} options - { statusCallbackUrl }
+   */
+  constructor(credentials = {}, options = {}) {
+    this.credentials = credentials;
+    this.options = options;
+  }
+
+  /**
+   * Provider key stored in tenant_channel_settings.provider / messages.provider
+   * @returns {string}
+   */
+  get name() {
+    throw new Error('name not implemented');
+  }
+
+  /**
+   * Send an SMS
+   * @param {string} _to - Recipient phone number (E.164)
+   * @param {string} _body - Rendered message text
+   * @returns {Promise<Object>} - { providerMessageId, status }
+   */
+  async send(_to, _body) {
+    throw new Error('send() not implemented');
+  }
+
+  /**
+   * Check that the stored credentials can be used to send
+   * @returns {Promise<Object>} - { valid: boolean, error?: string, details?: Object }
+   */
+  async validateCredentials() {
+    throw new Error('validateCredentials() not implemented');
+  }
+
+  /**
+   * Normalize a delivery status callback into our message statuses
+   * @param {Object} _params - Parsed callback parameters
+   * @returns {Object|null} - { providerMessageId, status, statusReason } or null to ignore
+   */
+  parseStatusWebhook(_params) {
+    throw new Error('parseStatusWebhook() not implemented');
+  }
+
+  /**
+   * Verify a status callback signature (security)
+   * @param {string} _url - Full URL the provider posted to
+   * @param {Object} _params - Parsed callback parameters
+   * @param {string} _signature - Signature header from provider
+   * @returns {boolean} - True if signature is valid
+   */
+  verifyWebhookSignature(_url, _params, _signature) {
+    throw new Error('verifyWebhookSignature() not implemented');
+  }
+}
+
+module.exports = SmsProvider;
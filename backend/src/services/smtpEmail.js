@@ -0,0 +1,377 @@
+/**
+ * SMTP Email Provider Implementation
+ *
+ * Sends over plain SMTP, so any relay works - including a local MailHog-style
+ * catch-all (localhost:1025) for development and tests:
+ * - Implicit TLS (port 465) or STARTTLS when the server offers it
+ * - AUTH PLAIN / LOGIN when a username is configured, only over TLS unless
+ *   SMTP_ALLOW_INSECURE_AUTH=true (for local relays without TLS)
+ * - multipart/alternative MIME messages with custom headers
+ * - DKIM signing with the sender domain's key when one is passed (email.dkim)
+ *
+ * Tenant relays must be public hosts (see utils/privateNetwork); the platform relay
+ * from SMTP_HOST is trusted and passes { allowPrivateHost: true }.
+ */
+
+const net = require('net');
+const tls = require('tls');
+const os = require('os');
+const crypto = require('crypto');
+const EmailProvider = require('./emailProvider');
+const { ERROR_CLASSES, sendError } = require('./sendErrors');
+const { signDkim } = require('./dkim');
+const { assertPublicHost, lookupPublic } = require('../utils/privateNetwork');
+
+const DEFAULT_PORT = 587;
+const DEFAULT_TIMEOUT_MS = 15000;
+
+// Reply codes that mean the credentials were rejected
+const AUTH_FAILURE_CODES = [530, 534, 535];
+
+/**
+ * Error for an unexpected SMTP reply
+ * 4xx replies are temporary, 5xx permanent (RFC 5321)
+ */
+function smtpReplyError(command, reply) {
+  const error = new Error(`SMTP Error: ${command} failed with ${reply.code} ${reply.text}`);
+  error.code = reply.code;
+  error.errorClass = AUTH_FAILURE_CODES.includes(reply.code)
+    ? ERROR_CLASSES.AUTH_FAILURE
+    : (reply.code >= 500 ? ERROR_CLASSES.PERMANENT : ERROR_CLASSES.TRANSIENT);
+  return error;
+}
+
+const insecureAuthAllowed = () => process.env.SMTP_ALLOW_INSECURE_AUTH === 'true';
+
+/**
+ * Why a connection check failed, without the server's own reply text
+ * (tenants pick the host, so replies aren't passed back to them)
+ */
+function describeConnectionError(error, host, port) {
+  if (error.code === 'EPRIVATEADDRESS') {
+    return 'SMTP host must be a public mail server, not a private or internal address';
+  }
+  if (error.code === 'ETLSREQUIRED') {
+    return error.message;
+  }
+  if (error.errorClass === ERROR_CLASSES.AUTH_FAILURE) {
+    return 'The SMTP server rejected the username or password';
+  }
+  if (typeof error.code === 'number') {
+    return 'The SMTP server refused the connection';
+  }
+  return `Could not connect to an SMTP server at ${host}:${port}`;
+}
+
+// Header values can't carry line breaks (header injection)
+const headerValue = (value) => String(value ?? '').replace(/[\r\n]+/g, ' ').trim();
+
+// RFC 2047 encoded-word for non-ASCII header text
+function encodeHeaderText(value) {
+  const text = headerValue(value);
+  return /^[\x20-\x7e]*$/.test(text) ? text : `=?UTF-8?B?${Buffer.from(text, 'utf8').toString('base64')}?=`;
+}
+
+function formatAddress(email, name) {
+  const address = headerValue(email);
+  return name ? `${encodeHeaderText(name).replace(/"/g, '')} <${address}>` : `<${address}>`;
+}
+
+function base64Lines(text) {
+  return Buffer.from(text || '', 'utf8').toString('base64').replace(/.{1,76}/g, '$&\r\n');
+}
+
+/**
+ * Build an RFC 5322 message
+ * @param {Object} email - { to, toName, from, fromName, replyTo, subject, htmlBody, textBody, headers }
+ * @param {string} messageId - Message-ID without angle brackets
+ * @returns {string} Message with CRLF line endings
+ */
+function buildMimeMessage(email, messageId) {
+  const headers = [
+    `From: ${formatAddress(email.from, email.fromName)}`,
+    `To: ${formatAddress(email.to, email.toName)}`,
+    `Subject: ${encodeHeaderText(email.subject)}`,
+    `Date: ${new Date().toUTCString()}`,
+    `Message-ID: <${messageId}>`,
+    'MIME-Version: 1.0'
+  ];
+  if (email.replyTo) {
+    headers.push(`Reply-To: ${formatAddress(email.replyTo)}`);
+  }
+  Object.entries(email.headers || {}).forEach(([name, value]) => {
+    headers.push(`${headerValue(name).replace(/:/g, '')}: ${headerValue(value)}`);
+  });
+
+  const parts = [];
+  if (email.textBody) parts.push({ type: 'text/plain', body: email.textBody });
+  if (email.htmlBody) parts.push({ type: 'text/html', body: email.htmlBody });
+  if (parts.length === 0) parts.push({ type: 'text/plain', body: '' });
+
+  if (parts.length === 1) {
+    headers.push(`Content-Type: ${parts[0].type}; charset=UTF-8`, 'Content-Transfer-Encoding: base64');
+    return `${headers.join('\r\n')}\r\n\r\n${base64Lines(parts[0].body)}`;
+  }
+
+  const boundary = `engageninja-${crypto.randomBytes(12).toString('hex')}`;
+  headers.push(`Content-Type: multipart/alternative; boundary="${boundary}"`);
+  const body = parts.map(part => [
+    `--${boundary}`,
+    `Content-Type: ${part.type}; charset=UTF-8`,
+    'Content-Transfer-Encoding: base64',
+    '',
+    base64Lines(part.body)
+  ].join('\r\n')).join('\r\n');
+
+  return `${headers.join('\r\n')}\r\n\r\n${body}\r\n--${boundary}--\r\n`;
+}
+
+/**
+ * One SMTP conversation: commands are sent one at a time and each waits for its reply
+ */
+class SmtpSession {
+  constructor({ host, port, secure, timeoutMs, lookup }) {
+    this.host = host;
+    this.port = port;
+    this.secure = secure;
+    this.timeoutMs = timeoutMs;
+    this.lookup = lookup;
+    this.encrypted = secure;
+    this.socket = null;
+    this.buffer = '';
+    this.pendingLines = [];
+    this.replies = [];
+    this.waiter = null;
+    this.failure = null;
+  }
+
+  attach(socket) {
+    this.socket = socket;
+    socket.setEncoding('utf8');
+    socket.setTimeout(this.timeoutMs, () => {
+      const error = new Error(`SMTP connection to ${this.host}:${this.port} timed out`);
+      error.code = 'ETIMEDOUT';
+      socket.destroy(error);
+    });
+    socket.on('data', (chunk) => {
+      this.buffer += chunk;
+      this.parseReplies();
+    });
+    socket.on('error', (error) => this.fail(error));
+    socket.on('close', () => this.fail(Object.assign(new Error('SMTP connection closed'), { code: 'ECONNRESET' })));
+  }
+
+  connect() {
+    return new Promise((resolve, reject) => {
+      const onError = (error) => reject(error);
+      const socket = this.secure
+        ? tls.connect({ host: this.host, port: this.port, servername: this.host, lookup: this.lookup }, () => {
+            socket.removeListener('error', onError);
+            resolve();
+          })
+        : net.connect({ host: this.host, port: this.port, lookup: this.lookup }, () => {
+            socket.removeListener('error', onError);
+            resolve();
+          });
+      socket.once('error', onError);
+      this.attach(socket);
+    }).then(() => this.expect('CONNECT', [220]));
+  }
+
+  // Reply lines are "250-..." until the last one, "250 ..."
+  parseReplies() {
+    let index;
+    while ((index = this.buffer.indexOf('\n')) !== -1) {
+      const line = this.buffer.slice(0, index).replace(/\r$/, '');
+      this.buffer = this.buffer.slice(index + 1);
+      this.pendingLines.push(line.slice(4));
+      if (/^\d{3}(?: |$)/.test(line)) {
+        const lines = this.pendingLines;
+        this.pendingLines = [];
+        this.replies.push({ code: parseInt(line.slice(0, 3), 10), lines, text: lines.join(' ') });
+      }
+    }
+    this.deliver();
+  }
+
+  deliver() {
+    if (!this.waiter) return;
+    if (this.replies.length > 0) {
+      const { resolve } = this.waiter;
+      this.waiter = null;
+      resolve(this.replies.shift());
+    } else if (this.failure) {
+      const { reject } = this.waiter;
+      this.waiter = null;
+      reject(this.failure);
+    }
+  }
+
+  fail(error) {
+    if (!this.failure) this.failure = error;
+    this.deliver();
+  }
+
+  read() {
+    return new Promise((resolve, reject) => {
+      this.waiter = { resolve, reject };
+      this.deliver();
+    });
+  }
+
+  async expect(command, codes) {
+    const reply = await this.read();
+    if (!codes.includes(reply.code)) {
+      throw smtpReplyError(command, reply);
+    }
+    return reply;
+  }
+
+  async command(line, codes, label = line.split(' ')[0]) {
+    this.socket.write(`${line}\r\n`);
+    return this.expect(label, codes);
+  }
+
+  async startTls() {
+    await this.command('STARTTLS', [220]);
+    const plain = this.socket;
+    plain.removeAllListeners('data');
+    plain.removeAllListeners('close');
+    plain.removeAllListeners('error');
+    plain.on('error', () => {}); // surfaced by the TLS socket
+    plain.setTimeout(0);
+    await new Promise((resolve, reject) => {
+      const secured = tls.connect({ socket: plain, servername: this.host }, resolve);
+      secured.once('error', reject);
+      this.buffer = '';
+      this.attach(secured);
+    });
+    this.encrypted = true;
+  }
+
+  async quit() {
+    try {
+      if (this.socket && !this.socket.destroyed) {
+        await this.command('QUIT', [221]);
+      }
+    } catch {
+      // The message is already accepted; a failed QUIT doesn't matter
+    } finally {
+      this.socket?.destroy();
+    }
+  }
+}
+
+class SmtpEmailProvider extends EmailProvider {
+  constructor(credentials = {}, options = {}) {
+    super(credentials, options);
+    this.host = credentials.smtpHost;
+    this.port = parseInt(credentials.smtpPort, 10) || DEFAULT_PORT;
+    this.secure = credentials.smtpSecure === true || credentials.smtpSecure === 'true' || this.port === 465;
+    this.username = credentials.smtpUsername || null;
+    this.password = credentials.smtpPassword || '';
+    this.timeoutMs = options.timeoutMs || DEFAULT_TIMEOUT_MS;
+    this.allowPrivateHost = options.allowPrivateHost === true;
+  }
+
+  get name() {
+    return 'smtp';
+  }
+
+  /**
+   * Connect, say EHLO, upgrade to TLS if offered and log in
+   * @returns {Promise<SmtpSession>}
+   */
+  async openSession() {
+    const session = new SmtpSession({
+      host: this.host,
+      port: this.port,
+      secure: this.secure,
+      timeoutMs: this.timeoutMs,
+      lookup: this.allowPrivateHost ? undefined : lookupPublic
+    });
+    const clientName = os.hostname().replace(/[^\w.-]/g, '') || 'localhost';
+
+    try {
+      if (!this.allowPrivateHost) {
+        // IP literals skip the DNS lookup, so they are checked here
+        await assertPublicHost(this.host);
+      }
+      await session.connect();
+      let ehlo = await session.command(`EHLO ${clientName}`, [250]);
+
+      const offersStartTls = ehlo.lines.some(line => /^STARTTLS\b/i.test(line));
+      if (!this.secure && offersStartTls) {
+        await session.startTls();
+        ehlo = await session.command(`EHLO ${clientName}`, [250]);
+      }
+
+      if (this.username && !session.encrypted && !insecureAuthAllowed()) {
+        const error = sendError(
+          `SMTP server ${this.host}:${this.port} doesn't offer TLS, so the password wasn't sent`,
+          ERROR_CLASSES.AUTH_FAILURE
+        );
+        error.code = 'ETLSREQUIRED';
+        throw error;
+      }
+
+      if (this.username) {
+        const authLine = ehlo.lines.find(line => /^AUTH\b/i.test(line)) || '';
+        if (/\bPLAIN\b/i.test(authLine) || !/\bLOGIN\b/i.test(authLine)) {
+          const token = Buffer.from(`\u0000${this.username}\u0000${this.password}`, 'utf8').toString('base64');
+          await session.command(`AUTH PLAIN ${token}`, [235], 'AUTH');
+        } else {
+          await session.command('AUTH LOGIN', [334], 'AUTH');
+          await session.command(Buffer.from(this.username, 'utf8').toString('base64'), [334], 'AUTH');
+          await session.command(Buffer.from(this.password, 'utf8').toString('base64'), [235], 'AUTH');
+        }
+      }
+      return session;
+    } catch (error) {
+      session.socket?.destroy();
+      if (error.code === 'EPRIVATEADDRESS') {
+        // The channel needs a different host, so it pauses like a rejected login
+        error.errorClass = ERROR_CLASSES.AUTH_FAILURE;
+      }
+      throw error;
+    }
+  }
+
+  async send(email) {
+    const domain = String(email.from || '').split('@')[1] || 'engageninja.local';
+    const messageId = `${crypto.randomUUID()}@${headerValue(domain)}`;
+    const mime = buildMimeMessage(email, messageId);
+    const message = email.dkim ? signDkim(mime, email.dkim) : mime;
+
+    const session = await this.openSession();
+    try {
+      await session.command(`MAIL FROM:<${headerValue(email.from)}>`, [250], 'MAIL FROM');
+      await session.command(`RCPT TO:<${headerValue(email.to)}>`, [250, 251], 'RCPT TO');
+      await session.command('DATA', [354]);
+      // Dot-stuffing: lines starting with "." get a second one
+      const data = message.replace(/\r?\n/g, '\r\n').replace(/^\./gm, '..');
+      session.socket.write(`${data}${data.endsWith('\r\n') ? '' : '\r\n'}.\r\n`);
+      await session.expect('DATA', [250]);
+    } finally {
+      await session.quit();
+    }
+
+    return { providerMessageId: messageId };
+  }
+
+  async validateCredentials() {
+    if (!this.host) {
+      return { valid: false, error: 'SMTP host is required' };
+    }
+
+    try {
+      const session = await this.openSession();
+      await session.quit();
+      return { valid: true, details: { host: this.host, port: this.port, secure: this.secure } };
+    } catch (error) {
+      return { valid: false, error: describeConnectionError(error, this.host, this.port) };
+    }
+  }
+}
+
+module.exports = SmtpEmailProvider;
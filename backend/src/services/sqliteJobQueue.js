@@ -0,0 +1,240 @@
+/**
+ * SQLite Job Queue Driver
+ * Stores jobs in the `jobs` table. Leasing runs in an IMMEDIATE transaction so
+ * several worker processes sharing the database never claim the same job.
+ * Within a lane, tenants take turns.
+ */
+
+const db = require('../db');
+const { v4: uuidv4 } = require('uuid');
+const JobQueueDriver = require('./jobQueueDriver');
+
+const LANES = ['transactional', 'bulk'];
+const DEFAULT_MAX_ATTEMPTS = 5;
+
+function parseJob(row) {
+  let payload = {};
+  try {
+    payload = JSON.parse(row.payload);
+  } catch {
+    payload = {};
+  }
+  return { ...row, payload };
+}
+
+class SqliteJobQueueDriver extends JobQueueDriver {
+  constructor() {
+    super();
+    // Last tenant served per queue (round-robin position)
+    this.tenantCursor = {};
+  }
+
+  get name() {
+    return 'sqlite';
+  }
+
+  enqueue(queue, payload, options = {}) {
+    const lane = LANES.includes(options.lane) ? options.lane : 'bulk';
+    const now = new Date().toISOString();
+    const runAt = options.runAt ? new Date(options.runAt).toISOString() : now;
+    const id = uuidv4();
+
+    // The partial unique index on dedupe_key turns a duplicate active job into a no-op
+    const result = db.prepare(`
+      INSERT OR IGNORE INTO jobs (
+        id, queue, lane, payload, tenant_id, dedupe_key, status, attempts, max_attempts,
+        run_at, created_at, updated_at
+      ) VALUES (?, ?, ?, ?, ?, ?, 'queued', 0, ?, ?, ?, ?)
+    `).run(
+      id,
+      queue,
+      lane,
+      JSON.stringify(payload || {}),
+      options.tenantId || null,
+      options.dedupeKey || null,
+      options.maxAttempts || DEFAULT_MAX_ATTEMPTS,
+      runAt,
+      now,
+      now
+    );
+
+    return result.changes > 0 ? id : null;
+  }
+
+  /**
+   * Tenants with a job ready in a lane, in turn order: the ones after the cursor, then
+   * wrapping around (jobs without a tenant sort first, as ''). Each step is an index seek,
+   * so the cost follows the number of tenants, not the number of queued jobs.
+   * @returns {string[]} Up to max tenant keys
+   */
+  readyTenantKeys(queue, lane, nowIso, cursor, max) {
+    const selectNextTenant = db.prepare(`
+      SELECT tenant_id FROM jobs
+      WHERE queue = ? AND status = 'queued' AND lane = ? AND tenant_id > ?
+      ORDER BY tenant_id
+      LIMIT 1
+    `);
+    const selectReadyJob = db.prepare(`
+      SELECT 1 FROM jobs
+      WHERE queue = ? AND status = 'queued' AND lane = ? AND tenant_id IS ? AND run_at <= ?
+      LIMIT 1
+    `);
+    const keys = [];
+    const isReady = (tenantKey) => Boolean(selectReadyJob.get(queue, lane, tenantKey || null, nowIso));
+    // Tenants in (from, to], or everything after from when to is null
+    const walk = (from, to) => {
+      let key = from;
+      while (keys.length < max) {
+        const row = selectNextTenant.get(queue, lane, key);
+        if (!row || (to !== null && row.tenant_id > to)) return;
+        key = row.tenant_id;
+        if (isReady(key)) keys.push(key);
+      }
+    };
+
+    walk(cursor, null);
+    if (keys.length < max && isReady('')) keys.push('');
+    if (cursor) walk('', cursor);
+    return keys.slice(0, max);
+  }
+
+  lease(queue, { owner, limit, visibilityTimeoutMs }) {
+    if (limit <= 0) return [];
+
+    const claim = db.transaction(() => {
+      const now = new Date();
+      const nowIso = now.toISOString();
+      const leaseExpiresAt = new Date(now.getTime() + visibilityTimeoutMs).toISOString();
+
+      // Round-robin across tenants: each tenant's oldest job takes one turn, starting
+      // after the tenant served last, so one big blast can't starve everyone else.
+      // Transactional jobs go first. Every lookup is an index seek (idx_jobs_ready_tenant).
+      const selectTenantJobs = db.prepare(`
+        SELECT id FROM jobs
+        WHERE queue = ? AND status = 'queued' AND lane = ? AND tenant_id IS ? AND run_at <= ?
+        ORDER BY run_at, created_at
+        LIMIT ?
+      `);
+      const rows = [];
+      for (const lane of LANES) {
+        const remaining = limit - rows.length;
+        if (remaining <= 0) break;
+
+        const turns = this.readyTenantKeys(queue, lane, nowIso, this.tenantCursor[queue] || '', remaining)
+          .map(tenantKey => selectTenantJobs.all(queue, lane, tenantKey || null, nowIso, remaining)
+            .map(row => ({ id: row.id, tenant_key: tenantKey })));
+        for (let turn = 0; rows.length < limit && turns.some(jobs => jobs.length > turn); turn++) {
+          turns.forEach(jobs => {
+            if (turn < jobs.length && rows.length < limit) rows.push(jobs[turn]);
+          });
+        }
+      }
+
+      const markLeased = db.prepare(`
+        UPDATE jobs
+        SET status = 'leased', attempts = attempts + 1, lease_owner = ?, lease_expires_at = ?, updated_at = ?
+        WHERE id = ? AND status = 'queued'
+      `);
+      const load = db.prepare('SELECT * FROM jobs WHERE id = ?');
+
+      const leased = rows.filter(row => markLeased.run(owner, leaseExpiresAt, nowIso, row.id).changes > 0);
+      if (leased.length > 0) {
+        this.tenantCursor[queue] = leased[leased.length - 1].tenant_key;
+      }
+      return leased.map(row => parseJob(load.get(row.id)));
+    });
+
+    return claim.immediate();
+  }
+
+  complete(job) {
+    const now = new Date().toISOString();
+    const result = db.prepare(`
+      UPDATE jobs
+      SET status = 'completed', completed_at = ?, lease_owner = NULL, lease_expires_at = NULL, updated_at = ?
+      WHERE id = ? AND status = 'leased' AND lease_owner = ?
+    `).run(now, now, job.id, job.lease_owner);
+    return result.changes > 0;
+  }
+
+  retry(job, { delayMs = 0, error = null } = {}) {
+    const now = new Date();
+    const result = db.prepare(`
+      UPDATE jobs
+      SET status = 'queued', run_at = ?, last_error = ?, lease_owner = NULL, lease_expires_at = NULL, updated_at = ?
+      WHERE id = ? AND status = 'leased' AND lease_owner = ?
+    `).run(new Date(now.getTime() + delayMs).toISOString(), error, now.toISOString(), job.id, job.lease_owner);
+    return result.changes > 0;
+  }
+
+  defer(job, delayMs) {
+    const now = new Date();
+    const result = db.prepare(`
+      UPDATE jobs
+      SET status = 'queued', attempts = MAX(attempts - 1, 0), run_at = ?, lease_owner = NULL, lease_expires_at = NULL, updated_at = ?
+      WHERE id = ? AND status = 'leased' AND lease_owner = ?
+    `).run(new Date(now.getTime() + delayMs).toISOString(), now.toISOString(), job.id, job.lease_owner);
+    return result.changes > 0;
+  }
+
+  fail(job, error) {
+    const now = new Date().toISOString();
+    const result = db.prepare(`
+      UPDATE jobs
+      SET status = 'failed', last_error = ?, completed_at = ?, lease_owner = NULL, lease_expires_at = NULL, updated_at = ?
+      WHERE id = ? AND status = 'leased' AND lease_owner = ?
+    `).run(error, now, now, job.id, job.lease_owner);
+    return result.changes > 0;
+  }
+
+  recover({ isOwnerAlive = () => true } = {}) {
+    const release = db.transaction(() => {
+      const nowIso = new Date().toISOString();
+      const leased = db.prepare(`SELECT * FROM jobs WHERE status = 'leased'`).all();
+      const stale = leased.filter(job => !job.lease_expires_at || job.lease_expires_at <= nowIso || !isOwnerAlive(job.lease_owner));
+
+      const requeue = db.prepare(`
+        UPDATE jobs
+        SET status = 'queued', run_at = ?, last_error = ?, lease_owner = NULL, lease_expires_at = NULL, updated_at = ?
+        WHERE id = ? AND status = 'leased'
+      `);
+      const giveUp = db.prepare(`
+        UPDATE jobs
+        SET status = 'failed', last_error = ?, completed_at = ?, lease_owner = NULL, lease_expires_at = NULL, updated_at = ?
+        WHERE id = ? AND status = 'leased'
+      `);
+
+      const failed = [];
+      stale.forEach(job => {
+        const reason = `Lease held by ${job.lease_owner} expired`;
+        if (job.attempts >= job.max_attempts) {
+          giveUp.run(reason, nowIso, nowIso, job.id);
+          failed.push(parseJob({ ...job, status: 'failed', last_error: reason }));
+        } else {
+          requeue.run(nowIso, reason, nowIso, job.id);
+        }
+      });
+
+      return { released: stale.length - failed.length, failed };
+    });
+
+    return release.immediate();
+  }
+
+  purge(before) {
+    return db.prepare(`
+      DELETE FROM jobs WHERE status IN ('completed', 'failed') AND completed_at < ?
+    `).run(before.toISOString()).changes;
+  }
+
+  stats() {
+    return db.prepare(`
+      SELECT queue, lane, status, COUNT(*) as count
+      FROM jobs
+      GROUP BY queue, lane, status
+      ORDER BY queue, lane, status
+    `).all();
+  }
+}
+
+module.exports = SqliteJobQueueDriver;
@@ -0,0 +1,108 @@
+/**
+ * SQLite Session Store
+ * express-session store backed by the `sessions` table, so logins survive a restart
+ * and every process sharing the database sees the same sessions. Expired rows are
+ * ignored on read and pruned in the background.
+ */
+
+const { Store } = require('express-session');
+const db = require('../db');
+
+const PRUNE_INTERVAL_MS = 15 * 60 * 1000;
+// Sessions whose cookie has no expiry (browser-session cookies) are kept this long
+const DEFAULT_TTL_MS = 24 * 60 * 60 * 1000;
+
+const noop = () => {};
+
+const expiresAtMs = (sess) => {
+  const expires = sess?.cookie?.expires;
+  return expires ? new Date(expires).getTime() : Date.now() + DEFAULT_TTL_MS;
+};
+
+// Run a synchronous query and report its result (or error) the callback way express-session expects
+const respond = (callback, query) => {
+  let result;
+  try {
+    result = query();
+  } catch (err) {
+    return callback(err);
+  }
+  return callback(null, result);
+};
+
+class SqliteSessionStore extends Store {
+  constructor({ pruneIntervalMs = PRUNE_INTERVAL_MS } = {}) {
+    super();
+    if (pruneIntervalMs > 0) {
+      this.pruneTimer = setInterval(() => {
+        try {
+          this.prune();
+        } catch (err) {
+          console.error('Session prune error:', err);
+        }
+      }, pruneIntervalMs);
+      this.pruneTimer.unref();
+    }
+  }
+
+  get(sid, callback) {
+    respond(callback, () => {
+      const row = db.prepare('SELECT sess FROM sessions WHERE sid = ? AND expires_at_ms > ?').get(sid, Date.now());
+      return row ? JSON.parse(row.sess) : null;
+    });
+  }
+
+  set(sid, sess, callback = noop) {
+    respond(callback, () => {
+      db.prepare(`
+        INSERT INTO sessions (sid, sess, expires_at_ms) VALUES (?, ?, ?)
+        ON CONFLICT(sid) DO UPDATE SET sess = excluded.sess, expires_at_ms = excluded.expires_at_ms
+      `).run(sid, JSON.stringify(sess), expiresAtMs(sess));
+    });
+  }
+
+  // Called for requests that didn't change the session: only the expiry moves
+  touch(sid, sess, callback = noop) {
+    respond(callback, () => {
+      db.prepare('UPDATE sessions SET expires_at_ms = ? WHERE sid = ?').run(expiresAtMs(sess), sid);
+    });
+  }
+
+  destroy(sid, callback = noop) {
+    respond(callback, () => {
+      db.prepare('DELETE FROM sessions WHERE sid = ?').run(sid);
+    });
+  }
+
+  /**
+   * Every live session, each with its id
+   */
+  all(callback) {
+    respond(callback, () => (
+      db.prepare('SELECT sid, sess FROM sessions WHERE expires_at_ms > ?').all(Date.now())
+        .map(row => ({ ...JSON.parse(row.sess), id: row.sid }))
+    ));
+  }
+
+  length(callback) {
+    respond(callback, () => (
+      db.prepare('SELECT COUNT(*) as count FROM sessions WHERE expires_at_ms > ?').get(Date.now()).count
+    ));
+  }
+
+  clear(callback = noop) {
+    respond(callback, () => {
+      db.prepare('DELETE FROM sessions').run();
+    });
+  }
+
+  /**
+   * Delete expired sessions
+   * @returns {number} Rows removed
+   */
+  prune() {
+    return db.prepare('DELETE FROM sessions WHERE expires_at_ms <= ?').run(Date.now()).changes;
+  }
+}
+
+module.exports = SqliteSessionStore;
@@ -0,0 +1,579 @@
+/**
+ * Single Sign-On Service
+ * Per-tenant OIDC login (authorization code flow with PKCE). A tenant registers its
+ * identity provider and the email domains that sign in through it; the login page
+ * discovers the provider from the email domain. Someone's first SSO login creates their
+ * user if needed and adds them to the tenant with the configured default role.
+ * ID tokens are checked against the provider's published keys (RS256).
+ * SAML is reserved in the schema but not supported yet.
+ */
+
+const crypto = require('crypto');
+const http = require('http');
+const https = require('https');
+const bcrypt = require('bcrypt');
+const { v4: uuidv4 } = require('uuid');
+const db = require('../db');
+const { normalizeDomain, getEmailDomain, findVerifiedSenderDomain } = require('./senderDomains');
+const { assertPublicHost, lookupPublic } = require('../utils/privateNetwork');
+const { encryptSecret, decryptSecret } = require('../utils/secrets');
+
+const DEFAULT_ROLES = ['viewer', 'member', 'admin'];
+const PLATFORM_ROLES = ['platform_admin', 'system_admin', 'platform_support'];
+const MAX_DOMAINS = 20;
+const REQUEST_TIMEOUT_MS = parseInt(process.env.SSO_REQUEST_TIMEOUT_MS || '10000', 10);
+// Discovery documents, key sets and token responses are small
+const MAX_RESPONSE_BYTES = 1024 * 1024;
+// Provider metadata and signing keys are refetched after this long (keys also on an unknown kid)
+const METADATA_CACHE_MS = 60 * 60 * 1000;
+const CLOCK_SKEW_SECONDS = 60;
+// How long a user has to finish signing in at the identity provider
+const LOGIN_WINDOW_MS = 10 * 60 * 1000;
+
+const metadataCache = new Map();
+const jwksCache = new Map();
+
+const getAppUrl = () => (process.env.APP_URL || 'http://localhost:3173').replace(/\/+$/, '');
+
+/**
+ * Redirect URI to register at the identity provider (same for every tenant)
+ */
+const getRedirectUri = () => `${getAppUrl()}/api/auth/sso/callback`;
+
+/**
+ * Where the login page sends someone to sign in with SSO
+ */
+const getLoginUrl = (email) => `/api/auth/sso/start?email=${encodeURIComponent(email)}`;
+
+const randomToken = () => crypto.randomBytes(32).toString('base64url');
+
+const invalid = (error) => ({ error, statusCode: 400 });
+
+// ===== CONFIGURATION =====
+
+// http is only for a provider on this machine (local mock IdP), outside production
+const allowLocalHttpIssuer = () => (
+  process.env.ALLOW_PRIVATE_NETWORK_TARGETS === 'true' || process.env.NODE_ENV !== 'production'
+);
+
+function normalizeIssuer(input) {
+  const issuer = String(input || '').trim().replace(/\/+$/, '');
+  let url;
+  try {
+    url = new URL(issuer);
+  } catch {
+    return null;
+  }
+  const local = ['localhost', '127.0.0.1', '[::1]'].includes(url.hostname);
+  return url.protocol === 'https:' || (url.protocol === 'http:' && local && allowLocalHttpIssuer()) ? issuer : null;
+}
+
+const getConfigRow = (tenantId) => db.prepare(`
+  SELECT c.*, t.name as tenant_name
+  FROM tenant_sso_configs c
+  JOIN tenants t ON t.id = c.tenant_id
+  WHERE c.tenant_id = ?
+`).get(tenantId);
+
+const listDomains = (tenantId) => db.prepare(`
+  SELECT domain FROM tenant_sso_domains WHERE tenant_id = ? ORDER BY domain
+`).all(tenantId).map(row => row.domain);
+
+function serializeConfig(row) {
+  if (!row) return null;
+  return {
+    protocol: row.protocol,
+    enabled: Boolean(row.enabled),
+    issuer: row.issuer,
+    client_id: row.client_id,
+    client_secret_set: Boolean(row.client_secret_encrypted),
+    default_role: row.default_role,
+    enforce_sso: Boolean(row.enforce_sso),
+    domains: listDomains(row.tenant_id),
+    created_at: row.created_at,
+    updated_at: row.updated_at
+  };
+}
+
+/**
+ * The tenant's SSO settings (the client secret is never returned)
+ * @returns {Object|null}
+ */
+function getSsoConfig(tenantId) {
+  return serializeConfig(getConfigRow(tenantId));
+}
+
+/**
+ * Create or replace the tenant's SSO settings
+ * @param {string} tenantId - Tenant ID
+ * @param {Object} input - { protocol, enabled, issuer, client_id, client_secret, domains, default_role, enforce_sso };
+ *   a blank client_secret keeps the saved one
+ * @param {string} userId - Admin making the change
+ * @returns {Promise<{ config?: Object, error?: string, statusCode?: number }>}
+ */
+async function saveSsoConfig(tenantId, input = {}, userId = null) {
+  const existing = getConfigRow(tenantId);
+
+  const protocol = input.protocol || 'oidc';
+  if (protocol === 'saml') {
+    return invalid('SAML is not supported yet. Use OIDC.');
+  }
+  if (protocol !== 'oidc') {
+    return invalid('protocol must be oidc');
+  }
+
+  const issuer = normalizeIssuer(input.issuer);
+  if (!issuer) {
+    return invalid(allowLocalHttpIssuer()
+      ? 'issuer must be an https URL (http is only allowed for localhost)'
+      : 'issuer must be an https URL');
+  }
+  const clientId = String(input.client_id || '').trim();
+  if (!clientId) {
+    return invalid('client_id is required');
+  }
+  const clientSecret = input.client_secret ? String(input.client_secret) : null;
+  if (!clientSecret && !existing) {
+    return invalid('client_secret is required');
+  }
+  const defaultRole = input.default_role || existing?.default_role || 'member';
+  if (!DEFAULT_ROLES.includes(defaultRole)) {
+    return invalid(`default_role must be one of: ${DEFAULT_ROLES.join(', ')}`);
+  }
+
+  if (!Array.isArray(input.domains) || input.domains.length === 0) {
+    return invalid('Add at least one email domain');
+  }
+  const domains = [];
+  for (const entry of input.domains) {
+    const { value, error } = normalizeDomain(entry);
+    if (error) return invalid(error);
+    if (!domains.includes(value)) domains.push(value);
+  }
+  if (domains.length > MAX_DOMAINS) {
+    return invalid(`Up to ${MAX_DOMAINS} domains`);
+  }
+  // Only domains the tenant has proven it controls can route logins to its provider
+  const unverified = domains.find(domain => !findVerifiedSenderDomain(tenantId, `sso@${domain}`));
+  if (unverified) {
+    return invalid(`${unverified} is not a verified sender domain. Verify it in Settings → Sender Domains first`);
+  }
+  const taken = db.prepare(`
+    SELECT domain FROM tenant_sso_domains
+    WHERE tenant_id != ? AND domain IN (${domains.map(() => '?').join(', ')})
+  `).get(tenantId, ...domains);
+  if (taken) {
+    return { error: `${taken.domain} already signs in with another tenant's identity provider`, statusCode: 409 };
+  }
+
+  try {
+    await getProviderMetadata(issuer, { refresh: true });
+  } catch (err) {
+    if (err.code === 'EPRIVATEADDRESS') {
+      return invalid('issuer must point to a public host, not a private or internal address');
+    }
+    // The response may echo internal details, so they stay in the server log
+    console.error(`SSO provider configuration check failed for ${issuer}:`, err.message);
+    return invalid('Could not load the provider configuration. Check the issuer URL and that the provider is reachable.');
+  }
+
+  const enabled = Boolean(input.enabled);
+  const now = new Date().toISOString();
+  db.transaction(() => {
+    db.prepare(`
+      INSERT INTO tenant_sso_configs (
+        tenant_id, protocol, enabled, issuer, client_id, client_secret_encrypted, default_role,
+        enforce_sso, created_by, created_at, updated_at
+      ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+      ON CONFLICT(tenant_id) DO UPDATE SET
+        protocol = excluded.protocol,
+        enabled = excluded.enabled,
+        issuer = excluded.issuer,
+        client_id = excluded.client_id,
+        client_secret_encrypted = excluded.client_secret_encrypted,
+        default_role = excluded.default_role,
+        enforce_sso = excluded.enforce_sso,
+        updated_at = excluded.updated_at
+    `).run(
+      tenantId,
+      protocol,
+      enabled ? 1 : 0,
+      issuer,
+      clientId,
+      clientSecret ? encryptSecret(clientSecret) : existing.client_secret_encrypted,
+      defaultRole,
+      enabled && input.enforce_sso ? 1 : 0,
+      userId,
+      now,
+      now
+    );
+
+    db.prepare('DELETE FROM tenant_sso_domains WHERE tenant_id = ?').run(tenantId);
+    const insertDomain = db.prepare('INSERT INTO tenant_sso_domains (domain, tenant_id, created_at) VALUES (?, ?, ?)');
+    domains.forEach(domain => insertDomain.run(domain, tenantId, now));
+  })();
+
+  return { config: getSsoConfig(tenantId) };
+}
+
+/**
+ * Remove the tenant's SSO settings and domains
+ * @returns {boolean} Whether there were settings to remove
+ */
+function deleteSsoConfig(tenantId) {
+  return db.prepare('DELETE FROM tenant_sso_configs WHERE tenant_id = ?').run(tenantId).changes > 0;
+}
+
+// ===== DISCOVERY =====
+
+/**
+ * Enabled SSO settings for the tenant that owns an email's domain
+ * @param {string} email - Login email
+ * @returns {Object|null} tenant_sso_configs row with tenant_name
+ */
+function findSsoForEmail(email) {
+  const domain = getEmailDomain(email);
+  if (!domain) return null;
+  return db.prepare(`
+    SELECT c.*, t.name as tenant_name
+    FROM tenant_sso_domains d
+    JOIN tenant_sso_configs c ON c.tenant_id = d.tenant_id
+    JOIN tenants t ON t.id = c.tenant_id
+    WHERE d.domain = ? AND c.enabled = 1
+  `).get(domain) || null;
+}
+
+/**
+ * Tenant whose enforced SSO rules out password login for this user: a member (not the owner)
+ * of the tenant that owns their email domain. Owners and platform users keep password login
+ * so a broken identity provider can't lock everyone out.
+ * @param {Object} user - users row
+ * @returns {Object|null} tenant_sso_configs row with tenant_name
+ */
+function getEnforcedSsoTenant(user) {
+  if (PLATFORM_ROLES.includes(user.role_global)) return null;
+  const sso = findSsoForEmail(user.email);
+  if (!sso?.enforce_sso) return null;
+
+  const membership = db.prepare(`
+    SELECT role FROM user_tenants WHERE user_id = ? AND tenant_id = ?
+  `).get(user.id, sso.tenant_id);
+  return membership && membership.role !== 'owner' ? sso : null;
+}
+
+// ===== PROVIDER =====
+
+function requestProvider(url, { method = 'GET', headers = {}, body } = {}) {
+  return new Promise((resolve, reject) => {
+    const target = new URL(url);
+    const client = target.protocol === 'https:' ? https : http;
+    const req = client.request(target, {
+      method,
+      headers: body === undefined ? headers : { ...headers, 'Content-Length': Buffer.byteLength(body) },
+      lookup: lookupPublic,
+      timeout: REQUEST_TIMEOUT_MS
+    }, (res) => {
+      const chunks = [];
+      let size = 0;
+      res.on('data', (chunk) => {
+        size += chunk.length;
+        if (size > MAX_RESPONSE_BYTES) {
+          req.destroy(new Error(`${url} returned more than ${MAX_RESPONSE_BYTES} bytes`));
+          return;
+        }
+        chunks.push(chunk);
+      });
+      res.on('end', () => resolve({ status: res.statusCode, text: Buffer.concat(chunks).toString('utf8') }));
+      res.on('error', reject);
+    });
+    req.on('timeout', () => {
+      const error = new Error(`${url} timed out after ${REQUEST_TIMEOUT_MS / 1000}s`);
+      error.name = 'TimeoutError';
+      req.destroy(error);
+    });
+    req.on('error', reject);
+    req.end(body);
+  });
+}
+
+// Every URL here comes from the tenant or the provider's metadata, so it gets the same
+// private network guard as webhook endpoints
+async function fetchJson(url, options = {}) {
+  const target = new URL(url);
+  if (!['https:', 'http:'].includes(target.protocol)) {
+    throw new Error(`${url} is not an http(s) URL`);
+  }
+  // IP literals skip the DNS lookup, so they are checked here
+  await assertPublicHost(target.hostname);
+
+  const res = await requestProvider(url, options);
+  let body = null;
+  try {
+    body = JSON.parse(res.text);
+  } catch {
+    // Reported below with the status
+  }
+  if (res.status < 200 || res.status >= 300 || !body) {
+    const detail = body?.error_description || body?.error;
+    throw new Error(`${url} returned ${res.status}${detail ? ` (${detail})` : ''}`);
+  }
+  return body;
+}
+
+/**
+ * OpenID provider metadata from <issuer>/.well-known/openid-configuration
+ */
+async function getProviderMetadata(issuer, { refresh = false } = {}) {
+  const cached = metadataCache.get(issuer);
+  if (cached && !refresh && Date.now() - cached.fetchedAt < METADATA_CACHE_MS) {
+    return cached.metadata;
+  }
+
+  const metadata = await fetchJson(`${issuer}/.well-known/openid-configuration`);
+  if (String(metadata.issuer || '').replace(/\/+$/, '') !== issuer) {
+    throw new Error(`the configuration is for issuer ${metadata.issuer}`);
+  }
+  if (!metadata.authorization_endpoint || !metadata.token_endpoint || !metadata.jwks_uri) {
+    throw new Error('the configuration is missing the authorization, token or JWKS endpoint');
+  }
+  // The server calls these itself, so a provider can't point them at internal hosts either
+  for (const endpoint of [metadata.token_endpoint, metadata.jwks_uri]) {
+    let host;
+    try {
+      host = new URL(endpoint).hostname;
+    } catch {
+      throw new Error(`the configuration has an invalid endpoint URL: ${endpoint}`);
+    }
+    await assertPublicHost(host);
+  }
+  metadataCache.set(issuer, { metadata, fetchedAt: Date.now() });
+  return metadata;
+}
+
+async function getSigningKey(jwksUri, kid) {
+  const find = (keys) => keys.find(key => key.kty === 'RSA' && (!kid || key.kid === kid) && (!key.use || key.use === 'sig'));
+
+  let cached = jwksCache.get(jwksUri);
+  if (!cached || !find(cached.keys) || Date.now() - cached.fetchedAt >= METADATA_CACHE_MS) {
+    const { keys } = await fetchJson(jwksUri);
+    cached = { keys: Array.isArray(keys) ? keys : [], fetchedAt: Date.now() };
+    jwksCache.set(jwksUri, cached);
+  }
+  const jwk = find(cached.keys);
+  return jwk ? crypto.createPublicKey({ key: jwk, format: 'jwk' }) : null;
+}
+
+/**
+ * Check an ID token's signature and claims
+ * @returns {Promise<{ claims?: Object, error?: string }>}
+ */
+async function verifyIdToken(idToken, { issuer, clientId, nonce, jwksUri }) {
+  const parts = String(idToken || '').split('.');
+  if (parts.length !== 3) {
+    return { error: 'The identity provider returned a malformed ID token' };
+  }
+
+  let header;
+  let claims;
+  try {
+    header = JSON.parse(Buffer.from(parts[0], 'base64url').toString('utf8'));
+    claims = JSON.parse(Buffer.from(parts[1], 'base64url').toString('utf8'));
+  } catch {
+    return { error: 'The identity provider returned a malformed ID token' };
+  }
+
+  if (header.alg !== 'RS256') {
+    return { error: `ID tokens signed with ${header.alg} are not supported (use RS256)` };
+  }
+  const key = await getSigningKey(jwksUri, header.kid);
+  const signed = key && crypto.verify(
+    'sha256',
+    Buffer.from(`${parts[0]}.${parts[1]}`),
+    key,
+    Buffer.from(parts[2], 'base64url')
+  );
+  if (!signed) {
+    return { error: 'The ID token signature is not valid' };
+  }
+
+  const now = Math.floor(Date.now() / 1000);
+  const audiences = Array.isArray(claims.aud) ? claims.aud : [claims.aud];
+  if (claims.iss !== issuer) {
+    return { error: 'The ID token is from a different issuer' };
+  }
+  if (!audiences.includes(clientId) || (audiences.length > 1 && claims.azp !== clientId)) {
+    return { error: 'The ID token is for a different client' };
+  }
+  if (typeof claims.exp !== 'number' || claims.exp < now - CLOCK_SKEW_SECONDS) {
+    return { error: 'The ID token has expired' };
+  }
+  if (typeof claims.iat === 'number' && claims.iat > now + CLOCK_SKEW_SECONDS) {
+    return { error: 'The ID token was issued in the future' };
+  }
+  if (!nonce || claims.nonce !== nonce) {
+    return { error: 'The ID token does not belong to this sign-in' };
+  }
+  return { claims };
+}
+
+// ===== LOGIN =====
+
+/**
+ * Start an SSO login: the URL to send the browser to and what to keep in the session
+ * for the callback (state, nonce and PKCE verifier)
+ * @param {Object} sso - tenant_sso_configs row
+ * @param {string} loginHint - Email typed on the login page
+ * @returns {Promise<{ authorizationUrl: string, pending: Object }>}
+ */
+async function beginSsoLogin(sso, loginHint = null) {
+  const metadata = await getProviderMetadata(sso.issuer);
+  const pending = {
+    tenantId: sso.tenant_id,
+    state: randomToken(),
+    nonce: randomToken(),
+    codeVerifier: randomToken(),
+    expiresAt: Date.now() + LOGIN_WINDOW_MS
+  };
+
+  const url = new URL(metadata.authorization_endpoint);
+  const params = {
+    response_type: 'code',
+    client_id: sso.client_id,
+    redirect_uri: getRedirectUri(),
+    scope: 'openid email profile',
+    state: pending.state,
+    nonce: pending.nonce,
+    code_challenge: crypto.createHash('sha256').update(pending.codeVerifier).digest('base64url'),
+    code_challenge_method: 'S256',
+    ...(loginHint && { login_hint: loginHint })
+  };
+  Object.entries(params).forEach(([name, value]) => url.searchParams.set(name, value));
+
+  return { authorizationUrl: url.toString(), pending };
+}
+
+const formEncode = (fields) => Object.entries(fields)
+  .map(([name, value]) => `${encodeURIComponent(name)}=${encodeURIComponent(value)}`)
+  .join('&');
+
+async function exchangeCode(sso, metadata, code, codeVerifier) {
+  const clientSecret = decryptSecret(sso.client_secret_encrypted);
+  const fields = {
+    grant_type: 'authorization_code',
+    code,
+    redirect_uri: getRedirectUri(),
+    code_verifier: codeVerifier
+  };
+  const headers = { 'Content-Type': 'application/x-www-form-urlencoded', Accept: 'application/json' };
+
+  // client_secret_basic is the default; some providers only take the secret in the body
+  const authMethods = metadata.token_endpoint_auth_methods_supported || ['client_secret_basic'];
+  if (authMethods.includes('client_secret_basic')) {
+    const credentials = `${encodeURIComponent(sso.client_id)}:${encodeURIComponent(clientSecret)}`;
+    headers.Authorization = `Basic ${Buffer.from(credentials).toString('base64')}`;
+  } else {
+    fields.client_id = sso.client_id;
+    fields.client_secret = clientSecret;
+  }
+
+  return fetchJson(metadata.token_endpoint, { method: 'POST', headers, body: formEncode(fields) });
+}
+
+/**
+ * The user for verified claims: an existing member of the tenant, or a new account that
+ * joins it with the default role. Existing accounts outside the tenant are never linked,
+ * and platform accounts always sign in with their password.
+ * @returns {Promise<{ user?: Object, created?: boolean, role?: string, error?: string }>}
+ */
+async function provisionSsoUser(sso, claims) {
+  const email = String(claims.email).trim().toLowerCase();
+  const existing = db.prepare('SELECT * FROM users WHERE email = ?').get(email);
+  if (existing) {
+    if (!existing.active) {
+      return { error: 'This account has been deactivated. Contact your administrator.' };
+    }
+    if (PLATFORM_ROLES.includes(existing.role_global)) {
+      return { error: 'Platform accounts can\'t use single sign-on. Log in with your password.' };
+    }
+    const membership = db.prepare(`
+      SELECT role FROM user_tenants WHERE user_id = ? AND tenant_id = ?
+    `).get(existing.id, sso.tenant_id);
+    if (!membership) {
+      return { error: `An account for ${email} already exists. Ask an admin of ${sso.tenant_name} to add you, then use single sign-on.` };
+    }
+    return { user: existing, created: false };
+  }
+
+  const now = new Date().toISOString();
+  const firstName = claims.given_name || null;
+  const lastName = claims.family_name || null;
+  const name = claims.name || [firstName, lastName].filter(Boolean).join(' ') || null;
+  // No usable password: they sign in with SSO (or set one through password reset)
+  const passwordHash = await bcrypt.hash(randomToken(), 10);
+  const userId = uuidv4();
+  db.transaction(() => {
+    db.prepare(`
+      INSERT INTO users (id, email, name, first_name, last_name, password_hash, created_at, updated_at)
+      VALUES (?, ?, ?, ?, ?, ?, ?, ?)
+    `).run(userId, email, name, firstName, lastName, passwordHash, now, now);
+    db.prepare(`
+      INSERT INTO user_tenants (user_id, tenant_id, role, created_at) VALUES (?, ?, ?, ?)
+    `).run(userId, sso.tenant_id, sso.default_role, now);
+  })();
+
+  return { user: db.prepare('SELECT * FROM users WHERE id = ?').get(userId), created: true, role: sso.default_role };
+}
+
+/**
+ * Finish an SSO login from the provider's callback
+ * @param {Object} pending - What beginSsoLogin stored in the session
+ * @param {{ code: string, state: string }} params - Callback query
+ * @returns {Promise<{ user?: Object, tenantId?: string, created?: boolean, role?: string, error?: string }>}
+ */
+async function completeSsoLogin(pending, { code, state }) {
+  if (!pending || pending.expiresAt < Date.now()) {
+    return { error: 'Your single sign-on attempt expired. Try again.' };
+  }
+  if (!state || state !== pending.state || !code) {
+    return { error: 'Single sign-on response did not match this browser. Try again.' };
+  }
+
+  const sso = getConfigRow(pending.tenantId);
+  if (!sso?.enabled) {
+    return { error: 'Single sign-on is not enabled for this organization' };
+  }
+
+  const metadata = await getProviderMetadata(sso.issuer);
+  const tokens = await exchangeCode(sso, metadata, code, pending.codeVerifier);
+  const { claims, error } = await verifyIdToken(tokens.id_token, {
+    issuer: metadata.issuer,
+    clientId: sso.client_id,
+    nonce: pending.nonce,
+    jwksUri: metadata.jwks_uri
+  });
+  if (error) return { error };
+
+  if (!claims.email || claims.email_verified === false) {
+    return { error: 'The identity provider did not share a verified email address' };
+  }
+  const domain = getEmailDomain(claims.email);
+  if (!listDomains(sso.tenant_id).includes(domain)) {
+    return { error: `${claims.email} can't sign in to ${sso.tenant_name} with single sign-on` };
+  }
+
+  const result = await provisionSsoUser(sso, claims);
+  return result.error ? result : { ...result, tenantId: sso.tenant_id };
+}
+
+module.exports = {
+  DEFAULT_ROLES,
+  getRedirectUri,
+  getLoginUrl,
+  getSsoConfig,
+  saveSsoConfig,
+  deleteSsoConfig,
+  findSsoForEmail,
+  getEnforcedSsoTenant,
+  beginSsoLogin,
+  completeSsoLogin
+};
@@ -0,0 +1,194 @@
+/**
+ * Tenant Send Limits
+ * Each tenant sends through its own provider account, so throughput and daily
+ * caps come from that tenant's channel settings: the WhatsApp messaging tier and
+ * throughput Meta reports, or the email/SMS quota the tenant entered.
+ * A channel whose credentials the provider rejects is paused until it is reconnected.
+ */
+
+const db = require('../db');
+const { takeTokens } = require('./rateLimiter');
+const EmailService = require('./emailService');
+const { logAudit, AUDIT_ACTIONS } = require('../utils/audit');
+
+// Messages per second when the provider hasn't told us otherwise
+const DEFAULT_SEND_RATES = {
+  whatsapp: 80,
+  email: 14,
+  sms: 10
+};
+
+// WhatsApp throughput levels (messages per second)
+const WHATSAPP_THROUGHPUT = {
+  STANDARD: 80,
+  HIGH: 1000
+};
+
+// Business-initiated conversations per rolling 24h for each Meta messaging tier
+const WHATSAPP_TIER_LIMITS = {
+  TIER_50: 50,
+  TIER_250: 250,
+  TIER_1K: 1000,
+  TIER_2K: 2000,
+  TIER_10K: 10000,
+  TIER_100K: 100000,
+  TIER_UNLIMITED: null
+};
+
+const DAY_SECONDS = 24 * 60 * 60;
+
+/**
+ * Effective limits for a tenant's channel
+ * @param {string} tenantId - Tenant ID
+ * @param {string} channel - 'whatsapp' | 'email' | 'sms'
+ * @returns {{ ratePerSecond: number, dailyLimit: number|null, messagingTier: string|null }}
+ */
+function getTenantSendLimits(tenantId, channel) {
+  const settings = db.prepare(`
+    SELECT messaging_tier, send_rate_per_second, daily_send_limit
+    FROM tenant_channel_settings
+    WHERE tenant_id = ? AND channel = ?
+  `).get(tenantId, channel);
+
+  const tier = settings?.messaging_tier || null;
+  const tierLimit = channel === 'whatsapp' && tier ? WHATSAPP_TIER_LIMITS[tier] : undefined;
+
+  return {
+    ratePerSecond: settings?.send_rate_per_second || DEFAULT_SEND_RATES[channel] || DEFAULT_SEND_RATES.whatsapp,
+    dailyLimit: settings?.daily_send_limit || tierLimit || null,
+    messagingTier: tier
+  };
+}
+
+/**
+ * Take a send slot from the tenant's per-second and 24h buckets
+ * @param {string} tenantId - Tenant ID
+ * @param {string} channel - 'whatsapp' | 'email' | 'sms'
+ * @returns {{ allowed: boolean, retryInMs: number }}
+ */
+function reserveSendSlot(tenantId, channel) {
+  const limits = getTenantSendLimits(tenantId, channel);
+  const buckets = [{
+    key: `send:${tenantId}:${channel}`,
+    ratePerSecond: limits.ratePerSecond,
+    capacity: limits.ratePerSecond
+  }];
+  if (limits.dailyLimit) {
+    buckets.push({
+      key: `send-daily:${tenantId}:${channel}`,
+      ratePerSecond: limits.dailyLimit / DAY_SECONDS,
+      capacity: limits.dailyLimit
+    });
+  }
+  return takeTokens(buckets);
+}
+
+/**
+ * Pause on a tenant's channel, if any
+ * @param {string} tenantId - Tenant ID
+ * @param {string} channel - 'whatsapp' | 'email' | 'sms'
+ * @returns {{ paused_at: string, reason: string }|null}
+ */
+function getSendPause(tenantId, channel) {
+  const settings = db.prepare(`
+    SELECT sends_paused_at, sends_paused_reason
+    FROM tenant_channel_settings
+    WHERE tenant_id = ? AND channel = ? AND sends_paused_at IS NOT NULL
+  `).get(tenantId, channel);
+  return settings ? { paused_at: settings.sends_paused_at, reason: settings.sends_paused_reason } : null;
+}
+
+/**
+ * Pause every send on a tenant's channel and alert the tenant's admins
+ * Called on auth failures so queued messages wait for new credentials instead of
+ * burning their retries. Reconnecting the channel clears the pause.
+ * @param {string} tenantId - Tenant ID
+ * @param {string} channel - 'whatsapp' | 'email' | 'sms'
+ * @param {string} reason - Provider error
+ * @returns {boolean} True if the channel was not already paused
+ */
+function pauseTenantSends(tenantId, channel, reason) {
+  const now = new Date().toISOString();
+  const result = db.prepare(`
+    UPDATE tenant_channel_settings
+    SET sends_paused_at = ?, sends_paused_reason = ?, updated_at = ?
+    WHERE tenant_id = ? AND channel = ? AND sends_paused_at IS NULL
+  `).run(now, reason, now, tenantId, channel);
+  if (result.changes === 0) {
+    return false;
+  }
+
+  logAudit({
+    actorUserId: null,
+    actorType: 'system',
+    tenantId,
+    action: AUDIT_ACTIONS.CHANNEL_SENDS_PAUSE,
+    targetType: 'channel',
+    targetId: channel,
+    metadata: { channel, reason }
+  });
+  console.warn(`⚠️  ${channel} sends paused for tenant ${tenantId}: ${reason}`);
+
+  const tenant = db.prepare('SELECT * FROM tenants WHERE id = ?').get(tenantId);
+  const admins = db.prepare(`
+    SELECT u.email, u.name FROM user_tenants ut
+    JOIN users u ON u.id = ut.user_id
+    WHERE ut.tenant_id = ? AND ut.role IN ('owner', 'admin')
+  `).all(tenantId);
+  if (tenant) {
+    new EmailService().sendChannelPausedEmail(tenant, admins, channel, reason)
+      .catch(error => console.error('Channel paused email failed:', error.message));
+  }
+  return true;
+}
+
+/**
+ * Map Meta's phone number fields to stored limits
+ * @param {Object} phoneNumber - Graph API phone number ({ messaging_limit_tier, throughput: { level } })
+ * @returns {{ messaging_tier: string|null, send_rate_per_second: number }}
+ */
+function parseWhatsAppLimits(phoneNumber = {}) {
+  const tier = phoneNumber.messaging_limit_tier;
+  const level = phoneNumber.throughput?.level;
+  return {
+    messaging_tier: Object.prototype.hasOwnProperty.call(WHATSAPP_TIER_LIMITS, tier) ? tier : null,
+    send_rate_per_second: WHATSAPP_THROUGHPUT[level] || WHATSAPP_THROUGHPUT.STANDARD
+  };
+}
+
+/**
+ * Validate tenant-entered quota fields (email/SMS)
+ * @param {Object} input - { sendRatePerSecond, dailySendLimit }
+ * @returns {{ value?: { send_rate_per_second: number|null, daily_send_limit: number|null }, error?: string }}
+ */
+function validateQuotaInput(input = {}) {
+  const value = {};
+  const fields = [
+    ['sendRatePerSecond', 'send_rate_per_second', 'Send rate'],
+    ['dailySendLimit', 'daily_send_limit', 'Daily send limit']
+  ];
+  for (const [key, column, label] of fields) {
+    const raw = input[key];
+    if (raw === undefined || raw === null || raw === '') {
+      value[column] = null;
+      continue;
+    }
+    const parsed = Number(raw);
+    if (!Number.isInteger(parsed) || parsed < 1) {
+      return { error: `${label} must be a whole number of at least 1` };
+    }
+    value[column] = parsed;
+  }
+  return { value };
+}
+
+module.exports = {
+  DEFAULT_SEND_RATES,
+  WHATSAPP_TIER_LIMITS,
+  getTenantSendLimits,
+  reserveSendSlot,
+  getSendPause,
+  pauseTenantSends,
+  parseWhatsAppLimits,
+  validateQuotaInput
+};
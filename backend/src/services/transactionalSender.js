@@ -0,0 +1,399 @@
+/**
+ * Transactional Sender
+ * One-off sends to a single contact (order confirmations, OTPs) from the API.
+ *
+ * The contact is found by id, phone or email and created when it doesn't exist yet.
+ * The message has no campaign: its template and content are kept in content_snapshot,
+ * its send job goes on the transactional lane ahead of bulk campaign traffic, and it
+ * is metered in usage_counters like any other send.
+ *
+ * An Idempotency-Key makes retries safe: the same key with the same request returns
+ * the original message instead of sending again, a different request is rejected.
+ */
+
+const crypto = require('crypto');
+const db = require('../db');
+const { v4: uuidv4 } = require('uuid');
+const { checkContactEligibility } = require('./audience');
+const { enqueueMessageJobs } = require('./messageQueue');
+const jobQueue = require('./jobQueue');
+const {
+  getMessageProvider,
+  validateCampaignChannel,
+  checkSendAllowance,
+  recordMessageUsage
+} = require('./campaignSender');
+const { emitContactEvent } = require('./outboundWebhooks');
+const { handleContactCreated } = require('./journeys');
+
+const CHANNELS = ['whatsapp', 'email'];
+const CONSENT_FIELDS = ['consent_whatsapp', 'consent_email', 'consent_sms'];
+const MAX_IDEMPOTENCY_KEY_LENGTH = 255;
+const MAX_VARIABLES = 50;
+const PHONE_PATTERN = /^\+?[1-9]\d{1,14}$/;
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+/**
+ * Build a failed send result (same shape as campaignSender failures)
+ */
+function failure(statusCode, error, message, extra = {}) {
+  return { success: false, statusCode, error, message, extra };
+}
+
+// Thrown inside the send transaction to roll back a contact created for a send that can't go out
+class SendFailure extends Error {
+  constructor(result) {
+    super(result.message);
+    this.result = result;
+  }
+}
+
+// ===== VALIDATION =====
+
+function validateVariables(variables) {
+  if (variables === undefined || variables === null) return { variables: {} };
+  if (typeof variables !== 'object' || Array.isArray(variables)) {
+    return { error: 'variables must be an object of name: value pairs' };
+  }
+  const entries = Object.entries(variables);
+  if (entries.length > MAX_VARIABLES) {
+    return { error: `Messages are limited to ${MAX_VARIABLES} variables` };
+  }
+  const invalid = entries.find(([, value]) => value !== null && typeof value === 'object');
+  if (invalid) {
+    return { error: `Variable ${invalid[0]} must be a string or number` };
+  }
+  return { variables: Object.fromEntries(entries.map(([key, value]) => [key, value === null ? '' : String(value)])) };
+}
+
+function validateContactInput(contact) {
+  if (!contact || typeof contact !== 'object' || Array.isArray(contact)) {
+    return { error: 'contact is required: { id } or { phone, email, name }' };
+  }
+
+  const text = (value) => (typeof value === 'string' ? value.trim() : '');
+  const id = text(contact.id);
+  const phone = text(contact.phone).replace(/[^\d+]/g, '');
+  const email = text(contact.email).toLowerCase();
+  const name = text(contact.name);
+
+  if (!id && !phone && !email) {
+    return { error: 'contact needs an id, phone or email' };
+  }
+  if (phone && !PHONE_PATTERN.test(phone)) {
+    return { error: 'Invalid phone format. Must be E.164 format (e.g., +1234567890)' };
+  }
+  if (email && !EMAIL_PATTERN.test(email)) {
+    return { error: 'Invalid email address' };
+  }
+  if (name.length > 255) {
+    return { error: 'Contact name cannot exceed 255 characters' };
+  }
+
+  const consent = {};
+  CONSENT_FIELDS.forEach(field => {
+    consent[field] = contact[field] === true ? 1 : 0;
+  });
+
+  return { contact: { id: id || null, phone: phone || null, email: email || null, name: name || null, consent } };
+}
+
+// {{name}} placeholders in email content; HTML gets escaped values
+function renderPlaceholders(text, variables, escape = false) {
+  if (!text) return '';
+  return text.replace(/\{\{\s*([\w.-]+)\s*\}\}/g, (match, key) => {
+    if (!Object.prototype.hasOwnProperty.call(variables, key)) return match;
+    const value = variables[key];
+    return escape
+      ? value.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;')
+      : value;
+  });
+}
+
+function resolveTemplateId(tenantId, body) {
+  if (body.template_id) {
+    return db.prepare('SELECT id FROM whatsapp_templates WHERE id = ? AND tenant_id = ?').get(body.template_id, tenantId)?.id || null;
+  }
+  if (typeof body.template_name === 'string' && body.template_name.trim()) {
+    const language = typeof body.language === 'string' && body.language.trim() ? body.language.trim() : null;
+    return db.prepare(`
+      SELECT id FROM whatsapp_templates
+      WHERE tenant_id = ? AND name = ? AND (? IS NULL OR language = ?)
+      ORDER BY CASE WHEN status = 'APPROVED' THEN 0 ELSE 1 END, created_at DESC
+      LIMIT 1
+    `).get(tenantId, body.template_name.trim(), language, language)?.id || null;
+  }
+  return null;
+}
+
+/**
+ * Validate a send request and build the message content
+ * WhatsApp: { template_id | template_name, language?, variables }
+ * Email: { subject, htmlBody, textBody, variables } with {{name}} placeholders
+ * @returns {{ value?: Object, error?: string }}
+ */
+function validateSendRequest(tenantId, body) {
+  if (!body || typeof body !== 'object') {
+    return { error: 'Request body is required' };
+  }
+  if (!CHANNELS.includes(body.channel)) {
+    return { error: `channel must be one of: ${CHANNELS.join(', ')}` };
+  }
+
+  const contactResult = validateContactInput(body.contact);
+  if (contactResult.error) return contactResult;
+
+  const variablesResult = validateVariables(body.variables);
+  if (variablesResult.error) return variablesResult;
+  const { variables } = variablesResult;
+
+  if (body.channel === 'whatsapp') {
+    if (!body.template_id && !body.template_name) {
+      return { error: 'template_id or template_name is required for WhatsApp messages' };
+    }
+    const templateId = resolveTemplateId(tenantId, body);
+    if (!templateId) {
+      return { error: 'Template not found' };
+    }
+    return {
+      value: {
+        channel: 'whatsapp',
+        contact: contactResult.contact,
+        templateId,
+        messageContent: JSON.stringify({ static: variables })
+      }
+    };
+  }
+
+  const subject = renderPlaceholders(typeof body.subject === 'string' ? body.subject.trim() : '', variables);
+  const htmlBody = renderPlaceholders(typeof body.htmlBody === 'string' ? body.htmlBody : '', variables, true);
+  const textBody = renderPlaceholders(typeof body.textBody === 'string' ? body.textBody : '', variables);
+  if (!subject || (!htmlBody.trim() && !textBody.trim())) {
+    return { error: 'Email subject and htmlBody or textBody are required' };
+  }
+  return {
+    value: {
+      channel: 'email',
+      contact: contactResult.contact,
+      templateId: null,
+      messageContent: JSON.stringify({ subject, htmlBody, textBody })
+    }
+  };
+}
+
+/**
+ * Hash of the request body with keys sorted, so key order doesn't matter
+ * @param {Object} body - Request body
+ * @returns {string}
+ */
+function hashRequest(body) {
+  const canonical = (value) => {
+    if (Array.isArray(value)) return value.map(canonical);
+    if (value && typeof value === 'object') {
+      return Object.keys(value).sort().reduce((sorted, key) => ({ ...sorted, [key]: canonical(value[key]) }), {});
+    }
+    return value;
+  };
+  return crypto.createHash('sha256').update(JSON.stringify(canonical(body))).digest('hex');
+}
+
+// ===== CONTACTS =====
+
+/**
+ * Find the contact a send is for, or create it
+ * Lookup order is id, then phone, then email. New contacts take the consent flags
+ * from the request (default off, like contacts created in the app).
+ * Call inside the send transaction.
+ * @returns {{ contactId?: string, created?: boolean, failure?: Object }}
+ */
+function findOrCreateContact(tenantId, contact, now) {
+  if (contact.id) {
+    const existing = db.prepare('SELECT id FROM contacts WHERE id = ? AND tenant_id = ? AND deleted_at IS NULL').get(contact.id, tenantId);
+    return existing
+      ? { contactId: existing.id, created: false }
+      : { failure: failure(404, 'Not Found', 'Contact not found') };
+  }
+
+  // Deleted contacts still hold their phone (UNIQUE(tenant_id, phone)); eligibility reports them as deleted
+  const digits = contact.phone ? contact.phone.replace('+', '') : null;
+  const byPhone = digits && db.prepare(`
+    SELECT id FROM contacts WHERE tenant_id = ? AND phone IN (?, ?)
+  `).get(tenantId, `+${digits}`, digits);
+  if (byPhone) return { contactId: byPhone.id, created: false };
+
+  const byEmail = !contact.phone && contact.email && db.prepare(`
+    SELECT id FROM contacts
+    WHERE tenant_id = ? AND LOWER(email) = ? AND deleted_at IS NULL
+    ORDER BY created_at ASC
+    LIMIT 1
+  `).get(tenantId, contact.email);
+  if (byEmail) return { contactId: byEmail.id, created: false };
+
+  const contactId = uuidv4();
+  db.prepare(`
+    INSERT INTO contacts
+    (id, tenant_id, name, phone, email, consent_whatsapp, consent_email, consent_sms, consent_source, consent_updated_at, created_at, updated_at)
+    VALUES (?, ?, ?, ?, ?, ?, ?, ?, 'api', ?, ?, ?)
+  `).run(
+    contactId,
+    tenantId,
+    contact.name,
+    contact.phone,
+    contact.email,
+    contact.consent.consent_whatsapp,
+    contact.consent.consent_email,
+    contact.consent.consent_sms,
+    now,
+    now,
+    now
+  );
+  return { contactId, created: true };
+}
+
+// ===== SENDING =====
+
+/**
+ * Message as returned by the transactional API
+ * @param {Object} row - Message row
+ */
+function formatTransactionalMessage(row) {
+  return {
+    id: row.id,
+    channel: row.channel,
+    contact_id: row.contact_id,
+    status: row.status,
+    status_reason: row.status_reason,
+    idempotency_key: row.idempotency_key,
+    sent_at: row.sent_at,
+    delivered_at: row.delivered_at,
+    read_at: row.read_at,
+    failed_at: row.failed_at,
+    created_at: row.created_at,
+    updated_at: row.updated_at
+  };
+}
+
+/**
+ * Transactional message of a tenant by id
+ * @returns {Object|null} Message row
+ */
+function getTransactionalMessage(tenantId, messageId) {
+  return db.prepare(`
+    SELECT * FROM messages WHERE id = ? AND tenant_id = ? AND transactional = 1
+  `).get(messageId, tenantId) || null;
+}
+
+/**
+ * Queue one message to one contact on the transactional lane
+ * @param {string} tenantId - Tenant ID
+ * @param {Object} body - Request body (see validateSendRequest)
+ * @param {Object} options - { idempotencyKey, apiKeyId }
+ * @returns {Object} { success: true, message, replayed, contactCreated } or a failure result
+ */
+function sendTransactionalMessage(tenantId, body, options = {}) {
+  const idempotencyKey = options.idempotencyKey || null;
+  if (idempotencyKey && (typeof idempotencyKey !== 'string' || idempotencyKey.length > MAX_IDEMPOTENCY_KEY_LENGTH)) {
+    return failure(400, 'Validation Error', `Idempotency-Key must be at most ${MAX_IDEMPOTENCY_KEY_LENGTH} characters`);
+  }
+  const requestHash = hashRequest(body || {});
+
+  const findReplay = () => {
+    if (!idempotencyKey) return null;
+    const existing = db.prepare(`
+      SELECT * FROM messages WHERE tenant_id = ? AND idempotency_key = ?
+    `).get(tenantId, idempotencyKey);
+    if (!existing) return null;
+    if (existing.request_hash !== requestHash) {
+      return failure(422, 'Idempotency Key Reused', 'This Idempotency-Key was already used with a different request');
+    }
+    return { success: true, message: existing, replayed: true, contactCreated: false };
+  };
+
+  // Replays skip validation so a retry still gets its message after templates or settings change
+  const replay = findReplay();
+  if (replay) return replay;
+
+  const validation = validateSendRequest(tenantId, body);
+  if (validation.error) {
+    return failure(400, 'Validation Error', validation.error);
+  }
+  const { channel, contact, templateId, messageContent } = validation.value;
+
+  const sendLike = { tenant_id: tenantId, channel, template_id: templateId, message_content: messageContent };
+  const channelError = validateCampaignChannel(sendLike);
+  if (channelError) return channelError;
+
+  const send = db.transaction(() => {
+    // A request with the same key may have committed since the check above
+    const raced = findReplay();
+    if (raced) return raced;
+
+    const now = new Date().toISOString();
+    const resolved = findOrCreateContact(tenantId, contact, now);
+    if (resolved.failure) return resolved.failure;
+
+    const exclusionReason = checkContactEligibility(tenantId, resolved.contactId, channel);
+    if (exclusionReason) {
+      throw new SendFailure(failure(
+        422,
+        'Contact Not Reachable',
+        `Contact can't receive ${channel} messages (${exclusionReason})`,
+        { reason: exclusionReason, contact_id: resolved.created ? null : resolved.contactId }
+      ));
+    }
+
+    const allowanceError = checkSendAllowance(sendLike, 1);
+    if (allowanceError) throw new SendFailure(allowanceError);
+
+    const messageId = uuidv4();
+    db.prepare(`
+      INSERT INTO messages (
+        id, tenant_id, campaign_id, contact_id, channel, provider, status, attempts, content_snapshot,
+        transactional, idempotency_key, request_hash, api_key_id, created_at, updated_at
+      ) VALUES (?, ?, NULL, ?, ?, ?, 'queued', 1, ?, 1, ?, ?, ?, ?, ?)
+    `).run(
+      messageId,
+      tenantId,
+      resolved.contactId,
+      channel,
+      getMessageProvider(channel, tenantId),
+      JSON.stringify({ template_id: templateId, message_content: messageContent }),
+      idempotencyKey,
+      requestHash,
+      options.apiKeyId || null,
+      now,
+      now
+    );
+    enqueueMessageJobs([{ id: messageId, tenant_id: tenantId }], { lane: jobQueue.LANES.TRANSACTIONAL });
+    recordMessageUsage(tenantId, channel, 1, now);
+
+    return {
+      success: true,
+      message: db.prepare('SELECT * FROM messages WHERE id = ?').get(messageId),
+      replayed: false,
+      contactCreated: resolved.created
+    };
+  });
+
+  let result;
+  try {
+    result = send.immediate();
+  } catch (error) {
+    if (error instanceof SendFailure) return error.result;
+    throw error;
+  }
+
+  if (result.success && result.contactCreated) {
+    emitContactEvent(tenantId, result.message.contact_id, 'contact.created');
+    handleContactCreated(tenantId, result.message.contact_id);
+  }
+  return result;
+}
+
+module.exports = {
+  validateSendRequest,
+  hashRequest,
+  formatTransactionalMessage,
+  getTransactionalMessage,
+  sendTransactionalMessage
+};
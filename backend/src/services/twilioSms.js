@@ -0,0 +1,193 @@
+/**
+ * Twilio SMS Provider Implementation
+ *
+ * Handles all Twilio Programmable Messaging integration:
+ * - Sending messages (from a number or a Messaging Service)
+ * - Credential validation
+ * - Status callbacks and X-Twilio-Signature verification
+ */
+
+const https = require('https');
+const crypto = require('crypto');
+const querystring = require('querystring');
+const SmsProvider = require('./smsProvider');
+
+const TWILIO_API_HOST = 'api.twilio.com';
+const TWILIO_API_VERSION = '2010-04-01';
+
+// Twilio MessageStatus -> our message status (null = intermediate, ignore)
+const TWILIO_STATUS_MAP = {
+  accepted: null,
+  scheduled: null,
+  queued: null,
+  sending: null,
+  sent: 'sent',
+  delivered: 'delivered',
+  read: 'read',
+  undelivered: 'failed',
+  failed: 'failed',
+  canceled: 'failed'
+};
+
+class TwilioSmsProvider extends SmsProvider {
+  constructor(credentials = {}, options = {}) {
+    super(credentials, options);
+    this.accountSid = credentials.account_sid;
+    this.authToken = credentials.auth_token;
+    this.fromNumber = credentials.from_number || null;
+    this.messagingServiceSid = credentials.messaging_service_sid || null;
+  }
+
+  get name() {
+    return 'twilio';
+  }
+
+  /**
+   * Make an authenticated request to the Twilio REST API
+   * @param {string} method - HTTP method
+   * @param {string} resourcePath - Path under /Accounts/{sid}, e.g. '/Messages.json'
+   * @param {Object} form - Form fields for POST requests
+   * @returns {Promise<Object>} Parsed JSON response
+   */
+  request(method, resourcePath, form = null) {
+    return new Promise((resolve, reject) => {
+      const body = form ? querystring.stringify(form) : null;
+      const auth = Buffer.from(`${this.accountSid}:${this.authToken}`).toString('base64');
+
+      const options = {
+        hostname: TWILIO_API_HOST,
+        path: `/${TWILIO_API_VERSION}/Accounts/${encodeURIComponent(this.accountSid)}${resourcePath}`,
+        method,
+        headers: {
+          Authorization: `Basic ${auth}`,
+          Accept: 'application/json'
+        }
+      };
+
+      if (body) {
+        options.headers['Content-Type'] = 'application/x-www-form-urlencoded';
+        options.headers['Content-Length'] = Buffer.byteLength(body);
+      }
+
+      const req = https.request(options, (res) => {
+        let data = '';
+
+        res.on('data', (chunk) => {
+          data += chunk;
+        });
+
+        res.on('end', () => {
+          try {
+            const parsed = JSON.parse(data || '{}');
+            if (res.statusCode >= 200 && res.statusCode < 300) {
+              resolve(parsed);
+            } else {
+              const err = new Error(`Twilio API Error: ${parsed.message || `HTTP ${res.statusCode}`}`);
+              err.code = parsed.code;
+              err.statusCode = res.statusCode;
+              reject(err);
+            }
+          } catch (e) {
+            reject(new Error(`Failed to parse Twilio API response: ${e.message}`));
+          }
+        });
+      });
+
+      req.on('error', (error) => {
+        reject(error);
+      });
+
+      if (body) {
+        req.write(body);
+      }
+      req.end();
+    });
+  }
+
+  async send(to, body) {
+    const form = {
+      To: to,
+      Body: body
+    };
+
+    if (this.messagingServiceSid) {
+      form.MessagingServiceSid = this.messagingServiceSid;
+    } else {
+      form.From = this.fromNumber;
+    }
+
+    if (this.options.statusCallbackUrl) {
+      form.StatusCallback = this.options.statusCallbackUrl;
+    }
+
+    const result = await this.request('POST', '/Messages.json', form);
+    return {
+      providerMessageId: result.sid,
+      status: TWILIO_STATUS_MAP[result.status] || 'sent'
+    };
+  }
+
+  async validateCredentials() {
+    if (!this.accountSid || !this.authToken) {
+      return { valid: false, error: 'Account SID and Auth Token are required' };
+    }
+    if (!this.fromNumber && !this.messagingServiceSid) {
+      return { valid: false, error: 'A sender phone number or Messaging Service SID is required' };
+    }
+
+    try {
+      const account = await this.request('GET', '.json');
+      if (account.status && account.status !== 'active') {
+        return { valid: false, error: `Twilio account is ${account.status}` };
+      }
+      return { valid: true, details: { accountName: account.friendly_name || null } };
+    } catch (error) {
+      return { valid: false, error: error.message };
+    }
+  }
+
+  parseStatusWebhook(params = {}) {
+    const providerMessageId = params.MessageSid || params.SmsSid;
+    const rawStatus = (params.MessageStatus || params.SmsStatus || '').toLowerCase();
+    if (!providerMessageId || !rawStatus) {
+      return null;
+    }
+
+    const status = TWILIO_STATUS_MAP[rawStatus];
+    if (!status) {
+      return null;
+    }
+
+    let statusReason = null;
+    if (status === 'failed') {
+      statusReason = params.ErrorMessage || (params.ErrorCode ? `Twilio error ${params.ErrorCode}` : rawStatus);
+    }
+
+    return { providerMessageId, status, statusReason };
+  }
+
+  /**
+   * Twilio signs callbacks with HMAC-SHA1 over the full URL followed by every
+   * POST parameter (sorted by name) concatenated as name + value
+   */
+  verifyWebhookSignature(url, params, signature) {
+    if (!signature || !this.authToken) {
+      return false;
+    }
+
+    const payload = Object.keys(params || {})
+      .sort()
+      .reduce((acc, key) => acc + key + params[key], url);
+
+    const expected = crypto
+      .createHmac('sha1', this.authToken)
+      .update(Buffer.from(payload, 'utf8'))
+      .digest('base64');
+
+    const expectedBuf = Buffer.from(expected);
+    const receivedBuf = Buffer.from(String(signature));
+    return expectedBuf.length === receivedBuf.length && crypto.timingSafeEqual(expectedBuf, receivedBuf);
+  }
+}
+
+module.exports = TwilioSmsProvider;
@@ -0,0 +1,320 @@
+/**
+ * Two-Factor Authentication Service
+ * TOTP (RFC 6238: SHA-1, 6 digits, 30s steps) with one-time recovery codes.
+ * Secrets are stored encrypted; a secret only becomes active once a code from it
+ * is verified, and each time step is accepted once. 2FA is required for members
+ * of tenants with require_2fa set, and for users with a platform role when the
+ * require_2fa_platform_users platform setting is on.
+ */
+
+const crypto = require('crypto');
+const QRCode = require('qrcode');
+const db = require('../db');
+const { v4: uuidv4 } = require('uuid');
+const { takeTokens } = require('./rateLimiter');
+const { encryptSecret, decryptSecret } = require('../utils/secrets');
+
+const ISSUER = 'EngageNinja';
+const STEP_SECONDS = 30;
+const CODE_DIGITS = 6;
+// Accept the previous and next step too, for clock drift
+const STEP_WINDOW = 1;
+const RECOVERY_CODE_COUNT = 10;
+const PLATFORM_POLICY_KEY = 'require_2fa_platform_users';
+// How long a login that passed its first step (password or SSO) waits for the second factor
+const LOGIN_WINDOW_MS = 5 * 60 * 1000;
+
+// 5 code attempts per user, refilled over 15 minutes
+const ATTEMPT_LIMIT = { capacity: 5, windowSeconds: 15 * 60 };
+
+const BASE32_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+
+// ===== ENCODING =====
+
+function base32Encode(buffer) {
+  let bits = 0;
+  let value = 0;
+  let output = '';
+  for (const byte of buffer) {
+    value = (value << 8) | byte;
+    bits += 8;
+    while (bits >= 5) {
+      output += BASE32_ALPHABET[(value >>> (bits - 5)) & 31];
+      bits -= 5;
+    }
+  }
+  if (bits > 0) {
+    output += BASE32_ALPHABET[(value << (5 - bits)) & 31];
+  }
+  return output;
+}
+
+function base32Decode(input) {
+  let bits = 0;
+  let value = 0;
+  const bytes = [];
+  for (const char of String(input).toUpperCase().replace(/[\s=]/g, '')) {
+    const index = BASE32_ALPHABET.indexOf(char);
+    if (index === -1) {
+      throw new Error('Invalid base32 secret');
+    }
+    value = (value << 5) | index;
+    bits += 5;
+    if (bits >= 8) {
+      bytes.push((value >>> (bits - 8)) & 255);
+      bits -= 8;
+    }
+  }
+  return Buffer.from(bytes);
+}
+
+// ===== TOTP =====
+
+/**
+ * TOTP code for a base32 secret at a time step
+ * @param {string} secret - Base32 secret
+ * @param {number} step - Time step (unix seconds / 30)
+ * @returns {string} Zero-padded code
+ */
+function generateTotp(secret, step = Math.floor(Date.now() / 1000 / STEP_SECONDS)) {
+  const counter = Buffer.alloc(8);
+  counter.writeBigUInt64BE(BigInt(step));
+  const hmac = crypto.createHmac('sha1', base32Decode(secret)).update(counter).digest();
+  const offset = hmac[hmac.length - 1] & 15;
+  const binary = hmac.readUInt32BE(offset) & 0x7fffffff;
+  return String(binary % (10 ** CODE_DIGITS)).padStart(CODE_DIGITS, '0');
+}
+
+/**
+ * Time step a code matches within the drift window, or null
+ * @param {string} secret - Base32 secret
+ * @param {string} code - Code entered by the user
+ * @param {number|null} lastUsedStep - Steps at or before this are refused (replay)
+ * @returns {number|null}
+ */
+function matchTotpStep(secret, code, lastUsedStep = null) {
+  const normalized = String(code || '').replace(/\s+/g, '');
+  if (!new RegExp(`^\\d{${CODE_DIGITS}}$`).test(normalized)) return null;
+
+  const current = Math.floor(Date.now() / 1000 / STEP_SECONDS);
+  for (let step = current - STEP_WINDOW; step <= current + STEP_WINDOW; step++) {
+    if (lastUsedStep !== null && step <= lastUsedStep) continue;
+    const expected = generateTotp(secret, step);
+    if (crypto.timingSafeEqual(Buffer.from(expected), Buffer.from(normalized))) {
+      return step;
+    }
+  }
+  return null;
+}
+
+/**
+ * otpauth:// URI that authenticator apps import (usually as a QR code)
+ */
+function getProvisioningUri(email, secret) {
+  const label = encodeURIComponent(`${ISSUER}:${email}`);
+  return `otpauth://totp/${label}?secret=${secret}&issuer=${encodeURIComponent(ISSUER)}`
+    + `&algorithm=SHA1&digits=${CODE_DIGITS}&period=${STEP_SECONDS}`;
+}
+
+// ===== RECOVERY CODES =====
+
+const normalizeRecoveryCode = (code) => String(code || '').toLowerCase().replace(/[^a-z0-9]/g, '');
+
+const hashRecoveryCode = (code) => crypto.createHash('sha256').update(normalizeRecoveryCode(code)).digest('hex');
+
+/**
+ * Replace a user's recovery codes
+ * @returns {string[]} The new codes (xxxxx-xxxxx), only ever shown once
+ */
+function createRecoveryCodes(userId) {
+  const codes = Array.from({ length: RECOVERY_CODE_COUNT }, () => {
+    const raw = base32Encode(crypto.randomBytes(7)).slice(0, 10).toLowerCase();
+    return `${raw.slice(0, 5)}-${raw.slice(5)}`;
+  });
+
+  db.transaction(() => {
+    db.prepare('DELETE FROM user_recovery_codes WHERE user_id = ?').run(userId);
+    const insert = db.prepare('INSERT INTO user_recovery_codes (id, user_id, code_hash) VALUES (?, ?, ?)');
+    codes.forEach(code => insert.run(uuidv4(), userId, hashRecoveryCode(code)));
+  })();
+
+  return codes;
+}
+
+// Use up a recovery code; true when it was valid and unused
+function consumeRecoveryCode(userId, code) {
+  if (normalizeRecoveryCode(code).length !== 10) return false;
+  const result = db.prepare(`
+    UPDATE user_recovery_codes SET used_at = ?
+    WHERE user_id = ? AND code_hash = ? AND used_at IS NULL
+  `).run(new Date().toISOString(), userId, hashRecoveryCode(code));
+  return result.changes === 1;
+}
+
+// ===== POLICY =====
+
+function isPlatformPolicyEnabled() {
+  const row = db.prepare('SELECT value FROM platform_config WHERE key = ?').get(PLATFORM_POLICY_KEY);
+  if (!row) return false;
+  try {
+    return JSON.parse(row.value) === true;
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * Why a user must use 2FA
+ * @returns {{ platform: boolean, tenants: Array<{ tenant_id: string, name: string }> }}
+ */
+function getTwoFactorRequirements(user) {
+  const tenants = db.prepare(`
+    SELECT t.id as tenant_id, t.name FROM user_tenants ut
+    JOIN tenants t ON t.id = ut.tenant_id
+    WHERE ut.user_id = ? AND ut.active = 1 AND t.require_2fa = 1
+    ORDER BY t.name
+  `).all(user.id);
+  const platform = Boolean(user.role_global && user.role_global !== 'none') && isPlatformPolicyEnabled();
+  return { platform, tenants };
+}
+
+function isTwoFactorRequired(user) {
+  const { platform, tenants } = getTwoFactorRequirements(user);
+  return platform || tenants.length > 0;
+}
+
+// ===== USER STATE =====
+
+const loadUser = (userId) => db.prepare(`
+  SELECT id, email, role_global, totp_secret_encrypted, totp_pending_secret_encrypted, totp_enabled_at, totp_last_used_step
+  FROM users WHERE id = ?
+`).get(userId);
+
+/**
+ * 2FA status for a user (used by the profile page and /auth/me)
+ */
+function getTwoFactorStatus(userId) {
+  const user = loadUser(userId);
+  if (!user) return null;
+  const requirements = getTwoFactorRequirements(user);
+  const remaining = db.prepare(`
+    SELECT COUNT(*) as count FROM user_recovery_codes WHERE user_id = ? AND used_at IS NULL
+  `).get(userId).count;
+  return {
+    enabled: Boolean(user.totp_secret_encrypted),
+    enabled_at: user.totp_enabled_at,
+    required: requirements.platform || requirements.tenants.length > 0,
+    required_by_platform: requirements.platform,
+    required_by_tenants: requirements.tenants,
+    recovery_codes_remaining: user.totp_secret_encrypted ? remaining : 0
+  };
+}
+
+/**
+ * Start (or restart) enrollment with a new pending secret
+ * @returns {Promise<{ secret: string, otpauth_uri: string, qr_code: string }>} qr_code is a PNG data URL
+ */
+async function beginEnrollment(userId) {
+  const user = loadUser(userId);
+  const secret = base32Encode(crypto.randomBytes(20));
+  db.prepare('UPDATE users SET totp_pending_secret_encrypted = ? WHERE id = ?').run(encryptSecret(secret), userId);
+
+  const uri = getProvisioningUri(user.email, secret);
+  return {
+    secret,
+    otpauth_uri: uri,
+    qr_code: await QRCode.toDataURL(uri, { margin: 1, width: 220 })
+  };
+}
+
+/**
+ * Confirm enrollment with a code from the pending secret
+ * @returns {{ recoveryCodes?: string[], error?: string }}
+ */
+function confirmEnrollment(userId, code) {
+  const user = loadUser(userId);
+  if (!user.totp_pending_secret_encrypted) {
+    return { error: 'Start two-factor setup first' };
+  }
+  const secret = decryptSecret(user.totp_pending_secret_encrypted);
+  const step = matchTotpStep(secret, code);
+  if (step === null) {
+    return { error: 'That code is not valid. Check the time on your device and try the current code.' };
+  }
+
+  const recoveryCodes = db.transaction(() => {
+    db.prepare(`
+      UPDATE users
+      SET totp_secret_encrypted = ?, totp_pending_secret_encrypted = NULL, totp_enabled_at = ?, totp_last_used_step = ?
+      WHERE id = ?
+    `).run(user.totp_pending_secret_encrypted, new Date().toISOString(), step, userId);
+    return createRecoveryCodes(userId);
+  })();
+  return { recoveryCodes };
+}
+
+/**
+ * Check a second factor: a current TOTP code or an unused recovery code
+ * @returns {{ valid: boolean, method?: 'totp' | 'recovery_code' }}
+ */
+function verifySecondFactor(userId, code) {
+  const user = loadUser(userId);
+  if (!user?.totp_secret_encrypted) return { valid: false };
+
+  const step = matchTotpStep(decryptSecret(user.totp_secret_encrypted), code, user.totp_last_used_step);
+  if (step !== null) {
+    const claimed = db.prepare(`
+      UPDATE users SET totp_last_used_step = ?
+      WHERE id = ? AND (totp_last_used_step IS NULL OR totp_last_used_step < ?)
+    `).run(step, userId, step);
+    return claimed.changes === 1 ? { valid: true, method: 'totp' } : { valid: false };
+  }
+  if (consumeRecoveryCode(userId, code)) {
+    return { valid: true, method: 'recovery_code' };
+  }
+  return { valid: false };
+}
+
+/**
+ * Turn 2FA off and drop the secret and recovery codes (user disable or admin reset)
+ */
+function disableTwoFactor(userId) {
+  db.transaction(() => {
+    db.prepare(`
+      UPDATE users
+      SET totp_secret_encrypted = NULL, totp_pending_secret_encrypted = NULL, totp_enabled_at = NULL, totp_last_used_step = NULL
+      WHERE id = ?
+    `).run(userId);
+    db.prepare('DELETE FROM user_recovery_codes WHERE user_id = ?').run(userId);
+  })();
+}
+
+/**
+ * Throttle code attempts for a user
+ * @returns {{ allowed: boolean, retryInMs: number }}
+ */
+function takeCodeAttemptToken(userId) {
+  return takeTokens([{
+    key: `two_factor:${userId}`,
+    capacity: ATTEMPT_LIMIT.capacity,
+    ratePerSecond: ATTEMPT_LIMIT.capacity / ATTEMPT_LIMIT.windowSeconds
+  }]);
+}
+
+module.exports = {
+  PLATFORM_POLICY_KEY,
+  LOGIN_WINDOW_MS,
+  base32Encode,
+  base32Decode,
+  generateTotp,
+  getProvisioningUri,
+  isPlatformPolicyEnabled,
+  isTwoFactorRequired,
+  getTwoFactorStatus,
+  beginEnrollment,
+  confirmEnrollment,
+  verifySecondFactor,
+  createRecoveryCodes,
+  disableTwoFactor,
+  takeCodeAttemptToken
+};
@@ -152,92 +152,124 @@ function extractVariableNames(text) {
  * @returns {Promise<string>} Message ID from Meta
  */
 async function sendWhatsAppMessage(phoneNumberId, accessToken, recipientPhone, template, variables = {}, media = {}) {
-  return new Promise((resolve, reject) => {
-    const url = `${WHATSAPP_API_URL}/${phoneNumberId}/messages`;
-    const urlObj = new URL(url);
-
-    const templateName = typeof template === 'string' ? template : template?.name;
-    const bodyVars = Array.isArray(template?.body_variables) ? template.body_variables : (template?.variables || []);
-    const headerVars = Array.isArray(template?.header_variables) ? template.header_variables : [];
-    const buttons = Array.isArray(template?.buttons) ? template.buttons : [];
-    const headerType = template?.header_type || null;
-
-    const bodyParameters = bodyVars.map(v => ({
-      type: 'text',
-      text: variables[v] !== undefined ? String(variables[v]) : ''
-    })).filter(p => p.text !== undefined);
-
-    const headerParameters = headerVars.map(v => ({
-      type: 'text',
-      text: variables[v] !== undefined ? String(variables[v]) : ''
-    })).filter(p => p.text !== undefined);
-
-    const body = {
-      messaging_product: 'whatsapp',
-      to: recipientPhone.replace(/[^0-9]/g, ''), // Remove formatting from phone
-      type: 'template',
-      template: {
-        name: templateName,
-        language: {
-          code: 'en_US'
-        }
-      }
-    };
-
-    const components = [];
-    if (headerType && ['IMAGE', 'VIDEO', 'DOCUMENT'].includes(headerType)) {
-      const link = media?.header_link;
-      if (!link) {
-        return reject(new Error('Missing media link for header'));
+  const templateName = typeof template === 'string' ? template : template?.name;
+  const bodyVars = Array.isArray(template?.body_variables) ? template.body_variables : (template?.variables || []);
+  const headerVars = Array.isArray(template?.header_variables) ? template.header_variables : [];
+  const buttons = Array.isArray(template?.buttons) ? template.buttons : [];
+  const headerType = template?.header_type || null;
+
+  const bodyParameters = bodyVars.map(v => ({
+    type: 'text',
+    text: variables[v] !== undefined ? String(variables[v]) : ''
+  })).filter(p => p.text !== undefined);
+
+  const headerParameters = headerVars.map(v => ({
+    type: 'text',
+    text: variables[v] !== undefined ? String(variables[v]) : ''
+  })).filter(p => p.text !== undefined);
+
+  const body = {
+    messaging_product: 'whatsapp',
+    to: recipientPhone.replace(/[^0-9]/g, ''), // Remove formatting from phone
+    type: 'template',
+    template: {
+      name: templateName,
+      language: {
+        code: 'en_US'
       }
-      const mediaKey = headerType.toLowerCase();
-      components.push({
-        type: 'header',
-        parameters: [
-          {
-            type: mediaKey,
-            [mediaKey]: { link }
-          }
-        ]
-      });
-    } else if (headerParameters.length > 0) {
-      components.push({
-        type: 'header',
-        parameters: headerParameters
-      });
     }
-    if (bodyParameters.length > 0) {
-      components.push({
-        type: 'body',
-        parameters: bodyParameters
-      });
+  };
+
+  const components = [];
+  if (headerType && ['IMAGE', 'VIDEO', 'DOCUMENT'].includes(headerType)) {
+    const link = media?.header_link;
+    if (!link) {
+      throw new Error('Missing media link for header');
     }
-    // Button variables (URL buttons with placeholders)
-    buttons.forEach((btn, idx) => {
-      if (btn.type === 'URL' && typeof btn.url === 'string') {
-        const btnVars = extractVariableNames(btn.url);
-        if (btnVars.length > 0) {
-          const firstVar = btnVars[0];
-          const value = variables[firstVar] !== undefined ? String(variables[firstVar]) : '';
-          components.push({
-            type: 'button',
-            sub_type: 'url',
-            index: idx,
-            parameters: [
-              {
-                type: 'text',
-                text: value
-              }
-            ]
-          });
+    const mediaKey = headerType.toLowerCase();
+    components.push({
+      type: 'header',
+      parameters: [
+        {
+          type: mediaKey,
+          [mediaKey]: { link }
         }
-      }
+      ]
+    });
+  } else if (headerParameters.length > 0) {
+    components.push({
+      type: 'header',
+      parameters: headerParameters
+    });
+  }
+  if (bodyParameters.length > 0) {
+    components.push({
+      type: 'body',
+      parameters: bodyParameters
     });
+  }
+  // Button variables (URL buttons with placeholders)
+  buttons.forEach((btn, idx) => {
+    if (btn.type === 'URL' && typeof btn.url === 'string') {
+      const btnVars = extractVariableNames(btn.url);
+      if (btnVars.length > 0) {
+        const firstVar = btnVars[0];
+        const value = variables[firstVar] !== undefined ? String(variables[firstVar]) : '';
+        components.push({
+          type: 'button',
+          sub_type: 'url',
+          index: idx,
+          parameters: [
+            {
+              type: 'text',
+              text: value
+            }
+          ]
+        });
+      }
+    }
+  });
 
-    if (components.length > 0) {
-      body.template.components = components;
+  if (components.length > 0) {
+    body.template.components = components;
+  }
+
+  return postWhatsAppMessage(phoneNumberId, accessToken, body);
+}
+
+/**
+ * Send a free-form text message via Meta API
+ * Only accepted by Meta inside the 24-hour customer-service window
+ * @param {string} phoneNumberId - WhatsApp phone number ID
+ * @param {string} accessToken - Meta API access token
+ * @param {string} recipientPhone - Recipient phone number in E.164 format
+ * @param {string} text - Message text
+ * @returns {Promise<string>} Message ID from Meta
+ */
+async function sendWhatsAppText(phoneNumberId, accessToken, recipientPhone, text) {
+  return postWhatsAppMessage(phoneNumberId, accessToken, {
+    messaging_product: 'whatsapp',
+    recipient_type: 'individual',
+    to: recipientPhone.replace(/[^0-9]/g, ''),
+    type: 'text',
+    text: {
+      preview_url: false,
+      body: text
     }
+  });
+}
 
+/**
+ * POST a message payload to the Meta messages endpoint
+ * @param {string} phoneNumberId - WhatsApp phone number ID
+ * @param {string} accessToken - Meta API access token
+ * @param {Object} body - Messages API payload
+ * @returns {Promise<string>} Message ID from Meta
+ */
+function postWhatsAppMessage(phoneNumberId, accessToken, body) {
+  return new Promise((resolve, reject) => {
+    const url = `${WHATSAPP_API_URL}/${phoneNumberId}/messages`;
+    const urlObj = new URL(url);
     const jsonBody = JSON.stringify(body);
 
     const options = {
@@ -265,9 +297,14 @@ async function sendWhatsAppMessage(phoneNumberId, accessToken, recipientPhone, t
             resolve(parsed.messages[0].id);
           } else if (parsed.error) {
             const errorMsg = parsed.error.message || parsed.error.error_description || 'Unknown error';
-            reject(new Error(`WhatsApp API Error: ${errorMsg}`));
+            const err = new Error(`WhatsApp API Error: ${errorMsg}`);
+            err.code = parsed.error.code;
+            err.statusCode = res.statusCode;
+            reject(err);
           } else {
-            reject(new Error('Invalid response from WhatsApp API'));
+            const err = new Error('Invalid response from WhatsApp API');
+            err.statusCode = res.statusCode;
+            reject(err);
           }
         } catch (e) {
           reject(new Error(`Failed to parse WhatsApp API response: ${e.message}`));
@@ -288,13 +325,13 @@ async function sendWhatsAppMessage(phoneNumberId, accessToken, recipientPhone, t
  * Validate WhatsApp credentials by making a test API call
  * @param {string} phoneNumberId - WhatsApp phone number ID
  * @param {string} accessToken - Meta API access token
- * @returns {Promise<boolean>} True if valid, throws error if invalid
+ * @returns {Promise<Object>} Phone number info (id, display_phone_number, messaging_limit_tier, throughput), throws error if invalid
  */
 async function validateCredentials(phoneNumberId, accessToken) {
   return new Promise((resolve, reject) => {
     const url = `${WHATSAPP_API_URL}/${phoneNumberId}`;
     const urlObj = new URL(url);
-    urlObj.searchParams.append('fields', 'id,display_phone_number');
+    urlObj.searchParams.append('fields', 'id,display_phone_number,messaging_limit_tier,throughput');
 
     const options = {
       hostname: urlObj.hostname,
@@ -317,7 +354,7 @@ async function validateCredentials(phoneNumberId, accessToken) {
         try {
           const parsed = JSON.parse(data);
           if (res.statusCode === 200 && parsed.id) {
-            resolve(true);
+            resolve(parsed);
           } else if (parsed.error) {
             const code = parsed.error.code ? ` (${parsed.error.code})` : '';
             reject(new Error(parsed.error.message || `Invalid credentials${code}`));
@@ -549,6 +586,7 @@ function buildMetaComponents(componentsSchema) {
 module.exports = {
   fetchTemplatesFromMeta,
   sendWhatsAppMessage,
+  sendWhatsAppText,
   validateCredentials,
   createTemplateInMeta,
   deleteTemplateFromMeta,
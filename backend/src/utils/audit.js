@@ -25,7 +25,8 @@ try {
  *
  * @param {Object} options - Audit event details
  * @param {string} options.actorUserId - User ID who performed the action
- * @param {string} options.actorType - Type of actor: 'platform_user', 'tenant_user', 'system'
+ * @param {string} options.actorType - Type of actor: 'platform_user', 'tenant_user', 'system', 'api_key'
+ * @param {string} options.actorApiKeyId - Optional: API key that made the request (actorType 'api_key')
  * @param {string} options.tenantId - Optional: Tenant ID (nullable for platform-only actions)
  * @param {string} options.action - Action performed (e.g., 'user.invite', 'campaign.send')
  * @param {string} options.targetType - Optional: What was affected (e.g., 'user', 'campaign', 'tenant')
@@ -38,6 +39,7 @@ try {
 function logAudit({
   actorUserId,
   actorType = 'tenant_user',
+  actorApiKeyId = null,
   tenantId = null,
   action,
   targetType = null,
@@ -50,13 +52,14 @@ function logAudit({
   try {
     db.prepare(`
       INSERT INTO audit_logs (
-        id, actor_user_id, actor_type, tenant_id, action,
+        id, actor_user_id, actor_type, actor_api_key_id, tenant_id, action,
         target_type, target_id, metadata, ip_address
-      ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)
+      ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
     `).run(
       id,
       actorUserId,
       actorType,
+      actorApiKeyId,
       tenantId,
       action,
       targetType,
@@ -67,7 +70,7 @@ function logAudit({
 
     if (process.env.DEBUG_AUDIT === 'true') {
       console.log(`[AUDIT] ${action}:`, {
-        actor: actorUserId,
+        actor: actorApiKeyId || actorUserId,
         tenant: tenantId,
         target: targetId,
         metadata
@@ -92,7 +95,18 @@ const AUDIT_ACTIONS = {
   USER_LOGOUT: 'user.logout',
   USER_SIGNUP: 'user.signup',
   USER_PASSWORD_CHANGE: 'user.password_change',
+  USER_PASSWORD_RESET_REQUEST: 'user.password_reset_request',
   USER_PASSWORD_RESET: 'user.password_reset',
+  USER_2FA_ENABLE: 'user.2fa_enable',
+  USER_2FA_DISABLE: 'user.2fa_disable',
+  USER_2FA_RESET: 'user.2fa_reset',
+  USER_2FA_RECOVERY_CODES: 'user.2fa_recovery_codes',
+  USER_2FA_RECOVERY_USED: 'user.2fa_recovery_used',
+  USER_SESSION_REVOKE: 'user.session_revoke',
+  USER_FORCE_LOGOUT: 'user.force_logout',
+  AUTH_LOGIN_FAILED: 'auth.login_failed',
+  AUTH_LOCKED: 'auth.locked',
+  AUTH_UNLOCKED: 'auth.unlocked',
 
   // User Management
   USER_INVITE: 'user.invite',
@@ -101,6 +115,7 @@ const AUDIT_ACTIONS = {
   USER_REMOVE: 'user.remove',
   USER_DEACTIVATE: 'user.deactivate',
   USER_ACTIVATE: 'user.activate',
+  USER_SSO_PROVISION: 'user.sso_provision',
 
   // Tenant Management
   TENANT_CREATE: 'tenant.create',
@@ -114,12 +129,21 @@ const AUDIT_ACTIONS = {
   CHANNEL_DISCONNECT: 'channel.disconnect',
   CHANNEL_UPDATE: 'channel.update',
   CHANNEL_VALIDATE: 'channel.validate',
+  CHANNEL_SENDS_PAUSE: 'channel.sends_pause',
 
   // Campaign Actions
   CAMPAIGN_CREATE: 'campaign.create',
   CAMPAIGN_UPDATE: 'campaign.update',
   CAMPAIGN_SEND: 'campaign.send',
   CAMPAIGN_RESEND: 'campaign.resend',
+  CAMPAIGN_SCHEDULE: 'campaign.schedule',
+  CAMPAIGN_RESCHEDULE: 'campaign.reschedule',
+  CAMPAIGN_UNSCHEDULE: 'campaign.unschedule',
+  CAMPAIGN_SCHEDULE_FAILED: 'campaign.schedule_failed',
+  CAMPAIGN_AB_WINNER: 'campaign.ab_winner',
+  CAMPAIGN_PAUSE: 'campaign.pause',
+  CAMPAIGN_RESUME: 'campaign.resume',
+  CAMPAIGN_CANCEL: 'campaign.cancel',
   CAMPAIGN_ARCHIVE: 'campaign.archive',
   CAMPAIGN_DELETE: 'campaign.delete',
 
@@ -130,6 +154,27 @@ const AUDIT_ACTIONS = {
   CONTACT_IMPORT: 'contact.import',
   CONTACT_EXPORT: 'contact.export',
   CONTACT_DELETE_BULK: 'contact.delete_bulk',
+  CONTACT_OPT_OUT: 'contact.opt_out',
+  CONTACT_ATTRIBUTE_CREATE: 'contact_attribute.create',
+  CONTACT_ATTRIBUTE_UPDATE: 'contact_attribute.update',
+  CONTACT_ATTRIBUTE_DELETE: 'contact_attribute.delete',
+
+  // Segment Management
+  SEGMENT_CREATE: 'segment.create',
+  SEGMENT_UPDATE: 'segment.update',
+  SEGMENT_DELETE: 'segment.delete',
+
+  // Journey Management
+  JOURNEY_CREATE: 'journey.create',
+  JOURNEY_UPDATE: 'journey.update',
+  JOURNEY_ACTIVATE: 'journey.activate',
+  JOURNEY_PAUSE: 'journey.pause',
+  JOURNEY_ARCHIVE: 'journey.archive',
+  JOURNEY_ENROLLMENT_EXIT: 'journey.enrollment_exit',
+
+  // Inbox Actions
+  CONVERSATION_ASSIGN: 'conversation.assign',
+  CONVERSATION_STATUS_CHANGE: 'conversation.status_change',
 
   // Template Actions
   TEMPLATE_SYNC: 'template.sync',
@@ -139,9 +184,23 @@ const AUDIT_ACTIONS = {
   WEBHOOK_CREATE: 'webhook.create',
   WEBHOOK_UPDATE: 'webhook.update',
   WEBHOOK_DELETE: 'webhook.delete',
+  WEBHOOK_ROTATE_SECRET: 'webhook.rotate_secret',
+  WEBHOOK_DISABLE: 'webhook.disable',
+  WEBHOOK_REPLAY: 'webhook.replay',
   API_KEY_CREATE: 'api_key.create',
   API_KEY_ROTATE: 'api_key.rotate',
   API_KEY_DELETE: 'api_key.delete',
+  API_KEY_REVOKE: 'api_key.revoke',
+  API_REQUEST: 'api.request',
+
+  // Sender Domains
+  SENDER_DOMAIN_CREATE: 'sender_domain.create',
+  SENDER_DOMAIN_VERIFY: 'sender_domain.verify',
+  SENDER_DOMAIN_DELETE: 'sender_domain.delete',
+
+  // Single Sign-On
+  SSO_CONFIG_UPDATE: 'sso.config_update',
+  SSO_CONFIG_DELETE: 'sso.config_delete',
 
   // Platform Admin Actions
   PLAN_CHANGE: 'plan.change',
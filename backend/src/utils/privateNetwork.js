@@ -0,0 +1,103 @@
+/**
+ * Private Network Guard
+ * Hosts that tenants supply (webhook URLs, SMTP servers, SSO identity providers) must not reach loopback, private,
+ * link-local (cloud metadata) or other internal addresses. Hosts are checked when they are
+ * saved and again where the connection is made: lookupPublic is passed as the socket's DNS
+ * lookup, so a name that resolves somewhere else later (DNS rebinding) is still refused.
+ *
+ * ALLOW_PRIVATE_NETWORK_TARGETS=true turns the check off, for local development against
+ * services on this machine or the LAN and for the integration tests. Never set it in production.
+ */
+
+const dns = require('dns');
+const net = require('net');
+
+const BLOCKED_SUBNETS = [
+  ['0.0.0.0', 8, 'ipv4'], // "this" network
+  ['10.0.0.0', 8, 'ipv4'],
+  ['100.64.0.0', 10, 'ipv4'], // carrier-grade NAT
+  ['127.0.0.0', 8, 'ipv4'],
+  ['169.254.0.0', 16, 'ipv4'], // link-local, including cloud metadata
+  ['172.16.0.0', 12, 'ipv4'],
+  ['192.0.0.0', 24, 'ipv4'],
+  ['192.168.0.0', 16, 'ipv4'],
+  ['198.18.0.0', 15, 'ipv4'], // benchmarking
+  ['224.0.0.0', 3, 'ipv4'], // multicast and reserved
+  ['::', 128, 'ipv6'],
+  ['::1', 128, 'ipv6'],
+  ['64:ff9b::', 96, 'ipv6'], // NAT64 (embeds an IPv4 address)
+  ['fc00::', 7, 'ipv6'], // unique local
+  ['fe80::', 10, 'ipv6'],
+  ['ff00::', 8, 'ipv6']
+];
+
+const blockList = new net.BlockList();
+BLOCKED_SUBNETS.forEach(([network, prefix, type]) => blockList.addSubnet(network, prefix, type));
+
+class PrivateAddressError extends Error {
+  constructor(hostname) {
+    super(`${hostname} is a private or internal address`);
+    this.name = 'PrivateAddressError';
+    this.code = 'EPRIVATEADDRESS';
+  }
+}
+
+const privateTargetsAllowed = () => process.env.ALLOW_PRIVATE_NETWORK_TARGETS === 'true';
+
+/**
+ * Whether an IP address is loopback, private, link-local or otherwise not on the public internet
+ * @param {string} address - IPv4 or IPv6 address
+ */
+function isPrivateAddress(address) {
+  const type = net.isIP(address);
+  if (!type) return true;
+  // IPv4-mapped IPv6 (::ffff:127.0.0.1) is checked as the IPv4 address
+  const mapped = type === 6 && address.match(/^::ffff:(\d+\.\d+\.\d+\.\d+)$/i);
+  if (mapped) return blockList.check(mapped[1], 'ipv4');
+  return blockList.check(address, type === 4 ? 'ipv4' : 'ipv6');
+}
+
+// URL hostnames keep IPv6 addresses in brackets
+const stripBrackets = (hostname) => String(hostname || '').replace(/^\[(.*)\]$/, '$1');
+
+/**
+ * Drop-in for dns.lookup that fails when the name resolves to a private address
+ */
+function lookupPublic(hostname, options, callback) {
+  if (typeof options === 'function') {
+    callback = options;
+    options = {};
+  }
+  dns.lookup(hostname, options, (error, address, family) => {
+    if (error || privateTargetsAllowed()) return callback(error, address, family);
+    const addresses = Array.isArray(address) ? address.map(entry => entry.address) : [address];
+    if (addresses.some(isPrivateAddress)) {
+      return callback(new PrivateAddressError(hostname));
+    }
+    callback(null, address, family);
+  });
+}
+
+/**
+ * Resolve a host and make sure every address it has is public
+ * @param {string} hostname - Host name or IP literal
+ * @throws {PrivateAddressError} When it is (or resolves to) a private address
+ * @throws {Error} When the name doesn't resolve
+ */
+async function assertPublicHost(hostname) {
+  if (privateTargetsAllowed()) return;
+  const host = stripBrackets(hostname);
+  const addresses = net.isIP(host)
+    ? [host]
+    : (await dns.promises.lookup(host, { all: true })).map(entry => entry.address);
+  if (addresses.some(isPrivateAddress)) {
+    throw new PrivateAddressError(host);
+  }
+}
+
+module.exports = {
+  PrivateAddressError,
+  isPrivateAddress,
+  lookupPublic,
+  assertPublicHost
+};
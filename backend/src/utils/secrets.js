@@ -0,0 +1,59 @@
+/**
+ * Secret Encryption
+ * Encrypts secrets kept in the database (signing secrets, private keys, client secrets)
+ * with AES-256-GCM under a key derived from ENCRYPTION_KEY.
+ * Every value gets a random IV and an auth tag, so equal secrets don't produce equal
+ * ciphertexts and tampered values fail to decrypt.
+ *
+ * Stored format: `v2:<iv hex>:<auth tag hex>:<ciphertext hex>`. Values without the
+ * prefix were written by the older aes-192-cbc scheme (also used for channel credentials
+ * in settings.js) and are still readable; anything written from now on uses the new format.
+ */
+
+const crypto = require('crypto');
+
+const VERSION_PREFIX = 'v2:';
+const IV_BYTES = 12;
+
+const encryptionKey = () => process.env.ENCRYPTION_KEY || 'default-dev-key-change-in-production';
+const deriveKey = () => crypto.createHash('sha256').update(encryptionKey()).digest();
+
+/**
+ * Encrypt a secret for storage
+ * @param {string} plaintext - Secret to store
+ * @returns {string} Versioned ciphertext
+ */
+function encryptSecret(plaintext) {
+  const iv = crypto.randomBytes(IV_BYTES);
+  const cipher = crypto.createCipheriv('aes-256-gcm', deriveKey(), iv);
+  const encrypted = Buffer.concat([cipher.update(String(plaintext), 'utf8'), cipher.final()]);
+  return `${VERSION_PREFIX}${iv.toString('hex')}:${cipher.getAuthTag().toString('hex')}:${encrypted.toString('hex')}`;
+}
+
+// aes-192-cbc with a zero IV, read-only
+function decryptLegacy(encrypted) {
+  const key = deriveKey().subarray(0, 24);
+  const decipher = crypto.createDecipheriv('aes-192-cbc', key, Buffer.alloc(16, 0));
+  return decipher.update(encrypted, 'hex', 'utf8') + decipher.final('utf8');
+}
+
+/**
+ * Decrypt a stored secret, in either the current or the legacy format
+ * @param {string} stored - Value from encryptSecret (or the legacy scheme)
+ * @returns {string} Plaintext
+ * @throws {Error} When the value was tampered with or ENCRYPTION_KEY changed
+ */
+function decryptSecret(stored) {
+  if (!String(stored).startsWith(VERSION_PREFIX)) {
+    return decryptLegacy(stored);
+  }
+  const [ivHex, tagHex, encryptedHex] = stored.slice(VERSION_PREFIX.length).split(':');
+  const decipher = crypto.createDecipheriv('aes-256-gcm', deriveKey(), Buffer.from(ivHex, 'hex'));
+  decipher.setAuthTag(Buffer.from(tagHex, 'hex'));
+  return Buffer.concat([decipher.update(Buffer.from(encryptedHex, 'hex')), decipher.final()]).toString('utf8');
+}
+
+module.exports = {
+  encryptSecret,
+  decryptSecret
+};
@@ -0,0 +1,171 @@
+/**
+ * Session Utilities
+ * Helpers over the express-session store for server-side session management
+ */
+
+const crypto = require('crypto');
+
+// lastSeenAt is only refreshed this often so an active session isn't re-saved on every request
+const LAST_SEEN_RESOLUTION_MS = 60 * 1000;
+
+const BROWSERS = [
+  ['Edge', /Edg\//],
+  ['Opera', /OPR\//],
+  ['Chrome', /Chrome\//],
+  ['Firefox', /Firefox\//],
+  ['Safari', /Safari\//]
+];
+
+const PLATFORMS = [
+  ['iOS', /iPhone|iPad/],
+  ['Android', /Android/],
+  ['Windows', /Windows/],
+  ['macOS', /Mac OS X/],
+  ['Linux', /Linux/]
+];
+
+/**
+ * Short readable device label from a User-Agent header, e.g. "Chrome on macOS"
+ */
+function describeDevice(userAgent) {
+  if (!userAgent) return 'Unknown device';
+  const browser = BROWSERS.find(([, pattern]) => pattern.test(userAgent))?.[0];
+  const platform = PLATFORMS.find(([, pattern]) => pattern.test(userAgent))?.[0];
+  if (browser && platform) return `${browser} on ${platform}`;
+  return browser || platform || 'Unknown device';
+}
+
+/**
+ * Id shown to users for a session. The real session id never leaves the server.
+ */
+function publicSessionId(sessionId) {
+  return crypto.createHash('sha256').update(String(sessionId)).digest('hex').slice(0, 24);
+}
+
+/**
+ * Record the IP, browser and time a signed-in session was last used.
+ * Fields are only assigned when they change, so express-session saves the session
+ * just when there is something new to store.
+ * @param {Object} req - Express request with a session
+ */
+function recordSessionActivity(req) {
+  const session = req.session;
+  if (!session?.userId) return;
+
+  const now = Date.now();
+  const userAgent = req.get('user-agent') || null;
+  if (!session.createdAt) session.createdAt = now;
+  if (session.ipAddress !== req.ip) session.ipAddress = req.ip;
+  if (session.userAgent !== userAgent) session.userAgent = userAgent;
+  if (!session.lastSeenAt || now - session.lastSeenAt >= LAST_SEEN_RESOLUTION_MS) {
+    session.lastSeenAt = now;
+  }
+}
+
+/**
+ * Load every stored session as [sessionId, session] pairs
+ * @param {Object} store - express-session store (req.sessionStore); needs all()
+ * @returns {Promise<Array>}
+ */
+function loadSessions(store) {
+  return new Promise((resolve, reject) => {
+    if (!store || typeof store.all !== 'function') {
+      return resolve([]);
+    }
+    store.all((err, sessions) => {
+      if (err) return reject(err);
+
+      // MemoryStore returns { sid: session }; other stores return an array with ids
+      const entries = Array.isArray(sessions)
+        ? sessions.map(session => [session.id || session.sid, session])
+        : Object.entries(sessions || {});
+      resolve(entries.filter(([sid, session]) => sid && session));
+    });
+  });
+}
+
+/**
+ * Destroy every stored session matching a predicate
+ * @param {Object} store - express-session store (req.sessionStore); needs all() and destroy()
+ * @param {Function} predicate - (session, sessionId) => boolean
+ * @returns {Promise<number>} Number of sessions destroyed
+ */
+async function destroySessions(store, predicate) {
+  const sessionIds = (await loadSessions(store))
+    .filter(([sid, session]) => predicate(session, sid))
+    .map(([sid]) => sid);
+
+  await Promise.all(sessionIds.map(sid => new Promise((done, fail) => {
+    store.destroy(sid, destroyErr => (destroyErr ? fail(destroyErr) : done()));
+  })));
+  return sessionIds.length;
+}
+
+/**
+ * Destroy every stored session belonging to a user
+ * @param {Object} store - express-session store (req.sessionStore); needs all() and destroy()
+ * @param {string} userId - User whose sessions are ended
+ * @param {string} exceptSessionId - Optional: session to keep (usually the caller's own)
+ * @returns {Promise<number>} Number of sessions destroyed
+ */
+function destroyUserSessions(store, userId, exceptSessionId = null) {
+  return destroySessions(store, (session, sid) => sid !== exceptSessionId && session.userId === userId);
+}
+
+/**
+ * Destroy a user's sessions that are working in a tenant (after they leave it)
+ * @param {Object} store - express-session store (req.sessionStore); needs all() and destroy()
+ * @param {string} userId - User removed from the tenant
+ * @param {string} tenantId - Tenant they were removed from
+ * @returns {Promise<number>} Number of sessions destroyed
+ */
+function destroyUserTenantSessions(store, userId, tenantId) {
+  return destroySessions(store, session => session.userId === userId && session.activeTenantId === tenantId);
+}
+
+/**
+ * A user's signed-in sessions, most recently used first
+ * @param {Object} store - express-session store (req.sessionStore); needs all()
+ * @param {string} userId - Session owner
+ * @param {string} currentSessionId - Optional: the caller's session, flagged as current
+ * @returns {Promise<Array>} Sessions with public id, device, IP and timestamps
+ */
+async function listUserSessions(store, userId, currentSessionId = null) {
+  const toIso = (ms) => (ms ? new Date(ms).toISOString() : null);
+
+  return (await loadSessions(store))
+    .filter(([, session]) => session.userId === userId)
+    .map(([sid, session]) => ({
+      id: publicSessionId(sid),
+      device: describeDevice(session.userAgent),
+      user_agent: session.userAgent || null,
+      ip_address: session.ipAddress || null,
+      active_tenant_id: session.activeTenantId || null,
+      created_at: toIso(session.createdAt),
+      last_seen_at: toIso(session.lastSeenAt),
+      current: sid === currentSessionId
+    }))
+    .sort((a, b) => (b.current - a.current) || (b.last_seen_at || '').localeCompare(a.last_seen_at || ''));
+}
+
+/**
+ * Destroy one of a user's sessions by the public id from listUserSessions
+ * @returns {Promise<boolean>} Whether a session was found and destroyed
+ */
+async function destroyUserSession(store, userId, publicId) {
+  const destroyed = await destroySessions(
+    store,
+    (session, sid) => session.userId === userId && publicSessionId(sid) === publicId
+  );
+  return destroyed > 0;
+}
+
+module.exports = {
+  publicSessionId,
+  recordSessionActivity,
+  destroySessions,
+  destroyUserSessions,
+  destroyUserSession,
+  destroyUserTenantSessions,
+  listUserSessions
+};
@@ -0,0 +1,110 @@
+/**
+ * Timezone Utilities
+ * Converts tenant wall-clock times to UTC using the IANA timezone database bundled with Node
+ */
+
+const LOCAL_DATETIME_PATTERN = /^(\d{4})-(\d{2})-(\d{2})T(\d{2}):(\d{2})(?::(\d{2}))?$/;
+
+/**
+ * Check whether a string is a timezone Intl understands
+ * @param {string} timeZone - IANA timezone name (e.g. 'America/New_York')
+ * @returns {boolean}
+ */
+function isValidTimeZone(timeZone) {
+  if (!timeZone || typeof timeZone !== 'string') return false;
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone });
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * Offset of a timezone from UTC at a given instant, in milliseconds
+ * @param {Date} date - Instant to evaluate
+ * @param {string} timeZone - IANA timezone name
+ * @returns {number}
+ */
+function getTimeZoneOffsetMs(date, timeZone) {
+  const parts = new Intl.DateTimeFormat('en-US', {
+    timeZone,
+    hourCycle: 'h23',
+    year: 'numeric',
+    month: '2-digit',
+    day: '2-digit',
+    hour: '2-digit',
+    minute: '2-digit',
+    second: '2-digit'
+  }).formatToParts(date);
+
+  const values = {};
+  parts.forEach(part => {
+    values[part.type] = part.value;
+  });
+
+  const wallClockAsUtc = Date.UTC(
+    Number(values.year),
+    Number(values.month) - 1,
+    Number(values.day),
+    Number(values.hour),
+    Number(values.minute),
+    Number(values.second)
+  );
+
+  return wallClockAsUtc - Math.floor(date.getTime() / 1000) * 1000;
+}
+
+/**
+ * Convert a wall-clock time in a timezone to a UTC Date
+ * @param {string} localDateTime - 'YYYY-MM-DDTHH:mm' or 'YYYY-MM-DDTHH:mm:ss' (no offset)
+ * @param {string} timeZone - IANA timezone name
+ * @returns {Date|null} UTC instant, or null if the input is malformed
+ */
+function zonedTimeToUtc(localDateTime, timeZone) {
+  const match = LOCAL_DATETIME_PATTERN.exec(localDateTime || '');
+  if (!match) return null;
+
+  const [, year, month, day, hour, minute, second] = match;
+  const wallClockAsUtc = Date.UTC(
+    Number(year),
+    Number(month) - 1,
+    Number(day),
+    Number(hour),
+    Number(minute),
+    Number(second || 0)
+  );
+
+  // Resolve twice so times next to a DST transition pick up the offset in effect at that moment
+  let utcMs = wallClockAsUtc - getTimeZoneOffsetMs(new Date(wallClockAsUtc), timeZone);
+  utcMs = wallClockAsUtc - getTimeZoneOffsetMs(new Date(utcMs), timeZone);
+
+  return new Date(utcMs);
+}
+
+/**
+ * Parse a schedule time supplied by a client
+ * Absolute timestamps (with 'Z' or an offset) are used as-is; wall-clock values are
+ * interpreted in the given timezone.
+ *
+ * @param {string} value - ISO timestamp or local 'YYYY-MM-DDTHH:mm'
+ * @param {string} timeZone - IANA timezone for wall-clock values (defaults to UTC)
+ * @returns {Date|null}
+ */
+function parseScheduleTime(value, timeZone) {
+  if (!value || typeof value !== 'string') return null;
+
+  if (LOCAL_DATETIME_PATTERN.test(value)) {
+    return zonedTimeToUtc(value, isValidTimeZone(timeZone) ? timeZone : 'UTC');
+  }
+
+  const parsed = new Date(value);
+  return Number.isNaN(parsed.getTime()) ? null : parsed;
+}
+
+module.exports = {
+  isValidTimeZone,
+  getTimeZoneOffsetMs,
+  zonedTimeToUtc,
+  parseScheduleTime
+};
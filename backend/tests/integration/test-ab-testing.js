@@ -0,0 +1,275 @@
+/**
+ * Integration test: campaign A/B tests
+ * Variant validation, test slice assignment on send, winner selection by open rate
+ * and the winner's rollout to the rest of the audience
+ */
+const http = require('http');
+const crypto = require('crypto');
+const { spawn } = require('child_process');
+const path = require('path');
+const db = require('../../src/db');
+const { createSenderDomain } = require('../../src/services/senderDomains');
+
+const TEST_PORT = process.env.TEST_PORT || '5069';
+const BASE_URL = `http://localhost:${TEST_PORT}`;
+
+const OWNER_EMAIL = 'admin@engageninja.local';
+const OWNER_PASSWORD = 'AdminPassword123';
+
+const AUDIENCE_SIZE = 10;
+
+const makeRequest = (method, pathUrl, body = null, cookies = '') => {
+  return new Promise((resolve, reject) => {
+    const url = new URL(pathUrl, BASE_URL);
+    const options = {
+      method,
+      hostname: url.hostname,
+      port: url.port,
+      path: url.pathname + url.search,
+      headers: {
+        'Content-Type': 'application/json',
+        ...(cookies ? { Cookie: cookies } : {})
+      }
+    };
+    const req = http.request(options, (res) => {
+      let data = '';
+      res.on('data', chunk => data += chunk);
+      res.on('end', () => {
+        let parsed = data;
+        try { parsed = JSON.parse(data); } catch {}
+        resolve({ status: res.statusCode, data: parsed, headers: res.headers });
+      });
+    });
+    req.on('error', reject);
+    if (body) req.write(JSON.stringify(body));
+    req.end();
+  });
+};
+
+const login = async (email, password) => {
+  const res = await makeRequest('POST', '/api/auth/login', { email, password });
+  if (res.status !== 200) {
+    throw new Error(`Login failed for ${email}`);
+  }
+  const cookies = res.headers['set-cookie']?.map(c => c.split(';')[0]).join('; ');
+  return { cookies, body: res.data };
+};
+
+const wait = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+// Email sends need a verified sender domain; returns a function that undoes this
+const ensureVerifiedSenderDomain = (tenantId, senderEmail) => {
+  const domain = senderEmail.split('@')[1].toLowerCase();
+  const existing = db.prepare('SELECT id, status FROM sender_domains WHERE tenant_id = ? AND domain = ?').get(tenantId, domain);
+  const id = existing ? existing.id : createSenderDomain(tenantId, domain).domain.id;
+  db.prepare("UPDATE sender_domains SET status = 'verified' WHERE id = ?").run(id);
+  return () => {
+    if (existing) {
+      db.prepare('UPDATE sender_domains SET status = ? WHERE id = ?').run(existing.status, id);
+    } else {
+      db.prepare('DELETE FROM sender_domains WHERE id = ?').run(id);
+    }
+  };
+};
+
+const emailVariant = (subject) => ({
+  message_content: { subject, htmlBody: `<p>${subject}</p>`, textBody: subject }
+});
+
+// Connected email channel on a plan that can send, plus a tagged audience only this test targets
+const ensureFixtures = (tenantId) => {
+  const channel = db.prepare(`
+    SELECT id, is_connected, verified_sender_email FROM tenant_channel_settings WHERE tenant_id = ? AND channel = 'email'
+  `).get(tenantId);
+  if (!channel) {
+    throw new Error('Seeded email channel not found; run npm run db:seed');
+  }
+  db.prepare('UPDATE tenant_channel_settings SET is_connected = 1 WHERE id = ?').run(channel.id);
+  const restoreSenderDomain = ensureVerifiedSenderDomain(tenantId, channel.verified_sender_email);
+
+  // The free plan sends without an active subscription
+  const tenant = db.prepare('SELECT plan_id FROM tenants WHERE id = ?').get(tenantId);
+  db.prepare("UPDATE tenants SET plan_id = 'free' WHERE id = ?").run(tenantId);
+
+  const now = new Date();
+  const yearMonth = `${now.getFullYear()}-${String(now.getMonth() + 1).padStart(2, '0')}`;
+  const usage = db.prepare('SELECT email_messages_sent FROM usage_counters WHERE tenant_id = ? AND year_month = ?').get(tenantId, yearMonth);
+
+  const tagId = crypto.randomUUID();
+  db.prepare('INSERT INTO tags (id, tenant_id, name) VALUES (?, ?, ?)').run(tagId, tenantId, `ab-test-${Date.now()}`);
+
+  const contactIds = [];
+  for (let i = 0; i < AUDIENCE_SIZE; i++) {
+    const contactId = crypto.randomUUID();
+    contactIds.push(contactId);
+    db.prepare(`
+      INSERT INTO contacts (id, tenant_id, email, name, consent_email, consent_source)
+      VALUES (?, ?, ?, ?, 1, 'manual')
+    `).run(contactId, tenantId, `ab-test-${i}-${tagId.slice(0, 8)}@example.com`, `A/B Test Contact ${i}`);
+    db.prepare('INSERT INTO contact_tags (contact_id, tag_id) VALUES (?, ?)').run(contactId, tagId);
+  }
+
+  const campaignIds = [];
+
+  return {
+    tagId,
+    campaignIds,
+    restore: () => {
+      db.prepare('UPDATE tenant_channel_settings SET is_connected = ? WHERE id = ?').run(channel.is_connected, channel.id);
+      restoreSenderDomain();
+      db.prepare('UPDATE tenants SET plan_id = ? WHERE id = ?').run(tenant.plan_id, tenantId);
+      if (usage) {
+        db.prepare('UPDATE usage_counters SET email_messages_sent = ? WHERE tenant_id = ? AND year_month = ?').run(usage.email_messages_sent, tenantId, yearMonth);
+      } else {
+        db.prepare('DELETE FROM usage_counters WHERE tenant_id = ? AND year_month = ?').run(tenantId, yearMonth);
+      }
+      for (const campaignId of campaignIds) {
+        db.prepare('DELETE FROM messages WHERE campaign_id = ?').run(campaignId);
+        db.prepare('DELETE FROM campaigns WHERE id = ?').run(campaignId);
+      }
+      for (const contactId of contactIds) {
+        db.prepare('DELETE FROM contact_tags WHERE contact_id = ?').run(contactId);
+        db.prepare('DELETE FROM contacts WHERE id = ?').run(contactId);
+      }
+      db.prepare('DELETE FROM tags WHERE id = ?').run(tagId);
+    }
+  };
+};
+
+async function run() {
+  console.log('🧪 Testing campaign A/B tests\n');
+  const server = spawn('node', ['src/index.js'], {
+    cwd: path.join(__dirname, '../..'),
+    env: { ...process.env, BACKEND_PORT: TEST_PORT, NODE_ENV: 'test', CAMPAIGN_SCHEDULER_INTERVAL_MS: '500' },
+    stdio: ['ignore', 'pipe', 'pipe']
+  });
+
+  await new Promise((resolve, reject) => {
+    const timeout = setTimeout(() => reject(new Error('Server did not start in time')), 8000);
+    server.stdout.on('data', (data) => {
+      if (data.toString().includes(`http://localhost:${TEST_PORT}`)) {
+        clearTimeout(timeout);
+        resolve();
+      }
+    });
+    server.on('exit', (code) => reject(new Error(`Server exited early with code ${code}`)));
+  });
+
+  let fixtures = null;
+  try {
+    const { cookies, body: loginBody } = await login(OWNER_EMAIL, OWNER_PASSWORD);
+    const tenantId = loginBody.active_tenant_id || loginBody.tenants?.[0]?.tenant_id;
+    fixtures = ensureFixtures(tenantId);
+
+    const baseCampaign = {
+      name: `A/B Test ${Date.now()}`,
+      channel: 'email',
+      subject: 'Subject A',
+      message_content: { htmlBody: '<p>Subject A</p>', textBody: 'Subject A' },
+      audience_filters: { tags: [fixtures.tagId] }
+    };
+
+    // One variant is not a test
+    const tooFewRes = await makeRequest('POST', '/api/campaigns', {
+      ...baseCampaign,
+      ab_test: { test_percentage: 50, wait_minutes: 60, variants: [emailVariant('Subject A')] }
+    }, cookies);
+    if (tooFewRes.status !== 400) {
+      throw new Error('A/B test with a single variant should be rejected');
+    }
+
+    // Variants need complete content
+    const missingSubjectRes = await makeRequest('POST', '/api/campaigns', {
+      ...baseCampaign,
+      ab_test: { test_percentage: 50, wait_minutes: 60, variants: [emailVariant('Subject A'), { message_content: { htmlBody: '<p>B</p>' } }] }
+    }, cookies);
+    if (missingSubjectRes.status !== 400 || !/Variant B/.test(missingSubjectRes.data?.message)) {
+      throw new Error(`Variant without a subject should be rejected: ${JSON.stringify(missingSubjectRes.data)}`);
+    }
+
+    const createRes = await makeRequest('POST', '/api/campaigns', {
+      ...baseCampaign,
+      ab_test: { test_percentage: 40, wait_minutes: 60, variants: [emailVariant('Subject A'), emailVariant('Subject B')] }
+    }, cookies);
+    if (createRes.status !== 201) {
+      throw new Error(`Create with A/B test failed: ${JSON.stringify(createRes.data)}`);
+    }
+    const campaignId = createRes.data.data.id;
+    fixtures.campaignIds.push(campaignId);
+
+    const detailRes = await makeRequest('GET', `/api/campaigns/${campaignId}`, null, cookies);
+    const abTest = detailRes.data?.data?.ab_test;
+    if (!abTest || abTest.variants.length !== 2 || abTest.test_percentage !== 40 || abTest.status !== 'draft') {
+      throw new Error(`Campaign detail missing A/B test: ${JSON.stringify(detailRes.data?.data?.ab_test)}`);
+    }
+    const [variantA, variantB] = abTest.variants;
+
+    // Duplicates keep the test
+    const duplicateRes = await makeRequest('POST', `/api/campaigns/${campaignId}/duplicate`, {}, cookies);
+    fixtures.campaignIds.push(duplicateRes.data?.data?.id);
+    const duplicateDetail = await makeRequest('GET', `/api/campaigns/${duplicateRes.data?.data?.id}`, null, cookies);
+    if (duplicateDetail.data?.data?.ab_test?.variants?.length !== 2) {
+      throw new Error('Duplicated campaign should keep its A/B test variants');
+    }
+
+    // Send queues only the test slice, split evenly across variants
+    const sendRes = await makeRequest('POST', `/api/campaigns/${campaignId}/send`, null, cookies);
+    if (sendRes.status !== 200) {
+      throw new Error(`Send failed: ${JSON.stringify(sendRes.data)}`);
+    }
+    const testCount = Math.ceil(AUDIENCE_SIZE * 40 / 100);
+    if (sendRes.data.data.ab_test?.test_count !== testCount || sendRes.data.data.message_ids.length !== testCount) {
+      throw new Error(`Expected ${testCount} test messages: ${JSON.stringify(sendRes.data.data.ab_test)}`);
+    }
+    const testMessages = db.prepare('SELECT id, variant_id FROM messages WHERE campaign_id = ?').all(campaignId);
+    const bMessages = testMessages.filter(m => m.variant_id === variantB.id);
+    if (bMessages.length !== testCount / 2 || testMessages.filter(m => m.variant_id === variantA.id).length !== testCount / 2) {
+      throw new Error('Test slice was not split evenly across variants');
+    }
+
+    // Variant B gets the opens; make the winner due
+    const openedAt = new Date().toISOString();
+    for (const message of bMessages) {
+      db.prepare('UPDATE messages SET read_at = ? WHERE id = ?').run(openedAt, message.id);
+    }
+    db.prepare('UPDATE campaigns SET ab_winner_due_at = ? WHERE id = ?').run(new Date(Date.now() - 1000).toISOString(), campaignId);
+
+    await wait(2000);
+
+    const metricsRes = await makeRequest('GET', `/api/campaigns/${campaignId}/metrics`, null, cookies);
+    const { ab_test: finishedTest, variants } = metricsRes.data || {};
+    if (finishedTest?.status !== 'completed' || finishedTest.winner_variant_id !== variantB.id) {
+      throw new Error(`Variant B should have won: ${JSON.stringify(finishedTest)}`);
+    }
+    const winnerMetrics = variants?.find(v => v.is_winner);
+    if (winnerMetrics?.label !== 'B' || winnerMetrics.read_rate !== 100 || winnerMetrics.total !== testCount / 2) {
+      throw new Error(`Variant metrics should cover the test slice only: ${JSON.stringify(variants)}`);
+    }
+
+    // The rest of the audience got the winner
+    const rollout = db.prepare(`
+      SELECT COUNT(*) as count FROM messages WHERE campaign_id = ? AND variant_id = ? AND created_at >= ?
+    `).get(campaignId, variantB.id, finishedTest.winner_selected_at);
+    if (rollout.count !== AUDIENCE_SIZE - testCount) {
+      throw new Error(`Expected ${AUDIENCE_SIZE - testCount} winner messages, got ${rollout.count}`);
+    }
+    const total = db.prepare('SELECT COUNT(DISTINCT contact_id) as count FROM messages WHERE campaign_id = ?').get(campaignId);
+    if (total.count !== AUDIENCE_SIZE) {
+      throw new Error('Every contact should be messaged exactly once');
+    }
+    const campaign = db.prepare('SELECT message_content FROM campaigns WHERE id = ?').get(campaignId);
+    if (JSON.parse(campaign.message_content).subject !== 'Subject B') {
+      throw new Error('Campaign content should switch to the winning variant');
+    }
+
+    console.log('✅ Campaign A/B tests verified');
+  } catch (err) {
+    console.error('❌ Test failed:', err.message);
+    process.exitCode = 1;
+  } finally {
+    if (fixtures) fixtures.restore();
+    server.kill('SIGINT');
+  }
+}
+
+run();
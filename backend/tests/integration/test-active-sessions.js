@@ -0,0 +1,197 @@
+/**
+ * Integration test: server-side sessions
+ * Sessions are kept in SQLite and survive a restart; users list their sessions (device,
+ * IP, last seen) and sign out one or all others; platform admins force a logout; and
+ * deactivating a user or removing them from a tenant ends their sessions.
+ */
+const http = require('http');
+const crypto = require('crypto');
+const { spawn } = require('child_process');
+const path = require('path');
+const bcrypt = require('bcrypt');
+const db = require('../../src/db');
+
+const TEST_PORT = process.env.TEST_PORT || '5084';
+const BASE_URL = `http://localhost:${TEST_PORT}`;
+
+const TENANT_OWNER_EMAIL = 'admin@engageninja.local';
+const PLATFORM_ADMIN_EMAIL = 'platform.admin@engageninja.local';
+const PLATFORM_ADMIN_PASSWORD = 'PlatformAdminPassword123';
+const PASSWORD = 'SessionsPassword123';
+
+const LAPTOP = 'Mozilla/5.0 (Macintosh; Intel Mac OS X 14_5) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/126.0 Safari/537.36';
+const PHONE = 'Mozilla/5.0 (iPhone; CPU iPhone OS 17_5 like Mac OS X) AppleWebKit/605.1.15 (KHTML, like Gecko) Version/17.5 Mobile/15E148 Safari/604.1';
+const TABLET = 'Mozilla/5.0 (Linux; Android 14) AppleWebKit/537.36 (KHTML, like Gecko) Firefox/127.0';
+
+const makeRequest = (method, pathUrl, body = null, cookies = '', userAgent = LAPTOP) => {
+  return new Promise((resolve, reject) => {
+    const url = new URL(pathUrl, BASE_URL);
+    const options = {
+      method,
+      hostname: url.hostname,
+      port: url.port,
+      path: url.pathname + url.search,
+      headers: {
+        'Content-Type': 'application/json',
+        'User-Agent': userAgent,
+        ...(cookies ? { Cookie: cookies } : {})
+      }
+    };
+    const req = http.request(options, (res) => {
+      let data = '';
+      res.on('data', chunk => data += chunk);
+      res.on('end', () => {
+        let parsed = data;
+        try { parsed = JSON.parse(data); } catch {}
+        resolve({ status: res.statusCode, data: parsed, headers: res.headers });
+      });
+    });
+    req.on('error', reject);
+    if (body) req.write(JSON.stringify(body));
+    req.end();
+  });
+};
+
+const createdSessionIds = [];
+
+const login = async (email, password, userAgent = LAPTOP) => {
+  const res = await makeRequest('POST', '/api/auth/login', { email, password }, '', userAgent);
+  const cookie = (res.headers['set-cookie'] || []).map(c => c.split(';')[0]).join('; ');
+  if (res.status !== 200 || !cookie) {
+    throw new Error(`Login failed for ${email}: ${res.status} ${JSON.stringify(res.data)}`);
+  }
+  // connect.sid=s%3A<sid>.<signature>
+  createdSessionIds.push(decodeURIComponent(cookie.split('=')[1]).slice(2).replace(/\.[^.]+$/, ''));
+  return cookie;
+};
+
+const isSignedIn = async (cookie) => (await makeRequest('GET', '/api/auth/me', null, cookie)).status === 200;
+
+const startServer = async () => {
+  const server = spawn('node', ['src/index.js'], {
+    cwd: path.join(__dirname, '../..'),
+    env: { ...process.env, BACKEND_PORT: TEST_PORT, NODE_ENV: 'test' },
+    stdio: ['ignore', 'pipe', 'pipe']
+  });
+
+  await new Promise((resolve, reject) => {
+    const timeout = setTimeout(() => reject(new Error('Server did not start in time')), 8000);
+    server.stdout.on('data', (data) => {
+      if (data.toString().includes(`http://localhost:${TEST_PORT}`)) {
+        clearTimeout(timeout);
+        resolve();
+      }
+    });
+    server.on('exit', (code) => reject(new Error(`Server exited early with code ${code}`)));
+  });
+  return server;
+};
+
+const stopServer = async (server) => {
+  if (!server || server.exitCode !== null) return;
+  server.kill('SIGINT');
+  await new Promise(resolve => server.once('exit', resolve));
+};
+
+async function run() {
+  console.log('🧪 Testing server-side sessions\n');
+
+  const userId = crypto.randomUUID();
+  const email = `sessions-${userId.slice(0, 8)}@example.com`;
+  let server = null;
+
+  try {
+    const tenantId = db.prepare(`
+      SELECT ut.tenant_id FROM user_tenants ut JOIN users u ON u.id = ut.user_id WHERE u.email = ?
+    `).get(TENANT_OWNER_EMAIL).tenant_id;
+    db.prepare('INSERT INTO users (id, email, name, first_name, password_hash, role_global) VALUES (?, ?, ?, ?, ?, ?)')
+      .run(userId, email, 'Sessions Tester', 'Sessions', bcrypt.hashSync(PASSWORD, 10), 'none');
+    db.prepare(`INSERT INTO user_tenants (user_id, tenant_id, role) VALUES (?, ?, 'member')`).run(userId, tenantId);
+
+    server = await startServer();
+
+    const laptop = await login(email, PASSWORD, LAPTOP);
+    const phone = await login(email, PASSWORD, PHONE);
+
+    // Sessions are listed with device and IP, the caller's own first
+    const listed = await makeRequest('GET', '/api/auth/sessions', null, laptop);
+    const sessions = listed.data.data || [];
+    if (listed.status !== 200 || sessions.length !== 2 || !sessions[0].current || sessions[0].device !== 'Chrome on macOS'
+      || sessions[1].device !== 'Safari on iOS' || !sessions[1].ip_address || !sessions[1].last_seen_at) {
+      throw new Error(`Session list wrong: ${listed.status} ${JSON.stringify(listed.data)}`);
+    }
+
+    // Logins survive a restart
+    await stopServer(server);
+    server = await startServer();
+    if (!(await isSignedIn(laptop)) || !(await isSignedIn(phone))) {
+      throw new Error('Sessions should survive a server restart');
+    }
+
+    // Sign out one session, but not the current one
+    const ownRevoke = await makeRequest('DELETE', `/api/auth/sessions/${sessions[0].id}`, null, laptop);
+    const phoneRevoke = await makeRequest('DELETE', `/api/auth/sessions/${sessions[1].id}`, null, laptop);
+    const missingRevoke = await makeRequest('DELETE', `/api/auth/sessions/${sessions[1].id}`, null, laptop);
+    if (ownRevoke.status !== 400 || phoneRevoke.status !== 200 || missingRevoke.status !== 404
+      || await isSignedIn(phone) || !(await isSignedIn(laptop))) {
+      throw new Error(`Revoking one session failed: ${ownRevoke.status} ${phoneRevoke.status} ${missingRevoke.status}`);
+    }
+
+    // Sign out all other sessions
+    const tablet = await login(email, PASSWORD, TABLET);
+    const phoneAgain = await login(email, PASSWORD, PHONE);
+    const revokeOthers = await makeRequest('DELETE', '/api/auth/sessions', null, laptop);
+    if (revokeOthers.status !== 200 || revokeOthers.data.data.sessions_revoked !== 2
+      || await isSignedIn(tablet) || await isSignedIn(phoneAgain) || !(await isSignedIn(laptop))) {
+      throw new Error(`Revoking other sessions failed: ${revokeOthers.status} ${JSON.stringify(revokeOthers.data)}`);
+    }
+
+    // Admin sees the sessions and forces a logout
+    const admin = await login(PLATFORM_ADMIN_EMAIL, PLATFORM_ADMIN_PASSWORD);
+    const detail = await makeRequest('GET', `/api/admin/users/${userId}`, null, admin);
+    const forced = await makeRequest('DELETE', `/api/admin/users/${userId}/sessions`, null, admin);
+    if (detail.status !== 200 || detail.data.sessions?.length !== 1 || forced.status !== 200
+      || forced.data.sessionsRevoked !== 1 || await isSignedIn(laptop)) {
+      throw new Error(`Force logout failed: ${detail.status} ${forced.status} ${JSON.stringify(forced.data)}`);
+    }
+
+    // Removal from the tenant ends sessions working in it
+    const member = await login(email, PASSWORD);
+    const removed = await makeRequest('DELETE', `/api/admin/users/${userId}/tenants/${tenantId}`, null, admin);
+    if (removed.status !== 200 || await isSignedIn(member)) {
+      throw new Error(`Removing the user from the tenant should end their session: ${removed.status}`);
+    }
+
+    // Deactivation ends every session and blocks new logins
+    db.prepare(`INSERT INTO user_tenants (user_id, tenant_id, role) VALUES (?, ?, 'member')`).run(userId, tenantId);
+    const beforeDeactivate = await login(email, PASSWORD);
+    const deactivated = await makeRequest('PATCH', `/api/admin/users/${userId}`, { active: false }, admin);
+    const loginAfter = await makeRequest('POST', '/api/auth/login', { email, password: PASSWORD });
+    if (deactivated.status !== 200 || deactivated.data.changes.sessionsRevoked !== 1
+      || await isSignedIn(beforeDeactivate) || loginAfter.status !== 403) {
+      throw new Error(`Deactivation should end sessions: ${deactivated.status} ${loginAfter.status}`);
+    }
+
+    const audits = db.prepare('SELECT action FROM audit_logs WHERE target_id = ?').all(userId).map(entry => entry.action);
+    if (audits.filter(action => action === 'user.session_revoke').length !== 2 || !audits.includes('user.force_logout')) {
+      throw new Error(`Audit entries wrong: ${audits.join(', ')}`);
+    }
+
+    console.log('✅ Server-side sessions verified');
+  } catch (err) {
+    console.error('❌ Test failed:', err.message);
+    process.exitCode = 1;
+  } finally {
+    await stopServer(server);
+    const deleteSession = db.prepare('DELETE FROM sessions WHERE sid = ?');
+    createdSessionIds.forEach(sid => deleteSession.run(sid));
+    db.prepare('DELETE FROM audit_logs WHERE actor_user_id = ? OR target_id = ?').run(userId, userId);
+    db.prepare('DELETE FROM user_tenants WHERE user_id = ?').run(userId);
+    db.prepare('DELETE FROM users WHERE id = ?').run(userId);
+  }
+}
+
+run().catch(err => {
+  console.error('❌ Test failed:', err.message);
+  process.exitCode = 1;
+});
@@ -0,0 +1,288 @@
+/**
+ * Integration test: tenant API keys
+ * Key management from Settings, Bearer auth with scopes, rotation/revocation,
+ * plan gating, usage metering and api.request audit entries
+ */
+const http = require('http');
+const crypto = require('crypto');
+const { spawn } = require('child_process');
+const path = require('path');
+const db = require('../../src/db');
+
+const TEST_PORT = process.env.TEST_PORT || '5070';
+const BASE_URL = `http://localhost:${TEST_PORT}`;
+
+const OWNER_EMAIL = 'admin@engageninja.local';
+const OWNER_PASSWORD = 'AdminPassword123';
+
+const makeRequest = (method, pathUrl, body = null, cookies = '', headers = {}) => {
+  return new Promise((resolve, reject) => {
+    const url = new URL(pathUrl, BASE_URL);
+    const options = {
+      method,
+      hostname: url.hostname,
+      port: url.port,
+      path: url.pathname + url.search,
+      headers: {
+        'Content-Type': 'application/json',
+        ...(cookies ? { Cookie: cookies } : {}),
+        ...headers
+      }
+    };
+    const req = http.request(options, (res) => {
+      let data = '';
+      res.on('data', chunk => data += chunk);
+      res.on('end', () => {
+        let parsed = data;
+        try { parsed = JSON.parse(data); } catch {}
+        resolve({ status: res.statusCode, data: parsed, headers: res.headers });
+      });
+    });
+    req.on('error', reject);
+    if (body) req.write(JSON.stringify(body));
+    req.end();
+  });
+};
+
+const login = async (email, password) => {
+  const res = await makeRequest('POST', '/api/auth/login', { email, password });
+  if (res.status !== 200) {
+    throw new Error(`Login failed for ${email}`);
+  }
+  const cookies = res.headers['set-cookie']?.map(c => c.split(';')[0]).join('; ');
+  return { cookies, body: res.data };
+};
+
+const bearer = (secret) => ({ Authorization: `Bearer ${secret}` });
+
+const wait = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+// A plan with API access, and the usage row restored afterwards
+const ensureFixtures = (tenantId) => {
+  const tenant = db.prepare('SELECT plan_id FROM tenants WHERE id = ?').get(tenantId);
+  db.prepare("UPDATE tenants SET plan_id = 'growth' WHERE id = ?").run(tenantId);
+
+  const now = new Date();
+  const yearMonth = `${now.getFullYear()}-${String(now.getMonth() + 1).padStart(2, '0')}`;
+  const usage = db.prepare('SELECT api_requests FROM usage_counters WHERE tenant_id = ? AND year_month = ?').get(tenantId, yearMonth);
+
+  const keyIds = [];
+  const contactIds = [];
+  const userIds = [];
+
+  return {
+    yearMonth,
+    keyIds,
+    contactIds,
+    userIds,
+    restore: () => {
+      db.prepare('UPDATE tenants SET plan_id = ? WHERE id = ?').run(tenant.plan_id, tenantId);
+      if (usage) {
+        db.prepare('UPDATE usage_counters SET api_requests = ? WHERE tenant_id = ? AND year_month = ?').run(usage.api_requests, tenantId, yearMonth);
+      } else {
+        db.prepare('DELETE FROM usage_counters WHERE tenant_id = ? AND year_month = ?').run(tenantId, yearMonth);
+      }
+      for (const contactId of contactIds.filter(Boolean)) {
+        db.prepare('DELETE FROM contacts WHERE id = ?').run(contactId);
+      }
+      for (const keyId of keyIds) {
+        db.prepare('DELETE FROM audit_logs WHERE actor_api_key_id = ?').run(keyId);
+        db.prepare('DELETE FROM api_keys WHERE id = ?').run(keyId);
+      }
+      for (const userId of userIds) {
+        db.prepare('DELETE FROM user_tenants WHERE user_id = ?').run(userId);
+        db.prepare('DELETE FROM users WHERE id = ?').run(userId);
+      }
+    }
+  };
+};
+
+async function run() {
+  console.log('🧪 Testing tenant API keys\n');
+  const server = spawn('node', ['src/index.js'], {
+    cwd: path.join(__dirname, '../..'),
+    env: { ...process.env, BACKEND_PORT: TEST_PORT, NODE_ENV: 'test' },
+    stdio: ['ignore', 'pipe', 'pipe']
+  });
+
+  await new Promise((resolve, reject) => {
+    const timeout = setTimeout(() => reject(new Error('Server did not start in time')), 8000);
+    server.stdout.on('data', (data) => {
+      if (data.toString().includes(`http://localhost:${TEST_PORT}`)) {
+        clearTimeout(timeout);
+        resolve();
+      }
+    });
+    server.on('exit', (code) => reject(new Error(`Server exited early with code ${code}`)));
+  });
+
+  let fixtures = null;
+  try {
+    const { cookies, body: loginBody } = await login(OWNER_EMAIL, OWNER_PASSWORD);
+    const tenantId = loginBody.active_tenant_id || loginBody.tenants?.[0]?.tenant_id;
+    fixtures = ensureFixtures(tenantId);
+
+    // Validation
+    const unknownScopeRes = await makeRequest('POST', '/api/settings/api-keys', { name: 'Bad', scopes: ['contacts:delete'] }, cookies);
+    if (unknownScopeRes.status !== 400) {
+      throw new Error('Unknown scopes should be rejected');
+    }
+
+    const createRes = await makeRequest('POST', '/api/settings/api-keys', {
+      name: `Integration ${Date.now()}`,
+      scopes: ['contacts:write', 'contacts:read']
+    }, cookies);
+    if (createRes.status !== 201 || !createRes.data?.data?.secret?.startsWith('en_')) {
+      throw new Error(`Create key failed: ${JSON.stringify(createRes.data)}`);
+    }
+    const key = createRes.data.data;
+    fixtures.keyIds.push(key.id);
+
+    // Only the hash is stored and the list never returns secrets
+    const stored = db.prepare('SELECT key_hash FROM api_keys WHERE id = ?').get(key.id);
+    if (stored.key_hash === key.secret || stored.key_hash.length !== 64) {
+      throw new Error('API key should be stored as a SHA-256 hash');
+    }
+    const listRes = await makeRequest('GET', '/api/settings/api-keys', null, cookies);
+    const listed = listRes.data?.data?.find(k => k.id === key.id);
+    if (!listed || listed.secret || listed.key_hash || listed.scopes.join(',') !== 'contacts:read,contacts:write') {
+      throw new Error(`Listed key should expose prefix and scopes only: ${JSON.stringify(listed)}`);
+    }
+
+    // Bearer auth works without a session cookie
+    const readRes = await makeRequest('GET', '/api/contacts', null, '', bearer(key.secret));
+    if (readRes.status !== 200) {
+      throw new Error(`Bearer read failed: ${JSON.stringify(readRes.data)}`);
+    }
+    const writeRes = await makeRequest('POST', '/api/contacts', {
+      name: 'API Key Contact',
+      phone: `+1555${String(Date.now()).slice(-7)}`,
+      email: `api-key-${key.id.slice(0, 8)}@example.com`
+    }, '', bearer(key.secret));
+    if (writeRes.status !== 201) {
+      throw new Error(`Bearer write failed: ${JSON.stringify(writeRes.data)}`);
+    }
+    fixtures.contactIds.push(writeRes.data?.contact_id);
+
+    // Scopes are enforced and session-only endpoints stay closed
+    const missingScopeRes = await makeRequest('GET', '/api/campaigns', null, '', bearer(key.secret));
+    if (missingScopeRes.status !== 403 || missingScopeRes.data?.required_scope !== 'campaigns:read') {
+      throw new Error(`Missing scope should be rejected: ${JSON.stringify(missingScopeRes.data)}`);
+    }
+    // campaigns:write edits drafts; sending, pausing, resuming and cancelling need campaigns:send
+    const campaignKeyRes = await makeRequest('POST', '/api/settings/api-keys', {
+      name: `Campaign editor ${Date.now()}`,
+      scopes: ['campaigns:read', 'campaigns:write']
+    }, cookies);
+    const campaignKey = campaignKeyRes.data?.data;
+    fixtures.keyIds.push(campaignKey.id);
+    // Routes match regardless of case, so scope checks do too
+    for (const action of ['send', 'pause', 'resume', 'cancel', 'SEND', 'Pause', 'Retry-Failed']) {
+      const actionRes = await makeRequest('POST', `/api/campaigns/${crypto.randomUUID()}/${action}`, null, '', bearer(campaignKey.secret));
+      if (actionRes.status !== 403 || actionRes.data?.required_scope !== 'campaigns:send') {
+        throw new Error(`${action} should need campaigns:send: ${actionRes.status} ${JSON.stringify(actionRes.data)}`);
+      }
+    }
+    const editRes = await makeRequest('PUT', `/api/campaigns/${crypto.randomUUID()}`, { name: 'x' }, '', bearer(campaignKey.secret));
+    if (editRes.status === 403) {
+      throw new Error(`campaigns:write should allow editing: ${JSON.stringify(editRes.data)}`);
+    }
+
+    // Keys stop working once their creator is deactivated
+    const creatorId = crypto.randomUUID();
+    fixtures.userIds.push(creatorId);
+    db.prepare('INSERT INTO users (id, email, name, password_hash, role_global) VALUES (?, ?, ?, ?, ?)')
+      .run(creatorId, `api-key-creator-${creatorId.slice(0, 8)}@example.com`, 'Key Creator', 'x', 'none');
+    db.prepare(`INSERT INTO user_tenants (user_id, tenant_id, role) VALUES (?, ?, 'admin')`).run(creatorId, tenantId);
+    db.prepare('UPDATE api_keys SET created_by = ? WHERE id = ?').run(creatorId, campaignKey.id);
+    const creatorActiveRes = await makeRequest('GET', '/api/campaigns', null, '', bearer(campaignKey.secret));
+    db.prepare('UPDATE users SET active = 0 WHERE id = ?').run(creatorId);
+    const creatorInactiveRes = await makeRequest('GET', '/api/campaigns', null, '', bearer(campaignKey.secret));
+    if (creatorActiveRes.status !== 200 || creatorInactiveRes.status !== 401) {
+      throw new Error(`Keys of a deactivated user should be rejected: ${creatorActiveRes.status} ${creatorInactiveRes.status}`);
+    }
+
+    const settingsRes = await makeRequest('GET', '/api/settings/api-keys', null, '', bearer(key.secret));
+    if (settingsRes.status !== 403) {
+      throw new Error('API keys should not be able to manage keys');
+    }
+    const invalidRes = await makeRequest('GET', '/api/contacts', null, '', bearer('en_not-a-real-key'));
+    if (invalidRes.status !== 401) {
+      throw new Error('Unknown keys should be rejected');
+    }
+
+    // Metering: read + write count, rejected requests don't
+    const usage = db.prepare('SELECT api_requests FROM usage_counters WHERE tenant_id = ? AND year_month = ?').get(tenantId, fixtures.yearMonth);
+    const usageRes = await makeRequest('GET', '/api/settings/api-keys', null, cookies);
+    if (!usageRes.data?.usage?.enabled || usageRes.data.usage.used !== usage.api_requests) {
+      throw new Error(`Usage should be reported in Settings: ${JSON.stringify(usageRes.data?.usage)}`);
+    }
+    db.prepare('UPDATE usage_counters SET api_requests = ? WHERE tenant_id = ? AND year_month = ?')
+      .run(usageRes.data.usage.limit, tenantId, fixtures.yearMonth);
+    const limitRes = await makeRequest('GET', '/api/contacts', null, '', bearer(key.secret));
+    if (limitRes.status !== 429) {
+      throw new Error(`Requests over the monthly limit should be rejected: ${limitRes.status}`);
+    }
+    db.prepare('UPDATE usage_counters SET api_requests = ? WHERE tenant_id = ? AND year_month = ?')
+      .run(usage.api_requests, tenantId, fixtures.yearMonth);
+
+    // Requests are audited with the key as actor
+    await wait(200);
+    const audits = db.prepare(`
+      SELECT actor_type, actor_user_id, metadata FROM audit_logs
+      WHERE actor_api_key_id = ? AND action = 'api.request'
+    `).all(key.id);
+    if (audits.length !== 2 || audits.some(a => a.actor_type !== 'api_key' || a.actor_user_id)) {
+      throw new Error(`Expected 2 api.request audit entries for the key, got ${audits.length}`);
+    }
+
+    // Plans without API access reject keys
+    db.prepare("UPDATE tenants SET plan_id = 'starter' WHERE id = ?").run(tenantId);
+    const disabledRes = await makeRequest('GET', '/api/contacts', null, '', bearer(key.secret));
+    db.prepare("UPDATE tenants SET plan_id = 'growth' WHERE id = ?").run(tenantId);
+    if (disabledRes.status !== 403 || disabledRes.data?.error !== 'API Not Enabled') {
+      throw new Error(`Plans without API access should reject keys: ${JSON.stringify(disabledRes.data)}`);
+    }
+
+    // Rotation invalidates the old secret
+    const rotateRes = await makeRequest('POST', `/api/settings/api-keys/${key.id}/rotate`, null, cookies);
+    const rotated = rotateRes.data?.data;
+    if (rotateRes.status !== 200 || !rotated?.secret || rotated.secret === key.secret) {
+      throw new Error(`Rotate failed: ${JSON.stringify(rotateRes.data)}`);
+    }
+    const oldSecretRes = await makeRequest('GET', '/api/contacts', null, '', bearer(key.secret));
+    const newSecretRes = await makeRequest('GET', '/api/contacts', null, '', bearer(rotated.secret));
+    if (oldSecretRes.status !== 401 || newSecretRes.status !== 200) {
+      throw new Error('Rotation should swap which secret is accepted');
+    }
+
+    // Revocation
+    const revokeRes = await makeRequest('DELETE', `/api/settings/api-keys/${key.id}`, null, cookies);
+    if (revokeRes.status !== 200 || !revokeRes.data?.data?.revoked_at) {
+      throw new Error(`Revoke failed: ${JSON.stringify(revokeRes.data)}`);
+    }
+    const revokedRes = await makeRequest('GET', '/api/contacts', null, '', bearer(rotated.secret));
+    if (revokedRes.status !== 401) {
+      throw new Error('Revoked keys should be rejected');
+    }
+
+    const managementAudits = db.prepare(`
+      SELECT action FROM audit_logs WHERE target_type = 'api_key' AND target_id = ? AND actor_api_key_id IS NULL
+    `).all(key.id).map(a => a.action);
+    for (const action of ['api_key.create', 'api_key.rotate', 'api_key.revoke']) {
+      if (!managementAudits.includes(action)) {
+        throw new Error(`Missing ${action} audit entry`);
+      }
+    }
+
+    console.log('✅ Tenant API keys verified');
+  } catch (err) {
+    console.error('❌ Test failed:', err.message);
+    process.exitCode = 1;
+  } finally {
+    if (fixtures) fixtures.restore();
+    server.kill('SIGINT');
+  }
+}
+
+run();
@@ -0,0 +1,293 @@
+/**
+ * Integration test: audience resolution
+ * Preview, send, resend and retry-failed all apply the same channel reachability,
+ * consent and suppression rules and report excluded contacts by reason
+ */
+const http = require('http');
+const crypto = require('crypto');
+const { spawn } = require('child_process');
+const path = require('path');
+const db = require('../../src/db');
+
+const TEST_PORT = process.env.TEST_PORT || '5065';
+const BASE_URL = `http://localhost:${TEST_PORT}`;
+
+const OWNER_EMAIL = 'admin@engageninja.local';
+const OWNER_PASSWORD = 'AdminPassword123';
+
+const makeRequest = (method, pathUrl, body = null, cookies = '') => {
+  return new Promise((resolve, reject) => {
+    const url = new URL(pathUrl, BASE_URL);
+    const options = {
+      method,
+      hostname: url.hostname,
+      port: url.port,
+      path: url.pathname + url.search,
+      headers: {
+        'Content-Type': 'application/json',
+        ...(cookies ? { Cookie: cookies } : {})
+      }
+    };
+    const req = http.request(options, (res) => {
+      let data = '';
+      res.on('data', chunk => data += chunk);
+      res.on('end', () => {
+        let parsed = data;
+        try { parsed = JSON.parse(data); } catch {}
+        resolve({ status: res.statusCode, data: parsed, headers: res.headers });
+      });
+    });
+    req.on('error', reject);
+    if (body) req.write(JSON.stringify(body));
+    req.end();
+  });
+};
+
+const login = async (email, password) => {
+  const res = await makeRequest('POST', '/api/auth/login', { email, password });
+  if (res.status !== 200) {
+    throw new Error(`Login failed for ${email}`);
+  }
+  const cookies = res.headers['set-cookie']?.map(c => c.split(';')[0]).join('; ');
+  return { cookies, body: res.data };
+};
+
+const wait = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+const currentYearMonth = () => {
+  const now = new Date();
+  return `${now.getFullYear()}-${String(now.getMonth() + 1).padStart(2, '0')}`;
+};
+
+const expectBreakdown = (label, summary, expected) => {
+  const actual = {
+    matched: summary?.matched,
+    eligible: summary?.eligible,
+    ...summary?.excluded
+  };
+  Object.entries(expected).forEach(([key, value]) => {
+    if (actual[key] !== value) {
+      throw new Error(`${label}: expected ${key}=${value}, got ${JSON.stringify(summary)}`);
+    }
+  });
+};
+
+// One tagged contact per exclusion reason plus one reachable contact
+const ensureFixtures = (tenantId) => {
+  const tenant = db.prepare('SELECT plan_id FROM tenants WHERE id = ?').get(tenantId);
+  db.prepare("UPDATE tenants SET plan_id = 'free' WHERE id = ?").run(tenantId);
+
+  const existingSms = db.prepare(`
+    SELECT * FROM tenant_channel_settings WHERE tenant_id = ? AND channel = 'sms'
+  `).get(tenantId);
+  const usage = db.prepare('SELECT sms_sent FROM usage_counters WHERE tenant_id = ? AND year_month = ?')
+    .get(tenantId, currentYearMonth());
+
+  const tagId = crypto.randomUUID();
+  db.prepare('INSERT INTO tags (id, tenant_id, name) VALUES (?, ?, ?)').run(tagId, tenantId, `audience-test-${Date.now()}`);
+
+  const suffix = Date.now().toString().slice(-6);
+  const contacts = {
+    reachable: { id: crypto.randomUUID(), phone: `+1557${suffix}1`, email: `reachable-${suffix}@example.com`, consent: 1 },
+    noPhone: { id: crypto.randomUUID(), phone: null, email: `nophone-${suffix}@example.com`, consent: 1 },
+    noConsent: { id: crypto.randomUUID(), phone: `+1557${suffix}3`, email: null, consent: 0 },
+    suppressed: { id: crypto.randomUUID(), phone: `+1557${suffix}4`, email: `bounced-${suffix}@example.com`, consent: 1 }
+  };
+  const insertContact = db.prepare(`
+    INSERT INTO contacts (id, tenant_id, phone, email, name, consent_sms, consent_email, consent_source)
+    VALUES (?, ?, ?, ?, ?, ?, ?, 'manual')
+  `);
+  Object.entries(contacts).forEach(([label, c]) => {
+    insertContact.run(c.id, tenantId, c.phone, c.email, `Audience ${label}`, c.consent, c.consent);
+    db.prepare('INSERT INTO contact_tags (contact_id, tag_id) VALUES (?, ?)').run(c.id, tagId);
+  });
+  db.prepare(`
+    INSERT INTO contact_suppressions (id, tenant_id, contact_id, channel, address, reason, source)
+    VALUES (?, ?, ?, 'sms', ?, 'hard_bounce', 'test')
+  `).run(crypto.randomUUID(), tenantId, contacts.suppressed.id, contacts.suppressed.phone);
+
+  const campaignIds = [];
+
+  return {
+    tagId,
+    contacts,
+    campaignIds,
+    restore: () => {
+      db.prepare('UPDATE tenants SET plan_id = ? WHERE id = ?').run(tenant.plan_id, tenantId);
+      const allCampaignIds = campaignIds.length
+        ? db.prepare(`
+          SELECT id FROM campaigns
+          WHERE id IN (${campaignIds.map(() => '?').join(',')}) OR resend_of_campaign_id IN (${campaignIds.map(() => '?').join(',')})
+          ORDER BY resend_of_campaign_id IS NULL
+        `).all(...campaignIds, ...campaignIds).map(c => c.id)
+        : [];
+      allCampaignIds.forEach(id => {
+        db.prepare(`
+          DELETE FROM message_status_events WHERE message_id IN (SELECT id FROM messages WHERE campaign_id = ?)
+        `).run(id);
+        db.prepare('DELETE FROM messages WHERE campaign_id = ?').run(id);
+        db.prepare('DELETE FROM campaigns WHERE id = ?').run(id);
+      });
+      Object.values(contacts).forEach(c => {
+        db.prepare('DELETE FROM contact_suppressions WHERE contact_id = ?').run(c.id);
+        db.prepare('DELETE FROM contact_tags WHERE contact_id = ?').run(c.id);
+        db.prepare('DELETE FROM contacts WHERE id = ?').run(c.id);
+      });
+      db.prepare('DELETE FROM tags WHERE id = ?').run(tagId);
+      if (existingSms) {
+        db.prepare(`
+          UPDATE tenant_channel_settings
+          SET provider = ?, credentials_encrypted = ?, is_connected = ?, connected_at = ?
+          WHERE id = ?
+        `).run(existingSms.provider, existingSms.credentials_encrypted, existingSms.is_connected, existingSms.connected_at, existingSms.id);
+      } else {
+        db.prepare(`DELETE FROM tenant_channel_settings WHERE tenant_id = ? AND channel = 'sms'`).run(tenantId);
+      }
+      if (usage) {
+        db.prepare('UPDATE usage_counters SET sms_sent = ? WHERE tenant_id = ? AND year_month = ?')
+          .run(usage.sms_sent, tenantId, currentYearMonth());
+      } else {
+        db.prepare('UPDATE usage_counters SET sms_sent = 0 WHERE tenant_id = ? AND year_month = ?')
+          .run(tenantId, currentYearMonth());
+      }
+    }
+  };
+};
+
+async function run() {
+  console.log('🧪 Testing audience resolution\n');
+  const server = spawn('node', ['src/index.js'], {
+    cwd: path.join(__dirname, '../..'),
+    env: {
+      ...process.env,
+      BACKEND_PORT: TEST_PORT,
+      NODE_ENV: 'test',
+      ENABLE_WEBHOOK_VERIFICATION: 'false',
+      MOCK_SMS_DELIVERY_DELAY_MS: '200'
+    },
+    stdio: ['ignore', 'pipe', 'pipe']
+  });
+
+  await new Promise((resolve, reject) => {
+    const timeout = setTimeout(() => reject(new Error('Server did not start in time')), 8000);
+    server.stdout.on('data', (data) => {
+      if (data.toString().includes(`http://localhost:${TEST_PORT}`)) {
+        clearTimeout(timeout);
+        resolve();
+      }
+    });
+    server.on('exit', (code) => reject(new Error(`Server exited early with code ${code}`)));
+  });
+
+  let fixtures = null;
+  try {
+    const { cookies, body: loginBody } = await login(OWNER_EMAIL, OWNER_PASSWORD);
+    const tenantId = loginBody.active_tenant_id || loginBody.tenants?.[0]?.tenant_id;
+    fixtures = ensureFixtures(tenantId);
+    const { tagId, contacts, campaignIds } = fixtures;
+    const audienceFilters = { tags: [tagId] };
+
+    // Preview breaks exclusions down by reason
+    const badChannel = await makeRequest('POST', '/api/campaigns/audience/preview', { channel: 'fax' }, cookies);
+    if (badChannel.status !== 400) {
+      throw new Error('Preview with an unknown channel should be rejected');
+    }
+    const smsPreview = await makeRequest('POST', '/api/campaigns/audience/preview', { channel: 'sms', audience_filters: audienceFilters }, cookies);
+    expectBreakdown('SMS preview', smsPreview.data?.data, {
+      matched: 4, eligible: 1, missing_address: 1, no_consent: 1, suppressed: 1
+    });
+
+    // Suppressions are per channel: the SMS suppression doesn't affect email
+    const emailPreview = await makeRequest('POST', '/api/campaigns/audience/preview', { channel: 'email', audience_filters: audienceFilters }, cookies);
+    expectBreakdown('Email preview', emailPreview.data?.data, {
+      matched: 4, eligible: 3, missing_address: 1, no_consent: 0, suppressed: 0
+    });
+
+    // Send queues only reachable contacts and reports the rest
+    const connectRes = await makeRequest('POST', '/api/settings/channels/sms', { provider: 'mock', fromNumber: '+15005550006' }, cookies);
+    if (connectRes.status !== 201) {
+      throw new Error(`Mock SMS connect failed: ${JSON.stringify(connectRes.data)}`);
+    }
+    const createRes = await makeRequest('POST', '/api/campaigns', {
+      name: `Audience Test ${Date.now()}`,
+      channel: 'sms',
+      message_content: { body: 'Hi {{name}}' },
+      audience_filters: audienceFilters
+    }, cookies);
+    const campaignId = createRes.data?.data?.id;
+    if (createRes.status !== 201 || !campaignId) {
+      throw new Error(`Campaign create failed: ${JSON.stringify(createRes.data)}`);
+    }
+    campaignIds.push(campaignId);
+
+    const campaignAudience = await makeRequest('GET', `/api/campaigns/${campaignId}/audience`, null, cookies);
+    expectBreakdown('Campaign audience', campaignAudience.data?.data, { matched: 4, eligible: 1 });
+
+    const sendRes = await makeRequest('POST', `/api/campaigns/${campaignId}/send`, null, cookies);
+    if (sendRes.status !== 200) {
+      throw new Error(`Send failed: ${JSON.stringify(sendRes.data)}`);
+    }
+    expectBreakdown('Send', sendRes.data?.data?.audience, { eligible: 1, missing_address: 1, no_consent: 1, suppressed: 1 });
+    const queued = db.prepare('SELECT contact_id FROM messages WHERE campaign_id = ?').all(campaignId);
+    if (queued.length !== 1 || queued[0].contact_id !== contacts.reachable.id) {
+      throw new Error(`Only the reachable contact should be queued, got ${JSON.stringify(queued)}`);
+    }
+
+    // Retry skips failures whose contact has since opted out
+    await wait(1500);
+    db.prepare("UPDATE messages SET status = 'failed', status_reason = 'Provider error' WHERE campaign_id = ?").run(campaignId);
+    db.prepare('UPDATE contacts SET consent_sms = 0 WHERE id = ?').run(contacts.reachable.id);
+    const blockedRetry = await makeRequest('POST', `/api/campaigns/${campaignId}/retry-failed`, null, cookies);
+    if (blockedRetry.status !== 400 || blockedRetry.data?.audience?.excluded?.no_consent !== 1) {
+      throw new Error(`Retry to an opted-out contact should be refused: ${JSON.stringify(blockedRetry.data)}`);
+    }
+    db.prepare('UPDATE contacts SET consent_sms = 1 WHERE id = ?').run(contacts.reachable.id);
+    const retryRes = await makeRequest('POST', `/api/campaigns/${campaignId}/retry-failed`, null, cookies);
+    if (retryRes.status !== 200 || retryRes.data?.data?.retry_count !== 1) {
+      throw new Error(`Retry failed: ${JSON.stringify(retryRes.data)}`);
+    }
+
+    // SES complaints suppress the contact's email address
+    const sesMessageId = `ses-${crypto.randomUUID()}`;
+    db.prepare(`
+      INSERT INTO messages (id, tenant_id, campaign_id, contact_id, channel, provider, provider_message_id, status)
+      VALUES (?, ?, ?, ?, 'email', 'ses', ?, 'sent')
+    `).run(crypto.randomUUID(), tenantId, campaignId, contacts.reachable.id, sesMessageId);
+    await makeRequest('POST', '/webhooks/email', {
+      Type: 'Notification',
+      Message: JSON.stringify({
+        eventType: 'Complaint',
+        mail: { messageId: sesMessageId, timestamp: new Date().toISOString(), destination: [contacts.reachable.email] },
+        complaint: { timestamp: new Date().toISOString() }
+      })
+    });
+    const emailAfterComplaint = await makeRequest('POST', '/api/campaigns/audience/preview', { channel: 'email', audience_filters: audienceFilters }, cookies);
+    expectBreakdown('Email preview after complaint', emailAfterComplaint.data?.data, { eligible: 2, suppressed: 1 });
+
+    // Resend re-checks non-readers: a contact deleted since the send is reported, not queued
+    await wait(1500);
+    const sentAt = new Date(Date.now() - 25 * 60 * 60 * 1000).toISOString();
+    db.prepare("UPDATE campaigns SET status = 'sent', sent_at = ? WHERE id = ?").run(sentAt, campaignId);
+    db.prepare("UPDATE messages SET status = 'delivered' WHERE campaign_id = ?").run(campaignId);
+    db.prepare('UPDATE contacts SET deleted_at = ? WHERE id = ?').run(new Date().toISOString(), contacts.reachable.id);
+    const resendRes = await makeRequest('POST', `/api/campaigns/${campaignId}/resend`, null, cookies);
+    if (resendRes.status !== 400 || resendRes.data?.audience?.excluded?.deleted !== 1) {
+      throw new Error(`Resend to a deleted contact should be refused: ${JSON.stringify(resendRes.data)}`);
+    }
+
+    // Changing the suppressed number lifts the suppression
+    db.prepare('UPDATE contacts SET phone = ? WHERE id = ?').run(`${contacts.suppressed.phone}9`, contacts.suppressed.id);
+    const afterChange = await makeRequest('POST', '/api/campaigns/audience/preview', { channel: 'sms', audience_filters: audienceFilters }, cookies);
+    expectBreakdown('Preview after number change', afterChange.data?.data, { matched: 3, eligible: 1, suppressed: 0 });
+
+    console.log('✅ Audience resolution verified');
+  } catch (err) {
+    console.error('❌ Test failed:', err.message);
+    process.exitCode = 1;
+  } finally {
+    if (fixtures) fixtures.restore();
+    server.kill('SIGINT');
+  }
+}
+
+run();
@@ -0,0 +1,270 @@
+/**
+ * Integration test: campaign pause, resume and cancel
+ * A paused campaign's queued messages are held by the queue and go out on resume;
+ * cancelling marks them cancelled. Only sending/paused campaigns can change state.
+ */
+const http = require('http');
+const crypto = require('crypto');
+const { spawn } = require('child_process');
+const path = require('path');
+const db = require('../../src/db');
+
+const TEST_PORT = process.env.TEST_PORT || '5075';
+const BASE_URL = `http://localhost:${TEST_PORT}`;
+
+const OWNER_EMAIL = 'admin@engageninja.local';
+const OWNER_PASSWORD = 'AdminPassword123';
+
+const makeRequest = (method, pathUrl, body = null, cookies = '') => {
+  return new Promise((resolve, reject) => {
+    const url = new URL(pathUrl, BASE_URL);
+    const options = {
+      method,
+      hostname: url.hostname,
+      port: url.port,
+      path: url.pathname + url.search,
+      headers: {
+        'Content-Type': 'application/json',
+        ...(cookies ? { Cookie: cookies } : {})
+      }
+    };
+    const req = http.request(options, (res) => {
+      let data = '';
+      res.on('data', chunk => data += chunk);
+      res.on('end', () => {
+        let parsed = data;
+        try { parsed = JSON.parse(data); } catch {}
+        resolve({ status: res.statusCode, data: parsed, headers: res.headers });
+      });
+    });
+    req.on('error', reject);
+    if (body) req.write(JSON.stringify(body));
+    req.end();
+  });
+};
+
+const login = async (email, password) => {
+  const res = await makeRequest('POST', '/api/auth/login', { email, password });
+  if (res.status !== 200) {
+    throw new Error(`Login failed for ${email}`);
+  }
+  const cookies = res.headers['set-cookie']?.map(c => c.split(';')[0]).join('; ');
+  return { cookies, body: res.data };
+};
+
+const wait = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+// Poll until check() returns a truthy value or the timeout passes
+const waitFor = async (check, timeoutMs = 5000) => {
+  const started = Date.now();
+  while (Date.now() - started < timeoutMs) {
+    const result = check();
+    if (result) return result;
+    await wait(100);
+  }
+  return null;
+};
+
+async function run() {
+  console.log('🧪 Testing campaign pause, resume and cancel\n');
+  const server = spawn('node', ['src/index.js'], {
+    cwd: path.join(__dirname, '../..'),
+    env: {
+      ...process.env,
+      BACKEND_PORT: TEST_PORT,
+      NODE_ENV: 'test',
+      JOB_POLL_INTERVAL_MS: '100',
+      MOCK_SMS_DELIVERY_DELAY_MS: '200'
+    },
+    stdio: ['ignore', 'pipe', 'pipe']
+  });
+
+  await new Promise((resolve, reject) => {
+    const timeout = setTimeout(() => reject(new Error('Server did not start in time')), 8000);
+    server.stdout.on('data', (data) => {
+      if (data.toString().includes(`http://localhost:${TEST_PORT}`)) {
+        clearTimeout(timeout);
+        resolve();
+      }
+    });
+    server.on('exit', (code) => reject(new Error(`Server exited early with code ${code}`)));
+  });
+
+  let tenantId = null;
+  let existingSms = null;
+  const contactIds = [];
+  const campaignIds = [];
+  try {
+    const { cookies, body: loginBody } = await login(OWNER_EMAIL, OWNER_PASSWORD);
+    tenantId = loginBody.active_tenant_id || loginBody.tenants?.[0]?.tenant_id;
+    existingSms = db.prepare(`SELECT * FROM tenant_channel_settings WHERE tenant_id = ? AND channel = 'sms'`).get(tenantId);
+
+    const connectRes = await makeRequest('POST', '/api/settings/channels/sms', {
+      provider: 'mock',
+      fromNumber: '+15005550006'
+    }, cookies);
+    if (connectRes.status !== 201) {
+      throw new Error(`Mock SMS connect failed: ${JSON.stringify(connectRes.data)}`);
+    }
+
+    const createCampaign = (status) => {
+      const campaignId = crypto.randomUUID();
+      campaignIds.push(campaignId);
+      db.prepare(`
+        INSERT INTO campaigns (id, tenant_id, name, channel, message_content, status, sent_at)
+        VALUES (?, ?, ?, 'sms', ?, ?, ?)
+      `).run(campaignId, tenantId, `Pause test ${campaignId.slice(0, 8)}`, JSON.stringify({ body: 'Hello' }), status, new Date().toISOString());
+      return campaignId;
+    };
+    const area = String(200 + (Date.now() % 700));
+    let phoneSuffix = 6100;
+    const queueMessage = (campaignId) => {
+      const contactId = crypto.randomUUID();
+      contactIds.push(contactId);
+      db.prepare(`
+        INSERT INTO contacts (id, tenant_id, phone, name, consent_sms, consent_source)
+        VALUES (?, ?, ?, 'Pause test', 1, 'manual')
+      `).run(contactId, tenantId, `+1${area}555${phoneSuffix++}`);
+      const messageId = crypto.randomUUID();
+      db.prepare(`
+        INSERT INTO messages (id, tenant_id, campaign_id, contact_id, channel, provider, status, attempts)
+        VALUES (?, ?, ?, ?, 'sms', 'mock', 'queued', 0)
+      `).run(messageId, tenantId, campaignId, contactId);
+      db.prepare(`
+        INSERT INTO jobs (id, queue, lane, payload, tenant_id, dedupe_key, status, attempts, max_attempts, run_at)
+        VALUES (?, 'outbound_messages', 'bulk', ?, ?, ?, 'queued', 0, 10, ?)
+      `).run(crypto.randomUUID(), JSON.stringify({ messageId }), tenantId, `message:${messageId}`, new Date().toISOString());
+      return messageId;
+    };
+    const messageStatuses = (campaignId) => db.prepare('SELECT status FROM messages WHERE campaign_id = ?')
+      .all(campaignId).map(row => row.status);
+    const liveJobs = (campaignId) => db.prepare(`
+      SELECT COUNT(*) as count FROM jobs
+      WHERE status IN ('queued', 'leased')
+        AND dedupe_key IN (SELECT 'message:' || id FROM messages WHERE campaign_id = ?)
+    `).get(campaignId).count;
+    const getCampaign = (id) => db.prepare('SELECT * FROM campaigns WHERE id = ?').get(id);
+
+    // Pause: queued messages are held and their jobs dropped
+    const pausedId = createCampaign('sending');
+    const pauseRes = await makeRequest('POST', `/api/campaigns/${pausedId}/pause`, null, cookies);
+    if (pauseRes.status !== 200 || pauseRes.data.data?.status !== 'paused' || !getCampaign(pausedId).paused_at) {
+      throw new Error(`Pause failed: ${JSON.stringify(pauseRes.data)}`);
+    }
+    queueMessage(pausedId);
+    queueMessage(pausedId);
+    const dropped = await waitFor(() => liveJobs(pausedId) === 0);
+    await wait(500);
+    if (!dropped || messageStatuses(pausedId).some(status => status !== 'queued')) {
+      throw new Error(`Paused campaign messages should stay queued: ${messageStatuses(pausedId)}`);
+    }
+
+    const pauseAgain = await makeRequest('POST', `/api/campaigns/${pausedId}/pause`, null, cookies);
+    const retryPaused = await makeRequest('POST', `/api/campaigns/${pausedId}/retry-failed`, null, cookies);
+    if (pauseAgain.status !== 400 || retryPaused.status !== 400) {
+      throw new Error('A paused campaign cannot be paused again or retried');
+    }
+
+    const metricsRes = await makeRequest('GET', `/api/campaigns/${pausedId}/metrics`, null, cookies);
+    if (metricsRes.data.campaign?.status !== 'paused' || metricsRes.data.metrics?.queued !== 2) {
+      throw new Error(`Metrics should show the paused campaign: ${JSON.stringify(metricsRes.data)}`);
+    }
+
+    // Resume: jobs are queued again and the campaign completes
+    const resumeRes = await makeRequest('POST', `/api/campaigns/${pausedId}/resume`, null, cookies);
+    if (resumeRes.status !== 200 || resumeRes.data.data?.requeued_count !== 2) {
+      throw new Error(`Resume failed: ${JSON.stringify(resumeRes.data)}`);
+    }
+    const completed = await waitFor(() => getCampaign(pausedId).status === 'sent');
+    if (!completed || messageStatuses(pausedId).some(status => status === 'queued' || status === 'failed')) {
+      throw new Error(`Resumed campaign should finish sending: ${getCampaign(pausedId).status} ${messageStatuses(pausedId)}`);
+    }
+    if (getCampaign(pausedId).paused_at) {
+      throw new Error('Resume should clear paused_at');
+    }
+
+    const resumeSent = await makeRequest('POST', `/api/campaigns/${pausedId}/resume`, null, cookies);
+    const cancelSent = await makeRequest('POST', `/api/campaigns/${pausedId}/cancel`, null, cookies);
+    if (resumeSent.status !== 400 || cancelSent.status !== 400) {
+      throw new Error('A sent campaign cannot be resumed or cancelled');
+    }
+
+    // Cancel: queued messages are marked cancelled
+    const cancelledId = createCampaign('sending');
+    await makeRequest('POST', `/api/campaigns/${cancelledId}/pause`, null, cookies);
+    queueMessage(cancelledId);
+    queueMessage(cancelledId);
+    queueMessage(cancelledId);
+    const cancelRes = await makeRequest('POST', `/api/campaigns/${cancelledId}/cancel`, null, cookies);
+    if (cancelRes.status !== 200 || cancelRes.data.data?.cancelled_count !== 3) {
+      throw new Error(`Cancel failed: ${JSON.stringify(cancelRes.data)}`);
+    }
+    const cancelledCampaign = getCampaign(cancelledId);
+    if (cancelledCampaign.status !== 'cancelled' || !cancelledCampaign.cancelled_at || !cancelledCampaign.cancelled_by) {
+      throw new Error(`Cancelled campaign not recorded: ${JSON.stringify(cancelledCampaign)}`);
+    }
+    if (messageStatuses(cancelledId).some(status => status !== 'cancelled')) {
+      throw new Error(`Queued messages should be cancelled: ${messageStatuses(cancelledId)}`);
+    }
+    const cancelledMetrics = await makeRequest('GET', `/api/campaigns/${cancelledId}`, null, cookies);
+    if (cancelledMetrics.data.data?.metrics?.cancelled !== 3 || cancelledMetrics.data.data.metrics.last_error) {
+      throw new Error(`Campaign details should count cancelled messages: ${JSON.stringify(cancelledMetrics.data.data?.metrics)}`);
+    }
+    const resumeCancelled = await makeRequest('POST', `/api/campaigns/${cancelledId}/resume`, null, cookies);
+    const pauseCancelled = await makeRequest('POST', `/api/campaigns/${cancelledId}/pause`, null, cookies);
+    if (resumeCancelled.status !== 400 || pauseCancelled.status !== 400) {
+      throw new Error('A cancelled campaign cannot be resumed or paused');
+    }
+
+    // A job that was already queued when the campaign was cancelled does not send
+    const lateId = createCampaign('cancelled');
+    const lateMessage = queueMessage(lateId);
+    const skipped = await waitFor(() => {
+      const row = db.prepare('SELECT status, status_reason FROM messages WHERE id = ?').get(lateMessage);
+      return row.status === 'cancelled' ? row : null;
+    });
+    if (!skipped || skipped.status_reason !== 'Campaign cancelled') {
+      throw new Error('The queue should cancel messages of cancelled campaigns');
+    }
+
+    const audits = db.prepare(`
+      SELECT action FROM audit_logs WHERE target_id IN (?, ?) AND action LIKE 'campaign.%'
+    `).all(pausedId, cancelledId).map(row => row.action);
+    ['campaign.pause', 'campaign.resume', 'campaign.cancel'].forEach(action => {
+      if (!audits.includes(action)) {
+        throw new Error(`Missing audit entry ${action}`);
+      }
+    });
+
+    console.log('✅ Campaign pause, resume and cancel verified');
+  } catch (err) {
+    console.error('❌ Test failed:', err.message);
+    process.exitCode = 1;
+  } finally {
+    campaignIds.forEach(campaignId => {
+      db.prepare(`DELETE FROM jobs WHERE dedupe_key IN (SELECT 'message:' || id FROM messages WHERE campaign_id = ?)`).run(campaignId);
+      db.prepare(`
+        DELETE FROM message_status_events WHERE message_id IN (SELECT id FROM messages WHERE campaign_id = ?)
+      `).run(campaignId);
+      db.prepare('DELETE FROM messages WHERE campaign_id = ?').run(campaignId);
+      db.prepare('DELETE FROM campaigns WHERE id = ?').run(campaignId);
+    });
+    contactIds.forEach(id => db.prepare('DELETE FROM contacts WHERE id = ?').run(id));
+    if (tenantId) {
+      db.prepare('DELETE FROM rate_limit_buckets WHERE key LIKE ?').run(`%:${tenantId}:sms`);
+      if (existingSms) {
+        db.prepare(`
+          UPDATE tenant_channel_settings
+          SET provider = ?, credentials_encrypted = ?, is_connected = ?, connected_at = ?, sends_paused_at = ?, sends_paused_reason = ?
+          WHERE id = ?
+        `).run(existingSms.provider, existingSms.credentials_encrypted, existingSms.is_connected, existingSms.connected_at,
+          existingSms.sends_paused_at, existingSms.sends_paused_reason, existingSms.id);
+      } else {
+        db.prepare(`DELETE FROM tenant_channel_settings WHERE tenant_id = ? AND channel = 'sms'`).run(tenantId);
+      }
+    }
+    server.kill('SIGINT');
+  }
+}
+
+run();
@@ -0,0 +1,207 @@
+/**
+ * Integration test: scheduled campaign sends
+ * Schedule / reschedule / cancel endpoints, tenant timezone handling and the scheduler pickup
+ */
+const http = require('http');
+const crypto = require('crypto');
+const { spawn } = require('child_process');
+const path = require('path');
+const db = require('../../src/db');
+const { createSenderDomain } = require('../../src/services/senderDomains');
+
+const TEST_PORT = process.env.TEST_PORT || '5061';
+const BASE_URL = `http://localhost:${TEST_PORT}`;
+
+const OWNER_EMAIL = 'admin@engageninja.local';
+const OWNER_PASSWORD = 'AdminPassword123';
+const VIEWER_EMAIL = 'viewer@engageninja.local';
+const VIEWER_PASSWORD = 'ViewerPassword123';
+
+const makeRequest = (method, pathUrl, body = null, cookies = '') => {
+  return new Promise((resolve, reject) => {
+    const url = new URL(pathUrl, BASE_URL);
+    const options = {
+      method,
+      hostname: url.hostname,
+      port: url.port,
+      path: url.pathname + url.search,
+      headers: {
+        'Content-Type': 'application/json',
+        ...(cookies ? { Cookie: cookies } : {})
+      }
+    };
+    const req = http.request(options, (res) => {
+      let data = '';
+      res.on('data', chunk => data += chunk);
+      res.on('end', () => {
+        let parsed = data;
+        try { parsed = JSON.parse(data); } catch {}
+        resolve({ status: res.statusCode, data: parsed, headers: res.headers });
+      });
+    });
+    req.on('error', reject);
+    if (body) req.write(JSON.stringify(body));
+    req.end();
+  });
+};
+
+const login = async (email, password) => {
+  const res = await makeRequest('POST', '/api/auth/login', { email, password });
+  if (res.status !== 200) {
+    throw new Error(`Login failed for ${email}`);
+  }
+  const cookies = res.headers['set-cookie']?.map(c => c.split(';')[0]).join('; ');
+  return { cookies, body: res.data };
+};
+
+const wait = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+// Email sends need a verified sender domain; returns a function that undoes this
+const ensureVerifiedSenderDomain = (tenantId, senderEmail) => {
+  const domain = senderEmail.split('@')[1].toLowerCase();
+  const existing = db.prepare('SELECT id, status FROM sender_domains WHERE tenant_id = ? AND domain = ?').get(tenantId, domain);
+  const id = existing ? existing.id : createSenderDomain(tenantId, domain).domain.id;
+  db.prepare("UPDATE sender_domains SET status = 'verified' WHERE id = ?").run(id);
+  return () => {
+    if (existing) {
+      db.prepare('UPDATE sender_domains SET status = ? WHERE id = ?').run(existing.status, id);
+    } else {
+      db.prepare('DELETE FROM sender_domains WHERE id = ?').run(id);
+    }
+  };
+};
+
+// Email channel must be connected for scheduling validation to pass
+const ensureFixtures = (tenantId) => {
+  const channel = db.prepare(`
+    SELECT id, is_connected, verified_sender_email FROM tenant_channel_settings WHERE tenant_id = ? AND channel = 'email'
+  `).get(tenantId);
+  if (!channel) {
+    throw new Error('Seeded email channel not found; run npm run db:seed');
+  }
+  db.prepare('UPDATE tenant_channel_settings SET is_connected = 1 WHERE id = ?').run(channel.id);
+  const restoreSenderDomain = ensureVerifiedSenderDomain(tenantId, channel.verified_sender_email);
+
+  const contact = db.prepare('SELECT id FROM contacts WHERE tenant_id = ? AND deleted_at IS NULL LIMIT 1').get(tenantId);
+  if (!contact) {
+    db.prepare(`
+      INSERT INTO contacts (id, tenant_id, email, name, consent_email, consent_source)
+      VALUES (?, ?, 'schedule-test@example.com', 'Schedule Test Contact', 1, 'manual')
+    `).run(crypto.randomUUID(), tenantId);
+  }
+
+  const tenant = db.prepare('SELECT timezone FROM tenants WHERE id = ?').get(tenantId);
+  db.prepare("UPDATE tenants SET timezone = 'Asia/Kolkata' WHERE id = ?").run(tenantId);
+
+  const campaignId = crypto.randomUUID();
+  db.prepare(`
+    INSERT INTO campaigns (id, tenant_id, name, channel, message_content, status)
+    VALUES (?, ?, ?, 'email', ?, 'draft')
+  `).run(
+    campaignId,
+    tenantId,
+    `Scheduling Test ${Date.now()}`,
+    JSON.stringify({ subject: 'Scheduled hello', htmlBody: '<p>Hello</p>', textBody: 'Hello' })
+  );
+
+  return {
+    campaignId,
+    restore: () => {
+      db.prepare('UPDATE tenant_channel_settings SET is_connected = ? WHERE id = ?').run(channel.is_connected, channel.id);
+      restoreSenderDomain();
+      db.prepare('UPDATE tenants SET timezone = ? WHERE id = ?').run(tenant.timezone, tenantId);
+      db.prepare('DELETE FROM messages WHERE campaign_id = ?').run(campaignId);
+      db.prepare('DELETE FROM campaigns WHERE id = ?').run(campaignId);
+    }
+  };
+};
+
+async function run() {
+  console.log('🧪 Testing scheduled campaign sends\n');
+  const server = spawn('node', ['src/index.js'], {
+    cwd: path.join(__dirname, '../..'),
+    env: { ...process.env, BACKEND_PORT: TEST_PORT, NODE_ENV: 'test', CAMPAIGN_SCHEDULER_INTERVAL_MS: '500' },
+    stdio: ['ignore', 'pipe', 'pipe']
+  });
+
+  await new Promise((resolve, reject) => {
+    const timeout = setTimeout(() => reject(new Error('Server did not start in time')), 8000);
+    server.stdout.on('data', (data) => {
+      if (data.toString().includes(`http://localhost:${TEST_PORT}`)) {
+        clearTimeout(timeout);
+        resolve();
+      }
+    });
+    server.on('exit', (code) => reject(new Error(`Server exited early with code ${code}`)));
+  });
+
+  let fixtures = null;
+  try {
+    const { cookies: ownerCookies, body: loginBody } = await login(OWNER_EMAIL, OWNER_PASSWORD);
+    const tenantId = loginBody.active_tenant_id || loginBody.tenants?.[0]?.tenant_id;
+    fixtures = ensureFixtures(tenantId);
+    const { campaignId } = fixtures;
+
+    // Past times are rejected
+    const pastRes = await makeRequest('POST', `/api/campaigns/${campaignId}/schedule`, { scheduled_at: '2020-01-01T09:00' }, ownerCookies);
+    if (pastRes.status !== 400) {
+      throw new Error('Scheduling in the past should be rejected');
+    }
+
+    // Viewers cannot schedule
+    const { cookies: viewerCookies } = await login(VIEWER_EMAIL, VIEWER_PASSWORD);
+    const viewerRes = await makeRequest('POST', `/api/campaigns/${campaignId}/schedule`, { scheduled_at: '2099-01-01T09:00' }, viewerCookies);
+    if (viewerRes.status !== 403) {
+      throw new Error('Viewer should not be able to schedule campaigns');
+    }
+
+    // Wall-clock times are interpreted in the tenant timezone (Asia/Kolkata is UTC+5:30)
+    const scheduleRes = await makeRequest('POST', `/api/campaigns/${campaignId}/schedule`, { scheduled_at: '2099-01-01T09:00' }, ownerCookies);
+    if (scheduleRes.status !== 200 || scheduleRes.data?.data?.scheduled_at !== '2099-01-01T03:30:00.000Z') {
+      throw new Error(`Schedule failed or ignored tenant timezone: ${JSON.stringify(scheduleRes.data)}`);
+    }
+
+    // Scheduled campaigns cannot be edited or sent directly
+    const sendRes = await makeRequest('POST', `/api/campaigns/${campaignId}/send`, null, ownerCookies);
+    if (sendRes.status !== 400) {
+      throw new Error('Scheduled campaign should not be sendable directly');
+    }
+
+    // Reschedule with an absolute timestamp
+    const rescheduleRes = await makeRequest('PATCH', `/api/campaigns/${campaignId}/schedule`, { scheduled_at: '2099-02-01T12:00:00Z' }, ownerCookies);
+    if (rescheduleRes.status !== 200 || rescheduleRes.data?.data?.scheduled_at !== '2099-02-01T12:00:00.000Z') {
+      throw new Error('Reschedule failed');
+    }
+
+    // Cancel returns the campaign to draft
+    const cancelRes = await makeRequest('DELETE', `/api/campaigns/${campaignId}/schedule`, null, ownerCookies);
+    const afterCancel = await makeRequest('GET', `/api/campaigns/${campaignId}`, null, ownerCookies);
+    if (cancelRes.status !== 200 || afterCancel.data?.data?.status !== 'draft' || afterCancel.data?.data?.scheduled_at) {
+      throw new Error('Cancel did not return campaign to draft');
+    }
+
+    // Scheduler picks up due campaigns
+    const dueAt = new Date(Date.now() + 1500).toISOString();
+    const dueRes = await makeRequest('POST', `/api/campaigns/${campaignId}/schedule`, { scheduled_at: dueAt }, ownerCookies);
+    if (dueRes.status !== 200) {
+      throw new Error('Could not schedule campaign for near-term send');
+    }
+    await wait(3500);
+    const afterDue = await makeRequest('GET', `/api/campaigns/${campaignId}`, null, ownerCookies);
+    const dueStatus = afterDue.data?.data?.status;
+    // Either queued for sending, or returned to draft with a reason (e.g. subscription checks)
+    if (dueStatus === 'scheduled' || (dueStatus === 'draft' && !afterDue.data?.data?.schedule_error)) {
+      throw new Error(`Scheduler did not process due campaign (status: ${dueStatus})`);
+    }
+
+    console.log('✅ Campaign scheduling verified');
+  } catch (err) {
+    console.error('❌ Test failed:', err.message);
+    process.exitCode = 1;
+  } finally {
+    if (fixtures) fixtures.restore();
+    server.kill('SIGINT');
+  }
+}
+
+run();
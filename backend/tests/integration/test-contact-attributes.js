@@ -0,0 +1,222 @@
+/**
+ * Integration test: custom contact attributes
+ * Typed schema management, validation on create/update/import,
+ * attribute filters on the contact list and CSV export columns
+ */
+const http = require('http');
+const { spawn } = require('child_process');
+const path = require('path');
+const db = require('../../src/db');
+
+const TEST_PORT = process.env.TEST_PORT || '5067';
+const BASE_URL = `http://localhost:${TEST_PORT}`;
+
+const OWNER_EMAIL = 'admin@engageninja.local';
+const OWNER_PASSWORD = 'AdminPassword123';
+
+const makeRequest = (method, pathUrl, body = null, cookies = '') => {
+  return new Promise((resolve, reject) => {
+    const url = new URL(pathUrl, BASE_URL);
+    const options = {
+      method,
+      hostname: url.hostname,
+      port: url.port,
+      path: url.pathname + url.search,
+      headers: {
+        'Content-Type': 'application/json',
+        ...(cookies ? { Cookie: cookies } : {})
+      }
+    };
+    const req = http.request(options, (res) => {
+      let data = '';
+      res.on('data', chunk => data += chunk);
+      res.on('end', () => {
+        let parsed = data;
+        try { parsed = JSON.parse(data); } catch {}
+        resolve({ status: res.statusCode, data: parsed, headers: res.headers });
+      });
+    });
+    req.on('error', reject);
+    if (body) req.write(JSON.stringify(body));
+    req.end();
+  });
+};
+
+const login = async (email, password) => {
+  const res = await makeRequest('POST', '/api/auth/login', { email, password });
+  if (res.status !== 200) {
+    throw new Error(`Login failed for ${email}`);
+  }
+  const cookies = res.headers['set-cookie']?.map(c => c.split(';')[0]).join('; ');
+  return { cookies, body: res.data };
+};
+
+// Everything the test creates is keyed by this suffix so restore can find it
+const suffix = Date.now().toString().slice(-6);
+const phonePrefix = `+1557${suffix}`;
+const key = (name) => `${name}_${suffix}`;
+
+const restore = (tenantId) => {
+  const contactIds = db.prepare('SELECT id FROM contacts WHERE tenant_id = ? AND phone LIKE ?')
+    .all(tenantId, `${phonePrefix}%`).map(row => row.id);
+  contactIds.forEach(id => {
+    db.prepare('DELETE FROM contact_tags WHERE contact_id = ?').run(id);
+    db.prepare('DELETE FROM contacts WHERE id = ?').run(id);
+  });
+  db.prepare('DELETE FROM contact_attribute_definitions WHERE tenant_id = ? AND key LIKE ?').run(tenantId, `%_${suffix}`);
+};
+
+async function run() {
+  console.log('🧪 Testing custom contact attributes\n');
+  const server = spawn('node', ['src/index.js'], {
+    cwd: path.join(__dirname, '../..'),
+    env: {
+      ...process.env,
+      BACKEND_PORT: TEST_PORT,
+      NODE_ENV: 'test'
+    },
+    stdio: ['ignore', 'pipe', 'pipe']
+  });
+
+  await new Promise((resolve, reject) => {
+    const timeout = setTimeout(() => reject(new Error('Server did not start in time')), 8000);
+    server.stdout.on('data', (data) => {
+      if (data.toString().includes(`http://localhost:${TEST_PORT}`)) {
+        clearTimeout(timeout);
+        resolve();
+      }
+    });
+    server.on('exit', (code) => reject(new Error(`Server exited early with code ${code}`)));
+  });
+
+  let tenantId = null;
+  try {
+    const { cookies, body: loginBody } = await login(OWNER_EMAIL, OWNER_PASSWORD);
+    tenantId = loginBody.active_tenant_id || loginBody.tenants?.[0]?.tenant_id;
+
+    // Schema: one attribute of every type
+    const definitions = [
+      { key: key('city'), label: `City ${suffix}`, type: 'string' },
+      { key: key('points'), label: `Points ${suffix}`, type: 'number' },
+      { key: key('renews'), label: `Renews ${suffix}`, type: 'date' },
+      { key: key('vip'), label: `VIP ${suffix}`, type: 'boolean' },
+      { key: key('plan'), label: `Plan ${suffix}`, type: 'enum', options: ['Free', 'Gold'] }
+    ];
+    const ids = {};
+    for (const definition of definitions) {
+      const res = await makeRequest('POST', '/api/contacts/attributes', definition, cookies);
+      if (res.status !== 201 || res.data?.data?.key !== definition.key) {
+        throw new Error(`Attribute create failed: ${JSON.stringify(res.data)}`);
+      }
+      ids[definition.type] = res.data.data.id;
+    }
+
+    const duplicate = await makeRequest('POST', '/api/contacts/attributes', definitions[0], cookies);
+    const reserved = await makeRequest('POST', '/api/contacts/attributes', { key: 'phone', type: 'string' }, cookies);
+    const noOptions = await makeRequest('POST', '/api/contacts/attributes', { key: key('tier'), type: 'enum', options: [] }, cookies);
+    if (duplicate.status !== 409 || reserved.status !== 400 || noOptions.status !== 400) {
+      throw new Error('Duplicate, reserved and option-less definitions should be rejected');
+    }
+
+    // Key and type are fixed, but enum options can grow
+    const retype = await makeRequest('PATCH', `/api/contacts/attributes/${ids.enum}`, { type: 'string' }, cookies);
+    const addOption = await makeRequest('PATCH', `/api/contacts/attributes/${ids.enum}`, { options: ['Free', 'Gold', 'Platinum'] }, cookies);
+    if (retype.status !== 400 || addOption.data?.data?.options?.length !== 3) {
+      throw new Error(`Definition update rules not enforced: ${JSON.stringify(addOption.data)}`);
+    }
+
+    // Values are coerced to the attribute type on create
+    const createRes = await makeRequest('POST', '/api/contacts', {
+      name: `Attr Gold ${suffix}`,
+      phone: `${phonePrefix}1`,
+      custom_attributes: {
+        [key('city')]: 'Pune',
+        [key('points')]: '120',
+        [key('renews')]: '2027-01-31',
+        [key('vip')]: 'yes',
+        [key('plan')]: 'gold'
+      }
+    }, cookies);
+    const contactId = createRes.data?.contact_id;
+    if (createRes.status !== 201 || !contactId) {
+      throw new Error(`Contact create failed: ${JSON.stringify(createRes.data)}`);
+    }
+    const created = await makeRequest('GET', `/api/contacts/${contactId}`, null, cookies);
+    const stored = created.data?.contact?.custom_attributes || {};
+    if (stored[key('points')] !== 120 || stored[key('vip')] !== true || stored[key('plan')] !== 'Gold') {
+      throw new Error(`Values should be stored typed: ${JSON.stringify(stored)}`);
+    }
+
+    const badDate = await makeRequest('POST', '/api/contacts', {
+      name: 'Bad date', phone: `${phonePrefix}2`, custom_attributes: { [key('renews')]: '2027-02-30' }
+    }, cookies);
+    const unknownKey = await makeRequest('POST', '/api/contacts', {
+      name: 'Unknown', phone: `${phonePrefix}3`, custom_attributes: { nope: 'x' }
+    }, cookies);
+    if (badDate.status !== 400 || unknownKey.status !== 400) {
+      throw new Error('Invalid attribute values should be rejected');
+    }
+
+    // Updates only touch the keys sent; empty clears a value
+    const updateRes = await makeRequest('PUT', `/api/contacts/${contactId}`, {
+      custom_attributes: { [key('points')]: 200, [key('city')]: '' }
+    }, cookies);
+    const updated = await makeRequest('GET', `/api/contacts/${contactId}`, null, cookies);
+    const afterUpdate = updated.data?.contact?.custom_attributes || {};
+    if (updateRes.status !== 200 || afterUpdate[key('points')] !== 200 || key('city') in afterUpdate || afterUpdate[key('plan')] !== 'Gold') {
+      throw new Error(`Partial attribute update failed: ${JSON.stringify(afterUpdate)}`);
+    }
+
+    // Import maps attr.<key> columns and reports bad cells per row
+    const importRes = await makeRequest('POST', '/api/contacts/import', {
+      data: [
+        { name: `Attr Free ${suffix}`, phone: `${phonePrefix}4`, [`attr.${key('plan')}`]: 'FREE', [`attr.${key('vip')}`]: 'no' },
+        { name: `Attr Broken ${suffix}`, phone: `${phonePrefix}5`, [`attr.${key('points')}`]: 'lots' }
+      ]
+    }, cookies);
+    const importErrors = importRes.data?.data?.errors || [];
+    if (importRes.data?.data?.imported !== 1 || importErrors[0]?.row !== 2 || importErrors[0]?.field !== `attr.${key('points')}`) {
+      throw new Error(`Import should validate attribute columns: ${JSON.stringify(importRes.data)}`);
+    }
+
+    // List filters use attr[key]=value with type-aware matching
+    const goldList = await makeRequest('GET', `/api/contacts?attr[${key('plan')}]=GOLD`, null, cookies);
+    const notVipList = await makeRequest('GET', `/api/contacts?attr[${key('vip')}]=false`, null, cookies);
+    const badFilter = await makeRequest('GET', `/api/contacts?attr[${key('points')}]=abc`, null, cookies);
+    if (goldList.data?.pagination?.total !== 1 || goldList.data.contacts[0]?.id !== contactId) {
+      throw new Error(`Enum filter failed: ${JSON.stringify(goldList.data)}`);
+    }
+    if (notVipList.data?.pagination?.total !== 1 || notVipList.data.contacts[0]?.name !== `Attr Free ${suffix}`) {
+      throw new Error(`Boolean filter failed: ${JSON.stringify(notVipList.data)}`);
+    }
+    if (badFilter.status !== 400) {
+      throw new Error('Filters with values of the wrong type should be rejected');
+    }
+
+    // Export adds one column per attribute, labelled for people
+    const exportRes = await makeRequest('GET', '/api/contacts/export', null, cookies);
+    const csv = typeof exportRes.data === 'string' ? exportRes.data : '';
+    const header = csv.split('\n')[0];
+    const goldRow = csv.split('\n').find(line => line.includes(`${phonePrefix}1`)) || '';
+    if (exportRes.status !== 200 || !header.includes(`"Plan ${suffix}"`) || !goldRow.includes('"Gold"') || !goldRow.includes('"2027-01-31"')) {
+      throw new Error(`Export should include attribute columns: ${header}`);
+    }
+
+    // Deleting an attribute strips its values from contacts
+    const deleteRes = await makeRequest('DELETE', `/api/contacts/attributes/${ids.enum}`, null, cookies);
+    const afterDelete = await makeRequest('GET', `/api/contacts/${contactId}`, null, cookies);
+    if (deleteRes.data?.data?.contacts_cleared !== 2 || key('plan') in (afterDelete.data?.contact?.custom_attributes || {})) {
+      throw new Error(`Attribute delete should clear stored values: ${JSON.stringify(deleteRes.data)}`);
+    }
+
+    console.log('✅ Custom contact attributes verified');
+  } catch (err) {
+    console.error('❌ Test failed:', err.message);
+    process.exitCode = 1;
+  } finally {
+    if (tenantId) restore(tenantId);
+    server.kill('SIGINT');
+  }
+}
+
+run();
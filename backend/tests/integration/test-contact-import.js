@@ -0,0 +1,257 @@
+/**
+ * Integration test: background contact import jobs
+ * CSV/XLSX upload, suggested column mapping, skip/update/merge duplicate
+ * strategies, progress reporting and the rejected-rows report
+ */
+const http = require('http');
+const { spawn } = require('child_process');
+const path = require('path');
+const ExcelJS = require('exceljs');
+const db = require('../../src/db');
+
+const TEST_PORT = process.env.TEST_PORT || '5068';
+const BASE_URL = `http://localhost:${TEST_PORT}`;
+
+const OWNER_EMAIL = 'admin@engageninja.local';
+const OWNER_PASSWORD = 'AdminPassword123';
+
+const send = (method, pathUrl, { body = null, headers = {}, cookies = '' } = {}) => {
+  return new Promise((resolve, reject) => {
+    const url = new URL(pathUrl, BASE_URL);
+    const options = {
+      method,
+      hostname: url.hostname,
+      port: url.port,
+      path: url.pathname + url.search,
+      headers: {
+        ...headers,
+        ...(cookies ? { Cookie: cookies } : {})
+      }
+    };
+    const req = http.request(options, (res) => {
+      let data = '';
+      res.on('data', chunk => data += chunk);
+      res.on('end', () => {
+        let parsed = data;
+        try { parsed = JSON.parse(data); } catch {}
+        resolve({ status: res.statusCode, data: parsed, headers: res.headers });
+      });
+    });
+    req.on('error', reject);
+    if (body) req.write(body);
+    req.end();
+  });
+};
+
+const makeRequest = (method, pathUrl, body = null, cookies = '') =>
+  send(method, pathUrl, {
+    body: body ? JSON.stringify(body) : null,
+    headers: { 'Content-Type': 'application/json' },
+    cookies
+  });
+
+const uploadFile = (fileName, content, cookies) => {
+  const boundary = `----import${Date.now()}`;
+  const body = Buffer.concat([
+    Buffer.from(`--${boundary}\r\nContent-Disposition: form-data; name="file"; filename="${fileName}"\r\nContent-Type: application/octet-stream\r\n\r\n`),
+    Buffer.isBuffer(content) ? content : Buffer.from(content),
+    Buffer.from(`\r\n--${boundary}--\r\n`)
+  ]);
+  return send('POST', '/api/contacts/imports', {
+    body,
+    headers: { 'Content-Type': `multipart/form-data; boundary=${boundary}`, 'Content-Length': body.length },
+    cookies
+  });
+};
+
+const login = async (email, password) => {
+  const res = await makeRequest('POST', '/api/auth/login', { email, password });
+  if (res.status !== 200) {
+    throw new Error(`Login failed for ${email}`);
+  }
+  const cookies = res.headers['set-cookie']?.map(c => c.split(';')[0]).join('; ');
+  return { cookies, body: res.data };
+};
+
+const waitForJob = async (jobId, cookies) => {
+  for (let attempt = 0; attempt < 50; attempt++) {
+    const res = await makeRequest('GET', `/api/contacts/imports/${jobId}`, null, cookies);
+    if (['completed', 'failed'].includes(res.data?.data?.status)) return res.data.data;
+    await new Promise(resolve => setTimeout(resolve, 200));
+  }
+  throw new Error(`Import ${jobId} did not finish`);
+};
+
+// Everything the test creates is keyed by this suffix so restore can find it
+const suffix = Date.now().toString().slice(-6);
+const phonePrefix = `+1558${suffix}`;
+const planKey = `plan_${suffix}`;
+const planLabel = `Plan ${suffix}`;
+
+const restore = (tenantId) => {
+  const contactIds = db.prepare('SELECT id FROM contacts WHERE tenant_id = ? AND phone LIKE ?')
+    .all(tenantId, `${phonePrefix}%`).map(row => row.id);
+  contactIds.forEach(id => {
+    db.prepare('DELETE FROM contact_tags WHERE contact_id = ?').run(id);
+    db.prepare('DELETE FROM contacts WHERE id = ?').run(id);
+  });
+  db.prepare('DELETE FROM tags WHERE tenant_id = ? AND name LIKE ?').run(tenantId, `%_${suffix}`);
+  db.prepare('DELETE FROM contact_attribute_definitions WHERE tenant_id = ? AND key = ?').run(tenantId, planKey);
+  db.prepare('DELETE FROM contact_import_jobs WHERE tenant_id = ? AND file_name LIKE ?').run(tenantId, `%${suffix}%`);
+};
+
+async function run() {
+  console.log('🧪 Testing background contact imports\n');
+  const server = spawn('node', ['src/index.js'], {
+    cwd: path.join(__dirname, '../..'),
+    env: {
+      ...process.env,
+      BACKEND_PORT: TEST_PORT,
+      NODE_ENV: 'test'
+    },
+    stdio: ['ignore', 'pipe', 'pipe']
+  });
+
+  await new Promise((resolve, reject) => {
+    const timeout = setTimeout(() => reject(new Error('Server did not start in time')), 8000);
+    server.stdout.on('data', (data) => {
+      if (data.toString().includes(`http://localhost:${TEST_PORT}`)) {
+        clearTimeout(timeout);
+        resolve();
+      }
+    });
+    server.on('exit', (code) => reject(new Error(`Server exited early with code ${code}`)));
+  });
+
+  let tenantId = null;
+  try {
+    const { cookies, body: loginBody } = await login(OWNER_EMAIL, OWNER_PASSWORD);
+    tenantId = loginBody.active_tenant_id || loginBody.tenants?.[0]?.tenant_id;
+
+    await makeRequest('POST', '/api/contacts/attributes', {
+      key: planKey, label: planLabel, type: 'enum', options: ['Free', 'Gold']
+    }, cookies);
+    const seed = await makeRequest('POST', '/api/contacts/import', {
+      data: [{ name: `Existing ${suffix}`, phone: `${phonePrefix}1`, tags: `old_${suffix}` }]
+    }, cookies);
+    const existingId = db.prepare('SELECT id FROM contacts WHERE tenant_id = ? AND phone = ?').get(tenantId, `${phonePrefix}1`)?.id;
+    if (!existingId) {
+      throw new Error(`Could not seed contact: ${JSON.stringify(seed.data)}`);
+    }
+
+    // Upload: header names are matched to fields and custom attributes
+    const csv = [
+      `Full Name,Mobile,E-mail,${planLabel},Tags,Notes`,
+      `Renamed ${suffix},${phonePrefix}1,existing_${suffix}@example.com,gold,new_${suffix},x`,
+      `Fresh ${suffix},${phonePrefix}2,,Free,,y`,
+      `Bad Phone ${suffix},call me,,,,z`,
+      `Bad Plan ${suffix},${phonePrefix}3,,Platinum,,w`
+    ].join('\n');
+    const upload = await uploadFile(`contacts-${suffix}.csv`, csv, cookies);
+    const job = upload.data?.data?.job;
+    const suggested = upload.data?.data?.suggested_mapping || {};
+    if (upload.status !== 201 || job?.status !== 'mapping' || upload.data.data.preview.length !== 4) {
+      throw new Error(`Upload failed: ${JSON.stringify(upload.data)}`);
+    }
+    if (suggested['Full Name'] !== 'name' || suggested.Mobile !== 'phone' || suggested['E-mail'] !== 'email' || suggested[planLabel] !== `attr.${planKey}` || 'Notes' in suggested) {
+      throw new Error(`Unexpected suggested mapping: ${JSON.stringify(suggested)}`);
+    }
+
+    const wrongType = await uploadFile(`contacts-${suffix}.txt`, 'name,phone\n', cookies);
+    const noPhone = await makeRequest('POST', `/api/contacts/imports/${job.id}/start`, {
+      column_mapping: { 'Full Name': 'name' }, duplicate_strategy: 'merge'
+    }, cookies);
+    const badStrategy = await makeRequest('POST', `/api/contacts/imports/${job.id}/start`, {
+      column_mapping: suggested, duplicate_strategy: 'replace'
+    }, cookies);
+    if (wrongType.status !== 400 || noPhone.status !== 400 || badStrategy.status !== 400) {
+      throw new Error('Unsupported files, incomplete mappings and unknown strategies should be rejected');
+    }
+
+    // Merge fills blanks and adds tags, but keeps the existing name
+    const start = await makeRequest('POST', `/api/contacts/imports/${job.id}/start`, {
+      column_mapping: suggested, duplicate_strategy: 'merge'
+    }, cookies);
+    const restart = await makeRequest('POST', `/api/contacts/imports/${job.id}/start`, {
+      column_mapping: suggested, duplicate_strategy: 'merge'
+    }, cookies);
+    if (start.status !== 202 || restart.status !== 409) {
+      throw new Error(`Start should queue once: ${JSON.stringify(start.data)} ${JSON.stringify(restart.data)}`);
+    }
+    const merged = await waitForJob(job.id, cookies);
+    if (merged.status !== 'completed' || merged.total_rows !== 4 || merged.progress !== 100 ||
+        merged.created_rows !== 1 || merged.updated_rows !== 1 || merged.failed_rows !== 2) {
+      throw new Error(`Unexpected merge result: ${JSON.stringify(merged)}`);
+    }
+    const afterMerge = (await makeRequest('GET', `/api/contacts/${existingId}`, null, cookies)).data?.contact;
+    const mergedTags = (afterMerge?.tags || []).map(t => t.name || t);
+    if (afterMerge?.name !== `Existing ${suffix}` || afterMerge?.email !== `existing_${suffix}@example.com` ||
+        afterMerge?.custom_attributes?.[planKey] !== 'Gold' || !mergedTags.includes(`old_${suffix}`) || !mergedTags.includes(`new_${suffix}`)) {
+      throw new Error(`Merge should only fill blanks: ${JSON.stringify(afterMerge)}`);
+    }
+
+    // Rejected rows come back with their file row number and original cells
+    const report = await send('GET', `/api/contacts/imports/${job.id}/errors`, { cookies });
+    const lines = typeof report.data === 'string' ? report.data.trim().split('\n') : [];
+    if (report.status !== 200 || lines.length !== 3 || !lines[0].startsWith('"Row","Field","Error","Full Name"') ||
+        !lines[1].startsWith('"4","phone"') || !lines[2].startsWith(`"5","attr.${planKey}"`) || !lines[1].includes('"call me"')) {
+      throw new Error(`Unexpected error report: ${lines.join(' | ')}`);
+    }
+
+    // Update overwrites mapped columns and replaces tags (XLSX upload)
+    const workbook = new ExcelJS.Workbook();
+    const sheet = workbook.addWorksheet('Contacts');
+    sheet.addRow(['name', 'phone', 'tags']);
+    sheet.addRow([`Renamed ${suffix}`, `${phonePrefix}1`, `xlsx_${suffix}`]);
+    sheet.addRow([`Third ${suffix}`, `${phonePrefix}4`, '']);
+    const xlsxUpload = await uploadFile(`contacts-${suffix}.xlsx`, Buffer.from(await workbook.xlsx.writeBuffer()), cookies);
+    const xlsxJob = xlsxUpload.data?.data?.job;
+    if (xlsxUpload.status !== 201 || xlsxJob?.file_type !== 'xlsx') {
+      throw new Error(`XLSX upload failed: ${JSON.stringify(xlsxUpload.data)}`);
+    }
+    await makeRequest('POST', `/api/contacts/imports/${xlsxJob.id}/start`, {
+      column_mapping: xlsxUpload.data.data.suggested_mapping, duplicate_strategy: 'update'
+    }, cookies);
+    const updated = await waitForJob(xlsxJob.id, cookies);
+    const afterUpdate = (await makeRequest('GET', `/api/contacts/${existingId}`, null, cookies)).data?.contact;
+    const updatedTags = (afterUpdate?.tags || []).map(t => t.name || t);
+    if (updated.created_rows !== 1 || updated.updated_rows !== 1 || afterUpdate?.name !== `Renamed ${suffix}` ||
+        afterUpdate?.email !== `existing_${suffix}@example.com` || updatedTags.join() !== `xlsx_${suffix}`) {
+      throw new Error(`Update should overwrite mapped columns only: ${JSON.stringify(updated)} ${JSON.stringify(afterUpdate)}`);
+    }
+
+    // Skip leaves duplicates untouched
+    const skipUpload = await uploadFile(`contacts-skip-${suffix}.csv`, `name,phone\nIgnored ${suffix},${phonePrefix}1\n`, cookies);
+    await makeRequest('POST', `/api/contacts/imports/${skipUpload.data?.data?.job?.id}/start`, {
+      column_mapping: { name: 'name', phone: 'phone' }, duplicate_strategy: 'skip'
+    }, cookies);
+    const skipped = await waitForJob(skipUpload.data?.data?.job?.id, cookies);
+    const afterSkip = (await makeRequest('GET', `/api/contacts/${existingId}`, null, cookies)).data?.contact;
+    if (skipped.skipped_rows !== 1 || afterSkip?.name !== `Renamed ${suffix}`) {
+      throw new Error(`Skip should leave the contact alone: ${JSON.stringify(skipped)}`);
+    }
+
+    // The JSON import endpoint still reports duplicates as errors
+    const legacy = await makeRequest('POST', '/api/contacts/import', {
+      data: [{ name: 'Dup', phone: `${phonePrefix}1` }, { name: `Legacy ${suffix}`, phone: `${phonePrefix}5` }]
+    }, cookies);
+    if (legacy.data?.data?.imported !== 1 || legacy.data?.data?.errors?.[0]?.message !== 'Phone already exists for this tenant') {
+      throw new Error(`JSON import behaviour changed: ${JSON.stringify(legacy.data)}`);
+    }
+
+    const list = await makeRequest('GET', '/api/contacts/imports', null, cookies);
+    if (!list.data?.data?.some(j => j.id === job.id)) {
+      throw new Error('Import history should list started jobs');
+    }
+
+    console.log('✅ Background contact imports verified');
+  } catch (err) {
+    console.error('❌ Test failed:', err.message);
+    process.exitCode = 1;
+  } finally {
+    if (tenantId) restore(tenantId);
+    server.kill('SIGINT');
+  }
+}
+
+run();
@@ -0,0 +1,389 @@
+/**
+ * Integration test: pluggable email providers
+ * A tenant connects the email channel over SMTP to a local catch-all (like
+ * MailHog); transactional sends go out through it with tracking and
+ * List-Unsubscribe headers, and platform mail (invites) uses the provider
+ * configured by PLATFORM_EMAIL_PROVIDER.
+ */
+process.env.PLATFORM_EMAIL_PROVIDER = 'smtp';
+process.env.SMTP_HOST = '127.0.0.1';
+process.env.SMTP_USERNAME = 'platform';
+process.env.SMTP_PASSWORD = 'platform-secret';
+process.env.SENDER_EMAIL = 'noreply@engageninja.test';
+// The fake relay runs on this machine without TLS
+process.env.ALLOW_PRIVATE_NETWORK_TARGETS = 'true';
+process.env.SMTP_ALLOW_INSECURE_AUTH = 'true';
+
+const http = require('http');
+const net = require('net');
+const crypto = require('crypto');
+const { spawn } = require('child_process');
+const path = require('path');
+const db = require('../../src/db');
+const EmailService = require('../../src/services/emailService');
+const { getEmailProvider, getMissingEmailCredentials } = require('../../src/services/emailProviders');
+const { classifySendError, ERROR_CLASSES } = require('../../src/services/sendErrors');
+const { createSenderDomain } = require('../../src/services/senderDomains');
+
+const TEST_PORT = process.env.TEST_PORT || '5079';
+const BASE_URL = `http://localhost:${TEST_PORT}`;
+
+const OWNER_EMAIL = 'admin@engageninja.local';
+const OWNER_PASSWORD = 'AdminPassword123';
+
+const makeRequest = (method, pathUrl, body = null, cookies = '', headers = {}) => {
+  return new Promise((resolve, reject) => {
+    const url = new URL(pathUrl, BASE_URL);
+    const options = {
+      method,
+      hostname: url.hostname,
+      port: url.port,
+      path: url.pathname + url.search,
+      headers: {
+        'Content-Type': 'application/json',
+        ...(cookies ? { Cookie: cookies } : {}),
+        ...headers
+      }
+    };
+    const req = http.request(options, (res) => {
+      let data = '';
+      res.on('data', chunk => data += chunk);
+      res.on('end', () => {
+        let parsed = data;
+        try { parsed = JSON.parse(data); } catch {}
+        resolve({ status: res.statusCode, data: parsed, headers: res.headers });
+      });
+    });
+    req.on('error', reject);
+    if (body) req.write(JSON.stringify(body));
+    req.end();
+  });
+};
+
+const login = async (email, password) => {
+  const res = await makeRequest('POST', '/api/auth/login', { email, password });
+  if (res.status !== 200) {
+    throw new Error(`Login failed for ${email}`);
+  }
+  const cookies = res.headers['set-cookie']?.map(c => c.split(';')[0]).join('; ');
+  return { cookies, body: res.data };
+};
+
+/**
+ * Minimal SMTP catch-all: accepts every message, and AUTH PLAIN only for the platform login
+ */
+const startFakeSmtp = () => {
+  const received = [];
+  const logins = [];
+  const server = net.createServer((socket) => {
+    let buffer = '';
+    let inData = false;
+    let envelope = { from: null, to: [], authenticated: false };
+    const reply = (line) => socket.write(`${line}\r\n`);
+    socket.setEncoding('utf8');
+    reply('220 fake-smtp ready');
+
+    socket.on('data', (chunk) => {
+      buffer += chunk;
+      let index;
+      while (true) {
+        if (inData) {
+          index = buffer.indexOf('\r\n.\r\n');
+          if (index === -1) return;
+          const data = buffer.slice(0, index).replace(/^\.\./gm, '.');
+          buffer = buffer.slice(index + 5);
+          inData = false;
+          received.push({ ...envelope, data });
+          envelope = { from: null, to: [], authenticated: envelope.authenticated };
+          reply('250 2.0.0 queued');
+          continue;
+        }
+        index = buffer.indexOf('\r\n');
+        if (index === -1) return;
+        const line = buffer.slice(0, index);
+        buffer = buffer.slice(index + 2);
+        const verb = line.split(' ')[0].toUpperCase();
+        if (verb === 'EHLO') {
+          socket.write('250-fake-smtp\r\n250-AUTH PLAIN LOGIN\r\n250 8BITMIME\r\n');
+        } else if (verb === 'AUTH') {
+          const [, user, pass] = Buffer.from(line.split(' ')[2] || '', 'base64').toString('utf8').split('\u0000');
+          logins.push(user);
+          envelope.authenticated = user === 'platform' && pass === 'platform-secret';
+          reply(envelope.authenticated ? '235 2.7.0 ok' : '535 5.7.8 bad credentials');
+        } else if (verb === 'MAIL') {
+          envelope.from = line.match(/<(.*)>/)?.[1];
+          reply('250 ok');
+        } else if (verb === 'RCPT') {
+          envelope.to.push(line.match(/<(.*)>/)?.[1]);
+          reply('250 ok');
+        } else if (verb === 'DATA') {
+          inData = true;
+          reply('354 end with <CRLF>.<CRLF>');
+        } else if (verb === 'QUIT') {
+          reply('221 bye');
+          socket.end();
+        } else {
+          reply('250 ok');
+        }
+      }
+    });
+    socket.on('error', () => {});
+  });
+
+  return new Promise((resolve) => {
+    server.listen(0, '127.0.0.1', () => resolve({ server, port: server.address().port, received, logins }));
+  });
+};
+
+// Decoded text of each base64 MIME part
+const decodeParts = (data) => [...data.matchAll(/Content-Transfer-Encoding: base64\r\n\r\n([\s\S]*?)(?:\r\n--|$)/g)]
+  .map(match => Buffer.from(match[1].replace(/\s+/g, ''), 'base64').toString('utf8'));
+
+const getYearMonth = () => {
+  const now = new Date();
+  return `${now.getFullYear()}-${String(now.getMonth() + 1).padStart(2, '0')}`;
+};
+
+const waitFor = async (check, timeoutMs = 10000) => {
+  const deadline = Date.now() + timeoutMs;
+  while (Date.now() < deadline) {
+    const value = check();
+    if (value) return value;
+    await new Promise(resolve => setTimeout(resolve, 200));
+  }
+  return null;
+};
+
+// Email sends need a verified sender domain; returns a function that undoes this
+const ensureVerifiedSenderDomain = (tenantId, senderEmail) => {
+  const domain = senderEmail.split('@')[1].toLowerCase();
+  const existing = db.prepare('SELECT id, status FROM sender_domains WHERE tenant_id = ? AND domain = ?').get(tenantId, domain);
+  const id = existing ? existing.id : createSenderDomain(tenantId, domain).domain.id;
+  db.prepare("UPDATE sender_domains SET status = 'verified' WHERE id = ?").run(id);
+  return () => {
+    if (existing) {
+      db.prepare('UPDATE sender_domains SET status = ? WHERE id = ?').run(existing.status, id);
+    } else {
+      db.prepare('DELETE FROM sender_domains WHERE id = ?').run(id);
+    }
+  };
+};
+
+async function run() {
+  console.log('🧪 Testing pluggable email providers\n');
+
+  const smtp = await startFakeSmtp();
+  process.env.SMTP_PORT = String(smtp.port);
+
+  // Required fields per provider
+  if (getMissingEmailCredentials({ provider: 'ses', accessKeyId: 'a' }).join(',') !== 'secretAccessKey,region'
+    || getMissingEmailCredentials({ provider: 'smtp', smtpHost: 'localhost' }).length !== 0
+    || getEmailProvider({ provider: 'brevo', apiKey: 'k' }).name !== 'brevo') {
+    throw new Error('Provider credential requirements are wrong');
+  }
+
+  // Platform mail goes through PLATFORM_EMAIL_PROVIDER (SMTP here, with AUTH)
+  const quietLogger = { info: () => {}, warn: () => {}, error: () => {} };
+  const invite = await new EmailService(quietLogger).sendInvitationEmail({
+    email: 'new-hire@example.com',
+    token: 'invite-token-123',
+    role: 'member',
+    expiresAt: new Date(Date.now() + 7 * 86400000).toISOString(),
+    tenantName: 'Acme & Co'
+  });
+  const inviteMail = smtp.received.find(mail => mail.to.includes('new-hire@example.com'));
+  if (!invite.success || !inviteMail?.authenticated || inviteMail.from !== 'noreply@engageninja.test'
+    || !decodeParts(inviteMail.data).some(part => part.includes('/accept-invite?token=invite-token-123') && part.includes('Acme &amp; Co'))) {
+    throw new Error(`Invitation email not delivered through the platform provider: ${JSON.stringify(invite)}`);
+  }
+
+  // Rejected SMTP logins are auth failures (the channel gets paused, not retried)
+  const badLogin = await getEmailProvider({
+    provider: 'smtp', smtpHost: '127.0.0.1', smtpPort: smtp.port, smtpUsername: 'platform', smtpPassword: 'wrong'
+  }).send({ to: 'x@example.com', from: 'a@example.com', subject: 'x', textBody: 'x' }).then(() => null, err => err);
+  if (!badLogin || classifySendError(badLogin, 'email') !== ERROR_CLASSES.AUTH_FAILURE) {
+    throw new Error(`Rejected SMTP login should classify as auth_failure: ${badLogin?.message}`);
+  }
+
+  // Tenant relays must be public, and passwords only go over TLS unless that's turned off
+  const withEnv = async (overrides, fn) => {
+    const saved = Object.fromEntries(Object.keys(overrides).map(key => [key, process.env[key]]));
+    Object.assign(process.env, overrides);
+    try {
+      return await fn();
+    } finally {
+      Object.assign(process.env, saved);
+    }
+  };
+  const strict = { ALLOW_PRIVATE_NETWORK_TARGETS: 'false', SMTP_ALLOW_INSECURE_AUTH: 'false' };
+  const blocked = await withEnv(strict, () => Promise.all(['127.0.0.1', '169.254.169.254', '10.0.0.5'].map(smtpHost =>
+    getEmailProvider({ provider: 'smtp', smtpHost, smtpPort: smtp.port }).validateCredentials()
+  )));
+  if (blocked.some(result => result.valid || !/public mail server/.test(result.error))) {
+    throw new Error(`Private SMTP hosts should be refused: ${JSON.stringify(blocked)}`);
+  }
+  const loginsBefore = smtp.logins.length;
+  const plaintextLogin = await withEnv(strict, () => getEmailProvider({
+    provider: 'smtp', smtpHost: '127.0.0.1', smtpPort: smtp.port, smtpUsername: 'platform', smtpPassword: 'platform-secret'
+  }, { allowPrivateHost: true }).send({ to: 'x@example.com', from: 'a@example.com', subject: 'x', textBody: 'x' }).then(() => null, err => err));
+  if (!plaintextLogin || plaintextLogin.code !== 'ETLSREQUIRED' || smtp.logins.length !== loginsBefore) {
+    throw new Error(`AUTH without TLS should be refused: ${plaintextLogin?.message}`);
+  }
+  const rejected = await getEmailProvider({
+    provider: 'smtp', smtpHost: '127.0.0.1', smtpPort: smtp.port, smtpUsername: 'platform', smtpPassword: 'wrong'
+  }).validateCredentials();
+  if (rejected.valid || rejected.error !== 'The SMTP server rejected the username or password') {
+    throw new Error(`Credential checks should not echo the server's reply: ${JSON.stringify(rejected)}`);
+  }
+
+  const server = spawn('node', ['src/index.js'], {
+    cwd: path.join(__dirname, '../..'),
+    env: { ...process.env, BACKEND_PORT: TEST_PORT, NODE_ENV: 'test' },
+    stdio: ['ignore', 'pipe', 'pipe']
+  });
+
+  await new Promise((resolve, reject) => {
+    const timeout = setTimeout(() => reject(new Error('Server did not start in time')), 8000);
+    server.stdout.on('data', (data) => {
+      if (data.toString().includes(`http://localhost:${TEST_PORT}`)) {
+        clearTimeout(timeout);
+        resolve();
+      }
+    });
+    server.on('exit', (code) => reject(new Error(`Server exited early with code ${code}`)));
+  });
+
+  const suffix = crypto.randomUUID().slice(0, 8);
+  const contactEmail = `smtp-${suffix}@example.com`;
+  let tenantId = null;
+  let savedChannel = null;
+  let subscriptionId = null;
+  let usage = null;
+  let restoreSenderDomain = null;
+  try {
+    const { cookies, body: loginBody } = await login(OWNER_EMAIL, OWNER_PASSWORD);
+    tenantId = loginBody.active_tenant_id || loginBody.tenants?.[0]?.tenant_id;
+    savedChannel = db.prepare(`SELECT * FROM tenant_channel_settings WHERE tenant_id = ? AND channel = 'email'`).get(tenantId);
+    usage = db.prepare('SELECT * FROM usage_counters WHERE tenant_id = ? AND year_month = ?')
+      .get(tenantId, getYearMonth()) || null;
+    if (!db.prepare('SELECT id FROM subscriptions WHERE tenant_id = ?').get(tenantId)) {
+      subscriptionId = crypto.randomUUID();
+      const now = new Date();
+      db.prepare(`
+        INSERT INTO subscriptions (id, tenant_id, provider, provider_subscription_id, plan_key, status, current_period_start, current_period_end)
+        VALUES (?, ?, 'stripe', ?, 'growth', 'active', ?, ?)
+      `).run(subscriptionId, tenantId, `sub_test_${suffix}`, now.toISOString(), new Date(now.getTime() + 86400000).toISOString());
+    }
+
+    const connect = (body) => makeRequest('POST', '/api/settings/channels/email', {
+      provider: 'smtp', verifiedSenderEmail: 'campaigns@acme.test', ...body
+    }, cookies);
+
+    const unknown = await connect({ provider: 'mailgun', apiKey: 'x' });
+    const noHost = await connect({});
+    const closedPort = await new Promise(resolve => {
+      const probe = net.createServer().listen(0, '127.0.0.1', () => {
+        const { port } = probe.address();
+        probe.close(() => resolve(port));
+      });
+    });
+    const unreachable = await connect({ smtpHost: '127.0.0.1', smtpPort: closedPort });
+    if (unknown.status !== 400 || noHost.status !== 400 || unreachable.status !== 400 || unreachable.data.error !== 'Invalid Credentials') {
+      throw new Error(`Bad SMTP settings should be rejected: ${unknown.status} ${noHost.status} ${JSON.stringify(unreachable.data)}`);
+    }
+
+    const connected = await connect({ smtpHost: '127.0.0.1', smtpPort: smtp.port });
+    if (connected.status !== 201 || connected.data.provider !== 'smtp') {
+      throw new Error(`SMTP channel connect failed: ${JSON.stringify(connected.data)}`);
+    }
+    const channels = await makeRequest('GET', '/api/settings/channels', null, cookies);
+    const health = await makeRequest('GET', '/api/settings/channels/email/health', null, cookies);
+    const emailChannel = channels.data.email;
+    if (emailChannel?.smtp_host !== '127.0.0.1' || emailChannel?.smtp_port !== smtp.port || health.data.data?.credential_status !== 'ok') {
+      throw new Error(`SMTP settings not reported: ${JSON.stringify(emailChannel)} ${JSON.stringify(health.data)}`);
+    }
+
+    // A transactional email goes out through the tenant's SMTP relay
+    restoreSenderDomain = ensureVerifiedSenderDomain(tenantId, 'campaigns@acme.test');
+    const sent = await makeRequest('POST', '/api/messages', {
+      channel: 'email',
+      contact: { email: contactEmail, name: 'Smtp Tester', consent_email: true },
+      subject: 'Your receipt',
+      htmlBody: '<html><body><p>Thanks {{name}}</p><a href="https://example.com/receipt">Receipt</a></body></html>',
+      textBody: 'Thanks {{name}}',
+      variables: { name: 'Smtp Tester' }
+    }, cookies);
+    if (sent.status !== 202) {
+      throw new Error(`Transactional send failed: ${JSON.stringify(sent.data)}`);
+    }
+    const messageId = sent.data.data.id;
+
+    const mail = await waitFor(() => smtp.received.find(item => item.to.includes(contactEmail)));
+    if (!mail) {
+      throw new Error('Email never reached the SMTP server');
+    }
+    const [textPart, htmlPart] = decodeParts(mail.data);
+    if (mail.from !== 'campaigns@acme.test' || !/^Subject: Your receipt$/m.test(mail.data)
+      || !/^List-Unsubscribe: <http[^>]+>$/m.test(mail.data) || !/^List-Unsubscribe-Post: List-Unsubscribe=One-Click$/m.test(mail.data)
+      || !textPart?.includes('Thanks Smtp Tester') || !htmlPart?.includes('/api/track/open/') || !htmlPart.includes('/api/track/click/')) {
+      throw new Error(`Delivered MIME message is wrong:\n${mail.data}`);
+    }
+
+    const message = await waitFor(() => {
+      const row = db.prepare('SELECT status, provider, provider_message_id FROM messages WHERE id = ?').get(messageId);
+      return row?.status === 'delivered' ? row : null;
+    });
+    const headerId = mail.data.match(/^Message-ID: <(.+)>$/m)?.[1];
+    if (!message || message.provider !== 'smtp' || message.provider_message_id !== headerId) {
+      throw new Error(`Message should record the SMTP Message-ID: ${JSON.stringify(message)} ${headerId}`);
+    }
+
+    console.log('✅ Email providers verified');
+  } catch (err) {
+    console.error('❌ Test failed:', err.message);
+    process.exitCode = 1;
+  } finally {
+    server.kill('SIGINT');
+    await new Promise(resolve => server.once('exit', resolve));
+    smtp.server.close();
+    if (restoreSenderDomain) {
+      restoreSenderDomain();
+    }
+    if (tenantId) {
+      const contactIds = db.prepare('SELECT id FROM contacts WHERE tenant_id = ? AND email = ?').all(tenantId, contactEmail).map(row => row.id);
+      contactIds.forEach((contactId) => {
+        db.prepare(`DELETE FROM jobs WHERE dedupe_key IN (SELECT 'message:' || id FROM messages WHERE contact_id = ?)`).run(contactId);
+        db.prepare('DELETE FROM email_tracking_events WHERE message_id IN (SELECT id FROM messages WHERE contact_id = ?)').run(contactId);
+        db.prepare('DELETE FROM message_status_events WHERE message_id IN (SELECT id FROM messages WHERE contact_id = ?)').run(contactId);
+        db.prepare('DELETE FROM messages WHERE contact_id = ?').run(contactId);
+        db.prepare('DELETE FROM contacts WHERE id = ?').run(contactId);
+      });
+      if (savedChannel) {
+        db.prepare(`
+          UPDATE tenant_channel_settings
+          SET provider = ?, credentials_encrypted = ?, verified_sender_email = ?, is_connected = ?, connected_at = ?,
+              send_rate_per_second = ?, daily_send_limit = ?, sends_paused_at = ?, sends_paused_reason = ?
+          WHERE id = ?
+        `).run(savedChannel.provider, savedChannel.credentials_encrypted, savedChannel.verified_sender_email, savedChannel.is_connected,
+          savedChannel.connected_at, savedChannel.send_rate_per_second, savedChannel.daily_send_limit, savedChannel.sends_paused_at,
+          savedChannel.sends_paused_reason, savedChannel.id);
+      } else {
+        db.prepare(`DELETE FROM tenant_channel_settings WHERE tenant_id = ? AND channel = 'email'`).run(tenantId);
+      }
+      if (subscriptionId) {
+        db.prepare('DELETE FROM subscriptions WHERE id = ?').run(subscriptionId);
+      }
+      if (usage) {
+        db.prepare('UPDATE usage_counters SET email_messages_sent = ? WHERE tenant_id = ? AND year_month = ?')
+          .run(usage.email_messages_sent, tenantId, usage.year_month);
+      } else {
+        db.prepare('DELETE FROM usage_counters WHERE tenant_id = ? AND year_month = ?').run(tenantId, getYearMonth());
+      }
+    }
+  }
+}
+
+run().catch(err => {
+  console.error('❌ Test failed:', err.message);
+  process.exitCode = 1;
+});
@@ -0,0 +1,209 @@
+/**
+ * Integration test: email open and click tracking
+ * Links in email HTML are rewritten through signed click URLs with an open pixel
+ * appended; the public tracking endpoints record opens and clicks per message and
+ * per link, and campaign metrics and the ROI snapshot report them.
+ */
+process.env.EMAIL_TRACKING_SECRET = process.env.EMAIL_TRACKING_SECRET || 'test-email-tracking-secret';
+
+const http = require('http');
+const crypto = require('crypto');
+const { spawn } = require('child_process');
+const path = require('path');
+const db = require('../../src/db');
+const metricsEmitter = require('../../src/services/metricsEmitter');
+const { addEmailTracking, createTrackingToken } = require('../../src/services/emailTracking');
+
+const TEST_PORT = process.env.TEST_PORT || '5078';
+const BASE_URL = `http://localhost:${TEST_PORT}`;
+
+const OWNER_EMAIL = 'admin@engageninja.local';
+const OWNER_PASSWORD = 'AdminPassword123';
+
+const makeRequest = (method, pathUrl, body = null, cookies = '', headers = {}) => {
+  return new Promise((resolve, reject) => {
+    const url = new URL(pathUrl, BASE_URL);
+    const options = {
+      method,
+      hostname: url.hostname,
+      port: url.port,
+      path: url.pathname + url.search,
+      headers: {
+        'Content-Type': 'application/json',
+        ...(cookies ? { Cookie: cookies } : {}),
+        ...headers
+      }
+    };
+    const req = http.request(options, (res) => {
+      let data = '';
+      res.on('data', chunk => data += chunk);
+      res.on('end', () => {
+        let parsed = data;
+        try { parsed = JSON.parse(data); } catch {}
+        resolve({ status: res.statusCode, data: parsed, headers: res.headers });
+      });
+    });
+    req.on('error', reject);
+    if (body) req.write(JSON.stringify(body));
+    req.end();
+  });
+};
+
+const login = async (email, password) => {
+  const res = await makeRequest('POST', '/api/auth/login', { email, password });
+  if (res.status !== 200) {
+    throw new Error(`Login failed for ${email}`);
+  }
+  const cookies = res.headers['set-cookie']?.map(c => c.split(';')[0]).join('; ');
+  return { cookies, body: res.data };
+};
+
+const trackingPath = (url) => new URL(url).pathname;
+
+async function run() {
+  console.log('🧪 Testing email open and click tracking\n');
+
+  // Rewriting: http(s) links are tracked, other links and placeholders are not
+  const messageIdForRewrite = crypto.randomUUID();
+  const tracked = addEmailTracking(
+    '<html><body><a href="https://example.com/a?x=1&amp;y=2">A</a> <a href=\'mailto:hi@example.com\'>Mail</a> <a href="{{unsubscribe_url}}">U</a></body></html>',
+    messageIdForRewrite
+  );
+  const clickUrls = tracked.match(/\/api\/track\/click\/[\w.-]+/g) || [];
+  if (clickUrls.length !== 1 || !tracked.includes('mailto:hi@example.com') || !tracked.includes('{{unsubscribe_url}}')
+    || !/\/api\/track\/open\/[\w.-]+" width="1" height="1"[^>]*\/><\/body>/.test(tracked)) {
+    throw new Error(`Link rewriting produced unexpected HTML: ${tracked}`);
+  }
+
+  const server = spawn('node', ['src/index.js'], {
+    cwd: path.join(__dirname, '../..'),
+    env: { ...process.env, BACKEND_PORT: TEST_PORT, NODE_ENV: 'test' },
+    stdio: ['ignore', 'pipe', 'pipe']
+  });
+
+  await new Promise((resolve, reject) => {
+    const timeout = setTimeout(() => reject(new Error('Server did not start in time')), 8000);
+    server.stdout.on('data', (data) => {
+      if (data.toString().includes(`http://localhost:${TEST_PORT}`)) {
+        clearTimeout(timeout);
+        resolve();
+      }
+    });
+    server.on('exit', (code) => reject(new Error(`Server exited early with code ${code}`)));
+  });
+
+  const campaignId = crypto.randomUUID();
+  const contactId = crypto.randomUUID();
+  const messageId = crypto.randomUUID();
+  const providerMessageId = `ses-tracking-${messageId}`;
+  let tenantId = null;
+  try {
+    const { cookies, body: loginBody } = await login(OWNER_EMAIL, OWNER_PASSWORD);
+    tenantId = loginBody.active_tenant_id || loginBody.tenants?.[0]?.tenant_id;
+
+    const now = new Date().toISOString();
+    db.prepare(`
+      INSERT INTO contacts (id, tenant_id, name, email, consent_email, created_at, updated_at)
+      VALUES (?, ?, 'Tracking Test', ?, 1, ?, ?)
+    `).run(contactId, tenantId, `tracking-${contactId.slice(0, 8)}@example.com`, now, now);
+    db.prepare(`
+      INSERT INTO campaigns (id, tenant_id, name, channel, status, message_content, sent_at, created_at, updated_at)
+      VALUES (?, ?, 'Tracking Test', 'email', 'sent', ?, ?, ?, ?)
+    `).run(campaignId, tenantId, JSON.stringify({ subject: 'Hi', htmlBody: '<p>Hi</p>' }), now, now, now);
+    db.prepare(`
+      INSERT INTO messages (id, tenant_id, campaign_id, contact_id, channel, provider, provider_message_id, status, sent_at, delivered_at, created_at, updated_at)
+      VALUES (?, ?, ?, ?, 'email', 'ses', ?, 'delivered', ?, ?, ?, ?)
+    `).run(messageId, tenantId, campaignId, contactId, providerMessageId, now, now, now, now);
+
+    const openPath = `/api/track/open/${createTrackingToken({ m: messageId })}`;
+    const pricingUrl = 'https://example.com/pricing?plan=growth&ref=email';
+    const clickPath = `/api/track/click/${createTrackingToken({ m: messageId, u: pricingUrl })}`;
+
+    // Opens: the pixel marks the message read once and counts every open
+    const open = await makeRequest('GET', openPath);
+    await makeRequest('GET', openPath, null, '', { 'User-Agent': 'TrackingTest/1.0' });
+    if (open.status !== 200 || open.headers['content-type'] !== 'image/gif' || !/no-store/.test(open.headers['cache-control'])) {
+      throw new Error(`Open pixel should be an uncached GIF: ${open.status} ${open.headers['content-type']}`);
+    }
+    const opened = db.prepare('SELECT status, read_at, open_count FROM messages WHERE id = ?').get(messageId);
+    const readEvents = db.prepare(`SELECT COUNT(*) as count FROM message_status_events WHERE message_id = ? AND new_status = 'read'`).get(messageId).count;
+    if (opened.status !== 'read' || !opened.read_at || opened.open_count !== 2 || readEvents !== 1) {
+      throw new Error(`Opens recorded incorrectly: ${JSON.stringify(opened)} (${readEvents} read events)`);
+    }
+
+    // A bad token still gets the image, and records nothing
+    const badOpen = await makeRequest('GET', `${openPath}x`);
+    if (badOpen.status !== 200 || badOpen.headers['content-type'] !== 'image/gif') {
+      throw new Error('Invalid open tokens should still return the pixel');
+    }
+
+    // Clicks: redirect to the signed URL only
+    const click = await makeRequest('GET', clickPath);
+    if (click.status !== 302 || click.headers.location !== pricingUrl) {
+      throw new Error(`Click should redirect to the original link: ${click.status} ${click.headers.location}`);
+    }
+    const [payload, signature] = clickPath.split('/').pop().split('.');
+    const forged = Buffer.from(JSON.stringify({ m: messageId, u: 'https://evil.example.com' })).toString('base64url');
+    const tampered = await makeRequest('GET', `/api/track/click/${forged}.${signature}`);
+    const notHttp = await makeRequest('GET', `/api/track/click/${createTrackingToken({ m: messageId, u: 'javascript:alert(1)' })}`);
+    if (!payload || tampered.status !== 404 || notHttp.status !== 404) {
+      throw new Error('Forged or non-http click links should not redirect');
+    }
+
+    // SES click notifications are recorded the same way
+    const sesClick = await makeRequest('POST', '/webhooks/email', {
+      Type: 'Notification',
+      Message: JSON.stringify({
+        eventType: 'Click',
+        mail: { messageId: providerMessageId, timestamp: now, destination: ['tracking@example.com'] },
+        click: { link: 'https://example.com/docs', ipAddress: '203.0.113.7', userAgent: 'SES' }
+      })
+    });
+    if (sesClick.status !== 200) {
+      throw new Error(`SES click notification failed: ${JSON.stringify(sesClick.data)}`);
+    }
+    const clicked = db.prepare('SELECT click_count, first_clicked_at FROM messages WHERE id = ?').get(messageId);
+    const sources = db.prepare(`
+      SELECT source FROM email_tracking_events WHERE message_id = ? AND event_type = 'click' ORDER BY source
+    `).all(messageId).map(row => row.source);
+    if (clicked.click_count !== 2 || !clicked.first_clicked_at || sources.join(',') !== 'link,ses') {
+      throw new Error(`Clicks recorded incorrectly: ${JSON.stringify(clicked)} ${sources.join(',')}`);
+    }
+
+    // Campaign metrics report opens, clicks and clicks per link
+    const metrics = await makeRequest('GET', `/api/campaigns/${campaignId}/metrics`, null, cookies);
+    const { engagement, links } = metrics.data;
+    if (metrics.status !== 200 || engagement.opened !== 1 || engagement.clicked !== 1 || engagement.total_opens !== 2
+      || engagement.total_clicks !== 2 || engagement.open_rate !== 100 || engagement.click_rate !== 100) {
+      throw new Error(`Campaign engagement incorrect: ${JSON.stringify(engagement)}`);
+    }
+    if (links.length !== 2 || !links.some(link => link.url === pricingUrl && link.clicks === 1 && link.unique_clicks === 1)) {
+      throw new Error(`Link clicks incorrect: ${JSON.stringify(links)}`);
+    }
+
+    const roi = await makeRequest('GET', '/api/campaigns/roi-snapshot?limit=100', null, cookies);
+    if (roi.status !== 200 || !(roi.data.data.email?.total_clicks >= 2)) {
+      throw new Error(`ROI snapshot should include email engagement: ${JSON.stringify(roi.data.data?.email)}`);
+    }
+
+    console.log('✅ Email open and click tracking verified');
+  } catch (err) {
+    console.error('❌ Test failed:', err.message);
+    process.exitCode = 1;
+  } finally {
+    server.kill('SIGINT');
+    await new Promise(resolve => server.once('exit', resolve));
+    db.prepare('DELETE FROM email_tracking_events WHERE message_id = ?').run(messageId);
+    db.prepare('DELETE FROM message_status_events WHERE message_id = ?').run(messageId);
+    db.prepare('DELETE FROM messages WHERE id = ?').run(messageId);
+    db.prepare('DELETE FROM campaigns WHERE id = ?').run(campaignId);
+    db.prepare('DELETE FROM contacts WHERE id = ?').run(contactId);
+    metricsEmitter.shutdown();
+  }
+}
+
+run().catch(err => {
+  console.error('❌ Test failed:', err.message);
+  metricsEmitter.shutdown();
+  process.exitCode = 1;
+});
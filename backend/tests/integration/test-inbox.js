@@ -0,0 +1,286 @@
+/**
+ * Integration test: shared inbox
+ * Posts inbound WhatsApp webhooks and checks conversation threading, assignment,
+ * the 24-hour customer-service window and receipts for inbox replies
+ */
+const http = require('http');
+const crypto = require('crypto');
+const { spawn } = require('child_process');
+const path = require('path');
+const db = require('../../src/db');
+
+const TEST_PORT = process.env.TEST_PORT || '5063';
+const BASE_URL = `http://localhost:${TEST_PORT}`;
+
+const OWNER_EMAIL = 'admin@engageninja.local';
+const OWNER_PASSWORD = 'AdminPassword123';
+
+const makeRequest = (method, pathUrl, body = null, cookies = '') => {
+  return new Promise((resolve, reject) => {
+    const url = new URL(pathUrl, BASE_URL);
+    const options = {
+      method,
+      hostname: url.hostname,
+      port: url.port,
+      path: url.pathname + url.search,
+      headers: {
+        'Content-Type': 'application/json',
+        ...(cookies ? { Cookie: cookies } : {})
+      }
+    };
+    const req = http.request(options, (res) => {
+      let data = '';
+      res.on('data', chunk => data += chunk);
+      res.on('end', () => {
+        let parsed = data;
+        try { parsed = JSON.parse(data); } catch {}
+        resolve({ status: res.statusCode, data: parsed, headers: res.headers });
+      });
+    });
+    req.on('error', reject);
+    if (body) req.write(JSON.stringify(body));
+    req.end();
+  });
+};
+
+const login = async (email, password) => {
+  const res = await makeRequest('POST', '/api/auth/login', { email, password });
+  if (res.status !== 200) {
+    throw new Error(`Login failed for ${email}`);
+  }
+  const cookies = res.headers['set-cookie']?.map(c => c.split(';')[0]).join('; ');
+  return { cookies, body: res.data };
+};
+
+const encryptCredentials = (data) => {
+  const encryptionKey = process.env.ENCRYPTION_KEY || 'default-dev-key-change-in-production';
+  const key = crypto.createHash('sha256').update(encryptionKey).digest().subarray(0, 24);
+  const iv = Buffer.alloc(16, 0);
+  const cipher = crypto.createCipheriv('aes-192-cbc', key, iv);
+  let encrypted = cipher.update(JSON.stringify(data), 'utf8', 'hex');
+  encrypted += cipher.final('hex');
+  return encrypted;
+};
+
+const inboundPayload = (phoneNumberId, from, messages) => ({
+  object: 'whatsapp_business_account',
+  entry: [
+    {
+      id: 'waba-test',
+      changes: [
+        {
+          field: 'messages',
+          value: {
+            messaging_product: 'whatsapp',
+            metadata: { display_phone_number: '15550000000', phone_number_id: phoneNumberId },
+            contacts: [{ wa_id: from, profile: { name: 'Inbox Tester' } }],
+            messages
+          }
+        }
+      ]
+    }
+  ]
+});
+
+const textMessage = (from, body) => ({
+  id: `wamid.inbox${crypto.randomBytes(8).toString('hex')}`,
+  from,
+  timestamp: String(Math.floor(Date.now() / 1000)),
+  type: 'text',
+  text: { body }
+});
+
+// Connected WhatsApp channel with a unique phone_number_id; restored afterwards
+const ensureFixtures = (tenantId) => {
+  const phoneNumberId = `inbox-test-${Date.now()}`;
+  const existing = db.prepare(`
+    SELECT * FROM tenant_channel_settings WHERE tenant_id = ? AND channel = 'whatsapp'
+  `).get(tenantId);
+
+  const credentials = encryptCredentials({ phone_number_id: phoneNumberId, access_token: 'inbox-test-token' });
+  if (existing) {
+    db.prepare(`
+      UPDATE tenant_channel_settings SET credentials_encrypted = ?, is_connected = 1 WHERE id = ?
+    `).run(credentials, existing.id);
+  } else {
+    db.prepare(`
+      INSERT INTO tenant_channel_settings (id, tenant_id, channel, provider, credentials_encrypted, is_connected)
+      VALUES (?, ?, 'whatsapp', 'whatsapp_cloud', ?, 1)
+    `).run(crypto.randomUUID(), tenantId, credentials);
+  }
+
+  const templateId = crypto.randomUUID();
+  db.prepare(`
+    INSERT INTO whatsapp_templates (id, tenant_id, name, status, body_template)
+    VALUES (?, ?, 'inbox_test_pending', 'PENDING', 'Hello there')
+  `).run(templateId, tenantId);
+
+  const sender = `1555${Date.now().toString().slice(-7)}`;
+
+  return {
+    phoneNumberId,
+    sender,
+    templateId,
+    restore: () => {
+      const contact = db.prepare(`SELECT id FROM contacts WHERE tenant_id = ? AND phone = ?`).get(tenantId, `+${sender}`);
+      if (contact) {
+        db.prepare(`
+          DELETE FROM conversation_messages WHERE conversation_id IN (SELECT id FROM conversations WHERE contact_id = ?)
+        `).run(contact.id);
+        db.prepare('DELETE FROM conversations WHERE contact_id = ?').run(contact.id);
+        db.prepare('DELETE FROM contacts WHERE id = ?').run(contact.id);
+      }
+      db.prepare('DELETE FROM whatsapp_templates WHERE id = ?').run(templateId);
+      if (existing) {
+        db.prepare(`
+          UPDATE tenant_channel_settings SET credentials_encrypted = ?, is_connected = ? WHERE id = ?
+        `).run(existing.credentials_encrypted, existing.is_connected, existing.id);
+      } else {
+        db.prepare(`DELETE FROM tenant_channel_settings WHERE tenant_id = ? AND channel = 'whatsapp'`).run(tenantId);
+      }
+    }
+  };
+};
+
+async function run() {
+  console.log('🧪 Testing shared inbox\n');
+  const server = spawn('node', ['src/index.js'], {
+    cwd: path.join(__dirname, '../..'),
+    env: { ...process.env, BACKEND_PORT: TEST_PORT, NODE_ENV: 'test', ENABLE_WEBHOOK_VERIFICATION: 'false' },
+    stdio: ['ignore', 'pipe', 'pipe']
+  });
+
+  await new Promise((resolve, reject) => {
+    const timeout = setTimeout(() => reject(new Error('Server did not start in time')), 8000);
+    server.stdout.on('data', (data) => {
+      if (data.toString().includes(`http://localhost:${TEST_PORT}`)) {
+        clearTimeout(timeout);
+        resolve();
+      }
+    });
+    server.on('exit', (code) => reject(new Error(`Server exited early with code ${code}`)));
+  });
+
+  let fixtures = null;
+  try {
+    const { cookies, body: loginBody } = await login(OWNER_EMAIL, OWNER_PASSWORD);
+    const tenantId = loginBody.active_tenant_id || loginBody.tenants?.[0]?.tenant_id;
+    const userId = loginBody.user?.id || loginBody.user_id;
+    fixtures = ensureFixtures(tenantId);
+    const { phoneNumberId, sender, templateId } = fixtures;
+
+    // Inbound text creates a contact and an open thread
+    const first = textMessage(sender, 'Hi, where is my order?');
+    const inboundRes = await makeRequest('POST', '/webhooks/whatsapp', inboundPayload(phoneNumberId, sender, [first]));
+    if (inboundRes.status !== 200 || inboundRes.data?.processed !== 1) {
+      throw new Error(`Inbound webhook failed: ${JSON.stringify(inboundRes.data)}`);
+    }
+
+    // Re-delivered webhook is not stored twice
+    await makeRequest('POST', '/webhooks/whatsapp', inboundPayload(phoneNumberId, sender, [first]));
+    const stored = db.prepare('SELECT COUNT(*) as count FROM conversation_messages WHERE provider_message_id = ?').get(first.id);
+    if (stored.count !== 1) {
+      throw new Error(`Duplicate inbound message stored ${stored.count} times`);
+    }
+
+    const listRes = await makeRequest('GET', '/api/inbox/conversations?status=open', null, cookies);
+    const conversation = listRes.data?.data?.find(c => c.contact.phone === `+${sender}`);
+    if (!conversation) {
+      throw new Error('Inbound conversation should be listed');
+    }
+    if (!conversation.window_open || conversation.unread_count !== 1 || conversation.contact.name !== 'Inbox Tester') {
+      throw new Error(`Unexpected conversation summary: ${JSON.stringify(conversation)}`);
+    }
+
+    const threadRes = await makeRequest('GET', `/api/inbox/conversations/${conversation.id}`, null, cookies);
+    const messages = threadRes.data?.data?.messages || [];
+    if (messages.length !== 1 || messages[0].direction !== 'inbound' || messages[0].body !== 'Hi, where is my order?') {
+      throw new Error(`Unexpected thread: ${JSON.stringify(messages)}`);
+    }
+    const unread = db.prepare('SELECT unread_count FROM conversations WHERE id = ?').get(conversation.id);
+    if (unread.unread_count !== 0) {
+      throw new Error('Opening a thread should mark it read');
+    }
+
+    // Inbound for an unknown number is ignored
+    await makeRequest('POST', '/webhooks/whatsapp', inboundPayload('unknown-phone-id', sender, [textMessage(sender, 'lost')]));
+    const count = db.prepare('SELECT COUNT(*) as count FROM conversation_messages WHERE conversation_id = ?').get(conversation.id);
+    if (count.count !== 1) {
+      throw new Error('Messages to an unknown phone_number_id must not be stored');
+    }
+
+    // Assignment
+    const badAssign = await makeRequest('PATCH', `/api/inbox/conversations/${conversation.id}`, { assigned_user_id: crypto.randomUUID() }, cookies);
+    if (badAssign.status !== 400) {
+      throw new Error('Assigning to a non-member should be rejected');
+    }
+    const assignRes = await makeRequest('PATCH', `/api/inbox/conversations/${conversation.id}`, { assigned_user_id: userId }, cookies);
+    if (assignRes.status !== 200 || assignRes.data?.data?.assigned_user?.id !== userId) {
+      throw new Error(`Assignment failed: ${JSON.stringify(assignRes.data)}`);
+    }
+    const mineRes = await makeRequest('GET', '/api/inbox/conversations?assignee=me', null, cookies);
+    if (!mineRes.data?.data?.some(c => c.id === conversation.id)) {
+      throw new Error('Assigned conversation should appear under assignee=me');
+    }
+
+    // Free-form text is blocked once the window closes
+    const expired = new Date(Date.now() - 25 * 60 * 60 * 1000).toISOString();
+    db.prepare('UPDATE conversations SET last_inbound_at = ? WHERE id = ?').run(expired, conversation.id);
+    const closedWindow = await makeRequest('POST', `/api/inbox/conversations/${conversation.id}/messages`, { type: 'text', text: 'Following up' }, cookies);
+    if (closedWindow.status !== 400 || closedWindow.data?.error !== 'Window Closed') {
+      throw new Error(`Text outside the window should be rejected: ${JSON.stringify(closedWindow.data)}`);
+    }
+
+    // Only approved templates can be sent
+    const pendingTemplate = await makeRequest('POST', `/api/inbox/conversations/${conversation.id}/messages`, { type: 'template', template_id: templateId }, cookies);
+    if (pendingTemplate.status !== 400) {
+      throw new Error('Sending an unapproved template should be rejected');
+    }
+
+    // Receipts for inbox replies update the conversation message
+    const replyId = `wamid.reply${crypto.randomBytes(8).toString('hex')}`;
+    db.prepare(`
+      INSERT INTO conversation_messages (id, conversation_id, tenant_id, direction, message_type, body, provider_message_id, status, sent_by_user_id)
+      VALUES (?, ?, ?, 'outbound', 'text', 'On its way', ?, 'sent', ?)
+    `).run(crypto.randomUUID(), conversation.id, tenantId, replyId, userId);
+    await makeRequest('POST', '/webhooks/whatsapp', {
+      object: 'whatsapp_business_account',
+      entry: [{
+        id: 'waba-test',
+        changes: [{
+          field: 'messages',
+          value: {
+            metadata: { phone_number_id: phoneNumberId },
+            statuses: [{ id: replyId, status: 'read', timestamp: String(Math.floor(Date.now() / 1000)) }]
+          }
+        }]
+      }]
+    });
+    const reply = db.prepare('SELECT status FROM conversation_messages WHERE provider_message_id = ?').get(replyId);
+    if (reply.status !== 'read') {
+      throw new Error(`Inbox reply receipt not applied, status is ${reply.status}`);
+    }
+
+    // Closing then receiving a new message reopens the thread and the window
+    await makeRequest('PATCH', `/api/inbox/conversations/${conversation.id}`, { status: 'closed' }, cookies);
+    const closedList = await makeRequest('GET', '/api/inbox/conversations?status=closed', null, cookies);
+    if (!closedList.data?.data?.some(c => c.id === conversation.id)) {
+      throw new Error('Closed conversation should be listed under status=closed');
+    }
+    await makeRequest('POST', '/webhooks/whatsapp', inboundPayload(phoneNumberId, sender, [textMessage(sender, 'Any update?')]));
+    const reopened = await makeRequest('GET', `/api/inbox/conversations/${conversation.id}`, null, cookies);
+    if (reopened.data?.data?.status !== 'open' || !reopened.data.data.window_open) {
+      throw new Error(`New inbound message should reopen the thread: ${JSON.stringify(reopened.data?.data)}`);
+    }
+
+    console.log('✅ Shared inbox verified');
+  } catch (err) {
+    console.error('❌ Test failed:', err.message);
+    process.exitCode = 1;
+  } finally {
+    if (fixtures) fixtures.restore();
+    server.kill('SIGINT');
+  }
+}
+
+run();
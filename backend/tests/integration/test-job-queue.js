@@ -0,0 +1,318 @@
+/**
+ * Integration test: durable job queue
+ * Priority lanes, dedupe, visibility timeouts and the shared token buckets, then
+ * message retries through the queue and recovery of sends left behind by a
+ * crashed worker when the server boots
+ */
+const http = require('http');
+const os = require('os');
+const crypto = require('crypto');
+const { spawn, spawnSync } = require('child_process');
+const path = require('path');
+const db = require('../../src/db');
+const SqliteJobQueueDriver = require('../../src/services/sqliteJobQueue');
+const { takeTokens } = require('../../src/services/rateLimiter');
+
+const TEST_PORT = process.env.TEST_PORT || '5072';
+const BASE_URL = `http://localhost:${TEST_PORT}`;
+const TEST_QUEUE = `test_queue_${Date.now()}`;
+const RATE_KEY = `test:${Date.now()}`;
+
+const OWNER_EMAIL = 'admin@engageninja.local';
+const OWNER_PASSWORD = 'AdminPassword123';
+
+const makeRequest = (method, pathUrl, body = null, cookies = '') => {
+  return new Promise((resolve, reject) => {
+    const url = new URL(pathUrl, BASE_URL);
+    const options = {
+      method,
+      hostname: url.hostname,
+      port: url.port,
+      path: url.pathname + url.search,
+      headers: {
+        'Content-Type': 'application/json',
+        ...(cookies ? { Cookie: cookies } : {})
+      }
+    };
+    const req = http.request(options, (res) => {
+      let data = '';
+      res.on('data', chunk => data += chunk);
+      res.on('end', () => {
+        let parsed = data;
+        try { parsed = JSON.parse(data); } catch {}
+        resolve({ status: res.statusCode, data: parsed, headers: res.headers });
+      });
+    });
+    req.on('error', reject);
+    if (body) req.write(JSON.stringify(body));
+    req.end();
+  });
+};
+
+const login = async (email, password) => {
+  const res = await makeRequest('POST', '/api/auth/login', { email, password });
+  if (res.status !== 200) {
+    throw new Error(`Login failed for ${email}`);
+  }
+  const cookies = res.headers['set-cookie']?.map(c => c.split(';')[0]).join('; ');
+  return { cookies, body: res.data };
+};
+
+const wait = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+// Poll until check() returns a truthy value or the timeout passes
+const waitFor = async (check, timeoutMs = 5000) => {
+  const started = Date.now();
+  while (Date.now() - started < timeoutMs) {
+    const result = check();
+    if (result) return result;
+    await wait(100);
+  }
+  return null;
+};
+
+const startServer = async () => {
+  const server = spawn('node', ['src/index.js'], {
+    cwd: path.join(__dirname, '../..'),
+    env: {
+      ...process.env,
+      BACKEND_PORT: TEST_PORT,
+      NODE_ENV: 'test',
+      JOB_POLL_INTERVAL_MS: '100',
+      MOCK_SMS_DELIVERY_DELAY_MS: '200'
+    },
+    stdio: ['ignore', 'pipe', 'pipe']
+  });
+
+  await new Promise((resolve, reject) => {
+    const timeout = setTimeout(() => reject(new Error('Server did not start in time')), 8000);
+    server.stdout.on('data', (data) => {
+      if (data.toString().includes(`http://localhost:${TEST_PORT}`)) {
+        clearTimeout(timeout);
+        resolve();
+      }
+    });
+    server.on('exit', (code) => reject(new Error(`Server exited early with code ${code}`)));
+  });
+  return server;
+};
+
+const stopServer = (server) => new Promise(resolve => {
+  if (server.exitCode !== null) return resolve();
+  server.removeAllListeners('exit');
+  server.on('exit', resolve);
+  server.kill('SIGINT');
+});
+
+// SMS campaign and opted-in contacts inserted directly; messages are added per step
+const ensureFixtures = (tenantId) => {
+  const existingSms = db.prepare(`
+    SELECT * FROM tenant_channel_settings WHERE tenant_id = ? AND channel = 'sms'
+  `).get(tenantId);
+
+  const suffix = Date.now().toString().slice(-6);
+  const contacts = ['retry', 'crashed', 'orphaned'].map((label, i) => ({
+    id: crypto.randomUUID(),
+    label,
+    phone: `+1557${suffix}${i}`
+  }));
+  const insertContact = db.prepare(`
+    INSERT INTO contacts (id, tenant_id, phone, name, consent_sms, consent_source)
+    VALUES (?, ?, ?, ?, 1, 'manual')
+  `);
+  contacts.forEach(c => insertContact.run(c.id, tenantId, c.phone, `Job queue ${c.label}`));
+
+  const campaignId = crypto.randomUUID();
+  db.prepare(`
+    INSERT INTO campaigns (id, tenant_id, name, channel, message_content, status, sent_at)
+    VALUES (?, ?, ?, 'sms', ?, 'sending', ?)
+  `).run(campaignId, tenantId, `Job queue ${suffix}`, JSON.stringify({ body: 'Queued hello' }), new Date().toISOString());
+
+  const insertMessage = (contactId, status) => {
+    const id = crypto.randomUUID();
+    db.prepare(`
+      INSERT INTO messages (id, tenant_id, campaign_id, contact_id, channel, provider, status, attempts)
+      VALUES (?, ?, ?, ?, 'sms', 'mock', ?, 1)
+    `).run(id, tenantId, campaignId, contactId, status);
+    return id;
+  };
+
+  return {
+    contacts,
+    campaignId,
+    insertMessage,
+    restore: () => {
+      db.prepare(`DELETE FROM jobs WHERE queue = ? OR dedupe_key IN (SELECT 'message:' || id FROM messages WHERE campaign_id = ?)`)
+        .run(TEST_QUEUE, campaignId);
+      db.prepare(`
+        DELETE FROM message_status_events WHERE message_id IN (SELECT id FROM messages WHERE campaign_id = ?)
+      `).run(campaignId);
+      db.prepare('DELETE FROM messages WHERE campaign_id = ?').run(campaignId);
+      db.prepare('DELETE FROM campaigns WHERE id = ?').run(campaignId);
+      contacts.forEach(c => db.prepare('DELETE FROM contacts WHERE id = ?').run(c.id));
+      db.prepare('DELETE FROM rate_limit_buckets WHERE key = ?').run(RATE_KEY);
+      if (existingSms) {
+        db.prepare(`
+          UPDATE tenant_channel_settings
+          SET provider = ?, credentials_encrypted = ?, is_connected = ?, connected_at = ?
+          WHERE id = ?
+        `).run(existingSms.provider, existingSms.credentials_encrypted, existingSms.is_connected, existingSms.connected_at, existingSms.id);
+      } else {
+        db.prepare(`DELETE FROM tenant_channel_settings WHERE tenant_id = ? AND channel = 'sms'`).run(tenantId);
+      }
+    }
+  };
+};
+
+const messageJob = (messageId) => db.prepare(`
+  SELECT * FROM jobs WHERE dedupe_key = ? ORDER BY created_at DESC, attempts DESC LIMIT 1
+`).get(`message:${messageId}`);
+
+// Lanes, dedupe and visibility timeouts on a queue the server has no handler for
+const checkDriver = () => {
+  const driver = new SqliteJobQueueDriver();
+  const owner = 'job-queue-test:1';
+
+  const bulkId = driver.enqueue(TEST_QUEUE, { n: 1 }, { lane: 'bulk', dedupeKey: `${TEST_QUEUE}:bulk` });
+  const transactionalId = driver.enqueue(TEST_QUEUE, { n: 2 }, { lane: 'transactional' });
+  if (driver.enqueue(TEST_QUEUE, { n: 3 }, { dedupeKey: `${TEST_QUEUE}:bulk` }) !== null) {
+    throw new Error('A second active job with the same dedupe key should be ignored');
+  }
+
+  const [first] = driver.lease(TEST_QUEUE, { owner, limit: 1, visibilityTimeoutMs: 60000 });
+  if (first?.id !== transactionalId || first.payload.n !== 2 || first.attempts !== 1) {
+    throw new Error(`Transactional jobs should be leased before bulk jobs: ${JSON.stringify(first)}`);
+  }
+  if (!driver.complete(first)) {
+    throw new Error('Completing a held lease should succeed');
+  }
+
+  // An expired lease goes back to the queue and can be claimed again
+  const [leased] = driver.lease(TEST_QUEUE, { owner, limit: 5, visibilityTimeoutMs: 1 });
+  if (leased?.id !== bulkId) {
+    throw new Error('Bulk job should be leased once the transactional lane is empty');
+  }
+  const busy = driver.lease(TEST_QUEUE, { owner, limit: 5, visibilityTimeoutMs: 60000 });
+  if (busy.length !== 0) {
+    throw new Error('Leased jobs should not be handed out twice');
+  }
+  spawnSync('sleep', ['0.05']);
+  driver.recover();
+  const [again] = driver.lease(TEST_QUEUE, { owner: 'job-queue-test:2', limit: 5, visibilityTimeoutMs: 60000 });
+  if (again?.id !== bulkId || again.attempts !== 2 || !again.last_error) {
+    throw new Error(`Expired lease should be requeued: ${JSON.stringify(again)}`);
+  }
+  if (driver.complete(leased) || !driver.complete(again)) {
+    throw new Error('Only the current lease holder can complete a job');
+  }
+
+  // Shared token bucket: starts full, then refills slowly
+  const bucket = [{ key: RATE_KEY, ratePerSecond: 1 / 60, capacity: 2 }];
+  const taken = [1, 2, 3].map(() => takeTokens(bucket));
+  if (taken.map(t => t.allowed).join() !== 'true,true,false' || taken[2].retryInMs < 55000) {
+    throw new Error(`Token bucket should allow a burst of 2, got ${JSON.stringify(taken)}`);
+  }
+};
+
+async function run() {
+  console.log('🧪 Testing job queue\n');
+  let server = await startServer();
+
+  let fixtures = null;
+  try {
+    checkDriver();
+
+    const { cookies, body: loginBody } = await login(OWNER_EMAIL, OWNER_PASSWORD);
+    const tenantId = loginBody.active_tenant_id || loginBody.tenants?.[0]?.tenant_id;
+    fixtures = ensureFixtures(tenantId);
+    const [retryContact, crashedContact, orphanedContact] = fixtures.contacts;
+
+    // A retriable failure puts the message back in the queue with a delayed job
+    await makeRequest('DELETE', '/api/settings/channels/sms', null, cookies);
+    const retryMessageId = fixtures.insertMessage(retryContact.id, 'queued');
+    new SqliteJobQueueDriver().enqueue('outbound_messages', { messageId: retryMessageId }, {
+      tenantId,
+      dedupeKey: `message:${retryMessageId}`
+    });
+    const requeued = await waitFor(() => db.prepare(`
+      SELECT * FROM messages WHERE id = ? AND status = 'queued' AND attempts = 2
+    `).get(retryMessageId));
+    const retryJob = messageJob(retryMessageId);
+    if (!requeued || requeued.status_reason !== 'SMS not configured') {
+      throw new Error(`Message should be requeued after a retriable error: ${JSON.stringify(requeued)}`);
+    }
+    if (retryJob?.status !== 'queued' || retryJob.last_error !== 'SMS not configured' || new Date(retryJob.run_at) <= new Date()) {
+      throw new Error(`Job should be rescheduled for later: ${JSON.stringify(retryJob)}`);
+    }
+
+    const connectRes = await makeRequest('POST', '/api/settings/channels/sms', {
+      provider: 'mock',
+      fromNumber: '+15005550006'
+    }, cookies);
+    if (connectRes.status !== 201) {
+      throw new Error(`Mock SMS connect failed: ${JSON.stringify(connectRes.data)}`);
+    }
+    // Bring the jittered retry forward instead of waiting it out
+    db.prepare(`UPDATE jobs SET run_at = ? WHERE dedupe_key = ? AND status = 'queued'`)
+      .run(new Date().toISOString(), `message:${retryMessageId}`);
+    const retried = await waitFor(() => db.prepare(`
+      SELECT * FROM messages WHERE id = ? AND status IN ('sent', 'delivered')
+    `).get(retryMessageId));
+    if (!retried || messageJob(retryMessageId)?.status !== 'completed') {
+      throw new Error('Requeued message should be sent on its next attempt');
+    }
+
+    // Simulate a worker that died mid-send, and a message queued without a job
+    await stopServer(server);
+    const deadPid = spawnSync('node', ['-e', 'process.stdout.write(String(process.pid))']).stdout.toString();
+    const crashedMessageId = fixtures.insertMessage(crashedContact.id, 'processing');
+    const orphanedMessageId = fixtures.insertMessage(orphanedContact.id, 'queued');
+    db.prepare(`UPDATE campaigns SET status = 'sending' WHERE id = ?`).run(fixtures.campaignId);
+    db.prepare(`
+      INSERT INTO jobs (id, queue, lane, payload, tenant_id, dedupe_key, status, attempts, max_attempts, run_at, lease_owner, lease_expires_at)
+      VALUES (?, 'outbound_messages', 'bulk', ?, ?, ?, 'leased', 1, 5, ?, ?, ?)
+    `).run(
+      crypto.randomUUID(),
+      JSON.stringify({ messageId: crashedMessageId }),
+      tenantId,
+      `message:${crashedMessageId}`,
+      new Date().toISOString(),
+      `${os.hostname()}:${deadPid}`,
+      new Date(Date.now() + 60 * 60 * 1000).toISOString()
+    );
+
+    server = await startServer();
+    const recovered = await waitFor(() => {
+      const rows = db.prepare(`
+        SELECT id FROM messages WHERE id IN (?, ?) AND status IN ('sent', 'delivered')
+      `).all(crashedMessageId, orphanedMessageId);
+      return rows.length === 2;
+    });
+    if (!recovered) {
+      throw new Error('Messages left by a dead worker should be sent after boot');
+    }
+    const crashedJob = messageJob(crashedMessageId);
+    if (crashedJob?.status !== 'completed' || crashedJob.attempts !== 2) {
+      throw new Error(`Dead worker's lease should be released and retried: ${JSON.stringify(crashedJob)}`);
+    }
+    if (messageJob(orphanedMessageId)?.status !== 'completed') {
+      throw new Error('Queued messages without a job should get one on boot');
+    }
+
+    // Campaign completes once nothing is queued or in flight
+    const campaign = await waitFor(() => db.prepare(`SELECT status FROM campaigns WHERE id = ? AND status = 'sent'`).get(fixtures.campaignId));
+    if (!campaign) {
+      throw new Error('Campaign should be marked sent after its last message');
+    }
+
+    console.log('✅ Job queue verified');
+  } catch (err) {
+    console.error('❌ Test failed:', err.message);
+    process.exitCode = 1;
+  } finally {
+    if (fixtures) fixtures.restore();
+    await stopServer(server);
+  }
+}
+
+run();
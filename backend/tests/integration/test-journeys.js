@@ -0,0 +1,387 @@
+/**
+ * Integration test: drip journeys
+ * Tagging a contact enrolls it; the scheduler runs webhook, tag, send, delay and
+ * condition steps, tagging chains into other journeys, and date attributes enroll
+ * contacts on the day. Active journeys must be paused before editing.
+ */
+const http = require('http');
+const crypto = require('crypto');
+const { spawn } = require('child_process');
+const path = require('path');
+const db = require('../../src/db');
+const { createSenderDomain } = require('../../src/services/senderDomains');
+
+const TEST_PORT = process.env.TEST_PORT || '5076';
+const BASE_URL = `http://localhost:${TEST_PORT}`;
+
+const OWNER_EMAIL = 'admin@engageninja.local';
+const OWNER_PASSWORD = 'AdminPassword123';
+
+const makeRequest = (method, pathUrl, body = null, cookies = '') => {
+  return new Promise((resolve, reject) => {
+    const url = new URL(pathUrl, BASE_URL);
+    const options = {
+      method,
+      hostname: url.hostname,
+      port: url.port,
+      path: url.pathname + url.search,
+      headers: {
+        'Content-Type': 'application/json',
+        ...(cookies ? { Cookie: cookies } : {})
+      }
+    };
+    const req = http.request(options, (res) => {
+      let data = '';
+      res.on('data', chunk => data += chunk);
+      res.on('end', () => {
+        let parsed = data;
+        try { parsed = JSON.parse(data); } catch {}
+        resolve({ status: res.statusCode, data: parsed, headers: res.headers });
+      });
+    });
+    req.on('error', reject);
+    if (body) req.write(JSON.stringify(body));
+    req.end();
+  });
+};
+
+const login = async (email, password) => {
+  const res = await makeRequest('POST', '/api/auth/login', { email, password });
+  if (res.status !== 200) {
+    throw new Error(`Login failed for ${email}`);
+  }
+  const cookies = res.headers['set-cookie']?.map(c => c.split(';')[0]).join('; ');
+  return { cookies, body: res.data };
+};
+
+const wait = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+// Poll until check() returns a truthy value or the timeout passes
+const waitFor = async (check, timeoutMs = 5000) => {
+  const started = Date.now();
+  while (Date.now() - started < timeoutMs) {
+    const result = check();
+    if (result) return result;
+    await wait(100);
+  }
+  return null;
+};
+
+// Email sends need a verified sender domain; returns a function that undoes this
+const ensureVerifiedSenderDomain = (tenantId, senderEmail) => {
+  const domain = senderEmail.split('@')[1].toLowerCase();
+  const existing = db.prepare('SELECT id, status FROM sender_domains WHERE tenant_id = ? AND domain = ?').get(tenantId, domain);
+  const id = existing ? existing.id : createSenderDomain(tenantId, domain).domain.id;
+  db.prepare("UPDATE sender_domains SET status = 'verified' WHERE id = ?").run(id);
+  return () => {
+    if (existing) {
+      db.prepare('UPDATE sender_domains SET status = ? WHERE id = ?').run(existing.status, id);
+    } else {
+      db.prepare('DELETE FROM sender_domains WHERE id = ?').run(id);
+    }
+  };
+};
+
+async function run() {
+  console.log('🧪 Testing drip journeys\n');
+  const server = spawn('node', ['src/index.js'], {
+    cwd: path.join(__dirname, '../..'),
+    env: {
+      ...process.env,
+      BACKEND_PORT: TEST_PORT,
+      NODE_ENV: 'test',
+      JOB_POLL_INTERVAL_MS: '100',
+      JOURNEY_SCHEDULER_INTERVAL_MS: '200'
+    },
+    stdio: ['ignore', 'pipe', 'pipe']
+  });
+
+  await new Promise((resolve, reject) => {
+    const timeout = setTimeout(() => reject(new Error('Server did not start in time')), 8000);
+    server.stdout.on('data', (data) => {
+      if (data.toString().includes(`http://localhost:${TEST_PORT}`)) {
+        clearTimeout(timeout);
+        resolve();
+      }
+    });
+    server.on('exit', (code) => reject(new Error(`Server exited early with code ${code}`)));
+  });
+
+  let tenantId = null;
+  let existingEmail = null;
+  let restoreSenderDomain = null;
+  const suffix = crypto.randomUUID().slice(0, 8);
+  const tagIds = {};
+  const contactIds = [];
+  const journeyIds = [];
+  let attributeId = null;
+  let planId = null;
+  try {
+    const { cookies, body: loginBody } = await login(OWNER_EMAIL, OWNER_PASSWORD);
+    tenantId = loginBody.active_tenant_id || loginBody.tenants?.[0]?.tenant_id;
+
+    // Free plan skips the subscription check on sends
+    planId = db.prepare('SELECT plan_id FROM tenants WHERE id = ?').get(tenantId).plan_id;
+    db.prepare("UPDATE tenants SET plan_id = 'free' WHERE id = ?").run(tenantId);
+
+    // Journey emails need a connected email channel
+    existingEmail = db.prepare(`SELECT * FROM tenant_channel_settings WHERE tenant_id = ? AND channel = 'email'`).get(tenantId);
+    if (!existingEmail) {
+      throw new Error('Seeded email channel settings are required');
+    }
+    db.prepare('UPDATE tenant_channel_settings SET is_connected = 1 WHERE id = ?').run(existingEmail.id);
+    restoreSenderDomain = ensureVerifiedSenderDomain(tenantId, existingEmail.verified_sender_email);
+
+    ['signup', 'engaged', 'nurtured', 'renewal'].forEach(name => {
+      tagIds[name] = crypto.randomUUID();
+      db.prepare(`INSERT INTO tags (id, tenant_id, name, status) VALUES (?, ?, ?, 'active')`)
+        .run(tagIds[name], tenantId, `journey-${name}-${suffix}`);
+    });
+    const contactTags = (contactId) => db.prepare('SELECT tag_id FROM contact_tags WHERE contact_id = ?')
+      .all(contactId).map(row => row.tag_id);
+    const enrollmentsOf = (journeyId) => db.prepare('SELECT * FROM journey_enrollments WHERE journey_id = ?').all(journeyId);
+    const stepRuns = (enrollmentId) => db.prepare(`
+      SELECT step_id, outcome, message_id FROM journey_step_runs WHERE enrollment_id = ? ORDER BY created_at ASC, rowid ASC
+    `).all(enrollmentId);
+
+    const createJourney = async (name, definition, extra = {}) => {
+      const res = await makeRequest('POST', '/api/journeys', { name: `${name} ${suffix}`, definition, ...extra }, cookies);
+      if (res.status === 201) journeyIds.push(res.data.data.id);
+      return res;
+    };
+
+    // Definitions are validated: loops, unknown tags and unreachable steps are rejected
+    const loopRes = await createJourney('Loop', {
+      trigger: { type: 'tag_added', tag_id: tagIds.signup },
+      start: 'a',
+      steps: [
+        { id: 'a', type: 'add_tag', tag_id: tagIds.engaged, next: 'b' },
+        { id: 'b', type: 'delay', amount: 1, unit: 'days', next: 'a' }
+      ]
+    });
+    const unknownTagRes = await createJourney('Unknown tag', {
+      trigger: { type: 'tag_added', tag_id: crypto.randomUUID() },
+      start: 'a',
+      steps: [{ id: 'a', type: 'webhook', next: null }]
+    });
+    const unreachableRes = await createJourney('Unreachable', {
+      trigger: { type: 'contact_created' },
+      start: 'a',
+      steps: [{ id: 'a', type: 'webhook', next: null }, { id: 'b', type: 'webhook', next: null }]
+    });
+    if (loopRes.status !== 400 || !/loops/.test(loopRes.data.message) || unknownTagRes.status !== 400 || unreachableRes.status !== 400) {
+      throw new Error(`Invalid definitions should be rejected: ${loopRes.status} ${unknownTagRes.status} ${unreachableRes.status}`);
+    }
+
+    // Chained journey: started by the tag the welcome journey adds
+    const chainedRes = await createJourney('Engaged follow-up', {
+      trigger: { type: 'tag_added', tag_id: tagIds.engaged },
+      start: 'check',
+      steps: [
+        { id: 'check', type: 'condition', status: 'read', then: null, else: 'nurture' },
+        { id: 'nurture', type: 'add_tag', tag_id: tagIds.nurtured, next: null }
+      ]
+    });
+    const welcomeRes = await createJourney('Welcome', {
+      trigger: { type: 'tag_added', tag_id: tagIds.signup },
+      start: 'notify',
+      steps: [
+        { id: 'notify', type: 'webhook', payload: { source: 'journey-test' }, next: 'engage' },
+        { id: 'engage', type: 'add_tag', tag_id: tagIds.engaged, next: 'email' },
+        { id: 'email', type: 'send_email', subject: 'Welcome aboard', htmlBody: '<p>Hi</p>', next: 'wait' },
+        { id: 'wait', type: 'delay', amount: 1, unit: 'days', next: 'opened' },
+        { id: 'opened', type: 'condition', status: 'read', step_id: 'email', then: 'untag', else: null },
+        { id: 'untag', type: 'remove_tag', tag_id: tagIds.signup, next: null }
+      ]
+    });
+    if (chainedRes.status !== 201 || welcomeRes.status !== 201 || welcomeRes.data.data.status !== 'draft') {
+      throw new Error(`Journey create failed: ${JSON.stringify(welcomeRes.data)}`);
+    }
+    const welcomeId = welcomeRes.data.data.id;
+    const chainedId = chainedRes.data.data.id;
+
+    for (const journeyId of [welcomeId, chainedId]) {
+      const activateRes = await makeRequest('POST', `/api/journeys/${journeyId}/activate`, null, cookies);
+      if (activateRes.status !== 200 || activateRes.data.data.status !== 'active') {
+        throw new Error(`Activate failed: ${JSON.stringify(activateRes.data)}`);
+      }
+    }
+
+    const editActive = await makeRequest('PUT', `/api/journeys/${welcomeId}`, { name: `Renamed ${suffix}` }, cookies);
+    if (editActive.status !== 409) {
+      throw new Error('Active journeys should not be editable');
+    }
+
+    // Creating a tagged contact enrolls it; steps run until the delay
+    const area = String(200 + (Date.now() % 700));
+    const createContact = async (phoneSuffix) => {
+      const res = await makeRequest('POST', '/api/contacts', {
+        name: 'Journey test',
+        phone: `+1${area}555${phoneSuffix}`,
+        email: `journey-${suffix}-${phoneSuffix}@example.com`,
+        consent_email: true,
+        tags: [tagIds.signup]
+      }, cookies);
+      if (res.status !== 201) {
+        throw new Error(`Contact create failed: ${JSON.stringify(res.data)}`);
+      }
+      contactIds.push(res.data.contact_id);
+      return res.data.contact_id;
+    };
+    const contactId = await createContact(String(1000 + (Date.now() % 8000)));
+
+    const waiting = await waitFor(() => {
+      const enrollment = enrollmentsOf(welcomeId)[0];
+      return enrollment?.current_step_id === 'opened' ? enrollment : null;
+    });
+    if (!waiting || waiting.status !== 'active' || new Date(waiting.next_run_at) < new Date(Date.now() + 23 * 60 * 60 * 1000)) {
+      throw new Error(`Enrollment should wait a day after the delay: ${JSON.stringify(enrollmentsOf(welcomeId))}`);
+    }
+    const runs = stepRuns(waiting.id);
+    const outcomes = runs.map(run => `${run.step_id}:${run.outcome}`).join(',');
+    if (outcomes !== 'notify:done,engage:done,email:queued,wait:waiting') {
+      throw new Error(`Unexpected step runs: ${outcomes}`);
+    }
+
+    const emailMessage = db.prepare('SELECT * FROM messages WHERE id = ?').get(runs[2].message_id);
+    if (!emailMessage || emailMessage.campaign_id !== null || emailMessage.journey_id !== welcomeId ||
+      emailMessage.channel !== 'email' || JSON.parse(emailMessage.content_snapshot).template_id !== null ||
+      !JSON.parse(JSON.parse(emailMessage.content_snapshot).message_content).subject) {
+      throw new Error(`Journey message not recorded: ${JSON.stringify(emailMessage)}`);
+    }
+
+    // add_tag chained into the follow-up journey, whose condition took the else branch
+    const chained = await waitFor(() => {
+      const enrollment = enrollmentsOf(chainedId)[0];
+      return enrollment?.status === 'completed' ? enrollment : null;
+    });
+    if (!chained || !contactTags(contactId).includes(tagIds.nurtured) ||
+      stepRuns(chained.id).map(run => run.outcome).join(',') !== 'no,done') {
+      throw new Error(`Chained journey should run: ${JSON.stringify(enrollmentsOf(chainedId))}`);
+    }
+
+    // The email was read: once the delay is over the condition takes the yes branch
+    db.prepare(`DELETE FROM jobs WHERE dedupe_key = ?`).run(`message:${emailMessage.id}`);
+    await wait(300);
+    db.prepare(`UPDATE messages SET status = 'read', read_at = ? WHERE id = ?`).run(new Date().toISOString(), emailMessage.id);
+    db.prepare('UPDATE journey_enrollments SET next_run_at = ? WHERE id = ?').run(new Date(Date.now() - 1000).toISOString(), waiting.id);
+    const completed = await waitFor(() => {
+      const enrollment = db.prepare('SELECT * FROM journey_enrollments WHERE id = ?').get(waiting.id);
+      return enrollment.status === 'completed' ? enrollment : null;
+    });
+    if (!completed || contactTags(contactId).includes(tagIds.signup) ||
+      stepRuns(waiting.id).slice(4).map(run => `${run.step_id}:${run.outcome}`).join(',') !== 'opened:yes,untag:done') {
+      throw new Error(`Enrollment should finish after the delay: ${JSON.stringify(stepRuns(waiting.id))}`);
+    }
+
+    // No re-entry by default: tagging the contact again does not enroll it twice
+    const retag = await makeRequest('POST', '/api/contacts/bulk/tags', { contact_ids: [contactId], tag_ids: [tagIds.signup] }, cookies);
+    await wait(600);
+    if (retag.status !== 200 || enrollmentsOf(welcomeId).length !== 1) {
+      throw new Error('Contacts should only enter a journey once unless re-entry is allowed');
+    }
+
+    // Removing a contact from a journey
+    const secondContactId = await createContact(String(1000 + ((Date.now() + 4000) % 8000)));
+    const secondEnrollment = await waitFor(() => enrollmentsOf(welcomeId).find(e => e.contact_id === secondContactId && e.current_step_id === 'opened'));
+    const exitRes = await makeRequest('POST', `/api/journeys/${welcomeId}/enrollments/${secondEnrollment?.id}/exit`, null, cookies);
+    const exited = db.prepare('SELECT status FROM journey_enrollments WHERE id = ?').get(secondEnrollment?.id);
+    if (exitRes.status !== 200 || exited?.status !== 'exited') {
+      throw new Error(`Exit failed: ${JSON.stringify(exitRes.data)}`);
+    }
+
+    const detailRes = await makeRequest('GET', `/api/journeys/${welcomeId}`, null, cookies);
+    const detail = detailRes.data.data;
+    if (detail?.enrollments?.completed !== 1 || detail.enrollments.exited !== 1 ||
+      detail.step_stats?.email?.outcomes?.queued !== 2 || detail.step_stats.email.messages.read !== 1) {
+      throw new Error(`Journey stats wrong: ${JSON.stringify(detail)}`);
+    }
+    const listRes = await makeRequest('GET', `/api/journeys/${welcomeId}/enrollments?status=completed`, null, cookies);
+    if (listRes.data.pagination?.total !== 1 || listRes.data.data[0].steps.length !== 6) {
+      throw new Error(`Enrollment list wrong: ${JSON.stringify(listRes.data)}`);
+    }
+
+    // Paused journeys can be edited
+    const pauseRes = await makeRequest('POST', `/api/journeys/${welcomeId}/pause`, null, cookies);
+    const editPaused = await makeRequest('PUT', `/api/journeys/${welcomeId}`, { name: `Welcome renamed ${suffix}` }, cookies);
+    if (pauseRes.status !== 200 || editPaused.status !== 200 || editPaused.data.data.name !== `Welcome renamed ${suffix}`) {
+      throw new Error(`Pause and edit failed: ${JSON.stringify(editPaused.data)}`);
+    }
+
+    // Date attribute: contacts whose date is today (tenant timezone) enter once for the date
+    attributeId = crypto.randomUUID();
+    const attributeKey = `renews_${suffix.replace(/[^a-z0-9]/g, '')}`;
+    db.prepare(`
+      INSERT INTO contact_attribute_definitions (id, tenant_id, key, label, type) VALUES (?, ?, ?, 'Renews', 'date')
+    `).run(attributeId, tenantId, attributeKey);
+    const timeZone = db.prepare('SELECT timezone FROM tenants WHERE id = ?').get(tenantId).timezone || 'UTC';
+    const today = new Intl.DateTimeFormat('en-CA', { timeZone, year: 'numeric', month: '2-digit', day: '2-digit' }).format(new Date());
+    db.prepare('UPDATE contacts SET custom_attributes = ? WHERE id = ?').run(JSON.stringify({ [attributeKey]: today }), contactId);
+
+    const renewalRes = await createJourney('Renewal', {
+      trigger: { type: 'date_attribute', attribute: attributeKey, offset_days: 0, hour: 0 },
+      start: 'tag',
+      steps: [{ id: 'tag', type: 'add_tag', tag_id: tagIds.renewal, next: null }]
+    });
+    if (renewalRes.status !== 201) {
+      throw new Error(`Date journey create failed: ${JSON.stringify(renewalRes.data)}`);
+    }
+    await makeRequest('POST', `/api/journeys/${renewalRes.data.data.id}/activate`, null, cookies);
+    const renewed = await waitFor(() => contactTags(contactId).includes(tagIds.renewal));
+    await wait(500);
+    const renewalEnrollments = enrollmentsOf(renewalRes.data.data.id);
+    if (!renewed || renewalEnrollments.length !== 1 || renewalEnrollments[0].trigger_key !== today) {
+      throw new Error(`Date trigger should enroll once for today: ${JSON.stringify(renewalEnrollments)}`);
+    }
+
+    // Archiving hides the journey
+    const archiveRes = await makeRequest('DELETE', `/api/journeys/${chainedId}`, null, cookies);
+    const archivedGet = await makeRequest('GET', `/api/journeys/${chainedId}`, null, cookies);
+    if (archiveRes.status !== 200 || archivedGet.status !== 404) {
+      throw new Error('Archived journeys should no longer be visible');
+    }
+
+    const audits = db.prepare(`
+      SELECT action FROM audit_logs WHERE target_id IN (?, ?) AND action LIKE 'journey.%'
+    `).all(welcomeId, chainedId).map(row => row.action);
+    ['journey.create', 'journey.activate', 'journey.pause', 'journey.update', 'journey.enrollment_exit', 'journey.archive'].forEach(action => {
+      if (!audits.includes(action)) {
+        throw new Error(`Missing audit entry ${action}`);
+      }
+    });
+
+    console.log('✅ Drip journeys verified');
+  } catch (err) {
+    console.error('❌ Test failed:', err.message);
+    process.exitCode = 1;
+  } finally {
+    journeyIds.forEach(journeyId => {
+      db.prepare(`DELETE FROM jobs WHERE dedupe_key IN (SELECT 'message:' || id FROM messages WHERE journey_id = ?)`).run(journeyId);
+      db.prepare(`
+        DELETE FROM message_status_events WHERE message_id IN (SELECT id FROM messages WHERE journey_id = ?)
+      `).run(journeyId);
+      db.prepare('DELETE FROM messages WHERE journey_id = ?').run(journeyId);
+      db.prepare('DELETE FROM journeys WHERE id = ?').run(journeyId);
+    });
+    contactIds.forEach(id => {
+      db.prepare('DELETE FROM contact_tags WHERE contact_id = ?').run(id);
+      db.prepare('DELETE FROM contacts WHERE id = ?').run(id);
+    });
+    Object.values(tagIds).forEach(id => db.prepare('DELETE FROM tags WHERE id = ?').run(id));
+    if (attributeId) {
+      db.prepare('DELETE FROM contact_attribute_definitions WHERE id = ?').run(attributeId);
+    }
+    if (existingEmail) {
+      db.prepare('UPDATE tenant_channel_settings SET is_connected = ? WHERE id = ?').run(existingEmail.is_connected, existingEmail.id);
+    }
+    if (restoreSenderDomain) {
+      restoreSenderDomain();
+    }
+    if (planId) {
+      db.prepare('UPDATE tenants SET plan_id = ? WHERE id = ?').run(planId, tenantId);
+    }
+    server.kill('SIGINT');
+  }
+}
+
+run();
@@ -0,0 +1,280 @@
+/**
+ * Integration test: login brute-force protection
+ * Failed logins are counted per account and per IP: after a few free attempts each one
+ * has to wait longer (429), an account that keeps failing is locked (423, even with the
+ * right password) and its owner is emailed a single-use unlock link, parallel attempts
+ * don't get around the limits, every failure and lock is audited, and the housekeeping
+ * job prunes counters (and rate limit buckets) that have expired.
+ */
+const http = require('http');
+const net = require('net');
+const crypto = require('crypto');
+const { spawn } = require('child_process');
+const path = require('path');
+const bcrypt = require('bcrypt');
+const db = require('../../src/db');
+const { pruneExpiredRows } = require('../../src/services/housekeeping');
+
+const TEST_PORT = process.env.TEST_PORT || '5083';
+const BASE_URL = `http://localhost:${TEST_PORT}`;
+
+const TENANT_OWNER_EMAIL = 'admin@engageninja.local';
+const PASSWORD = 'LockoutPassword123';
+// Lower than the default so the test doesn't sit through long delays
+const LOCKOUT_THRESHOLD = 5;
+const LOOPBACK_IPS = ['127.0.0.1', '::1', '::ffff:127.0.0.1'];
+
+const makeRequest = (method, pathUrl, body = null, cookies = '') => {
+  return new Promise((resolve, reject) => {
+    const url = new URL(pathUrl, BASE_URL);
+    const options = {
+      method,
+      hostname: url.hostname,
+      port: url.port,
+      path: url.pathname + url.search,
+      headers: {
+        'Content-Type': 'application/json',
+        ...(cookies ? { Cookie: cookies } : {})
+      }
+    };
+    const req = http.request(options, (res) => {
+      let data = '';
+      res.on('data', chunk => data += chunk);
+      res.on('end', () => {
+        let parsed = data;
+        try { parsed = JSON.parse(data); } catch {}
+        resolve({ status: res.statusCode, data: parsed, headers: res.headers });
+      });
+    });
+    req.on('error', reject);
+    if (body) req.write(JSON.stringify(body));
+    req.end();
+  });
+};
+
+const login = (email, password) => makeRequest('POST', '/api/auth/login', { email, password });
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+/**
+ * SMTP catch-all that keeps every message
+ */
+const startFakeSmtp = () => {
+  const received = [];
+  const server = net.createServer((socket) => {
+    let buffer = '';
+    let inData = false;
+    let to = [];
+    const reply = (line) => socket.write(`${line}\r\n`);
+    socket.setEncoding('utf8');
+    reply('220 fake-smtp ready');
+    socket.on('data', (chunk) => {
+      buffer += chunk;
+      let index;
+      while ((index = buffer.indexOf(inData ? '\r\n.\r\n' : '\r\n')) !== -1) {
+        if (inData) {
+          received.push({ to, data: buffer.slice(0, index).replace(/^\.\./gm, '.') });
+          buffer = buffer.slice(index + 5);
+          inData = false;
+          to = [];
+          reply('250 queued');
+          continue;
+        }
+        const line = buffer.slice(0, index);
+        buffer = buffer.slice(index + 2);
+        const verb = line.split(' ')[0].toUpperCase();
+        if (verb === 'RCPT') to.push(line.match(/<(.*)>/)?.[1]);
+        if (verb === 'DATA') {
+          inData = true;
+          reply('354 go ahead');
+        } else if (verb === 'QUIT') {
+          reply('221 bye');
+          socket.end();
+        } else {
+          reply('250 ok');
+        }
+      }
+    });
+    socket.on('error', () => {});
+  });
+  return new Promise((resolve) => server.listen(0, '127.0.0.1', () => resolve({ server, port: server.address().port, received })));
+};
+
+// Decoded text of each base64 MIME part
+const decodeParts = (data) => [...data.matchAll(/Content-Transfer-Encoding: base64\r\n\r\n([\s\S]*?)(?:\r\n--|$)/g)]
+  .map(match => Buffer.from(match[1].replace(/\s+/g, ''), 'base64').toString('utf8'));
+
+const waitFor = async (check, timeoutMs = 10000) => {
+  const deadline = Date.now() + timeoutMs;
+  while (Date.now() < deadline) {
+    const value = check();
+    if (value) return value;
+    await new Promise(resolve => setTimeout(resolve, 200));
+  }
+  return null;
+};
+
+async function run() {
+  console.log('🧪 Testing login brute-force protection\n');
+
+  const smtp = await startFakeSmtp();
+  const clearIpCounters = () => db.prepare(`
+    DELETE FROM login_failures WHERE scope = 'ip' AND identifier IN (${LOOPBACK_IPS.map(() => '?').join(', ')})
+  `).run(...LOOPBACK_IPS);
+  clearIpCounters();
+
+  const server = spawn('node', ['src/index.js'], {
+    cwd: path.join(__dirname, '../..'),
+    env: {
+      ...process.env,
+      BACKEND_PORT: TEST_PORT,
+      NODE_ENV: 'test',
+      LOGIN_LOCKOUT_THRESHOLD: String(LOCKOUT_THRESHOLD),
+      PLATFORM_EMAIL_PROVIDER: 'smtp',
+      SMTP_HOST: '127.0.0.1',
+      SMTP_PORT: String(smtp.port),
+      SMTP_USERNAME: '',
+      SMTP_PASSWORD: '',
+      SENDER_EMAIL: 'noreply@engageninja.test'
+    },
+    stdio: ['ignore', 'pipe', 'pipe']
+  });
+
+  await new Promise((resolve, reject) => {
+    const timeout = setTimeout(() => reject(new Error('Server did not start in time')), 8000);
+    server.stdout.on('data', (data) => {
+      if (data.toString().includes(`http://localhost:${TEST_PORT}`)) {
+        clearTimeout(timeout);
+        resolve();
+      }
+    });
+    server.on('exit', (code) => reject(new Error(`Server exited early with code ${code}`)));
+  });
+
+  const suffix = crypto.randomUUID().slice(0, 8);
+  const email = `lockout-${suffix}@example.com`;
+  const userId = crypto.randomUUID();
+  try {
+    const tenantId = db.prepare(`
+      SELECT ut.tenant_id FROM user_tenants ut JOIN users u ON u.id = ut.user_id WHERE u.email = ?
+    `).get(TENANT_OWNER_EMAIL).tenant_id;
+    db.prepare('INSERT INTO users (id, email, name, first_name, password_hash, role_global) VALUES (?, ?, ?, ?, ?, ?)')
+      .run(userId, email, 'Lockout Tester', 'Lockout', bcrypt.hashSync(PASSWORD, 10), 'none');
+    db.prepare(`INSERT INTO user_tenants (user_id, tenant_id, role) VALUES (?, ?, 'member')`).run(userId, tenantId);
+
+    // Three free failures, then each attempt has to wait
+    const free = [];
+    for (let i = 0; i < 3; i++) free.push((await login(email, 'WrongPassword')).status);
+    const throttled = await login(email, 'WrongPassword');
+    if (free.some(status => status !== 401) || throttled.status !== 429 || !(Number(throttled.headers['retry-after']) > 0)) {
+      throw new Error(`Fourth attempt should wait: ${free.join(',')} ${throttled.status}`);
+    }
+
+    await sleep(1100);
+    const fourth = await login(email, 'WrongPassword');
+    const rightButTooSoon = await login(email, PASSWORD);
+    if (fourth.status !== 401 || rightButTooSoon.status !== 429) {
+      throw new Error(`Delay should apply to the right password too: ${fourth.status} ${rightButTooSoon.status}`);
+    }
+
+    // The failure that reaches the threshold locks the account
+    await sleep(2100);
+    const fifth = await login(email, 'WrongPassword');
+    const locked = await login(email, PASSWORD);
+    if (fifth.status !== 401 || locked.status !== 423 || !(Number(locked.headers['retry-after']) > 60)) {
+      throw new Error(`Account should be locked: ${fifth.status} ${locked.status} ${JSON.stringify(locked.data)}`);
+    }
+
+    const mail = await waitFor(() => smtp.received.find(item => item.to.includes(email)));
+    const link = mail && decodeParts(mail.data).join('\n').match(/\/unlock-account\?token=([A-Za-z0-9_-]+)/);
+    if (!link) {
+      throw new Error('Owner should be emailed an unlock link');
+    }
+
+    const badUnlock = await makeRequest('POST', '/api/auth/unlock-account', { token: `${link[1]}x` });
+    const unlock = await makeRequest('POST', '/api/auth/unlock-account', { token: link[1] });
+    const reused = await makeRequest('POST', '/api/auth/unlock-account', { token: link[1] });
+    const afterUnlock = await login(email, PASSWORD);
+    const counter = db.prepare(`SELECT * FROM login_failures WHERE scope = 'account' AND identifier = ?`).get(email);
+    if (badUnlock.status !== 400 || unlock.status !== 200 || reused.status !== 400 || afterUnlock.status !== 200 || counter) {
+      throw new Error(`Unlock link should lift the lock once: ${badUnlock.status} ${unlock.status} ${reused.status} ${afterUnlock.status}`);
+    }
+
+    const audits = db.prepare(`SELECT action, target_id, metadata FROM audit_logs WHERE target_id = ? AND action LIKE 'auth.%'`).all(userId);
+    const failures = audits.filter(entry => entry.action === 'auth.login_failed');
+    const locks = audits.filter(entry => entry.action === 'auth.locked');
+    if (failures.length !== LOCKOUT_THRESHOLD || locks.length !== 1 || !audits.some(entry => entry.action === 'auth.unlocked')
+      || JSON.parse(locks[0].metadata).email !== email) {
+      throw new Error(`Audit entries wrong: ${JSON.stringify(audits)}`);
+    }
+
+    // Unknown emails fail the same way and count against the IP. The IP has 5 failures so far.
+    const unknown = [];
+    for (let i = 0; i < 5; i++) unknown.push(await login(`nobody-${suffix}-${i}@example.com`, 'WrongPassword'));
+    const ipThrottled = await login(`nobody-${suffix}-next@example.com`, 'WrongPassword');
+    const unknownAudit = db.prepare(`SELECT target_id, metadata FROM audit_logs WHERE action = 'auth.login_failed' AND metadata LIKE ?`)
+      .get(`%nobody-${suffix}-0@%`);
+    if (unknown.some(res => res.status !== 401 || res.data.message !== fifth.data.message) || ipThrottled.status !== 429
+      || !unknownAudit || unknownAudit.target_id !== null || JSON.parse(unknownAudit.metadata).reason !== 'unknown_email') {
+      throw new Error(`IP should be throttled after 10 failures: ${unknown.map(res => res.status).join(',')} ${ipThrottled.status}`);
+    }
+
+    // Parallel attempts are counted before any password is compared, so a burst gets no more
+    // free attempts than sequential ones
+    clearIpCounters();
+    const burstEmail = `burst-${suffix}@example.com`;
+    const burst = await Promise.all(Array.from({ length: 20 }, () => login(burstEmail, 'WrongPassword')));
+    const burstStatuses = burst.map(res => res.status);
+    const burstCounter = db.prepare(`SELECT failure_count FROM login_failures WHERE scope = 'account' AND identifier = ?`).get(burstEmail);
+    if (burstStatuses.filter(status => status === 401).length !== 3
+      || burstStatuses.some(status => status !== 401 && status !== 429 && status !== 423) || burstCounter?.failure_count !== 3) {
+      throw new Error(`Parallel attempts should be throttled: ${burstStatuses.join(',')} ${JSON.stringify(burstCounter)}`);
+    }
+
+    // Housekeeping drops expired counters and idle buckets and keeps live ones
+    const housekeepingJob = db.prepare(`
+      SELECT id FROM jobs WHERE dedupe_key = 'housekeeping:prune' AND status IN ('queued', 'leased')
+    `).get();
+    const now = Date.now();
+    const insertCounter = db.prepare(`
+      INSERT INTO login_failures (scope, identifier, failure_count, first_failed_at_ms, last_failed_at_ms, locked_until_ms)
+      VALUES ('account', ?, 3, ?, ?, ?)
+    `);
+    insertCounter.run(`stale-${suffix}`, now - 3 * 3600000, now - 2 * 3600000, null);
+    insertCounter.run(`unlocked-${suffix}`, now - 3600000, now - 60000, now - 1000);
+    insertCounter.run(`locked-${suffix}`, now - 3 * 3600000, now - 2 * 3600000, now + 3600000);
+    insertCounter.run(`recent-${suffix}`, now - 60000, now - 60000, null);
+    const insertBucket = db.prepare('INSERT INTO rate_limit_buckets (key, tokens, updated_at_ms) VALUES (?, 1, ?)');
+    insertBucket.run(`test:${suffix}:idle`, now - 2 * 86400000);
+    insertBucket.run(`test:${suffix}:active`, now - 60000);
+    pruneExpiredRows(now);
+    const keptCounters = db.prepare(`
+      SELECT identifier FROM login_failures WHERE identifier IN (?, ?, ?, ?) ORDER BY identifier
+    `).all(`stale-${suffix}`, `unlocked-${suffix}`, `locked-${suffix}`, `recent-${suffix}`).map(row => row.identifier);
+    const keptBuckets = db.prepare('SELECT key FROM rate_limit_buckets WHERE key LIKE ?').all(`test:${suffix}:%`).map(row => row.key);
+    if (!housekeepingJob || keptCounters.join(',') !== `locked-${suffix},recent-${suffix}` || keptBuckets.join(',') !== `test:${suffix}:active`) {
+      throw new Error(`Housekeeping should prune expired rows: ${keptCounters.join(',')} ${keptBuckets.join(',')} job ${housekeepingJob?.id}`);
+    }
+
+    console.log('✅ Login brute-force protection verified');
+  } catch (err) {
+    console.error('❌ Test failed:', err.message);
+    process.exitCode = 1;
+  } finally {
+    server.kill('SIGINT');
+    await new Promise(resolve => server.once('exit', resolve));
+    smtp.server.close();
+    clearIpCounters();
+    db.prepare(`DELETE FROM login_failures WHERE scope = 'account' AND identifier LIKE ?`).run(`%${suffix}%`);
+    db.prepare('DELETE FROM rate_limit_buckets WHERE key LIKE ?').run(`test:${suffix}:%`);
+    db.prepare(`DELETE FROM audit_logs WHERE actor_user_id = ? OR target_id = ? OR (action LIKE 'auth.%' AND metadata LIKE ?)`)
+      .run(userId, userId, `%${suffix}%`);
+    db.prepare('DELETE FROM user_tenants WHERE user_id = ?').run(userId);
+    db.prepare('DELETE FROM users WHERE id = ?').run(userId);
+  }
+}
+
+run().catch(err => {
+  console.error('❌ Test failed:', err.message);
+  process.exitCode = 1;
+});
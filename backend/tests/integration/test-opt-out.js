@@ -0,0 +1,339 @@
+/**
+ * Integration test: opt-out handling
+ * Inbound STOP (and tenant-configured) keywords revoke WhatsApp consent, signed
+ * unsubscribe links and one-click List-Unsubscribe revoke email consent, and
+ * opted-out contacts are left out of later sends and resends
+ */
+const http = require('http');
+const crypto = require('crypto');
+const { spawn } = require('child_process');
+const path = require('path');
+const db = require('../../src/db');
+const { createUnsubscribeToken } = require('../../src/services/consent');
+const { resolveAudience } = require('../../src/services/audience');
+
+const TEST_PORT = process.env.TEST_PORT || '5064';
+const BASE_URL = `http://localhost:${TEST_PORT}`;
+
+const OWNER_EMAIL = 'admin@engageninja.local';
+const OWNER_PASSWORD = 'AdminPassword123';
+
+const makeRequest = (method, pathUrl, body = null, cookies = '', contentType = 'application/json') => {
+  return new Promise((resolve, reject) => {
+    const url = new URL(pathUrl, BASE_URL);
+    const options = {
+      method,
+      hostname: url.hostname,
+      port: url.port,
+      path: url.pathname + url.search,
+      headers: {
+        'Content-Type': contentType,
+        ...(cookies ? { Cookie: cookies } : {})
+      }
+    };
+    const req = http.request(options, (res) => {
+      let data = '';
+      res.on('data', chunk => data += chunk);
+      res.on('end', () => {
+        let parsed = data;
+        try { parsed = JSON.parse(data); } catch {}
+        resolve({ status: res.statusCode, data: parsed, headers: res.headers });
+      });
+    });
+    req.on('error', reject);
+    if (body) req.write(typeof body === 'string' ? body : JSON.stringify(body));
+    req.end();
+  });
+};
+
+const postForm = (pathUrl, form) => makeRequest('POST', pathUrl, form, '', 'application/x-www-form-urlencoded');
+
+const login = async (email, password) => {
+  const res = await makeRequest('POST', '/api/auth/login', { email, password });
+  if (res.status !== 200) {
+    throw new Error(`Login failed for ${email}`);
+  }
+  const cookies = res.headers['set-cookie']?.map(c => c.split(';')[0]).join('; ');
+  return { cookies, body: res.data };
+};
+
+const encryptCredentials = (data) => {
+  const encryptionKey = process.env.ENCRYPTION_KEY || 'default-dev-key-change-in-production';
+  const key = crypto.createHash('sha256').update(encryptionKey).digest().subarray(0, 24);
+  const iv = Buffer.alloc(16, 0);
+  const cipher = crypto.createCipheriv('aes-192-cbc', key, iv);
+  let encrypted = cipher.update(JSON.stringify(data), 'utf8', 'hex');
+  encrypted += cipher.final('hex');
+  return encrypted;
+};
+
+const inboundText = (phoneNumberId, from, body) => ({
+  object: 'whatsapp_business_account',
+  entry: [
+    {
+      id: 'waba-test',
+      changes: [
+        {
+          field: 'messages',
+          value: {
+            messaging_product: 'whatsapp',
+            metadata: { display_phone_number: '15550000000', phone_number_id: phoneNumberId },
+            contacts: [{ wa_id: from, profile: { name: 'Opt-out Tester' } }],
+            messages: [{
+              id: `wamid.optout${crypto.randomBytes(8).toString('hex')}`,
+              from,
+              timestamp: String(Math.floor(Date.now() / 1000)),
+              type: 'text',
+              text: { body }
+            }]
+          }
+        }
+      ]
+    }
+  ]
+});
+
+const getContact = (id) => db.prepare(`
+  SELECT consent_whatsapp, consent_email, consent_sms, consent_source, consent_updated_at FROM contacts WHERE id = ?
+`).get(id);
+
+// WhatsApp channel, opted-in contacts and SMS campaigns that were sent over a day ago
+const ensureFixtures = (tenantId) => {
+  const tenant = db.prepare('SELECT plan_id, opt_out_keywords FROM tenants WHERE id = ?').get(tenantId);
+  db.prepare("UPDATE tenants SET plan_id = 'free' WHERE id = ?").run(tenantId);
+
+  const existingWhatsApp = db.prepare(`
+    SELECT * FROM tenant_channel_settings WHERE tenant_id = ? AND channel = 'whatsapp'
+  `).get(tenantId);
+  const existingSms = db.prepare(`
+    SELECT * FROM tenant_channel_settings WHERE tenant_id = ? AND channel = 'sms'
+  `).get(tenantId);
+
+  const phoneNumberId = `optout-test-${Date.now()}`;
+  const credentials = encryptCredentials({ phone_number_id: phoneNumberId, access_token: 'optout-test-token' });
+  if (existingWhatsApp) {
+    db.prepare(`
+      UPDATE tenant_channel_settings SET credentials_encrypted = ?, is_connected = 1 WHERE id = ?
+    `).run(credentials, existingWhatsApp.id);
+  } else {
+    db.prepare(`
+      INSERT INTO tenant_channel_settings (id, tenant_id, channel, provider, credentials_encrypted, is_connected)
+      VALUES (?, ?, 'whatsapp', 'whatsapp_cloud', ?, 1)
+    `).run(crypto.randomUUID(), tenantId, credentials);
+  }
+
+  const suffix = Date.now().toString().slice(-6);
+  const contacts = {
+    stop: { id: crypto.randomUUID(), phone: `1556${suffix}1`, email: `stop-${suffix}@example.com` },
+    localized: { id: crypto.randomUUID(), phone: `1556${suffix}2`, email: `localized-${suffix}@example.com` },
+    oneClick: { id: crypto.randomUUID(), phone: `1556${suffix}3`, email: `oneclick-${suffix}@example.com` },
+    smsReader: { id: crypto.randomUUID(), phone: `1556${suffix}4`, email: null },
+    smsOptedOut: { id: crypto.randomUUID(), phone: `1556${suffix}5`, email: null }
+  };
+  const insertContact = db.prepare(`
+    INSERT INTO contacts (id, tenant_id, phone, email, name, consent_whatsapp, consent_email, consent_sms, consent_source)
+    VALUES (?, ?, ?, ?, ?, 1, 1, 1, 'manual')
+  `);
+  Object.entries(contacts).forEach(([label, c]) => {
+    insertContact.run(c.id, tenantId, `+${c.phone}`, c.email, `Opt-out ${label}`);
+  });
+
+  const sentAt = new Date(Date.now() - 25 * 60 * 60 * 1000).toISOString();
+  const campaigns = {
+    partial: crypto.randomUUID(),
+    allOptedOut: crypto.randomUUID()
+  };
+  Object.values(campaigns).forEach(id => {
+    db.prepare(`
+      INSERT INTO campaigns (id, tenant_id, name, channel, message_content, status, sent_at)
+      VALUES (?, ?, ?, 'sms', ?, 'sent', ?)
+    `).run(id, tenantId, `Opt-out resend ${id.slice(0, 8)}`, JSON.stringify({ body: 'Reminder' }), sentAt);
+  });
+  const insertMessage = db.prepare(`
+    INSERT INTO messages (id, tenant_id, campaign_id, contact_id, channel, provider, status)
+    VALUES (?, ?, ?, ?, 'sms', 'mock', 'delivered')
+  `);
+  insertMessage.run(crypto.randomUUID(), tenantId, campaigns.partial, contacts.smsReader.id);
+  insertMessage.run(crypto.randomUUID(), tenantId, campaigns.partial, contacts.smsOptedOut.id);
+  insertMessage.run(crypto.randomUUID(), tenantId, campaigns.allOptedOut, contacts.smsOptedOut.id);
+
+  const contactIds = Object.values(contacts).map(c => c.id);
+
+  return {
+    phoneNumberId,
+    contacts,
+    campaigns,
+    restore: () => {
+      db.prepare('UPDATE tenants SET plan_id = ?, opt_out_keywords = ? WHERE id = ?')
+        .run(tenant.plan_id, tenant.opt_out_keywords, tenantId);
+      const campaignIds = db.prepare(`
+        SELECT id FROM campaigns WHERE id IN (?, ?) OR resend_of_campaign_id IN (?, ?)
+        ORDER BY resend_of_campaign_id IS NULL
+      `).all(campaigns.partial, campaigns.allOptedOut, campaigns.partial, campaigns.allOptedOut).map(c => c.id);
+      campaignIds.forEach(id => {
+        db.prepare(`
+          DELETE FROM message_status_events WHERE message_id IN (SELECT id FROM messages WHERE campaign_id = ?)
+        `).run(id);
+        db.prepare('DELETE FROM messages WHERE campaign_id = ?').run(id);
+        db.prepare('DELETE FROM campaigns WHERE id = ?').run(id);
+      });
+      contactIds.forEach(id => {
+        db.prepare(`
+          DELETE FROM conversation_messages WHERE conversation_id IN (SELECT id FROM conversations WHERE contact_id = ?)
+        `).run(id);
+        db.prepare('DELETE FROM conversations WHERE contact_id = ?').run(id);
+        db.prepare("DELETE FROM audit_logs WHERE target_type = 'contact' AND target_id = ?").run(id);
+        db.prepare('DELETE FROM contacts WHERE id = ?').run(id);
+      });
+      [['whatsapp', existingWhatsApp], ['sms', existingSms]].forEach(([channel, existing]) => {
+        if (existing) {
+          db.prepare(`
+            UPDATE tenant_channel_settings
+            SET provider = ?, credentials_encrypted = ?, is_connected = ?, connected_at = ?
+            WHERE id = ?
+          `).run(existing.provider, existing.credentials_encrypted, existing.is_connected, existing.connected_at, existing.id);
+        } else {
+          db.prepare('DELETE FROM tenant_channel_settings WHERE tenant_id = ? AND channel = ?').run(tenantId, channel);
+        }
+      });
+    }
+  };
+};
+
+async function run() {
+  console.log('🧪 Testing opt-out handling\n');
+  const server = spawn('node', ['src/index.js'], {
+    cwd: path.join(__dirname, '../..'),
+    env: { ...process.env, BACKEND_PORT: TEST_PORT, NODE_ENV: 'test', ENABLE_WEBHOOK_VERIFICATION: 'false' },
+    stdio: ['ignore', 'pipe', 'pipe']
+  });
+
+  await new Promise((resolve, reject) => {
+    const timeout = setTimeout(() => reject(new Error('Server did not start in time')), 8000);
+    server.stdout.on('data', (data) => {
+      if (data.toString().includes(`http://localhost:${TEST_PORT}`)) {
+        clearTimeout(timeout);
+        resolve();
+      }
+    });
+    server.on('exit', (code) => reject(new Error(`Server exited early with code ${code}`)));
+  });
+
+  let fixtures = null;
+  try {
+    const { cookies, body: loginBody } = await login(OWNER_EMAIL, OWNER_PASSWORD);
+    const tenantId = loginBody.active_tenant_id || loginBody.tenants?.[0]?.tenant_id;
+    fixtures = ensureFixtures(tenantId);
+    const { phoneNumberId, contacts, campaigns } = fixtures;
+
+    // Custom keywords are normalized and built-ins are not duplicated
+    const badKeywords = await makeRequest('PUT', '/api/settings/opt-out-keywords', { keywords: 'arrêt' }, cookies);
+    if (badKeywords.status !== 400) {
+      throw new Error('Non-array keywords should be rejected');
+    }
+    const keywordRes = await makeRequest('PUT', '/api/settings/opt-out-keywords', { keywords: ['Arrêt', 'stop', ' baja '] }, cookies);
+    if (keywordRes.status !== 200 || JSON.stringify(keywordRes.data?.data?.keywords) !== JSON.stringify(['ARRET', 'BAJA'])) {
+      throw new Error(`Unexpected keywords: ${JSON.stringify(keywordRes.data)}`);
+    }
+    const keywordGet = await makeRequest('GET', '/api/settings/opt-out-keywords', null, cookies);
+    if (!keywordGet.data?.data?.defaults?.includes('STOP') || keywordGet.data.data.keywords.length !== 2) {
+      throw new Error(`GET keywords mismatch: ${JSON.stringify(keywordGet.data)}`);
+    }
+
+    // A keyword inside a longer message is not an opt-out
+    await makeRequest('POST', '/webhooks/whatsapp', inboundText(phoneNumberId, contacts.stop.phone, 'Please do not stop sending me deals'));
+    if (getContact(contacts.stop.id).consent_whatsapp !== 1) {
+      throw new Error('A sentence containing "stop" must not revoke consent');
+    }
+
+    const stopRes = await makeRequest('POST', '/webhooks/whatsapp', inboundText(phoneNumberId, contacts.stop.phone, ' Stop! '));
+    const stopped = getContact(contacts.stop.id);
+    if (stopRes.status !== 200 || stopped.consent_whatsapp !== 0 || stopped.consent_source !== 'whatsapp_keyword' || !stopped.consent_updated_at) {
+      throw new Error(`STOP should revoke WhatsApp consent: ${JSON.stringify(stopped)}`);
+    }
+    if (stopped.consent_email !== 1) {
+      throw new Error('WhatsApp STOP must not touch email consent');
+    }
+    const audit = db.prepare(`
+      SELECT actor_type, metadata FROM audit_logs WHERE action = 'contact.opt_out' AND target_id = ?
+    `).get(contacts.stop.id);
+    if (!audit || audit.actor_type !== 'system' || JSON.parse(audit.metadata).keyword !== 'STOP') {
+      throw new Error(`Opt-out should be audited: ${JSON.stringify(audit)}`);
+    }
+
+    await makeRequest('POST', '/webhooks/whatsapp', inboundText(phoneNumberId, contacts.localized.phone, 'arrêt'));
+    if (getContact(contacts.localized.id).consent_whatsapp !== 0) {
+      throw new Error('Tenant keyword "arrêt" should revoke WhatsApp consent');
+    }
+
+    // Later WhatsApp sends leave them out
+    const audience = resolveAudience({ tenantId, channel: 'whatsapp' }).contactIds;
+    if (audience.includes(contacts.stop.id) || audience.includes(contacts.localized.id) || !audience.includes(contacts.oneClick.id)) {
+      throw new Error('WhatsApp audience should exclude opted-out contacts only');
+    }
+
+    // Email unsubscribe link: GET only confirms, POST unsubscribes
+    const badToken = await makeRequest('GET', `/api/unsubscribe/${createUnsubscribeToken(tenantId, contacts.stop.id)}x`);
+    if (badToken.status !== 404) {
+      throw new Error('Tampered unsubscribe token should be rejected');
+    }
+    const token = createUnsubscribeToken(tenantId, contacts.stop.id);
+    const page = await makeRequest('GET', `/api/unsubscribe/${token}`);
+    if (page.status !== 200 || !String(page.data).includes('<form') || getContact(contacts.stop.id).consent_email !== 1) {
+      throw new Error('Opening the unsubscribe page must not unsubscribe');
+    }
+    const confirm = await postForm(`/api/unsubscribe/${token}`, '');
+    const unsubscribed = getContact(contacts.stop.id);
+    if (confirm.status !== 200 || unsubscribed.consent_email !== 0 || unsubscribed.consent_source !== 'email_unsubscribe_link') {
+      throw new Error(`Unsubscribe link should revoke email consent: ${JSON.stringify(unsubscribed)}`);
+    }
+
+    // RFC 8058 one-click from the List-Unsubscribe header
+    const oneClickRes = await postForm(
+      `/api/unsubscribe/${createUnsubscribeToken(tenantId, contacts.oneClick.id)}`,
+      'List-Unsubscribe=One-Click'
+    );
+    const oneClick = getContact(contacts.oneClick.id);
+    if (oneClickRes.status !== 200 || oneClick.consent_email !== 0 || oneClick.consent_source !== 'email_list_unsubscribe') {
+      throw new Error(`One-click unsubscribe failed: ${JSON.stringify(oneClickRes.data)}`);
+    }
+
+    const emailAudience = resolveAudience({ tenantId, channel: 'email' }).contactIds;
+    if (emailAudience.includes(contacts.stop.id) || emailAudience.includes(contacts.oneClick.id) || !emailAudience.includes(contacts.localized.id)) {
+      throw new Error('Email audience should exclude unsubscribed contacts only');
+    }
+
+    // Resend skips non-readers who opted out after the original send
+    const connectRes = await makeRequest('POST', '/api/settings/channels/sms', { provider: 'mock', fromNumber: '+15005550006' }, cookies);
+    if (connectRes.status !== 201) {
+      throw new Error(`Mock SMS connect failed: ${JSON.stringify(connectRes.data)}`);
+    }
+    db.prepare("UPDATE contacts SET consent_sms = 0, consent_source = 'manual' WHERE id = ?").run(contacts.smsOptedOut.id);
+
+    const resendRes = await makeRequest('POST', `/api/campaigns/${campaigns.partial}/resend`, null, cookies);
+    if (resendRes.status !== 200 && resendRes.status !== 201) {
+      throw new Error(`Resend failed: ${JSON.stringify(resendRes.data)}`);
+    }
+    const resent = db.prepare(`
+      SELECT m.contact_id FROM messages m JOIN campaigns c ON c.id = m.campaign_id WHERE c.resend_of_campaign_id = ?
+    `).all(campaigns.partial).map(m => m.contact_id);
+    if (resent.length !== 1 || resent[0] !== contacts.smsReader.id) {
+      throw new Error(`Resend should only reach the opted-in non-reader, got ${JSON.stringify(resent)}`);
+    }
+
+    const noneLeft = await makeRequest('POST', `/api/campaigns/${campaigns.allOptedOut}/resend`, null, cookies);
+    if (noneLeft.status !== 400 || noneLeft.data?.error !== 'No Recipients') {
+      throw new Error(`Resend with only opted-out non-readers should be rejected: ${JSON.stringify(noneLeft.data)}`);
+    }
+
+    console.log('✅ Opt-out handling verified');
+  } catch (err) {
+    console.error('❌ Test failed:', err.message);
+    process.exitCode = 1;
+  } finally {
+    if (fixtures) fixtures.restore();
+    server.kill('SIGINT');
+  }
+}
+
+run();
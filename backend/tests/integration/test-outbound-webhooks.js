@@ -0,0 +1,289 @@
+/**
+ * Integration test: outbound tenant webhooks
+ * Endpoint management, signed contact events, retries with backoff, replay from
+ * the delivery log and auto-disable after repeated failures
+ */
+const http = require('http');
+const crypto = require('crypto');
+const { spawn } = require('child_process');
+const path = require('path');
+const db = require('../../src/db');
+const { createUnsubscribeToken } = require('../../src/services/consent');
+const {
+  AUTO_DISABLE_AFTER_FAILURES,
+  validateEndpointInput,
+  createEndpoint,
+  getEndpoint,
+  queueTestEvent
+} = require('../../src/services/outboundWebhooks');
+
+const TEST_PORT = process.env.TEST_PORT || '5071';
+const RECEIVER_PORT = process.env.RECEIVER_PORT || '5171';
+const BASE_URL = `http://localhost:${TEST_PORT}`;
+
+const OWNER_EMAIL = 'admin@engageninja.local';
+const OWNER_PASSWORD = 'AdminPassword123';
+
+const makeRequest = (method, pathUrl, body = null, cookies = '') => {
+  return new Promise((resolve, reject) => {
+    const url = new URL(pathUrl, BASE_URL);
+    const options = {
+      method,
+      hostname: url.hostname,
+      port: url.port,
+      path: url.pathname + url.search,
+      headers: {
+        'Content-Type': 'application/json',
+        ...(cookies ? { Cookie: cookies } : {})
+      }
+    };
+    const req = http.request(options, (res) => {
+      let data = '';
+      res.on('data', chunk => data += chunk);
+      res.on('end', () => {
+        let parsed = data;
+        try { parsed = JSON.parse(data); } catch {}
+        resolve({ status: res.statusCode, data: parsed, headers: res.headers });
+      });
+    });
+    req.on('error', reject);
+    if (body) req.write(JSON.stringify(body));
+    req.end();
+  });
+};
+
+const login = async (email, password) => {
+  const res = await makeRequest('POST', '/api/auth/login', { email, password });
+  if (res.status !== 200) {
+    throw new Error(`Login failed for ${email}`);
+  }
+  const cookies = res.headers['set-cookie']?.map(c => c.split(';')[0]).join('; ');
+  return { cookies, body: res.data };
+};
+
+const wait = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+// Poll until check() returns a truthy value or the timeout passes
+const waitFor = async (check, timeoutMs = 5000) => {
+  const started = Date.now();
+  while (Date.now() - started < timeoutMs) {
+    const result = check();
+    if (result) return result;
+    await wait(100);
+  }
+  return null;
+};
+
+// Records every request; fails the next `failNext` requests (or all while failAll is set).
+// Requests to /hang never get a response.
+const startReceiver = () => {
+  const receiver = { requests: [], failNext: 0, failAll: false };
+  receiver.server = http.createServer((req, res) => {
+    let body = '';
+    req.on('data', chunk => body += chunk);
+    req.on('end', () => {
+      receiver.requests.push({ url: req.url, headers: req.headers, body });
+      if (req.url === '/hang') return;
+      if (receiver.failAll || receiver.failNext > 0) {
+        receiver.failNext = Math.max(receiver.failNext - 1, 0);
+        res.writeHead(500);
+        return res.end('receiver error');
+      }
+      res.writeHead(200);
+      res.end('ok');
+    });
+  });
+  return new Promise(resolve => receiver.server.listen(RECEIVER_PORT, () => resolve(receiver)));
+};
+
+const verifySignature = (secret, request) => {
+  const parts = Object.fromEntries(request.headers['x-engageninja-signature'].split(',').map(p => p.split('=')));
+  const expected = crypto.createHmac('sha256', secret).update(`${parts.t}.${request.body}`).digest('hex');
+  return parts.v1 === expected;
+};
+
+const eventsOfType = (receiver, type) => receiver.requests.filter(r => r.headers['x-engageninja-event'] === type);
+
+async function run() {
+  console.log('🧪 Testing outbound webhooks\n');
+  const receiver = await startReceiver();
+  const server = spawn('node', ['src/index.js'], {
+    cwd: path.join(__dirname, '../..'),
+    env: {
+      ...process.env,
+      BACKEND_PORT: TEST_PORT,
+      NODE_ENV: 'test',
+      WEBHOOK_DISPATCH_INTERVAL_MS: '100',
+      WEBHOOK_RETRY_BASE_MS: '300',
+      // The receiver runs on this machine
+      ALLOW_PRIVATE_NETWORK_TARGETS: 'true'
+    },
+    stdio: ['ignore', 'pipe', 'pipe']
+  });
+
+  await new Promise((resolve, reject) => {
+    const timeout = setTimeout(() => reject(new Error('Server did not start in time')), 8000);
+    server.stdout.on('data', (data) => {
+      if (data.toString().includes(`http://localhost:${TEST_PORT}`)) {
+        clearTimeout(timeout);
+        resolve();
+      }
+    });
+    server.on('exit', (code) => reject(new Error(`Server exited early with code ${code}`)));
+  });
+
+  let endpointId = null;
+  let slowEndpointId = null;
+  let contactId = null;
+  try {
+    const { cookies, body: loginBody } = await login(OWNER_EMAIL, OWNER_PASSWORD);
+    const tenantId = loginBody.active_tenant_id || loginBody.tenants?.[0]?.tenant_id;
+
+    const badEventRes = await makeRequest('POST', '/api/settings/webhooks', {
+      url: `http://localhost:${RECEIVER_PORT}/hook`,
+      events: ['contact.deleted']
+    }, cookies);
+    if (badEventRes.status !== 400) {
+      throw new Error('Unknown events should be rejected');
+    }
+
+    // Without the override, loopback, private and metadata addresses are refused
+    for (const url of ['http://localhost/hook', 'http://10.1.2.3/hook', 'http://169.254.169.254/latest/meta-data', 'https://[::ffff:127.0.0.1]/hook']) {
+      const { error } = await validateEndpointInput({ url, events: ['contact.created'] });
+      if (!/public host/.test(error || '')) {
+        throw new Error(`${url} should be refused: ${error}`);
+      }
+    }
+
+    const createRes = await makeRequest('POST', '/api/settings/webhooks', {
+      url: `http://localhost:${RECEIVER_PORT}/hook`,
+      description: 'Integration test',
+      events: ['contact.created', 'contact.updated', 'contact.opted_out']
+    }, cookies);
+    if (createRes.status !== 201 || !createRes.data?.data?.secret) {
+      throw new Error(`Create endpoint failed: ${JSON.stringify(createRes.data)}`);
+    }
+    endpointId = createRes.data.data.id;
+    const secret = createRes.data.data.secret;
+    const stored = db.prepare('SELECT secret_encrypted FROM webhook_endpoints WHERE id = ?').get(endpointId);
+    if (!stored.secret_encrypted.startsWith('v2:') || stored.secret_encrypted.includes(secret)) {
+      throw new Error('The signing secret should be stored encrypted with AES-256-GCM');
+    }
+
+    // contact.created arrives signed
+    const contactRes = await makeRequest('POST', '/api/contacts', {
+      name: 'Webhook Contact',
+      phone: `+1556${String(Date.now()).slice(-7)}`,
+      email: `webhook-${endpointId.slice(0, 8)}@example.com`,
+      consent_email: true
+    }, cookies);
+    contactId = contactRes.data?.contact_id;
+    const created = await waitFor(() => eventsOfType(receiver, 'contact.created')[0]);
+    if (!created) {
+      throw new Error('contact.created was not delivered');
+    }
+    const createdBody = JSON.parse(created.body);
+    if (createdBody.data.id !== contactId || createdBody.tenant_id !== tenantId || createdBody.data.consent_email !== true) {
+      throw new Error(`Unexpected contact.created payload: ${created.body}`);
+    }
+    if (!verifySignature(secret, created) || created.headers['x-engageninja-event-id'] !== createdBody.id) {
+      throw new Error('contact.created signature or event ID header is wrong');
+    }
+
+    // Failures are retried with backoff until the receiver recovers
+    receiver.failNext = 2;
+    await makeRequest('PUT', `/api/contacts/${contactId}`, { name: 'Webhook Contact Updated' }, cookies);
+    const retried = await waitFor(() => db.prepare(`
+      SELECT * FROM webhook_deliveries WHERE endpoint_id = ? AND event_type = 'contact.updated' AND status = 'succeeded'
+    `).get(endpointId), 8000);
+    if (!retried || retried.attempts !== 3 || eventsOfType(receiver, 'contact.updated').length !== 3) {
+      throw new Error(`contact.updated should succeed on the 3rd attempt: ${JSON.stringify(retried)}`);
+    }
+
+    // Delivery log and replay
+    const logRes = await makeRequest('GET', `/api/settings/webhooks/${endpointId}/deliveries`, null, cookies);
+    const logged = logRes.data?.data?.find(d => d.id === retried.id);
+    if (!logged || logged.response_status !== 200 || logged.payload?.type !== 'contact.updated') {
+      throw new Error(`Delivery log is missing the retried delivery: ${JSON.stringify(logRes.data)}`);
+    }
+    const replayRes = await makeRequest('POST', `/api/settings/webhooks/deliveries/${retried.id}/replay`, null, cookies);
+    if (replayRes.status !== 202 || replayRes.data?.data?.replay_of !== retried.id) {
+      throw new Error(`Replay failed: ${JSON.stringify(replayRes.data)}`);
+    }
+    const replayed = await waitFor(() => eventsOfType(receiver, 'contact.updated')[3]);
+    if (!replayed || replayed.headers['x-engageninja-event-id'] !== retried.event_id) {
+      throw new Error('Replay should resend the same event');
+    }
+
+    // contact.opted_out from an email unsubscribe
+    await makeRequest('POST', `/api/unsubscribe/${createUnsubscribeToken(tenantId, contactId)}`, null);
+    const optedOut = await waitFor(() => eventsOfType(receiver, 'contact.opted_out')[0]);
+    if (!optedOut || JSON.parse(optedOut.body).data.opted_out_channel !== 'email') {
+      throw new Error('contact.opted_out was not delivered');
+    }
+
+    // Repeated failures disable the endpoint
+    receiver.failAll = true;
+    db.prepare('UPDATE webhook_endpoints SET consecutive_failures = ? WHERE id = ?').run(AUTO_DISABLE_AFTER_FAILURES - 1, endpointId);
+    await makeRequest('PUT', `/api/contacts/${contactId}`, { name: 'Webhook Contact Failing' }, cookies);
+    const disabled = await waitFor(() => db.prepare(`
+      SELECT * FROM webhook_endpoints WHERE id = ? AND is_active = 0
+    `).get(endpointId));
+    if (!disabled || !disabled.disabled_reason) {
+      throw new Error('Endpoint should be disabled after repeated failures');
+    }
+    const pending = db.prepare(`SELECT COUNT(*) as count FROM webhook_deliveries WHERE endpoint_id = ? AND status = 'pending'`).get(endpointId);
+    if (pending.count !== 0) {
+      throw new Error('Disabling an endpoint should fail its pending deliveries');
+    }
+    const disableAudit = db.prepare(`SELECT id FROM audit_logs WHERE action = 'webhook.disable' AND target_id = ?`).get(endpointId);
+    if (!disableAudit) {
+      throw new Error('Missing webhook.disable audit entry');
+    }
+
+    // Disabled endpoints get no new deliveries; re-enabling clears the failure count
+    const before = receiver.requests.length;
+    await makeRequest('PUT', `/api/contacts/${contactId}`, { name: 'Webhook Contact Ignored' }, cookies);
+    await wait(500);
+    if (receiver.requests.length !== before) {
+      throw new Error('Disabled endpoints should not receive events');
+    }
+    const enableRes = await makeRequest('PUT', `/api/settings/webhooks/${endpointId}`, { is_active: true }, cookies);
+    if (!enableRes.data?.data?.is_active || enableRes.data.data.consecutive_failures !== 0 || enableRes.data.data.disabled_at) {
+      throw new Error(`Re-enabling should reset the endpoint: ${JSON.stringify(enableRes.data)}`);
+    }
+
+    // An endpoint that never answers only holds up its own tenant
+    receiver.failAll = false;
+    const otherTenant = db.prepare('SELECT id FROM tenants WHERE id != ? LIMIT 1').get(tenantId);
+    const slow = createEndpoint(otherTenant.id, {
+      url: `http://localhost:${RECEIVER_PORT}/hang`,
+      events: ['contact.created']
+    }, null);
+    slowEndpointId = slow.endpoint.id;
+    queueTestEvent(getEndpoint(otherTenant.id, slowEndpointId));
+    if (!await waitFor(() => receiver.requests.some(r => r.url === '/hang'))) {
+      throw new Error('The slow endpoint was not called');
+    }
+    await makeRequest('PUT', `/api/contacts/${contactId}`, { name: 'Webhook Contact Concurrent' }, cookies);
+    const concurrent = await waitFor(() => eventsOfType(receiver, 'contact.updated')
+      .find(r => JSON.parse(r.body).data.name === 'Webhook Contact Concurrent'), 3000);
+    if (!concurrent) {
+      throw new Error('A hanging endpoint in another tenant should not delay deliveries');
+    }
+
+    console.log('✅ Outbound webhooks verified');
+  } catch (err) {
+    console.error('❌ Test failed:', err.message);
+    process.exitCode = 1;
+  } finally {
+    if (endpointId) db.prepare('DELETE FROM webhook_endpoints WHERE id = ?').run(endpointId);
+    if (slowEndpointId) db.prepare('DELETE FROM webhook_endpoints WHERE id = ?').run(slowEndpointId);
+    if (contactId) db.prepare('DELETE FROM contacts WHERE id = ?').run(contactId);
+    server.kill('SIGINT');
+    receiver.server.closeAllConnections();
+    receiver.server.close();
+  }
+}
+
+run();
@@ -0,0 +1,248 @@
+/**
+ * Integration test: self-service password reset
+ * Forgot-password emails a single-use link through the platform mailer (a local SMTP
+ * catch-all here), reset-password sets the new password, ends the user's other
+ * sessions and rejects used or expired tokens, and both steps are rate limited and audited.
+ */
+const http = require('http');
+const net = require('net');
+const crypto = require('crypto');
+const { spawn } = require('child_process');
+const path = require('path');
+const bcrypt = require('bcrypt');
+const db = require('../../src/db');
+
+const TEST_PORT = process.env.TEST_PORT || '5081';
+const BASE_URL = `http://localhost:${TEST_PORT}`;
+
+const TENANT_OWNER_EMAIL = 'admin@engageninja.local';
+const OLD_PASSWORD = 'OldPassword123';
+const NEW_PASSWORD = 'NewPassword456';
+
+const makeRequest = (method, pathUrl, body = null, cookies = '') => {
+  return new Promise((resolve, reject) => {
+    const url = new URL(pathUrl, BASE_URL);
+    const options = {
+      method,
+      hostname: url.hostname,
+      port: url.port,
+      path: url.pathname + url.search,
+      headers: {
+        'Content-Type': 'application/json',
+        ...(cookies ? { Cookie: cookies } : {})
+      }
+    };
+    const req = http.request(options, (res) => {
+      let data = '';
+      res.on('data', chunk => data += chunk);
+      res.on('end', () => {
+        let parsed = data;
+        try { parsed = JSON.parse(data); } catch {}
+        resolve({ status: res.statusCode, data: parsed, headers: res.headers });
+      });
+    });
+    req.on('error', reject);
+    if (body) req.write(JSON.stringify(body));
+    req.end();
+  });
+};
+
+const login = (email, password) => makeRequest('POST', '/api/auth/login', { email, password })
+  .then(res => ({ status: res.status, cookies: res.headers['set-cookie']?.map(c => c.split(';')[0]).join('; ') }));
+
+/**
+ * SMTP catch-all that keeps every message
+ */
+const startFakeSmtp = () => {
+  const received = [];
+  const server = net.createServer((socket) => {
+    let buffer = '';
+    let inData = false;
+    let to = [];
+    const reply = (line) => socket.write(`${line}\r\n`);
+    socket.setEncoding('utf8');
+    reply('220 fake-smtp ready');
+    socket.on('data', (chunk) => {
+      buffer += chunk;
+      let index;
+      while ((index = buffer.indexOf(inData ? '\r\n.\r\n' : '\r\n')) !== -1) {
+        if (inData) {
+          received.push({ to, data: buffer.slice(0, index).replace(/^\.\./gm, '.') });
+          buffer = buffer.slice(index + 5);
+          inData = false;
+          to = [];
+          reply('250 queued');
+          continue;
+        }
+        const line = buffer.slice(0, index);
+        buffer = buffer.slice(index + 2);
+        const verb = line.split(' ')[0].toUpperCase();
+        if (verb === 'RCPT') to.push(line.match(/<(.*)>/)?.[1]);
+        if (verb === 'DATA') {
+          inData = true;
+          reply('354 go ahead');
+        } else if (verb === 'QUIT') {
+          reply('221 bye');
+          socket.end();
+        } else {
+          reply('250 ok');
+        }
+      }
+    });
+    socket.on('error', () => {});
+  });
+  return new Promise((resolve) => server.listen(0, '127.0.0.1', () => resolve({ server, port: server.address().port, received })));
+};
+
+// Decoded text of each base64 MIME part
+const decodeParts = (data) => [...data.matchAll(/Content-Transfer-Encoding: base64\r\n\r\n([\s\S]*?)(?:\r\n--|$)/g)]
+  .map(match => Buffer.from(match[1].replace(/\s+/g, ''), 'base64').toString('utf8'));
+
+const waitFor = async (check, timeoutMs = 10000) => {
+  const deadline = Date.now() + timeoutMs;
+  while (Date.now() < deadline) {
+    const value = check();
+    if (value) return value;
+    await new Promise(resolve => setTimeout(resolve, 200));
+  }
+  return null;
+};
+
+async function run() {
+  console.log('🧪 Testing password reset\n');
+
+  const smtp = await startFakeSmtp();
+  db.prepare(`DELETE FROM rate_limit_buckets WHERE key LIKE 'password_reset:%'`).run();
+
+  const server = spawn('node', ['src/index.js'], {
+    cwd: path.join(__dirname, '../..'),
+    env: {
+      ...process.env,
+      BACKEND_PORT: TEST_PORT,
+      NODE_ENV: 'test',
+      PLATFORM_EMAIL_PROVIDER: 'smtp',
+      SMTP_HOST: '127.0.0.1',
+      SMTP_PORT: String(smtp.port),
+      SMTP_USERNAME: '',
+      SMTP_PASSWORD: '',
+      SENDER_EMAIL: 'noreply@engageninja.test'
+    },
+    stdio: ['ignore', 'pipe', 'pipe']
+  });
+
+  await new Promise((resolve, reject) => {
+    const timeout = setTimeout(() => reject(new Error('Server did not start in time')), 8000);
+    server.stdout.on('data', (data) => {
+      if (data.toString().includes(`http://localhost:${TEST_PORT}`)) {
+        clearTimeout(timeout);
+        resolve();
+      }
+    });
+    server.on('exit', (code) => reject(new Error(`Server exited early with code ${code}`)));
+  });
+
+  const suffix = crypto.randomUUID().slice(0, 8);
+  const email = `reset-${suffix}@example.com`;
+  const userId = crypto.randomUUID();
+  try {
+    const tenantId = db.prepare(`
+      SELECT ut.tenant_id FROM user_tenants ut JOIN users u ON u.id = ut.user_id WHERE u.email = ?
+    `).get(TENANT_OWNER_EMAIL).tenant_id;
+    db.prepare('INSERT INTO users (id, email, name, first_name, password_hash, role_global) VALUES (?, ?, ?, ?, ?, ?)')
+      .run(userId, email, 'Reset Tester', 'Reset', bcrypt.hashSync(OLD_PASSWORD, 10), 'none');
+    db.prepare(`INSERT INTO user_tenants (user_id, tenant_id, role) VALUES (?, ?, 'member')`).run(userId, tenantId);
+
+    // Two signed-in browsers
+    const sessionA = await login(email, OLD_PASSWORD);
+    const sessionB = await login(email, OLD_PASSWORD);
+    if (sessionA.status !== 200 || sessionB.status !== 200) {
+      throw new Error('Test user could not log in');
+    }
+
+    // Unknown accounts get the same answer and no email
+    const invalid = await makeRequest('POST', '/api/auth/forgot-password', { email: 'not-an-email' });
+    const unknown = await makeRequest('POST', '/api/auth/forgot-password', { email: `nobody-${suffix}@example.com` });
+    const known = await makeRequest('POST', '/api/auth/forgot-password', { email: email.toUpperCase() });
+    if (invalid.status !== 400 || unknown.status !== 200 || known.status !== 200 || unknown.data.message !== known.data.message) {
+      throw new Error(`Forgot-password responses wrong: ${invalid.status} ${unknown.status} ${known.status}`);
+    }
+
+    const mail = await waitFor(() => smtp.received.find(item => item.to.includes(email)));
+    const link = mail && decodeParts(mail.data).join('\n').match(/\/reset-password\?token=([A-Za-z0-9_-]+)/);
+    if (!link || smtp.received.some(item => item.to.includes(`nobody-${suffix}@example.com`))) {
+      throw new Error('Reset email with a link should go only to the known account');
+    }
+    const token = link[1];
+    const stored = db.prepare('SELECT token FROM password_reset_tokens WHERE user_id = ?').all(userId);
+    if (stored.length !== 1 || stored[0].token !== crypto.createHash('sha256').update(token).digest('hex')) {
+      throw new Error('Only the hash of the token should be stored');
+    }
+
+    const shortPassword = await makeRequest('POST', '/api/auth/reset-password', { token, new_password: 'short' });
+    const wrongToken = await makeRequest('POST', '/api/auth/reset-password', { token: `${token}x`, new_password: NEW_PASSWORD });
+    if (shortPassword.status !== 400 || wrongToken.status !== 400 || !/invalid/.test(wrongToken.data.message)) {
+      throw new Error(`Bad reset input should be rejected: ${shortPassword.status} ${JSON.stringify(wrongToken.data)}`);
+    }
+
+    // Resetting ends the other sessions and swaps the password
+    const reset = await makeRequest('POST', '/api/auth/reset-password', { token, new_password: NEW_PASSWORD });
+    const meA = await makeRequest('GET', '/api/auth/me', null, sessionA.cookies);
+    const meB = await makeRequest('GET', '/api/auth/me', null, sessionB.cookies);
+    const oldLogin = await login(email, OLD_PASSWORD);
+    const newLogin = await login(email, NEW_PASSWORD);
+    if (reset.status !== 200 || meA.status !== 401 || meB.status !== 401 || oldLogin.status !== 401 || newLogin.status !== 200) {
+      throw new Error(`Reset should swap the password and end sessions: ${reset.status} ${meA.status} ${meB.status} ${oldLogin.status} ${newLogin.status}`);
+    }
+
+    const reused = await makeRequest('POST', '/api/auth/reset-password', { token, new_password: 'AnotherPassword789' });
+    if (reused.status !== 400 || !/already been used/.test(reused.data.message)) {
+      throw new Error(`Tokens should be single-use: ${JSON.stringify(reused.data)}`);
+    }
+
+    // Expired links are refused
+    await makeRequest('POST', '/api/auth/forgot-password', { email });
+    const secondMail = await waitFor(() => smtp.received.filter(item => item.to.includes(email))[1]);
+    const secondToken = secondMail && decodeParts(secondMail.data).join('\n').match(/token=([A-Za-z0-9_-]+)/)[1];
+    db.prepare(`UPDATE password_reset_tokens SET expires_at = ? WHERE user_id = ? AND used_at IS NULL`)
+      .run(new Date(Date.now() - 1000).toISOString(), userId);
+    const expired = await makeRequest('POST', '/api/auth/reset-password', { token: secondToken, new_password: 'AnotherPassword789' });
+    if (expired.status !== 400 || !/expired/.test(expired.data.message)) {
+      throw new Error(`Expired tokens should be refused: ${JSON.stringify(expired.data)}`);
+    }
+
+    // Three requests per account per hour
+    const third = await makeRequest('POST', '/api/auth/forgot-password', { email });
+    const fourth = await makeRequest('POST', '/api/auth/forgot-password', { email });
+    if (third.status !== 200 || fourth.status !== 429 || !(Number(fourth.headers['retry-after']) > 0)) {
+      throw new Error(`Requests should be rate limited: ${third.status} ${fourth.status}`);
+    }
+
+    const audits = db.prepare('SELECT action, metadata FROM audit_logs WHERE target_id = ?').all(userId);
+    const requests = audits.filter(entry => entry.action === 'user.password_reset_request');
+    const resets = audits.filter(entry => entry.action === 'user.password_reset');
+    if (requests.length !== 4 || requests.filter(entry => JSON.parse(entry.metadata).rate_limited).length !== 1
+      || resets.length !== 1 || JSON.parse(resets[0].metadata).sessions_revoked !== 2) {
+      throw new Error(`Audit entries wrong: ${JSON.stringify(audits)}`);
+    }
+
+    console.log('✅ Password reset verified');
+  } catch (err) {
+    console.error('❌ Test failed:', err.message);
+    process.exitCode = 1;
+  } finally {
+    server.kill('SIGINT');
+    await new Promise(resolve => server.once('exit', resolve));
+    smtp.server.close();
+    db.prepare(`DELETE FROM rate_limit_buckets WHERE key LIKE 'password_reset:%'`).run();
+    db.prepare('DELETE FROM audit_logs WHERE actor_user_id = ? OR target_id = ?').run(userId, userId);
+    db.prepare('DELETE FROM password_reset_tokens WHERE user_id = ?').run(userId);
+    db.prepare(`DELETE FROM login_failures WHERE scope = 'account' AND identifier = ?`).run(email);
+    db.prepare('DELETE FROM user_tenants WHERE user_id = ?').run(userId);
+    db.prepare('DELETE FROM users WHERE id = ?').run(userId);
+  }
+}
+
+run().catch(err => {
+  console.error('❌ Test failed:', err.message);
+  process.exitCode = 1;
+});
@@ -0,0 +1,302 @@
+/**
+ * Integration test: saved segments
+ * AND/OR/NOT groups over tags, consent, signup date, engagement history and
+ * custom attributes; live estimates; campaigns that reference a segment
+ */
+const http = require('http');
+const crypto = require('crypto');
+const { spawn } = require('child_process');
+const path = require('path');
+const db = require('../../src/db');
+
+const TEST_PORT = process.env.TEST_PORT || '5066';
+const BASE_URL = `http://localhost:${TEST_PORT}`;
+
+const OWNER_EMAIL = 'admin@engageninja.local';
+const OWNER_PASSWORD = 'AdminPassword123';
+
+const makeRequest = (method, pathUrl, body = null, cookies = '') => {
+  return new Promise((resolve, reject) => {
+    const url = new URL(pathUrl, BASE_URL);
+    const options = {
+      method,
+      hostname: url.hostname,
+      port: url.port,
+      path: url.pathname + url.search,
+      headers: {
+        'Content-Type': 'application/json',
+        ...(cookies ? { Cookie: cookies } : {})
+      }
+    };
+    const req = http.request(options, (res) => {
+      let data = '';
+      res.on('data', chunk => data += chunk);
+      res.on('end', () => {
+        let parsed = data;
+        try { parsed = JSON.parse(data); } catch {}
+        resolve({ status: res.statusCode, data: parsed, headers: res.headers });
+      });
+    });
+    req.on('error', reject);
+    if (body) req.write(JSON.stringify(body));
+    req.end();
+  });
+};
+
+const login = async (email, password) => {
+  const res = await makeRequest('POST', '/api/auth/login', { email, password });
+  if (res.status !== 200) {
+    throw new Error(`Login failed for ${email}`);
+  }
+  const cookies = res.headers['set-cookie']?.map(c => c.split(';')[0]).join('; ');
+  return { cookies, body: res.data };
+};
+
+const daysAgo = (days) => new Date(Date.now() - days * 24 * 60 * 60 * 1000).toISOString();
+
+// Three tagged contacts with different consent, age, attributes and message history
+const ensureFixtures = (tenantId) => {
+  const existingSms = db.prepare(`
+    SELECT * FROM tenant_channel_settings WHERE tenant_id = ? AND channel = 'sms'
+  `).get(tenantId);
+
+  const suffix = Date.now().toString().slice(-6);
+  const tagA = crypto.randomUUID();
+  const tagB = crypto.randomUUID();
+  db.prepare('INSERT INTO tags (id, tenant_id, name) VALUES (?, ?, ?)').run(tagA, tenantId, `segment-a-${suffix}`);
+  db.prepare('INSERT INTO tags (id, tenant_id, name) VALUES (?, ?, ?)').run(tagB, tenantId, `segment-b-${suffix}`);
+
+  const contacts = {
+    reader: { id: crypto.randomUUID(), tags: [tagA], consent: 1, createdAt: daysAgo(2), attributes: '{"city":"Pune","points":120}' },
+    lapsed: { id: crypto.randomUUID(), tags: [tagA, tagB], consent: 0, createdAt: daysAgo(90), attributes: '{"city":"Mumbai","points":40}' },
+    dormant: { id: crypto.randomUUID(), tags: [tagB], consent: 1, createdAt: daysAgo(400), attributes: 'not json' }
+  };
+  const insertContact = db.prepare(`
+    INSERT INTO contacts (id, tenant_id, phone, email, name, consent_sms, consent_email, consent_source, custom_attributes, created_at)
+    VALUES (?, ?, ?, ?, ?, ?, ?, 'manual', ?, ?)
+  `);
+  Object.entries(contacts).forEach(([label, c], index) => {
+    insertContact.run(c.id, tenantId, `+1558${suffix}${index}`, `${label}-${suffix}@example.com`, `Segment ${label}`,
+      c.consent, c.consent, c.attributes, c.createdAt);
+    c.tags.forEach(tagId => db.prepare('INSERT INTO contact_tags (contact_id, tag_id) VALUES (?, ?)').run(c.id, tagId));
+  });
+
+  // Engagement history: reader read a message 5 days ago, lapsed got one delivered 60 days ago
+  const historyCampaignId = crypto.randomUUID();
+  db.prepare(`
+    INSERT INTO campaigns (id, tenant_id, name, channel, status) VALUES (?, ?, ?, 'sms', 'sent')
+  `).run(historyCampaignId, tenantId, `Segment history ${suffix}`);
+  const insertMessage = db.prepare(`
+    INSERT INTO messages (id, tenant_id, campaign_id, contact_id, channel, provider, status, sent_at, delivered_at, read_at)
+    VALUES (?, ?, ?, ?, 'sms', 'mock', ?, ?, ?, ?)
+  `);
+  insertMessage.run(crypto.randomUUID(), tenantId, historyCampaignId, contacts.reader.id, 'read', daysAgo(5), null, daysAgo(5));
+  insertMessage.run(crypto.randomUUID(), tenantId, historyCampaignId, contacts.lapsed.id, 'delivered', daysAgo(60), daysAgo(60), null);
+
+  const campaignIds = [historyCampaignId];
+  const segmentIds = [];
+
+  return {
+    tagA,
+    tagB,
+    contacts,
+    campaignIds,
+    segmentIds,
+    restore: () => {
+      campaignIds.forEach(id => {
+        db.prepare('DELETE FROM messages WHERE campaign_id = ?').run(id);
+        db.prepare('DELETE FROM campaigns WHERE id = ?').run(id);
+      });
+      segmentIds.forEach(id => {
+        db.prepare('UPDATE campaigns SET segment_id = NULL WHERE segment_id = ?').run(id);
+        db.prepare('DELETE FROM segments WHERE id = ?').run(id);
+      });
+      Object.values(contacts).forEach(c => {
+        db.prepare('DELETE FROM contact_tags WHERE contact_id = ?').run(c.id);
+        db.prepare('DELETE FROM contacts WHERE id = ?').run(c.id);
+      });
+      db.prepare('DELETE FROM tags WHERE id IN (?, ?)').run(tagA, tagB);
+      if (existingSms) {
+        db.prepare(`
+          UPDATE tenant_channel_settings
+          SET provider = ?, credentials_encrypted = ?, is_connected = ?, connected_at = ?
+          WHERE id = ?
+        `).run(existingSms.provider, existingSms.credentials_encrypted, existingSms.is_connected, existingSms.connected_at, existingSms.id);
+      } else {
+        db.prepare(`DELETE FROM tenant_channel_settings WHERE tenant_id = ? AND channel = 'sms'`).run(tenantId);
+      }
+    }
+  };
+};
+
+async function run() {
+  console.log('🧪 Testing saved segments\n');
+  const server = spawn('node', ['src/index.js'], {
+    cwd: path.join(__dirname, '../..'),
+    env: {
+      ...process.env,
+      BACKEND_PORT: TEST_PORT,
+      NODE_ENV: 'test'
+    },
+    stdio: ['ignore', 'pipe', 'pipe']
+  });
+
+  await new Promise((resolve, reject) => {
+    const timeout = setTimeout(() => reject(new Error('Server did not start in time')), 8000);
+    server.stdout.on('data', (data) => {
+      if (data.toString().includes(`http://localhost:${TEST_PORT}`)) {
+        clearTimeout(timeout);
+        resolve();
+      }
+    });
+    server.on('exit', (code) => reject(new Error(`Server exited early with code ${code}`)));
+  });
+
+  let fixtures = null;
+  try {
+    const { cookies, body: loginBody } = await login(OWNER_EMAIL, OWNER_PASSWORD);
+    const tenantId = loginBody.active_tenant_id || loginBody.tenants?.[0]?.tenant_id;
+    fixtures = ensureFixtures(tenantId);
+    const { tagA, tagB, campaignIds, segmentIds } = fixtures;
+
+    // Every definition is scoped to the fixture contacts (tag A OR tag B)
+    const fixtureScope = {
+      type: 'group',
+      match: 'any',
+      conditions: [
+        { type: 'tag', operator: 'has', value: tagA },
+        { type: 'tag', operator: 'has', value: tagB }
+      ]
+    };
+    const estimate = async (label, conditions, expectedMatched) => {
+      const res = await makeRequest('POST', '/api/segments/estimate', {
+        definition: { match: 'all', conditions: [fixtureScope, ...conditions] }
+      }, cookies);
+      if (res.status !== 200 || res.data?.data?.matched !== expectedMatched) {
+        throw new Error(`${label}: expected ${expectedMatched} matches, got ${JSON.stringify(res.data)}`);
+      }
+      return res.data.data;
+    };
+
+    // OR across tags, with per-channel eligibility after consent rules
+    const all = await estimate('Any tag', [], 3);
+    if (all.eligible.sms !== 2 || all.eligible.email !== 2 || all.eligible.whatsapp !== 0) {
+      throw new Error(`Per-channel estimate is wrong: ${JSON.stringify(all)}`);
+    }
+
+    // NOT group
+    await estimate('Not tag B', [{ type: 'group', negate: true, conditions: [{ type: 'tag', operator: 'has', value: tagB }] }], 1);
+
+    // Consent flags
+    await estimate('No SMS consent', [{ type: 'consent', channel: 'sms', value: false }], 1);
+
+    // Signup date
+    await estimate('Older than a year', [{ type: 'created_at', operator: 'older_than_days', value: 365 }], 1);
+    await estimate('Joined after a date', [{ type: 'created_at', operator: 'after', value: daysAgo(30).slice(0, 10) }], 1);
+
+    // Engagement history; a read message counts as delivered
+    await estimate('Read in last 30 days', [{ type: 'engagement', event: 'read', operator: 'in_last_days', value: 30 }], 1);
+    await estimate('Never delivered', [{ type: 'engagement', event: 'delivered', operator: 'never' }], 1);
+    await estimate('Delivered on email ever', [{ type: 'engagement', event: 'delivered', operator: 'ever', channel: 'email' }], 0);
+
+    // Custom attributes (malformed JSON on a contact just never matches)
+    await estimate('Points over 50', [{ type: 'attribute', key: 'points', operator: 'gt', value: 50 }], 1);
+    await estimate('City equals', [{ type: 'attribute', key: 'city', operator: 'equals', value: 'mumbai' }], 1);
+    await estimate('City not set', [{ type: 'attribute', key: 'city', operator: 'is_not_set' }], 1);
+
+    // Validation
+    const unknownTag = await makeRequest('POST', '/api/segments/estimate', {
+      definition: { match: 'all', conditions: [{ type: 'tag', operator: 'has', value: crypto.randomUUID() }] }
+    }, cookies);
+    const badKey = await makeRequest('POST', '/api/segments/estimate', {
+      definition: { conditions: [{ type: 'attribute', key: 'a.b', operator: 'equals', value: 'x' }] }
+    }, cookies);
+    if (unknownTag.status !== 400 || badKey.status !== 400) {
+      throw new Error('Invalid definitions should be rejected');
+    }
+
+    // Saved segment with a live size in the list
+    const createRes = await makeRequest('POST', '/api/segments', {
+      name: `Engaged ${Date.now()}`,
+      definition: {
+        match: 'all',
+        conditions: [fixtureScope, { type: 'consent', channel: 'sms', value: true }]
+      }
+    }, cookies);
+    const segmentId = createRes.data?.data?.id;
+    if (createRes.status !== 201 || !segmentId || createRes.data.data.estimate?.eligible?.sms !== 2) {
+      throw new Error(`Segment create failed: ${JSON.stringify(createRes.data)}`);
+    }
+    segmentIds.push(segmentId);
+    const listRes = await makeRequest('GET', '/api/segments', null, cookies);
+    const listed = listRes.data?.data?.find(s => s.id === segmentId);
+    if (!listed || listed.contact_count !== 2) {
+      throw new Error(`Segment list should include the live size: ${JSON.stringify(listed)}`);
+    }
+
+    // A campaign that references the segment resolves its audience from it
+    const connectRes = await makeRequest('POST', '/api/settings/channels/sms', { provider: 'mock', fromNumber: '+15005550006' }, cookies);
+    if (connectRes.status !== 201) {
+      throw new Error(`Mock SMS connect failed: ${JSON.stringify(connectRes.data)}`);
+    }
+    const campaignRes = await makeRequest('POST', '/api/campaigns', {
+      name: `Segment Campaign ${Date.now()}`,
+      channel: 'sms',
+      message_content: { body: 'Hi {{name}}' },
+      segment_id: segmentId
+    }, cookies);
+    const campaignId = campaignRes.data?.data?.id;
+    if (campaignRes.status !== 201 || !campaignId) {
+      throw new Error(`Campaign create failed: ${JSON.stringify(campaignRes.data)}`);
+    }
+    campaignIds.push(campaignId);
+    const audienceRes = await makeRequest('GET', `/api/campaigns/${campaignId}/audience`, null, cookies);
+    if (audienceRes.data?.data?.matched !== 2 || audienceRes.data?.data?.eligible !== 2) {
+      throw new Error(`Campaign audience should come from the segment: ${JSON.stringify(audienceRes.data)}`);
+    }
+
+    // Editing the segment changes what the draft campaign would reach
+    const updateRes = await makeRequest('PUT', `/api/segments/${segmentId}`, {
+      definition: {
+        match: 'all',
+        conditions: [fixtureScope, { type: 'engagement', event: 'read', operator: 'in_last_days', value: 30 }]
+      }
+    }, cookies);
+    if (updateRes.status !== 200) {
+      throw new Error(`Segment update failed: ${JSON.stringify(updateRes.data)}`);
+    }
+    const updatedAudience = await makeRequest('GET', `/api/campaigns/${campaignId}/audience`, null, cookies);
+    if (updatedAudience.data?.data?.eligible !== 1) {
+      throw new Error(`Campaign audience should follow the edited segment: ${JSON.stringify(updatedAudience.data)}`);
+    }
+    const queued = db.prepare('SELECT COUNT(*) as count FROM messages WHERE campaign_id = ?').get(campaignId);
+    if (queued.count !== 0) {
+      throw new Error('Estimating should never queue messages');
+    }
+
+    // Segments used by unsent campaigns can't be deleted
+    const blockedDelete = await makeRequest('DELETE', `/api/segments/${segmentId}`, null, cookies);
+    if (blockedDelete.status !== 409) {
+      throw new Error(`Deleting a segment used by a draft should be refused: ${JSON.stringify(blockedDelete.data)}`);
+    }
+    db.prepare("UPDATE campaigns SET status = 'archived' WHERE id = ?").run(campaignId);
+    const deleteRes = await makeRequest('DELETE', `/api/segments/${segmentId}`, null, cookies);
+    if (deleteRes.status !== 200) {
+      throw new Error(`Segment delete failed: ${JSON.stringify(deleteRes.data)}`);
+    }
+    const staleRef = await makeRequest('POST', '/api/campaigns/audience/preview', { channel: 'sms', segment_id: segmentId }, cookies);
+    if (staleRef.status !== 400) {
+      throw new Error('Deleted segments should not be selectable');
+    }
+
+    console.log('✅ Saved segments verified');
+  } catch (err) {
+    console.error('❌ Test failed:', err.message);
+    process.exitCode = 1;
+  } finally {
+    if (fixtures) fixtures.restore();
+    server.kill('SIGINT');
+  }
+}
+
+run();
@@ -0,0 +1,314 @@
+/**
+ * Integration test: send error classes
+ * Provider errors are classified (permanent, rate limited, transient, auth failure,
+ * template paused) and retried with jittered backoff per class. An auth failure
+ * pauses the tenant's channel without using attempts until it is reconnected.
+ */
+const http = require('http');
+const crypto = require('crypto');
+const { spawn } = require('child_process');
+const path = require('path');
+const db = require('../../src/db');
+const { ERROR_CLASSES, classifySendError, getRetryDelayMs } = require('../../src/services/sendErrors');
+const { handleMessageError } = require('../../src/services/messageQueue');
+
+const TEST_PORT = process.env.TEST_PORT || '5074';
+const BASE_URL = `http://localhost:${TEST_PORT}`;
+
+const OWNER_EMAIL = 'admin@engageninja.local';
+const OWNER_PASSWORD = 'AdminPassword123';
+
+const makeRequest = (method, pathUrl, body = null, cookies = '') => {
+  return new Promise((resolve, reject) => {
+    const url = new URL(pathUrl, BASE_URL);
+    const options = {
+      method,
+      hostname: url.hostname,
+      port: url.port,
+      path: url.pathname + url.search,
+      headers: {
+        'Content-Type': 'application/json',
+        ...(cookies ? { Cookie: cookies } : {})
+      }
+    };
+    const req = http.request(options, (res) => {
+      let data = '';
+      res.on('data', chunk => data += chunk);
+      res.on('end', () => {
+        let parsed = data;
+        try { parsed = JSON.parse(data); } catch {}
+        resolve({ status: res.statusCode, data: parsed, headers: res.headers });
+      });
+    });
+    req.on('error', reject);
+    if (body) req.write(JSON.stringify(body));
+    req.end();
+  });
+};
+
+const login = async (email, password) => {
+  const res = await makeRequest('POST', '/api/auth/login', { email, password });
+  if (res.status !== 200) {
+    throw new Error(`Login failed for ${email}`);
+  }
+  const cookies = res.headers['set-cookie']?.map(c => c.split(';')[0]).join('; ');
+  return { cookies, body: res.data };
+};
+
+const wait = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+// Poll until check() returns a truthy value or the timeout passes
+const waitFor = async (check, timeoutMs = 5000) => {
+  const started = Date.now();
+  while (Date.now() - started < timeoutMs) {
+    const result = check();
+    if (result) return result;
+    await wait(100);
+  }
+  return null;
+};
+
+const providerError = (fields) => Object.assign(new Error(fields.message || 'Provider error'), fields);
+
+const checkClassification = () => {
+  const cases = [
+    [providerError({ code: 190, statusCode: 401 }), 'whatsapp', ERROR_CLASSES.AUTH_FAILURE],
+    [providerError({ code: 200, statusCode: 403 }), 'whatsapp', ERROR_CLASSES.AUTH_FAILURE],
+    [providerError({ code: 130429, statusCode: 400 }), 'whatsapp', ERROR_CLASSES.RATE_LIMITED],
+    [providerError({ code: 131000, statusCode: 500 }), 'whatsapp', ERROR_CLASSES.TRANSIENT],
+    [providerError({ code: 132015, statusCode: 400 }), 'whatsapp', ERROR_CLASSES.TEMPLATE_PAUSED],
+    [providerError({ code: 131026, statusCode: 400 }), 'whatsapp', ERROR_CLASSES.PERMANENT],
+    [providerError({ message: 'Number of parameters does not match the expected number of params' }), 'whatsapp', ERROR_CLASSES.PERMANENT],
+    [providerError({ code: 'Throttling', statusCode: 400 }), 'email', ERROR_CLASSES.RATE_LIMITED],
+    [providerError({ code: 'MessageRejected', statusCode: 400 }), 'email', ERROR_CLASSES.PERMANENT],
+    [providerError({ code: 'unauthorized', statusCode: 401 }), 'email', ERROR_CLASSES.AUTH_FAILURE],
+    [providerError({ code: 21211, statusCode: 400 }), 'sms', ERROR_CLASSES.PERMANENT],
+    [providerError({ code: 'ECONNRESET' }), 'sms', ERROR_CLASSES.TRANSIENT],
+    [new Error('SMS not configured'), 'sms', ERROR_CLASSES.TRANSIENT]
+  ];
+  cases.forEach(([error, channel, expected], i) => {
+    const actual = classifySendError(error, channel);
+    if (actual !== expected) {
+      throw new Error(`Case ${i} (${channel} ${error.code || error.message}) classified as ${actual}, expected ${expected}`);
+    }
+  });
+
+  for (let i = 0; i < 20; i++) {
+    const first = getRetryDelayMs(ERROR_CLASSES.TRANSIENT, 1);
+    const third = getRetryDelayMs(ERROR_CLASSES.TRANSIENT, 3);
+    const capped = getRetryDelayMs(ERROR_CLASSES.RATE_LIMITED, 12);
+    if (first < 2500 || first > 5000 || third < 10000 || third > 20000 || capped < 450000 || capped > 900000) {
+      throw new Error(`Backoff out of range: ${first}, ${third}, ${capped}`);
+    }
+  }
+};
+
+async function run() {
+  console.log('🧪 Testing send error classes\n');
+  const server = spawn('node', ['src/index.js'], {
+    cwd: path.join(__dirname, '../..'),
+    env: {
+      ...process.env,
+      BACKEND_PORT: TEST_PORT,
+      NODE_ENV: 'test',
+      JOB_POLL_INTERVAL_MS: '100',
+      MOCK_SMS_DELIVERY_DELAY_MS: '200'
+    },
+    stdio: ['ignore', 'pipe', 'pipe']
+  });
+
+  await new Promise((resolve, reject) => {
+    const timeout = setTimeout(() => reject(new Error('Server did not start in time')), 8000);
+    server.stdout.on('data', (data) => {
+      if (data.toString().includes(`http://localhost:${TEST_PORT}`)) {
+        clearTimeout(timeout);
+        resolve();
+      }
+    });
+    server.on('exit', (code) => reject(new Error(`Server exited early with code ${code}`)));
+  });
+
+  let tenantId = null;
+  let existingSms = null;
+  const contactIds = [];
+  const campaignId = crypto.randomUUID();
+  try {
+    checkClassification();
+
+    const { cookies, body: loginBody } = await login(OWNER_EMAIL, OWNER_PASSWORD);
+    tenantId = loginBody.active_tenant_id || loginBody.tenants?.[0]?.tenant_id;
+    existingSms = db.prepare(`SELECT * FROM tenant_channel_settings WHERE tenant_id = ? AND channel = 'sms'`).get(tenantId);
+
+    const connect = () => makeRequest('POST', '/api/settings/channels/sms', {
+      provider: 'mock',
+      fromNumber: '+15005550006'
+    }, cookies);
+    const connectRes = await connect();
+    if (connectRes.status !== 201) {
+      throw new Error(`Mock SMS connect failed: ${JSON.stringify(connectRes.data)}`);
+    }
+
+    db.prepare(`
+      INSERT INTO campaigns (id, tenant_id, name, channel, message_content, status, sent_at)
+      VALUES (?, ?, ?, 'sms', ?, 'sending', ?)
+    `).run(campaignId, tenantId, `Send errors ${campaignId.slice(0, 8)}`, JSON.stringify({ body: 'Hello' }), new Date().toISOString());
+
+    // Successive transient failures back off 1x, 2x, 4x the base delay (jitter pinned to its maximum)
+    const backoffContactId = crypto.randomUUID();
+    contactIds.push(backoffContactId);
+    db.prepare(`
+      INSERT INTO contacts (id, tenant_id, phone, name, consent_sms, consent_source)
+      VALUES (?, ?, ?, 'Send errors', 1, 'manual')
+    `).run(backoffContactId, tenantId, `+1555${String(Date.now()).slice(-7)}`);
+    const backoffMessageId = crypto.randomUUID();
+    db.prepare(`
+      INSERT INTO messages (id, tenant_id, campaign_id, contact_id, channel, provider, status, attempts)
+      VALUES (?, ?, ?, ?, 'sms', 'mock', 'processing', 1)
+    `).run(backoffMessageId, tenantId, campaignId, backoffContactId);
+    const random = Math.random;
+    const delays = [];
+    try {
+      Math.random = () => 1;
+      for (let i = 0; i < 3; i++) {
+        handleMessageError(db.prepare('SELECT * FROM messages WHERE id = ?').get(backoffMessageId), providerError({ code: 'ECONNRESET' }));
+        const row = db.prepare('SELECT next_attempt_at, updated_at FROM messages WHERE id = ?').get(backoffMessageId);
+        delays.push(new Date(row.next_attempt_at) - new Date(row.updated_at));
+      }
+    } finally {
+      Math.random = random;
+      // Keeps the server from picking the message up
+      db.prepare(`UPDATE messages SET status = 'failed' WHERE id = ?`).run(backoffMessageId);
+    }
+    if (delays.join() !== '5000,10000,20000') {
+      throw new Error(`Retries should back off 1x, 2x, 4x: ${delays.join(', ')}`);
+    }
+
+    // Mock gateway numbers: 5550400 invalid number, 5550429 rate limited, 5550401 bad credentials
+    const area = String(200 + (Date.now() % 700));
+    const queueMessage = (phone) => {
+      const contactId = crypto.randomUUID();
+      contactIds.push(contactId);
+      db.prepare(`
+        INSERT INTO contacts (id, tenant_id, phone, name, consent_sms, consent_source)
+        VALUES (?, ?, ?, 'Send errors', 1, 'manual')
+      `).run(contactId, tenantId, phone);
+      const messageId = crypto.randomUUID();
+      db.prepare(`
+        INSERT INTO messages (id, tenant_id, campaign_id, contact_id, channel, provider, status, attempts)
+        VALUES (?, ?, ?, ?, 'sms', 'mock', 'queued', 1)
+      `).run(messageId, tenantId, campaignId, contactId);
+      db.prepare(`
+        INSERT INTO jobs (id, queue, lane, payload, tenant_id, dedupe_key, status, attempts, max_attempts, run_at)
+        VALUES (?, 'outbound_messages', 'bulk', ?, ?, ?, 'queued', 0, 10, ?)
+      `).run(crypto.randomUUID(), JSON.stringify({ messageId }), tenantId, `message:${messageId}`, new Date().toISOString());
+      return { messageId, contactId };
+    };
+    const getMessage = (id) => db.prepare('SELECT * FROM messages WHERE id = ?').get(id);
+    const getJob = (id) => db.prepare(`SELECT * FROM jobs WHERE dedupe_key = ? ORDER BY created_at DESC LIMIT 1`).get(`message:${id}`);
+
+    // Permanent: fails on the first error
+    const invalid = queueMessage(`+1${area}5550400`);
+    const failed = await waitFor(() => {
+      const row = getMessage(invalid.messageId);
+      return row.status === 'failed' ? row : null;
+    });
+    if (!failed || failed.error_class !== 'permanent' || failed.next_attempt_at) {
+      throw new Error(`Invalid number should fail as permanent: ${JSON.stringify(failed)}`);
+    }
+
+    // Rate limited: retried 15-30s later (30s base, jittered)
+    const limited = queueMessage(`+1${area}5550429`);
+    const retrying = await waitFor(() => {
+      const row = getMessage(limited.messageId);
+      return row.status === 'queued' && row.error_class ? row : null;
+    });
+    const delay = retrying ? new Date(retrying.next_attempt_at) - Date.now() : 0;
+    if (!retrying || retrying.error_class !== 'rate_limited' || retrying.attempts !== 2 || delay < 13000 || delay > 30000) {
+      throw new Error(`Rate limited send should back off: ${JSON.stringify(retrying)}`);
+    }
+    const limitedJob = await waitFor(() => {
+      const job = getJob(limited.messageId);
+      return job?.status === 'queued' ? job : null;
+    });
+    if (!limitedJob || Math.abs(new Date(limitedJob.run_at) - new Date(retrying.next_attempt_at)) > 1000) {
+      throw new Error(`Job should run at next_attempt_at: ${JSON.stringify(limitedJob)}`);
+    }
+
+    // Auth failure: channel paused, message held without using an attempt
+    const badAuth = queueMessage(`+1${area}5550401`);
+    const paused = await waitFor(() => db.prepare(`
+      SELECT sends_paused_at, sends_paused_reason FROM tenant_channel_settings
+      WHERE tenant_id = ? AND channel = 'sms' AND sends_paused_at IS NOT NULL
+    `).get(tenantId));
+    const held = getMessage(badAuth.messageId);
+    if (!paused || held.status !== 'queued' || held.error_class !== 'auth_failure' || held.attempts !== 1) {
+      throw new Error(`Auth failure should pause the channel and hold the message: ${JSON.stringify({ paused, held })}`);
+    }
+    const audit = db.prepare(`
+      SELECT metadata FROM audit_logs WHERE tenant_id = ? AND action = 'channel.sends_pause' ORDER BY created_at DESC LIMIT 1
+    `).get(tenantId);
+    if (!audit || JSON.parse(audit.metadata).channel !== 'sms') {
+      throw new Error('Pausing should be audited');
+    }
+    const channelsRes = await makeRequest('GET', '/api/settings/channels', null, cookies);
+    if (!channelsRes.data?.sms?.sends_paused_at || !channelsRes.data.sms.sends_paused_reason) {
+      throw new Error(`Channel settings should report the pause: ${JSON.stringify(channelsRes.data?.sms)}`);
+    }
+
+    // Other sends on the paused channel wait too
+    const waiting = queueMessage(`+1${area}5551234`);
+    const deferred = await waitFor(() => {
+      const job = getJob(waiting.messageId);
+      return job?.status === 'queued' && new Date(job.run_at) > Date.now() + 30000 ? job : null;
+    });
+    if (!deferred || deferred.attempts !== 0 || getMessage(waiting.messageId).status !== 'queued') {
+      throw new Error(`Sends should wait while the channel is paused: ${JSON.stringify(deferred)}`);
+    }
+
+    // Reconnecting clears the pause; held messages go out on their next check
+    const reconnectRes = await connect();
+    const resumed = db.prepare(`SELECT sends_paused_at FROM tenant_channel_settings WHERE tenant_id = ? AND channel = 'sms'`).get(tenantId);
+    if (reconnectRes.status !== 201 || resumed.sends_paused_at) {
+      throw new Error('Reconnecting should clear the pause');
+    }
+    db.prepare('UPDATE contacts SET phone = ? WHERE id = ?').run(`+1${area}5551235`, badAuth.contactId);
+    db.prepare(`UPDATE jobs SET run_at = ? WHERE dedupe_key IN (?, ?) AND status = 'queued'`)
+      .run(new Date().toISOString(), `message:${badAuth.messageId}`, `message:${waiting.messageId}`);
+    const sent = await waitFor(() => {
+      const rows = [getMessage(badAuth.messageId), getMessage(waiting.messageId)];
+      return rows.every(row => row.status === 'sent' || row.status === 'delivered') ? rows : null;
+    });
+    if (!sent) {
+      throw new Error('Held messages should be sent after reconnecting');
+    }
+
+    console.log('✅ Send error classes verified');
+  } catch (err) {
+    console.error('❌ Test failed:', err.message);
+    process.exitCode = 1;
+  } finally {
+    db.prepare(`DELETE FROM jobs WHERE dedupe_key IN (SELECT 'message:' || id FROM messages WHERE campaign_id = ?)`).run(campaignId);
+    db.prepare(`
+      DELETE FROM message_status_events WHERE message_id IN (SELECT id FROM messages WHERE campaign_id = ?)
+    `).run(campaignId);
+    db.prepare('DELETE FROM messages WHERE campaign_id = ?').run(campaignId);
+    db.prepare('DELETE FROM campaigns WHERE id = ?').run(campaignId);
+    contactIds.forEach(id => db.prepare('DELETE FROM contacts WHERE id = ?').run(id));
+    if (tenantId) {
+      db.prepare('DELETE FROM rate_limit_buckets WHERE key LIKE ?').run(`%:${tenantId}:sms`);
+      if (existingSms) {
+        db.prepare(`
+          UPDATE tenant_channel_settings
+          SET provider = ?, credentials_encrypted = ?, is_connected = ?, connected_at = ?, sends_paused_at = ?, sends_paused_reason = ?
+          WHERE id = ?
+        `).run(existingSms.provider, existingSms.credentials_encrypted, existingSms.is_connected, existingSms.connected_at,
+          existingSms.sends_paused_at, existingSms.sends_paused_reason, existingSms.id);
+      } else {
+        db.prepare(`DELETE FROM tenant_channel_settings WHERE tenant_id = ? AND channel = 'sms'`).run(tenantId);
+      }
+    }
+    server.kill('SIGINT');
+  }
+}
+
+run();
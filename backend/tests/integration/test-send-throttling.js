@@ -0,0 +1,249 @@
+/**
+ * Integration test: per-tenant send throttling
+ * Tenants take turns in the job queue, each tenant's sends are held to its own
+ * per-second and 24h limits without using up retry attempts, and the admin
+ * queue endpoint reports depth and throughput per tenant
+ */
+const http = require('http');
+const crypto = require('crypto');
+const { spawn } = require('child_process');
+const path = require('path');
+const db = require('../../src/db');
+const SqliteJobQueueDriver = require('../../src/services/sqliteJobQueue');
+
+const TEST_PORT = process.env.TEST_PORT || '5073';
+const BASE_URL = `http://localhost:${TEST_PORT}`;
+const TEST_QUEUE = `test_fair_${Date.now()}`;
+
+const OWNER_EMAIL = 'admin@engageninja.local';
+const OWNER_PASSWORD = 'AdminPassword123';
+const PLATFORM_EMAIL = 'platform.admin@engageninja.local';
+const PLATFORM_PASSWORD = 'PlatformAdminPassword123';
+
+const makeRequest = (method, pathUrl, body = null, cookies = '') => {
+  return new Promise((resolve, reject) => {
+    const url = new URL(pathUrl, BASE_URL);
+    const options = {
+      method,
+      hostname: url.hostname,
+      port: url.port,
+      path: url.pathname + url.search,
+      headers: {
+        'Content-Type': 'application/json',
+        ...(cookies ? { Cookie: cookies } : {})
+      }
+    };
+    const req = http.request(options, (res) => {
+      let data = '';
+      res.on('data', chunk => data += chunk);
+      res.on('end', () => {
+        let parsed = data;
+        try { parsed = JSON.parse(data); } catch {}
+        resolve({ status: res.statusCode, data: parsed, headers: res.headers });
+      });
+    });
+    req.on('error', reject);
+    if (body) req.write(JSON.stringify(body));
+    req.end();
+  });
+};
+
+const login = async (email, password) => {
+  const res = await makeRequest('POST', '/api/auth/login', { email, password });
+  if (res.status !== 200) {
+    throw new Error(`Login failed for ${email}`);
+  }
+  const cookies = res.headers['set-cookie']?.map(c => c.split(';')[0]).join('; ');
+  return { cookies, body: res.data };
+};
+
+const wait = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+// Poll until check() returns a truthy value or the timeout passes
+const waitFor = async (check, timeoutMs = 5000) => {
+  const started = Date.now();
+  while (Date.now() - started < timeoutMs) {
+    const result = check();
+    if (result) return result;
+    await wait(100);
+  }
+  return null;
+};
+
+// Jobs from a big tenant and a small one are leased alternately
+const checkFairLeasing = () => {
+  const driver = new SqliteJobQueueDriver();
+  const runAt = new Date(Date.now() - 1000);
+  for (let i = 0; i < 4; i++) {
+    driver.enqueue(TEST_QUEUE, { n: i }, { tenantId: 'tenant-big', runAt });
+  }
+  driver.enqueue(TEST_QUEUE, { n: 'small' }, { tenantId: 'tenant-small', runAt: new Date() });
+
+  const order = [];
+  for (let i = 0; i < 5; i++) {
+    const [job] = driver.lease(TEST_QUEUE, { owner: 'fair-test:1', limit: 1, visibilityTimeoutMs: 60000 });
+    order.push(job.tenant_id);
+    driver.complete(job);
+  }
+  if (order.slice(0, 2).sort().join() !== 'tenant-big,tenant-small') {
+    throw new Error(`The small tenant should be served within the first two leases, got ${order.join()}`);
+  }
+};
+
+async function run() {
+  console.log('🧪 Testing per-tenant send throttling\n');
+  const server = spawn('node', ['src/index.js'], {
+    cwd: path.join(__dirname, '../..'),
+    env: {
+      ...process.env,
+      BACKEND_PORT: TEST_PORT,
+      NODE_ENV: 'test',
+      JOB_POLL_INTERVAL_MS: '100',
+      MOCK_SMS_DELIVERY_DELAY_MS: '200'
+    },
+    stdio: ['ignore', 'pipe', 'pipe']
+  });
+
+  await new Promise((resolve, reject) => {
+    const timeout = setTimeout(() => reject(new Error('Server did not start in time')), 8000);
+    server.stdout.on('data', (data) => {
+      if (data.toString().includes(`http://localhost:${TEST_PORT}`)) {
+        clearTimeout(timeout);
+        resolve();
+      }
+    });
+    server.on('exit', (code) => reject(new Error(`Server exited early with code ${code}`)));
+  });
+
+  let tenantId = null;
+  let existingSms = null;
+  const contactIds = [];
+  const campaignId = crypto.randomUUID();
+  try {
+    checkFairLeasing();
+
+    const { cookies, body: loginBody } = await login(OWNER_EMAIL, OWNER_PASSWORD);
+    tenantId = loginBody.active_tenant_id || loginBody.tenants?.[0]?.tenant_id;
+    existingSms = db.prepare(`SELECT * FROM tenant_channel_settings WHERE tenant_id = ? AND channel = 'sms'`).get(tenantId);
+
+    // Email quota is validated
+    const badQuota = await makeRequest('POST', '/api/settings/channels/email', {
+      provider: 'brevo',
+      apiKey: 'test-key',
+      verifiedSenderEmail: 'sender@example.com',
+      sendRatePerSecond: 0
+    }, cookies);
+    if (badQuota.status !== 400) {
+      throw new Error('A send rate below 1 should be rejected');
+    }
+
+    // 2 SMS per second, 3 per 24h for this tenant only
+    const connectRes = await makeRequest('POST', '/api/settings/channels/sms', {
+      provider: 'mock',
+      fromNumber: '+15005550006'
+    }, cookies);
+    if (connectRes.status !== 201) {
+      throw new Error(`Mock SMS connect failed: ${JSON.stringify(connectRes.data)}`);
+    }
+    db.prepare(`
+      UPDATE tenant_channel_settings SET send_rate_per_second = 2, daily_send_limit = 3
+      WHERE tenant_id = ? AND channel = 'sms'
+    `).run(tenantId);
+    db.prepare('DELETE FROM rate_limit_buckets WHERE key LIKE ?').run(`%:${tenantId}:sms`);
+
+    db.prepare(`
+      INSERT INTO campaigns (id, tenant_id, name, channel, message_content, status, sent_at)
+      VALUES (?, ?, ?, 'sms', ?, 'sending', ?)
+    `).run(campaignId, tenantId, `Throttle ${campaignId.slice(0, 8)}`, JSON.stringify({ body: 'Throttled hello' }), new Date().toISOString());
+
+    const suffix = Date.now().toString().slice(-6);
+    const driver = new SqliteJobQueueDriver();
+    const messageIds = [];
+    for (let i = 0; i < 5; i++) {
+      const contactId = crypto.randomUUID();
+      contactIds.push(contactId);
+      db.prepare(`
+        INSERT INTO contacts (id, tenant_id, phone, name, consent_sms, consent_source)
+        VALUES (?, ?, ?, ?, 1, 'manual')
+      `).run(contactId, tenantId, `+1558${suffix}${i}`, `Throttle ${i}`);
+      const messageId = crypto.randomUUID();
+      messageIds.push(messageId);
+      db.prepare(`
+        INSERT INTO messages (id, tenant_id, campaign_id, contact_id, channel, provider, status, attempts)
+        VALUES (?, ?, ?, ?, 'sms', 'mock', 'queued', 1)
+      `).run(messageId, tenantId, campaignId, contactId);
+      driver.enqueue('outbound_messages', { messageId }, { tenantId, dedupeKey: `message:${messageId}` });
+    }
+
+    // Daily limit: 3 go out, the rest wait for tokens without using attempts
+    const sent = await waitFor(() => {
+      const rows = db.prepare(`
+        SELECT sent_at FROM messages WHERE campaign_id = ? AND sent_at IS NOT NULL ORDER BY sent_at
+      `).all(campaignId);
+      return rows.length === 3 ? rows : null;
+    });
+    if (!sent) {
+      throw new Error('Exactly the daily limit of 3 messages should be sent');
+    }
+    // Burst of 2, then the third waits for the per-second bucket
+    const spreadMs = new Date(sent[2].sent_at) - new Date(sent[0].sent_at);
+    if (spreadMs < 300) {
+      throw new Error(`The third send should wait for a token, sends were ${spreadMs}ms apart`);
+    }
+
+    await wait(500);
+    const held = db.prepare(`
+      SELECT j.* FROM jobs j JOIN messages m ON j.dedupe_key = 'message:' || m.id
+      WHERE m.campaign_id = ? AND m.status = 'queued'
+    `).all(campaignId);
+    const farFuture = Date.now() + 60 * 60 * 1000;
+    if (held.length !== 2 || held.some(job => job.status !== 'queued' || job.attempts !== 0 || new Date(job.run_at) < farFuture)) {
+      throw new Error(`Throttled jobs should be deferred without using attempts: ${JSON.stringify(held)}`);
+    }
+
+    // Admin queue view
+    const { cookies: adminCookies } = await login(PLATFORM_EMAIL, PLATFORM_PASSWORD);
+    const queueRes = await makeRequest('GET', '/api/admin/queue', null, adminCookies);
+    const row = queueRes.data?.tenants?.find(t => t.tenant_id === tenantId);
+    if (queueRes.status !== 200 || !row || row.waiting < 2 || row.sent_last_minute < 3) {
+      throw new Error(`Admin queue stats are wrong: ${JSON.stringify(queueRes.data)}`);
+    }
+    if (row.limits.sms.rate_per_second !== 2 || row.limits.sms.daily_limit !== 3 || !queueRes.data.totals) {
+      throw new Error(`Admin queue stats should include tenant limits: ${JSON.stringify(row)}`);
+    }
+    const forbidden = await makeRequest('GET', '/api/admin/queue', null, cookies);
+    if (forbidden.status !== 403) {
+      throw new Error('Tenant users should not see the platform queue');
+    }
+
+    console.log('✅ Per-tenant send throttling verified');
+  } catch (err) {
+    console.error('❌ Test failed:', err.message);
+    process.exitCode = 1;
+  } finally {
+    db.prepare(`DELETE FROM jobs WHERE queue = ? OR dedupe_key IN (SELECT 'message:' || id FROM messages WHERE campaign_id = ?)`)
+      .run(TEST_QUEUE, campaignId);
+    db.prepare(`
+      DELETE FROM message_status_events WHERE message_id IN (SELECT id FROM messages WHERE campaign_id = ?)
+    `).run(campaignId);
+    db.prepare('DELETE FROM messages WHERE campaign_id = ?').run(campaignId);
+    db.prepare('DELETE FROM campaigns WHERE id = ?').run(campaignId);
+    contactIds.forEach(id => db.prepare('DELETE FROM contacts WHERE id = ?').run(id));
+    if (tenantId) {
+      db.prepare('DELETE FROM rate_limit_buckets WHERE key LIKE ?').run(`%:${tenantId}:sms`);
+      if (existingSms) {
+        db.prepare(`
+          UPDATE tenant_channel_settings
+          SET provider = ?, credentials_encrypted = ?, is_connected = ?, connected_at = ?, send_rate_per_second = ?, daily_send_limit = ?
+          WHERE id = ?
+        `).run(existingSms.provider, existingSms.credentials_encrypted, existingSms.is_connected, existingSms.connected_at,
+          existingSms.send_rate_per_second, existingSms.daily_send_limit, existingSms.id);
+      } else {
+        db.prepare(`DELETE FROM tenant_channel_settings WHERE tenant_id = ? AND channel = 'sms'`).run(tenantId);
+      }
+    }
+    server.kill('SIGINT');
+  }
+}
+
+run();
@@ -0,0 +1,361 @@
+/**
+ * Integration test: sender domain verification
+ * Adding a domain generates a DKIM key and the SPF/DKIM/DMARC records to publish;
+ * verification looks them up through a local DNS stub (DNS_RESOLVER_SERVERS), email
+ * sends are blocked until the sender's domain is verified, and SMTP sends are
+ * DKIM-signed with the domain's key.
+ */
+const http = require('http');
+const net = require('net');
+const dgram = require('dgram');
+const crypto = require('crypto');
+const { spawn } = require('child_process');
+const path = require('path');
+const db = require('../../src/db');
+const { parseMessage, canonicalizeBodyRelaxed, canonicalizeHeaderRelaxed } = require('../../src/services/dkim');
+
+const TEST_PORT = process.env.TEST_PORT || '5080';
+const BASE_URL = `http://localhost:${TEST_PORT}`;
+
+const OWNER_EMAIL = 'admin@engageninja.local';
+const OWNER_PASSWORD = 'AdminPassword123';
+
+const makeRequest = (method, pathUrl, body = null, cookies = '', headers = {}) => {
+  return new Promise((resolve, reject) => {
+    const url = new URL(pathUrl, BASE_URL);
+    const options = {
+      method,
+      hostname: url.hostname,
+      port: url.port,
+      path: url.pathname + url.search,
+      headers: {
+        'Content-Type': 'application/json',
+        ...(cookies ? { Cookie: cookies } : {}),
+        ...headers
+      }
+    };
+    const req = http.request(options, (res) => {
+      let data = '';
+      res.on('data', chunk => data += chunk);
+      res.on('end', () => {
+        let parsed = data;
+        try { parsed = JSON.parse(data); } catch {}
+        resolve({ status: res.statusCode, data: parsed, headers: res.headers });
+      });
+    });
+    req.on('error', reject);
+    if (body) req.write(JSON.stringify(body));
+    req.end();
+  });
+};
+
+const login = async (email, password) => {
+  const res = await makeRequest('POST', '/api/auth/login', { email, password });
+  if (res.status !== 200) {
+    throw new Error(`Login failed for ${email}`);
+  }
+  const cookies = res.headers['set-cookie']?.map(c => c.split(';')[0]).join('; ');
+  return { cookies, body: res.data };
+};
+
+const getYearMonth = () => {
+  const now = new Date();
+  return `${now.getFullYear()}-${String(now.getMonth() + 1).padStart(2, '0')}`;
+};
+
+/**
+ * DNS stub answering TXT queries from `zone` (name -> [strings]); other names are NXDOMAIN
+ */
+const startDnsStub = (zone) => {
+  const socket = dgram.createSocket('udp4');
+  socket.on('message', (query, remote) => {
+    let offset = 12;
+    const labels = [];
+    while (query[offset] !== 0) {
+      labels.push(query.slice(offset + 1, offset + 1 + query[offset]).toString('ascii'));
+      offset += query[offset] + 1;
+    }
+    const question = query.slice(12, offset + 5);
+    const qtype = query.readUInt16BE(offset + 1);
+    const name = labels.join('.').toLowerCase();
+    const records = zone[name];
+    const answers = records && qtype === 16 ? records : [];
+
+    const header = Buffer.alloc(12);
+    query.copy(header, 0, 0, 2);
+    header.writeUInt16BE(records ? 0x8180 : 0x8183, 2);
+    header.writeUInt16BE(1, 4);
+    header.writeUInt16BE(answers.length, 6);
+
+    const answerBuffers = answers.map((value) => {
+      const chunks = value.match(/.{1,255}/g) || [''];
+      const rdata = Buffer.concat(chunks.map(chunk => Buffer.concat([Buffer.from([chunk.length]), Buffer.from(chunk, 'ascii')])));
+      const fixed = Buffer.alloc(12);
+      fixed.writeUInt16BE(0xc00c, 0);
+      fixed.writeUInt16BE(16, 2);
+      fixed.writeUInt16BE(1, 4);
+      fixed.writeUInt32BE(60, 6);
+      fixed.writeUInt16BE(rdata.length, 10);
+      return Buffer.concat([fixed, rdata]);
+    });
+    socket.send(Buffer.concat([header, question, ...answerBuffers]), remote.port, remote.address);
+  });
+  return new Promise((resolve) => socket.bind(0, '127.0.0.1', () => resolve({ socket, port: socket.address().port })));
+};
+
+/**
+ * SMTP catch-all that keeps every message
+ */
+const startFakeSmtp = () => {
+  const received = [];
+  const server = net.createServer((socket) => {
+    let buffer = '';
+    let inData = false;
+    let to = [];
+    const reply = (line) => socket.write(`${line}\r\n`);
+    socket.setEncoding('utf8');
+    reply('220 fake-smtp ready');
+    socket.on('data', (chunk) => {
+      buffer += chunk;
+      let index;
+      while ((index = buffer.indexOf(inData ? '\r\n.\r\n' : '\r\n')) !== -1) {
+        if (inData) {
+          received.push({ to, data: buffer.slice(0, index).replace(/^\.\./gm, '.') });
+          buffer = buffer.slice(index + 5);
+          inData = false;
+          to = [];
+          reply('250 queued');
+          continue;
+        }
+        const line = buffer.slice(0, index);
+        buffer = buffer.slice(index + 2);
+        const verb = line.split(' ')[0].toUpperCase();
+        if (verb === 'RCPT') to.push(line.match(/<(.*)>/)?.[1]);
+        if (verb === 'DATA') {
+          inData = true;
+          reply('354 go ahead');
+        } else if (verb === 'QUIT') {
+          reply('221 bye');
+          socket.end();
+        } else {
+          reply('250 ok');
+        }
+      }
+    });
+    socket.on('error', () => {});
+  });
+  return new Promise((resolve) => server.listen(0, '127.0.0.1', () => resolve({ server, port: server.address().port, received })));
+};
+
+const waitFor = async (check, timeoutMs = 10000) => {
+  const deadline = Date.now() + timeoutMs;
+  while (Date.now() < deadline) {
+    const value = check();
+    if (value) return value;
+    await new Promise(resolve => setTimeout(resolve, 200));
+  }
+  return null;
+};
+
+// Check a relaxed/relaxed rsa-sha256 DKIM-Signature against the published key
+const verifyDkim = (data, publicKey) => {
+  const { headers, body } = parseMessage(data);
+  const dkimHeader = headers.find(header => header.name.toLowerCase() === 'dkim-signature');
+  if (!dkimHeader) return 'missing DKIM-Signature';
+  const tags = Object.fromEntries(dkimHeader.value.split(';').map(part => part.trim().split(/=(.*)/s).slice(0, 2)));
+  const bodyHash = crypto.createHash('sha256').update(canonicalizeBodyRelaxed(body)).digest('base64');
+  if (tags.bh !== bodyHash) return 'body hash mismatch';
+  const signingInput = [
+    ...tags.h.split(':').map(name => {
+      const header = [...headers].reverse().find(h => h.name.toLowerCase() === name);
+      return canonicalizeHeaderRelaxed(header.name, header.value);
+    }),
+    canonicalizeHeaderRelaxed('DKIM-Signature', dkimHeader.value.replace(/b=[^;]*$/, 'b='))
+  ].join('\r\n');
+  const key = crypto.createPublicKey({ key: Buffer.from(publicKey, 'base64'), format: 'der', type: 'spki' });
+  const valid = crypto.verify('sha256', Buffer.from(signingInput), key, Buffer.from(tags.b, 'base64'));
+  return valid ? tags : 'signature invalid';
+};
+
+async function run() {
+  console.log('🧪 Testing sender domain verification\n');
+
+  const zone = {};
+  const dns = await startDnsStub(zone);
+  const smtp = await startFakeSmtp();
+
+  const server = spawn('node', ['src/index.js'], {
+    cwd: path.join(__dirname, '../..'),
+    env: {
+      ...process.env,
+      BACKEND_PORT: TEST_PORT,
+      NODE_ENV: 'test',
+      DNS_RESOLVER_SERVERS: `127.0.0.1:${dns.port}`,
+      DNS_TIMEOUT_MS: '1000',
+      // The tenant's SMTP relay runs on this machine
+      ALLOW_PRIVATE_NETWORK_TARGETS: 'true'
+    },
+    stdio: ['ignore', 'pipe', 'pipe']
+  });
+
+  await new Promise((resolve, reject) => {
+    const timeout = setTimeout(() => reject(new Error('Server did not start in time')), 8000);
+    server.stdout.on('data', (data) => {
+      if (data.toString().includes(`http://localhost:${TEST_PORT}`)) {
+        clearTimeout(timeout);
+        resolve();
+      }
+    });
+    server.on('exit', (code) => reject(new Error(`Server exited early with code ${code}`)));
+  });
+
+  const suffix = crypto.randomUUID().slice(0, 8);
+  const domainName = `acme-${suffix}.example`;
+  const contactEmail = `domains-${suffix}@example.com`;
+  let tenantId = null;
+  let savedChannel = null;
+  let subscriptionId = null;
+  let usage = null;
+  try {
+    const { cookies, body: loginBody } = await login(OWNER_EMAIL, OWNER_PASSWORD);
+    tenantId = loginBody.active_tenant_id || loginBody.tenants?.[0]?.tenant_id;
+    savedChannel = db.prepare(`SELECT * FROM tenant_channel_settings WHERE tenant_id = ? AND channel = 'email'`).get(tenantId);
+    usage = db.prepare('SELECT * FROM usage_counters WHERE tenant_id = ? AND year_month = ?').get(tenantId, getYearMonth()) || null;
+    if (!db.prepare('SELECT id FROM subscriptions WHERE tenant_id = ?').get(tenantId)) {
+      subscriptionId = crypto.randomUUID();
+      const now = new Date();
+      db.prepare(`
+        INSERT INTO subscriptions (id, tenant_id, provider, provider_subscription_id, plan_key, status, current_period_start, current_period_end)
+        VALUES (?, ?, 'stripe', ?, 'growth', 'active', ?, ?)
+      `).run(subscriptionId, tenantId, `sub_test_${suffix}`, now.toISOString(), new Date(now.getTime() + 86400000).toISOString());
+    }
+
+    // Adding a domain returns the records to publish
+    const invalid = await makeRequest('POST', '/api/settings/sender-domains', { domain: 'https://example.com/x' }, cookies);
+    const created = await makeRequest('POST', '/api/settings/sender-domains', { domain: `${domainName.toUpperCase()}.` }, cookies);
+    const duplicate = await makeRequest('POST', '/api/settings/sender-domains', { domain: domainName }, cookies);
+    if (invalid.status !== 400 || created.status !== 201 || duplicate.status !== 409) {
+      throw new Error(`Domain create validation wrong: ${invalid.status} ${created.status} ${duplicate.status}`);
+    }
+    const domain = created.data.data;
+    const records = Object.fromEntries(domain.records.map(record => [record.purpose, record]));
+    const publicKey = records.dkim?.value.match(/p=([A-Za-z0-9+/=]+)/)?.[1];
+    if (domain.domain !== domainName || domain.status !== 'pending' || records.dkim.host !== `engageninja._domainkey.${domainName}`
+      || !publicKey || records.dmarc.host !== `_dmarc.${domainName}` || !/^v=spf1 /.test(records.spf.value)
+      || JSON.stringify(domain).includes('PRIVATE KEY')) {
+      throw new Error(`Domain records wrong: ${JSON.stringify(domain)}`);
+    }
+
+    // Connect SMTP with a sender on a subdomain of the new domain
+    const connected = await makeRequest('POST', '/api/settings/channels/email', {
+      provider: 'smtp', smtpHost: '127.0.0.1', smtpPort: smtp.port, verifiedSenderEmail: `news@mail.${domainName}`
+    }, cookies);
+    if (connected.status !== 201) {
+      throw new Error(`SMTP connect failed: ${JSON.stringify(connected.data)}`);
+    }
+
+    const send = () => makeRequest('POST', '/api/messages', {
+      channel: 'email',
+      contact: { email: contactEmail, name: 'Domain Tester', consent_email: true },
+      subject: 'Signed hello',
+      htmlBody: '<p>Hello  there</p>',
+      textBody: 'Hello there'
+    }, cookies);
+
+    // Unverified: health says so and sends are blocked
+    const pendingHealth = await makeRequest('GET', '/api/settings/channels/email/health', null, cookies);
+    const blocked = await send();
+    if (pendingHealth.data.data?.sender_domain?.status !== 'pending' || pendingHealth.data.data.can_send !== false
+      || blocked.status !== 400 || blocked.data.error !== 'Sender Domain Not Verified') {
+      throw new Error(`Unverified domain should block sends: ${JSON.stringify(pendingHealth.data)} ${JSON.stringify(blocked.data)}`);
+    }
+
+    // Nothing published: every check fails
+    const nothing = await makeRequest('POST', `/api/settings/sender-domains/${domain.id}/verify`, null, cookies);
+    if (nothing.status !== 200 || nothing.data.data.status !== 'failed' || nothing.data.data.spf_status !== 'fail'
+      || nothing.data.data.dkim_status !== 'fail' || nothing.data.data.dmarc_status !== 'fail') {
+      throw new Error(`Unpublished domain should fail: ${JSON.stringify(nothing.data)}`);
+    }
+
+    // A different DKIM key doesn't count
+    zone[domainName] = ['google-site-verification=abc', records.spf.value];
+    zone[`_dmarc.${domainName}`] = [records.dmarc.value];
+    zone[`engageninja._domainkey.${domainName}`] = [`v=DKIM1; k=rsa; p=${crypto.randomBytes(32).toString('base64')}`];
+    const wrongKey = await makeRequest('POST', `/api/settings/sender-domains/${domain.id}/verify`, null, cookies);
+    if (wrongKey.data.data.status !== 'failed' || wrongKey.data.data.spf_status !== 'pass' || wrongKey.data.data.dmarc_status !== 'pass'
+      || !/does not match/.test(wrongKey.data.data.check_details.dkim.error)) {
+      throw new Error(`Wrong DKIM key should fail: ${JSON.stringify(wrongKey.data.data)}`);
+    }
+
+    zone[`engageninja._domainkey.${domainName}`] = [records.dkim.value];
+    const verified = await makeRequest('POST', `/api/settings/sender-domains/${domain.id}/verify`, null, cookies);
+    const health = await makeRequest('GET', '/api/settings/channels/email/health', null, cookies);
+    if (verified.data.data.status !== 'verified' || !verified.data.data.verified_at || health.data.data.can_send !== true) {
+      throw new Error(`Domain should verify: ${JSON.stringify(verified.data.data)} ${JSON.stringify(health.data)}`);
+    }
+
+    // Verified: the send goes out DKIM-signed with the domain's key
+    const sent = await send();
+    if (sent.status !== 202) {
+      throw new Error(`Send from verified domain failed: ${JSON.stringify(sent.data)}`);
+    }
+    const mail = await waitFor(() => smtp.received.find(item => item.to.includes(contactEmail)));
+    const dkim = mail && verifyDkim(mail.data, publicKey);
+    if (!mail || typeof dkim === 'string' || dkim.d !== domainName || dkim.s !== 'engageninja' || !dkim.h.includes('from')) {
+      throw new Error(`Delivered mail should carry a valid DKIM signature: ${dkim}`);
+    }
+
+    const list = await makeRequest('GET', '/api/settings/sender-domains', null, cookies);
+    const removed = await makeRequest('DELETE', `/api/settings/sender-domains/${domain.id}`, null, cookies);
+    const afterDelete = await send();
+    if (!list.data.data.some(item => item.id === domain.id) || removed.status !== 200 || afterDelete.status !== 400) {
+      throw new Error('Deleting the domain should block sends again');
+    }
+
+    console.log('✅ Sender domain verification verified');
+  } catch (err) {
+    console.error('❌ Test failed:', err.message);
+    process.exitCode = 1;
+  } finally {
+    server.kill('SIGINT');
+    await new Promise(resolve => server.once('exit', resolve));
+    smtp.server.close();
+    dns.socket.close();
+    if (tenantId) {
+      db.prepare('DELETE FROM sender_domains WHERE tenant_id = ? AND domain = ?').run(tenantId, domainName);
+      const contactIds = db.prepare('SELECT id FROM contacts WHERE tenant_id = ? AND email = ?').all(tenantId, contactEmail).map(row => row.id);
+      contactIds.forEach((contactId) => {
+        db.prepare(`DELETE FROM jobs WHERE dedupe_key IN (SELECT 'message:' || id FROM messages WHERE contact_id = ?)`).run(contactId);
+        db.prepare('DELETE FROM message_status_events WHERE message_id IN (SELECT id FROM messages WHERE contact_id = ?)').run(contactId);
+        db.prepare('DELETE FROM messages WHERE contact_id = ?').run(contactId);
+        db.prepare('DELETE FROM contacts WHERE id = ?').run(contactId);
+      });
+      if (savedChannel) {
+        db.prepare(`
+          UPDATE tenant_channel_settings
+          SET provider = ?, credentials_encrypted = ?, verified_sender_email = ?, is_connected = ?, connected_at = ?,
+              send_rate_per_second = ?, daily_send_limit = ?, sends_paused_at = ?, sends_paused_reason = ?
+          WHERE id = ?
+        `).run(savedChannel.provider, savedChannel.credentials_encrypted, savedChannel.verified_sender_email, savedChannel.is_connected,
+          savedChannel.connected_at, savedChannel.send_rate_per_second, savedChannel.daily_send_limit, savedChannel.sends_paused_at,
+          savedChannel.sends_paused_reason, savedChannel.id);
+      } else {
+        db.prepare(`DELETE FROM tenant_channel_settings WHERE tenant_id = ? AND channel = 'email'`).run(tenantId);
+      }
+      if (subscriptionId) {
+        db.prepare('DELETE FROM subscriptions WHERE id = ?').run(subscriptionId);
+      }
+      if (usage) {
+        db.prepare('UPDATE usage_counters SET email_messages_sent = ? WHERE tenant_id = ? AND year_month = ?')
+          .run(usage.email_messages_sent, tenantId, usage.year_month);
+      } else {
+        db.prepare('DELETE FROM usage_counters WHERE tenant_id = ? AND year_month = ?').run(tenantId, getYearMonth());
+      }
+    }
+  }
+}
+
+run().catch(err => {
+  console.error('❌ Test failed:', err.message);
+  process.exitCode = 1;
+});
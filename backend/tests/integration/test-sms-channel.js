@@ -0,0 +1,269 @@
+/**
+ * Integration test: SMS channel
+ * Connects the mock SMS gateway, sends an SMS campaign to opted-in contacts and
+ * checks simulated delivery receipts, usage metering and the status webhook
+ */
+const http = require('http');
+const crypto = require('crypto');
+const { spawn } = require('child_process');
+const path = require('path');
+const db = require('../../src/db');
+
+const TEST_PORT = process.env.TEST_PORT || '5062';
+const BASE_URL = `http://localhost:${TEST_PORT}`;
+
+const OWNER_EMAIL = 'admin@engageninja.local';
+const OWNER_PASSWORD = 'AdminPassword123';
+
+const makeRequest = (method, pathUrl, body = null, cookies = '', contentType = 'application/json') => {
+  return new Promise((resolve, reject) => {
+    const url = new URL(pathUrl, BASE_URL);
+    const payload = body === null
+      ? null
+      : (contentType === 'application/json' ? JSON.stringify(body) : body);
+    const options = {
+      method,
+      hostname: url.hostname,
+      port: url.port,
+      path: url.pathname + url.search,
+      headers: {
+        'Content-Type': contentType,
+        ...(cookies ? { Cookie: cookies } : {})
+      }
+    };
+    const req = http.request(options, (res) => {
+      let data = '';
+      res.on('data', chunk => data += chunk);
+      res.on('end', () => {
+        let parsed = data;
+        try { parsed = JSON.parse(data); } catch {}
+        resolve({ status: res.statusCode, data: parsed, headers: res.headers });
+      });
+    });
+    req.on('error', reject);
+    if (payload) req.write(payload);
+    req.end();
+  });
+};
+
+const login = async (email, password) => {
+  const res = await makeRequest('POST', '/api/auth/login', { email, password });
+  if (res.status !== 200) {
+    throw new Error(`Login failed for ${email}`);
+  }
+  const cookies = res.headers['set-cookie']?.map(c => c.split(';')[0]).join('; ');
+  return { cookies, body: res.data };
+};
+
+const wait = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+const currentYearMonth = () => {
+  const now = new Date();
+  return `${now.getFullYear()}-${String(now.getMonth() + 1).padStart(2, '0')}`;
+};
+
+// Opted-in, opted-out and undeliverable contacts; tenant on the free plan so sends are allowed
+const ensureFixtures = (tenantId) => {
+  const tenant = db.prepare('SELECT plan_id FROM tenants WHERE id = ?').get(tenantId);
+  db.prepare("UPDATE tenants SET plan_id = 'free' WHERE id = ?").run(tenantId);
+
+  const existingSms = db.prepare(`
+    SELECT * FROM tenant_channel_settings WHERE tenant_id = ? AND channel = 'sms'
+  `).get(tenantId);
+
+  const usage = db.prepare('SELECT sms_sent FROM usage_counters WHERE tenant_id = ? AND year_month = ?')
+    .get(tenantId, currentYearMonth());
+
+  const suffix = Date.now().toString().slice(-6);
+  const contacts = {
+    optedIn: { id: crypto.randomUUID(), phone: `+1555${suffix}1`, consent: 1 },
+    optedOut: { id: crypto.randomUUID(), phone: `+1555${suffix}2`, consent: 0 },
+    undeliverable: { id: crypto.randomUUID(), phone: `+1555${suffix}0000`, consent: 1 }
+  };
+  const insertContact = db.prepare(`
+    INSERT INTO contacts (id, tenant_id, phone, name, consent_sms, consent_source)
+    VALUES (?, ?, ?, ?, ?, 'manual')
+  `);
+  Object.entries(contacts).forEach(([label, c]) => {
+    insertContact.run(c.id, tenantId, c.phone, `SMS ${label}`, c.consent);
+  });
+
+  // Other tenant contacts must not receive the test campaign
+  const previouslyOptedIn = db.prepare(`
+    SELECT id FROM contacts WHERE tenant_id = ? AND consent_sms = 1 AND id NOT IN (?, ?)
+  `).all(tenantId, contacts.optedIn.id, contacts.undeliverable.id);
+  previouslyOptedIn.forEach(c => db.prepare('UPDATE contacts SET consent_sms = 0 WHERE id = ?').run(c.id));
+
+  const campaignIds = [];
+
+  return {
+    contacts,
+    campaignIds,
+    restore: () => {
+      db.prepare('UPDATE tenants SET plan_id = ? WHERE id = ?').run(tenant.plan_id, tenantId);
+      campaignIds.forEach(id => {
+        db.prepare(`
+          DELETE FROM message_status_events WHERE message_id IN (SELECT id FROM messages WHERE campaign_id = ?)
+        `).run(id);
+        db.prepare('DELETE FROM messages WHERE campaign_id = ?').run(id);
+        db.prepare('DELETE FROM campaigns WHERE id = ?').run(id);
+      });
+      Object.values(contacts).forEach(c => db.prepare('DELETE FROM contacts WHERE id = ?').run(c.id));
+      previouslyOptedIn.forEach(c => db.prepare('UPDATE contacts SET consent_sms = 1 WHERE id = ?').run(c.id));
+      if (existingSms) {
+        db.prepare(`
+          UPDATE tenant_channel_settings
+          SET provider = ?, credentials_encrypted = ?, is_connected = ?, connected_at = ?
+          WHERE id = ?
+        `).run(existingSms.provider, existingSms.credentials_encrypted, existingSms.is_connected, existingSms.connected_at, existingSms.id);
+      } else {
+        db.prepare(`DELETE FROM tenant_channel_settings WHERE tenant_id = ? AND channel = 'sms'`).run(tenantId);
+      }
+      if (usage) {
+        db.prepare('UPDATE usage_counters SET sms_sent = ? WHERE tenant_id = ? AND year_month = ?')
+          .run(usage.sms_sent, tenantId, currentYearMonth());
+      } else {
+        db.prepare('UPDATE usage_counters SET sms_sent = 0 WHERE tenant_id = ? AND year_month = ?')
+          .run(tenantId, currentYearMonth());
+      }
+    }
+  };
+};
+
+async function run() {
+  console.log('🧪 Testing SMS channel\n');
+  const server = spawn('node', ['src/index.js'], {
+    cwd: path.join(__dirname, '../..'),
+    env: {
+      ...process.env,
+      BACKEND_PORT: TEST_PORT,
+      NODE_ENV: 'test',
+      ENABLE_WEBHOOK_VERIFICATION: 'false',
+      MOCK_SMS_DELIVERY_DELAY_MS: '200'
+    },
+    stdio: ['ignore', 'pipe', 'pipe']
+  });
+
+  await new Promise((resolve, reject) => {
+    const timeout = setTimeout(() => reject(new Error('Server did not start in time')), 8000);
+    server.stdout.on('data', (data) => {
+      if (data.toString().includes(`http://localhost:${TEST_PORT}`)) {
+        clearTimeout(timeout);
+        resolve();
+      }
+    });
+    server.on('exit', (code) => reject(new Error(`Server exited early with code ${code}`)));
+  });
+
+  let fixtures = null;
+  try {
+    const { cookies, body: loginBody } = await login(OWNER_EMAIL, OWNER_PASSWORD);
+    const tenantId = loginBody.active_tenant_id || loginBody.tenants?.[0]?.tenant_id;
+    fixtures = ensureFixtures(tenantId);
+    const { contacts, campaignIds } = fixtures;
+
+    // SMS campaigns require a connected channel
+    await makeRequest('DELETE', '/api/settings/channels/sms', null, cookies);
+    const notConnected = await makeRequest('POST', '/api/campaigns', {
+      name: 'SMS before connect',
+      channel: 'sms',
+      message_content: { body: 'Hello' }
+    }, cookies);
+    if (notConnected.status !== 400) {
+      throw new Error('Creating an SMS campaign without a connected channel should fail');
+    }
+
+    // Twilio needs credentials
+    const badTwilio = await makeRequest('POST', '/api/settings/channels/sms', { provider: 'twilio' }, cookies);
+    if (badTwilio.status !== 400) {
+      throw new Error('Twilio connect without credentials should be rejected');
+    }
+
+    const connectRes = await makeRequest('POST', '/api/settings/channels/sms', {
+      provider: 'mock',
+      fromNumber: '+15005550006'
+    }, cookies);
+    if (connectRes.status !== 201) {
+      throw new Error(`Mock SMS connect failed: ${JSON.stringify(connectRes.data)}`);
+    }
+
+    const channelsRes = await makeRequest('GET', '/api/settings/channels', null, cookies);
+    if (!channelsRes.data?.sms?.is_connected || channelsRes.data.sms.provider !== 'mock') {
+      throw new Error('GET /settings/channels should report the connected SMS channel');
+    }
+
+    // Empty body is rejected
+    const emptyBody = await makeRequest('POST', '/api/campaigns', {
+      name: 'Empty SMS',
+      channel: 'sms',
+      message_content: { body: '   ' }
+    }, cookies);
+    if (emptyBody.status !== 400) {
+      throw new Error('SMS campaign with an empty body should be rejected');
+    }
+
+    const createRes = await makeRequest('POST', '/api/campaigns', {
+      name: `SMS Test ${Date.now()}`,
+      channel: 'sms',
+      message_content: { body: 'Hi {{name}}, this is a test' }
+    }, cookies);
+    const campaignId = createRes.data?.data?.id;
+    if (createRes.status !== 201 || !campaignId) {
+      throw new Error(`SMS campaign create failed: ${JSON.stringify(createRes.data)}`);
+    }
+    campaignIds.push(campaignId);
+
+    const sendRes = await makeRequest('POST', `/api/campaigns/${campaignId}/send`, null, cookies);
+    if (sendRes.status !== 200) {
+      throw new Error(`SMS campaign send failed: ${JSON.stringify(sendRes.data)}`);
+    }
+
+    // Only opted-in contacts with a phone number are queued
+    const queued = db.prepare('SELECT contact_id FROM messages WHERE campaign_id = ?').all(campaignId).map(m => m.contact_id);
+    if (queued.length !== 2 || queued.includes(contacts.optedOut.id)) {
+      throw new Error(`Expected 2 opted-in recipients, got ${queued.length}`);
+    }
+
+    const usage = db.prepare('SELECT sms_sent FROM usage_counters WHERE tenant_id = ? AND year_month = ?')
+      .get(tenantId, currentYearMonth());
+    if (!usage || usage.sms_sent < 2) {
+      throw new Error('SMS sends should be metered into usage_counters.sms_sent');
+    }
+
+    // Queue sends, then the mock gateway posts receipts
+    await wait(3000);
+    const statuses = db.prepare(`
+      SELECT contact_id, status, provider, provider_message_id, status_reason FROM messages WHERE campaign_id = ?
+    `).all(campaignId);
+    const delivered = statuses.find(m => m.contact_id === contacts.optedIn.id);
+    const failed = statuses.find(m => m.contact_id === contacts.undeliverable.id);
+    if (delivered?.status !== 'delivered' || delivered.provider !== 'mock') {
+      throw new Error(`Opted-in message should be delivered via mock, got ${JSON.stringify(delivered)}`);
+    }
+    if (failed?.status !== 'failed' || !failed.status_reason) {
+      throw new Error(`Undeliverable message should fail with a reason, got ${JSON.stringify(failed)}`);
+    }
+
+    // Status webhook (form encoded) is idempotent and updates known messages
+    const webhookBody = `MessageSid=${encodeURIComponent(delivered.provider_message_id)}&MessageStatus=delivered`;
+    const webhookRes = await makeRequest('POST', '/webhooks/sms/status', webhookBody, '', 'application/x-www-form-urlencoded');
+    if (webhookRes.status !== 200 || webhookRes.data?.processed !== 0) {
+      throw new Error(`Duplicate delivery receipt should be acknowledged and skipped: ${JSON.stringify(webhookRes.data)}`);
+    }
+
+    const unknownRes = await makeRequest('POST', '/webhooks/sms/status', 'MessageSid=SMunknown&MessageStatus=delivered', '', 'application/x-www-form-urlencoded');
+    if (unknownRes.status !== 200) {
+      throw new Error('Unknown message receipts should be acknowledged');
+    }
+
+    console.log('✅ SMS channel verified');
+  } catch (err) {
+    console.error('❌ Test failed:', err.message);
+    process.exitCode = 1;
+  } finally {
+    if (fixtures) fixtures.restore();
+    server.kill('SIGINT');
+  }
+}
+
+run();
@@ -0,0 +1,329 @@
+/**
+ * Integration test: tenant OIDC single sign-on against the local mock IdP
+ * (scripts/mock-oidc-idp.js). An admin configures the provider for a verified sender
+ * domain, the login page discovers it from the email, the first SSO login creates the
+ * user and adds them to the tenant with the default role, bad callbacks are refused,
+ * existing accounts are never linked to another tenant and keep their own second factor,
+ * SSO sessions stay in the SSO tenant, and enforced SSO turns off password login for the
+ * tenant's members.
+ */
+const http = require('http');
+const crypto = require('crypto');
+const { spawn } = require('child_process');
+const path = require('path');
+const bcrypt = require('bcrypt');
+const db = require('../../src/db');
+const { generateTotp } = require('../../src/services/twoFactor');
+const { startMockIdp } = require('../../scripts/mock-oidc-idp');
+
+const TEST_PORT = process.env.TEST_PORT || '5085';
+const BASE_URL = `http://localhost:${TEST_PORT}`;
+
+const TENANT_OWNER_EMAIL = 'admin@engageninja.local';
+const TENANT_OWNER_PASSWORD = 'AdminPassword123';
+const MEMBER_PASSWORD = 'SsoMemberPassword123';
+const CLIENT_ID = 'engageninja-test';
+const CLIENT_SECRET = 'sso-test-secret';
+
+const request = (method, target, { body = null, form = null, cookies = '' } = {}) => {
+  return new Promise((resolve, reject) => {
+    const url = new URL(target, BASE_URL);
+    const payload = form
+      ? Object.entries(form).map(([k, v]) => `${encodeURIComponent(k)}=${encodeURIComponent(v)}`).join('&')
+      : (body ? JSON.stringify(body) : null);
+    const options = {
+      method,
+      hostname: url.hostname,
+      port: url.port,
+      path: url.pathname + url.search,
+      headers: {
+        'Content-Type': form ? 'application/x-www-form-urlencoded' : 'application/json',
+        ...(cookies ? { Cookie: cookies } : {})
+      }
+    };
+    const req = http.request(options, (res) => {
+      let data = '';
+      res.on('data', chunk => data += chunk);
+      res.on('end', () => {
+        let parsed = data;
+        try { parsed = JSON.parse(data); } catch {}
+        resolve({ status: res.statusCode, data: parsed, headers: res.headers });
+      });
+    });
+    req.on('error', reject);
+    if (payload) req.write(payload);
+    req.end();
+  });
+};
+
+const createdSessionIds = [];
+
+const cookieFrom = (res) => {
+  const cookie = (res.headers['set-cookie'] || []).map(c => c.split(';')[0]).join('; ');
+  if (cookie) {
+    // connect.sid=s%3A<sid>.<signature>
+    createdSessionIds.push(decodeURIComponent(cookie.split('=')[1]).slice(2).replace(/\.[^.]+$/, ''));
+  }
+  return cookie;
+};
+
+/**
+ * Walk the browser through the SSO redirects: start → IdP sign-in form → callback.
+ * Returns the final redirect and the session cookie.
+ */
+const ssoLogin = async (email, { idpEmail = email, decision = 'approve', tamperState = false } = {}) => {
+  const start = await request('GET', `/api/auth/sso/start?email=${encodeURIComponent(email)}`);
+  const cookie = cookieFrom(start);
+  if (start.status !== 302 || !cookie) {
+    throw new Error(`SSO start should redirect to the IdP: ${start.status} ${start.headers.location}`);
+  }
+
+  const page = await request('GET', start.headers.location);
+  const fields = Object.fromEntries([...String(page.data).matchAll(/type="hidden" name="([^"]+)" value="([^"]*)"/g)]
+    .map(([, name, value]) => [name, value.replace(/&amp;/g, '&')]));
+  if (page.status !== 200 || !fields.state || !fields.nonce) {
+    throw new Error(`IdP sign-in page missing: ${page.status}`);
+  }
+  if (tamperState) fields.state = `${fields.state}x`;
+
+  const idpUrl = new URL(start.headers.location);
+  const approved = await request('POST', `${idpUrl.origin}/authorize`, {
+    form: { ...fields, email: idpEmail, name: 'Sso Tester', decision }
+  });
+  const callback = await request('GET', approved.headers.location, { cookies: cookie });
+  return { location: callback.headers.location || '', status: callback.status, cookie };
+};
+
+const ssoError = (location) => new URL(location, BASE_URL).searchParams.get('sso_error');
+
+const currentStep = () => Math.floor(Date.now() / 1000 / 30);
+
+async function run() {
+  console.log('🧪 Testing tenant single sign-on\n');
+
+  const suffix = crypto.randomUUID().slice(0, 8);
+  const domain = `sso-${suffix}.example.com`;
+  const newUserEmail = `alice@${domain}`;
+  const memberEmail = `bob@${domain}`;
+  // The member also belongs to a second tenant. Then one with 2FA, one outside the tenant and a platform admin.
+  const memberId = crypto.randomUUID();
+  const twoFactorEmail = `erin@${domain}`;
+  const outsiderEmail = `carol@${domain}`;
+  const platformEmail = `dave@${domain}`;
+  const senderDomainId = crypto.randomUUID();
+  const idp = await startMockIdp({ clientId: CLIENT_ID, clientSecret: CLIENT_SECRET });
+  let server = null;
+  let tenantId = null;
+
+  try {
+    tenantId = db.prepare(`
+      SELECT ut.tenant_id FROM user_tenants ut JOIN users u ON u.id = ut.user_id
+      WHERE u.email = ? AND ut.role = 'owner' ORDER BY ut.created_at LIMIT 1
+    `).get(TENANT_OWNER_EMAIL).tenant_id;
+
+    // Domain ownership is proven through sender domain verification (DNS), done here directly
+    db.prepare(`
+      INSERT INTO sender_domains (id, tenant_id, domain, dkim_selector, dkim_public_key, dkim_private_key_encrypted,
+        status, spf_status, dkim_status, dmarc_status, verified_at)
+      VALUES (?, ?, ?, 'engageninja', 'test', 'test', 'verified', 'pass', 'pass', 'pass', CURRENT_TIMESTAMP)
+    `).run(senderDomainId, tenantId, domain);
+    db.prepare('INSERT INTO users (id, email, name, first_name, password_hash, role_global) VALUES (?, ?, ?, ?, ?, ?)')
+      .run(memberId, memberEmail, 'Sso Member', 'Sso', bcrypt.hashSync(MEMBER_PASSWORD, 10), 'none');
+    db.prepare(`INSERT INTO user_tenants (user_id, tenant_id, role) VALUES (?, ?, 'member')`).run(memberId, tenantId);
+    const otherTenantId = db.prepare('SELECT id FROM tenants WHERE id != ? ORDER BY created_at LIMIT 1').get(tenantId).id;
+    db.prepare(`INSERT INTO user_tenants (user_id, tenant_id, role) VALUES (?, ?, 'member')`).run(memberId, otherTenantId);
+    [
+      [twoFactorEmail, 'none', true],
+      [outsiderEmail, 'none', false],
+      [platformEmail, 'platform_admin', true]
+    ].forEach(([email, roleGlobal, member]) => {
+      const id = crypto.randomUUID();
+      db.prepare('INSERT INTO users (id, email, name, password_hash, role_global) VALUES (?, ?, ?, ?, ?)')
+        .run(id, email, 'Sso Tester', bcrypt.hashSync(MEMBER_PASSWORD, 10), roleGlobal);
+      if (member) db.prepare(`INSERT INTO user_tenants (user_id, tenant_id, role) VALUES (?, ?, 'member')`).run(id, tenantId);
+    });
+
+    server = spawn('node', ['src/index.js'], {
+      cwd: path.join(__dirname, '../..'),
+      // The callback goes straight to the backend instead of through the frontend proxy,
+      // and the mock IdP runs on localhost
+      env: { ...process.env, BACKEND_PORT: TEST_PORT, NODE_ENV: 'test', APP_URL: BASE_URL, ALLOW_PRIVATE_NETWORK_TARGETS: 'true' },
+      stdio: ['ignore', 'pipe', 'pipe']
+    });
+    await new Promise((resolve, reject) => {
+      const timeout = setTimeout(() => reject(new Error('Server did not start in time')), 8000);
+      server.stdout.on('data', (data) => {
+        if (data.toString().includes(`http://localhost:${TEST_PORT}`)) {
+          clearTimeout(timeout);
+          resolve();
+        }
+      });
+      server.on('exit', (code) => reject(new Error(`Server exited early with code ${code}`)));
+    });
+
+    const ownerLogin = await request('POST', '/api/auth/login', { body: { email: TENANT_OWNER_EMAIL, password: TENANT_OWNER_PASSWORD } });
+    const owner = cookieFrom(ownerLogin);
+    await request('POST', '/api/auth/switch-tenant', { body: { tenantId }, cookies: owner });
+
+    // Configuration is validated
+    const config = {
+      enabled: true,
+      issuer: idp.issuer,
+      client_id: CLIENT_ID,
+      client_secret: CLIENT_SECRET,
+      domains: [domain],
+      default_role: 'viewer'
+    };
+    const unverified = await request('PUT', '/api/settings/sso', { body: { ...config, domains: [`other-${domain}`] }, cookies: owner });
+    const saml = await request('PUT', '/api/settings/sso', { body: { ...config, protocol: 'saml' }, cookies: owner });
+    const badIssuer = await request('PUT', '/api/settings/sso', { body: { ...config, issuer: 'http://idp.example.com' }, cookies: owner });
+    const saved = await request('PUT', '/api/settings/sso', { body: config, cookies: owner });
+    if (unverified.status !== 400 || saml.status !== 400 || badIssuer.status !== 400 || saved.status !== 200
+      || !saved.data.data.config.client_secret_set || JSON.stringify(saved.data).includes(CLIENT_SECRET)) {
+      throw new Error(`SSO settings validation wrong: ${unverified.status} ${saml.status} ${badIssuer.status} ${saved.status} ${JSON.stringify(saved.data)}`);
+    }
+
+    // Without the private network opt-out the local IdP is refused, and in production so is
+    // its http issuer; fetch failures don't echo the provider's response
+    const { saveSsoConfig } = require('../../src/services/sso');
+    const envBefore = { ALLOW_PRIVATE_NETWORK_TARGETS: process.env.ALLOW_PRIVATE_NETWORK_TARGETS, NODE_ENV: process.env.NODE_ENV };
+    try {
+      delete process.env.ALLOW_PRIVATE_NETWORK_TARGETS;
+      process.env.NODE_ENV = 'test';
+      const privateIssuer = await saveSsoConfig(tenantId, config);
+      process.env.NODE_ENV = 'production';
+      const httpInProduction = await saveSsoConfig(tenantId, config);
+      process.env.ALLOW_PRIVATE_NETWORK_TARGETS = 'true';
+      const missing = await saveSsoConfig(tenantId, { ...config, issuer: `${idp.issuer}/missing` });
+      if (privateIssuer.statusCode !== 400 || !/private or internal/.test(privateIssuer.error)
+        || httpInProduction.statusCode !== 400 || httpInProduction.error !== 'issuer must be an https URL'
+        || missing.statusCode !== 400 || !/Could not load the provider configuration/.test(missing.error) || missing.error.includes('/missing')) {
+        throw new Error(`Issuer guard wrong: ${JSON.stringify({ privateIssuer, httpInProduction, missing })}`);
+      }
+    } finally {
+      Object.entries(envBefore).forEach(([name, value]) => {
+        if (value === undefined) delete process.env[name];
+        else process.env[name] = value;
+      });
+    }
+
+    // Discovery by email domain
+    const discovered = await request('POST', '/api/auth/sso/discover', { body: { email: newUserEmail } });
+    const notDiscovered = await request('POST', '/api/auth/sso/discover', { body: { email: 'someone@example.org' } });
+    if (!discovered.data.data?.sso || discovered.data.data.enforced || notDiscovered.data.data?.sso !== false) {
+      throw new Error(`Discovery wrong: ${JSON.stringify(discovered.data)} ${JSON.stringify(notDiscovered.data)}`);
+    }
+
+    // First login creates the user and adds them to the tenant with the default role
+    const first = await ssoLogin(newUserEmail);
+    const me = await request('GET', '/api/auth/me', { cookies: first.cookie });
+    const membership = db.prepare(`
+      SELECT ut.role FROM user_tenants ut JOIN users u ON u.id = ut.user_id WHERE u.email = ? AND ut.tenant_id = ?
+    `).get(newUserEmail, tenantId);
+    if (first.status !== 302 || !first.location.endsWith('/dashboard') || me.status !== 200 || me.data.email !== newUserEmail
+      || me.data.active_tenant_id !== tenantId || membership?.role !== 'viewer') {
+      throw new Error(`SSO login should provision the user: ${first.status} ${first.location} ${me.status} ${JSON.stringify(membership)}`);
+    }
+    const provisioned = db.prepare(`SELECT metadata FROM audit_logs WHERE action = 'user.sso_provision' AND metadata LIKE ?`).get(`%${newUserEmail}%`);
+    if (!provisioned || JSON.parse(provisioned.metadata).role !== 'viewer') {
+      throw new Error('Provisioning should be audited');
+    }
+
+    // Bad callbacks are refused
+    const tampered = await ssoLogin(newUserEmail, { tamperState: true });
+    const outsider = await ssoLogin(newUserEmail, { idpEmail: `mallory-${suffix}@example.org` });
+    const denied = await ssoLogin(newUserEmail, { decision: 'deny' });
+    const outsiderUser = db.prepare('SELECT id FROM users WHERE email = ?').get(`mallory-${suffix}@example.org`);
+    if (!ssoError(tampered.location) || !ssoError(outsider.location) || !/cancelled/.test(ssoError(denied.location) || '')
+      || outsiderUser || (await request('GET', '/api/auth/me', { cookies: tampered.cookie })).status !== 401) {
+      throw new Error(`Bad SSO callbacks should fail: ${tampered.location} ${outsider.location} ${denied.location}`);
+    }
+
+    // Existing accounts outside the tenant aren't linked, and platform accounts never use a tenant's provider
+    const outsider2 = await ssoLogin(outsiderEmail);
+    const platform = await ssoLogin(platformEmail);
+    const outsiderJoined = db.prepare(`
+      SELECT 1 FROM user_tenants ut JOIN users u ON u.id = ut.user_id WHERE u.email = ?
+    `).get(outsiderEmail);
+    if (!/already exists/.test(ssoError(outsider2.location) || '') || !/Platform accounts/.test(ssoError(platform.location) || '')
+      || outsiderJoined) {
+      throw new Error(`Existing non-members and platform accounts should be refused: ${outsider2.location} ${platform.location}`);
+    }
+
+    // The session only reaches the SSO tenant, even for members of others
+    const bob = await ssoLogin(memberEmail);
+    const bobMe = await request('GET', '/api/auth/me', { cookies: bob.cookie });
+    const bobSwitch = await request('POST', '/api/auth/switch-tenant', { body: { tenantId: otherTenantId }, cookies: bob.cookie });
+    if (!bob.location.endsWith('/dashboard') || bobMe.data.tenants?.length !== 1 || bobMe.data.tenants[0].tenant_id !== tenantId
+      || bobSwitch.status !== 403) {
+      throw new Error(`SSO session should stay in the SSO tenant: ${bob.location} ${JSON.stringify(bobMe.data.tenants)} ${bobSwitch.status}`);
+    }
+
+    // Accounts with 2FA still enter their code after the identity provider
+    const erinLogin = await request('POST', '/api/auth/login', { body: { email: twoFactorEmail, password: MEMBER_PASSWORD } });
+    const erin = cookieFrom(erinLogin);
+    const setup = await request('POST', '/api/auth/2fa/setup', { cookies: erin });
+    const secret = setup.data.data?.secret;
+    const enabled = await request('POST', '/api/auth/2fa/enable', { body: { code: generateTotp(secret) }, cookies: erin });
+    const erinSso = await ssoLogin(twoFactorEmail);
+    const beforeCode = await request('GET', '/api/auth/me', { cookies: erinSso.cookie });
+    const withCode = await request('POST', '/api/auth/login/2fa', { body: { code: generateTotp(secret, currentStep() + 1) }, cookies: erinSso.cookie });
+    const erinSwitch = await request('POST', '/api/auth/switch-tenant', { body: { tenantId: otherTenantId }, cookies: erinSso.cookie });
+    if (enabled.status !== 200 || !erinSso.location.endsWith('/login?two_factor=1') || beforeCode.status !== 401
+      || withCode.status !== 200 || withCode.data.active_tenant_id !== tenantId || erinSwitch.status !== 403) {
+      throw new Error(`SSO should still ask for the second factor: ${enabled.status} ${erinSso.location} ${beforeCode.status} ${withCode.status} ${erinSwitch.status}`);
+    }
+
+    // Enforced SSO turns off password login for members (the secret is kept when left blank)
+    const passwordBefore = await request('POST', '/api/auth/login', { body: { email: memberEmail, password: MEMBER_PASSWORD } });
+    const enforced = await request('PUT', '/api/settings/sso', {
+      body: { ...config, client_secret: '', enforce_sso: true },
+      cookies: owner
+    });
+    const passwordAfter = await request('POST', '/api/auth/login', { body: { email: memberEmail, password: MEMBER_PASSWORD } });
+    const ownerAfter = await request('POST', '/api/auth/login', { body: { email: TENANT_OWNER_EMAIL, password: TENANT_OWNER_PASSWORD } });
+    cookieFrom(passwordBefore);
+    cookieFrom(ownerAfter);
+    const memberSso = await ssoLogin(memberEmail);
+    if (passwordBefore.status !== 200 || enforced.status !== 200 || passwordAfter.status !== 403 || !passwordAfter.data.sso_required
+      || !passwordAfter.data.sso_login_url || ownerAfter.status !== 200 || !memberSso.location.endsWith('/dashboard')) {
+      throw new Error(`Enforced SSO wrong: ${passwordBefore.status} ${enforced.status} ${passwordAfter.status} ${ownerAfter.status} ${memberSso.location}`);
+    }
+
+    // Removing SSO turns discovery off
+    const removed = await request('DELETE', '/api/settings/sso', { cookies: owner });
+    const afterRemove = await request('POST', '/api/auth/sso/discover', { body: { email: newUserEmail } });
+    if (removed.status !== 200 || afterRemove.data.data?.sso !== false) {
+      throw new Error(`Removing SSO failed: ${removed.status} ${JSON.stringify(afterRemove.data)}`);
+    }
+
+    console.log('✅ Tenant single sign-on verified');
+  } catch (err) {
+    console.error('❌ Test failed:', err.message);
+    process.exitCode = 1;
+  } finally {
+    if (server && server.exitCode === null) {
+      server.kill('SIGINT');
+      await new Promise(resolve => server.once('exit', resolve));
+    }
+    await idp.close();
+
+    const deleteSession = db.prepare('DELETE FROM sessions WHERE sid = ?');
+    createdSessionIds.forEach(sid => deleteSession.run(sid));
+    db.prepare('DELETE FROM tenant_sso_configs WHERE tenant_id = ?').run(tenantId || '');
+    db.prepare('DELETE FROM sender_domains WHERE id = ?').run(senderDomainId);
+    const userIds = db.prepare('SELECT id FROM users WHERE email LIKE ?').all(`%@${domain}`).map(row => row.id);
+    userIds.forEach((userId) => {
+      db.prepare('DELETE FROM audit_logs WHERE actor_user_id = ? OR target_id = ?').run(userId, userId);
+      db.prepare('DELETE FROM user_recovery_codes WHERE user_id = ?').run(userId);
+      db.prepare('DELETE FROM user_tenants WHERE user_id = ?').run(userId);
+      db.prepare('DELETE FROM users WHERE id = ?').run(userId);
+    });
+    db.prepare(`DELETE FROM audit_logs WHERE action LIKE 'sso.%' AND metadata LIKE ?`).run(`%${domain}%`);
+  }
+}
+
+run().catch(err => {
+  console.error('❌ Test failed:', err.message);
+  process.exitCode = 1;
+});
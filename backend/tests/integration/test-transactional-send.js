@@ -0,0 +1,360 @@
+/**
+ * Integration test: transactional sends
+ * One message to one contact through POST /api/messages: contacts are found or
+ * created, sends go on the transactional lane and count against usage, an
+ * Idempotency-Key replays instead of sending twice, and API keys need the
+ * messages:send / messages:read scopes.
+ */
+const http = require('http');
+const crypto = require('crypto');
+const { spawn } = require('child_process');
+const path = require('path');
+const db = require('../../src/db');
+const { createSenderDomain } = require('../../src/services/senderDomains');
+
+const TEST_PORT = process.env.TEST_PORT || '5077';
+const BASE_URL = `http://localhost:${TEST_PORT}`;
+
+const OWNER_EMAIL = 'admin@engageninja.local';
+const OWNER_PASSWORD = 'AdminPassword123';
+
+const makeRequest = (method, pathUrl, body = null, cookies = '', headers = {}) => {
+  return new Promise((resolve, reject) => {
+    const url = new URL(pathUrl, BASE_URL);
+    const options = {
+      method,
+      hostname: url.hostname,
+      port: url.port,
+      path: url.pathname + url.search,
+      headers: {
+        'Content-Type': 'application/json',
+        ...(cookies ? { Cookie: cookies } : {}),
+        ...headers
+      }
+    };
+    const req = http.request(options, (res) => {
+      let data = '';
+      res.on('data', chunk => data += chunk);
+      res.on('end', () => {
+        let parsed = data;
+        try { parsed = JSON.parse(data); } catch {}
+        resolve({ status: res.statusCode, data: parsed, headers: res.headers });
+      });
+    });
+    req.on('error', reject);
+    if (body) req.write(JSON.stringify(body));
+    req.end();
+  });
+};
+
+const login = async (email, password) => {
+  const res = await makeRequest('POST', '/api/auth/login', { email, password });
+  if (res.status !== 200) {
+    throw new Error(`Login failed for ${email}`);
+  }
+  const cookies = res.headers['set-cookie']?.map(c => c.split(';')[0]).join('; ');
+  return { cookies, body: res.data };
+};
+
+const encryptCredentials = (data) => {
+  const encryptionKey = process.env.ENCRYPTION_KEY || 'default-dev-key-change-in-production';
+  const key = crypto.createHash('sha256').update(encryptionKey).digest().subarray(0, 24);
+  const iv = Buffer.alloc(16, 0);
+  const cipher = crypto.createCipheriv('aes-192-cbc', key, iv);
+  let encrypted = cipher.update(JSON.stringify(data), 'utf8', 'hex');
+  encrypted += cipher.final('hex');
+  return encrypted;
+};
+
+const bearer = (secret) => ({ Authorization: `Bearer ${secret}` });
+
+const getYearMonth = () => {
+  const now = new Date();
+  return `${now.getFullYear()}-${String(now.getMonth() + 1).padStart(2, '0')}`;
+};
+
+// Email sends need a verified sender domain; returns a function that undoes this
+const ensureVerifiedSenderDomain = (tenantId, senderEmail) => {
+  const domain = senderEmail.split('@')[1].toLowerCase();
+  const existing = db.prepare('SELECT id, status FROM sender_domains WHERE tenant_id = ? AND domain = ?').get(tenantId, domain);
+  const id = existing ? existing.id : createSenderDomain(tenantId, domain).domain.id;
+  db.prepare("UPDATE sender_domains SET status = 'verified' WHERE id = ?").run(id);
+  return () => {
+    if (existing) {
+      db.prepare('UPDATE sender_domains SET status = ? WHERE id = ?').run(existing.status, id);
+    } else {
+      db.prepare('DELETE FROM sender_domains WHERE id = ?').run(id);
+    }
+  };
+};
+
+// Active subscription, connected WhatsApp and email channels and a template; restored afterwards
+const ensureFixtures = (tenantId, suffix) => {
+  const tenant = db.prepare('SELECT plan_id FROM tenants WHERE id = ?').get(tenantId);
+  db.prepare("UPDATE tenants SET plan_id = 'growth' WHERE id = ?").run(tenantId);
+
+  const existingSubscription = db.prepare('SELECT id FROM subscriptions WHERE tenant_id = ?').get(tenantId);
+  const subscriptionId = existingSubscription ? null : crypto.randomUUID();
+  if (subscriptionId) {
+    const now = new Date();
+    db.prepare(`
+      INSERT INTO subscriptions (id, tenant_id, provider, provider_subscription_id, plan_key, status, current_period_start, current_period_end)
+      VALUES (?, ?, 'stripe', ?, 'growth', 'active', ?, ?)
+    `).run(subscriptionId, tenantId, `sub_test_${suffix}`, now.toISOString(), new Date(now.getTime() + 86400000).toISOString());
+  }
+
+  const channels = db.prepare(`
+    SELECT * FROM tenant_channel_settings WHERE tenant_id = ? AND channel IN ('whatsapp', 'email')
+  `).all(tenantId);
+  const existingWhatsApp = channels.find(c => c.channel === 'whatsapp');
+  const existingEmail = channels.find(c => c.channel === 'email');
+  if (!existingEmail) {
+    throw new Error('Seeded email channel settings are required');
+  }
+  db.prepare('UPDATE tenant_channel_settings SET is_connected = 1 WHERE id = ?').run(existingEmail.id);
+  const restoreSenderDomain = ensureVerifiedSenderDomain(tenantId, existingEmail.verified_sender_email);
+
+  const whatsappCredentials = encryptCredentials({ phone_number_id: `tx-test-${suffix}`, access_token: 'tx-test-token' });
+  let insertedWhatsAppId = null;
+  if (existingWhatsApp) {
+    db.prepare('UPDATE tenant_channel_settings SET credentials_encrypted = ?, is_connected = 1 WHERE id = ?')
+      .run(whatsappCredentials, existingWhatsApp.id);
+  } else {
+    insertedWhatsAppId = crypto.randomUUID();
+    db.prepare(`
+      INSERT INTO tenant_channel_settings (id, tenant_id, channel, provider, credentials_encrypted, is_connected)
+      VALUES (?, ?, 'whatsapp', 'whatsapp_cloud', ?, 1)
+    `).run(insertedWhatsAppId, tenantId, whatsappCredentials);
+  }
+
+  const templateId = crypto.randomUUID();
+  const templateName = `order_confirmation_${suffix}`;
+  db.prepare(`
+    INSERT INTO whatsapp_templates (id, tenant_id, name, status, body_template, body_variables, variable_count, category)
+    VALUES (?, ?, ?, 'APPROVED', 'Order {{1}} ships on {{2}}', '["1","2"]', 2, 'UTILITY')
+  `).run(templateId, tenantId, templateName);
+
+  const yearMonth = getYearMonth();
+  const usage = db.prepare('SELECT * FROM usage_counters WHERE tenant_id = ? AND year_month = ?').get(tenantId, yearMonth);
+
+  return {
+    templateId,
+    templateName,
+    restore: () => {
+      db.prepare('DELETE FROM whatsapp_templates WHERE id = ?').run(templateId);
+      if (existingWhatsApp) {
+        db.prepare('UPDATE tenant_channel_settings SET credentials_encrypted = ?, is_connected = ?, sends_paused_at = ?, sends_paused_reason = ? WHERE id = ?')
+          .run(existingWhatsApp.credentials_encrypted, existingWhatsApp.is_connected, existingWhatsApp.sends_paused_at,
+            existingWhatsApp.sends_paused_reason, existingWhatsApp.id);
+      } else {
+        db.prepare('DELETE FROM tenant_channel_settings WHERE id = ?').run(insertedWhatsAppId);
+      }
+      db.prepare('UPDATE tenant_channel_settings SET is_connected = ?, sends_paused_at = ?, sends_paused_reason = ? WHERE id = ?')
+        .run(existingEmail.is_connected, existingEmail.sends_paused_at, existingEmail.sends_paused_reason, existingEmail.id);
+      restoreSenderDomain();
+      if (subscriptionId) {
+        db.prepare('DELETE FROM subscriptions WHERE id = ?').run(subscriptionId);
+      }
+      db.prepare('UPDATE tenants SET plan_id = ? WHERE id = ?').run(tenant.plan_id, tenantId);
+      if (usage) {
+        db.prepare(`
+          UPDATE usage_counters SET whatsapp_messages_sent = ?, email_messages_sent = ?, api_requests = ?
+          WHERE tenant_id = ? AND year_month = ?
+        `).run(usage.whatsapp_messages_sent, usage.email_messages_sent, usage.api_requests, tenantId, yearMonth);
+      } else {
+        db.prepare('DELETE FROM usage_counters WHERE tenant_id = ? AND year_month = ?').run(tenantId, yearMonth);
+      }
+    }
+  };
+};
+
+async function run() {
+  console.log('🧪 Testing transactional sends\n');
+  const server = spawn('node', ['src/index.js'], {
+    cwd: path.join(__dirname, '../..'),
+    env: { ...process.env, BACKEND_PORT: TEST_PORT, NODE_ENV: 'test', JOB_POLL_INTERVAL_MS: '100' },
+    stdio: ['ignore', 'pipe', 'pipe']
+  });
+
+  await new Promise((resolve, reject) => {
+    const timeout = setTimeout(() => reject(new Error('Server did not start in time')), 8000);
+    server.stdout.on('data', (data) => {
+      if (data.toString().includes(`http://localhost:${TEST_PORT}`)) {
+        clearTimeout(timeout);
+        resolve();
+      }
+    });
+    server.on('exit', (code) => reject(new Error(`Server exited early with code ${code}`)));
+  });
+
+  let fixtures = null;
+  let tenantId = null;
+  const suffix = crypto.randomUUID().slice(0, 8);
+  const phone = `+1${Math.floor(200 + Math.random() * 700)}555${String(Math.floor(Math.random() * 10000)).padStart(4, '0')}`;
+  const email = `tx-${suffix}@example.com`;
+  const keyIds = [];
+  try {
+    const { cookies, body: loginBody } = await login(OWNER_EMAIL, OWNER_PASSWORD);
+    tenantId = loginBody.active_tenant_id || loginBody.tenants?.[0]?.tenant_id;
+    fixtures = ensureFixtures(tenantId, suffix);
+
+    const usage = () => db.prepare(`
+      SELECT whatsapp_messages_sent, email_messages_sent FROM usage_counters WHERE tenant_id = ? AND year_month = ?
+    `).get(tenantId, getYearMonth()) || { whatsapp_messages_sent: 0, email_messages_sent: 0 };
+    const send = (body, key = null, headers = {}, session = cookies) => makeRequest('POST', '/api/messages', body, session, {
+      ...(key ? { 'Idempotency-Key': key } : {}),
+      ...headers
+    });
+
+    // Validation
+    const badChannel = await send({ channel: 'sms', contact: { phone } });
+    const noContact = await send({ channel: 'email', subject: 'Hi', textBody: 'Hi' });
+    const badPhone = await send({ channel: 'email', contact: { phone: 'not-a-phone' }, subject: 'Hi', textBody: 'Hi' });
+    const noTemplate = await send({ channel: 'whatsapp', contact: { phone } });
+    const unknownTemplate = await send({ channel: 'whatsapp', contact: { phone }, template_name: 'missing_template' });
+    if ([badChannel, noContact, badPhone, noTemplate, unknownTemplate].some(res => res.status !== 400)) {
+      throw new Error('Invalid send requests should return 400');
+    }
+
+    // A new contact without consent is rejected and not created
+    const noConsent = await send({ channel: 'email', contact: { email, name: 'Tx Tester' }, subject: 'Hi', textBody: 'Hi' });
+    if (noConsent.status !== 422 || noConsent.data.reason !== 'no_consent') {
+      throw new Error(`Sends to contacts without consent should be rejected: ${JSON.stringify(noConsent.data)}`);
+    }
+    if (db.prepare('SELECT id FROM contacts WHERE tenant_id = ? AND email = ?').get(tenantId, email)) {
+      throw new Error('A rejected send should not leave a new contact behind');
+    }
+
+    // Email to a new contact: contact created, message queued on the transactional lane, usage metered
+    const usageBefore = usage();
+    const emailBody = {
+      channel: 'email',
+      contact: { phone, email, name: 'Tx Tester', consent_email: true, consent_whatsapp: true },
+      subject: 'Order {{order}} confirmed',
+      htmlBody: '<p>Hi {{name}}, order {{order}} is confirmed.</p>',
+      variables: { order: 'A-1001', name: '<Tx>' }
+    };
+    const emailKey = `order-${suffix}`;
+    const emailRes = await send(emailBody, emailKey);
+    if (emailRes.status !== 202 || !emailRes.data.data?.contact_created) {
+      throw new Error(`Email send failed: ${JSON.stringify(emailRes.data)}`);
+    }
+    const emailMessageId = emailRes.data.data.id;
+    const contactId = emailRes.data.data.contact_id;
+    const emailMessage = db.prepare('SELECT * FROM messages WHERE id = ?').get(emailMessageId);
+    const snapshot = JSON.parse(JSON.parse(emailMessage.content_snapshot).message_content);
+    if (emailMessage.transactional !== 1 || emailMessage.campaign_id !== null || snapshot.subject !== 'Order A-1001 confirmed'
+      || !snapshot.htmlBody.includes('Hi &lt;Tx&gt;')) {
+      throw new Error(`Email message stored incorrectly: ${JSON.stringify(emailMessage)}`);
+    }
+    const emailJob = db.prepare('SELECT lane FROM jobs WHERE dedupe_key = ?').get(`message:${emailMessageId}`);
+    if (emailJob?.lane !== 'transactional') {
+      throw new Error(`Transactional sends should use the transactional lane: ${JSON.stringify(emailJob)}`);
+    }
+    const contact = db.prepare('SELECT phone, email, consent_email, consent_source FROM contacts WHERE id = ?').get(contactId);
+    if (contact.phone !== phone || contact.consent_email !== 1 || contact.consent_source !== 'api') {
+      throw new Error(`Contact upsert stored the wrong fields: ${JSON.stringify(contact)}`);
+    }
+    if (usage().email_messages_sent !== usageBefore.email_messages_sent + 1) {
+      throw new Error('Transactional sends should count against usage_counters');
+    }
+
+    // Same key and request: the original message, nothing new sent or metered
+    const replayRes = await send({ ...emailBody, variables: { name: '<Tx>', order: 'A-1001' } }, emailKey);
+    if (replayRes.status !== 200 || replayRes.data.data?.id !== emailMessageId || replayRes.headers['idempotent-replayed'] !== 'true') {
+      throw new Error(`Replay should return the original message: ${JSON.stringify(replayRes.data)}`);
+    }
+    const keyCount = db.prepare('SELECT COUNT(*) as count FROM messages WHERE tenant_id = ? AND idempotency_key = ?').get(tenantId, emailKey).count;
+    if (keyCount !== 1 || usage().email_messages_sent !== usageBefore.email_messages_sent + 1) {
+      throw new Error('A replayed request should not send or meter again');
+    }
+
+    // Same key, different request
+    const reusedRes = await send({ ...emailBody, variables: { order: 'A-1002', name: 'Tx' } }, emailKey);
+    if (reusedRes.status !== 422) {
+      throw new Error(`Reusing a key for another request should be rejected: ${JSON.stringify(reusedRes.data)}`);
+    }
+
+    // WhatsApp by template name to the same contact, found by phone
+    const missingVars = await send({ channel: 'whatsapp', contact: { phone }, template_name: fixtures.templateName, variables: { 1: 'A-1001' } });
+    if (missingVars.status !== 400) {
+      throw new Error('Missing template variables should be rejected');
+    }
+    const whatsappRes = await send({
+      channel: 'whatsapp',
+      contact: { phone: phone.replace('+', '') },
+      template_name: fixtures.templateName,
+      variables: { 1: 'A-1001', 2: 'Friday' }
+    });
+    if (whatsappRes.status !== 202 || whatsappRes.data.data.contact_id !== contactId || whatsappRes.data.data.contact_created) {
+      throw new Error(`WhatsApp send should reuse the contact: ${JSON.stringify(whatsappRes.data)}`);
+    }
+    const whatsappMessage = db.prepare('SELECT content_snapshot FROM messages WHERE id = ?').get(whatsappRes.data.data.id);
+    const whatsappSnapshot = JSON.parse(whatsappMessage.content_snapshot);
+    if (whatsappSnapshot.template_id !== fixtures.templateId || JSON.parse(whatsappSnapshot.message_content).static[2] !== 'Friday') {
+      throw new Error(`WhatsApp template and variables stored incorrectly: ${whatsappMessage.content_snapshot}`);
+    }
+    if (usage().whatsapp_messages_sent !== usageBefore.whatsapp_messages_sent + 1) {
+      throw new Error('WhatsApp transactional sends should count against usage_counters');
+    }
+
+    // Status lookup
+    const statusRes = await makeRequest('GET', `/api/messages/${emailMessageId}`, null, cookies);
+    const missingRes = await makeRequest('GET', `/api/messages/${crypto.randomUUID()}`, null, cookies);
+    if (statusRes.status !== 200 || statusRes.data.data.id !== emailMessageId || missingRes.status !== 404) {
+      throw new Error(`Message status lookup failed: ${JSON.stringify(statusRes.data)}`);
+    }
+
+    // API keys need messages:send to send and messages:read to look up
+    const createKey = async (scopes) => {
+      const res = await makeRequest('POST', '/api/settings/api-keys', { name: `Tx ${scopes.join(' ')} ${suffix}`, scopes }, cookies);
+      if (res.status !== 201) {
+        throw new Error(`Create key failed: ${JSON.stringify(res.data)}`);
+      }
+      keyIds.push(res.data.data.id);
+      return res.data.data.secret;
+    };
+    const sendKey = await createKey(['messages:send']);
+    const contactsKey = await createKey(['contacts:read']);
+
+    const keySend = await send({ channel: 'email', contact: { id: contactId }, subject: 'Your code', textBody: 'Code: 123456' }, null, bearer(sendKey), '');
+    if (keySend.status !== 202) {
+      throw new Error(`API key send failed: ${JSON.stringify(keySend.data)}`);
+    }
+    const keyMessage = db.prepare('SELECT api_key_id FROM messages WHERE id = ?').get(keySend.data.data.id);
+    if (keyMessage.api_key_id !== keyIds[0]) {
+      throw new Error('Messages sent with an API key should record the key');
+    }
+    const keyRead = await makeRequest('GET', `/api/messages/${keySend.data.data.id}`, null, '', bearer(sendKey));
+    const wrongScope = await send({ channel: 'email', contact: { id: contactId }, subject: 'Hi', textBody: 'Hi' }, null, bearer(contactsKey), '');
+    if (keyRead.status !== 403 || wrongScope.status !== 403 || wrongScope.data.required_scope !== 'messages:send') {
+      throw new Error('API keys without the messages scopes should be rejected');
+    }
+
+    console.log('✅ Transactional sends verified');
+  } catch (err) {
+    console.error('❌ Test failed:', err.message);
+    process.exitCode = 1;
+  } finally {
+    server.kill('SIGINT');
+    await new Promise(resolve => server.once('exit', resolve));
+    if (tenantId) {
+      const contactIds = db.prepare(`
+        SELECT id FROM contacts WHERE tenant_id = ? AND (phone = ? OR email = ?)
+      `).all(tenantId, phone, email).map(row => row.id);
+      contactIds.forEach(contactId => {
+        db.prepare(`DELETE FROM jobs WHERE dedupe_key IN (SELECT 'message:' || id FROM messages WHERE contact_id = ?)`).run(contactId);
+        db.prepare('DELETE FROM message_status_events WHERE message_id IN (SELECT id FROM messages WHERE contact_id = ?)').run(contactId);
+        db.prepare('DELETE FROM messages WHERE contact_id = ?').run(contactId);
+        db.prepare('DELETE FROM contacts WHERE id = ?').run(contactId);
+      });
+    }
+    keyIds.forEach(keyId => {
+      db.prepare('DELETE FROM audit_logs WHERE actor_api_key_id = ?').run(keyId);
+      db.prepare('DELETE FROM api_keys WHERE id = ?').run(keyId);
+    });
+    if (fixtures) fixtures.restore();
+  }
+}
+
+run();
@@ -0,0 +1,225 @@
+/**
+ * Integration test: TOTP two-factor authentication
+ * Enrollment confirms a secret with a code and hands out recovery codes; login then needs
+ * a second step that accepts a current code or an unused recovery code (each only once).
+ * Platform admins can reset a user's 2FA and require it per tenant or for platform users,
+ * after which users who have not enrolled can only reach /api/auth until they do.
+ */
+const http = require('http');
+const crypto = require('crypto');
+const { spawn } = require('child_process');
+const path = require('path');
+const bcrypt = require('bcrypt');
+const db = require('../../src/db');
+const { generateTotp } = require('../../src/services/twoFactor');
+
+const TEST_PORT = process.env.TEST_PORT || '5082';
+const BASE_URL = `http://localhost:${TEST_PORT}`;
+
+const TENANT_OWNER_EMAIL = 'admin@engageninja.local';
+const ADMIN_EMAIL = 'platform.admin@engageninja.local';
+const ADMIN_PASSWORD = 'PlatformAdminPassword123';
+const PASSWORD = 'TwoFactorPassword123';
+
+const makeRequest = (method, pathUrl, body = null, cookies = '') => {
+  return new Promise((resolve, reject) => {
+    const url = new URL(pathUrl, BASE_URL);
+    const options = {
+      method,
+      hostname: url.hostname,
+      port: url.port,
+      path: url.pathname + url.search,
+      headers: {
+        'Content-Type': 'application/json',
+        ...(cookies ? { Cookie: cookies } : {})
+      }
+    };
+    const req = http.request(options, (res) => {
+      let data = '';
+      res.on('data', chunk => data += chunk);
+      res.on('end', () => {
+        let parsed = data;
+        try { parsed = JSON.parse(data); } catch {}
+        resolve({ status: res.statusCode, data: parsed, headers: res.headers });
+      });
+    });
+    req.on('error', reject);
+    if (body) req.write(JSON.stringify(body));
+    req.end();
+  });
+};
+
+const login = (email, password) => makeRequest('POST', '/api/auth/login', { email, password })
+  .then(res => ({ ...res, cookies: res.headers['set-cookie']?.map(c => c.split(';')[0]).join('; ') }));
+
+const currentStep = () => Math.floor(Date.now() / 1000 / 30);
+
+async function run() {
+  console.log('🧪 Testing two-factor authentication\n');
+
+  const server = spawn('node', ['src/index.js'], {
+    cwd: path.join(__dirname, '../..'),
+    env: { ...process.env, BACKEND_PORT: TEST_PORT, NODE_ENV: 'test' },
+    stdio: ['ignore', 'pipe', 'pipe']
+  });
+
+  await new Promise((resolve, reject) => {
+    const timeout = setTimeout(() => reject(new Error('Server did not start in time')), 8000);
+    server.stdout.on('data', (data) => {
+      if (data.toString().includes(`http://localhost:${TEST_PORT}`)) {
+        clearTimeout(timeout);
+        resolve();
+      }
+    });
+    server.on('exit', (code) => reject(new Error(`Server exited early with code ${code}`)));
+  });
+
+  const email = `2fa-${crypto.randomUUID().slice(0, 8)}@example.com`;
+  const userId = crypto.randomUUID();
+  const tenantId = db.prepare(`
+    SELECT ut.tenant_id FROM user_tenants ut JOIN users u ON u.id = ut.user_id WHERE u.email = ?
+  `).get(TENANT_OWNER_EMAIL).tenant_id;
+  const resetAttempts = () => db.prepare('DELETE FROM rate_limit_buckets WHERE key = ?').run(`two_factor:${userId}`);
+
+  try {
+    db.prepare('INSERT INTO users (id, email, name, first_name, password_hash, role_global) VALUES (?, ?, ?, ?, ?, ?)')
+      .run(userId, email, '2FA Tester', '2FA', bcrypt.hashSync(PASSWORD, 10), 'none');
+    db.prepare(`INSERT INTO user_tenants (user_id, tenant_id, role) VALUES (?, ?, 'admin')`).run(userId, tenantId);
+
+    // Enrollment
+    const session = await login(email, PASSWORD);
+    if (session.status !== 200 || session.data.two_factor_enabled !== false || session.data.two_factor_setup_required !== false) {
+      throw new Error(`Plain login should work before enrollment: ${JSON.stringify(session.data)}`);
+    }
+    const setup = await makeRequest('POST', '/api/auth/2fa/setup', null, session.cookies);
+    const { secret, otpauth_uri: uri, qr_code: qrCode } = setup.data.data || {};
+    if (setup.status !== 200 || !/^[A-Z2-7]{32}$/.test(secret) || !qrCode?.startsWith('data:image/png;base64,')
+      || !uri.startsWith(`otpauth://totp/EngageNinja%3A${encodeURIComponent(email)}?secret=${secret}&issuer=EngageNinja`)) {
+      throw new Error(`Setup should return a secret, URI and QR code: ${JSON.stringify(setup.data)}`);
+    }
+    const stored = db.prepare('SELECT totp_secret_encrypted, totp_pending_secret_encrypted FROM users WHERE id = ?').get(userId);
+    if (stored.totp_secret_encrypted || !stored.totp_pending_secret_encrypted || stored.totp_pending_secret_encrypted.includes(secret)) {
+      throw new Error('Pending secret should be stored encrypted and not active yet');
+    }
+
+    const wrongEnable = await makeRequest('POST', '/api/auth/2fa/enable', { code: '000000' }, session.cookies);
+    const enable = await makeRequest('POST', '/api/auth/2fa/enable', { code: generateTotp(secret) }, session.cookies);
+    const recoveryCodes = enable.data.data?.recovery_codes || [];
+    if (wrongEnable.status !== 400 || enable.status !== 200 || recoveryCodes.length !== 10
+      || !recoveryCodes.every(code => /^[a-z2-7]{5}-[a-z2-7]{5}$/.test(code))) {
+      throw new Error(`Enable should confirm the code and return recovery codes: ${wrongEnable.status} ${JSON.stringify(enable.data)}`);
+    }
+    const status = await makeRequest('GET', '/api/auth/2fa', null, session.cookies);
+    if (!status.data.data.enabled || status.data.data.recovery_codes_remaining !== 10 || status.data.data.required) {
+      throw new Error(`Status wrong after enrollment: ${JSON.stringify(status.data)}`);
+    }
+
+    // Second login step with a TOTP code; the step used to enable can't be used again
+    resetAttempts();
+    const firstStep = await login(email, PASSWORD);
+    const notYet = await makeRequest('GET', '/api/auth/me', null, firstStep.cookies);
+    const replayed = await makeRequest('POST', '/api/auth/login/2fa', { code: generateTotp(secret) }, firstStep.cookies);
+    const nextCode = generateTotp(secret, currentStep() + 1);
+    const secondStep = await makeRequest('POST', '/api/auth/login/2fa', { code: nextCode }, firstStep.cookies);
+    const me = await makeRequest('GET', '/api/auth/me', null, firstStep.cookies);
+    if (firstStep.status !== 200 || !firstStep.data.two_factor_required || firstStep.data.user_id || notYet.status !== 401
+      || replayed.status !== 401 || secondStep.status !== 200 || secondStep.data.user_id !== userId
+      || me.status !== 200 || me.data.two_factor_enabled !== true) {
+      throw new Error(`Login should need a fresh code: ${firstStep.status} ${notYet.status} ${replayed.status} ${secondStep.status} ${me.status}`);
+    }
+
+    const again = await login(email, PASSWORD);
+    const reused = await makeRequest('POST', '/api/auth/login/2fa', { code: nextCode }, again.cookies);
+    if (reused.status !== 401) {
+      throw new Error('A code should only be accepted once');
+    }
+
+    // Recovery codes work once each
+    const recovery = await makeRequest('POST', '/api/auth/login/2fa', { code: recoveryCodes[0].toUpperCase() }, again.cookies);
+    const third = await login(email, PASSWORD);
+    const recoveryReused = await makeRequest('POST', '/api/auth/login/2fa', { code: recoveryCodes[0] }, third.cookies);
+    const remaining = await makeRequest('GET', '/api/auth/2fa', null, again.cookies);
+    if (recovery.status !== 200 || recoveryReused.status !== 401 || remaining.data.data.recovery_codes_remaining !== 9) {
+      throw new Error(`Recovery codes should be single-use: ${recovery.status} ${recoveryReused.status}`);
+    }
+
+    // Guesses are rate limited
+    let limited = null;
+    for (let i = 0; i < 6 && !limited; i++) {
+      const res = await makeRequest('POST', '/api/auth/login/2fa', { code: '000000' }, third.cookies);
+      if (res.status === 429) limited = res;
+    }
+    if (!limited || !(Number(limited.headers['retry-after']) > 0)) {
+      throw new Error('Code attempts should be rate limited');
+    }
+    resetAttempts();
+
+    const wrongPassword = await makeRequest('POST', '/api/auth/2fa/disable', { password: 'nope', code: generateTotp(secret, currentStep() + 1) }, again.cookies);
+    if (wrongPassword.status !== 401) {
+      throw new Error('Disabling should need the password');
+    }
+
+    // Admin reset
+    const admin = await login(ADMIN_EMAIL, ADMIN_PASSWORD);
+    const listed = await makeRequest('GET', `/api/admin/users?search=${encodeURIComponent(email)}`, null, admin.cookies);
+    const reset = await makeRequest('POST', `/api/admin/users/${userId}/2fa/reset`, null, admin.cookies);
+    const afterReset = await login(email, PASSWORD);
+    if (listed.data.users?.[0]?.two_factor_enabled !== 1 || reset.status !== 200 || afterReset.status !== 200 || afterReset.data.two_factor_required
+      || db.prepare('SELECT COUNT(*) as count FROM user_recovery_codes WHERE user_id = ?').get(userId).count !== 0) {
+      throw new Error(`Admin reset should turn 2FA off: ${JSON.stringify(listed.data.users)} ${reset.status} ${JSON.stringify(afterReset.data)}`);
+    }
+
+    // Tenant requirement: unenrolled members are held at /api/auth
+    const requireTenant = await makeRequest('PATCH', `/api/admin/tenants/${tenantId}`, { require_2fa: true }, admin.cookies);
+    const blocked = await makeRequest('GET', '/api/contacts', null, afterReset.cookies);
+    const meRequired = await makeRequest('GET', '/api/auth/me', null, afterReset.cookies);
+    if (requireTenant.status !== 200 || blocked.status !== 403 || !blocked.data.two_factor_setup_required
+      || meRequired.data.two_factor_setup_required !== true) {
+      throw new Error(`Tenant requirement should block unenrolled members: ${requireTenant.status} ${blocked.status} ${JSON.stringify(meRequired.data)}`);
+    }
+
+    const resetup = await makeRequest('POST', '/api/auth/2fa/setup', null, afterReset.cookies);
+    const newSecret = resetup.data.data.secret;
+    await makeRequest('POST', '/api/auth/2fa/enable', { code: generateTotp(newSecret) }, afterReset.cookies);
+    const unblocked = await makeRequest('GET', '/api/contacts', null, afterReset.cookies);
+    const cannotDisable = await makeRequest('POST', '/api/auth/2fa/disable', { password: PASSWORD, code: generateTotp(newSecret, currentStep() + 1) }, afterReset.cookies);
+    if (unblocked.status !== 200 || cannotDisable.status !== 403) {
+      throw new Error(`Enrolled members should get through but not disable: ${unblocked.status} ${cannotDisable.status}`);
+    }
+
+    // Platform policy covers users with a platform role (the admin is also held by the tenant policy until it's lifted)
+    db.prepare('UPDATE tenants SET require_2fa = 0 WHERE id = ?').run(tenantId);
+    const policy = await makeRequest('PATCH', '/api/admin/config/require_2fa_platform_users', { value: true }, admin.cookies);
+    const adminBlocked = await makeRequest('GET', '/api/admin/users', null, admin.cookies);
+    if (policy.status !== 200 || adminBlocked.status !== 403) {
+      throw new Error(`Platform policy should apply to platform admins: ${policy.status} ${adminBlocked.status}`);
+    }
+
+    const audits = db.prepare('SELECT action FROM audit_logs WHERE target_id = ?').all(userId).map(entry => entry.action);
+    for (const action of ['user.2fa_enable', 'user.2fa_recovery_used', 'user.2fa_reset']) {
+      if (!audits.includes(action)) {
+        throw new Error(`Missing audit entry ${action}: ${JSON.stringify(audits)}`);
+      }
+    }
+
+    console.log('✅ Two-factor authentication verified');
+  } catch (err) {
+    console.error('❌ Test failed:', err.message);
+    process.exitCode = 1;
+  } finally {
+    server.kill('SIGINT');
+    await new Promise(resolve => server.once('exit', resolve));
+    resetAttempts();
+    db.prepare(`UPDATE platform_config SET value = 'false' WHERE key = 'require_2fa_platform_users'`).run();
+    db.prepare('UPDATE tenants SET require_2fa = 0 WHERE id = ?').run(tenantId);
+    db.prepare('DELETE FROM audit_logs WHERE actor_user_id = ? OR target_id = ?').run(userId, userId);
+    db.prepare('DELETE FROM user_recovery_codes WHERE user_id = ?').run(userId);
+    db.prepare('DELETE FROM user_tenants WHERE user_id = ?').run(userId);
+    db.prepare('DELETE FROM users WHERE id = ?').run(userId);
+  }
+}
+
+run().catch(err => {
+  console.error('❌ Test failed:', err.message);
+  process.exitCode = 1;
+});
@@ -15,6 +15,9 @@ import AboutPage from './pages/AboutPage'
 import ContactPage from './pages/ContactPage'
 import SignupPage from './pages/SignupPage'
 import LoginPage from './pages/LoginPage'
+import ForgotPasswordPage from './pages/ForgotPasswordPage'
+import ResetPasswordPage from './pages/ResetPasswordPage'
+import UnlockAccountPage from './pages/UnlockAccountPage'
 import PrivacyPage from './pages/PrivacyPage'
 import TermsPage from './pages/TermsPage'
 import DashboardPage from './pages/DashboardPage'
@@ -23,6 +26,10 @@ import { ContactDetailPage } from './pages/ContactDetailPage'
 import CampaignsPage from './pages/CampaignsPage'
 import CreateCampaignPage from './pages/CreateCampaignPage'
 import CampaignDetailPage from './pages/CampaignDetailPage'
+import InboxPage from './pages/InboxPage'
+import SegmentsPage from './pages/SegmentsPage'
+import JourneysPage from './pages/JourneysPage'
+import JourneyBuilderPage from './pages/JourneyBuilderPage'
 import TagsPage from './pages/TagsPage'
 import SettingsPage from './pages/SettingsPage'
 import TenantProfilePage from './pages/TenantProfilePage'
@@ -64,6 +71,9 @@ export default function App() {
           <Route path="/terms" element={<TermsPage />} />
           <Route path="/signup" element={<SignupPage />} />
           <Route path="/login" element={<LoginPage />} />
+          <Route path="/forgot-password" element={<ForgotPasswordPage />} />
+          <Route path="/reset-password" element={<ResetPasswordPage />} />
+          <Route path="/unlock-account" element={<UnlockAccountPage />} />
           <Route path="/billing/success" element={<BillingSuccessPage />} />
           <Route path="/billing/failure" element={<BillingFailurePage />} />
           <Route
@@ -130,6 +140,46 @@ export default function App() {
               </ProtectedRoute>
             }
           />
+          <Route
+            path="/inbox"
+            element={
+              <ProtectedRoute>
+                <InboxPage />
+              </ProtectedRoute>
+            }
+          />
+          <Route
+            path="/segments"
+            element={
+              <ProtectedRoute>
+                <SegmentsPage />
+              </ProtectedRoute>
+            }
+          />
+          <Route
+            path="/journeys"
+            element={
+              <ProtectedRoute>
+                <JourneysPage />
+              </ProtectedRoute>
+            }
+          />
+          <Route
+            path="/journeys/new"
+            element={
+              <ProtectedRoute>
+                <JourneyBuilderPage />
+              </ProtectedRoute>
+            }
+          />
+          <Route
+            path="/journeys/:id"
+            element={
+              <ProtectedRoute>
+                <JourneyBuilderPage />
+              </ProtectedRoute>
+            }
+          />
           <Route
             path="/tenants"
             element={
@@ -0,0 +1,113 @@
+import React, { useEffect, useState } from 'react';
+import { Card, CardHeader, CardTitle, CardDescription, CardContent, Button, Alert, Badge, toast } from './ui';
+
+const request = async (url, options = {}, fallback = 'Request failed') => {
+  const res = await fetch(url, { credentials: 'include', ...options });
+  const data = await res.json().catch(() => ({}));
+  if (!res.ok) {
+    throw new Error(data.message || fallback);
+  }
+  return data;
+};
+
+const formatTime = (value) => (value ? new Date(value).toLocaleString() : '—');
+
+/**
+ * Active Sessions
+ * Profile card listing where the user is signed in (device, IP, last seen),
+ * with sign-out for a single session or every other session
+ */
+export const ActiveSessions = () => {
+  const [sessions, setSessions] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [busy, setBusy] = useState(false);
+  const [error, setError] = useState('');
+
+  const loadSessions = async () => {
+    try {
+      const data = await request('/api/auth/sessions', {}, 'Failed to load sessions');
+      setSessions(data.data || []);
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  useEffect(() => {
+    loadSessions();
+  }, []);
+
+  const revoke = async (url, successTitle) => {
+    setError('');
+    try {
+      setBusy(true);
+      await request(url, { method: 'DELETE' }, 'Failed to sign out session');
+      toast({ title: successTitle, variant: 'success' });
+      await loadSessions();
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const handleRevoke = (session) => {
+    if (!window.confirm(`Sign out ${session.device}?`)) return;
+    revoke(`/api/auth/sessions/${session.id}`, 'Session signed out');
+  };
+
+  const handleRevokeOthers = () => {
+    if (!window.confirm('Sign out of every other session?')) return;
+    revoke('/api/auth/sessions', 'Signed out of other sessions');
+  };
+
+  const otherSessions = sessions.filter(s => !s.current).length;
+
+  return (
+    <Card className="md:col-span-2" data-testid="active-sessions">
+      <CardHeader>
+        <div className="flex items-center justify-between gap-3">
+          <div>
+            <CardTitle>Where you&apos;re logged in</CardTitle>
+            <CardDescription>
+              Sign out any session you don&apos;t recognize, then change your password.
+            </CardDescription>
+          </div>
+          <Button variant="secondary" onClick={handleRevokeOthers} disabled={busy || otherSessions === 0}>
+            Sign out all other sessions
+          </Button>
+        </div>
+      </CardHeader>
+      <CardContent className="space-y-3">
+        {error && <Alert variant="error">{error}</Alert>}
+        {loading ? (
+          <p className="text-sm text-[var(--text-muted)]">Loading sessions...</p>
+        ) : (
+          <ul className="divide-y divide-[var(--border)]">
+            {sessions.map(session => (
+              <li key={session.id} className="flex items-center justify-between gap-4 py-3">
+                <div className="min-w-0">
+                  <div className="flex items-center gap-2">
+                    <p className="font-medium text-[var(--text)]">{session.device}</p>
+                    {session.current && <Badge variant="success">This device</Badge>}
+                  </div>
+                  <p className="text-sm text-[var(--text-muted)]">
+                    {session.ip_address || 'Unknown IP'} · Last seen {formatTime(session.last_seen_at)} · Signed in {formatTime(session.created_at)}
+                  </p>
+                </div>
+                {!session.current && (
+                  <Button size="sm" variant="ghost" onClick={() => handleRevoke(session)} disabled={busy}>
+                    Sign out
+                  </Button>
+                )}
+              </li>
+            ))}
+          </ul>
+        )}
+      </CardContent>
+    </Card>
+  );
+};
+
+export default ActiveSessions;
@@ -1,164 +1,158 @@
-import React, { useState } from 'react';
-import Papa from 'papaparse';
+import React, { useEffect, useRef, useState } from 'react';
+
+const DUPLICATE_STRATEGIES = [
+  { value: 'skip', label: 'Skip', description: 'Keep existing contacts as they are' },
+  { value: 'update', label: 'Update', description: 'Overwrite existing contacts with the mapped columns' },
+  { value: 'merge', label: 'Merge', description: 'Only fill in fields the existing contact is missing and add tags' }
+];
+
+const POLL_INTERVAL_MS = 1000;
 
 /**
  * CSV Import Modal Component
- * Handles CSV file upload, preview, and import
+ * Uploads a CSV or XLSX file to the server, maps its columns, then follows
+ * the background import job until it finishes
  */
 export const CSVImportModal = ({ isOpen, onClose, onImportComplete }) => {
-  const [step, setStep] = useState(1); // 1=upload, 2=preview, 3=mapping, 4=importing
-  const [file, setFile] = useState(null);
-  const [csvData, setCsvData] = useState([]);
+  const [step, setStep] = useState(1); // 1=upload, 2=mapping, 3=importing, 4=results
+  const [uploading, setUploading] = useState(false);
+  const [upload, setUpload] = useState(null);
   const [columnMapping, setColumnMapping] = useState({});
-  const [csvColumns, setCsvColumns] = useState([]);
-  const [importing, setImporting] = useState(false);
+  const [duplicateStrategy, setDuplicateStrategy] = useState('skip');
+  const [starting, setStarting] = useState(false);
+  const [job, setJob] = useState(null);
   const [error, setError] = useState('');
-  const [results, setResults] = useState(null);
 
-  const expectedFields = ['name', 'phone', 'email', 'tags'];
+  // Parents pass inline callbacks; keep the latest without restarting the poll
+  const onImportCompleteRef = useRef(onImportComplete);
+  onImportCompleteRef.current = onImportComplete;
+
+  // Follow the job until it completes or fails
+  useEffect(() => {
+    if (step !== 3 || !job?.id) return undefined;
+
+    const interval = setInterval(async () => {
+      try {
+        const response = await fetch(`/api/contacts/imports/${job.id}`, { credentials: 'include' });
+        const data = await response.json();
+        if (!response.ok) {
+          throw new Error(data.message || 'Failed to check import progress');
+        }
+        setJob(data.data);
+        if (['completed', 'failed'].includes(data.data.status)) {
+          setStep(4);
+          onImportCompleteRef.current?.();
+        }
+      } catch (err) {
+        setError(err.message);
+      }
+    }, POLL_INTERVAL_MS);
+
+    return () => clearInterval(interval);
+  }, [step, job?.id]);
 
-  // Handle file selection
-  const handleFileSelect = (e) => {
+  // Upload the file; the server reads the header and suggests a mapping
+  const handleFileSelect = async (e) => {
     const selectedFile = e.target.files?.[0];
+    e.target.value = '';
     if (!selectedFile) return;
 
-    if (!selectedFile.name.endsWith('.csv')) {
-      setError('Please select a CSV file');
+    if (!/\.(csv|xlsx)$/i.test(selectedFile.name)) {
+      setError('Please select a CSV or Excel (.xlsx) file');
       return;
     }
 
-    setFile(selectedFile);
+    setUploading(true);
     setError('');
 
-    // Parse CSV
-    Papa.parse(selectedFile, {
-      header: true,
-      complete: (results) => {
-        if (results.errors.length > 0) {
-          setError('Error parsing CSV file');
-          return;
-        }
+    try {
+      const formData = new FormData();
+      formData.append('file', selectedFile);
+      const response = await fetch('/api/contacts/imports', {
+        method: 'POST',
+        credentials: 'include',
+        body: formData
+      });
+      const data = await response.json();
 
-        setCsvData(results.data.filter(row => Object.values(row).some(v => v))); // Filter empty rows
-        setCsvColumns(results.meta.fields || []);
-
-        // Initialize mapping
-        const mapping = {};
-        results.meta.fields?.forEach(col => {
-          const lowerCol = col.toLowerCase().trim();
-          if (expectedFields.includes(lowerCol)) {
-            mapping[col] = lowerCol;
-          }
-        });
-        setColumnMapping(mapping);
-        setStep(2);
-      },
-      error: (error) => {
-        setError(`CSV parsing error: ${error.message}`);
+      if (!response.ok) {
+        throw new Error(data.message || 'Upload failed');
       }
-    });
-  };
 
-  // Update column mapping
-  const updateMapping = (csvColumn, dbField) => {
-    const newMapping = { ...columnMapping };
-    if (dbField === '') {
-      delete newMapping[csvColumn];
-    } else {
-      newMapping[csvColumn] = dbField;
+      setUpload(data.data);
+      setColumnMapping(data.data.suggested_mapping || {});
+      setStep(2);
+    } catch (err) {
+      setError(err.message || 'Upload failed');
+    } finally {
+      setUploading(false);
     }
-    setColumnMapping(newMapping);
   };
 
-  // Validate mapping
-  const validateMapping = () => {
-    const hasMandatory = Object.values(columnMapping).includes('name') &&
-                         Object.values(columnMapping).includes('phone');
+  // Update column mapping; each field can only come from one column
+  const updateMapping = (column, field) => {
+    const newMapping = {};
+    Object.entries(columnMapping).forEach(([col, mapped]) => {
+      if (col !== column && mapped !== field) newMapping[col] = mapped;
+    });
+    if (field) newMapping[column] = field;
+    setColumnMapping(newMapping);
+  };
 
-    if (!hasMandatory) {
+  const handleStart = async () => {
+    const mapped = Object.values(columnMapping);
+    if (!mapped.includes('name') || !mapped.includes('phone')) {
       setError('Name and Phone fields are required');
-      return false;
+      return;
     }
-    return true;
-  };
-
-  // Transform CSV data based on mapping
-  const transformData = () => {
-    return csvData.map(row => {
-      const transformed = {};
-      Object.entries(columnMapping).forEach(([csvCol, dbField]) => {
-        if (dbField && row[csvCol]) {
-          transformed[dbField] = row[csvCol];
-        }
-      });
-      return transformed;
-    }).filter(row => row.name && row.phone);
-  };
-
-  // Handle import
-  const handleImport = async () => {
-    if (!validateMapping()) return;
 
-    setImporting(true);
+    setStarting(true);
     setError('');
 
     try {
-      const transformedData = transformData();
-
-      if (transformedData.length === 0) {
-        setError('No valid contacts to import');
-        setImporting(false);
-        return;
-      }
-
-      const response = await fetch('/api/contacts/import', {
+      const response = await fetch(`/api/contacts/imports/${upload.job.id}/start`, {
         method: 'POST',
         headers: { 'Content-Type': 'application/json' },
         credentials: 'include',
-        body: JSON.stringify({ data: transformedData })
+        body: JSON.stringify({ column_mapping: columnMapping, duplicate_strategy: duplicateStrategy })
       });
-
       const data = await response.json();
 
       if (!response.ok) {
-        throw new Error(data.message || 'Import failed');
+        throw new Error(data.message || 'Import failed to start');
       }
 
-      setResults(data.data);
-      setStep(4);
-
-      // Notify parent after delay
-      setTimeout(() => {
-        onImportComplete?.();
-      }, 2000);
-
+      setJob(data.data);
+      setStep(3);
     } catch (err) {
-      setError(err.message || 'Import failed');
+      setError(err.message || 'Import failed to start');
     } finally {
-      setImporting(false);
+      setStarting(false);
     }
   };
 
-  // Reset modal
+  // Reset modal. Closing while importing is fine: the job keeps running on the server.
   const reset = () => {
     setStep(1);
-    setFile(null);
-    setCsvData([]);
+    setUpload(null);
     setColumnMapping({});
-    setCsvColumns([]);
+    setDuplicateStrategy('skip');
+    setJob(null);
     setError('');
-    setResults(null);
     onClose();
   };
 
   if (!isOpen) return null;
 
+  const columns = upload?.job?.columns || [];
+  const fields = upload?.fields || [];
+
   return (
     <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50">
       <div className="bg-white rounded-lg shadow-xl max-w-2xl w-full mx-4 max-h-[90vh] overflow-y-auto">
         {/* Header */}
         <div className="sticky top-0 bg-white border-b px-6 py-4 flex justify-between items-center">
-          <h2 className="text-xl font-bold text-gray-900">Import Contacts from CSV</h2>
+          <h2 className="text-xl font-bold text-gray-900">Import Contacts</h2>
           <button
             onClick={reset}
             className="text-gray-500 hover:text-gray-700"
@@ -182,41 +176,45 @@ export const CSVImportModal = ({ isOpen, onClose, onImportComplete }) => {
                 <svg className="mx-auto h-12 w-12 text-gray-400 mb-4" fill="none" stroke="currentColor" viewBox="0 0 24 24">
                   <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M7 16a4 4 0 01-.88-7.903A5 5 0 1115.9 6L16 6a5 5 0 011 9.9M15 13l-3-3m0 0l-3 3m3-3v12" />
                 </svg>
-                <label className="cursor-pointer">
-                  <span className="text-primary font-medium hover:underline">Upload CSV file</span>
+                <label className={uploading ? 'cursor-wait' : 'cursor-pointer'}>
+                  <span className="text-primary font-medium hover:underline">
+                    {uploading ? 'Uploading...' : 'Upload CSV or Excel file'}
+                  </span>
                   <input
                     type="file"
-                    accept=".csv"
+                    accept=".csv,.xlsx"
                     onChange={handleFileSelect}
+                    disabled={uploading}
                     className="hidden"
                   />
                 </label>
               </div>
               <p className="text-sm text-gray-600">
-                Expected columns: Name, Phone, Email (optional), Tags (optional)
+                The first row must contain column names. Name and Phone are required; Email, Tags,
+                SMS consent and custom fields are optional. Excel files use the first sheet.
               </p>
             </div>
           )}
 
-          {/* Step 2: Preview */}
-          {step === 2 && csvData.length > 0 && (
+          {/* Step 2: Preview and Column Mapping */}
+          {step === 2 && upload && (
             <div className="space-y-4">
               <p className="text-sm text-gray-600">
-                {csvData.length} contacts found. Preview of first 5 rows:
+                {upload.job.file_name}: preview of the first {upload.preview.length} rows
               </p>
               <div className="overflow-x-auto bg-gray-50 rounded p-4">
                 <table className="min-w-full text-sm">
                   <thead>
                     <tr>
-                      {csvColumns.map(col => (
+                      {columns.map(col => (
                         <th key={col} className="px-3 py-2 text-left font-medium">{col}</th>
                       ))}
                     </tr>
                   </thead>
                   <tbody>
-                    {csvData.slice(0, 5).map((row, idx) => (
+                    {upload.preview.map((row, idx) => (
                       <tr key={idx} className="border-t">
-                        {csvColumns.map(col => (
+                        {columns.map(col => (
                           <td key={col} className="px-3 py-2">{row[col]}</td>
                         ))}
                       </tr>
@@ -224,69 +222,110 @@ export const CSVImportModal = ({ isOpen, onClose, onImportComplete }) => {
                   </tbody>
                 </table>
               </div>
-              <button
-                onClick={() => setStep(3)}
-                className="btn-primary w-full"
-              >
-                Continue to Mapping
-              </button>
-            </div>
-          )}
 
-          {/* Step 3: Column Mapping */}
-          {step === 3 && (
-            <div className="space-y-4">
-              <p className="text-sm text-gray-600 mb-4">
-                Map CSV columns to contact fields:
+              <p className="text-sm text-gray-600">
+                Map file columns to contact fields:
               </p>
-              {csvColumns.map(csvCol => (
-                <div key={csvCol} className="grid grid-cols-2 gap-4 items-center">
-                  <div className="bg-gray-100 px-3 py-2 rounded">{csvCol}</div>
+              {columns.filter(Boolean).map(column => (
+                <div key={column} className="grid grid-cols-2 gap-4 items-center">
+                  <div className="bg-gray-100 px-3 py-2 rounded">{column}</div>
                   <select
-                    value={columnMapping[csvCol] || ''}
-                    onChange={(e) => updateMapping(csvCol, e.target.value)}
+                    value={columnMapping[column] || ''}
+                    onChange={(e) => updateMapping(column, e.target.value)}
                     className="input-field"
                   >
                     <option value="">-- Skip --</option>
-                    {expectedFields.map(field => (
-                      <option key={field} value={field}>{field}</option>
+                    {fields.map(field => (
+                      <option key={field.value} value={field.value}>
+                        {field.label}{field.value.startsWith('attr.') ? ' (custom)' : ''}{field.required ? ' *' : ''}
+                      </option>
                     ))}
                   </select>
                 </div>
               ))}
+
+              <div className="space-y-2">
+                <p className="text-sm font-medium text-gray-900">When a phone number already exists</p>
+                {DUPLICATE_STRATEGIES.map(strategy => (
+                  <label key={strategy.value} className="flex items-start gap-2 text-sm cursor-pointer">
+                    <input
+                      type="radio"
+                      name="duplicate_strategy"
+                      value={strategy.value}
+                      checked={duplicateStrategy === strategy.value}
+                      onChange={() => setDuplicateStrategy(strategy.value)}
+                      className="mt-1"
+                    />
+                    <span>
+                      <span className="font-medium">{strategy.label}</span>
+                      <span className="text-gray-600"> - {strategy.description}</span>
+                    </span>
+                  </label>
+                ))}
+              </div>
+
               <button
-                onClick={handleImport}
-                disabled={importing}
+                onClick={handleStart}
+                disabled={starting}
                 className="btn-primary w-full disabled:opacity-50"
               >
-                {importing ? 'Importing...' : 'Start Import'}
+                {starting ? 'Starting...' : 'Start Import'}
               </button>
             </div>
           )}
 
+          {/* Step 3: Progress */}
+          {step === 3 && job && (
+            <div className="space-y-4 text-center">
+              <h3 className="text-lg font-medium text-gray-900">Importing {job.file_name}</h3>
+              <div className="w-full bg-gray-200 rounded-full h-3">
+                <div
+                  className="bg-primary h-3 rounded-full transition-all"
+                  style={{ width: `${job.progress || 0}%` }}
+                />
+              </div>
+              <p className="text-sm text-gray-600">
+                {job.total_rows === null
+                  ? 'Reading file...'
+                  : `${job.processed_rows} of ${job.total_rows} rows processed`}
+              </p>
+              <p className="text-xs text-gray-500">
+                You can close this window; the import continues in the background.
+              </p>
+            </div>
+          )}
+
           {/* Step 4: Results */}
-          {step === 4 && results && (
+          {step === 4 && job && (
             <div className="space-y-4 text-center">
-              <div className="text-4xl font-bold text-green-600">✓</div>
-              <h3 className="text-lg font-medium text-gray-900">Import Complete!</h3>
+              {job.status === 'completed' ? (
+                <>
+                  <div className="text-4xl font-bold text-green-600">✓</div>
+                  <h3 className="text-lg font-medium text-gray-900">Import Complete!</h3>
+                </>
+              ) : (
+                <>
+                  <h3 className="text-lg font-medium text-red-700">Import Failed</h3>
+                  <p className="text-sm text-red-600">{job.error_message}</p>
+                </>
+              )}
               <div className="bg-gray-50 rounded p-4 space-y-2">
-                <p><span className="font-medium">{results.imported}</span> contacts imported</p>
-                {results.failed > 0 && (
-                  <p className="text-red-600"><span className="font-medium">{results.failed}</span> contacts failed</p>
+                <p><span className="font-medium">{job.created_rows}</span> contacts created</p>
+                <p><span className="font-medium">{job.updated_rows}</span> existing contacts updated</p>
+                {job.skipped_rows > 0 && (
+                  <p><span className="font-medium">{job.skipped_rows}</span> duplicates skipped</p>
+                )}
+                {job.failed_rows > 0 && (
+                  <p className="text-red-600"><span className="font-medium">{job.failed_rows}</span> rows rejected</p>
                 )}
               </div>
-              {results.errors.length > 0 && (
-                <div className="bg-red-50 border border-red-200 rounded p-3 max-h-40 overflow-y-auto text-left">
-                  <p className="font-medium text-red-800 mb-2">Errors:</p>
-                  {results.errors.slice(0, 10).map((err, idx) => (
-                    <p key={idx} className="text-xs text-red-700">
-                      Row {err.row}: {err.message}
-                    </p>
-                  ))}
-                  {results.errors.length > 10 && (
-                    <p className="text-xs text-red-700">... and {results.errors.length - 10} more</p>
-                  )}
-                </div>
+              {job.failed_rows > 0 && (
+                <a
+                  href={`/api/contacts/imports/${job.id}/errors`}
+                  className="block text-primary font-medium hover:underline"
+                >
+                  Download error report (CSV)
+                </a>
               )}
               <button
                 onClick={reset}
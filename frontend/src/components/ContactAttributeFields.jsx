@@ -0,0 +1,62 @@
+import React from 'react';
+import { Input, Label } from './ui';
+
+const selectClassName = 'w-full rounded-lg border border-[var(--border)] bg-[var(--card)] px-4 py-2 text-[var(--text)] h-10 focus-visible:outline-none focus-visible:ring-2 focus-visible:ring-primary-500 focus-visible:ring-offset-2';
+
+/**
+ * Contact Attribute Fields
+ * One typed input per tenant-defined custom attribute
+ */
+export const ContactAttributeFields = ({ definitions = [], values = {}, onChange, disabled = false }) => {
+  if (definitions.length === 0) return null;
+
+  const renderInput = (definition) => {
+    const id = `attr-${definition.key}`;
+    const value = values[definition.key] ?? '';
+    const update = (next) => onChange({ ...values, [definition.key]: next });
+
+    switch (definition.type) {
+      case 'boolean':
+        return (
+          <select id={id} value={value} onChange={(e) => update(e.target.value)} className={selectClassName} disabled={disabled}>
+            <option value="">Not set</option>
+            <option value="true">Yes</option>
+            <option value="false">No</option>
+          </select>
+        );
+      case 'enum':
+        return (
+          <select id={id} value={value} onChange={(e) => update(e.target.value)} className={selectClassName} disabled={disabled}>
+            <option value="">Not set</option>
+            {definition.options.map(option => (
+              <option key={option} value={option}>{option}</option>
+            ))}
+          </select>
+        );
+      case 'number':
+        return <Input id={id} type="number" step="any" value={value} onChange={(e) => update(e.target.value)} disabled={disabled} />;
+      case 'date':
+        return <Input id={id} type="date" value={value} onChange={(e) => update(e.target.value)} disabled={disabled} />;
+      default:
+        return <Input id={id} type="text" value={value} onChange={(e) => update(e.target.value)} disabled={disabled} />;
+    }
+  };
+
+  return (
+    <div className="space-y-3" data-testid="contact-attribute-fields">
+      <Label>Custom Fields</Label>
+      <div className="grid grid-cols-1 sm:grid-cols-2 gap-3">
+        {definitions.map(definition => (
+          <div key={definition.key} className="space-y-1">
+            <label htmlFor={`attr-${definition.key}`} className="text-sm text-[var(--text-muted)]">
+              {definition.label}
+            </label>
+            {renderInput(definition)}
+          </div>
+        ))}
+      </div>
+    </div>
+  );
+};
+
+export default ContactAttributeFields;
@@ -1,5 +1,10 @@
 import React, { useState, useEffect } from 'react';
 import { Dialog, Button, Input, Label, Alert, Badge } from './ui';
+import { ContactAttributeFields } from './ContactAttributeFields';
+import { toAttributeFormValues, toAttributePayload } from '../utils/contactAttributes';
+
+// Stable default so the reset effect doesn't rerun on every render
+const NO_ATTRIBUTES = [];
 
 /**
  * Create Contact Modal
@@ -10,7 +15,8 @@ export const CreateContactModal = ({
   onClose,
   onContactCreated,
   onCreated,
-  availableTags = []
+  availableTags = [],
+  attributeDefinitions = NO_ATTRIBUTES
 }) => {
   const [formData, setFormData] = useState({
     name: '',
@@ -18,7 +24,9 @@ export const CreateContactModal = ({
     email: '',
     consent_whatsapp: false,
     consent_email: false,
-    tags: []
+    consent_sms: false,
+    tags: [],
+    custom_attributes: {}
   });
 
   const [errors, setErrors] = useState({});
@@ -34,12 +42,14 @@ export const CreateContactModal = ({
         email: '',
         consent_whatsapp: false,
         consent_email: false,
-        tags: []
+        consent_sms: false,
+        tags: [],
+        custom_attributes: toAttributeFormValues(attributeDefinitions)
       });
       setErrors({});
       setSuccessMessage('');
     }
-  }, [isOpen]);
+  }, [isOpen, attributeDefinitions]);
 
   const validateForm = () => {
     const newErrors = {};
@@ -109,7 +119,9 @@ export const CreateContactModal = ({
           email: formData.email.trim() || null,
           consent_whatsapp: formData.consent_whatsapp,
           consent_email: formData.consent_email,
-          tags: Array.from(new Set(formData.tags))
+          consent_sms: formData.consent_sms,
+          tags: Array.from(new Set(formData.tags)),
+          custom_attributes: toAttributePayload(formData.custom_attributes)
         })
       });
 
@@ -204,7 +216,7 @@ export const CreateContactModal = ({
           {errors.email && <p className="mt-1 text-sm text-red-600">{errors.email}</p>}
         </div>
 
-        <div className="grid grid-cols-1 sm:grid-cols-2 gap-3">
+        <div className="grid grid-cols-1 sm:grid-cols-3 gap-3">
           <label className="flex items-center space-x-2">
             <input
               type="checkbox"
@@ -227,8 +239,26 @@ export const CreateContactModal = ({
             />
             <span className="text-sm text-[var(--text)]">Email Consent</span>
           </label>
+          <label className="flex items-center space-x-2">
+            <input
+              type="checkbox"
+              name="consent_sms"
+              checked={formData.consent_sms}
+              onChange={handleInputChange}
+              className="w-4 h-4 text-primary-600"
+              disabled={loading}
+            />
+            <span className="text-sm text-[var(--text)]">SMS Consent</span>
+          </label>
         </div>
 
+        <ContactAttributeFields
+          definitions={attributeDefinitions}
+          values={formData.custom_attributes}
+          onChange={(custom_attributes) => setFormData(prev => ({ ...prev, custom_attributes }))}
+          disabled={loading}
+        />
+
         {availableTags.length > 0 && (
           <div className="space-y-2">
             <Label>Tags</Label>
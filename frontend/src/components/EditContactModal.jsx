@@ -1,18 +1,25 @@
 import React, { useState, useEffect } from 'react';
 import { Dialog, Button, Input, Label, Alert, Badge } from './ui';
+import { ContactAttributeFields } from './ContactAttributeFields';
+import { toAttributeFormValues, toAttributePayload } from '../utils/contactAttributes';
+
+// Stable default so the reset effect doesn't rerun on every render
+const NO_ATTRIBUTES = [];
 
 /**
  * Edit Contact Modal
  * Modal form for editing an existing contact
  */
-export const EditContactModal = ({ isOpen, onClose, onContactUpdated, onUpdated, contact, availableTags = [] }) => {
+export const EditContactModal = ({ isOpen, onClose, onContactUpdated, onUpdated, contact, availableTags = [], attributeDefinitions = NO_ATTRIBUTES }) => {
   const [formData, setFormData] = useState({
     name: '',
     phone: '',
     email: '',
     consent_whatsapp: false,
     consent_email: false,
-    tags: []
+    consent_sms: false,
+    tags: [],
+    custom_attributes: {}
   });
 
   const [errors, setErrors] = useState({});
@@ -28,14 +35,16 @@ export const EditContactModal = ({ isOpen, onClose, onContactUpdated, onUpdated,
         email: contact.email || '',
         consent_whatsapp: contact.consent_whatsapp || false,
         consent_email: contact.consent_email || false,
+        consent_sms: contact.consent_sms || false,
         tags: contact.tags && Array.isArray(contact.tags)
           ? contact.tags.map(tag => typeof tag === 'object' ? tag.id : tag)
-          : []
+          : [],
+        custom_attributes: toAttributeFormValues(attributeDefinitions, contact.custom_attributes)
       });
       setErrors({});
       setSuccessMessage('');
     }
-  }, [isOpen, contact]);
+  }, [isOpen, contact, attributeDefinitions]);
 
   const validateForm = () => {
     const newErrors = {};
@@ -112,7 +121,10 @@ export const EditContactModal = ({ isOpen, onClose, onContactUpdated, onUpdated,
           email: formData.email.trim() || null,
           consent_whatsapp: formData.consent_whatsapp,
           consent_email: formData.consent_email,
-          tags: formData.tags
+          consent_sms: formData.consent_sms,
+          tags: formData.tags,
+          // Empty fields are sent so clearing a value removes it
+          custom_attributes: toAttributePayload(formData.custom_attributes, true)
         })
       });
 
@@ -216,7 +228,7 @@ export const EditContactModal = ({ isOpen, onClose, onContactUpdated, onUpdated,
           {errors.email && <p className="mt-1 text-sm text-red-600">{errors.email}</p>}
         </div>
 
-        <div className="grid grid-cols-1 sm:grid-cols-2 gap-3">
+        <div className="grid grid-cols-1 sm:grid-cols-3 gap-3">
           <label className="flex items-center space-x-2">
             <input
               type="checkbox"
@@ -239,8 +251,26 @@ export const EditContactModal = ({ isOpen, onClose, onContactUpdated, onUpdated,
             />
             <span className="text-sm text-[var(--text)]">Email Consent</span>
           </label>
+          <label className="flex items-center space-x-2">
+            <input
+              type="checkbox"
+              name="consent_sms"
+              checked={formData.consent_sms}
+              onChange={handleInputChange}
+              className="w-4 h-4 text-primary-600"
+              disabled={loading}
+            />
+            <span className="text-sm text-[var(--text)]">SMS Consent</span>
+          </label>
         </div>
 
+        <ContactAttributeFields
+          definitions={attributeDefinitions}
+          values={formData.custom_attributes}
+          onChange={(custom_attributes) => setFormData(prev => ({ ...prev, custom_attributes }))}
+          disabled={loading}
+        />
+
         {(tagObjects.length > 0 || tagIds.length > 0) && (
           <div className="space-y-2">
             <Label>Tags</Label>
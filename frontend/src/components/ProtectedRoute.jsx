@@ -23,6 +23,7 @@ export const ProtectedRoute = ({
     isAuthenticated,
     loading,
     mustSelectTenant,
+    twoFactorSetupRequired,
     activeTenant,
     hasRole,
     isPlatformAdmin,
@@ -59,6 +60,11 @@ export const ProtectedRoute = ({
     return <Navigate to="/tenants" replace />;
   }
 
+  // Hold users a 2FA policy applies to on their profile until they enroll
+  if (twoFactorSetupRequired && location.pathname !== '/profile' && location.pathname !== '/tenants') {
+    return <Navigate to="/profile" replace />;
+  }
+
   // Check platform admin requirement
   if (requirePlatformAdmin && !isPlatformAdmin()) {
     return (
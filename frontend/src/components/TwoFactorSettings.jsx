@@ -0,0 +1,249 @@
+import React, { useEffect, useState } from 'react';
+import { Card, CardHeader, CardTitle, CardDescription, CardContent, Button, Input, Label, Alert, Badge, toast } from './ui';
+import { useAuth } from '../context/AuthContext';
+
+const request = async (url, options = {}, fallback = 'Request failed') => {
+  const res = await fetch(url, {
+    credentials: 'include',
+    headers: { 'Content-Type': 'application/json' },
+    ...options
+  });
+  const data = await res.json().catch(() => ({}));
+  if (!res.ok) {
+    throw new Error(data.message || fallback);
+  }
+  return data;
+};
+
+/**
+ * Two-Factor Settings
+ * Profile card for TOTP enrollment (QR code + confirmation code), one-time
+ * recovery codes, regenerating them and turning 2FA off
+ */
+export const TwoFactorSettings = () => {
+  const { refreshAuth } = useAuth();
+  const [status, setStatus] = useState(null);
+  const [error, setError] = useState('');
+  const [busy, setBusy] = useState(false);
+
+  const [enrollment, setEnrollment] = useState(null);
+  const [enrollCode, setEnrollCode] = useState('');
+  const [recoveryCodes, setRecoveryCodes] = useState(null);
+
+  const [manageCode, setManageCode] = useState('');
+  const [password, setPassword] = useState('');
+
+  const loadStatus = async () => {
+    try {
+      const data = await request('/api/auth/2fa', {}, 'Failed to load two-factor status');
+      setStatus(data.data);
+    } catch (err) {
+      setError(err.message);
+    }
+  };
+
+  useEffect(() => {
+    loadStatus();
+  }, []);
+
+  const run = async (action) => {
+    setError('');
+    try {
+      setBusy(true);
+      await action();
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const handleStart = () => run(async () => {
+    const data = await request('/api/auth/2fa/setup', { method: 'POST' }, 'Failed to start setup');
+    setEnrollment(data.data);
+    setEnrollCode('');
+  });
+
+  const handleEnable = (e) => {
+    e.preventDefault();
+    run(async () => {
+      const data = await request('/api/auth/2fa/enable', {
+        method: 'POST',
+        body: JSON.stringify({ code: enrollCode.trim() })
+      }, 'Failed to verify code');
+      setRecoveryCodes(data.data.recovery_codes);
+      setEnrollment(null);
+      await loadStatus();
+      await refreshAuth();
+      toast({ title: 'Two-factor authentication on', variant: 'success' });
+    });
+  };
+
+  const handleRegenerate = () => run(async () => {
+    const data = await request('/api/auth/2fa/recovery-codes', {
+      method: 'POST',
+      body: JSON.stringify({ code: manageCode.trim() })
+    }, 'Failed to create recovery codes');
+    setRecoveryCodes(data.data.recovery_codes);
+    setManageCode('');
+    await loadStatus();
+  });
+
+  const handleDisable = () => run(async () => {
+    await request('/api/auth/2fa/disable', {
+      method: 'POST',
+      body: JSON.stringify({ password, code: manageCode.trim() })
+    }, 'Failed to turn off two-factor authentication');
+    setManageCode('');
+    setPassword('');
+    setRecoveryCodes(null);
+    await loadStatus();
+    toast({ title: 'Two-factor authentication off', variant: 'success' });
+  });
+
+  const copyRecoveryCodes = async () => {
+    try {
+      await navigator.clipboard.writeText(recoveryCodes.join('\n'));
+      toast({ title: 'Copied', description: 'Recovery codes copied to clipboard.', variant: 'success' });
+    } catch {
+      toast({ title: 'Copy failed', description: 'Select the codes and copy them manually.', variant: 'error' });
+    }
+  };
+
+  const requiredBy = status
+    ? [
+      ...(status.required_by_platform ? ['your platform role'] : []),
+      ...status.required_by_tenants.map(t => t.name)
+    ].join(', ')
+    : '';
+
+  return (
+    <Card className="md:col-span-2" data-testid="two-factor-settings">
+      <CardHeader>
+        <div className="flex items-center gap-2">
+          <CardTitle>Two-factor authentication</CardTitle>
+          {status && (
+            <Badge variant={status.enabled ? 'success' : 'neutral'}>{status.enabled ? 'On' : 'Off'}</Badge>
+          )}
+        </div>
+        <CardDescription>
+          Ask for a code from an authenticator app (Google Authenticator, 1Password, Authy…) after your password.
+        </CardDescription>
+      </CardHeader>
+      <CardContent className="space-y-4">
+        {error && <Alert variant="error">{error}</Alert>}
+        {status?.required && !status.enabled && (
+          <Alert variant="warning" title="Two-factor authentication required">
+            Required by {requiredBy}. Set it up to keep using EngageNinja.
+          </Alert>
+        )}
+
+        {recoveryCodes && (
+          <Alert variant="success" title="Save your recovery codes">
+            <p className="mb-3">
+              Each code signs you in once if you lose your authenticator. They won&apos;t be shown again.
+            </p>
+            <div className="grid grid-cols-2 gap-2 font-mono text-sm md:grid-cols-5" data-testid="recovery-codes">
+              {recoveryCodes.map(code => <span key={code}>{code}</span>)}
+            </div>
+            <div className="mt-3 flex gap-2">
+              <Button size="sm" variant="secondary" onClick={copyRecoveryCodes}>Copy</Button>
+              <Button size="sm" variant="ghost" onClick={() => setRecoveryCodes(null)}>I&apos;ve saved them</Button>
+            </div>
+          </Alert>
+        )}
+
+        {status && !status.enabled && !enrollment && (
+          <Button onClick={handleStart} disabled={busy}>
+            {busy ? 'Starting...' : 'Set up two-factor authentication'}
+          </Button>
+        )}
+
+        {enrollment && (
+          <div className="grid gap-6 md:grid-cols-[auto,1fr]">
+            <img
+              src={enrollment.qr_code}
+              alt="QR code for your authenticator app"
+              className="h-44 w-44 rounded-lg border border-[var(--border)] bg-white p-2"
+            />
+            <form className="space-y-3" onSubmit={handleEnable}>
+              <p className="text-sm text-[var(--text-muted)]">
+                Scan the QR code with your authenticator app, or enter this key by hand:
+              </p>
+              <p className="font-mono text-sm break-all text-[var(--text)]">{enrollment.secret}</p>
+              <div className="space-y-2">
+                <Label htmlFor="two-factor-enroll-code">Code from the app</Label>
+                <Input
+                  id="two-factor-enroll-code"
+                  value={enrollCode}
+                  onChange={(e) => setEnrollCode(e.target.value)}
+                  placeholder="123456"
+                  inputMode="numeric"
+                  autoComplete="one-time-code"
+                />
+              </div>
+              <div className="flex gap-2">
+                <Button type="submit" disabled={busy || !enrollCode.trim()}>
+                  {busy ? 'Verifying...' : 'Verify and turn on'}
+                </Button>
+                <Button type="button" variant="secondary" onClick={() => setEnrollment(null)} disabled={busy}>
+                  Cancel
+                </Button>
+              </div>
+            </form>
+          </div>
+        )}
+
+        {status?.enabled && (
+          <div className="space-y-3">
+            <p className="text-sm text-[var(--text-muted)]">
+              On since {new Date(status.enabled_at).toLocaleDateString()} · {status.recovery_codes_remaining} recovery codes left
+            </p>
+            <div className="grid gap-3 md:grid-cols-2">
+              <div className="space-y-2">
+                <Label htmlFor="two-factor-manage-code">Current code</Label>
+                <Input
+                  id="two-factor-manage-code"
+                  value={manageCode}
+                  onChange={(e) => setManageCode(e.target.value)}
+                  placeholder="Code from your authenticator app"
+                  autoComplete="one-time-code"
+                />
+              </div>
+              {!status.required && (
+                <div className="space-y-2">
+                  <Label htmlFor="two-factor-password">Password (to turn off)</Label>
+                  <Input
+                    id="two-factor-password"
+                    type="password"
+                    value={password}
+                    onChange={(e) => setPassword(e.target.value)}
+                    placeholder="Current password"
+                    autoComplete="current-password"
+                  />
+                </div>
+              )}
+            </div>
+            <div className="flex flex-wrap gap-2">
+              <Button variant="secondary" onClick={handleRegenerate} disabled={busy || !manageCode.trim()}>
+                New recovery codes
+              </Button>
+              {!status.required && (
+                <Button variant="danger" onClick={handleDisable} disabled={busy || !manageCode.trim() || !password}>
+                  Turn off
+                </Button>
+              )}
+            </div>
+            {status.required && (
+              <p className="text-xs text-[var(--text-muted)]">
+                Required by {requiredBy}, so it can&apos;t be turned off. Lost your device? Ask a platform admin to reset it.
+              </p>
+            )}
+          </div>
+        )}
+      </CardContent>
+    </Card>
+  );
+};
+
+export default TwoFactorSettings;
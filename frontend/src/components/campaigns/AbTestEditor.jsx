@@ -0,0 +1,210 @@
+import React from 'react'
+import ReactQuill from 'react-quill'
+import { Button, Input, Label } from '../ui'
+import {
+  MAX_VARIANTS,
+  VARIANT_LABELS,
+  WAIT_OPTIONS,
+  createVariant
+} from '../../utils/abTesting'
+
+const selectClassName = 'w-full rounded-lg border border-[var(--border)] bg-[var(--card)] px-4 py-2 text-[var(--text)] focus-visible:outline-none focus-visible:ring-2 focus-visible:ring-primary-500 focus-visible:ring-offset-2'
+
+const WhatsAppVariantFields = ({ variant, onChange, templates, attributeDefinitions }) => {
+  const template = templates.find(t => t.id === variant.template_id)
+
+  const handleTemplateChange = (templateId) => {
+    const next = templates.find(t => t.id === templateId)
+    const variables = {}
+    const sources = {}
+    ;(next?.variables || []).forEach(v => {
+      variables[v] = variant.variables[v] || ''
+      sources[v] = variant.sources[v] || 'custom'
+    })
+    onChange({ ...variant, template_id: templateId, variables, sources })
+  }
+
+  return (
+    <div className="space-y-3">
+      <select
+        value={variant.template_id}
+        onChange={(e) => handleTemplateChange(e.target.value)}
+        className={selectClassName}
+      >
+        <option value="">Select a template</option>
+        {templates.map(t => (
+          <option key={t.id} value={t.id}>{t.name}</option>
+        ))}
+      </select>
+      {template?.variables?.length > 0 && (
+        <div className="grid gap-3 md:grid-cols-2">
+          {template.variables.map(variable => {
+            const source = variant.sources[variable] || 'custom'
+            return (
+              <div key={variable} className="space-y-2 rounded-lg border border-[var(--border)] p-3">
+                <div className="flex items-center justify-between gap-2">
+                  <Label className="text-sm font-semibold">{variable}</Label>
+                  <select
+                    value={source}
+                    onChange={(e) => onChange({ ...variant, sources: { ...variant.sources, [variable]: e.target.value } })}
+                    className="rounded-md border border-[var(--border)] bg-[var(--card)] px-2 py-1 text-xs text-[var(--text)]"
+                  >
+                    <option value="custom">Custom value</option>
+                    <option value="contact.name">Contact name</option>
+                    <option value="contact.email">Contact email</option>
+                    <option value="contact.phone">Contact phone</option>
+                    {attributeDefinitions.map(definition => (
+                      <option key={definition.key} value={`attr.${definition.key}`}>{definition.label}</option>
+                    ))}
+                  </select>
+                </div>
+                {source === 'custom' && (
+                  <Input
+                    type="text"
+                    value={variant.variables[variable] || ''}
+                    onChange={(e) => onChange({ ...variant, variables: { ...variant.variables, [variable]: e.target.value } })}
+                    placeholder={`Value for ${variable}`}
+                  />
+                )}
+              </div>
+            )
+          })}
+        </div>
+      )}
+      {template && ['IMAGE', 'VIDEO', 'DOCUMENT'].includes(template.header_type || '') && (
+        <Input
+          type="url"
+          value={variant.headerMediaLink}
+          onChange={(e) => onChange({ ...variant, headerMediaLink: e.target.value })}
+          placeholder="Media header URL"
+        />
+      )}
+    </div>
+  )
+}
+
+const EmailVariantFields = ({ variant, onChange }) => (
+  <div className="space-y-3">
+    <Input
+      type="text"
+      value={variant.subject}
+      onChange={(e) => onChange({ ...variant, subject: e.target.value })}
+      placeholder="Subject line"
+    />
+    <div className="rounded-lg border border-[var(--border)] bg-[var(--card)]">
+      <ReactQuill
+        theme="snow"
+        value={variant.htmlBody}
+        onChange={(value) => onChange({ ...variant, htmlBody: value })}
+        placeholder="Write this variant's email content..."
+      />
+    </div>
+  </div>
+)
+
+/**
+ * A/B test settings for the content step
+ * `abTest` is { enabled, testPercentage, waitMinutes, variants } where variants are B-D;
+ * variant A is the content configured above.
+ */
+export default function AbTestEditor({ channel, abTest, onChange, templates = [], attributeDefinitions = [], audienceCount = 0 }) {
+  const { enabled, testPercentage, waitMinutes, variants } = abTest
+  const variantCount = variants.length + 1
+  const testCount = Math.ceil((audienceCount * (Number(testPercentage) || 0)) / 100)
+
+  const update = (changes) => onChange({ ...abTest, ...changes })
+  const updateVariant = (index, variant) => update({ variants: variants.map((v, i) => (i === index ? variant : v)) })
+
+  return (
+    <div className="border rounded-xl border-[var(--border)] p-4 space-y-4">
+      <label className="flex items-center gap-3 text-[var(--text)]">
+        <input
+          type="checkbox"
+          checked={enabled}
+          onChange={(e) => update({
+            enabled: e.target.checked,
+            variants: e.target.checked && variants.length === 0 ? [createVariant()] : variants
+          })}
+          className="h-4 w-4"
+        />
+        <span className="font-semibold">A/B test this campaign</span>
+      </label>
+
+      {enabled && (
+        <>
+          <p className="text-sm text-[var(--text-muted)]">
+            {channel === 'whatsapp'
+              ? 'Variant A is the template configured above. Each variant goes to an equal share of the test group; the one with the best read rate is sent to everyone else.'
+              : 'Variant A is the email configured above. Each variant goes to an equal share of the test group; the one with the best open rate is sent to everyone else.'}
+          </p>
+
+          <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+            <div className="space-y-2">
+              <Label htmlFor="ab-test-percentage">Test group size (%)</Label>
+              <Input
+                id="ab-test-percentage"
+                type="number"
+                min="1"
+                max="100"
+                value={testPercentage}
+                onChange={(e) => update({ testPercentage: e.target.value === '' ? '' : Number(e.target.value) })}
+              />
+              <p className="text-xs text-[var(--text-muted)]">
+                About {testCount} of {audienceCount} contacts, {Math.floor(testCount / variantCount)}+ per variant
+              </p>
+            </div>
+            <div className="space-y-2">
+              <Label htmlFor="ab-wait">Pick the winner after</Label>
+              <select
+                id="ab-wait"
+                value={waitMinutes}
+                onChange={(e) => update({ waitMinutes: Number(e.target.value) })}
+                className={selectClassName}
+              >
+                {WAIT_OPTIONS.map(option => (
+                  <option key={option.value} value={option.value}>{option.label}</option>
+                ))}
+              </select>
+            </div>
+          </div>
+
+          {variants.map((variant, index) => {
+            const label = VARIANT_LABELS[index + 1]
+            return (
+              <div key={label} className="space-y-3 rounded-lg border border-[var(--border)] p-4">
+                <div className="flex items-center justify-between">
+                  <p className="text-sm font-semibold text-[var(--text)]">Variant {label}</p>
+                  {variants.length > 1 && (
+                    <Button
+                      variant="ghost"
+                      size="sm"
+                      onClick={() => update({ variants: variants.filter((_, i) => i !== index) })}
+                    >
+                      Remove
+                    </Button>
+                  )}
+                </div>
+                {channel === 'whatsapp' ? (
+                  <WhatsAppVariantFields
+                    variant={variant}
+                    onChange={(next) => updateVariant(index, next)}
+                    templates={templates}
+                    attributeDefinitions={attributeDefinitions}
+                  />
+                ) : (
+                  <EmailVariantFields variant={variant} onChange={(next) => updateVariant(index, next)} />
+                )}
+              </div>
+            )
+          })}
+
+          {variantCount < MAX_VARIANTS && (
+            <Button variant="secondary" size="sm" onClick={() => update({ variants: [...variants, createVariant()] })}>
+              Add variant {VARIANT_LABELS[variantCount]}
+            </Button>
+          )}
+        </>
+      )}
+    </div>
+  )
+}
@@ -0,0 +1,160 @@
+import React from 'react'
+import { BoltIcon } from '@heroicons/react/24/outline'
+import { STEP_TYPES, TRIGGER_TYPES, describeStep, getStepLabel } from '../../utils/journeys'
+
+const AddStepButton = ({ onAdd, disabled, testId }) => {
+  if (disabled) return <div className="h-6 w-px bg-[var(--border)]" />
+
+  return (
+    <div className="flex flex-col items-center">
+      <div className="h-3 w-px bg-[var(--border)]" />
+      <select
+        value=""
+        onChange={(e) => e.target.value && onAdd(e.target.value)}
+        className="h-8 rounded-full border border-dashed border-[var(--border)] bg-[var(--card)] px-3 text-xs text-[var(--text-muted)] hover:border-primary-400 focus-visible:outline-none focus-visible:ring-2 focus-visible:ring-primary-500"
+        aria-label="Add step"
+        data-testid={testId}
+      >
+        <option value="">+ Add step</option>
+        {STEP_TYPES.map(option => (
+          <option key={option.value} value={option.value}>{option.label}</option>
+        ))}
+      </select>
+      <div className="h-3 w-px bg-[var(--border)]" />
+    </div>
+  )
+}
+
+const StepStats = ({ stats }) => {
+  if (!stats || stats.runs === 0) return null
+  const messages = Object.entries(stats.messages || {})
+  return (
+    <p className="mt-1 text-xs text-[var(--text-muted)]">
+      {stats.runs} {stats.runs === 1 ? 'run' : 'runs'}
+      {messages.length > 0 && ` · ${messages.map(([status, count]) => `${count} ${status}`).join(', ')}`}
+    </p>
+  )
+}
+
+const StepNode = ({ step, selected, onSelect, context, stats }) => (
+  <button
+    type="button"
+    onClick={() => onSelect(step.id)}
+    className={`w-64 rounded-lg border px-4 py-3 text-left transition ${selected
+      ? 'border-primary-500 ring-2 ring-primary-500/40 bg-[var(--card)]'
+      : 'border-[var(--border)] bg-[var(--card)] hover:border-primary-300'}`}
+    data-testid={`journey-step-${step.id}`}
+  >
+    <p className="text-xs font-semibold uppercase tracking-wide text-[var(--text-muted)]">{getStepLabel(step.type)}</p>
+    <p className="text-sm text-[var(--text)] truncate">{describeStep(step, context)}</p>
+    <StepStats stats={stats} />
+  </button>
+)
+
+/**
+ * Visual flow of a journey: the trigger, then each step from `start`, with conditions
+ * split into "yes" and "no" branches. Steps are added with the "+" between nodes.
+ */
+export default function JourneyFlow({
+  definition,
+  selectedId,
+  onSelect,
+  onAddStep,
+  stepStats = {},
+  tags = [],
+  templates = [],
+  readOnly = false
+}) {
+  const byId = new Map(definition.steps.map(step => [step.id, step]))
+  const context = { tags, templates }
+  const triggerLabel = TRIGGER_TYPES.find(option => option.value === definition.trigger?.type)?.label || 'Choose a trigger'
+
+  // A step reached from two branches is drawn once; the second branch links to it
+  const rendered = new Set()
+
+  const renderChain = (stepId, parentId, branch) => {
+    const add = (
+      <AddStepButton
+        onAdd={(type) => onAddStep(parentId, branch, type)}
+        disabled={readOnly}
+        testId={`journey-add-${parentId || 'start'}-${branch}`}
+      />
+    )
+    const step = stepId ? byId.get(stepId) : null
+    if (!step) {
+      return (
+        <div className="flex flex-col items-center">
+          {add}
+          <span className="text-xs text-[var(--text-muted)]">End</span>
+        </div>
+      )
+    }
+    if (rendered.has(step.id)) {
+      return (
+        <div className="flex flex-col items-center">
+          {add}
+          <span className="text-xs text-[var(--text-muted)]">Continues at {getStepLabel(step.type)}</span>
+        </div>
+      )
+    }
+    rendered.add(step.id)
+
+    const node = (
+      <StepNode
+        step={step}
+        selected={selectedId === step.id}
+        onSelect={onSelect}
+        context={context}
+        stats={stepStats[step.id]}
+      />
+    )
+
+    if (step.type === 'condition') {
+      return (
+        <div className="flex flex-col items-center">
+          {add}
+          {node}
+          <div className="mt-2 flex gap-8">
+            <div className="flex flex-col items-center">
+              <span className="text-xs font-semibold text-green-700">Yes</span>
+              {renderChain(step.then, step.id, 'then')}
+            </div>
+            <div className="flex flex-col items-center">
+              <span className="text-xs font-semibold text-red-700">No</span>
+              {renderChain(step.else, step.id, 'else')}
+            </div>
+          </div>
+        </div>
+      )
+    }
+
+    return (
+      <div className="flex flex-col items-center">
+        {add}
+        {node}
+        {renderChain(step.next, step.id, 'next')}
+      </div>
+    )
+  }
+
+  return (
+    <div className="overflow-x-auto rounded-lg border border-[var(--border)] bg-black/5 p-6" data-testid="journey-flow">
+      <div className="flex min-w-max flex-col items-center">
+        <button
+          type="button"
+          onClick={() => onSelect('trigger')}
+          className={`w-64 rounded-lg border px-4 py-3 text-left transition ${selectedId === 'trigger'
+            ? 'border-primary-500 ring-2 ring-primary-500/40 bg-[var(--card)]'
+            : 'border-primary-200 bg-[var(--card)] hover:border-primary-400'}`}
+          data-testid="journey-trigger"
+        >
+          <p className="flex items-center gap-1 text-xs font-semibold uppercase tracking-wide text-primary-600">
+            <BoltIcon className="h-3 w-3" /> Trigger
+          </p>
+          <p className="text-sm text-[var(--text)]">{triggerLabel}</p>
+        </button>
+        {renderChain(definition.start, null, 'start')}
+      </div>
+    </div>
+  )
+}
@@ -0,0 +1,302 @@
+import React, { useEffect, useState } from 'react'
+import { Button, Input, Label } from '../ui'
+import {
+  CONDITION_STATUSES,
+  DELAY_UNITS,
+  SEND_STEP_TYPES,
+  TRIGGER_TYPES,
+  createTrigger,
+  describeStep,
+  getStepLabel
+} from '../../utils/journeys'
+
+const selectClassName = 'w-full rounded-lg border border-[var(--border)] bg-[var(--card)] px-3 py-2 text-sm text-[var(--text)] h-10 focus-visible:outline-none focus-visible:ring-2 focus-visible:ring-primary-500'
+const textareaClassName = 'w-full rounded-lg border border-[var(--border)] bg-[var(--card)] px-4 py-2 text-sm text-[var(--text)] placeholder:text-[var(--text-muted)] focus-visible:outline-none focus-visible:ring-2 focus-visible:ring-primary-500 focus-visible:ring-offset-2'
+
+const Select = ({ value, onChange, options, disabled, ...props }) => (
+  <select
+    value={value ?? ''}
+    onChange={(e) => onChange(e.target.value)}
+    disabled={disabled}
+    className={selectClassName}
+    {...props}
+  >
+    {options.map(option => (
+      <option key={option.value} value={option.value}>{option.label}</option>
+    ))}
+  </select>
+)
+
+const Field = ({ label, htmlFor, children, hint }) => (
+  <div className="space-y-2">
+    <Label htmlFor={htmlFor}>{label}</Label>
+    {children}
+    {hint && <p className="text-xs text-[var(--text-muted)]">{hint}</p>}
+  </div>
+)
+
+const tagOptions = (tags) => (tags.length > 0
+  ? [{ value: '', label: 'Choose a tag' }, ...tags.map(tag => ({ value: tag.id, label: tag.name }))]
+  : [{ value: '', label: 'No tags yet' }])
+
+/**
+ * Edits the journey trigger
+ */
+export function TriggerEditor({ trigger, onChange, tags, dateAttributes, disabled }) {
+  const update = (changes) => onChange({ ...trigger, ...changes })
+  const [keywords, setKeywords] = useState((trigger.keywords || []).join(', '))
+
+  useEffect(() => {
+    setKeywords((trigger.keywords || []).join(', '))
+  }, [trigger.type])
+
+  return (
+    <div className="space-y-4" data-testid="journey-trigger-editor">
+      <Field label="Start the journey when" htmlFor="journey-trigger-type">
+        <Select
+          id="journey-trigger-type"
+          value={trigger.type}
+          onChange={(type) => onChange(createTrigger(type, tags, dateAttributes))}
+          options={TRIGGER_TYPES}
+          disabled={disabled}
+        />
+      </Field>
+
+      {trigger.type === 'tag_added' && (
+        <Field label="Tag">
+          <Select value={trigger.tag_id} onChange={(tagId) => update({ tag_id: tagId })} options={tagOptions(tags)} disabled={disabled} />
+        </Field>
+      )}
+
+      {trigger.type === 'inbound_keyword' && (
+        <Field label="Keywords" htmlFor="journey-keywords" hint="Comma separated. Matches WhatsApp replies that are exactly one of these words.">
+          <Input
+            id="journey-keywords"
+            value={keywords}
+            onChange={(e) => {
+              setKeywords(e.target.value)
+              update({ keywords: e.target.value.split(',').map(keyword => keyword.trim()).filter(Boolean) })
+            }}
+            placeholder="e.g., JOIN, INFO"
+            disabled={disabled}
+          />
+        </Field>
+      )}
+
+      {trigger.type === 'date_attribute' && (
+        <>
+          <Field label="Date attribute">
+            <Select
+              value={trigger.attribute}
+              onChange={(attribute) => update({ attribute })}
+              options={dateAttributes.length > 0
+                ? dateAttributes.map(attr => ({ value: attr.key, label: attr.label || attr.key }))
+                : [{ value: '', label: 'No date attributes yet' }]}
+              disabled={disabled}
+            />
+          </Field>
+          <div className="grid grid-cols-2 gap-3">
+            <Field label="Days offset" htmlFor="journey-offset" hint="Negative runs before the date.">
+              <Input
+                id="journey-offset"
+                type="number"
+                value={trigger.offset_days ?? 0}
+                onChange={(e) => update({ offset_days: e.target.value === '' ? '' : Number(e.target.value) })}
+                disabled={disabled}
+              />
+            </Field>
+            <Field label="Hour (tenant time)" htmlFor="journey-hour">
+              <Input
+                id="journey-hour"
+                type="number"
+                min="0"
+                max="23"
+                value={trigger.hour ?? 9}
+                onChange={(e) => update({ hour: e.target.value === '' ? '' : Number(e.target.value) })}
+                disabled={disabled}
+              />
+            </Field>
+          </div>
+          <label className="flex items-center gap-2 text-sm text-[var(--text)]">
+            <input
+              type="checkbox"
+              checked={Boolean(trigger.annual)}
+              onChange={(e) => update({ annual: e.target.checked })}
+              disabled={disabled}
+            />
+            Repeat every year (birthdays, renewals)
+          </label>
+        </>
+      )}
+    </div>
+  )
+}
+
+/**
+ * Edits the selected step; fields depend on the step type
+ */
+export function StepEditor({ step, steps, onChange, onRemove, tags, templates, disabled }) {
+  const update = (changes) => onChange({ ...step, ...changes })
+  const [payloadText, setPayloadText] = useState(step.payload ? JSON.stringify(step.payload, null, 2) : '')
+  const [payloadError, setPayloadError] = useState(null)
+
+  useEffect(() => {
+    setPayloadText(step.payload ? JSON.stringify(step.payload, null, 2) : '')
+    setPayloadError(null)
+  }, [step.id])
+
+  const changePayload = (text) => {
+    setPayloadText(text)
+    if (!text.trim()) {
+      setPayloadError(null)
+      update({ payload: null })
+      return
+    }
+    try {
+      const payload = JSON.parse(text)
+      if (!payload || typeof payload !== 'object' || Array.isArray(payload)) {
+        throw new Error('Payload must be a JSON object')
+      }
+      setPayloadError(null)
+      update({ payload })
+    } catch (err) {
+      setPayloadError(err.message)
+    }
+  }
+
+  const sendSteps = steps.filter(s => SEND_STEP_TYPES.includes(s.type))
+
+  let fields = null
+  switch (step.type) {
+    case 'send_template':
+      fields = (
+        <Field label="WhatsApp template" hint="Only approved templates can be sent outside the 24-hour window.">
+          <Select
+            value={step.template_id}
+            onChange={(templateId) => update({ template_id: templateId })}
+            options={[{ value: '', label: 'Choose a template' }, ...templates.map(template => ({
+              value: template.id,
+              label: `${template.name}${template.status ? ` (${template.status.toLowerCase()})` : ''}`
+            }))]}
+            disabled={disabled}
+          />
+        </Field>
+      )
+      break
+    case 'send_email':
+      fields = (
+        <>
+          <Field label="Subject" htmlFor="journey-email-subject">
+            <Input
+              id="journey-email-subject"
+              value={step.subject}
+              onChange={(e) => update({ subject: e.target.value })}
+              disabled={disabled}
+            />
+          </Field>
+          <Field label="HTML body" htmlFor="journey-email-html">
+            <textarea
+              id="journey-email-html"
+              rows="6"
+              value={step.htmlBody}
+              onChange={(e) => update({ htmlBody: e.target.value })}
+              className={textareaClassName}
+              disabled={disabled}
+            />
+          </Field>
+          <Field label="Plain text (optional)" htmlFor="journey-email-text">
+            <textarea
+              id="journey-email-text"
+              rows="3"
+              value={step.textBody}
+              onChange={(e) => update({ textBody: e.target.value })}
+              className={textareaClassName}
+              disabled={disabled}
+            />
+          </Field>
+        </>
+      )
+      break
+    case 'delay':
+      fields = (
+        <div className="grid grid-cols-2 gap-3">
+          <Field label="Wait" htmlFor="journey-delay-amount">
+            <Input
+              id="journey-delay-amount"
+              type="number"
+              min="1"
+              value={step.amount}
+              onChange={(e) => update({ amount: e.target.value === '' ? '' : Number(e.target.value) })}
+              disabled={disabled}
+            />
+          </Field>
+          <Field label="Unit">
+            <Select value={step.unit} onChange={(unit) => update({ unit })} options={DELAY_UNITS} disabled={disabled} />
+          </Field>
+        </div>
+      )
+      break
+    case 'condition':
+      fields = (
+        <>
+          <Field label="Message to check">
+            <Select
+              value={step.step_id || ''}
+              onChange={(stepId) => update({ step_id: stepId || null })}
+              options={[
+                { value: '', label: 'Latest message sent by this journey' },
+                ...sendSteps.map(s => ({ value: s.id, label: `${getStepLabel(s.type)}: ${describeStep(s, { tags, templates })}` }))
+              ]}
+              disabled={disabled}
+            />
+          </Field>
+          <Field label="Continue down “Yes” if the message" hint="Checked when the condition runs, so put a wait before it.">
+            <Select value={step.status} onChange={(status) => update({ status })} options={CONDITION_STATUSES} disabled={disabled} />
+          </Field>
+        </>
+      )
+      break
+    case 'add_tag':
+    case 'remove_tag':
+      fields = (
+        <Field label="Tag">
+          <Select value={step.tag_id} onChange={(tagId) => update({ tag_id: tagId })} options={tagOptions(tags)} disabled={disabled} />
+        </Field>
+      )
+      break
+    case 'webhook':
+      fields = (
+        <Field
+          label="Extra payload (JSON, optional)"
+          htmlFor="journey-webhook-payload"
+          hint="Sent with the contact and journey in a journey.webhook event to your webhook endpoints."
+        >
+          <textarea
+            id="journey-webhook-payload"
+            rows="5"
+            value={payloadText}
+            onChange={(e) => changePayload(e.target.value)}
+            placeholder='{ "source": "welcome" }'
+            className={`${textareaClassName} font-mono`}
+            disabled={disabled}
+          />
+          {payloadError && <p className="text-xs text-red-600">{payloadError}</p>}
+        </Field>
+      )
+      break
+    default:
+      break
+  }
+
+  return (
+    <div className="space-y-4" data-testid="journey-step-editor">
+      <p className="text-sm font-semibold text-[var(--text)]">{getStepLabel(step.type)}</p>
+      {fields}
+      {!disabled && (
+        <Button variant="ghost" size="sm" onClick={() => onRemove(step.id)} data-testid="journey-remove-step">
+          {step.type === 'condition' ? 'Remove step and its “No” branch' : 'Remove step'}
+        </Button>
+      )}
+    </div>
+  )
+}
@@ -3,13 +3,17 @@ import { Link, useLocation, useNavigate } from 'react-router-dom'
 import { useAuth } from '../../context/AuthContext'
 import { NavPills } from '../ui'
 import {
+  AdjustmentsHorizontalIcon,
   ArrowPathIcon,
+  ArrowPathRoundedSquareIcon,
   ArrowRightOnRectangleIcon,
   ArrowTrendingUpIcon,
   BuildingOffice2Icon,
+  ChatBubbleLeftRightIcon,
   ClipboardDocumentListIcon,
   Cog6ToothIcon,
   CreditCardIcon,
+  FunnelIcon,
   HomeIcon,
   IdentificationIcon,
   MegaphoneIcon,
@@ -23,7 +27,10 @@ import {
 const getTenantNavItems = (userRole) => {
   const items = [
     { label: 'Dashboard', to: '/dashboard', icon: HomeIcon },
+    { label: 'Inbox', to: '/inbox', icon: ChatBubbleLeftRightIcon },
     { label: 'Contacts', to: '/contacts', icon: UsersIcon },
+    { label: 'Segments', to: '/segments', icon: FunnelIcon },
+    { label: 'Journeys', to: '/journeys', icon: ArrowPathRoundedSquareIcon },
     { label: 'Campaigns', to: '/campaigns', icon: MegaphoneIcon }
   ]
 
@@ -72,7 +79,10 @@ export default function AppShell({ title, subtitle, actions, children }) {
   ];
   const tenantShortcuts = [
     { label: 'Tenant Dashboard', to: '/dashboard', icon: HomeIcon },
+    { label: 'Inbox', to: '/inbox', icon: ChatBubbleLeftRightIcon },
     { label: 'Contacts', to: '/contacts', icon: UsersIcon },
+    { label: 'Segments', to: '/segments', icon: FunnelIcon },
+    { label: 'Journeys', to: '/journeys', icon: ArrowPathRoundedSquareIcon },
     { label: 'Campaigns', to: '/campaigns', icon: MegaphoneIcon },
     ...(userRole && ['admin', 'owner'].includes(userRole) ? [{ label: 'Usage', to: '/usage', icon: ArrowTrendingUpIcon }] : []),
     { label: 'Templates', to: '/templates', icon: RectangleStackIcon },
@@ -200,6 +210,18 @@ export default function AppShell({ title, subtitle, actions, children }) {
                           Tags
                         </span>
                       </button>
+                      <button
+                        className="dropdown-item"
+                        onClick={() => {
+                          setSettingsMenuOpen(false)
+                          navigate('/settings?tab=fields')
+                        }}
+                      >
+                        <span className="inline-flex items-center gap-2">
+                          <AdjustmentsHorizontalIcon className="h-4 w-4 opacity-80" />
+                          Contact Fields
+                        </span>
+                      </button>
                       <button
                         className="dropdown-item"
                         onClick={() => {
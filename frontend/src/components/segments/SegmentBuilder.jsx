@@ -0,0 +1,297 @@
+import React from 'react'
+import { Button, Input } from '../ui'
+import {
+  ATTRIBUTE_OPERATORS,
+  CHANNEL_OPTIONS,
+  CONDITION_TYPES,
+  CREATED_AT_OPERATORS,
+  DAY_OPERATORS,
+  ENGAGEMENT_EVENTS,
+  ENGAGEMENT_OPERATORS,
+  MAX_GROUP_DEPTH,
+  VALUELESS_OPERATORS,
+  createCondition,
+  createGroup
+} from '../../utils/segments'
+
+const selectClassName = 'rounded-lg border border-[var(--border)] bg-[var(--card)] px-3 py-2 text-sm text-[var(--text)] h-10 focus-visible:outline-none focus-visible:ring-2 focus-visible:ring-primary-500'
+
+const Select = ({ value, onChange, options, disabled, ...props }) => (
+  <select
+    value={value ?? ''}
+    onChange={(e) => onChange(e.target.value)}
+    disabled={disabled}
+    className={selectClassName}
+    {...props}
+  >
+    {options.map(option => (
+      <option key={option.value} value={option.value}>{option.label}</option>
+    ))}
+  </select>
+)
+
+const ValueInput = ({ operator, value, onChange, disabled, placeholder }) => {
+  if (VALUELESS_OPERATORS.includes(operator)) return null
+
+  if (DAY_OPERATORS.includes(operator)) {
+    return (
+      <Input
+        type="number"
+        min="1"
+        value={value ?? ''}
+        onChange={(e) => onChange(e.target.value === '' ? '' : Number(e.target.value))}
+        disabled={disabled}
+        className="w-28"
+      />
+    )
+  }
+
+  if (['after', 'before'].includes(operator)) {
+    return (
+      <Input
+        type="date"
+        value={value ?? ''}
+        onChange={(e) => onChange(e.target.value)}
+        disabled={disabled}
+        className="w-44"
+      />
+    )
+  }
+
+  return (
+    <Input
+      type="text"
+      value={value ?? ''}
+      onChange={(e) => onChange(e.target.value)}
+      disabled={disabled}
+      placeholder={placeholder}
+      className="w-48"
+    />
+  )
+}
+
+/**
+ * One condition row; fields depend on the condition type
+ */
+function ConditionRow({ condition, onChange, onRemove, tags, disabled }) {
+  const update = (changes) => onChange({ ...condition, ...changes })
+
+  const changeType = (type) => onChange(createCondition(type, tags))
+
+  // Keep values sensible when switching between day, date and plain operators
+  const changeOperator = (operator) => {
+    const wasDays = DAY_OPERATORS.includes(condition.operator)
+    const isDays = DAY_OPERATORS.includes(operator)
+    const wasDate = ['after', 'before'].includes(condition.operator)
+    const isDate = ['after', 'before'].includes(operator)
+    const keepValue = wasDays === isDays && wasDate === isDate
+    update({ operator, value: keepValue ? condition.value : (isDays ? 30 : '') })
+  }
+
+  let fields = null
+  switch (condition.type) {
+    case 'tag':
+      fields = (
+        <>
+          <Select
+            value={condition.operator}
+            onChange={(operator) => update({ operator })}
+            options={[{ value: 'has', label: 'has tag' }, { value: 'not_has', label: 'does not have tag' }]}
+            disabled={disabled}
+          />
+          <Select
+            value={condition.value}
+            onChange={(value) => update({ value })}
+            options={tags.length > 0 ? tags.map(tag => ({ value: tag.id, label: tag.name })) : [{ value: '', label: 'No tags yet' }]}
+            disabled={disabled}
+          />
+        </>
+      )
+      break
+    case 'consent':
+      fields = (
+        <>
+          <Select
+            value={condition.channel}
+            onChange={(channel) => update({ channel })}
+            options={CHANNEL_OPTIONS}
+            disabled={disabled}
+          />
+          <Select
+            value={condition.value ? 'true' : 'false'}
+            onChange={(value) => update({ value: value === 'true' })}
+            options={[{ value: 'true', label: 'is opted in' }, { value: 'false', label: 'is not opted in' }]}
+            disabled={disabled}
+          />
+        </>
+      )
+      break
+    case 'created_at':
+      fields = (
+        <>
+          <Select value={condition.operator} onChange={changeOperator} options={CREATED_AT_OPERATORS} disabled={disabled} />
+          <ValueInput operator={condition.operator} value={condition.value} onChange={(value) => update({ value })} disabled={disabled} />
+        </>
+      )
+      break
+    case 'engagement':
+      fields = (
+        <>
+          <Select
+            value={condition.event}
+            onChange={(event) => update({ event })}
+            options={ENGAGEMENT_EVENTS}
+            disabled={disabled}
+          />
+          <Select
+            value={condition.channel || ''}
+            onChange={(channel) => update({ channel })}
+            options={[{ value: '', label: 'any channel' }, ...CHANNEL_OPTIONS]}
+            disabled={disabled}
+          />
+          <Select value={condition.operator} onChange={changeOperator} options={ENGAGEMENT_OPERATORS} disabled={disabled} />
+          <ValueInput operator={condition.operator} value={condition.value} onChange={(value) => update({ value })} disabled={disabled} />
+        </>
+      )
+      break
+    case 'attribute':
+      fields = (
+        <>
+          <Input
+            type="text"
+            list="segment-attribute-keys"
+            value={condition.key}
+            onChange={(e) => update({ key: e.target.value.trim() })}
+            placeholder="attribute, e.g. city"
+            disabled={disabled}
+            className="w-44"
+          />
+          <Select value={condition.operator} onChange={changeOperator} options={ATTRIBUTE_OPERATORS} disabled={disabled} />
+          <ValueInput
+            operator={condition.operator}
+            value={condition.value}
+            onChange={(value) => update({ value })}
+            disabled={disabled}
+            placeholder="value"
+          />
+        </>
+      )
+      break
+    default:
+      break
+  }
+
+  return (
+    <div className="flex flex-wrap items-center gap-2 rounded-lg border border-[var(--border)] bg-[var(--card)] p-3" data-testid="segment-condition">
+      <Select value={condition.type} onChange={changeType} options={CONDITION_TYPES} disabled={disabled} />
+      {fields}
+      {!disabled && (
+        <Button variant="ghost" size="sm" onClick={onRemove} aria-label="Remove condition" className="ml-auto">
+          ✕
+        </Button>
+      )}
+    </div>
+  )
+}
+
+/**
+ * Segment Builder
+ * Edits a nested group: { match: 'all' | 'any', negate, conditions: [condition | group] }
+ */
+export default function SegmentBuilder({ group, onChange, onRemove, tags = [], attributeKeys = [], depth = 1, disabled = false }) {
+  const conditions = group.conditions || []
+
+  const updateConditions = (next) => onChange({ ...group, conditions: next })
+  const updateAt = (index, value) => updateConditions(conditions.map((c, i) => (i === index ? value : c)))
+  const removeAt = (index) => updateConditions(conditions.filter((_, i) => i !== index))
+
+  return (
+    <div
+      className={`space-y-3 rounded-xl border p-4 ${group.negate ? 'border-red-300 bg-red-50/40 dark:bg-red-900/10' : 'border-[var(--border)]'}`}
+      data-testid="segment-group"
+    >
+      <div className="flex flex-wrap items-center gap-3 text-sm text-[var(--text)]">
+        <span>Contacts matching</span>
+        <Select
+          value={group.match}
+          onChange={(match) => onChange({ ...group, match })}
+          options={[{ value: 'all', label: 'all (AND)' }, { value: 'any', label: 'any (OR)' }]}
+          disabled={disabled}
+        />
+        <span>of these conditions</span>
+        <label className="flex items-center gap-2">
+          <input
+            type="checkbox"
+            checked={Boolean(group.negate)}
+            onChange={(e) => onChange({ ...group, negate: e.target.checked })}
+            disabled={disabled}
+            className="h-4 w-4 text-primary-600"
+          />
+          <span>Exclude (NOT)</span>
+        </label>
+        {onRemove && !disabled && (
+          <Button variant="ghost" size="sm" onClick={onRemove} className="ml-auto">
+            Remove group
+          </Button>
+        )}
+      </div>
+
+      {conditions.length === 0 && (
+        <p className="text-sm text-[var(--text-muted)]">
+          No conditions yet. An empty group matches every contact.
+        </p>
+      )}
+
+      {conditions.map((condition, index) => (
+        condition.type === 'group' ? (
+          <SegmentBuilder
+            key={index}
+            group={condition}
+            onChange={(value) => updateAt(index, value)}
+            onRemove={() => removeAt(index)}
+            tags={tags}
+            attributeKeys={attributeKeys}
+            depth={depth + 1}
+            disabled={disabled}
+          />
+        ) : (
+          <ConditionRow
+            key={index}
+            condition={condition}
+            onChange={(value) => updateAt(index, value)}
+            onRemove={() => removeAt(index)}
+            tags={tags}
+            disabled={disabled}
+          />
+        )
+      ))}
+
+      {depth === 1 && (
+        <datalist id="segment-attribute-keys">
+          {attributeKeys.map(key => <option key={key} value={key} />)}
+        </datalist>
+      )}
+
+      {!disabled && (
+        <div className="flex flex-wrap gap-2">
+          <Button
+            variant="secondary"
+            size="sm"
+            onClick={() => updateConditions([...conditions, createCondition('tag', tags)])}
+          >
+            + Condition
+          </Button>
+          {depth < MAX_GROUP_DEPTH && (
+            <Button
+              variant="secondary"
+              size="sm"
+              onClick={() => updateConditions([...conditions, createGroup()])}
+            >
+              + Group
+            </Button>
+          )}
+        </div>
+      )}
+    </div>
+  )
+}
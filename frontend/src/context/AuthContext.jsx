@@ -13,6 +13,8 @@ export const AuthProvider = ({ children }) => {
   const [mustSelectTenant, setMustSelectTenant] = useState(false);
   const [isSwitchingTenant, setIsSwitchingTenant] = useState(false);
   const [switchingTenantId, setSwitchingTenantId] = useState(null);
+  // A tenant or platform policy requires 2FA and the user hasn't enrolled yet
+  const [twoFactorSetupRequired, setTwoFactorSetupRequired] = useState(false);
 
   // Role state
   const [userRole, setUserRole] = useState(null); // Current tenant role (viewer, member, admin, owner)
@@ -59,6 +61,7 @@ export const AuthProvider = ({ children }) => {
         setMustSelectTenant(
           !!data.must_select_tenant || (!data.active_tenant_id && incomingTenants.length > 1)
         );
+        setTwoFactorSetupRequired(!!data.two_factor_setup_required);
       } else {
         setUser(null);
         setTenants([]);
@@ -66,6 +69,7 @@ export const AuthProvider = ({ children }) => {
         setUserRole(null);
         setPlatformRole('none');
         setMustSelectTenant(false);
+        setTwoFactorSetupRequired(false);
       }
     } catch (err) {
       // Silently handle auth check errors
@@ -75,6 +79,7 @@ export const AuthProvider = ({ children }) => {
       setUserRole(null);
       setPlatformRole('none');
       setMustSelectTenant(false);
+      setTwoFactorSetupRequired(false);
     } finally {
       setLoading(false);
     }
@@ -130,6 +135,34 @@ export const AuthProvider = ({ children }) => {
     }
   }, []);
 
+  // Store the user, tenants and roles from a completed login response
+  const applyLogin = useCallback((data) => {
+    setUser({
+      id: data.user_id,
+      email: data.email,
+      name: data.name || data.full_name
+    });
+    const incomingTenants = data.tenants || [];
+    setTenants(incomingTenants);
+    setActiveTenant(data.active_tenant_id);
+
+    // Extract role information
+    setPlatformRole(data.role_global || 'none');
+
+    // Find current tenant role
+    if (data.active_tenant_id && incomingTenants.length > 0) {
+      const currentTenant = incomingTenants.find(t => t.tenant_id === data.active_tenant_id);
+      setUserRole(currentTenant?.role || null);
+    } else {
+      setUserRole(null);
+    }
+
+    setMustSelectTenant(
+      !!data.must_select_tenant || (!data.active_tenant_id && incomingTenants.length > 1)
+    );
+    setTwoFactorSetupRequired(!!data.two_factor_setup_required);
+  }, []);
+
   // Log in
   const login = useCallback(async (email, password) => {
     try {
@@ -145,34 +178,22 @@ export const AuthProvider = ({ children }) => {
 
       const data = await response.json();
 
+      // The tenant requires its identity provider for this email
+      if (!response.ok && data.sso_required) {
+        setError(data.message);
+        return { success: false, error: data.message, ssoLoginUrl: data.sso_login_url };
+      }
+
       if (!response.ok) {
         throw new Error(data.message || 'Login failed');
       }
 
-      setUser({
-        id: data.user_id,
-        email: data.email,
-        name: data.name || data.full_name
-      });
-      const incomingTenants = data.tenants || [];
-      setTenants(incomingTenants);
-      setActiveTenant(data.active_tenant_id);
-
-      // Extract role information
-      setPlatformRole(data.role_global || 'none');
-
-      // Find current tenant role
-      if (data.active_tenant_id && incomingTenants.length > 0) {
-        const currentTenant = incomingTenants.find(t => t.tenant_id === data.active_tenant_id);
-        setUserRole(currentTenant?.role || null);
-      } else {
-        setUserRole(null);
+      // Password was right; the session starts after the second factor (verifyTwoFactor)
+      if (data.two_factor_required) {
+        return { success: true, twoFactorRequired: true, data };
       }
 
-      setMustSelectTenant(
-        !!data.must_select_tenant || (!data.active_tenant_id && incomingTenants.length > 1)
-      );
-
+      applyLogin(data);
       return { success: true, data };
     } catch (err) {
       setError(err.message);
@@ -180,7 +201,32 @@ export const AuthProvider = ({ children }) => {
     } finally {
       setLoading(false);
     }
-  }, []);
+  }, [applyLogin]);
+
+  // Second login step: authenticator code or recovery code
+  const verifyTwoFactor = useCallback(async (code) => {
+    try {
+      setError(null);
+
+      const response = await fetch('/api/auth/login/2fa', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        credentials: 'include',
+        body: JSON.stringify({ code })
+      });
+
+      const data = await response.json();
+
+      if (!response.ok) {
+        throw new Error(data.message || 'Verification failed');
+      }
+
+      applyLogin(data);
+      return { success: true, data };
+    } catch (err) {
+      return { success: false, error: err.message };
+    }
+  }, [applyLogin]);
 
   // Log out
   const logout = useCallback(async () => {
@@ -199,6 +245,7 @@ export const AuthProvider = ({ children }) => {
       setPlatformRole('none');
       setError(null);
       setMustSelectTenant(false);
+      setTwoFactorSetupRequired(false);
       setIsSwitchingTenant(false);
       setSwitchingTenantId(null);
 
@@ -303,13 +350,16 @@ export const AuthProvider = ({ children }) => {
     loading,
     error,
     mustSelectTenant,
+    twoFactorSetupRequired,
     isSwitchingTenant,
     switchingTenantId,
 
     // Auth methods
     signup,
     login,
+    verifyTwoFactor,
     logout,
+    refreshAuth: checkAuth,
     switchTenant,
 
     // Role helper methods
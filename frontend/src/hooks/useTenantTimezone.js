@@ -0,0 +1,46 @@
+/**
+ * useTenantTimezone - Loads the active tenant's IANA timezone
+ *
+ * Scheduled sends are interpreted in the tenant timezone, so pickers and
+ * displays should use this rather than the browser's local zone.
+ *
+ * Usage:
+ * const { timezone, loading } = useTenantTimezone()
+ */
+
+import { useEffect, useState } from 'react'
+
+const DEFAULT_TIMEZONE = 'UTC'
+
+export const useTenantTimezone = () => {
+  const [timezone, setTimezone] = useState(DEFAULT_TIMEZONE)
+  const [loading, setLoading] = useState(true)
+
+  useEffect(() => {
+    let cancelled = false
+
+    const loadTimezone = async () => {
+      try {
+        const res = await fetch('/api/tenant/profile', { credentials: 'include' })
+        if (!res.ok) return
+        const data = await res.json()
+        if (!cancelled && data.tenant?.timezone) {
+          setTimezone(data.tenant.timezone)
+        }
+      } catch (err) {
+        console.error('Failed to load tenant timezone:', err)
+      } finally {
+        if (!cancelled) setLoading(false)
+      }
+    }
+
+    loadTimezone()
+    return () => {
+      cancelled = true
+    }
+  }, [])
+
+  return { timezone, loading }
+}
+
+export default useTenantTimezone
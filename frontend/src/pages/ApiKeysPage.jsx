@@ -0,0 +1,336 @@
+import React, { useEffect, useState } from 'react'
+import AppShell from '../components/layout/AppShell'
+import {
+  Button,
+  Input,
+  Label,
+  Card,
+  CardHeader,
+  CardTitle,
+  CardDescription,
+  CardContent,
+  Badge,
+  Alert,
+  Dialog,
+  LoadingState,
+  toast
+} from '../components/ui'
+
+const SCOPE_DESCRIPTIONS = {
+  'contacts:read': 'List and view contacts',
+  'contacts:write': 'Create, update, import and delete contacts',
+  'campaigns:read': 'List campaigns and view metrics',
+  'campaigns:write': 'Create, edit and delete campaigns',
+  'campaigns:send': 'Send, schedule, pause, resume, cancel and resend campaigns',
+  'segments:read': 'List segments and preview audiences',
+  'segments:write': 'Create, edit and delete segments',
+  'templates:read': 'List WhatsApp templates',
+  'messages:read': 'View the status of transactional messages',
+  'messages:send': 'Send transactional messages to a single contact'
+}
+
+const emptyForm = () => ({ name: '', scopes: [] })
+
+const formatDate = (value) => (value ? new Date(value).toLocaleString() : '—')
+
+/**
+ * API Keys Page
+ * Tenant API keys for the public REST API (admins only)
+ */
+export default function ApiKeysPage({ embedded = false } = {}) {
+  const [keys, setKeys] = useState([])
+  const [scopes, setScopes] = useState([])
+  const [usage, setUsage] = useState(null)
+  const [loading, setLoading] = useState(true)
+  const [error, setError] = useState(null)
+
+  const [form, setForm] = useState(emptyForm())
+  const [saving, setSaving] = useState(false)
+  const [formError, setFormError] = useState(null)
+
+  // { name, secret } of a key that was just created or rotated; secrets are only shown once
+  const [revealed, setRevealed] = useState(null)
+
+  const [confirm, setConfirm] = useState(null)
+  const [working, setWorking] = useState(false)
+
+  useEffect(() => {
+    fetchKeys()
+  }, [])
+
+  const fetchKeys = async () => {
+    try {
+      setLoading(true)
+      setError(null)
+      const res = await fetch('/api/settings/api-keys', { credentials: 'include' })
+      const data = await res.json()
+      if (!res.ok) {
+        throw new Error(data.message || 'Failed to load API keys')
+      }
+      setKeys(data.data || [])
+      setScopes(data.scopes || [])
+      setUsage(data.usage || null)
+    } catch (err) {
+      setError(err.message)
+    } finally {
+      setLoading(false)
+    }
+  }
+
+  const toggleScope = (scope) => {
+    setForm(prev => ({
+      ...prev,
+      scopes: prev.scopes.includes(scope) ? prev.scopes.filter(s => s !== scope) : [...prev.scopes, scope]
+    }))
+  }
+
+  const handleCreate = async (e) => {
+    e.preventDefault()
+    if (!form.name.trim()) {
+      setFormError('Name is required.')
+      return
+    }
+    if (form.scopes.length === 0) {
+      setFormError('Select at least one scope.')
+      return
+    }
+
+    try {
+      setSaving(true)
+      setFormError(null)
+      const res = await fetch('/api/settings/api-keys', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        credentials: 'include',
+        body: JSON.stringify({ name: form.name.trim(), scopes: form.scopes })
+      })
+      const data = await res.json()
+      if (!res.ok) {
+        throw new Error(data.message || 'Failed to create API key')
+      }
+      setRevealed({ name: data.data.name, secret: data.data.secret })
+      setForm(emptyForm())
+      await fetchKeys()
+    } catch (err) {
+      setFormError(err.message)
+    } finally {
+      setSaving(false)
+    }
+  }
+
+  const handleConfirm = async () => {
+    if (!confirm) return
+    const { action, key } = confirm
+    try {
+      setWorking(true)
+      const res = await fetch(
+        action === 'rotate' ? `/api/settings/api-keys/${key.id}/rotate` : `/api/settings/api-keys/${key.id}`,
+        { method: action === 'rotate' ? 'POST' : 'DELETE', credentials: 'include' }
+      )
+      const data = await res.json()
+      if (!res.ok) {
+        throw new Error(data.message || `Failed to ${action} API key`)
+      }
+      if (action === 'rotate') {
+        setRevealed({ name: data.data.name, secret: data.data.secret })
+      } else {
+        toast({ title: 'API key revoked', description: `"${key.name}" can no longer be used.`, variant: 'success' })
+      }
+      await fetchKeys()
+    } catch (err) {
+      setError(err.message)
+    } finally {
+      setConfirm(null)
+      setWorking(false)
+    }
+  }
+
+  const copySecret = async () => {
+    try {
+      await navigator.clipboard.writeText(revealed.secret)
+      toast({ title: 'Copied', description: 'API key copied to clipboard.', variant: 'success' })
+    } catch {
+      toast({ title: 'Copy failed', description: 'Select the key and copy it manually.', variant: 'error' })
+    }
+  }
+
+  const content = (
+    <div className="space-y-6">
+      {usage && !usage.enabled && (
+        <Alert type="warning" title="API access not included">
+          Your plan does not include API access. Keys can be created, but requests are rejected until you upgrade.
+        </Alert>
+      )}
+
+      {revealed && (
+        <Alert type="success" title={`Copy your key for "${revealed.name}"`}>
+          <p className="mb-3">This is the only time the full key is shown. Store it somewhere safe.</p>
+          <div className="flex flex-col gap-2 md:flex-row md:items-center">
+            <code className="flex-1 break-all rounded-lg border border-[var(--border)] bg-[var(--card)] px-3 py-2 font-mono text-sm text-[var(--text)]" data-testid="api-key-secret">
+              {revealed.secret}
+            </code>
+            <div className="flex gap-2">
+              <Button size="sm" variant="secondary" onClick={copySecret}>Copy</Button>
+              <Button size="sm" variant="ghost" onClick={() => setRevealed(null)}>Done</Button>
+            </div>
+          </div>
+        </Alert>
+      )}
+
+      <Card>
+        <CardHeader>
+          <CardTitle className="text-xl">New API Key</CardTitle>
+          <CardDescription>
+            Send <code className="font-mono">Authorization: Bearer &lt;key&gt;</code> with requests to the REST API.
+            Keys act with your access in this workspace, limited to the scopes you pick.
+          </CardDescription>
+        </CardHeader>
+        <CardContent>
+          <form onSubmit={handleCreate} className="space-y-4">
+            <div className="space-y-2 max-w-md">
+              <Label htmlFor="api-key-name">Name</Label>
+              <Input
+                id="api-key-name"
+                value={form.name}
+                onChange={(e) => setForm(prev => ({ ...prev, name: e.target.value }))}
+                placeholder="e.g., CRM sync"
+                disabled={saving}
+              />
+            </div>
+
+            <div className="space-y-2">
+              <Label>Scopes</Label>
+              <div className="grid grid-cols-1 md:grid-cols-2 gap-2">
+                {scopes.map(scope => (
+                  <label key={scope} className="flex items-start gap-3 rounded-lg border border-[var(--border)] p-3 text-[var(--text)]">
+                    <input
+                      type="checkbox"
+                      checked={form.scopes.includes(scope)}
+                      onChange={() => toggleScope(scope)}
+                      className="mt-1 h-4 w-4"
+                      disabled={saving}
+                    />
+                    <span>
+                      <span className="block font-mono text-sm">{scope}</span>
+                      <span className="block text-xs text-[var(--text-muted)]">{SCOPE_DESCRIPTIONS[scope]}</span>
+                    </span>
+                  </label>
+                ))}
+              </div>
+            </div>
+
+            {formError && (
+              <Alert type="error" title="Could not create key">
+                {formError}
+              </Alert>
+            )}
+
+            <div className="flex justify-end">
+              <Button type="submit" disabled={saving}>
+                {saving ? 'Creating...' : 'Create Key'}
+              </Button>
+            </div>
+          </form>
+        </CardContent>
+      </Card>
+
+      {error && (
+        <Alert type="error" title="Error">
+          {error}
+        </Alert>
+      )}
+
+      {usage?.enabled && (
+        <p className="text-sm text-[var(--text-muted)]" data-testid="api-usage">
+          {usage.used.toLocaleString()} of {usage.limit.toLocaleString()} API requests used this month
+        </p>
+      )}
+
+      {loading ? (
+        <LoadingState message="Loading API keys..." />
+      ) : keys.length === 0 ? (
+        <Card className="p-12 text-center" data-testid="empty-api-keys">
+          <p className="text-[var(--text-muted)]">No API keys yet.</p>
+        </Card>
+      ) : (
+        <Card className="overflow-hidden">
+          <table className="min-w-full divide-y divide-[var(--border)]" data-testid="api-keys-table">
+            <thead className="bg-black/5">
+              <tr>
+                <th className="px-6 py-3 text-left text-xs font-medium text-[var(--text-muted)] uppercase tracking-wider">Name</th>
+                <th className="px-6 py-3 text-left text-xs font-medium text-[var(--text-muted)] uppercase tracking-wider">Key</th>
+                <th className="px-6 py-3 text-left text-xs font-medium text-[var(--text-muted)] uppercase tracking-wider">Scopes</th>
+                <th className="px-6 py-3 text-left text-xs font-medium text-[var(--text-muted)] uppercase tracking-wider">Last Used</th>
+                <th className="px-6 py-3 text-left text-xs font-medium text-[var(--text-muted)] uppercase tracking-wider">Actions</th>
+              </tr>
+            </thead>
+            <tbody className="divide-y divide-[var(--border)]">
+              {keys.map(key => (
+                <tr key={key.id} className={`hover:bg-black/3 transition ${key.revoked_at ? 'opacity-60' : ''}`}>
+                  <td className="px-6 py-4 text-[var(--text)]">
+                    <p className="font-medium">{key.name}</p>
+                    <p className="text-xs text-[var(--text-muted)]">
+                      Created {formatDate(key.created_at)}{key.created_by_name ? ` by ${key.created_by_name}` : ''}
+                    </p>
+                  </td>
+                  <td className="px-6 py-4 whitespace-nowrap font-mono text-sm text-[var(--text-muted)]">{key.key_prefix}…</td>
+                  <td className="px-6 py-4">
+                    <div className="flex flex-wrap gap-1">
+                      {key.scopes.map(scope => (
+                        <Badge key={scope} variant="neutral">{scope}</Badge>
+                      ))}
+                    </div>
+                  </td>
+                  <td className="px-6 py-4 whitespace-nowrap text-sm text-[var(--text-muted)]">{formatDate(key.last_used_at)}</td>
+                  <td className="px-6 py-4 whitespace-nowrap">
+                    {key.revoked_at ? (
+                      <Badge variant="danger">Revoked</Badge>
+                    ) : (
+                      <div className="flex gap-2">
+                        <Button size="sm" variant="secondary" onClick={() => setConfirm({ action: 'rotate', key })}>
+                          Rotate
+                        </Button>
+                        <Button size="sm" variant="ghost" onClick={() => setConfirm({ action: 'revoke', key })}>
+                          Revoke
+                        </Button>
+                      </div>
+                    )}
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </Card>
+      )}
+
+      <Dialog
+        open={Boolean(confirm)}
+        onClose={() => setConfirm(null)}
+        title={confirm?.action === 'rotate' ? 'Rotate API key' : 'Revoke API key'}
+        description={confirm
+          ? confirm.action === 'rotate'
+            ? `Issue a new key for "${confirm.key.name}"? The current key stops working immediately.`
+            : `Revoke "${confirm.key.name}"? Integrations using it will stop working.`
+          : ''}
+        footer={(
+          <>
+            <Button variant="secondary" onClick={() => setConfirm(null)} disabled={working}>
+              Cancel
+            </Button>
+            <Button variant={confirm?.action === 'rotate' ? 'primary' : 'danger'} onClick={handleConfirm} disabled={working}>
+              {working ? 'Working...' : confirm?.action === 'rotate' ? 'Rotate' : 'Revoke'}
+            </Button>
+          </>
+        )}
+      />
+    </div>
+  )
+
+  if (embedded) return content
+
+  return (
+    <AppShell title="API Keys" subtitle="Keys for the EngageNinja REST API">
+      {content}
+    </AppShell>
+  )
+}
@@ -1,7 +1,11 @@
 import React, { useState, useEffect, useMemo } from 'react'
-import { useParams, useNavigate } from 'react-router-dom'
+import { Link, useParams, useNavigate } from 'react-router-dom'
 import { useAuth } from '../context/AuthContext'
 import { useCampaignSSE } from '../hooks/useCampaignSSE'
+import { useTenantTimezone } from '../hooks/useTenantTimezone'
+import { formatInTimeZone, toTimeZoneInputValue, nextHourInTimeZone } from '../utils/timezone'
+import { describeExclusions } from '../utils/audience'
+import { formatWaitMinutes } from '../utils/abTesting'
 import AppShell from '../components/layout/AppShell'
 import {
   Button,
@@ -13,8 +17,16 @@ import {
   Alert,
   Badge,
   Dialog,
+  Input,
+  Label,
   LoadingState,
-  ErrorState
+  ErrorState,
+  Table,
+  TableHeader,
+  TableBody,
+  TableRow,
+  TableHead,
+  TableCell
 } from '../components/ui'
 
 export default function CampaignDetailPage() {
@@ -29,6 +41,7 @@ export default function CampaignDetailPage() {
   const [metrics, setMetrics] = useState(null)
   const [detailedMetrics, setDetailedMetrics] = useState(null)
   const [showConfirm, setShowConfirm] = useState(false)
+  const [sendAudience, setSendAudience] = useState(null)
   const [showResendConfirm, setShowResendConfirm] = useState(false)
   const [resendError, setResendError] = useState(null)
   const [resendSuccess, setResendSuccess] = useState(null)
@@ -38,8 +51,22 @@ export default function CampaignDetailPage() {
   const [retryingFailed, setRetryingFailed] = useState(false)
   const [retryMessage, setRetryMessage] = useState(null)
   const [retryWarning, setRetryWarning] = useState(null)
+  const [showScheduleDialog, setShowScheduleDialog] = useState(false)
+  const [scheduleInput, setScheduleInput] = useState('')
+  const [scheduling, setScheduling] = useState(false)
+  const [scheduleError, setScheduleError] = useState(null)
+  const [scheduleMessage, setScheduleMessage] = useState(null)
+  const [sendControl, setSendControl] = useState(null)
+  const [sendControlMessage, setSendControlMessage] = useState(null)
+  const [showCancelConfirm, setShowCancelConfirm] = useState(false)
+  const { timezone } = useTenantTimezone()
+  const isPreSend = campaign?.status === 'draft' || campaign?.status === 'scheduled'
   const resendMetrics = detailedMetrics?.resend_metrics
   const uplift = detailedMetrics?.uplift
+  const abTest = detailedMetrics?.ab_test || campaign?.ab_test
+  const variantMetrics = detailedMetrics?.variants
+  const engagement = detailedMetrics?.engagement
+  const linkClicks = detailedMetrics?.links || []
   const totalMetric = metrics?.total ?? metrics?.total_sent ?? 0
   const queuedMetric = metrics?.queued ?? metrics?.queued_count ?? 0
   const processingMetric = metrics?.processing ?? metrics?.processing_count ?? 0
@@ -47,6 +74,7 @@ export default function CampaignDetailPage() {
   const deliveredMetric = metrics?.delivered ?? metrics?.delivered_count ?? 0
   const readMetric = metrics?.read ?? metrics?.read_count ?? 0
   const failedMetric = metrics?.failed ?? metrics?.failed_count ?? 0
+  const cancelledMetric = metrics?.cancelled ?? metrics?.cancelled_count ?? 0
   const originalReadRate = useMemo(() => parseFloat(resendMetrics?.original_read_rate ?? 0), [resendMetrics])
   const resendReadRate = useMemo(() => parseFloat(resendMetrics?.resend_read_rate ?? 0), [resendMetrics])
   const showWebhookWait = useMemo(() => {
@@ -62,7 +90,7 @@ export default function CampaignDetailPage() {
     isConnected: sseConnected,
     isFallback: usePolling,
     error: sseError
-  } = useCampaignSSE(id, campaign && campaign.status !== 'draft')
+  } = useCampaignSSE(id, campaign && !isPreSend)
 
   // Fetch campaign details
   useEffect(() => {
@@ -75,7 +103,14 @@ export default function CampaignDetailPage() {
       setMetrics(sseMetrics.metrics)
       setDetailedMetrics(sseMetrics)
       if (sseMetrics.campaign?.status) {
-        setCampaign(prev => prev ? { ...prev, status: sseMetrics.campaign.status } : prev)
+        setCampaign(prev => prev
+          ? {
+              ...prev,
+              status: sseMetrics.campaign.status,
+              paused_at: sseMetrics.campaign.paused_at ?? prev.paused_at,
+              cancelled_at: sseMetrics.campaign.cancelled_at ?? prev.cancelled_at
+            }
+          : prev)
       }
       if (sseMetrics.metrics?.last_error) {
         setLastError(sseMetrics.metrics.last_error)
@@ -98,7 +133,7 @@ export default function CampaignDetailPage() {
       setError(null)
 
       // Fetch detailed metrics if campaign is sent or sending
-      if (data.data.status !== 'draft') {
+      if (data.data.status !== 'draft' && data.data.status !== 'scheduled') {
         fetchDetailedMetrics()
       }
     } catch (err) {
@@ -126,6 +161,23 @@ export default function CampaignDetailPage() {
     }
   }
 
+  // Show who a send would reach right now before confirming
+  const openSendConfirm = async () => {
+    setSendAudience(null)
+    setShowConfirm(true)
+    try {
+      const response = await fetch(`/api/campaigns/${id}/audience`, {
+        credentials: 'include'
+      })
+      if (response.ok) {
+        const data = await response.json()
+        setSendAudience(data.data)
+      }
+    } catch (err) {
+      console.error('Error loading campaign audience:', err)
+    }
+  }
+
   const handleSendCampaign = async () => {
     setSending(true)
     try {
@@ -194,9 +246,104 @@ export default function CampaignDetailPage() {
     }
   }
 
+  const openScheduleDialog = () => {
+    setScheduleError(null)
+    setScheduleInput(campaign?.scheduled_at
+      ? toTimeZoneInputValue(campaign.scheduled_at, timezone)
+      : nextHourInTimeZone(timezone))
+    setShowScheduleDialog(true)
+  }
+
+  const handleSaveSchedule = async () => {
+    if (!scheduleInput) {
+      setScheduleError('Pick a date and time')
+      return
+    }
+    setScheduling(true)
+    setScheduleError(null)
+    try {
+      const isReschedule = campaign.status === 'scheduled'
+      const response = await fetch(`/api/campaigns/${id}/schedule`, {
+        method: isReschedule ? 'PATCH' : 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        credentials: 'include',
+        body: JSON.stringify({ scheduled_at: scheduleInput })
+      })
+      const data = await response.json()
+      if (!response.ok) {
+        throw new Error(data.message || 'Failed to schedule campaign')
+      }
+      setCampaign(prev => ({
+        ...prev,
+        status: 'scheduled',
+        scheduled_at: data.data.scheduled_at,
+        schedule_error: null
+      }))
+      setScheduleMessage(`Scheduled for ${formatInTimeZone(data.data.scheduled_at, timezone)} (${timezone})`)
+      setShowScheduleDialog(false)
+    } catch (err) {
+      console.error('Schedule campaign error:', err)
+      setScheduleError(err.message)
+    } finally {
+      setScheduling(false)
+    }
+  }
+
+  const handleCancelSchedule = async () => {
+    setScheduling(true)
+    setScheduleMessage(null)
+    try {
+      const response = await fetch(`/api/campaigns/${id}/schedule`, {
+        method: 'DELETE',
+        credentials: 'include'
+      })
+      const data = await response.json()
+      if (!response.ok) {
+        throw new Error(data.message || 'Failed to cancel scheduled send')
+      }
+      setCampaign(prev => ({ ...prev, status: 'draft', scheduled_at: null }))
+      setScheduleMessage('Scheduled send cancelled. The campaign is back in draft.')
+    } catch (err) {
+      console.error('Cancel schedule error:', err)
+      setError(err.message)
+    } finally {
+      setScheduling(false)
+    }
+  }
+
+  // action: 'pause' | 'resume' | 'cancel'
+  const handleSendControl = async (action) => {
+    setSendControl(action)
+    setSendControlMessage(null)
+    setError(null)
+    try {
+      const response = await fetch(`/api/campaigns/${id}/${action}`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        credentials: 'include'
+      })
+      const data = await response.json()
+      if (!response.ok) {
+        throw new Error(data.message || `Failed to ${action} campaign`)
+      }
+      setCampaign(prev => ({ ...prev, ...data.data }))
+      setSendControlMessage(data.message)
+      setShowCancelConfirm(false)
+      await fetchDetailedMetrics()
+    } catch (err) {
+      console.error(`Campaign ${action} error:`, err)
+      setError(err.message)
+      setShowCancelConfirm(false)
+    } finally {
+      setSendControl(null)
+    }
+  }
+
   const statusVariant = (status) => {
     if (status === 'sent') return 'success'
-    if (status === 'sending') return 'primary'
+    if (status === 'sending' || status === 'scheduled') return 'primary'
+    if (status === 'paused') return 'warning'
+    if (status === 'cancelled') return 'danger'
     if (status === 'archived') return 'outline'
     return 'neutral'
   }
@@ -244,7 +391,10 @@ export default function CampaignDetailPage() {
         }
         throw new Error(data.message || 'Failed to retry failed messages')
       }
-      setRetryMessage(data.message || 'Queued failed messages for retry')
+      const skipped = data.data?.skipped_count
+        ? ` Skipped ${data.data.skipped_count}: ${describeExclusions(data.data.audience).join(', ')}.`
+        : ''
+      setRetryMessage(`${data.message || 'Queued failed messages for retry'}.${skipped}`)
       await fetchDetailedMetrics()
     } catch (err) {
       console.error('Retry failed messages error:', err)
@@ -322,6 +472,31 @@ export default function CampaignDetailPage() {
           {duplicateError}
         </Alert>
       )}
+      {scheduleMessage && (
+        <Alert variant="success" className="mb-4">
+          {scheduleMessage}
+        </Alert>
+      )}
+      {sendControlMessage && (
+        <Alert variant="success" className="mb-4">
+          {sendControlMessage}
+        </Alert>
+      )}
+      {campaign.status === 'paused' && (
+        <Alert variant="warning" className="mb-4">
+          <div className="font-semibold">Sending paused</div>
+          <p className="text-sm">
+            {campaign.paused_at ? `Paused ${new Date(campaign.paused_at).toLocaleString()}. ` : ''}
+            Queued messages are on hold until you resume or cancel the campaign.
+          </p>
+        </Alert>
+      )}
+      {campaign.status === 'draft' && campaign.schedule_error && (
+        <Alert variant="warning" className="mb-4">
+          <div className="font-semibold">Scheduled send did not go out</div>
+          <p className="text-sm">{campaign.schedule_error}</p>
+        </Alert>
+      )}
 
       <div className="grid grid-cols-1 md:grid-cols-2 gap-6 mb-6">
         <Card>
@@ -331,7 +506,7 @@ export default function CampaignDetailPage() {
           <CardContent className="space-y-3">
             <div className="text-sm text-[var(--text-muted)]">
               <div className="font-semibold text-[var(--text)]">Channel</div>
-              <div className="capitalize">{campaign.channel}</div>
+              <div className={campaign.channel === 'sms' ? 'uppercase' : 'capitalize'}>{campaign.channel}</div>
             </div>
             {campaign.template_id && (
               <div className="text-sm text-[var(--text-muted)]">
@@ -343,12 +518,24 @@ export default function CampaignDetailPage() {
               <div className="font-semibold text-[var(--text)]">Created</div>
               <div>{new Date(campaign.created_at).toLocaleDateString()}</div>
             </div>
+            {campaign.status === 'scheduled' && campaign.scheduled_at && (
+              <div className="text-sm text-[var(--text-muted)]">
+                <div className="font-semibold text-[var(--text)]">Scheduled for</div>
+                <div>{formatInTimeZone(campaign.scheduled_at, timezone)} ({timezone})</div>
+              </div>
+            )}
             {campaign.sent_at && (
               <div className="text-sm text-[var(--text-muted)]">
                 <div className="font-semibold text-[var(--text)]">Sent</div>
                 <div>{new Date(campaign.sent_at).toLocaleDateString()}</div>
               </div>
             )}
+            {campaign.status === 'cancelled' && campaign.cancelled_at && (
+              <div className="text-sm text-[var(--text-muted)]">
+                <div className="font-semibold text-[var(--text)]">Cancelled</div>
+                <div>{new Date(campaign.cancelled_at).toLocaleString()}</div>
+              </div>
+            )}
           </CardContent>
         </Card>
 
@@ -370,11 +557,21 @@ export default function CampaignDetailPage() {
               <Metric label="Processing" value={processingMetric} accent="text-blue-600" />
               <Metric label="Sent" value={sentMetric} accent="text-green-600" />
               <Metric label="Delivered" value={deliveredMetric} accent="text-purple-600" />
-              <Metric label="Read" value={readMetric} accent="text-orange-600" />
+              <Metric label={campaign.channel === 'email' ? 'Opened' : 'Read'} value={readMetric} accent="text-orange-600" />
               <Metric label="Failed" value={failedMetric} accent="text-red-600" />
+              {cancelledMetric > 0 && (
+                <Metric label="Cancelled" value={cancelledMetric} />
+              )}
               {detailedMetrics?.metrics?.read_rate !== undefined && (
                 <Metric label="Read Rate" value={`${detailedMetrics.metrics.read_rate.toFixed(1)}%`} accent="text-indigo-600" />
               )}
+              {engagement && (
+                <>
+                  <Metric label="Open Rate" value={`${engagement.open_rate.toFixed(1)}%`} accent="text-orange-600" />
+                  <Metric label="Click Rate" value={`${engagement.click_rate.toFixed(1)}%`} accent="text-teal-600" />
+                  <Metric label="Clicks" value={engagement.total_clicks} accent="text-teal-600" />
+                </>
+              )}
             </div>
             {sseError && (
               <p className="text-xs text-red-500 mt-3">
@@ -386,6 +583,9 @@ export default function CampaignDetailPage() {
                 <Alert variant="error">
                   <div className="font-semibold">Delivery issues</div>
                   <p className="text-sm">Latest provider error: {lastError}</p>
+                  {detailedMetrics?.metrics?.next_retry_at && (
+                    <p className="text-sm">Next retry: {new Date(detailedMetrics.metrics.next_retry_at).toLocaleString()}</p>
+                  )}
                 </Alert>
               </div>
             )}
@@ -432,6 +632,97 @@ export default function CampaignDetailPage() {
         </Card>
       </div>
 
+      {abTest && (
+        <Card className="mb-6">
+          <CardHeader>
+            <CardTitle>A/B Test</CardTitle>
+            <CardDescription>
+              {abTest.variants.length} variants sent to {abTest.test_percentage}% of the audience; the best read rate is sent to everyone else after {formatWaitMinutes(abTest.wait_minutes)}
+            </CardDescription>
+          </CardHeader>
+          <CardContent className="space-y-4">
+            {abTest.status === 'testing' && abTest.winner_due_at && (
+              <Alert variant="info">
+                Testing. The winner will be picked {formatInTimeZone(abTest.winner_due_at, timezone)} ({timezone}).
+              </Alert>
+            )}
+            {abTest.status === 'completed' && abTest.winner_selected_at && (
+              <p className="text-sm text-[var(--text-muted)]">
+                Variant {abTest.variants.find(v => v.id === abTest.winner_variant_id)?.label || '-'} won on {formatInTimeZone(abTest.winner_selected_at, timezone)}. Metrics below cover the test group only.
+              </p>
+            )}
+            <Table>
+              <TableHeader>
+                <TableRow>
+                  <TableHead>Variant</TableHead>
+                  <TableHead>Recipients</TableHead>
+                  <TableHead>Delivered</TableHead>
+                  <TableHead>{campaign.channel === 'email' ? 'Opened' : 'Read'}</TableHead>
+                  <TableHead>Failed</TableHead>
+                  <TableHead>{campaign.channel === 'email' ? 'Open rate' : 'Read rate'}</TableHead>
+                </TableRow>
+              </TableHeader>
+              <TableBody>
+                {(variantMetrics || abTest.variants).map(variant => (
+                  <TableRow key={variant.id}>
+                    <TableCell className="font-semibold">
+                      {variant.label}{' '}
+                      {variant.is_winner && <Badge variant="success">Winner</Badge>}
+                    </TableCell>
+                    <TableCell>{variant.total ?? '-'}</TableCell>
+                    <TableCell>{variant.delivered ?? '-'}</TableCell>
+                    <TableCell>{variant.read ?? '-'}</TableCell>
+                    <TableCell>{variant.failed ?? '-'}</TableCell>
+                    <TableCell>{variant.read_rate !== undefined ? `${variant.read_rate.toFixed(1)}%` : '-'}</TableCell>
+                  </TableRow>
+                ))}
+              </TableBody>
+            </Table>
+          </CardContent>
+        </Card>
+      )}
+
+      {engagement && (
+        <Card className="mb-6">
+          <CardHeader>
+            <CardTitle>Link Clicks</CardTitle>
+            <CardDescription>
+              {engagement.clicked} of {engagement.sent} recipients clicked a link ({engagement.click_to_open_rate.toFixed(1)}% of those who opened)
+            </CardDescription>
+          </CardHeader>
+          <CardContent>
+            {linkClicks.length === 0 ? (
+              <p className="text-sm text-[var(--text-muted)]">No link clicks yet.</p>
+            ) : (
+              <Table data-testid="link-clicks-table">
+                <TableHeader>
+                  <TableRow>
+                    <TableHead>Link</TableHead>
+                    <TableHead>Clicks</TableHead>
+                    <TableHead>Unique clicks</TableHead>
+                    <TableHead>Last click</TableHead>
+                  </TableRow>
+                </TableHeader>
+                <TableBody>
+                  {linkClicks.map(link => (
+                    <TableRow key={link.url}>
+                      <TableCell className="max-w-md truncate">
+                        <a href={link.url} target="_blank" rel="noopener noreferrer" className="text-primary-600 hover:underline" title={link.url}>
+                          {link.url}
+                        </a>
+                      </TableCell>
+                      <TableCell>{link.clicks}</TableCell>
+                      <TableCell>{link.unique_clicks}</TableCell>
+                      <TableCell>{formatInTimeZone(link.last_clicked_at, timezone)}</TableCell>
+                    </TableRow>
+                  ))}
+                </TableBody>
+              </Table>
+            )}
+          </CardContent>
+        </Card>
+      )}
+
       {campaign.message_content && (
         <Card className="mb-6">
           <CardHeader>
@@ -447,13 +738,19 @@ export default function CampaignDetailPage() {
         </Card>
       )}
 
-      {campaign.audience_filters && (
+      {(campaign.segment || campaign.audience_filters) && (
         <Card className="mb-6">
           <CardHeader>
             <CardTitle>Audience</CardTitle>
           </CardHeader>
           <CardContent className="text-[var(--text-muted)] space-y-2">
-            {campaign.audience_filters.tags && campaign.audience_filters.tags.length > 0 ? (
+            {campaign.segment ? (
+              <p>
+                Segment:{' '}
+                <Link to="/segments" className="text-primary-600 hover:underline">{campaign.segment.name}</Link>
+                {campaign.segment.deleted && ' (deleted)'}
+              </p>
+            ) : campaign.audience_filters.tags && campaign.audience_filters.tags.length > 0 ? (
               <div className="flex flex-wrap gap-2">
                 {campaign.audience_filters.tags.map((tag) => (
                   <Badge key={tag} variant="primary">{tag}</Badge>
@@ -469,16 +766,51 @@ export default function CampaignDetailPage() {
       <div className="flex gap-3">
         {campaign.status === 'draft' ? (
           <>
-            <Button onClick={() => setShowConfirm(true)} disabled={sending}>
+            <Button onClick={openSendConfirm} disabled={sending}>
               {sending ? 'Sending...' : 'Send Campaign'}
             </Button>
+            <Button variant="secondary" onClick={openScheduleDialog} disabled={scheduling}>
+              Schedule
+            </Button>
             <Button variant="secondary" onClick={() => navigate(`/campaigns/${id}/edit`)}>
               Edit
             </Button>
           </>
+        ) : campaign.status === 'scheduled' ? (
+          <>
+            <Button onClick={openScheduleDialog} disabled={scheduling}>
+              Reschedule
+            </Button>
+            <Button variant="secondary" onClick={handleCancelSchedule} disabled={scheduling}>
+              {scheduling ? 'Cancelling...' : 'Cancel schedule'}
+            </Button>
+          </>
+        ) : campaign.status === 'sending' || campaign.status === 'paused' ? (
+          <>
+            {campaign.status === 'sending' ? (
+              <Button onClick={() => handleSendControl('pause')} disabled={Boolean(sendControl)}>
+                {sendControl === 'pause' ? 'Pausing...' : 'Pause sending'}
+              </Button>
+            ) : (
+              <Button onClick={() => handleSendControl('resume')} disabled={Boolean(sendControl)}>
+                {sendControl === 'resume' ? 'Resuming...' : 'Resume sending'}
+              </Button>
+            )}
+            <Button variant="danger" onClick={() => setShowCancelConfirm(true)} disabled={Boolean(sendControl)}>
+              Cancel campaign
+            </Button>
+            <Button variant="secondary" onClick={handleDuplicate} disabled={duplicating}>
+              {duplicating ? 'Preparing draft...' : 'Edit as new draft'}
+            </Button>
+            {campaign.status === 'sending' && metrics?.failed > 0 && (
+              <Button variant="secondary" onClick={handleRetryFailed} disabled={retryingFailed}>
+                {retryingFailed ? 'Retrying failed...' : `Retry failed (${metrics.failed})`}
+              </Button>
+            )}
+          </>
         ) : (
           <>
-            {!campaign.resend_of_campaign_id && campaign.status !== 'archived' && (
+            {!campaign.resend_of_campaign_id && campaign.status !== 'archived' && campaign.status !== 'cancelled' && (
               <Button onClick={() => setShowResendConfirm(true)} disabled={resending}>
                 {resending ? 'Starting resend...' : 'Resend to non-readers'}
               </Button>
@@ -486,7 +818,7 @@ export default function CampaignDetailPage() {
             <Button variant="secondary" onClick={handleDuplicate} disabled={duplicating}>
               {duplicating ? 'Preparing draft...' : 'Edit as new draft'}
             </Button>
-            {metrics?.failed > 0 && (
+            {campaign.status !== 'cancelled' && metrics?.failed > 0 && (
               <Button variant="secondary" onClick={handleRetryFailed} disabled={retryingFailed}>
                 {retryingFailed ? 'Retrying failed...' : `Retry failed (${metrics.failed})`}
               </Button>
@@ -515,7 +847,66 @@ export default function CampaignDetailPage() {
         }
       >
         <p className="text-[var(--text-muted)]">
-          Proceed to dispatch this campaign now?
+          {sendAudience
+            ? `This will reach ${sendAudience.eligible} contact${sendAudience.eligible !== 1 ? 's' : ''}. Proceed to dispatch this campaign now?`
+            : 'Proceed to dispatch this campaign now?'}
+        </p>
+        {sendAudience?.excluded_total > 0 && (
+          <p className="text-sm text-[var(--text-muted)] mt-2">
+            {sendAudience.excluded_total} matching contact{sendAudience.excluded_total !== 1 ? 's' : ''} will be skipped: {describeExclusions(sendAudience).join(', ')}
+          </p>
+        )}
+      </Dialog>
+
+      <Dialog
+        open={showScheduleDialog}
+        onClose={() => setShowScheduleDialog(false)}
+        title={campaign.status === 'scheduled' ? 'Reschedule Campaign' : 'Schedule Campaign'}
+        description={`Pick when to send. Times are in the workspace timezone (${timezone}).`}
+        footer={
+          <>
+            <Button variant="secondary" onClick={() => setShowScheduleDialog(false)}>
+              Cancel
+            </Button>
+            <Button onClick={handleSaveSchedule} disabled={scheduling}>
+              {scheduling ? 'Saving...' : 'Save schedule'}
+            </Button>
+          </>
+        }
+      >
+        <div className="space-y-2">
+          <Label htmlFor="schedule-at">Send at</Label>
+          <Input
+            id="schedule-at"
+            type="datetime-local"
+            value={scheduleInput}
+            min={toTimeZoneInputValue(null, timezone)}
+            onChange={(e) => setScheduleInput(e.target.value)}
+          />
+          {scheduleError && <p className="text-sm text-red-500">{scheduleError}</p>}
+        </div>
+      </Dialog>
+
+      <Dialog
+        open={showCancelConfirm}
+        onClose={() => setShowCancelConfirm(false)}
+        title="Cancel campaign?"
+        description="Messages that have not gone out yet will not be sent. This cannot be undone."
+        footer={
+          <>
+            <Button variant="secondary" onClick={() => setShowCancelConfirm(false)}>
+              Keep campaign
+            </Button>
+            <Button variant="danger" onClick={() => handleSendControl('cancel')} disabled={Boolean(sendControl)}>
+              {sendControl === 'cancel' ? 'Cancelling...' : 'Cancel campaign'}
+            </Button>
+          </>
+        }
+      >
+        <p className="text-[var(--text-muted)]">
+          {queuedMetric > 0
+            ? `${queuedMetric} queued message${queuedMetric !== 1 ? 's' : ''} will be cancelled. Messages already sent are not affected.`
+            : 'Messages already sent are not affected.'}
         </p>
       </Dialog>
 
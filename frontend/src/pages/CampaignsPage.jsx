@@ -21,10 +21,13 @@ import {
   TableCell
 } from '../components/ui'
 import { Alert, LoadingState, ErrorState } from '../components/ui'
+import { useTenantTimezone } from '../hooks/useTenantTimezone'
+import { formatInTimeZone } from '../utils/timezone'
 
 export default function CampaignsPage() {
   const { user } = useAuth()
   const navigate = useNavigate()
+  const { timezone } = useTenantTimezone()
   const [campaigns, setCampaigns] = useState([])
   const [loading, setLoading] = useState(true)
   const [error, setError] = useState(null)
@@ -101,7 +104,11 @@ export default function CampaignsPage() {
     }
   }
 
-  const getChannelLabel = (channel) => (channel === 'whatsapp' ? '📱 WhatsApp' : '📧 Email')
+  const getChannelLabel = (channel) => {
+    if (channel === 'whatsapp') return '📱 WhatsApp'
+    if (channel === 'sms') return '💬 SMS'
+    return '📧 Email'
+  }
 
   const formatDate = (dateString) => {
     if (!dateString) return 'Never'
@@ -216,8 +223,11 @@ export default function CampaignsPage() {
             >
               <option value="">All Status</option>
               <option value="draft">Draft</option>
+              <option value="scheduled">Scheduled</option>
               <option value="sending">Sending</option>
+              <option value="paused">Paused</option>
               <option value="sent">Sent</option>
+              <option value="cancelled">Cancelled</option>
               <option value="archived">Archived</option>
             </select>
           </div>
@@ -297,11 +307,13 @@ export default function CampaignsPage() {
                     <Badge variant={
                       campaign.status === 'sent'
                         ? 'success'
-                        : campaign.status === 'sending'
+                        : campaign.status === 'sending' || campaign.status === 'scheduled'
                           ? 'primary'
-                          : campaign.status === 'archived'
+                          : campaign.status === 'archived' || campaign.status === 'paused'
                             ? 'warning'
-                            : 'neutral'
+                            : campaign.status === 'cancelled'
+                              ? 'danger'
+                              : 'neutral'
                     }>
                       {campaign.status}
                     </Badge>
@@ -313,7 +325,9 @@ export default function CampaignsPage() {
                     {campaign.delivered_count || 0} delivered, {campaign.read_count || 0} read
                   </TableCell>
                   <TableCell className="text-[var(--text-muted)]">
-                    {formatDate(campaign.sent_at)}
+                    {campaign.status === 'scheduled' && campaign.scheduled_at
+                      ? `Scheduled ${formatInTimeZone(campaign.scheduled_at, timezone)}`
+                      : formatDate(campaign.sent_at)}
                   </TableCell>
                   <TableCell className="text-primary-600 font-semibold">
                     <button
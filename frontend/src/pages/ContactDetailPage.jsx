@@ -16,6 +16,7 @@ import {
   LoadingState,
   ErrorState
 } from '../components/ui';
+import { formatAttributeValue } from '../utils/contactAttributes';
 
 /**
  * Contact Detail Page
@@ -31,10 +32,12 @@ export const ContactDetailPage = () => {
   const [showEditModal, setShowEditModal] = useState(false);
   const [showDeleteDialog, setShowDeleteDialog] = useState(false);
   const [availableTags, setAvailableTags] = useState([]);
+  const [attributeDefinitions, setAttributeDefinitions] = useState([]);
 
   useEffect(() => {
     fetchContactDetail();
     fetchTags();
+    fetchAttributeDefinitions();
   }, [id]);
 
   const fetchContactDetail = async () => {
@@ -76,6 +79,17 @@ export const ContactDetailPage = () => {
     }
   };
 
+  const fetchAttributeDefinitions = async () => {
+    try {
+      const response = await fetch('/api/contacts/attributes', { credentials: 'include' });
+      if (!response.ok) return;
+      const data = await response.json();
+      setAttributeDefinitions(data.data || []);
+    } catch (err) {
+      console.error('Attributes load error:', err);
+    }
+  };
+
   const handleContactUpdated = () => {
     fetchContactDetail();
   };
@@ -173,6 +187,13 @@ export const ContactDetailPage = () => {
             <Detail label="Name" value={displayValue(contact.name)} />
             <Detail label="Phone" value={displayValue(contact.phone)} />
             <Detail label="Email" value={displayValue(contact.email) || 'Not provided'} />
+            {attributeDefinitions.map(definition => (
+              <Detail
+                key={definition.key}
+                label={definition.label}
+                value={formatAttributeValue(contact.custom_attributes?.[definition.key]) || 'Not set'}
+              />
+            ))}
             <Detail label="Created" value={formatDate(contact.created_at)} muted />
           </CardContent>
         </Card>
@@ -180,7 +201,7 @@ export const ContactDetailPage = () => {
         <Card>
           <CardHeader>
             <CardTitle>Consent Status</CardTitle>
-            <CardDescription>WhatsApp and Email opt-ins</CardDescription>
+            <CardDescription>WhatsApp, Email and SMS opt-ins</CardDescription>
           </CardHeader>
           <CardContent className="space-y-3">
             <ConsentRow
@@ -193,6 +214,11 @@ export const ContactDetailPage = () => {
               description="Needed for email campaigns"
               granted={contact.consent_email}
             />
+            <ConsentRow
+              label="SMS Consent"
+              description="Needed for SMS campaigns"
+              granted={contact.consent_sms}
+            />
           </CardContent>
         </Card>
       </div>
@@ -244,6 +270,7 @@ export const ContactDetailPage = () => {
         contact={contact}
         onUpdated={handleContactUpdated}
         availableTags={availableTags}
+        attributeDefinitions={attributeDefinitions}
       />
 
       <DeleteContactDialog
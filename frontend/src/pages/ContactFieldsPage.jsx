@@ -0,0 +1,329 @@
+import React, { useEffect, useState } from 'react'
+import { useAuth } from '../context/AuthContext'
+import AppShell from '../components/layout/AppShell'
+import {
+  Button,
+  Input,
+  Label,
+  Card,
+  CardHeader,
+  CardTitle,
+  CardDescription,
+  CardContent,
+  Badge,
+  Alert,
+  Dialog,
+  LoadingState
+} from '../components/ui'
+import {
+  ATTRIBUTE_KEY_PATTERN,
+  ATTRIBUTE_TYPES,
+  attributeTypeLabel,
+  keyFromLabel
+} from '../utils/contactAttributes'
+
+const selectClassName = 'w-full rounded-lg border border-[var(--border)] bg-[var(--card)] px-4 py-2 text-[var(--text)] h-10 focus-visible:outline-none focus-visible:ring-2 focus-visible:ring-primary-500 focus-visible:ring-offset-2'
+
+const emptyForm = () => ({ id: null, label: '', key: '', keyEdited: false, type: 'string', options: '' })
+
+const parseOptions = (text) => text.split(',').map(o => o.trim()).filter(Boolean)
+
+/**
+ * Contact Fields Page
+ * Tenant schema for typed custom contact attributes
+ */
+export default function ContactFieldsPage({ embedded = false } = {}) {
+  const { hasRole } = useAuth()
+  const canManage = hasRole('admin')
+
+  const [definitions, setDefinitions] = useState([])
+  const [loading, setLoading] = useState(true)
+  const [error, setError] = useState(null)
+
+  const [form, setForm] = useState(emptyForm())
+  const [saving, setSaving] = useState(false)
+  const [formError, setFormError] = useState(null)
+
+  const [deleteTarget, setDeleteTarget] = useState(null)
+  const [deleting, setDeleting] = useState(false)
+
+  useEffect(() => {
+    fetchDefinitions()
+  }, [])
+
+  const fetchDefinitions = async () => {
+    try {
+      setLoading(true)
+      setError(null)
+      const res = await fetch('/api/contacts/attributes', { credentials: 'include' })
+      const data = await res.json()
+      if (!res.ok) {
+        throw new Error(data.message || 'Failed to load contact fields')
+      }
+      setDefinitions(data.data || [])
+    } catch (err) {
+      setError(err.message)
+    } finally {
+      setLoading(false)
+    }
+  }
+
+  const updateLabel = (label) => {
+    setForm(prev => ({
+      ...prev,
+      label,
+      // Suggest a key from the label until the user types their own
+      key: prev.id || prev.keyEdited ? prev.key : keyFromLabel(label)
+    }))
+  }
+
+  const startEdit = (definition) => {
+    setFormError(null)
+    setForm({
+      id: definition.id,
+      label: definition.label,
+      key: definition.key,
+      keyEdited: true,
+      type: definition.type,
+      options: definition.options.join(', ')
+    })
+  }
+
+  const handleSave = async (e) => {
+    e.preventDefault()
+    if (!form.label.trim()) {
+      setFormError('Label is required.')
+      return
+    }
+    if (!form.id && !ATTRIBUTE_KEY_PATTERN.test(form.key)) {
+      setFormError('Key must start with a letter or underscore and use only letters, numbers and underscores.')
+      return
+    }
+    if (form.type === 'enum' && parseOptions(form.options).length === 0) {
+      setFormError('Add at least one option, separated by commas.')
+      return
+    }
+
+    const body = form.id
+      ? { label: form.label.trim(), ...(form.type === 'enum' ? { options: parseOptions(form.options) } : {}) }
+      : {
+          key: form.key,
+          label: form.label.trim(),
+          type: form.type,
+          ...(form.type === 'enum' ? { options: parseOptions(form.options) } : {})
+        }
+
+    try {
+      setSaving(true)
+      setFormError(null)
+      const res = await fetch(form.id ? `/api/contacts/attributes/${form.id}` : '/api/contacts/attributes', {
+        method: form.id ? 'PATCH' : 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        credentials: 'include',
+        body: JSON.stringify(body)
+      })
+      const data = await res.json()
+      if (!res.ok) {
+        throw new Error(data.message || 'Failed to save contact field')
+      }
+      setForm(emptyForm())
+      await fetchDefinitions()
+    } catch (err) {
+      setFormError(err.message)
+    } finally {
+      setSaving(false)
+    }
+  }
+
+  const handleDelete = async () => {
+    if (!deleteTarget) return
+    try {
+      setDeleting(true)
+      const res = await fetch(`/api/contacts/attributes/${deleteTarget.id}`, {
+        method: 'DELETE',
+        credentials: 'include'
+      })
+      const data = await res.json()
+      if (!res.ok) {
+        throw new Error(data.message || 'Failed to delete contact field')
+      }
+      if (form.id === deleteTarget.id) setForm(emptyForm())
+      await fetchDefinitions()
+    } catch (err) {
+      setError(err.message)
+    } finally {
+      setDeleteTarget(null)
+      setDeleting(false)
+    }
+  }
+
+  const content = (
+    <div className="space-y-6">
+      <Card>
+        <CardHeader>
+          <CardTitle className="text-xl">{form.id ? 'Edit Contact Field' : 'New Contact Field'}</CardTitle>
+          <CardDescription>
+            Custom fields appear on contact forms, CSV import and export, segment filters and WhatsApp template variables.
+          </CardDescription>
+        </CardHeader>
+        <CardContent>
+          <form onSubmit={handleSave} className="space-y-4">
+            <div className="grid grid-cols-1 md:grid-cols-3 gap-4">
+              <div className="space-y-2">
+                <Label htmlFor="field-label">Label</Label>
+                <Input
+                  id="field-label"
+                  value={form.label}
+                  onChange={(e) => updateLabel(e.target.value)}
+                  placeholder="e.g., Loyalty Tier"
+                  disabled={!canManage || saving}
+                />
+              </div>
+              <div className="space-y-2">
+                <Label htmlFor="field-key">Key</Label>
+                <Input
+                  id="field-key"
+                  value={form.key}
+                  onChange={(e) => setForm(prev => ({ ...prev, key: e.target.value.trim(), keyEdited: true }))}
+                  placeholder="loyalty_tier"
+                  disabled={!canManage || saving || Boolean(form.id)}
+                />
+              </div>
+              <div className="space-y-2">
+                <Label htmlFor="field-type">Type</Label>
+                <select
+                  id="field-type"
+                  value={form.type}
+                  onChange={(e) => setForm(prev => ({ ...prev, type: e.target.value }))}
+                  className={selectClassName}
+                  disabled={!canManage || saving || Boolean(form.id)}
+                >
+                  {ATTRIBUTE_TYPES.map(type => (
+                    <option key={type.value} value={type.value}>{type.label}</option>
+                  ))}
+                </select>
+              </div>
+            </div>
+
+            {form.type === 'enum' && (
+              <div className="space-y-2">
+                <Label htmlFor="field-options">Options</Label>
+                <Input
+                  id="field-options"
+                  value={form.options}
+                  onChange={(e) => setForm(prev => ({ ...prev, options: e.target.value }))}
+                  placeholder="Bronze, Silver, Gold"
+                  disabled={!canManage || saving}
+                />
+              </div>
+            )}
+
+            {form.id && (
+              <p className="text-sm text-[var(--text-muted)]">
+                Key and type are fixed once a field exists. Create a new field to change them.
+              </p>
+            )}
+
+            {formError && (
+              <Alert type="error" title="Could not save">
+                {formError}
+              </Alert>
+            )}
+
+            <div className="flex justify-end gap-3">
+              {form.id && (
+                <Button type="button" variant="secondary" onClick={() => setForm(emptyForm())} disabled={saving}>
+                  Cancel
+                </Button>
+              )}
+              <Button type="submit" disabled={!canManage || saving}>
+                {saving ? 'Saving...' : form.id ? 'Save Field' : 'Add Field'}
+              </Button>
+            </div>
+          </form>
+          {!canManage && (
+            <p className="text-sm text-[var(--text-muted)] mt-3">
+              Only tenant owners and admins can manage contact fields.
+            </p>
+          )}
+        </CardContent>
+      </Card>
+
+      {error && (
+        <Alert type="error" title="Error">
+          {error}
+        </Alert>
+      )}
+
+      {loading ? (
+        <LoadingState message="Loading contact fields..." />
+      ) : definitions.length === 0 ? (
+        <Card className="p-12 text-center" data-testid="empty-contact-fields">
+          <p className="text-[var(--text-muted)]">No custom fields yet.</p>
+        </Card>
+      ) : (
+        <Card className="overflow-hidden">
+          <table className="min-w-full divide-y divide-[var(--border)]" data-testid="contact-fields-table">
+            <thead className="bg-black/5">
+              <tr>
+                <th className="px-6 py-3 text-left text-xs font-medium text-[var(--text-muted)] uppercase tracking-wider">Label</th>
+                <th className="px-6 py-3 text-left text-xs font-medium text-[var(--text-muted)] uppercase tracking-wider">Key</th>
+                <th className="px-6 py-3 text-left text-xs font-medium text-[var(--text-muted)] uppercase tracking-wider">Type</th>
+                <th className="px-6 py-3 text-left text-xs font-medium text-[var(--text-muted)] uppercase tracking-wider">Actions</th>
+              </tr>
+            </thead>
+            <tbody className="divide-y divide-[var(--border)]">
+              {definitions.map(definition => (
+                <tr key={definition.id} className="hover:bg-black/3 transition">
+                  <td className="px-6 py-4 text-[var(--text)]">{definition.label}</td>
+                  <td className="px-6 py-4 whitespace-nowrap font-mono text-sm text-[var(--text-muted)]">{definition.key}</td>
+                  <td className="px-6 py-4">
+                    <Badge variant="neutral">{attributeTypeLabel(definition.type)}</Badge>
+                    {definition.type === 'enum' && (
+                      <p className="text-xs text-[var(--text-muted)] mt-1">{definition.options.join(', ')}</p>
+                    )}
+                  </td>
+                  <td className="px-6 py-4 whitespace-nowrap">
+                    <div className="flex gap-2">
+                      <Button size="sm" variant="secondary" onClick={() => startEdit(definition)} disabled={!canManage}>
+                        Edit
+                      </Button>
+                      <Button size="sm" variant="ghost" onClick={() => setDeleteTarget(definition)} disabled={!canManage}>
+                        Delete
+                      </Button>
+                    </div>
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </Card>
+      )}
+
+      <Dialog
+        open={Boolean(deleteTarget)}
+        onClose={() => setDeleteTarget(null)}
+        title="Delete contact field"
+        description={deleteTarget ? `Delete "${deleteTarget.label}"? Its value is removed from every contact.` : ''}
+        footer={(
+          <>
+            <Button variant="secondary" onClick={() => setDeleteTarget(null)} disabled={deleting}>
+              Cancel
+            </Button>
+            <Button variant="danger" onClick={handleDelete} disabled={deleting}>
+              {deleting ? 'Deleting...' : 'Delete'}
+            </Button>
+          </>
+        )}
+      />
+    </div>
+  )
+
+  if (embedded) return content
+
+  return (
+    <AppShell title="Contact Fields" subtitle="Typed custom fields for contacts in this workspace">
+      {content}
+    </AppShell>
+  )
+}
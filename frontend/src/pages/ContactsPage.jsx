@@ -40,6 +40,8 @@ export const ContactsPage = () => {
   const [selectedTag, setSelectedTag] = useState('')
   const [availableTags, setAvailableTags] = useState([])
   const [allTags, setAllTags] = useState([])
+  const [attributeDefinitions, setAttributeDefinitions] = useState([])
+  const [attributeFilter, setAttributeFilter] = useState({ key: '', value: '' })
   const [pagination, setPagination] = useState({ total: 0, limit: 50, offset: 0 })
   const [showCreateModal, setShowCreateModal] = useState(false)
   const [showImportModal, setShowImportModal] = useState(false)
@@ -54,7 +56,11 @@ export const ContactsPage = () => {
   useEffect(() => {
     fetchContacts()
     fetchTags()
-  }, [searchTerm, selectedTag])
+  }, [searchTerm, selectedTag, attributeFilter])
+
+  useEffect(() => {
+    fetchAttributeDefinitions()
+  }, [])
 
   const fetchContacts = async () => {
     try {
@@ -68,13 +74,17 @@ export const ContactsPage = () => {
       if (selectedTag) {
         url += `&tag=${encodeURIComponent(selectedTag)}`
       }
+      if (attributeFilter.key && attributeFilter.value) {
+        url += `&attr[${encodeURIComponent(attributeFilter.key)}]=${encodeURIComponent(attributeFilter.value)}`
+      }
 
       const response = await fetch(url, {
         credentials: 'include'
       })
 
       if (!response.ok) {
-        throw new Error('Failed to fetch contacts')
+        const data = await response.json().catch(() => ({}))
+        throw new Error(data.message || 'Failed to fetch contacts')
       }
 
       const data = await response.json()
@@ -111,6 +121,19 @@ export const ContactsPage = () => {
     }
   }
 
+  const fetchAttributeDefinitions = async () => {
+    try {
+      const response = await fetch('/api/contacts/attributes', { credentials: 'include' })
+      if (!response.ok) return
+      const data = await response.json()
+      setAttributeDefinitions(data.data || [])
+    } catch (err) {
+      console.error('Fetch attributes error:', err)
+    }
+  }
+
+  const filterDefinition = attributeDefinitions.find(d => d.key === attributeFilter.key)
+
   const handleExportCSV = async () => {
     try {
       const response = await fetch('/api/contacts/export', {
@@ -248,7 +271,7 @@ export const ContactsPage = () => {
       <Card className="mb-6">
         <CardHeader>
           <CardTitle>Filters</CardTitle>
-          <CardDescription>Search contacts or filter by tags</CardDescription>
+          <CardDescription>Search contacts or filter by tags and custom fields</CardDescription>
         </CardHeader>
         <CardContent className="flex flex-col md:flex-row md:items-end gap-4 space-y-0">
           <div className="flex-1 space-y-2">
@@ -279,6 +302,47 @@ export const ContactsPage = () => {
               </select>
             </div>
           )}
+
+          {attributeDefinitions.length > 0 && (
+            <div className="flex-1 space-y-2">
+              <Label htmlFor="attribute-filter">Custom field</Label>
+              <div className="flex gap-2">
+                <select
+                  id="attribute-filter"
+                  value={attributeFilter.key}
+                  onChange={(e) => setAttributeFilter({ key: e.target.value, value: '' })}
+                  className="w-full rounded-lg border border-[var(--border)] bg-[var(--card)] px-4 py-2 text-[var(--text)] h-11 focus-visible:outline-none focus-visible:ring-2 focus-visible:ring-primary-500 focus-visible:ring-offset-2"
+                >
+                  <option value="">Any field</option>
+                  {attributeDefinitions.map(definition => (
+                    <option key={definition.key} value={definition.key}>{definition.label}</option>
+                  ))}
+                </select>
+                {filterDefinition && (filterDefinition.type === 'boolean' || filterDefinition.type === 'enum') ? (
+                  <select
+                    aria-label={`${filterDefinition.label} value`}
+                    value={attributeFilter.value}
+                    onChange={(e) => setAttributeFilter(prev => ({ ...prev, value: e.target.value }))}
+                    className="w-full rounded-lg border border-[var(--border)] bg-[var(--card)] px-4 py-2 text-[var(--text)] h-11 focus-visible:outline-none focus-visible:ring-2 focus-visible:ring-primary-500 focus-visible:ring-offset-2"
+                  >
+                    <option value="">Any value</option>
+                    {(filterDefinition.type === 'boolean' ? ['Yes', 'No'] : filterDefinition.options).map(option => (
+                      <option key={option} value={option}>{option}</option>
+                    ))}
+                  </select>
+                ) : filterDefinition && (
+                  <Input
+                    aria-label={`${filterDefinition.label} value`}
+                    type={filterDefinition.type === 'date' ? 'date' : filterDefinition.type === 'number' ? 'number' : 'text'}
+                    value={attributeFilter.value}
+                    onChange={(e) => setAttributeFilter(prev => ({ ...prev, value: e.target.value }))}
+                    placeholder="equals..."
+                    className="h-11"
+                  />
+                )}
+              </div>
+            </div>
+          )}
         </CardContent>
       </Card>
 
@@ -359,6 +423,7 @@ export const ContactsPage = () => {
                   <div className="flex items-center gap-2">
                     {contact.consent_whatsapp && <Badge variant="success">WhatsApp</Badge>}
                     {contact.consent_email && <Badge variant="primary">Email</Badge>}
+                    {contact.consent_sms && <Badge variant="neutral">SMS</Badge>}
                   </div>
                 </TableCell>
                 <TableCell className="text-sm font-semibold text-primary-600">
@@ -380,12 +445,13 @@ export const ContactsPage = () => {
         onClose={() => setShowCreateModal(false)}
         onCreated={fetchContacts}
         availableTags={allTags}
+        attributeDefinitions={attributeDefinitions}
       />
 
       <CSVImportModal
         isOpen={showImportModal}
         onClose={() => setShowImportModal(false)}
-        onImported={fetchContacts}
+        onImportComplete={fetchContacts}
       />
 
       <Dialog
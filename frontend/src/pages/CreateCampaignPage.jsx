@@ -1,6 +1,6 @@
 import React, { useState, useEffect } from 'react'
 import { useAuth } from '../context/AuthContext'
-import { useNavigate, useParams } from 'react-router-dom'
+import { Link, useNavigate, useParams } from 'react-router-dom'
 import AppShell from '../components/layout/AppShell'
 import {
   Button,
@@ -16,6 +16,23 @@ import {
   LoadingState,
   ErrorState
 } from '../components/ui'
+import { useTenantTimezone } from '../hooks/useTenantTimezone'
+import { formatInTimeZone, toTimeZoneInputValue, nextHourInTimeZone } from '../utils/timezone'
+import { SMS_MAX_BODY_LENGTH, countSmsSegments, renderSmsPreview } from '../utils/sms'
+import { describeExclusions } from '../utils/audience'
+import { formatAttributeValue } from '../utils/contactAttributes'
+import {
+  AB_TEST_CHANNELS,
+  DEFAULT_TEST_PERCENTAGE,
+  DEFAULT_WAIT_MINUTES,
+  VARIANT_LABELS,
+  buildVariantPayload,
+  buildWhatsAppContent,
+  formatWaitMinutes,
+  parseVariant,
+  validateVariant
+} from '../utils/abTesting'
+import AbTestEditor from '../components/campaigns/AbTestEditor'
 import ReactQuill from 'react-quill'
 import 'react-quill/dist/quill.snow.css'
 import '../styles/quillOverrides.css'
@@ -47,13 +64,27 @@ export default function CreateCampaignPage() {
     subject: '',
     textBody: '',
     selectedTags: [],
+    segmentId: '',
     audienceType: 'all'
   })
+  const [segments, setSegments] = useState([])
+  const [attributeDefinitions, setAttributeDefinitions] = useState([])
   const [templateVariables, setTemplateVariables] = useState({})
   const [templateVariableSources, setTemplateVariableSources] = useState({})
   const [headerMediaLink, setHeaderMediaLink] = useState('')
   const [loadedMessageContent, setLoadedMessageContent] = useState(null)
   const [hasHydratedFromSaved, setHasHydratedFromSaved] = useState(false)
+  const [deliveryMode, setDeliveryMode] = useState('draft')
+  const [audiencePreview, setAudiencePreview] = useState(null)
+  const [loadingAudiencePreview, setLoadingAudiencePreview] = useState(false)
+  const [scheduleAt, setScheduleAt] = useState('')
+  const [abTest, setAbTest] = useState({
+    enabled: false,
+    testPercentage: DEFAULT_TEST_PERCENTAGE,
+    waitMinutes: DEFAULT_WAIT_MINUTES,
+    variants: []
+  })
+  const { timezone } = useTenantTimezone()
 
   const stripHtml = (html = '') => {
     const withoutTags = html.replace(/<[^>]+>/g, ' ')
@@ -62,6 +93,8 @@ export default function CreateCampaignPage() {
   // Fetch tags, contacts, and templates on mount
   useEffect(() => {
     fetchTags()
+    fetchSegments()
+    fetchAttributeDefinitions()
     fetchContacts()
     fetchTemplates()
   }, [])
@@ -100,17 +133,31 @@ export default function CreateCampaignPage() {
         }
         setLoadedMessageContent(parsedContent)
 
+        if (campaign.ab_test) {
+          setAbTest({
+            enabled: true,
+            testPercentage: campaign.ab_test.test_percentage,
+            waitMinutes: campaign.ab_test.wait_minutes,
+            variants: campaign.ab_test.variants.slice(1).map(parseVariant)
+          })
+        }
+
         setFormData(prev => ({
           ...prev,
           name: campaign.name || '',
           description: campaign.description || '',
           channel: campaign.channel || 'whatsapp',
           template_id: campaign.template_id || '',
-          message_content: parsedContent.htmlBody || parsedContent.textBody || '',
+          message_content: campaign.channel === 'sms'
+            ? (parsedContent.body || '')
+            : (parsedContent.htmlBody || parsedContent.textBody || ''),
           textBody: parsedContent.textBody || '',
           subject: parsedContent.subject || '',
-          audienceType: (campaign.audience_filters && campaign.audience_filters.tags && campaign.audience_filters.tags.length > 0) ? 'filtered' : 'all',
-          selectedTags: (campaign.audience_filters && campaign.audience_filters.tags) ? campaign.audience_filters.tags : []
+          audienceType: campaign.segment_id
+            ? 'segment'
+            : (campaign.audience_filters && campaign.audience_filters.tags && campaign.audience_filters.tags.length > 0) ? 'filtered' : 'all',
+          selectedTags: (campaign.audience_filters && campaign.audience_filters.tags) ? campaign.audience_filters.tags : [],
+          segmentId: campaign.segment_id || ''
         }))
       } catch (err) {
         console.error('Load campaign error:', err)
@@ -156,6 +203,47 @@ export default function CreateCampaignPage() {
     setHasHydratedFromSaved(true)
   }, [isEditing, hasHydratedFromSaved, loadedMessageContent, formData.template_id, templates])
 
+  // Count on the server so the preview matches exactly who a send would reach
+  useEffect(() => {
+    let cancelled = false
+    const audienceFilters = formData.audienceType === 'filtered' && formData.selectedTags.length > 0
+      ? { tags: formData.selectedTags }
+      : null
+    const segmentId = formData.audienceType === 'segment' ? formData.segmentId : null
+
+    if (formData.audienceType === 'segment' && !segmentId) {
+      setAudiencePreview(null)
+      return undefined
+    }
+
+    const fetchAudiencePreview = async () => {
+      try {
+        setLoadingAudiencePreview(true)
+        const response = await fetch('/api/campaigns/audience/preview', {
+          method: 'POST',
+          headers: { 'Content-Type': 'application/json' },
+          credentials: 'include',
+          body: JSON.stringify({ channel: formData.channel, audience_filters: audienceFilters, segment_id: segmentId })
+        })
+
+        if (!response.ok) {
+          throw new Error('Failed to preview audience')
+        }
+
+        const data = await response.json()
+        if (!cancelled) setAudiencePreview(data.data)
+      } catch (err) {
+        console.error('Error previewing audience:', err)
+        if (!cancelled) setAudiencePreview(null)
+      } finally {
+        if (!cancelled) setLoadingAudiencePreview(false)
+      }
+    }
+
+    fetchAudiencePreview()
+    return () => { cancelled = true }
+  }, [formData.channel, formData.audienceType, formData.selectedTags, formData.segmentId])
+
   const fetchTags = async () => {
     try {
       setLoadingTags(true)
@@ -179,6 +267,30 @@ export default function CreateCampaignPage() {
     }
   }
 
+  const fetchSegments = async () => {
+    try {
+      const response = await fetch('/api/segments', { credentials: 'include' })
+      if (!response.ok) {
+        throw new Error('Failed to fetch segments')
+      }
+      const data = await response.json()
+      setSegments(data.data || [])
+    } catch (err) {
+      console.error('Error fetching segments:', err)
+    }
+  }
+
+  const fetchAttributeDefinitions = async () => {
+    try {
+      const response = await fetch('/api/contacts/attributes', { credentials: 'include' })
+      if (!response.ok) return
+      const data = await response.json()
+      setAttributeDefinitions(data.data || [])
+    } catch (err) {
+      console.error('Error fetching contact fields:', err)
+    }
+  }
+
   const fetchContacts = async () => {
     try {
       setLoadingContacts(true)
@@ -231,20 +343,7 @@ export default function CreateCampaignPage() {
     return templates.find(t => t.id === formData.template_id) || null
   }
 
-  const getAudienceCount = () => {
-    const list = Array.isArray(contacts) ? contacts : []
-    if (formData.audienceType === 'all') {
-      return list.length
-    }
-    if (formData.selectedTags.length === 0) return list.length
-    return list.filter(contact => {
-      const contactTags = contact.tags || []
-      return formData.selectedTags.some(tagId => {
-        const tag = tags.find(t => t.id === tagId)
-        return contactTags.includes(tag?.name)
-      })
-    }).length
-  }
+  const getAudienceCount = () => audiencePreview?.eligible ?? 0
 
   const handleInputChange = (e) => {
     const { name, value } = e.target
@@ -265,6 +364,7 @@ export default function CreateCampaignPage() {
     setTemplateVariables({})
     setTemplateVariableSources({})
     setHeaderMediaLink('')
+    setAbTest(prev => ({ ...prev, enabled: false, variants: [] }))
   }
 
   const handleAudienceTypeChange = (e) => {
@@ -359,6 +459,10 @@ export default function CreateCampaignPage() {
         setStepError('Select at least one tag or choose All Contacts.')
         return false
       }
+      if (formData.audienceType === 'segment' && !formData.segmentId) {
+        setStepError('Select a saved segment or choose another audience.')
+        return false
+      }
     }
     if (currentStep === 2) {
       if (formData.channel === 'whatsapp' && !formData.template_id) {
@@ -397,6 +501,41 @@ export default function CreateCampaignPage() {
           return false
         }
       }
+      if (abTest.enabled && AB_TEST_CHANNELS.includes(formData.channel)) {
+        const percentage = Number(abTest.testPercentage)
+        if (!Number.isInteger(percentage) || percentage < 1 || percentage > 100) {
+          setStepError('A/B test group size must be a whole number between 1 and 100.')
+          return false
+        }
+        for (let i = 0; i < abTest.variants.length; i++) {
+          const variantError = validateVariant(formData.channel, abTest.variants[i], VARIANT_LABELS[i + 1], templates)
+          if (variantError) {
+            setStepError(variantError)
+            return false
+          }
+        }
+      }
+      if (formData.channel === 'sms') {
+        const body = (formData.message_content || '').trim()
+        if (!body) {
+          setStepError('Message body is required for SMS.')
+          return false
+        }
+        if (body.length > SMS_MAX_BODY_LENGTH) {
+          setStepError(`SMS body cannot exceed ${SMS_MAX_BODY_LENGTH} characters.`)
+          return false
+        }
+      }
+    }
+    if (currentStep === 3 && deliveryMode === 'schedule') {
+      if (!scheduleAt) {
+        setStepError('Pick a date and time to schedule the send.')
+        return false
+      }
+      if (scheduleAt <= toTimeZoneInputValue(null, timezone)) {
+        setStepError('Scheduled time must be in the future.')
+        return false
+      }
     }
     setStepError('')
     return true
@@ -425,23 +564,11 @@ export default function CreateCampaignPage() {
 
       let messageContentPayload = null
       if (formData.channel === 'whatsapp') {
-        const staticVars = {}
-        const mapping = {}
-        const keys = new Set([
-          ...Object.keys(templateVariables || {}),
-          ...Object.keys(templateVariableSources || {})
-        ])
-
-        keys.forEach(key => {
-          const source = templateVariableSources[key] || 'custom'
-          if (source === 'custom') {
-            staticVars[key] = templateVariables?.[key] || ''
-          } else {
-            mapping[key] = source
-          }
-        })
-        const media = headerMediaLink ? { header_link: headerMediaLink.trim() } : undefined
-        messageContentPayload = JSON.stringify({ static: staticVars, mapping, ...(media ? { media } : {}) })
+        messageContentPayload = JSON.stringify(
+          buildWhatsAppContent(templateVariables || {}, templateVariableSources || {}, headerMediaLink)
+        )
+      } else if (formData.channel === 'sms') {
+        messageContentPayload = JSON.stringify({ body: (formData.message_content || '').trim() })
       } else {
         const htmlContent = formData.message_content || ''
         const fallbackText = formData.textBody?.trim() || stripHtml(htmlContent) || htmlContent
@@ -459,7 +586,22 @@ export default function CreateCampaignPage() {
         template_id: formData.template_id || null,
         message_content: messageContentPayload,
         subject: formData.subject || null,
-        audience_filters: audienceFilters
+        audience_filters: audienceFilters,
+        segment_id: formData.audienceType === 'segment' ? formData.segmentId : null
+      }
+
+      // Variant A is the content above; the server copies it onto the campaign
+      if (AB_TEST_CHANNELS.includes(formData.channel)) {
+        payload.ab_test = abTest.enabled
+          ? {
+            test_percentage: Number(abTest.testPercentage),
+            wait_minutes: abTest.waitMinutes,
+            variants: [
+              { template_id: payload.template_id, message_content: JSON.parse(messageContentPayload) },
+              ...abTest.variants.map(variant => buildVariantPayload(formData.channel, variant))
+            ]
+          }
+          : null
       }
 
       const url = isEditing ? `/api/campaigns/${campaignId}` : '/api/campaigns'
@@ -481,7 +623,26 @@ export default function CreateCampaignPage() {
 
       const data = await response.json()
 
-      if (data.status === 'success') {
+      if (data.status === 'success' && deliveryMode === 'schedule') {
+        const savedId = isEditing ? campaignId : data.data?.id
+        const scheduleResponse = await fetch(`/api/campaigns/${savedId}/schedule`, {
+          method: 'POST',
+          headers: {
+            'Content-Type': 'application/json'
+          },
+          credentials: 'include',
+          body: JSON.stringify({ scheduled_at: scheduleAt })
+        })
+        const scheduleData = await scheduleResponse.json()
+        if (!scheduleResponse.ok) {
+          // Campaign is saved as a draft; send the user to it so they can fix and reschedule
+          setError(`Campaign saved as draft but could not be scheduled: ${scheduleData.message || 'unknown error'}`)
+          setTimeout(() => navigate(`/campaigns/${savedId}`), 2000)
+          return
+        }
+        setSuccess(`Campaign scheduled for ${formatInTimeZone(scheduleData.data.scheduled_at, timezone)} (${timezone})`)
+        setTimeout(() => navigate('/campaigns'), 1000)
+      } else if (data.status === 'success') {
         setSuccess(isEditing ? 'Campaign updated successfully!' : 'Campaign created successfully!')
         setTimeout(() => navigate('/campaigns'), 1000)
       } else {
@@ -507,6 +668,281 @@ export default function CreateCampaignPage() {
     )
   }
 
+  // Content editor for the selected channel (variant A when A/B testing)
+  const renderChannelContent = () => {
+    return formData.channel === 'whatsapp' ? (
+      <div className="border rounded-xl border-[var(--border)] p-4 space-y-4">
+        <div className="flex items-center justify-between">
+          <div>
+            <CardTitle className="text-xl">WhatsApp Configuration</CardTitle>
+            <CardDescription>Select a template synced from Settings</CardDescription>
+          </div>
+        </div>
+
+        <div className="space-y-2">
+          <Label>Template *</Label>
+          {templates.length > 0 ? (
+            <>
+              <select
+                name="template_id"
+                value={formData.template_id}
+                onChange={handleTemplateChange}
+                className="w-full rounded-lg border border-[var(--border)] bg-[var(--card)] px-4 py-2 text-[var(--text)] focus-visible:outline-none focus-visible:ring-2 focus-visible:ring-primary-500 focus-visible:ring-offset-2"
+              >
+                <option value="">Select a template</option>
+                {templates.map((template) => (
+                  <option key={template.id} value={template.id}>
+                    {template.name}
+                    {template.variables && template.variables.length > 0
+                      ? ` (${template.variables.join(', ')})`
+                      : ''}
+                  </option>
+                ))}
+              </select>
+              <p className="text-sm text-[var(--text-muted)]">
+                Templates synced from your WhatsApp Business account
+              </p>
+              {formData.template_id && (
+                <div className="mt-3 rounded-lg border border-dashed border-[var(--border)] bg-[var(--card)] p-3">
+                  <p className="text-xs font-semibold text-[var(--text)]">Required placeholders</p>
+                  {(() => {
+                    const tmpl = getSelectedTemplate()
+                    const vars = tmpl?.variables || []
+                    if (vars.length === 0 && typeof tmpl?.variable_count === 'number') {
+                      return (
+                        <p className="text-xs text-[var(--text-muted)]">
+                          Template expects {tmpl.variable_count} placeholders.
+                        </p>
+                      )
+                    }
+                    if (vars.length === 0) {
+                      return <p className="text-xs text-[var(--text-muted)]">No variables required.</p>
+                    }
+                    return (
+                      <p className="text-xs text-[var(--text-muted)]">
+                        {vars.map((v, i) => `${v}${i < vars.length - 1 ? ', ' : ''}`)}
+                      </p>
+                    )
+                  })()}
+                </div>
+              )}
+            </>
+          ) : (
+            <Alert variant="warning">
+              No templates available. Please sync templates in Settings first.
+            </Alert>
+          )}
+        </div>
+
+        {formData.template_id && templates.length > 0 && (
+          <div className="rounded-lg border border-[var(--border)] bg-[var(--card)] p-4">
+            {(() => {
+              const selectedTemplate = getSelectedTemplate()
+              return (
+                <>
+                  <p className="text-sm font-semibold text-[var(--text)] mb-2">Template Variables</p>
+                  {selectedTemplate && selectedTemplate.variables && selectedTemplate.variables.length > 0 ? (
+                    <div className="space-y-3">
+                      <p className="text-sm text-[var(--text-muted)]">
+                        Provide values for each variable below or map to a contact field.
+                      </p>
+                      <div className="grid gap-3 md:grid-cols-2">
+                        {selectedTemplate.variables.map((variable) => {
+                          const source = templateVariableSources[variable] || 'custom'
+                          return (
+                            <div key={variable} className="space-y-2 rounded-lg border border-[var(--border)] bg-[var(--card)] p-3">
+                              <div className="flex items-center justify-between gap-2">
+                                <Label className="text-sm font-semibold">{variable}</Label>
+                                <select
+                                  value={source}
+                                  onChange={(e) => handleTemplateVariableSourceChange(variable, e.target.value)}
+                                  className="rounded-md border border-[var(--border)] bg-[var(--card)] px-2 py-1 text-xs text-[var(--text)]"
+                                >
+                                  <option value="custom">Custom value</option>
+                                  <option value="contact.name">Contact name</option>
+                                  <option value="contact.email">Contact email</option>
+                                  <option value="contact.phone">Contact phone</option>
+                                  {attributeDefinitions.map(definition => (
+                                    <option key={definition.key} value={`attr.${definition.key}`}>{definition.label}</option>
+                                  ))}
+                                </select>
+                              </div>
+                              {source !== 'custom' ? (
+                                <p className="text-xs text-[var(--text-muted)]">
+                                  Will use {source.startsWith('attr.')
+                                    ? `custom field ${attributeDefinitions.find(d => `attr.${d.key}` === source)?.label || source.slice(5)}`
+                                    : source.replace('contact.', 'contact ')}
+                                </p>
+                              ) : (
+                                <Input
+                                  type="text"
+                                  value={templateVariables[variable] || ''}
+                                  onChange={(e) => handleTemplateVariableChange(variable, e.target.value)}
+                                  placeholder={`Value for ${variable}`}
+                                />
+                              )}
+                            </div>
+                          )
+                        })}
+                      </div>
+                      {selectedTemplate.header_type && ['IMAGE', 'VIDEO', 'DOCUMENT'].includes(selectedTemplate.header_type) && (
+                        <div className="space-y-2">
+                          <Label className="text-sm font-semibold">Media Header URL</Label>
+                          <Input
+                            type="url"
+                            value={headerMediaLink}
+                            onChange={(e) => setHeaderMediaLink(e.target.value)}
+                            placeholder="https://example.com/your-media.jpg"
+                          />
+                          <p className="text-xs text-[var(--text-muted)]">
+                            Required for {selectedTemplate.header_type.toLowerCase()} headers. Must be a publicly accessible URL.
+                          </p>
+                        </div>
+                      )}
+                    </div>
+                  ) : (
+                    <p className="text-sm text-[var(--text-muted)]">
+                      This template has no variables and will send the same message to all contacts.
+                    </p>
+                  )}
+
+                  {(selectedTemplate?.body || selectedTemplate?.header_text || selectedTemplate?.footer_text) && (
+                    <div className="mt-4 rounded-lg border border-[var(--border)] bg-[var(--card-alt, var(--card))] p-4">
+                      <p className="text-sm font-semibold text-[var(--text)] mb-2">Preview</p>
+                      <div className="space-y-2">
+                        {selectedTemplate.header_text && (
+                          <p className="text-xs uppercase tracking-wide text-[var(--text-muted)]">
+                            {renderTemplateText(selectedTemplate.header_text, templateVariableSources, templateVariables, contacts)}
+                          </p>
+                        )}
+                        {selectedTemplate.header_type && ['IMAGE', 'VIDEO', 'DOCUMENT'].includes(selectedTemplate.header_type) && (
+                          <p className="text-xs text-[var(--text-muted)]">
+                            Media header ({selectedTemplate.header_type.toLowerCase()}): {headerMediaLink || 'No URL provided'}
+                          </p>
+                        )}
+                        {selectedTemplate.body && (
+                          <p className="text-sm whitespace-pre-wrap text-[var(--text)]">
+                            {renderTemplateText(selectedTemplate.body, templateVariableSources, templateVariables, contacts)}
+                          </p>
+                        )}
+                        {selectedTemplate.footer_text && (
+                          <p className="text-xs text-[var(--text-muted)]">
+                            {renderTemplateText(selectedTemplate.footer_text, templateVariableSources, templateVariables, contacts)}
+                          </p>
+                        )}
+                      </div>
+                    </div>
+                  )}
+                </>
+              )
+            })()}
+          </div>
+        )}
+      </div>
+    ) : formData.channel === 'sms' ? (
+      <div className="border rounded-xl border-[var(--border)] p-4 space-y-4">
+        <div>
+          <CardTitle className="text-xl">SMS Configuration</CardTitle>
+          <CardDescription>Only contacts with a phone number and SMS consent will receive this message</CardDescription>
+        </div>
+        <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+          <div className="space-y-2">
+            <Label htmlFor="sms-body">Message *</Label>
+            <textarea
+              id="sms-body"
+              name="message_content"
+              value={formData.message_content}
+              onChange={handleInputChange}
+              placeholder="Hi {{name}}, our holiday sale starts today! Reply STOP to opt out."
+              rows="6"
+              maxLength={SMS_MAX_BODY_LENGTH}
+              className="w-full rounded-lg border border-[var(--border)] bg-[var(--card)] px-4 py-2 text-[var(--text)] placeholder:text-[var(--text-muted)] focus-visible:outline-none focus-visible:ring-2 focus-visible:ring-primary-500 focus-visible:ring-offset-2"
+            />
+            {(() => {
+              const { encoding, characters, segments, perSegment } = countSmsSegments(formData.message_content || '')
+              return (
+                <div className="flex flex-wrap items-center gap-2 text-xs text-[var(--text-muted)]">
+                  <span>{characters} characters</span>
+                  <span>·</span>
+                  <span>{segments} segment{segments !== 1 ? 's' : ''} ({perSegment} per segment)</span>
+                  <Badge variant={encoding === 'GSM-7' ? 'neutral' : 'warning'}>{encoding}</Badge>
+                </div>
+              )
+            })()}
+            <p className="text-xs text-[var(--text-muted)]">
+              Use {'{{name}}'}, {'{{phone}}'} or {'{{email}}'} to personalize. Emoji and other special characters switch to UCS-2 and shorten each segment to 70 characters.
+            </p>
+          </div>
+          <div className="space-y-2">
+            <Label>Preview</Label>
+            <div className="rounded-lg border border-[var(--border)] bg-[var(--card)] p-3 min-h-[160px]">
+              {formData.message_content
+                ? (
+                  <div className="max-w-xs rounded-2xl bg-primary-500/10 px-4 py-3 text-sm text-[var(--text)] whitespace-pre-wrap break-words">
+                    {renderSmsPreview(formData.message_content, contacts.find(c => c.consent_sms) || contacts[0])}
+                  </div>
+                )
+                : <p className="text-sm text-[var(--text-muted)]"><em>Your SMS will appear here.</em></p>}
+            </div>
+          </div>
+        </div>
+      </div>
+    ) : (
+      <div className="border rounded-xl border-[var(--border)] p-4 space-y-4">
+        <CardTitle className="text-xl">Email Configuration</CardTitle>
+        <div className="space-y-2">
+          <Label>Subject Line *</Label>
+          <Input
+            type="text"
+            name="subject"
+            value={formData.subject}
+            placeholder="e.g., Special Holiday Offer Just for You!"
+            onChange={(e) => setFormData(prev => ({ ...prev, subject: e.target.value }))}
+          />
+        </div>
+        <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+          <div className="space-y-3">
+            <Label>Message *</Label>
+            <div className="rounded-lg border border-[var(--border)] bg-[var(--card)]">
+              <ReactQuill
+                theme="snow"
+                value={formData.message_content}
+                onChange={(value) => setFormData(prev => ({ ...prev, message_content: value }))}
+                placeholder="Write your email content..."
+              />
+            </div>
+            <div className="space-y-2">
+              <Label>Plain Text Fallback (optional)</Label>
+              <textarea
+                name="textBody"
+                value={formData.textBody}
+                onChange={(e) => setFormData(prev => ({ ...prev, textBody: e.target.value }))}
+                placeholder="Optional plain text version"
+                rows="3"
+                className="w-full rounded-lg border border-[var(--border)] bg-[var(--card)] px-4 py-2 text-[var(--text)] placeholder:text-[var(--text-muted)] focus-visible:outline-none focus-visible:ring-2 focus-visible:ring-primary-500 focus-visible:ring-offset-2"
+              />
+              <p className="text-xs text-[var(--text-muted)]">If left blank, we’ll generate text from your HTML.</p>
+            </div>
+          </div>
+          <div className="space-y-2">
+            <Label>Preview</Label>
+            <div className="rounded-lg border border-[var(--border)] bg-[var(--card)] p-3 space-y-3">
+              <div>
+                <p className="text-xs text-[var(--text-muted)]">Subject</p>
+                <p className="text-sm text-[var(--text)] font-medium">{formData.subject || '(no subject)'}</p>
+              </div>
+              <div className="border border-dashed border-[var(--border)] rounded-lg p-3 min-h-[160px] bg-white text-[var(--text)]">
+                {formData.message_content
+                  ? <div dangerouslySetInnerHTML={{ __html: formData.message_content }} />
+                  : <p className="text-sm text-[var(--text-muted)]"><em>Your email content will appear here.</em></p>}
+              </div>
+            </div>
+          </div>
+        </div>
+      </div>
+    )
+  }
+
   const renderStep = () => {
     switch (currentStep) {
       case 0:
@@ -562,6 +998,17 @@ export default function CreateCampaignPage() {
                   />
                   <span>📧 Email</span>
                 </label>
+                <label className="flex items-center gap-3 text-[var(--text)]">
+                  <input
+                    type="radio"
+                    name="channel"
+                    value="sms"
+                    checked={formData.channel === 'sms'}
+                    onChange={handleChannelChange}
+                    className="h-4 w-4 text-primary-600"
+                  />
+                  <span>💬 SMS</span>
+                </label>
               </div>
             </div>
           </div>
@@ -595,8 +1042,45 @@ export default function CreateCampaignPage() {
                 />
                 <span>Filter by Tags</span>
               </label>
+              <label className="flex items-center gap-3 text-[var(--text)]">
+                <input
+                  type="radio"
+                  name="audienceType"
+                  value="segment"
+                  checked={formData.audienceType === 'segment'}
+                  onChange={handleAudienceTypeChange}
+                  className="h-4 w-4 text-primary-600"
+                />
+                <span>Saved Segment</span>
+              </label>
             </div>
 
+            {formData.audienceType === 'segment' && (
+              <div className="space-y-2">
+                <Label htmlFor="segmentId">Segment</Label>
+                {segments.length > 0 ? (
+                  <select
+                    id="segmentId"
+                    value={formData.segmentId}
+                    onChange={(e) => setFormData(prev => ({ ...prev, segmentId: e.target.value }))}
+                    className="w-full rounded-lg border border-[var(--border)] bg-[var(--card)] px-4 py-2 text-[var(--text)] h-11"
+                  >
+                    <option value="">Select a segment</option>
+                    {segments.map(segment => (
+                      <option key={segment.id} value={segment.id}>
+                        {segment.name} ({segment.contact_count} contacts)
+                      </option>
+                    ))}
+                  </select>
+                ) : (
+                  <p className="text-sm text-[var(--text-muted)]">No saved segments yet.</p>
+                )}
+                <Link to="/segments" className="text-sm text-primary-600 hover:underline">
+                  Manage segments
+                </Link>
+              </div>
+            )}
+
             {formData.audienceType === 'filtered' && tags.length > 0 && (
               <div className="space-y-2">
                 <Label>Select Tags</Label>
@@ -618,231 +1102,37 @@ export default function CreateCampaignPage() {
 
             <div className="rounded-lg border border-[var(--border)] bg-[var(--card)] p-4">
               <p className="text-sm font-semibold text-[var(--text)]">
-                Audience Preview: <span className="text-primary-600">{getAudienceCount()} contacts</span>
+                Audience Preview:{' '}
+                <span className="text-primary-600">
+                  {loadingAudiencePreview && !audiencePreview ? 'Calculating...' : `${getAudienceCount()} contacts`}
+                </span>
               </p>
               <p className="text-sm text-[var(--text-muted)] mt-1">
                 This campaign will be sent to {getAudienceCount()} contact{getAudienceCount() !== 1 ? 's' : ''}
+                {audiencePreview?.excluded_total > 0 && ` of ${audiencePreview.matched} matching`}
               </p>
+              {audiencePreview?.excluded_total > 0 && (
+                <p className="text-xs text-[var(--text-muted)] mt-1">
+                  Excluded: {describeExclusions(audiencePreview).join(', ')}
+                </p>
+              )}
             </div>
           </div>
         )
       case 2:
-        return formData.channel === 'whatsapp' ? (
-          <div className="border rounded-xl border-[var(--border)] p-4 space-y-4">
-            <div className="flex items-center justify-between">
-              <div>
-                <CardTitle className="text-xl">WhatsApp Configuration</CardTitle>
-                <CardDescription>Select a template synced from Settings</CardDescription>
-              </div>
-            </div>
-
-            <div className="space-y-2">
-              <Label>Template *</Label>
-              {templates.length > 0 ? (
-                <>
-                  <select
-                    name="template_id"
-                    value={formData.template_id}
-                    onChange={handleTemplateChange}
-                    className="w-full rounded-lg border border-[var(--border)] bg-[var(--card)] px-4 py-2 text-[var(--text)] focus-visible:outline-none focus-visible:ring-2 focus-visible:ring-primary-500 focus-visible:ring-offset-2"
-                  >
-                    <option value="">Select a template</option>
-                    {templates.map((template) => (
-                      <option key={template.id} value={template.id}>
-                        {template.name}
-                        {template.variables && template.variables.length > 0
-                          ? ` (${template.variables.join(', ')})`
-                          : ''}
-                      </option>
-                    ))}
-                  </select>
-                  <p className="text-sm text-[var(--text-muted)]">
-                    Templates synced from your WhatsApp Business account
-                  </p>
-                  {formData.template_id && (
-                    <div className="mt-3 rounded-lg border border-dashed border-[var(--border)] bg-[var(--card)] p-3">
-                      <p className="text-xs font-semibold text-[var(--text)]">Required placeholders</p>
-                      {(() => {
-                        const tmpl = getSelectedTemplate()
-                        const vars = tmpl?.variables || []
-                        if (vars.length === 0 && typeof tmpl?.variable_count === 'number') {
-                          return (
-                            <p className="text-xs text-[var(--text-muted)]">
-                              Template expects {tmpl.variable_count} placeholders.
-                            </p>
-                          )
-                        }
-                        if (vars.length === 0) {
-                          return <p className="text-xs text-[var(--text-muted)]">No variables required.</p>
-                        }
-                        return (
-                          <p className="text-xs text-[var(--text-muted)]">
-                            {vars.map((v, i) => `${v}${i < vars.length - 1 ? ', ' : ''}`)}
-                          </p>
-                        )
-                      })()}
-                    </div>
-                  )}
-                </>
-              ) : (
-                <Alert variant="warning">
-                  No templates available. Please sync templates in Settings first.
-                </Alert>
-              )}
-            </div>
-
-            {formData.template_id && templates.length > 0 && (
-              <div className="rounded-lg border border-[var(--border)] bg-[var(--card)] p-4">
-                {(() => {
-                  const selectedTemplate = getSelectedTemplate()
-                  return (
-                    <>
-                      <p className="text-sm font-semibold text-[var(--text)] mb-2">Template Variables</p>
-                      {selectedTemplate && selectedTemplate.variables && selectedTemplate.variables.length > 0 ? (
-                        <div className="space-y-3">
-                          <p className="text-sm text-[var(--text-muted)]">
-                            Provide values for each variable below or map to a contact field.
-                          </p>
-                          <div className="grid gap-3 md:grid-cols-2">
-                            {selectedTemplate.variables.map((variable) => {
-                              const source = templateVariableSources[variable] || 'custom'
-                              return (
-                                <div key={variable} className="space-y-2 rounded-lg border border-[var(--border)] bg-[var(--card)] p-3">
-                                  <div className="flex items-center justify-between gap-2">
-                                    <Label className="text-sm font-semibold">{variable}</Label>
-                                    <select
-                                      value={source}
-                                      onChange={(e) => handleTemplateVariableSourceChange(variable, e.target.value)}
-                                      className="rounded-md border border-[var(--border)] bg-[var(--card)] px-2 py-1 text-xs text-[var(--text)]"
-                                    >
-                                      <option value="custom">Custom value</option>
-                                      <option value="contact.name">Contact name</option>
-                                      <option value="contact.email">Contact email</option>
-                                      <option value="contact.phone">Contact phone</option>
-                                    </select>
-                                  </div>
-                                  {source !== 'custom' ? (
-                                    <p className="text-xs text-[var(--text-muted)]">
-                                      Will use {source.replace('contact.', 'contact ')}
-                                    </p>
-                                  ) : (
-                                    <Input
-                                      type="text"
-                                      value={templateVariables[variable] || ''}
-                                      onChange={(e) => handleTemplateVariableChange(variable, e.target.value)}
-                                      placeholder={`Value for ${variable}`}
-                                    />
-                                  )}
-                                </div>
-                              )
-                            })}
-                          </div>
-                          {selectedTemplate.header_type && ['IMAGE', 'VIDEO', 'DOCUMENT'].includes(selectedTemplate.header_type) && (
-                            <div className="space-y-2">
-                              <Label className="text-sm font-semibold">Media Header URL</Label>
-                              <Input
-                                type="url"
-                                value={headerMediaLink}
-                                onChange={(e) => setHeaderMediaLink(e.target.value)}
-                                placeholder="https://example.com/your-media.jpg"
-                              />
-                              <p className="text-xs text-[var(--text-muted)]">
-                                Required for {selectedTemplate.header_type.toLowerCase()} headers. Must be a publicly accessible URL.
-                              </p>
-                            </div>
-                          )}
-                        </div>
-                      ) : (
-                        <p className="text-sm text-[var(--text-muted)]">
-                          This template has no variables and will send the same message to all contacts.
-                        </p>
-                      )}
-
-                      {(selectedTemplate?.body || selectedTemplate?.header_text || selectedTemplate?.footer_text) && (
-                        <div className="mt-4 rounded-lg border border-[var(--border)] bg-[var(--card-alt, var(--card))] p-4">
-                          <p className="text-sm font-semibold text-[var(--text)] mb-2">Preview</p>
-                          <div className="space-y-2">
-                            {selectedTemplate.header_text && (
-                              <p className="text-xs uppercase tracking-wide text-[var(--text-muted)]">
-                                {renderTemplateText(selectedTemplate.header_text, templateVariableSources, templateVariables, contacts)}
-                              </p>
-                            )}
-                            {selectedTemplate.header_type && ['IMAGE', 'VIDEO', 'DOCUMENT'].includes(selectedTemplate.header_type) && (
-                              <p className="text-xs text-[var(--text-muted)]">
-                                Media header ({selectedTemplate.header_type.toLowerCase()}): {headerMediaLink || 'No URL provided'}
-                              </p>
-                            )}
-                            {selectedTemplate.body && (
-                              <p className="text-sm whitespace-pre-wrap text-[var(--text)]">
-                                {renderTemplateText(selectedTemplate.body, templateVariableSources, templateVariables, contacts)}
-                              </p>
-                            )}
-                            {selectedTemplate.footer_text && (
-                              <p className="text-xs text-[var(--text-muted)]">
-                                {renderTemplateText(selectedTemplate.footer_text, templateVariableSources, templateVariables, contacts)}
-                              </p>
-                            )}
-                          </div>
-                        </div>
-                      )}
-                    </>
-                  )
-                })()}
-              </div>
-            )}
-          </div>
-        ) : (
-          <div className="border rounded-xl border-[var(--border)] p-4 space-y-4">
-            <CardTitle className="text-xl">Email Configuration</CardTitle>
-            <div className="space-y-2">
-              <Label>Subject Line *</Label>
-              <Input
-                type="text"
-                name="subject"
-                value={formData.subject}
-                placeholder="e.g., Special Holiday Offer Just for You!"
-                onChange={(e) => setFormData(prev => ({ ...prev, subject: e.target.value }))}
+        return (
+          <div className="space-y-4">
+            {renderChannelContent()}
+            {AB_TEST_CHANNELS.includes(formData.channel) && (
+              <AbTestEditor
+                channel={formData.channel}
+                abTest={abTest}
+                onChange={setAbTest}
+                templates={templates}
+                attributeDefinitions={attributeDefinitions}
+                audienceCount={getAudienceCount()}
               />
-            </div>
-            <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
-              <div className="space-y-3">
-                <Label>Message *</Label>
-                <div className="rounded-lg border border-[var(--border)] bg-[var(--card)]">
-                  <ReactQuill
-                    theme="snow"
-                    value={formData.message_content}
-                    onChange={(value) => setFormData(prev => ({ ...prev, message_content: value }))}
-                    placeholder="Write your email content..."
-                  />
-                </div>
-                <div className="space-y-2">
-                  <Label>Plain Text Fallback (optional)</Label>
-                  <textarea
-                    name="textBody"
-                    value={formData.textBody}
-                    onChange={(e) => setFormData(prev => ({ ...prev, textBody: e.target.value }))}
-                    placeholder="Optional plain text version"
-                    rows="3"
-                    className="w-full rounded-lg border border-[var(--border)] bg-[var(--card)] px-4 py-2 text-[var(--text)] placeholder:text-[var(--text-muted)] focus-visible:outline-none focus-visible:ring-2 focus-visible:ring-primary-500 focus-visible:ring-offset-2"
-                  />
-                  <p className="text-xs text-[var(--text-muted)]">If left blank, we’ll generate text from your HTML.</p>
-                </div>
-              </div>
-              <div className="space-y-2">
-                <Label>Preview</Label>
-                <div className="rounded-lg border border-[var(--border)] bg-[var(--card)] p-3 space-y-3">
-                  <div>
-                    <p className="text-xs text-[var(--text-muted)]">Subject</p>
-                    <p className="text-sm text-[var(--text)] font-medium">{formData.subject || '(no subject)'}</p>
-                  </div>
-                  <div className="border border-dashed border-[var(--border)] rounded-lg p-3 min-h-[160px] bg-white text-[var(--text)]">
-                    {formData.message_content
-                      ? <div dangerouslySetInnerHTML={{ __html: formData.message_content }} />
-                      : <p className="text-sm text-[var(--text-muted)]"><em>Your email content will appear here.</em></p>}
-                  </div>
-                </div>
-              </div>
-            </div>
+            )}
           </div>
         )
       case 3:
@@ -855,20 +1145,73 @@ export default function CreateCampaignPage() {
                 <p className="text-sm text-[var(--text-muted)]">Name</p>
                 <p className="text-[var(--text)] font-semibold">{formData.name || '-'}</p>
                 <p className="text-sm text-[var(--text-muted)]">Channel</p>
-                <Badge variant="primary" className="capitalize">{formData.channel}</Badge>
+                <Badge variant="primary" className={formData.channel === 'sms' ? 'uppercase' : 'capitalize'}>{formData.channel}</Badge>
               </div>
               <div className="space-y-2">
                 <p className="text-sm text-[var(--text-muted)]">Audience</p>
                 <p className="text-[var(--text)]">
                   {formData.audienceType === 'all'
                     ? `All contacts (${contacts.length})`
-                    : `${formData.selectedTags.length} tag(s) selected`}
+                    : formData.audienceType === 'segment'
+                      ? `Segment: ${segments.find(s => s.id === formData.segmentId)?.name || '-'}`
+                      : `${formData.selectedTags.length} tag(s) selected`}
                 </p>
               </div>
             </div>
             <div className="space-y-2">
               <p className="text-sm text-[var(--text-muted)]">Summary</p>
               <p className="text-sm text-[var(--text-muted)]">Will send to {getAudienceCount()} contacts.</p>
+              {abTest.enabled && AB_TEST_CHANNELS.includes(formData.channel) && (
+                <p className="text-sm text-[var(--text-muted)]">
+                  A/B test: {abTest.variants.length + 1} variants to {abTest.testPercentage}% of the audience, winner sent to the rest after {formatWaitMinutes(abTest.waitMinutes)}.
+                </p>
+              )}
+              {audiencePreview?.excluded_total > 0 && (
+                <p className="text-sm text-[var(--text-muted)]">
+                  {audiencePreview.excluded_total} matching contact{audiencePreview.excluded_total !== 1 ? 's' : ''} excluded: {describeExclusions(audiencePreview).join(', ')}
+                </p>
+              )}
+            </div>
+            <div className="space-y-3 pt-2 border-t border-[var(--border)]">
+              <p className="text-sm text-[var(--text-muted)]">Delivery</p>
+              <div className="flex flex-col gap-2 md:flex-row md:gap-6">
+                <label className="flex items-center gap-2 text-sm text-[var(--text)]">
+                  <input
+                    type="radio"
+                    name="deliveryMode"
+                    value="draft"
+                    checked={deliveryMode === 'draft'}
+                    onChange={() => setDeliveryMode('draft')}
+                  />
+                  Save as draft
+                </label>
+                <label className="flex items-center gap-2 text-sm text-[var(--text)]">
+                  <input
+                    type="radio"
+                    name="deliveryMode"
+                    value="schedule"
+                    checked={deliveryMode === 'schedule'}
+                    onChange={() => {
+                      setDeliveryMode('schedule')
+                      if (!scheduleAt) setScheduleAt(nextHourInTimeZone(timezone))
+                    }}
+                  />
+                  Schedule for later
+                </label>
+              </div>
+              {deliveryMode === 'schedule' && (
+                <div className="space-y-2 max-w-sm">
+                  <Label htmlFor="schedule-at">Send at</Label>
+                  <Input
+                    id="schedule-at"
+                    type="datetime-local"
+                    value={scheduleAt}
+                    min={toTimeZoneInputValue(null, timezone)}
+                    onChange={(e) => setScheduleAt(e.target.value)}
+                  />
+                  <p className="text-xs text-[var(--text-muted)]">Times are in the workspace timezone ({timezone}).</p>
+                </div>
+              )}
             </div>
           </div>
         )
@@ -880,7 +1223,7 @@ export default function CreateCampaignPage() {
   return (
     <AppShell
       title={isEditing ? 'Edit Campaign' : 'Create Campaign'}
-      subtitle={isEditing ? 'Update your WhatsApp or Email campaign' : 'Create a new WhatsApp or Email campaign'}
+      subtitle={isEditing ? 'Update your WhatsApp, Email or SMS campaign' : 'Create a new WhatsApp, Email or SMS campaign'}
       actions={<Badge variant="primary">{isEditing ? 'Edit' : 'New'}</Badge>}
     >
       {error && (
@@ -925,7 +1268,11 @@ export default function CreateCampaignPage() {
               <Button onClick={goToNextStep}>Next</Button>
             ) : (
               <Button onClick={handleSubmit} disabled={loading}>
-                {loading ? (isEditing ? 'Saving...' : 'Creating...') : (isEditing ? 'Save Campaign' : 'Create Campaign')}
+                {loading
+                  ? (isEditing ? 'Saving...' : 'Creating...')
+                  : deliveryMode === 'schedule'
+                    ? 'Schedule Campaign'
+                    : (isEditing ? 'Save Campaign' : 'Create Campaign')}
               </Button>
             )}
           </div>
@@ -953,6 +1300,11 @@ function renderTemplateText(text, variableSources, variableValues, contacts) {
       const value = sampleContact[field] || ''
       return value || `{{${varName}}}`
     }
+    if (source.startsWith('attr.')) {
+      const sampleContact = (contacts && contacts[0]) || {}
+      const value = formatAttributeValue(sampleContact.custom_attributes?.[source.slice(5)])
+      return value || `{{${varName}}}`
+    }
     const val = valMap[varName]
     return val && String(val).trim() ? String(val).trim() : `{{${varName}}}`
   })
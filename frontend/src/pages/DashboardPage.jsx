@@ -204,6 +204,13 @@ export const DashboardPage = () => {
             </div>
           )}
 
+          {roiSnapshot?.email?.sent > 0 && (
+            <p className="text-sm text-[var(--text-muted)]" data-testid="roi-email-engagement">
+              Email: {roiSnapshot.email.open_rate.toFixed(1)}% opened and {roiSnapshot.email.click_rate.toFixed(1)}% clicked
+              across {roiSnapshot.email.sent} emails ({roiSnapshot.email.total_clicks} link clicks)
+            </p>
+          )}
+
           {roiSnapshot?.best_resend && (
             <Alert variant="success" className="mt-2">
               <div className="flex flex-col md:flex-row md:items-center md:justify-between gap-2">
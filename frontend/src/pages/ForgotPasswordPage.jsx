@@ -0,0 +1,110 @@
+import React, { useState } from 'react';
+import { Link } from 'react-router-dom';
+import {
+  Button,
+  Input,
+  Label,
+  Alert,
+  Card,
+  CardHeader,
+  CardTitle,
+  CardDescription,
+  CardContent,
+  CardFooter
+} from '../components/ui';
+
+/**
+ * Forgot Password Page
+ * Requests a password reset link by email
+ */
+export const ForgotPasswordPage = () => {
+  const [email, setEmail] = useState('');
+  const [error, setError] = useState('');
+  const [sentMessage, setSentMessage] = useState('');
+  const [loading, setLoading] = useState(false);
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setError('');
+
+    if (!email.trim()) {
+      setError('Email is required');
+      return;
+    }
+
+    setLoading(true);
+    try {
+      const response = await fetch('/api/auth/forgot-password', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        credentials: 'include',
+        body: JSON.stringify({ email: email.trim() })
+      });
+      const data = await response.json().catch(() => ({}));
+      if (!response.ok) {
+        setError(data.message || 'Could not send a reset link');
+      } else {
+        setSentMessage(data.message);
+      }
+    } catch (err) {
+      setError('Could not send a reset link. Please try again.');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  return (
+    <div className="min-h-screen bg-[var(--bg-gradient)] flex items-center justify-center py-12 px-4">
+      <Card className="w-full max-w-md shadow-2xl">
+        <CardHeader className="text-center space-y-3">
+          <CardTitle>Forgot your password?</CardTitle>
+          <CardDescription>Enter your account email and we&apos;ll send you a link to choose a new one.</CardDescription>
+        </CardHeader>
+
+        <CardContent className="space-y-4">
+          {error && (
+            <Alert variant="error" title="Request failed">
+              {error}
+            </Alert>
+          )}
+
+          {sentMessage ? (
+            <Alert variant="success" title="Check your email">
+              {sentMessage} The link works once, so use the most recent email if you asked more than once.
+            </Alert>
+          ) : (
+            <form onSubmit={handleSubmit} className="space-y-4">
+              <div className="space-y-2">
+                <Label htmlFor="email">Email Address</Label>
+                <Input
+                  type="email"
+                  id="email"
+                  name="email"
+                  value={email}
+                  onChange={(e) => {
+                    setEmail(e.target.value);
+                    setError('');
+                  }}
+                  placeholder="you@example.com"
+                  disabled={loading}
+                />
+              </div>
+
+              <Button type="submit" disabled={loading} className="w-full">
+                {loading ? 'Sending...' : 'Send Reset Link'}
+              </Button>
+            </form>
+          )}
+        </CardContent>
+
+        <CardFooter className="justify-center">
+          <Link to="/login" className="text-sm text-primary-600 hover:underline font-semibold">
+            Back to login
+          </Link>
+        </CardFooter>
+      </Card>
+    </div>
+  );
+};
+
+export default ForgotPasswordPage;
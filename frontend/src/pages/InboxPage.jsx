@@ -0,0 +1,509 @@
+import React, { useState, useEffect, useRef } from 'react'
+import { Link } from 'react-router-dom'
+import { useAuth } from '../context/AuthContext'
+import AppShell from '../components/layout/AppShell'
+import {
+  Button,
+  Input,
+  Label,
+  Card,
+  CardHeader,
+  CardTitle,
+  CardDescription,
+  CardContent,
+  Badge,
+  Alert,
+  LoadingState,
+  ErrorState
+} from '../components/ui'
+import { useTenantTimezone } from '../hooks/useTenantTimezone'
+import { formatInTimeZone } from '../utils/timezone'
+
+const POLL_INTERVAL_MS = 15000
+
+const selectClassName = 'w-full rounded-lg border border-[var(--border)] bg-[var(--card)] px-4 py-2 text-[var(--text)] h-11 focus-visible:outline-none focus-visible:ring-2 focus-visible:ring-primary-500 focus-visible:ring-offset-2'
+
+const formatWindowRemaining = (expiresAt) => {
+  if (!expiresAt) return ''
+  const ms = new Date(expiresAt).getTime() - Date.now()
+  if (ms <= 0) return ''
+  const hours = Math.floor(ms / (60 * 60 * 1000))
+  const minutes = Math.floor((ms % (60 * 60 * 1000)) / (60 * 1000))
+  return hours > 0 ? `${hours}h ${minutes}m left` : `${minutes}m left`
+}
+
+const getStatusLabel = (message) => {
+  if (message.direction === 'inbound') return ''
+  if (message.status === 'failed') return `Failed${message.status_reason ? `: ${message.status_reason}` : ''}`
+  return message.status ? message.status.charAt(0).toUpperCase() + message.status.slice(1) : ''
+}
+
+/**
+ * Inbox Page
+ * Shared team inbox for inbound WhatsApp conversations
+ */
+export default function InboxPage() {
+  const { user, hasRole } = useAuth()
+  const { timezone } = useTenantTimezone()
+  const canReply = hasRole('member')
+
+  const [conversations, setConversations] = useState([])
+  const [loading, setLoading] = useState(true)
+  const [error, setError] = useState(null)
+  const [statusFilter, setStatusFilter] = useState('open')
+  const [assigneeFilter, setAssigneeFilter] = useState('')
+  const [search, setSearch] = useState('')
+
+  const [selectedId, setSelectedId] = useState(null)
+  const [thread, setThread] = useState(null)
+  const [threadLoading, setThreadLoading] = useState(false)
+  const [threadError, setThreadError] = useState('')
+
+  const [assignees, setAssignees] = useState([])
+  const [templates, setTemplates] = useState([])
+  const [replyText, setReplyText] = useState('')
+  const [templateId, setTemplateId] = useState('')
+  const [templateVariables, setTemplateVariables] = useState({})
+  const [headerLink, setHeaderLink] = useState('')
+  const [sending, setSending] = useState(false)
+  const [actionError, setActionError] = useState('')
+  const messagesEndRef = useRef(null)
+
+  useEffect(() => {
+    fetchAssignees()
+    fetchTemplates()
+  }, [])
+
+  useEffect(() => {
+    fetchConversations()
+    const interval = setInterval(() => fetchConversations({ silent: true }), POLL_INTERVAL_MS)
+    return () => clearInterval(interval)
+  }, [statusFilter, assigneeFilter, search])
+
+  useEffect(() => {
+    if (!selectedId) {
+      setThread(null)
+      return undefined
+    }
+    fetchThread(selectedId)
+    const interval = setInterval(() => fetchThread(selectedId, { silent: true }), POLL_INTERVAL_MS)
+    return () => clearInterval(interval)
+  }, [selectedId])
+
+  useEffect(() => {
+    messagesEndRef.current?.scrollIntoView({ block: 'end' })
+  }, [thread?.messages?.length])
+
+  const fetchConversations = async ({ silent = false } = {}) => {
+    if (!silent) setLoading(true)
+    setError(null)
+    try {
+      const params = new URLSearchParams({ status: statusFilter })
+      if (assigneeFilter) params.append('assignee', assigneeFilter)
+      if (search) params.append('search', search)
+
+      const response = await fetch(`/api/inbox/conversations?${params.toString()}`, {
+        credentials: 'include'
+      })
+      if (!response.ok) {
+        throw new Error('Failed to fetch conversations')
+      }
+      const data = await response.json()
+      setConversations(data.data || [])
+    } catch (err) {
+      console.error('Error fetching conversations:', err)
+      if (!silent) setError('Failed to fetch conversations')
+    } finally {
+      if (!silent) setLoading(false)
+    }
+  }
+
+  const fetchThread = async (conversationId, { silent = false } = {}) => {
+    if (!silent) {
+      setThreadLoading(true)
+      setThreadError('')
+    }
+    try {
+      const response = await fetch(`/api/inbox/conversations/${conversationId}`, {
+        credentials: 'include'
+      })
+      if (!response.ok) {
+        throw new Error(response.status === 404 ? 'Conversation not found' : 'Failed to load conversation')
+      }
+      const data = await response.json()
+      setThread(data.data)
+      // Opening a thread marks it read
+      setConversations(prev => prev.map(c => (c.id === conversationId ? { ...c, unread_count: 0 } : c)))
+    } catch (err) {
+      console.error('Error fetching conversation:', err)
+      if (!silent) setThreadError(err.message || 'Failed to load conversation')
+    } finally {
+      if (!silent) setThreadLoading(false)
+    }
+  }
+
+  const fetchAssignees = async () => {
+    try {
+      const response = await fetch('/api/inbox/assignees', { credentials: 'include' })
+      if (!response.ok) return
+      const data = await response.json()
+      setAssignees(data.data || [])
+    } catch (err) {
+      console.error('Assignees load error:', err)
+    }
+  }
+
+  const fetchTemplates = async () => {
+    try {
+      const response = await fetch('/api/templates', { credentials: 'include' })
+      if (!response.ok) return
+      const data = await response.json()
+      const incoming = Array.isArray(data.templates)
+        ? data.templates
+        : Array.isArray(data.data)
+          ? data.data
+          : []
+      setTemplates(incoming.filter(t => t.status === 'APPROVED'))
+    } catch (err) {
+      // Templates are only needed once the reply window closes
+      console.error('Templates load error:', err)
+    }
+  }
+
+  const selectConversation = (conversationId) => {
+    setSelectedId(conversationId)
+    setReplyText('')
+    setTemplateId('')
+    setTemplateVariables({})
+    setHeaderLink('')
+    setActionError('')
+  }
+
+  const updateConversation = async (changes) => {
+    setActionError('')
+    try {
+      const response = await fetch(`/api/inbox/conversations/${thread.id}`, {
+        method: 'PATCH',
+        credentials: 'include',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify(changes)
+      })
+      const data = await response.json()
+      if (!response.ok) {
+        throw new Error(data.message || 'Failed to update conversation')
+      }
+      setThread(prev => ({ ...prev, ...data.data }))
+      fetchConversations({ silent: true })
+    } catch (err) {
+      console.error('Update conversation error:', err)
+      setActionError(err.message || 'Failed to update conversation')
+    }
+  }
+
+  const selectedTemplate = templates.find(t => t.id === templateId) || null
+  const needsHeaderLink = ['IMAGE', 'VIDEO', 'DOCUMENT'].includes(selectedTemplate?.header_type)
+
+  const handleSend = async (e) => {
+    e.preventDefault()
+    if (!thread) return
+    setActionError('')
+
+    const payload = thread.window_open
+      ? { type: 'text', text: replyText }
+      : {
+          type: 'template',
+          template_id: templateId,
+          variables: templateVariables,
+          ...(needsHeaderLink ? { media: { header_link: headerLink } } : {})
+        }
+
+    if (payload.type === 'text' && !replyText.trim()) return
+    if (payload.type === 'template' && !templateId) {
+      setActionError('Select an approved template')
+      return
+    }
+
+    try {
+      setSending(true)
+      const response = await fetch(`/api/inbox/conversations/${thread.id}/messages`, {
+        method: 'POST',
+        credentials: 'include',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify(payload)
+      })
+      const data = await response.json()
+      if (!response.ok) {
+        throw new Error(data.message || 'Failed to send message')
+      }
+      setThread(prev => ({ ...prev, messages: [...(prev.messages || []), data.data] }))
+      setReplyText('')
+      setTemplateId('')
+      setTemplateVariables({})
+      setHeaderLink('')
+      fetchConversations({ silent: true })
+    } catch (err) {
+      console.error('Send reply error:', err)
+      setActionError(err.message || 'Failed to send message')
+    } finally {
+      setSending(false)
+    }
+  }
+
+  const formatTime = (value) => (value ? formatInTimeZone(value, timezone) : '')
+
+  return (
+    <AppShell
+      title="Inbox"
+      subtitle="Reply to customers who message your WhatsApp number"
+    >
+      <div className="grid grid-cols-1 lg:grid-cols-3 gap-6">
+        <Card className="lg:col-span-1">
+          <CardHeader>
+            <CardTitle>Conversations</CardTitle>
+            <CardDescription>Most recent first</CardDescription>
+          </CardHeader>
+          <CardContent className="space-y-4">
+            <div className="grid grid-cols-2 gap-3">
+              <div className="space-y-2">
+                <Label htmlFor="inbox-status">Status</Label>
+                <select
+                  id="inbox-status"
+                  value={statusFilter}
+                  onChange={(e) => setStatusFilter(e.target.value)}
+                  className={selectClassName}
+                >
+                  <option value="open">Open</option>
+                  <option value="closed">Closed</option>
+                  <option value="all">All</option>
+                </select>
+              </div>
+              <div className="space-y-2">
+                <Label htmlFor="inbox-assignee">Assigned</Label>
+                <select
+                  id="inbox-assignee"
+                  value={assigneeFilter}
+                  onChange={(e) => setAssigneeFilter(e.target.value)}
+                  className={selectClassName}
+                >
+                  <option value="">Everyone</option>
+                  <option value="me">Me</option>
+                  <option value="unassigned">Unassigned</option>
+                </select>
+              </div>
+            </div>
+            <Input
+              type="text"
+              placeholder="Search name, phone or email..."
+              value={search}
+              onChange={(e) => setSearch(e.target.value)}
+              className="h-11"
+            />
+
+            {loading ? (
+              <LoadingState message="Loading conversations..." />
+            ) : error ? (
+              <ErrorState title="Unable to load conversations" description={error} onRetry={() => fetchConversations()} />
+            ) : conversations.length === 0 ? (
+              <p className="text-sm text-[var(--text-muted)] py-6 text-center">No conversations yet</p>
+            ) : (
+              <ul className="divide-y divide-[var(--border)] -mx-2">
+                {conversations.map((conversation) => (
+                  <li key={conversation.id}>
+                    <button
+                      type="button"
+                      onClick={() => selectConversation(conversation.id)}
+                      className={`w-full text-left px-2 py-3 rounded-lg transition-colors hover:bg-black/5 ${selectedId === conversation.id ? 'bg-primary-500/10' : ''}`}
+                    >
+                      <div className="flex items-center justify-between gap-2">
+                        <span className="font-semibold text-[var(--text)] truncate">
+                          {conversation.contact.name || conversation.contact.phone}
+                        </span>
+                        <span className="text-xs text-[var(--text-muted)] whitespace-nowrap">
+                          {formatTime(conversation.last_message_at)}
+                        </span>
+                      </div>
+                      <div className="flex items-center justify-between gap-2 mt-1">
+                        <span className="text-sm text-[var(--text-muted)] truncate">
+                          {conversation.last_message_preview || '—'}
+                        </span>
+                        {conversation.unread_count > 0 && (
+                          <Badge variant="primary">{conversation.unread_count}</Badge>
+                        )}
+                      </div>
+                      <div className="flex items-center gap-2 mt-1 text-xs text-[var(--text-muted)]">
+                        <span>{conversation.assigned_user ? (conversation.assigned_user.name || conversation.assigned_user.email) : 'Unassigned'}</span>
+                        {!conversation.window_open && <span>· Templates only</span>}
+                      </div>
+                    </button>
+                  </li>
+                ))}
+              </ul>
+            )}
+          </CardContent>
+        </Card>
+
+        <Card className="lg:col-span-2">
+          {!selectedId ? (
+            <CardContent className="py-16 text-center text-[var(--text-muted)]">
+              Select a conversation to view messages
+            </CardContent>
+          ) : threadLoading && !thread ? (
+            <CardContent>
+              <LoadingState message="Loading conversation..." />
+            </CardContent>
+          ) : threadError ? (
+            <CardContent>
+              <ErrorState title="Unable to load conversation" description={threadError} onRetry={() => fetchThread(selectedId)} />
+            </CardContent>
+          ) : thread && (
+            <>
+              <CardHeader>
+                <div className="flex flex-col md:flex-row md:items-start md:justify-between gap-4">
+                  <div>
+                    <CardTitle>
+                      <Link to={`/contacts/${thread.contact.id}`} className="hover:text-primary-600">
+                        {thread.contact.name || thread.contact.phone}
+                      </Link>
+                    </CardTitle>
+                    <CardDescription>{thread.contact.phone}</CardDescription>
+                    <div className="mt-2">
+                      {thread.window_open ? (
+                        <Badge variant="success">Reply window open · {formatWindowRemaining(thread.window_expires_at)}</Badge>
+                      ) : (
+                        <Badge variant="warning">Reply window closed · templates only</Badge>
+                      )}
+                    </div>
+                  </div>
+                  {canReply && (
+                    <div className="flex flex-col sm:flex-row gap-2 sm:items-end">
+                      <div className="space-y-1">
+                        <Label htmlFor="inbox-assign">Assigned to</Label>
+                        <select
+                          id="inbox-assign"
+                          value={thread.assigned_user?.id || ''}
+                          onChange={(e) => updateConversation({ assigned_user_id: e.target.value || null })}
+                          className={selectClassName}
+                        >
+                          <option value="">Unassigned</option>
+                          {assignees.map(member => (
+                            <option key={member.id} value={member.id}>
+                              {member.name || member.email}{member.id === user?.id ? ' (me)' : ''}
+                            </option>
+                          ))}
+                        </select>
+                      </div>
+                      <Button
+                        variant="secondary"
+                        onClick={() => updateConversation({ status: thread.status === 'open' ? 'closed' : 'open' })}
+                      >
+                        {thread.status === 'open' ? 'Close' : 'Reopen'}
+                      </Button>
+                    </div>
+                  )}
+                </div>
+              </CardHeader>
+              <CardContent className="space-y-4">
+                {actionError && <Alert variant="error">{actionError}</Alert>}
+
+                <div className="max-h-[28rem] overflow-y-auto space-y-3 pr-1">
+                  {(thread.messages || []).map(message => (
+                    <div key={message.id} className={`flex ${message.direction === 'outbound' ? 'justify-end' : 'justify-start'}`}>
+                      <div className={`max-w-[75%] rounded-2xl px-4 py-2 text-sm ${message.direction === 'outbound' ? 'bg-primary-500/10 text-[var(--text)]' : 'bg-black/5 text-[var(--text)]'}`}>
+                        {message.type === 'template' && (
+                          <div className="text-xs font-semibold text-[var(--text-muted)] mb-1">Template</div>
+                        )}
+                        <p className="whitespace-pre-wrap break-words">{message.body || `[${message.type}]`}</p>
+                        <div className="mt-1 text-[11px] text-[var(--text-muted)] flex gap-2 justify-end">
+                          {message.sent_by && <span>{message.sent_by.name || message.sent_by.email}</span>}
+                          <span>{formatTime(message.created_at)}</span>
+                          {getStatusLabel(message) && <span>{getStatusLabel(message)}</span>}
+                        </div>
+                      </div>
+                    </div>
+                  ))}
+                  <div ref={messagesEndRef} />
+                </div>
+
+                {canReply ? (
+                  <form onSubmit={handleSend} className="space-y-3 border-t border-[var(--border)] pt-4">
+                    {thread.window_open ? (
+                      <>
+                        <Label htmlFor="inbox-reply">Reply</Label>
+                        <textarea
+                          id="inbox-reply"
+                          value={replyText}
+                          onChange={(e) => setReplyText(e.target.value)}
+                          placeholder="Type a message..."
+                          rows="3"
+                          maxLength={4096}
+                          className="w-full rounded-lg border border-[var(--border)] bg-[var(--card)] px-4 py-2 text-[var(--text)] placeholder:text-[var(--text-muted)] focus-visible:outline-none focus-visible:ring-2 focus-visible:ring-primary-500 focus-visible:ring-offset-2"
+                        />
+                      </>
+                    ) : (
+                      <>
+                        <p className="text-sm text-[var(--text-muted)]">
+                          It has been more than 24 hours since the customer last wrote in. WhatsApp only allows approved templates until they reply.
+                        </p>
+                        <Label htmlFor="inbox-template">Template</Label>
+                        <select
+                          id="inbox-template"
+                          value={templateId}
+                          onChange={(e) => {
+                            setTemplateId(e.target.value)
+                            setTemplateVariables({})
+                            setHeaderLink('')
+                          }}
+                          className={selectClassName}
+                        >
+                          <option value="">Select an approved template</option>
+                          {templates.map(t => (
+                            <option key={t.id} value={t.id}>{t.name}</option>
+                          ))}
+                        </select>
+                        {selectedTemplate?.body && (
+                          <p className="text-sm text-[var(--text-muted)] whitespace-pre-wrap">{selectedTemplate.body}</p>
+                        )}
+                        {needsHeaderLink && (
+                          <div className="space-y-1">
+                            <Label htmlFor="inbox-header-link">{selectedTemplate.header_type.toLowerCase()} URL</Label>
+                            <Input
+                              id="inbox-header-link"
+                              type="url"
+                              value={headerLink}
+                              onChange={(e) => setHeaderLink(e.target.value)}
+                              placeholder="https://..."
+                            />
+                          </div>
+                        )}
+                        {(selectedTemplate?.variables || []).map(variable => (
+                          <div key={variable} className="space-y-1">
+                            <Label htmlFor={`inbox-var-${variable}`}>{`{{${variable}}}`}</Label>
+                            <Input
+                              id={`inbox-var-${variable}`}
+                              type="text"
+                              value={templateVariables[variable] || ''}
+                              onChange={(e) => setTemplateVariables(prev => ({ ...prev, [variable]: e.target.value }))}
+                            />
+                          </div>
+                        ))}
+                      </>
+                    )}
+                    <div className="flex justify-end">
+                      <Button type="submit" loading={sending} disabled={sending}>
+                        {thread.window_open ? 'Send' : 'Send Template'}
+                      </Button>
+                    </div>
+                  </form>
+                ) : (
+                  <p className="text-sm text-[var(--text-muted)] border-t border-[var(--border)] pt-4">
+                    Viewers can read conversations but cannot reply.
+                  </p>
+                )}
+              </CardContent>
+            </>
+          )}
+        </Card>
+      </div>
+    </AppShell>
+  )
+}
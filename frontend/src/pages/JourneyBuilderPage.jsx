@@ -0,0 +1,432 @@
+import React, { useEffect, useState } from 'react'
+import { Link, useNavigate, useParams } from 'react-router-dom'
+import { useAuth } from '../context/AuthContext'
+import AppShell from '../components/layout/AppShell'
+import JourneyFlow from '../components/journeys/JourneyFlow'
+import { StepEditor, TriggerEditor } from '../components/journeys/StepEditor'
+import {
+  Button,
+  Input,
+  Label,
+  Card,
+  CardHeader,
+  CardTitle,
+  CardDescription,
+  CardContent,
+  Badge,
+  Alert,
+  LoadingState,
+  ErrorState,
+  toast
+} from '../components/ui'
+import {
+  JOURNEY_STATUS_VARIANTS,
+  createEmptyJourneyDefinition,
+  getStepLabel,
+  insertStep,
+  removeStep,
+  updateStep
+} from '../utils/journeys'
+
+const ENROLLMENT_STATUS_VARIANTS = {
+  active: 'primary',
+  completed: 'success',
+  exited: 'neutral',
+  failed: 'danger'
+}
+
+/**
+ * Journey Builder Page
+ * Visual editor for a journey's trigger and steps, with per-step stats and enrollments
+ */
+export default function JourneyBuilderPage() {
+  const { id } = useParams()
+  const navigate = useNavigate()
+  const { hasRole } = useAuth()
+  const canManage = hasRole('member')
+  const isNew = !id
+
+  const [journey, setJourney] = useState(null)
+  const [name, setName] = useState('')
+  const [description, setDescription] = useState('')
+  const [allowReentry, setAllowReentry] = useState(false)
+  const [definition, setDefinition] = useState(createEmptyJourneyDefinition())
+  const [selectedId, setSelectedId] = useState('trigger')
+
+  const [tags, setTags] = useState([])
+  const [templates, setTemplates] = useState([])
+  const [dateAttributes, setDateAttributes] = useState([])
+  const [enrollments, setEnrollments] = useState([])
+
+  const [loading, setLoading] = useState(!isNew)
+  const [error, setError] = useState(null)
+  const [saveError, setSaveError] = useState(null)
+  const [saving, setSaving] = useState(false)
+  const [changingStatus, setChangingStatus] = useState(false)
+
+  // Active journeys are read-only; pause to edit
+  const readOnly = !canManage || journey?.status === 'active'
+
+  useEffect(() => {
+    fetchBuilderOptions()
+  }, [])
+
+  useEffect(() => {
+    if (!isNew) {
+      fetchJourney()
+      fetchEnrollments()
+    }
+  }, [id])
+
+  const fetchJourney = async () => {
+    try {
+      setLoading(true)
+      setError(null)
+      const res = await fetch(`/api/journeys/${id}`, { credentials: 'include' })
+      const data = await res.json()
+      if (!res.ok) {
+        throw new Error(data.message || 'Failed to load journey')
+      }
+      setJourney(data.data)
+      setName(data.data.name)
+      setDescription(data.data.description || '')
+      setAllowReentry(data.data.allow_reentry)
+      setDefinition(data.data.definition)
+    } catch (err) {
+      setError(err.message)
+    } finally {
+      setLoading(false)
+    }
+  }
+
+  const fetchEnrollments = async () => {
+    try {
+      const res = await fetch(`/api/journeys/${id}/enrollments?limit=20`, { credentials: 'include' })
+      const data = await res.json()
+      if (res.ok) setEnrollments(data.data || [])
+    } catch (err) {
+      console.error('Error loading journey enrollments:', err)
+    }
+  }
+
+  const fetchBuilderOptions = async () => {
+    try {
+      const [tagsRes, templatesRes, fieldsRes] = await Promise.all([
+        fetch('/api/contacts/tags/list', { credentials: 'include' }),
+        fetch('/api/templates', { credentials: 'include' }),
+        fetch('/api/segments/fields', { credentials: 'include' })
+      ])
+      const tagsData = await tagsRes.json()
+      const templatesData = await templatesRes.json()
+      const fieldsData = await fieldsRes.json()
+      if (tagsRes.ok) setTags(tagsData.data || [])
+      if (templatesRes.ok) setTemplates(templatesData.templates || templatesData.data || [])
+      if (fieldsRes.ok) {
+        setDateAttributes((fieldsData.data?.attributes || []).filter(attr => attr.type === 'date'))
+      }
+    } catch (err) {
+      console.error('Error loading journey builder options:', err)
+    }
+  }
+
+  const handleAddStep = (parentId, branch, type) => {
+    const result = insertStep(definition, parentId, branch, type, tags)
+    setDefinition(result.definition)
+    setSelectedId(result.step.id)
+  }
+
+  const handleRemoveStep = (stepId) => {
+    setDefinition(prev => removeStep(prev, stepId))
+    setSelectedId('trigger')
+  }
+
+  const handleSave = async () => {
+    if (!name.trim()) {
+      setSaveError('Journey name is required.')
+      return
+    }
+
+    try {
+      setSaving(true)
+      setSaveError(null)
+      const res = await fetch(isNew ? '/api/journeys' : `/api/journeys/${id}`, {
+        method: isNew ? 'POST' : 'PUT',
+        headers: { 'Content-Type': 'application/json' },
+        credentials: 'include',
+        body: JSON.stringify({
+          name: name.trim(),
+          description: description.trim(),
+          allow_reentry: allowReentry,
+          definition
+        })
+      })
+      const data = await res.json()
+      if (!res.ok) {
+        throw new Error(data.message || 'Failed to save journey')
+      }
+      toast({ title: 'Journey saved', description: data.message, variant: 'success' })
+      if (isNew) {
+        navigate(`/journeys/${data.data.id}`, { replace: true })
+      } else {
+        await fetchJourney()
+      }
+    } catch (err) {
+      setSaveError(err.message)
+    } finally {
+      setSaving(false)
+    }
+  }
+
+  const changeStatus = async (action) => {
+    try {
+      setChangingStatus(true)
+      setSaveError(null)
+      const res = await fetch(`/api/journeys/${id}/${action}`, {
+        method: 'POST',
+        credentials: 'include'
+      })
+      const data = await res.json()
+      if (!res.ok) {
+        throw new Error(data.message || `Failed to ${action} journey`)
+      }
+      await fetchJourney()
+    } catch (err) {
+      setSaveError(err.message)
+    } finally {
+      setChangingStatus(false)
+    }
+  }
+
+  const exitEnrollment = async (enrollment) => {
+    try {
+      const res = await fetch(`/api/journeys/${id}/enrollments/${enrollment.id}/exit`, {
+        method: 'POST',
+        credentials: 'include'
+      })
+      const data = await res.json()
+      if (!res.ok) {
+        throw new Error(data.message || 'Failed to exit enrollment')
+      }
+      await Promise.all([fetchEnrollments(), fetchJourney()])
+    } catch (err) {
+      toast({ title: 'Could not exit contact', description: err.message, variant: 'error' })
+    }
+  }
+
+  const selectedStep = definition.steps.find(step => step.id === selectedId)
+  const stepName = (stepId) => {
+    const step = definition.steps.find(s => s.id === stepId)
+    return step ? getStepLabel(step.type) : '—'
+  }
+
+  const actions = !isNew && journey && canManage && (
+    <div className="flex gap-2">
+      {journey.status === 'active' ? (
+        <Button variant="secondary" onClick={() => changeStatus('pause')} disabled={changingStatus} data-testid="pause-journey-button">
+          Pause
+        </Button>
+      ) : (
+        <Button onClick={() => changeStatus('activate')} disabled={changingStatus || saving} data-testid="activate-journey-button">
+          Activate
+        </Button>
+      )}
+    </div>
+  )
+
+  if (loading) {
+    return (
+      <AppShell title="Journey">
+        <LoadingState message="Loading journey..." />
+      </AppShell>
+    )
+  }
+
+  if (error) {
+    return (
+      <AppShell title="Journey">
+        <ErrorState title="Unable to load journey" description={error} onRetry={fetchJourney} />
+      </AppShell>
+    )
+  }
+
+  return (
+    <AppShell
+      title={isNew ? 'New Journey' : journey?.name}
+      subtitle={<Link to="/journeys" className="text-primary-600 hover:underline">← All journeys</Link>}
+      actions={actions}
+    >
+      {journey?.status === 'active' && (
+        <Alert type="info" title="This journey is live" className="mb-4">
+          Pause it to change the trigger or steps. Contacts waiting at a step you remove leave the journey.
+        </Alert>
+      )}
+
+      <Card className="mb-6">
+        <CardContent className="pt-6 space-y-4">
+          <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+            <div className="space-y-2">
+              <Label htmlFor="journey-name">Name</Label>
+              <Input
+                id="journey-name"
+                value={name}
+                onChange={(e) => setName(e.target.value)}
+                placeholder="e.g., Welcome series"
+                disabled={readOnly}
+              />
+            </div>
+            <div className="space-y-2">
+              <Label htmlFor="journey-description">Description</Label>
+              <Input
+                id="journey-description"
+                value={description}
+                onChange={(e) => setDescription(e.target.value)}
+                placeholder="Optional"
+                disabled={readOnly}
+              />
+            </div>
+          </div>
+          <div className="flex flex-wrap items-center justify-between gap-3">
+            <label className="flex items-center gap-2 text-sm text-[var(--text)]">
+              <input
+                type="checkbox"
+                checked={allowReentry}
+                onChange={(e) => setAllowReentry(e.target.checked)}
+                disabled={readOnly}
+              />
+              Let contacts go through this journey again after they finish
+            </label>
+            {journey && (
+              <div className="flex items-center gap-2">
+                <Badge variant={JOURNEY_STATUS_VARIANTS[journey.status] || 'neutral'}>{journey.status}</Badge>
+                <span className="text-sm text-[var(--text-muted)]">
+                  {journey.enrollments.active} active · {journey.enrollments.completed} completed
+                </span>
+              </div>
+            )}
+          </div>
+        </CardContent>
+      </Card>
+
+      <div className="grid grid-cols-1 lg:grid-cols-3 gap-6">
+        <div className="lg:col-span-2">
+          <JourneyFlow
+            definition={definition}
+            selectedId={selectedId}
+            onSelect={setSelectedId}
+            onAddStep={handleAddStep}
+            stepStats={journey?.step_stats}
+            tags={tags}
+            templates={templates}
+            readOnly={readOnly}
+          />
+        </div>
+        <Card>
+          <CardHeader>
+            <CardTitle className="text-lg">{selectedStep ? 'Step' : 'Trigger'}</CardTitle>
+            <CardDescription>
+              {selectedStep ? 'Choose what happens at this step.' : 'Contacts enter the journey when this happens.'}
+            </CardDescription>
+          </CardHeader>
+          <CardContent>
+            {selectedStep ? (
+              <StepEditor
+                step={selectedStep}
+                steps={definition.steps}
+                onChange={(step) => setDefinition(prev => updateStep(prev, step.id, step))}
+                onRemove={handleRemoveStep}
+                tags={tags}
+                templates={templates}
+                disabled={readOnly}
+              />
+            ) : (
+              <TriggerEditor
+                trigger={definition.trigger}
+                onChange={(trigger) => setDefinition(prev => ({ ...prev, trigger }))}
+                tags={tags}
+                dateAttributes={dateAttributes}
+                disabled={readOnly}
+              />
+            )}
+          </CardContent>
+        </Card>
+      </div>
+
+      {saveError && (
+        <Alert type="error" title="Could not save" className="mt-6">
+          {saveError}
+        </Alert>
+      )}
+
+      {!readOnly && (
+        <div className="mt-6 flex justify-end gap-3">
+          <Button variant="secondary" onClick={() => navigate('/journeys')} disabled={saving}>
+            Cancel
+          </Button>
+          <Button onClick={handleSave} disabled={saving || definition.steps.length === 0} data-testid="save-journey-button">
+            {saving ? 'Saving...' : 'Save Journey'}
+          </Button>
+        </div>
+      )}
+
+      {!isNew && (
+        <Card className="mt-6 overflow-hidden">
+          <CardHeader>
+            <CardTitle className="text-lg">Recent enrollments</CardTitle>
+          </CardHeader>
+          {enrollments.length === 0 ? (
+            <CardContent>
+              <p className="text-sm text-[var(--text-muted)]">No contacts have entered this journey yet.</p>
+            </CardContent>
+          ) : (
+            <table className="min-w-full divide-y divide-[var(--border)]" data-testid="journey-enrollments-table">
+              <thead className="bg-black/5">
+                <tr>
+                  <th className="px-6 py-3 text-left text-xs font-medium text-[var(--text-muted)] uppercase tracking-wider">Contact</th>
+                  <th className="px-6 py-3 text-left text-xs font-medium text-[var(--text-muted)] uppercase tracking-wider">Status</th>
+                  <th className="px-6 py-3 text-left text-xs font-medium text-[var(--text-muted)] uppercase tracking-wider">Current step</th>
+                  <th className="px-6 py-3 text-left text-xs font-medium text-[var(--text-muted)] uppercase tracking-wider">Enrolled</th>
+                  <th className="px-6 py-3 text-left text-xs font-medium text-[var(--text-muted)] uppercase tracking-wider">Actions</th>
+                </tr>
+              </thead>
+              <tbody className="divide-y divide-[var(--border)]">
+                {enrollments.map(enrollment => (
+                  <tr key={enrollment.id}>
+                    <td className="px-6 py-4">
+                      <Link to={`/contacts/${enrollment.contact.id}`} className="font-medium text-[var(--text)] hover:text-primary-600">
+                        {enrollment.contact.name || enrollment.contact.phone || enrollment.contact.email || 'Deleted contact'}
+                      </Link>
+                    </td>
+                    <td className="px-6 py-4 whitespace-nowrap">
+                      <Badge variant={ENROLLMENT_STATUS_VARIANTS[enrollment.status] || 'neutral'}>{enrollment.status}</Badge>
+                      {enrollment.exit_reason && (
+                        <p className="mt-1 text-xs text-[var(--text-muted)]">{enrollment.exit_reason}</p>
+                      )}
+                    </td>
+                    <td className="px-6 py-4 whitespace-nowrap text-sm text-[var(--text)]">
+                      {enrollment.status === 'active' ? stepName(enrollment.current_step_id) : '—'}
+                      {enrollment.status === 'active' && enrollment.next_run_at && (
+                        <p className="text-xs text-[var(--text-muted)]">
+                          next at {new Date(enrollment.next_run_at).toLocaleString()}
+                        </p>
+                      )}
+                    </td>
+                    <td className="px-6 py-4 whitespace-nowrap text-sm text-[var(--text-muted)]">
+                      {new Date(enrollment.enrolled_at).toLocaleString()}
+                    </td>
+                    <td className="px-6 py-4 whitespace-nowrap">
+                      {enrollment.status === 'active' && canManage && (
+                        <Button size="sm" variant="ghost" onClick={() => exitEnrollment(enrollment)}>
+                          Exit
+                        </Button>
+                      )}
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          )}
+        </Card>
+      )}
+    </AppShell>
+  )
+}
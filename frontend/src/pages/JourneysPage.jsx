@@ -0,0 +1,197 @@
+import React, { useEffect, useState } from 'react'
+import { Link, useNavigate } from 'react-router-dom'
+import { useAuth } from '../context/AuthContext'
+import AppShell from '../components/layout/AppShell'
+import {
+  Button,
+  Card,
+  Badge,
+  Alert,
+  Dialog,
+  LoadingState,
+  ErrorState
+} from '../components/ui'
+import { JOURNEY_STATUS_VARIANTS, TRIGGER_TYPES } from '../utils/journeys'
+
+/**
+ * Journeys Page
+ * Multi-step drip journeys that contacts enter when something happens to them
+ */
+export default function JourneysPage() {
+  const navigate = useNavigate()
+  const { hasRole } = useAuth()
+  const canManage = hasRole('member')
+
+  const [journeys, setJourneys] = useState([])
+  const [loading, setLoading] = useState(true)
+  const [error, setError] = useState(null)
+  const [busyId, setBusyId] = useState(null)
+
+  const [archiveTarget, setArchiveTarget] = useState(null)
+  const [archiving, setArchiving] = useState(false)
+
+  useEffect(() => {
+    fetchJourneys()
+  }, [])
+
+  const fetchJourneys = async () => {
+    try {
+      setLoading(true)
+      setError(null)
+      const res = await fetch('/api/journeys', { credentials: 'include' })
+      const data = await res.json()
+      if (!res.ok) {
+        throw new Error(data.message || 'Failed to load journeys')
+      }
+      setJourneys(data.data || [])
+    } catch (err) {
+      setError(err.message)
+    } finally {
+      setLoading(false)
+    }
+  }
+
+  const changeStatus = async (journey, action) => {
+    try {
+      setBusyId(journey.id)
+      setError(null)
+      const res = await fetch(`/api/journeys/${journey.id}/${action}`, {
+        method: 'POST',
+        credentials: 'include'
+      })
+      const data = await res.json()
+      if (!res.ok) {
+        throw new Error(data.message || `Failed to ${action} journey`)
+      }
+      await fetchJourneys()
+    } catch (err) {
+      setError(err.message)
+    } finally {
+      setBusyId(null)
+    }
+  }
+
+  const handleArchive = async () => {
+    if (!archiveTarget) return
+    try {
+      setArchiving(true)
+      const res = await fetch(`/api/journeys/${archiveTarget.id}`, {
+        method: 'DELETE',
+        credentials: 'include'
+      })
+      const data = await res.json()
+      if (!res.ok) {
+        throw new Error(data.message || 'Failed to archive journey')
+      }
+      setArchiveTarget(null)
+      await fetchJourneys()
+    } catch (err) {
+      setError(err.message)
+      setArchiveTarget(null)
+    } finally {
+      setArchiving(false)
+    }
+  }
+
+  const triggerLabel = (type) => TRIGGER_TYPES.find(option => option.value === type)?.label || type
+
+  return (
+    <AppShell
+      title="Journeys"
+      subtitle="Automated message sequences that start when a contact is created, tagged, replies or reaches a date"
+      actions={canManage && (
+        <Button onClick={() => navigate('/journeys/new')} data-testid="new-journey-button">
+          New Journey
+        </Button>
+      )}
+    >
+      {error && journeys.length > 0 && (
+        <Alert type="error" title="Error" className="mb-4">
+          {error}
+        </Alert>
+      )}
+
+      {loading ? (
+        <LoadingState message="Loading journeys..." />
+      ) : error && journeys.length === 0 ? (
+        <ErrorState title="Unable to load journeys" description={error} onRetry={fetchJourneys} />
+      ) : journeys.length === 0 ? (
+        <Card className="p-12 text-center" data-testid="empty-journeys">
+          <p className="text-[var(--text-muted)]">
+            No journeys yet. Create one to welcome new contacts or follow up automatically.
+          </p>
+        </Card>
+      ) : (
+        <Card className="overflow-hidden">
+          <table className="min-w-full divide-y divide-[var(--border)]" data-testid="journeys-table">
+            <thead className="bg-black/5">
+              <tr>
+                <th className="px-6 py-3 text-left text-xs font-medium text-[var(--text-muted)] uppercase tracking-wider">Name</th>
+                <th className="px-6 py-3 text-left text-xs font-medium text-[var(--text-muted)] uppercase tracking-wider">Trigger</th>
+                <th className="px-6 py-3 text-left text-xs font-medium text-[var(--text-muted)] uppercase tracking-wider">Status</th>
+                <th className="px-6 py-3 text-left text-xs font-medium text-[var(--text-muted)] uppercase tracking-wider">In journey</th>
+                <th className="px-6 py-3 text-left text-xs font-medium text-[var(--text-muted)] uppercase tracking-wider">Completed</th>
+                <th className="px-6 py-3 text-left text-xs font-medium text-[var(--text-muted)] uppercase tracking-wider">Actions</th>
+              </tr>
+            </thead>
+            <tbody className="divide-y divide-[var(--border)]">
+              {journeys.map(journey => (
+                <tr key={journey.id} className="hover:bg-black/3 transition">
+                  <td className="px-6 py-4">
+                    <Link to={`/journeys/${journey.id}`} className="font-medium text-[var(--text)] hover:text-primary-600">
+                      {journey.name}
+                    </Link>
+                    {journey.description && (
+                      <p className="text-sm text-[var(--text-muted)]">{journey.description}</p>
+                    )}
+                  </td>
+                  <td className="px-6 py-4 whitespace-nowrap text-sm text-[var(--text)]">{triggerLabel(journey.trigger_type)}</td>
+                  <td className="px-6 py-4 whitespace-nowrap">
+                    <Badge variant={JOURNEY_STATUS_VARIANTS[journey.status] || 'neutral'}>{journey.status}</Badge>
+                  </td>
+                  <td className="px-6 py-4 whitespace-nowrap text-[var(--text)]">{journey.enrollments.active}</td>
+                  <td className="px-6 py-4 whitespace-nowrap text-[var(--text)]">{journey.enrollments.completed}</td>
+                  <td className="px-6 py-4 whitespace-nowrap">
+                    <div className="flex gap-2">
+                      {journey.status === 'active' ? (
+                        <Button size="sm" variant="secondary" onClick={() => changeStatus(journey, 'pause')} disabled={!canManage || busyId === journey.id}>
+                          Pause
+                        </Button>
+                      ) : (
+                        <Button size="sm" variant="secondary" onClick={() => changeStatus(journey, 'activate')} disabled={!canManage || busyId === journey.id}>
+                          Activate
+                        </Button>
+                      )}
+                      <Button size="sm" variant="ghost" onClick={() => setArchiveTarget(journey)} disabled={!canManage}>
+                        Archive
+                      </Button>
+                    </div>
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </Card>
+      )}
+
+      <Dialog
+        open={Boolean(archiveTarget)}
+        onClose={() => setArchiveTarget(null)}
+        title="Archive journey"
+        description={archiveTarget
+          ? `Archive "${archiveTarget.name}"? ${archiveTarget.enrollments.active} contacts still in it will leave the journey. Messages already sent keep their history.`
+          : ''}
+        footer={(
+          <>
+            <Button variant="secondary" onClick={() => setArchiveTarget(null)} disabled={archiving}>
+              Cancel
+            </Button>
+            <Button variant="danger" onClick={handleArchive} disabled={archiving}>
+              {archiving ? 'Archiving...' : 'Archive'}
+            </Button>
+          </>
+        )}
+      />
+    </AppShell>
+  )
+}
@@ -1,5 +1,5 @@
 import React, { useState } from 'react';
-import { useNavigate, Link } from 'react-router-dom';
+import { useNavigate, Link, useSearchParams } from 'react-router-dom';
 import { useAuth } from '../context/AuthContext';
 import {
   Button,
@@ -21,14 +21,21 @@ import {
  */
 export const LoginPage = () => {
   const navigate = useNavigate();
-  const { login, error: authError } = useAuth();
+  const [searchParams] = useSearchParams();
+  const { login, verifyTwoFactor, error: authError } = useAuth();
 
   const [formData, setFormData] = useState({
     email: '',
     password: ''
   });
-  const [error, setError] = useState('');
+  // Set when the identity provider sent the browser back with a failure
+  const [error, setError] = useState(searchParams.get('sso_error') || '');
   const [loading, setLoading] = useState(false);
+  // Second step for accounts with two-factor authentication (also after their SSO sign-in)
+  const [twoFactorStep, setTwoFactorStep] = useState(searchParams.get('two_factor') === '1');
+  const [code, setCode] = useState('');
+  // Single sign-on offered for the email's domain ({ tenant_name, enforced, login_url })
+  const [sso, setSso] = useState(null);
 
   const handleChange = (e) => {
     const { name, value } = e.target;
@@ -37,6 +44,29 @@ export const LoginPage = () => {
       [name]: value
     }));
     setError(''); // Clear error on input change
+    if (name === 'email') setSso(null);
+  };
+
+  const discoverSso = async () => {
+    const email = formData.email.trim();
+    if (!email.includes('@')) return;
+
+    try {
+      const response = await fetch('/api/auth/sso/discover', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        credentials: 'include',
+        body: JSON.stringify({ email })
+      });
+      const data = await response.json();
+      setSso(response.ok && data.data?.sso ? data.data : null);
+    } catch {
+      setSso(null);
+    }
+  };
+
+  const continueWithSso = (loginUrl) => {
+    window.location.assign(loginUrl);
   };
 
   const handleSubmit = async (e) => {
@@ -57,22 +87,58 @@ export const LoginPage = () => {
     setLoading(true);
     const result = await login(formData.email, formData.password);
 
+    if (result.success && result.twoFactorRequired) {
+      setTwoFactorStep(true);
+    } else if (result.success) {
+      goToApp(result.data);
+    } else {
+      setError(result.error);
+      if (result.ssoLoginUrl) {
+        setSso(prev => ({ ...prev, enforced: true, login_url: result.ssoLoginUrl }));
+      }
+    }
+
+    setLoading(false);
+  };
+
+  const goToApp = (data = {}) => {
+    const platformRole = data.role_global;
+    const hasPlatformRole = ['platform_admin', 'system_admin', 'platform_support'].includes(platformRole);
+    const needsTenantChoice = !hasPlatformRole && (
+      data.must_select_tenant || ((data.tenants || []).length > 1 && !data.active_tenant_id)
+    );
+    const targetPath = hasPlatformRole ? '/admin/tenants' : (needsTenantChoice ? '/tenants' : '/dashboard');
+    navigate(targetPath);
+  };
+
+  const handleCodeSubmit = async (e) => {
+    e.preventDefault();
+    setError('');
+
+    if (!code.trim()) {
+      setError('Enter the code from your authenticator app');
+      return;
+    }
+
+    setLoading(true);
+    const result = await verifyTwoFactor(code.trim());
+
     if (result.success) {
-      const data = result.data || {};
-      const platformRole = data.role_global;
-      const hasPlatformRole = ['platform_admin', 'system_admin', 'platform_support'].includes(platformRole);
-      const needsTenantChoice = !hasPlatformRole && (
-        data.must_select_tenant || ((data.tenants || []).length > 1 && !data.active_tenant_id)
-      );
-      const targetPath = hasPlatformRole ? '/admin/tenants' : (needsTenantChoice ? '/tenants' : '/dashboard');
-      navigate(targetPath);
+      goToApp(result.data);
     } else {
       setError(result.error);
+      setCode('');
     }
 
     setLoading(false);
   };
 
+  const backToPassword = () => {
+    setTwoFactorStep(false);
+    setCode('');
+    setError('');
+  };
+
   return (
     <div className="min-h-screen bg-[var(--bg-gradient)] flex items-center justify-center py-12 px-4">
       <Card className="w-full max-w-md shadow-2xl">
@@ -94,37 +160,87 @@ export const LoginPage = () => {
             </Alert>
           )}
 
-          <form onSubmit={handleSubmit} className="space-y-4">
-            <div className="space-y-2">
-              <Label htmlFor="email">Email Address</Label>
-              <Input
-                type="email"
-                id="email"
-                name="email"
-                value={formData.email}
-                onChange={handleChange}
-                placeholder="you@example.com"
-                disabled={loading}
-              />
-            </div>
+          {twoFactorStep ? (
+            <form onSubmit={handleCodeSubmit} className="space-y-4">
+              <div className="space-y-2">
+                <Label htmlFor="code">Authentication code</Label>
+                <Input
+                  id="code"
+                  name="code"
+                  value={code}
+                  onChange={(e) => {
+                    setCode(e.target.value);
+                    setError('');
+                  }}
+                  placeholder="123456"
+                  autoComplete="one-time-code"
+                  autoFocus
+                  disabled={loading}
+                />
+                <p className="text-xs text-[var(--text-muted)]">
+                  Enter the 6-digit code from your authenticator app, or one of your recovery codes.
+                </p>
+              </div>
 
-            <div className="space-y-2">
-              <Label htmlFor="password">Password</Label>
-              <Input
-                type="password"
-                id="password"
-                name="password"
-                value={formData.password}
-                onChange={handleChange}
-                placeholder="Enter your password"
-                disabled={loading}
-              />
-            </div>
+              <Button type="submit" disabled={loading} className="w-full">
+                {loading ? 'Verifying...' : 'Verify'}
+              </Button>
+              <Button type="button" variant="ghost" onClick={backToPassword} disabled={loading} className="w-full">
+                Back to login
+              </Button>
+            </form>
+          ) : (
+            <form onSubmit={handleSubmit} className="space-y-4">
+              <div className="space-y-2">
+                <Label htmlFor="email">Email Address</Label>
+                <Input
+                  type="email"
+                  id="email"
+                  name="email"
+                  value={formData.email}
+                  onChange={handleChange}
+                  onBlur={discoverSso}
+                  placeholder="you@example.com"
+                  disabled={loading}
+                />
+              </div>
 
-            <Button type="submit" disabled={loading} className="w-full">
-              {loading ? 'Logging in...' : 'Log In'}
-            </Button>
-          </form>
+              {sso && (
+                <div className="space-y-2 rounded-lg border border-[var(--border)] p-3">
+                  <p className="text-sm text-[var(--text-muted)]">
+                    {sso.enforced
+                      ? `${sso.tenant_name || 'Your organization'} requires single sign-on.`
+                      : `${sso.tenant_name || 'Your organization'} uses single sign-on.`}
+                  </p>
+                  <Button type="button" variant="secondary" onClick={() => continueWithSso(sso.login_url)} disabled={loading} className="w-full">
+                    Continue with SSO
+                  </Button>
+                </div>
+              )}
+
+              <div className="space-y-2">
+                <div className="flex items-center justify-between">
+                  <Label htmlFor="password">Password</Label>
+                  <Link to="/forgot-password" className="text-sm text-primary-600 hover:underline">
+                    Forgot password?
+                  </Link>
+                </div>
+                <Input
+                  type="password"
+                  id="password"
+                  name="password"
+                  value={formData.password}
+                  onChange={handleChange}
+                  placeholder="Enter your password"
+                  disabled={loading}
+                />
+              </div>
+
+              <Button type="submit" disabled={loading} className="w-full">
+                {loading ? 'Logging in...' : 'Log In'}
+              </Button>
+            </form>
+          )}
         </CardContent>
 
         <CardFooter className="flex flex-col gap-4">
@@ -2,6 +2,8 @@ import React, { useEffect, useState } from 'react'
 import AppShell from '../components/layout/AppShell'
 import { Card, CardContent, CardHeader, CardTitle, CardDescription, Button, Input, Label, Alert } from '../components/ui'
 import { useAuth } from '../context/AuthContext'
+import TwoFactorSettings from '../components/TwoFactorSettings'
+import ActiveSessions from '../components/ActiveSessions'
 import { timezoneOptions } from '../data/timezones'
 
 export default function ProfilePage() {
@@ -114,7 +116,7 @@ export default function ProfilePage() {
   }
 
   return (
-    <AppShell title="Profile" subtitle="Manage your account info and password">
+    <AppShell title="Profile" subtitle="Manage your account info, password and two-factor authentication">
       {!isAuthenticated && (
         <Alert variant="warning" className="mb-4">You are not signed in.</Alert>
       )}
@@ -237,6 +239,10 @@ export default function ProfilePage() {
             </form>
           </CardContent>
         </Card>
+
+        <TwoFactorSettings />
+
+        <ActiveSessions />
       </div>
     </AppShell>
   )
@@ -0,0 +1,152 @@
+import React, { useState } from 'react';
+import { Link, useNavigate, useSearchParams } from 'react-router-dom';
+import {
+  Button,
+  Input,
+  Label,
+  Alert,
+  Card,
+  CardHeader,
+  CardTitle,
+  CardDescription,
+  CardContent,
+  CardFooter
+} from '../components/ui';
+
+/**
+ * Reset Password Page
+ * Sets a new password with the token from a reset email
+ */
+export const ResetPasswordPage = () => {
+  const navigate = useNavigate();
+  const [searchParams] = useSearchParams();
+  const token = searchParams.get('token');
+
+  const [formData, setFormData] = useState({
+    password: '',
+    confirmPassword: ''
+  });
+  const [error, setError] = useState('');
+  const [done, setDone] = useState(false);
+  const [loading, setLoading] = useState(false);
+
+  const handleChange = (e) => {
+    const { name, value } = e.target;
+    setFormData(prev => ({
+      ...prev,
+      [name]: value
+    }));
+    setError('');
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setError('');
+
+    if (formData.password.length < 9) {
+      setError('Password must be at least 9 characters');
+      return;
+    }
+    if (formData.password !== formData.confirmPassword) {
+      setError('Passwords do not match');
+      return;
+    }
+
+    setLoading(true);
+    try {
+      const response = await fetch('/api/auth/reset-password', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        credentials: 'include',
+        body: JSON.stringify({ token, new_password: formData.password })
+      });
+      const data = await response.json().catch(() => ({}));
+      if (!response.ok) {
+        setError(data.message || 'Could not reset your password');
+      } else {
+        setDone(true);
+      }
+    } catch (err) {
+      setError('Could not reset your password. Please try again.');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  return (
+    <div className="min-h-screen bg-[var(--bg-gradient)] flex items-center justify-center py-12 px-4">
+      <Card className="w-full max-w-md shadow-2xl">
+        <CardHeader className="text-center space-y-3">
+          <CardTitle>Choose a new password</CardTitle>
+          <CardDescription>Resetting your password signs you out on every other device.</CardDescription>
+        </CardHeader>
+
+        <CardContent className="space-y-4">
+          {!token ? (
+            <Alert variant="error" title="Invalid link">
+              This password reset link is missing its token. Request a new one.
+            </Alert>
+          ) : done ? (
+            <Alert variant="success" title="Password reset">
+              Your password has been changed. Log in with your new password.
+            </Alert>
+          ) : (
+            <>
+              {error && (
+                <Alert variant="error" title="Reset failed">
+                  {error}
+                </Alert>
+              )}
+
+              <form onSubmit={handleSubmit} className="space-y-4">
+                <div className="space-y-2">
+                  <Label htmlFor="password">New Password</Label>
+                  <Input
+                    type="password"
+                    id="password"
+                    name="password"
+                    value={formData.password}
+                    onChange={handleChange}
+                    placeholder="At least 9 characters"
+                    disabled={loading}
+                  />
+                </div>
+
+                <div className="space-y-2">
+                  <Label htmlFor="confirmPassword">Confirm Password</Label>
+                  <Input
+                    type="password"
+                    id="confirmPassword"
+                    name="confirmPassword"
+                    value={formData.confirmPassword}
+                    onChange={handleChange}
+                    placeholder="Repeat your new password"
+                    disabled={loading}
+                  />
+                </div>
+
+                <Button type="submit" disabled={loading} className="w-full">
+                  {loading ? 'Saving...' : 'Reset Password'}
+                </Button>
+              </form>
+            </>
+          )}
+        </CardContent>
+
+        <CardFooter className="flex flex-col gap-2">
+          {done ? (
+            <Button className="w-full" onClick={() => navigate('/login')}>
+              Go to Login
+            </Button>
+          ) : (
+            <Link to="/forgot-password" className="text-sm text-primary-600 hover:underline font-semibold">
+              Request a new link
+            </Link>
+          )}
+        </CardFooter>
+      </Card>
+    </div>
+  );
+};
+
+export default ResetPasswordPage;
@@ -0,0 +1,357 @@
+import React, { useEffect, useState } from 'react'
+import { useAuth } from '../context/AuthContext'
+import AppShell from '../components/layout/AppShell'
+import SegmentBuilder from '../components/segments/SegmentBuilder'
+import {
+  Button,
+  Input,
+  Label,
+  Card,
+  CardHeader,
+  CardTitle,
+  CardDescription,
+  CardContent,
+  Badge,
+  Alert,
+  Dialog,
+  LoadingState,
+  ErrorState
+} from '../components/ui'
+import { createEmptyDefinition } from '../utils/segments'
+
+// Wait for the user to stop editing before asking the server for a new estimate
+const ESTIMATE_DEBOUNCE_MS = 400
+
+/**
+ * Segments Page
+ * Saved audience definitions with a visual AND/OR/NOT builder and live size estimates
+ */
+export default function SegmentsPage() {
+  const { hasRole } = useAuth()
+  const canManage = hasRole('member')
+
+  const [segments, setSegments] = useState([])
+  const [tags, setTags] = useState([])
+  const [attributeKeys, setAttributeKeys] = useState([])
+  const [loading, setLoading] = useState(true)
+  const [error, setError] = useState(null)
+
+  // Editor state; editing.id is null for a new segment
+  const [editing, setEditing] = useState(null)
+  const [saving, setSaving] = useState(false)
+  const [editorError, setEditorError] = useState(null)
+  const [estimate, setEstimate] = useState(null)
+  const [estimateError, setEstimateError] = useState(null)
+  const [estimating, setEstimating] = useState(false)
+
+  const [deleteTarget, setDeleteTarget] = useState(null)
+  const [deleting, setDeleting] = useState(false)
+
+  useEffect(() => {
+    fetchSegments()
+    fetchBuilderOptions()
+  }, [])
+
+  // Live estimate for the definition being edited
+  useEffect(() => {
+    if (!editing) return undefined
+    let cancelled = false
+
+    const timer = setTimeout(async () => {
+      try {
+        setEstimating(true)
+        const res = await fetch('/api/segments/estimate', {
+          method: 'POST',
+          headers: { 'Content-Type': 'application/json' },
+          credentials: 'include',
+          body: JSON.stringify({ definition: editing.definition })
+        })
+        const data = await res.json()
+        if (cancelled) return
+        if (!res.ok) {
+          setEstimate(null)
+          setEstimateError(data.message || 'Unable to estimate this segment')
+          return
+        }
+        setEstimate(data.data)
+        setEstimateError(null)
+      } catch (err) {
+        if (!cancelled) setEstimateError(err.message)
+      } finally {
+        if (!cancelled) setEstimating(false)
+      }
+    }, ESTIMATE_DEBOUNCE_MS)
+
+    return () => {
+      cancelled = true
+      clearTimeout(timer)
+    }
+  }, [editing?.definition])
+
+  const fetchSegments = async () => {
+    try {
+      setLoading(true)
+      setError(null)
+      const res = await fetch('/api/segments', { credentials: 'include' })
+      const data = await res.json()
+      if (!res.ok) {
+        throw new Error(data.message || 'Failed to load segments')
+      }
+      setSegments(data.data || [])
+    } catch (err) {
+      setError(err.message)
+    } finally {
+      setLoading(false)
+    }
+  }
+
+  const fetchBuilderOptions = async () => {
+    try {
+      const [tagsRes, fieldsRes] = await Promise.all([
+        fetch('/api/contacts/tags/list', { credentials: 'include' }),
+        fetch('/api/segments/fields', { credentials: 'include' })
+      ])
+      const tagsData = await tagsRes.json()
+      const fieldsData = await fieldsRes.json()
+      if (tagsRes.ok) setTags(tagsData.data || [])
+      if (fieldsRes.ok) setAttributeKeys(fieldsData.data?.attribute_keys || [])
+    } catch (err) {
+      console.error('Error loading segment builder options:', err)
+    }
+  }
+
+  const openEditor = (segment = null) => {
+    setEditorError(null)
+    setEstimate(null)
+    setEstimateError(null)
+    setEditing(segment
+      ? { id: segment.id, name: segment.name, description: segment.description || '', definition: segment.definition }
+      : { id: null, name: '', description: '', definition: createEmptyDefinition() })
+  }
+
+  const closeEditor = () => {
+    setEditing(null)
+    setEstimate(null)
+  }
+
+  const handleSave = async () => {
+    if (!editing.name.trim()) {
+      setEditorError('Segment name is required.')
+      return
+    }
+
+    try {
+      setSaving(true)
+      setEditorError(null)
+      const res = await fetch(editing.id ? `/api/segments/${editing.id}` : '/api/segments', {
+        method: editing.id ? 'PUT' : 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        credentials: 'include',
+        body: JSON.stringify({
+          name: editing.name.trim(),
+          description: editing.description.trim(),
+          definition: editing.definition
+        })
+      })
+      const data = await res.json()
+      if (!res.ok) {
+        throw new Error(data.message || 'Failed to save segment')
+      }
+      closeEditor()
+      await fetchSegments()
+    } catch (err) {
+      setEditorError(err.message)
+    } finally {
+      setSaving(false)
+    }
+  }
+
+  const handleDelete = async () => {
+    if (!deleteTarget) return
+    try {
+      setDeleting(true)
+      const res = await fetch(`/api/segments/${deleteTarget.id}`, {
+        method: 'DELETE',
+        credentials: 'include'
+      })
+      const data = await res.json()
+      if (!res.ok) {
+        throw new Error(data.message || 'Failed to delete segment')
+      }
+      setDeleteTarget(null)
+      await fetchSegments()
+    } catch (err) {
+      setError(err.message)
+      setDeleteTarget(null)
+    } finally {
+      setDeleting(false)
+    }
+  }
+
+  return (
+    <AppShell
+      title="Segments"
+      subtitle="Reusable audiences built from tags, consent, signup date, message history and custom attributes"
+      actions={canManage && !editing && (
+        <Button onClick={() => openEditor()} data-testid="new-segment-button">
+          New Segment
+        </Button>
+      )}
+    >
+      {error && segments.length > 0 && (
+        <Alert type="error" title="Error" className="mb-4">
+          {error}
+        </Alert>
+      )}
+
+      {editing && (
+        <Card className="mb-6" data-testid="segment-editor">
+          <CardHeader>
+            <CardTitle className="text-xl">{editing.id ? 'Edit Segment' : 'New Segment'}</CardTitle>
+            <CardDescription>
+              Changes apply to draft and scheduled campaigns that use this segment when they send.
+            </CardDescription>
+          </CardHeader>
+          <CardContent className="space-y-4">
+            <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+              <div className="space-y-2">
+                <Label htmlFor="segment-name">Name</Label>
+                <Input
+                  id="segment-name"
+                  value={editing.name}
+                  onChange={(e) => setEditing(prev => ({ ...prev, name: e.target.value }))}
+                  placeholder="e.g., Engaged VIPs"
+                />
+              </div>
+              <div className="space-y-2">
+                <Label htmlFor="segment-description">Description</Label>
+                <Input
+                  id="segment-description"
+                  value={editing.description}
+                  onChange={(e) => setEditing(prev => ({ ...prev, description: e.target.value }))}
+                  placeholder="Optional"
+                />
+              </div>
+            </div>
+
+            <SegmentBuilder
+              group={editing.definition}
+              onChange={(definition) => setEditing(prev => ({ ...prev, definition }))}
+              tags={tags}
+              attributeKeys={attributeKeys}
+            />
+
+            <div className="rounded-lg border border-[var(--border)] bg-[var(--card)] p-4" data-testid="segment-estimate">
+              {estimateError ? (
+                <p className="text-sm text-red-600">{estimateError}</p>
+              ) : (
+                <>
+                  <p className="text-sm font-semibold text-[var(--text)]">
+                    Estimated size:{' '}
+                    <span className="text-primary-600">
+                      {estimating && !estimate ? 'Calculating...' : `${estimate?.matched ?? 0} contacts`}
+                    </span>
+                  </p>
+                  {estimate && (
+                    <p className="text-sm text-[var(--text-muted)] mt-1">
+                      Reachable now: {estimate.eligible.whatsapp} on WhatsApp, {estimate.eligible.email} by email, {estimate.eligible.sms} by SMS
+                    </p>
+                  )}
+                </>
+              )}
+            </div>
+
+            {editorError && (
+              <Alert type="error" title="Could not save">
+                {editorError}
+              </Alert>
+            )}
+
+            <div className="flex justify-end gap-3">
+              <Button variant="secondary" onClick={closeEditor} disabled={saving}>
+                Cancel
+              </Button>
+              <Button onClick={handleSave} disabled={saving || Boolean(estimateError)}>
+                {saving ? 'Saving...' : 'Save Segment'}
+              </Button>
+            </div>
+          </CardContent>
+        </Card>
+      )}
+
+      {loading ? (
+        <LoadingState message="Loading segments..." />
+      ) : error && segments.length === 0 ? (
+        <ErrorState title="Unable to load segments" description={error} onRetry={fetchSegments} />
+      ) : segments.length === 0 ? (
+        <Card className="p-12 text-center" data-testid="empty-segments">
+          <p className="text-[var(--text-muted)]">
+            No segments yet. Create one to target campaigns beyond simple tag filters.
+          </p>
+        </Card>
+      ) : (
+        <Card className="overflow-hidden">
+          <table className="min-w-full divide-y divide-[var(--border)]" data-testid="segments-table">
+            <thead className="bg-black/5">
+              <tr>
+                <th className="px-6 py-3 text-left text-xs font-medium text-[var(--text-muted)] uppercase tracking-wider">Name</th>
+                <th className="px-6 py-3 text-left text-xs font-medium text-[var(--text-muted)] uppercase tracking-wider">Contacts</th>
+                <th className="px-6 py-3 text-left text-xs font-medium text-[var(--text-muted)] uppercase tracking-wider">Campaigns</th>
+                <th className="px-6 py-3 text-left text-xs font-medium text-[var(--text-muted)] uppercase tracking-wider">Updated</th>
+                <th className="px-6 py-3 text-left text-xs font-medium text-[var(--text-muted)] uppercase tracking-wider">Actions</th>
+              </tr>
+            </thead>
+            <tbody className="divide-y divide-[var(--border)]">
+              {segments.map(segment => (
+                <tr key={segment.id} className="hover:bg-black/3 transition">
+                  <td className="px-6 py-4">
+                    <p className="font-medium text-[var(--text)]">{segment.name}</p>
+                    {segment.description && (
+                      <p className="text-sm text-[var(--text-muted)]">{segment.description}</p>
+                    )}
+                  </td>
+                  <td className="px-6 py-4 whitespace-nowrap text-[var(--text)]">{segment.contact_count}</td>
+                  <td className="px-6 py-4 whitespace-nowrap">
+                    <Badge variant={segment.campaign_count > 0 ? 'primary' : 'neutral'}>
+                      {segment.campaign_count}
+                    </Badge>
+                  </td>
+                  <td className="px-6 py-4 whitespace-nowrap text-sm text-[var(--text-muted)]">
+                    {segment.updated_at ? new Date(segment.updated_at).toLocaleDateString() : '—'}
+                  </td>
+                  <td className="px-6 py-4 whitespace-nowrap">
+                    <div className="flex gap-2">
+                      <Button size="sm" variant="secondary" onClick={() => openEditor(segment)} disabled={!canManage}>
+                        Edit
+                      </Button>
+                      <Button size="sm" variant="ghost" onClick={() => setDeleteTarget(segment)} disabled={!canManage}>
+                        Delete
+                      </Button>
+                    </div>
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </Card>
+      )}
+
+      <Dialog
+        open={Boolean(deleteTarget)}
+        onClose={() => setDeleteTarget(null)}
+        title="Delete segment"
+        description={deleteTarget ? `Delete "${deleteTarget.name}"? Sent campaigns keep their history.` : ''}
+        footer={(
+          <>
+            <Button variant="secondary" onClick={() => setDeleteTarget(null)} disabled={deleting}>
+              Cancel
+            </Button>
+            <Button variant="danger" onClick={handleDelete} disabled={deleting}>
+              {deleting ? 'Deleting...' : 'Delete'}
+            </Button>
+          </>
+        )}
+      />
+    </AppShell>
+  )
+}
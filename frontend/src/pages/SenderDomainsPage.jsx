@@ -0,0 +1,297 @@
+import React, { useEffect, useState } from 'react'
+import AppShell from '../components/layout/AppShell'
+import {
+  Button,
+  Input,
+  Label,
+  Card,
+  CardHeader,
+  CardTitle,
+  CardDescription,
+  CardContent,
+  Badge,
+  Alert,
+  Dialog,
+  LoadingState,
+  toast
+} from '../components/ui'
+
+const DOMAIN_BADGES = {
+  verified: 'success',
+  pending: 'warning',
+  failed: 'danger'
+}
+
+const CHECK_BADGES = {
+  pass: 'success',
+  pending: 'neutral',
+  fail: 'danger'
+}
+
+const RECORD_LABELS = {
+  spf: 'SPF',
+  dkim: 'DKIM',
+  dmarc: 'DMARC'
+}
+
+const formatDate = (value) => (value ? new Date(value).toLocaleString() : '—')
+
+/**
+ * Sender Domains Page
+ * Domains the tenant sends email from, the DNS records to publish and their verification status
+ */
+export default function SenderDomainsPage({ embedded = false, canManage = true } = {}) {
+  const [domains, setDomains] = useState([])
+  const [loading, setLoading] = useState(true)
+  const [error, setError] = useState(null)
+
+  const [domainInput, setDomainInput] = useState('')
+  const [saving, setSaving] = useState(false)
+  const [formError, setFormError] = useState(null)
+
+  const [verifyingId, setVerifyingId] = useState(null)
+  const [deleteTarget, setDeleteTarget] = useState(null)
+  const [deleting, setDeleting] = useState(false)
+
+  useEffect(() => {
+    fetchDomains()
+  }, [])
+
+  const request = async (url, options = {}, fallback = 'Request failed') => {
+    const res = await fetch(url, {
+      credentials: 'include',
+      headers: { 'Content-Type': 'application/json' },
+      ...options
+    })
+    const data = await res.json()
+    if (!res.ok) {
+      throw new Error(data.message || fallback)
+    }
+    return data
+  }
+
+  const fetchDomains = async () => {
+    try {
+      setLoading(true)
+      setError(null)
+      const data = await request('/api/settings/sender-domains', {}, 'Failed to load sender domains')
+      setDomains(data.data || [])
+    } catch (err) {
+      setError(err.message)
+    } finally {
+      setLoading(false)
+    }
+  }
+
+  const replaceDomain = (domain) => {
+    setDomains(prev => prev.map(item => (item.id === domain.id ? domain : item)))
+  }
+
+  const handleCreate = async (e) => {
+    e.preventDefault()
+    if (!domainInput.trim()) {
+      setFormError('Domain is required.')
+      return
+    }
+
+    try {
+      setSaving(true)
+      setFormError(null)
+      await request('/api/settings/sender-domains', {
+        method: 'POST',
+        body: JSON.stringify({ domain: domainInput.trim() })
+      }, 'Failed to add domain')
+      setDomainInput('')
+      await fetchDomains()
+    } catch (err) {
+      setFormError(err.message)
+    } finally {
+      setSaving(false)
+    }
+  }
+
+  const handleVerify = async (domain) => {
+    try {
+      setVerifyingId(domain.id)
+      const data = await request(`/api/settings/sender-domains/${domain.id}/verify`, { method: 'POST' }, 'Failed to verify domain')
+      replaceDomain(data.data)
+      toast({
+        title: data.data.status === 'verified' ? 'Domain verified' : 'Verification failed',
+        description: data.data.status === 'verified'
+          ? `Email can be sent from ${data.data.domain}.`
+          : 'Some records are missing or wrong. DNS changes can take a while to appear.',
+        variant: data.data.status === 'verified' ? 'success' : 'error'
+      })
+    } catch (err) {
+      toast({ title: 'Something went wrong', description: err.message, variant: 'error' })
+    } finally {
+      setVerifyingId(null)
+    }
+  }
+
+  const copyValue = async (value) => {
+    try {
+      await navigator.clipboard.writeText(value)
+      toast({ title: 'Copied', description: 'Record copied to clipboard.', variant: 'success' })
+    } catch {
+      toast({ title: 'Copy failed', description: 'Select the record and copy it manually.', variant: 'error' })
+    }
+  }
+
+  const handleDelete = async () => {
+    if (!deleteTarget) return
+    try {
+      setDeleting(true)
+      await request(`/api/settings/sender-domains/${deleteTarget.id}`, { method: 'DELETE' }, 'Failed to delete domain')
+      await fetchDomains()
+    } catch (err) {
+      setError(err.message)
+    } finally {
+      setDeleteTarget(null)
+      setDeleting(false)
+    }
+  }
+
+  const content = (
+    <div className="space-y-6">
+      {canManage && (
+        <Card>
+          <CardHeader>
+            <CardTitle className="text-xl">Add Sender Domain</CardTitle>
+            <CardDescription>
+              Email is only sent from addresses on a verified domain (or a subdomain of one). Add the domain,
+              publish the three TXT records with your DNS host, then verify.
+            </CardDescription>
+          </CardHeader>
+          <CardContent>
+            <form onSubmit={handleCreate} className="flex flex-col gap-4 md:flex-row md:items-end">
+              <div className="flex-1 space-y-2">
+                <Label htmlFor="sender-domain">Domain</Label>
+                <Input
+                  id="sender-domain"
+                  value={domainInput}
+                  onChange={(e) => setDomainInput(e.target.value)}
+                  placeholder="example.com"
+                  disabled={saving}
+                />
+              </div>
+              <Button type="submit" disabled={saving}>
+                {saving ? 'Adding...' : 'Add Domain'}
+              </Button>
+            </form>
+            {formError && (
+              <Alert type="error" title="Could not add domain" className="mt-4">
+                {formError}
+              </Alert>
+            )}
+          </CardContent>
+        </Card>
+      )}
+
+      {error && (
+        <Alert type="error" title="Error">
+          {error}
+        </Alert>
+      )}
+
+      {loading ? (
+        <LoadingState message="Loading sender domains..." />
+      ) : domains.length === 0 ? (
+        <Card className="p-12 text-center" data-testid="empty-sender-domains">
+          <p className="text-[var(--text-muted)]">No sender domains yet. Email sends are blocked until one is verified.</p>
+        </Card>
+      ) : (
+        <div className="space-y-4" data-testid="sender-domains">
+          {domains.map(domain => (
+            <Card key={domain.id}>
+              <CardContent className="pt-6 space-y-4">
+                <div className="flex flex-col gap-3 md:flex-row md:items-start md:justify-between">
+                  <div className="space-y-1">
+                    <div className="flex items-center gap-2">
+                      <p className="font-mono text-sm text-[var(--text)]">{domain.domain}</p>
+                      <Badge variant={DOMAIN_BADGES[domain.status] || 'neutral'}>{domain.status}</Badge>
+                    </div>
+                    <p className="text-xs text-[var(--text-muted)]">
+                      Last checked {formatDate(domain.last_checked_at)}
+                      {domain.verified_at && ` · Verified since ${formatDate(domain.verified_at)}`}
+                    </p>
+                  </div>
+                  {canManage && (
+                    <div className="flex flex-wrap gap-2">
+                      <Button size="sm" variant="secondary" onClick={() => handleVerify(domain)} disabled={verifyingId === domain.id}>
+                        {verifyingId === domain.id ? 'Checking...' : 'Verify'}
+                      </Button>
+                      <Button size="sm" variant="ghost" onClick={() => setDeleteTarget(domain)}>Delete</Button>
+                    </div>
+                  )}
+                </div>
+
+                <div className="overflow-x-auto rounded-lg border border-[var(--border)]">
+                  <table className="min-w-full divide-y divide-[var(--border)]" data-testid="sender-domain-records">
+                    <thead className="bg-black/5">
+                      <tr>
+                        <th className="px-4 py-2 text-left text-xs font-medium text-[var(--text-muted)] uppercase tracking-wider">Record</th>
+                        <th className="px-4 py-2 text-left text-xs font-medium text-[var(--text-muted)] uppercase tracking-wider">Host</th>
+                        <th className="px-4 py-2 text-left text-xs font-medium text-[var(--text-muted)] uppercase tracking-wider">Value</th>
+                        <th className="px-4 py-2 text-left text-xs font-medium text-[var(--text-muted)] uppercase tracking-wider">Status</th>
+                      </tr>
+                    </thead>
+                    <tbody className="divide-y divide-[var(--border)]">
+                      {domain.records.map(record => {
+                        const checkStatus = domain[`${record.purpose}_status`]
+                        const detail = domain.check_details?.[record.purpose]
+                        return (
+                          <tr key={record.purpose}>
+                            <td className="px-4 py-2 whitespace-nowrap text-sm text-[var(--text)]">
+                              {RECORD_LABELS[record.purpose]} <span className="text-xs text-[var(--text-muted)]">({record.type})</span>
+                            </td>
+                            <td className="px-4 py-2 font-mono text-xs text-[var(--text)] break-all">{record.host}</td>
+                            <td className="px-4 py-2 font-mono text-xs text-[var(--text)] break-all max-w-md">
+                              {record.value}
+                              <Button size="sm" variant="ghost" className="ml-2" onClick={() => copyValue(record.value)}>Copy</Button>
+                            </td>
+                            <td className="px-4 py-2">
+                              <Badge variant={CHECK_BADGES[checkStatus] || 'neutral'}>{checkStatus}</Badge>
+                              {checkStatus === 'fail' && detail?.error && (
+                                <p className="text-xs text-red-600 mt-1">{detail.error}</p>
+                              )}
+                            </td>
+                          </tr>
+                        )
+                      })}
+                    </tbody>
+                  </table>
+                </div>
+              </CardContent>
+            </Card>
+          ))}
+        </div>
+      )}
+
+      <Dialog
+        open={Boolean(deleteTarget)}
+        onClose={() => setDeleteTarget(null)}
+        title="Delete sender domain"
+        description={deleteTarget ? `Delete ${deleteTarget.domain}? Email from addresses on it is blocked until it is added and verified again.` : ''}
+        footer={(
+          <>
+            <Button variant="secondary" onClick={() => setDeleteTarget(null)} disabled={deleting}>
+              Cancel
+            </Button>
+            <Button variant="danger" onClick={handleDelete} disabled={deleting}>
+              {deleting ? 'Deleting...' : 'Delete'}
+            </Button>
+          </>
+        )}
+      />
+    </div>
+  )
+
+  if (embedded) return content
+
+  return (
+    <AppShell title="Sender Domains" subtitle="Verify the domains you send email from">
+      {content}
+    </AppShell>
+  )
+}
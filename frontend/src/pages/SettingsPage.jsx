@@ -19,17 +19,27 @@ import {
 } from '../components/ui';
 import TemplatesPage from './TemplatesPage';
 import TagsPage from './TagsPage';
+import ContactFieldsPage from './ContactFieldsPage';
 import TeamPage from './TeamPage';
 import TenantProfilePage from './TenantProfilePage';
 import BillingPage from './BillingPage';
 import InvoicesPage from './InvoicesPage';
+import ApiKeysPage from './ApiKeysPage';
+import WebhooksPage from './WebhooksPage';
+import SenderDomainsPage from './SenderDomainsPage';
+import SsoSettingsPage from './SsoSettingsPage';
 import {
   IdentificationIcon,
   Cog6ToothIcon,
   RectangleStackIcon,
   TagIcon,
+  AdjustmentsHorizontalIcon,
   UserGroupIcon,
-  CreditCardIcon
+  CreditCardIcon,
+  KeyIcon,
+  BoltIcon,
+  GlobeAltIcon,
+  ShieldCheckIcon
 } from '@heroicons/react/24/outline';
 
 export default function SettingsPage() {
@@ -48,7 +58,16 @@ export default function SettingsPage() {
       webhook_verify_token: null,
       webhook_secret_present: false
     },
-    email: { provider: null, is_connected: false, connected_at: null, verified_sender_email: null }
+    email: { provider: null, is_connected: false, connected_at: null, verified_sender_email: null },
+    sms: {
+      provider: null,
+      is_connected: false,
+      connected_at: null,
+      account_sid: null,
+      from_number: null,
+      messaging_service_sid: null,
+      status_callback_url: null
+    }
   });
   const [loading, setLoading] = useState(true);
   const [initialized, setInitialized] = useState(false);
@@ -56,6 +75,7 @@ export default function SettingsPage() {
   const [successMessage, setSuccessMessage] = useState('');
   const [showWhatsAppModal, setShowWhatsAppModal] = useState(false);
   const [showEmailModal, setShowEmailModal] = useState(false);
+  const [showSmsModal, setShowSmsModal] = useState(false);
   const [templates, setTemplates] = useState([]);
   const [templatesSyncing, setTemplatesSyncing] = useState(false);
   const [templatesError, setTemplatesError] = useState('');
@@ -78,7 +98,14 @@ export default function SettingsPage() {
       secretAccessKey: '',
       region: channels.email.provider === 'ses' ? (channels.email.region || 'us-east-1') : 'us-east-1',
       apiKey: '',
-      verifiedSenderEmail: channels.email.verified_sender_email || ''
+      smtpHost: channels.email.smtp_host || '',
+      smtpPort: channels.email.smtp_port || '587',
+      smtpSecure: false,
+      smtpUsername: '',
+      smtpPassword: '',
+      verifiedSenderEmail: channels.email.verified_sender_email || '',
+      sendRatePerSecond: channels.email.send_rate_per_second || '',
+      dailySendLimit: channels.email.daily_send_limit || ''
     });
     setShowEmailModal(true);
   };
@@ -101,11 +128,35 @@ export default function SettingsPage() {
     secretAccessKey: '',
     region: 'us-east-1',
     apiKey: '',
-    verifiedSenderEmail: ''
+    smtpHost: '',
+    smtpPort: '587',
+    smtpSecure: false,
+    smtpUsername: '',
+    smtpPassword: '',
+    verifiedSenderEmail: '',
+    sendRatePerSecond: '',
+    dailySendLimit: ''
   });
   const [emailLoading, setEmailLoading] = useState(false);
   const [emailError, setEmailError] = useState('');
 
+  // SMS form state
+  const [smsForm, setSmsForm] = useState({
+    provider: 'twilio',
+    accountSid: '',
+    authToken: '',
+    fromNumber: '',
+    messagingServiceSid: ''
+  });
+  const [smsLoading, setSmsLoading] = useState(false);
+  const [smsError, setSmsError] = useState('');
+
+  // Opt-out keyword state
+  const [defaultOptOutKeywords, setDefaultOptOutKeywords] = useState([]);
+  const [optOutKeywordsInput, setOptOutKeywordsInput] = useState('');
+  const [optOutSaving, setOptOutSaving] = useState(false);
+  const [optOutError, setOptOutError] = useState('');
+
   // Fetch channel settings
   useEffect(() => {
     const fetchChannels = async () => {
@@ -140,12 +191,31 @@ export default function SettingsPage() {
     fetchChannels();
   }, []);
 
+  // Fetch opt-out keywords
+  useEffect(() => {
+    const fetchOptOutKeywords = async () => {
+      try {
+        const response = await fetch('/api/settings/opt-out-keywords', {
+          credentials: 'include'
+        });
+        if (!response.ok) return;
+        const data = await response.json();
+        setDefaultOptOutKeywords(data.data?.defaults || []);
+        setOptOutKeywordsInput((data.data?.keywords || []).join(', '));
+      } catch (err) {
+        console.error('Error fetching opt-out keywords:', err);
+      }
+    };
+
+    fetchOptOutKeywords();
+  }, []);
+
   useEffect(() => {
     const params = new URLSearchParams(location.search);
     const nextTab = params.get('tab');
-    const allowed = ['channels', 'templates', 'tags', 'team', 'tenant', 'billing', 'invoices'];
+    const allowed = ['channels', 'sender-domains', 'templates', 'tags', 'fields', 'team', 'api-keys', 'webhooks', 'sso', 'tenant', 'billing', 'invoices'];
     if (nextTab && allowed.includes(nextTab)) {
-      if ((nextTab === 'team' || nextTab === 'tenant' || nextTab === 'billing' || nextTab === 'invoices') && !canManageTenant) {
+      if ((nextTab === 'team' || nextTab === 'api-keys' || nextTab === 'webhooks' || nextTab === 'sso' || nextTab === 'tenant' || nextTab === 'billing' || nextTab === 'invoices') && !canManageTenant) {
         setActiveTab('channels');
         return;
       }
@@ -295,7 +365,9 @@ export default function SettingsPage() {
           phone_number_id: whatsappForm.phoneNumberId || prev.whatsapp.phone_number_id,
           business_account_id: whatsappForm.businessAccountId || prev.whatsapp.business_account_id,
           webhook_verify_token: whatsappForm.webhookVerifyToken || prev.whatsapp.webhook_verify_token,
-          webhook_secret_present: Boolean(whatsappForm.webhookSecret || prev.whatsapp.webhook_secret_present)
+          webhook_secret_present: Boolean(whatsappForm.webhookSecret || prev.whatsapp.webhook_secret_present),
+          messaging_tier: data.messaging_tier,
+          send_rate_per_second: data.send_rate_per_second
         }
       }));
 
@@ -377,6 +449,11 @@ export default function SettingsPage() {
         setEmailError('Brevo API key is required');
         return;
       }
+
+      if (emailForm.provider === 'smtp' && !emailForm.smtpHost) {
+        setEmailError('SMTP host is required');
+        return;
+      }
     }
 
     try {
@@ -393,7 +470,14 @@ export default function SettingsPage() {
         secretAccessKey: emailForm.secretAccessKey,
         region: emailForm.region,
         apiKey: emailForm.apiKey,
+        smtpHost: emailForm.smtpHost,
+        smtpPort: emailForm.smtpPort,
+        smtpSecure: emailForm.smtpSecure,
+        smtpUsername: emailForm.smtpUsername,
+        smtpPassword: emailForm.smtpPassword,
         verifiedSenderEmail: emailForm.verifiedSenderEmail,
+        sendRatePerSecond: emailForm.sendRatePerSecond,
+        dailySendLimit: emailForm.dailySendLimit,
         useStoredCredentials: useStoredEmail
       })
     });
@@ -412,7 +496,12 @@ export default function SettingsPage() {
         provider: emailForm.provider,
         is_connected: true,
         connected_at: new Date().toISOString(),
-        verified_sender_email: emailForm.verifiedSenderEmail
+        verified_sender_email: emailForm.verifiedSenderEmail,
+        region: emailForm.provider === 'ses' ? emailForm.region : null,
+        smtp_host: emailForm.provider === 'smtp' ? emailForm.smtpHost : null,
+        smtp_port: emailForm.provider === 'smtp' ? emailForm.smtpPort : null,
+        send_rate_per_second: data.send_rate_per_second,
+        daily_send_limit: data.daily_send_limit
       }
     }));
 
@@ -424,7 +513,14 @@ export default function SettingsPage() {
         secretAccessKey: '',
         region: 'us-east-1',
         apiKey: '',
-        verifiedSenderEmail: ''
+        smtpHost: '',
+        smtpPort: '587',
+        smtpSecure: false,
+        smtpUsername: '',
+        smtpPassword: '',
+        verifiedSenderEmail: '',
+        sendRatePerSecond: '',
+        dailySendLimit: ''
       });
 
       setTimeout(() => setSuccessMessage(''), 3000);
@@ -472,6 +568,160 @@ export default function SettingsPage() {
     }
   };
 
+  const smsChannel = channels.sms || {};
+
+  const openSmsModal = () => {
+    setSmsError('');
+    setSmsForm({
+      provider: smsChannel.provider || 'twilio',
+      accountSid: smsChannel.account_sid || '',
+      authToken: '',
+      fromNumber: smsChannel.from_number || '',
+      messagingServiceSid: smsChannel.messaging_service_sid || ''
+    });
+    setShowSmsModal(true);
+  };
+
+  // Handle SMS connection
+  const handleSmsConnect = async (e) => {
+    e.preventDefault?.();
+    setSmsError('');
+
+    if (smsForm.provider === 'twilio') {
+      const reusingToken = smsChannel.account_sid && smsChannel.account_sid === smsForm.accountSid;
+      if (!smsForm.accountSid || (!smsForm.authToken && !reusingToken)) {
+        setSmsError('Twilio Account SID and Auth Token are required');
+        return;
+      }
+      if (!smsForm.fromNumber && !smsForm.messagingServiceSid) {
+        setSmsError('Enter a sender phone number or a Messaging Service SID');
+        return;
+      }
+    }
+
+    try {
+      setSmsLoading(true);
+      const response = await fetch('/api/settings/channels/sms', {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json'
+        },
+        credentials: 'include',
+        body: JSON.stringify({
+          provider: smsForm.provider,
+          accountSid: smsForm.accountSid,
+          authToken: smsForm.authToken,
+          fromNumber: smsForm.fromNumber,
+          messagingServiceSid: smsForm.messagingServiceSid
+        })
+      });
+
+      const data = await response.json();
+
+      if (!response.ok) {
+        setSmsError(data.message || 'Failed to connect SMS');
+        return;
+      }
+
+      setChannels(prev => ({
+        ...prev,
+        sms: {
+          ...prev.sms,
+          provider: smsForm.provider,
+          is_connected: true,
+          connected_at: new Date().toISOString(),
+          account_sid: smsForm.provider === 'twilio' ? smsForm.accountSid : null,
+          from_number: smsForm.fromNumber || null,
+          messaging_service_sid: smsForm.provider === 'twilio' ? (smsForm.messagingServiceSid || null) : null,
+          sends_paused_at: null,
+          sends_paused_reason: null
+        }
+      }));
+
+      setSuccessMessage('SMS provider connected successfully!');
+      setShowSmsModal(false);
+      setTimeout(() => setSuccessMessage(''), 3000);
+    } catch (err) {
+      console.error('Error connecting SMS:', err);
+      setSmsError('Failed to connect SMS provider. Please try again.');
+    } finally {
+      setSmsLoading(false);
+    }
+  };
+
+  // Save custom opt-out keywords
+  const handleSaveOptOutKeywords = async (e) => {
+    e.preventDefault?.();
+    setOptOutError('');
+
+    const keywords = optOutKeywordsInput
+      .split(',')
+      .map(keyword => keyword.trim())
+      .filter(Boolean);
+
+    try {
+      setOptOutSaving(true);
+      const response = await fetch('/api/settings/opt-out-keywords', {
+        method: 'PUT',
+        headers: {
+          'Content-Type': 'application/json'
+        },
+        credentials: 'include',
+        body: JSON.stringify({ keywords })
+      });
+
+      const data = await response.json();
+
+      if (!response.ok) {
+        setOptOutError(data.message || 'Failed to save opt-out keywords');
+        return;
+      }
+
+      setOptOutKeywordsInput((data.data?.keywords || []).join(', '));
+      setSuccessMessage('Opt-out keywords saved');
+      setTimeout(() => setSuccessMessage(''), 3000);
+    } catch (err) {
+      console.error('Error saving opt-out keywords:', err);
+      setOptOutError('Failed to save opt-out keywords. Please try again.');
+    } finally {
+      setOptOutSaving(false);
+    }
+  };
+
+  // Handle SMS disconnect
+  const handleSmsDisconnect = async () => {
+    if (!confirm('Are you sure you want to disconnect SMS?')) return;
+
+    try {
+      setLoading(true);
+      const response = await fetch('/api/settings/channels/sms', {
+        method: 'DELETE',
+        credentials: 'include'
+      });
+
+      if (!response.ok) {
+        throw new Error('Failed to disconnect SMS');
+      }
+
+      setChannels(prev => ({
+        ...prev,
+        sms: {
+          ...prev.sms,
+          is_connected: false,
+          connected_at: null
+        }
+      }));
+
+      setSuccessMessage('SMS provider disconnected successfully!');
+      setTimeout(() => setSuccessMessage(''), 3000);
+    } catch (err) {
+      console.error('Error disconnecting SMS:', err);
+      setError('Failed to disconnect SMS. Please try again.');
+    } finally {
+      setLoading(false);
+    }
+  };
+
   const runHealthChecks = async (channelsData) => {
     const ch = channelsData || channels;
     // WhatsApp health via validate (stored creds)
@@ -504,10 +754,13 @@ export default function SettingsPage() {
         setEmailHealth({ status: 'neutral', message: 'Not connected' });
       } else if (res.ok) {
         const missing = Array.isArray(data.data?.missing_fields) ? data.data.missing_fields : [];
-        if (missing.length === 0) {
-          setEmailHealth({ status: 'ok', message: 'Credentials verified' });
-        } else {
+        const senderDomain = data.data?.sender_domain;
+        if (missing.length > 0) {
           setEmailHealth({ status: 'warning', message: `Missing: ${missing.join(', ')}` });
+        } else if (senderDomain && senderDomain.status !== 'verified') {
+          setEmailHealth({ status: 'warning', message: senderDomain.domain ? `Sender domain ${senderDomain.domain} not verified` : 'No sender email set' });
+        } else {
+          setEmailHealth({ status: 'ok', message: 'Credentials verified' });
         }
       } else {
         setEmailHealth({ status: 'error', message: data.message || 'Health check failed' });
@@ -529,10 +782,19 @@ export default function SettingsPage() {
         setEmailHealthResult({ variant: 'error', message: data.message || 'Health check failed' });
       } else {
         const missing = Array.isArray(data.data?.missing_fields) ? data.data.missing_fields : [];
-        const summary = missing.length === 0
-          ? 'Credentials look good and a verified sender is set.'
-          : `Missing: ${missing.join(', ')}`;
-        setEmailHealthResult({ variant: missing.length === 0 ? 'success' : 'warning', message: summary });
+        const senderDomain = data.data?.sender_domain;
+        if (missing.length > 0) {
+          setEmailHealthResult({ variant: 'warning', message: `Missing: ${missing.join(', ')}` });
+        } else if (!data.data?.can_send) {
+          setEmailHealthResult({
+            variant: 'warning',
+            message: senderDomain?.domain
+              ? `Credentials look good, but sender domain ${senderDomain.domain} is not verified. Verify it under Sender Domains.`
+              : 'Credentials look good, but no sender email is set.'
+          });
+        } else {
+          setEmailHealthResult({ variant: 'success', message: 'Credentials look good and the sender domain is verified.' });
+        }
       }
     } catch (err) {
       console.error('Email health check error:', err);
@@ -633,6 +895,19 @@ export default function SettingsPage() {
                     Channels
                   </span>
                 </button>
+                <button
+                  onClick={() => setTab('sender-domains')}
+                  className={`px-4 py-3 font-medium text-sm border-b-2 transition ${
+                    activeTab === 'sender-domains'
+                      ? 'border-primary text-primary'
+                      : 'border-transparent text-[var(--text-muted)] hover:text-[var(--text)]'
+                  }`}
+                >
+                  <span className="inline-flex items-center gap-2">
+                    <GlobeAltIcon className="h-4 w-4 opacity-80" />
+                    Sender Domains
+                  </span>
+                </button>
                 <button
                   onClick={() => setTab('templates')}
                   className={`px-4 py-3 font-medium text-sm border-b-2 transition ${
@@ -659,6 +934,19 @@ export default function SettingsPage() {
                     Tags
                   </span>
                 </button>
+                <button
+                  onClick={() => setTab('fields')}
+                  className={`px-4 py-3 font-medium text-sm border-b-2 transition ${
+                    activeTab === 'fields'
+                      ? 'border-primary text-primary'
+                      : 'border-transparent text-[var(--text-muted)] hover:text-[var(--text)]'
+                  }`}
+                >
+                  <span className="inline-flex items-center gap-2">
+                    <AdjustmentsHorizontalIcon className="h-4 w-4 opacity-80" />
+                    Contact Fields
+                  </span>
+                </button>
                 {canManageTenant && (
                   <button
                     onClick={() => setTab('team')}
@@ -674,6 +962,51 @@ export default function SettingsPage() {
                     </span>
                   </button>
                 )}
+                {canManageTenant && (
+                  <button
+                    onClick={() => setTab('api-keys')}
+                    className={`px-4 py-3 font-medium text-sm border-b-2 transition ${
+                      activeTab === 'api-keys'
+                        ? 'border-primary text-primary'
+                        : 'border-transparent text-[var(--text-muted)] hover:text-[var(--text)]'
+                    }`}
+                  >
+                    <span className="inline-flex items-center gap-2">
+                      <KeyIcon className="h-4 w-4 opacity-80" />
+                      API Keys
+                    </span>
+                  </button>
+                )}
+                {canManageTenant && (
+                  <button
+                    onClick={() => setTab('webhooks')}
+                    className={`px-4 py-3 font-medium text-sm border-b-2 transition ${
+                      activeTab === 'webhooks'
+                        ? 'border-primary text-primary'
+                        : 'border-transparent text-[var(--text-muted)] hover:text-[var(--text)]'
+                    }`}
+                  >
+                    <span className="inline-flex items-center gap-2">
+                      <BoltIcon className="h-4 w-4 opacity-80" />
+                      Webhooks
+                    </span>
+                  </button>
+                )}
+                {canManageTenant && (
+                  <button
+                    onClick={() => setTab('sso')}
+                    className={`px-4 py-3 font-medium text-sm border-b-2 transition ${
+                      activeTab === 'sso'
+                        ? 'border-primary text-primary'
+                        : 'border-transparent text-[var(--text-muted)] hover:text-[var(--text)]'
+                    }`}
+                  >
+                    <span className="inline-flex items-center gap-2">
+                      <ShieldCheckIcon className="h-4 w-4 opacity-80" />
+                      Single Sign-On
+                    </span>
+                  </button>
+                )}
                 {canManageTenant && (
                   <button
                     onClick={() => setTab('billing')}
@@ -737,6 +1070,14 @@ export default function SettingsPage() {
                     )}
                   </CardHeader>
                   <CardContent className="space-y-4">
+                    {channels.whatsapp.sends_paused_at && (
+                      <Alert variant="error" className="mb-2">
+                        <div className="font-semibold">WhatsApp sending paused</div>
+                        <p className="text-sm">
+                          Your provider rejected these credentials: {channels.whatsapp.sends_paused_reason}. Queued messages will go out once you reconnect WhatsApp.
+                        </p>
+                      </Alert>
+                    )}
                     {webhookTestResult && (
                       <Alert variant={webhookTestResult.variant} className="mb-2">
                         {webhookTestResult.message}
@@ -778,6 +1119,15 @@ export default function SettingsPage() {
                             <span className="font-semibold text-[var(--text)]">Webhook Secret:</span> Stored
                           </p>
                         )}
+                        {channels.whatsapp.is_connected && (channels.whatsapp.messaging_tier || channels.whatsapp.send_rate_per_second) && (
+                          <p className="text-sm text-[var(--text-muted)]">
+                            <span className="font-semibold text-[var(--text)]">Send Limits:</span>{' '}
+                            {[
+                              channels.whatsapp.messaging_tier && `Messaging tier ${channels.whatsapp.messaging_tier.replace('TIER_', '')}`,
+                              channels.whatsapp.send_rate_per_second && `${channels.whatsapp.send_rate_per_second} msg/s`
+                            ].filter(Boolean).join(' · ')}
+                          </p>
+                        )}
                       </div>
                     )}
 
@@ -892,6 +1242,14 @@ export default function SettingsPage() {
                     )}
                   </CardHeader>
                   <CardContent className="space-y-4">
+                    {channels.email.sends_paused_at && (
+                      <Alert variant="error" className="mb-2">
+                        <div className="font-semibold">Email sending paused</div>
+                        <p className="text-sm">
+                          Your provider rejected these credentials: {channels.email.sends_paused_reason}. Queued messages will go out once you reconnect your email provider.
+                        </p>
+                      </Alert>
+                    )}
                     {(channels.email.is_connected || channels.email.provider || channels.email.verified_sender_email) && (
                       <div className="rounded-lg border border-[var(--border)] bg-[var(--card)] p-3 space-y-2">
                         {channels.email.provider && (
@@ -904,11 +1262,25 @@ export default function SettingsPage() {
                             <span className="font-semibold text-[var(--text)]">Region:</span> {channels.email.region}
                           </p>
                         )}
+                        {channels.email.smtp_host && (
+                          <p className="text-sm text-[var(--text-muted)]">
+                            <span className="font-semibold text-[var(--text)]">SMTP Server:</span> {channels.email.smtp_host}{channels.email.smtp_port ? `:${channels.email.smtp_port}` : ''}
+                          </p>
+                        )}
                         {channels.email.verified_sender_email && (
                           <p className="text-sm text-[var(--text-muted)]">
                             <span className="font-semibold text-[var(--text)]">Verified Sender:</span> {channels.email.verified_sender_email}
                           </p>
                         )}
+                        {(channels.email.send_rate_per_second || channels.email.daily_send_limit) && (
+                          <p className="text-sm text-[var(--text-muted)]">
+                            <span className="font-semibold text-[var(--text)]">Send Limits:</span>{' '}
+                            {[
+                              channels.email.send_rate_per_second && `${channels.email.send_rate_per_second} emails/s`,
+                              channels.email.daily_send_limit && `${channels.email.daily_send_limit.toLocaleString()} per 24h`
+                            ].filter(Boolean).join(' · ')}
+                          </p>
+                        )}
                         {channels.email.is_connected && channels.email.connected_at && (
                           <p className="text-sm text-[var(--text-muted)]">
                             <span className="font-semibold text-[var(--text)]">Connected at:</span> {new Date(channels.email.connected_at).toLocaleString()}
@@ -950,6 +1322,120 @@ export default function SettingsPage() {
                     )}
                   </CardContent>
                 </Card>
+
+                {/* SMS Channel Card */}
+                <Card>
+                  <CardHeader className="flex items-start justify-between">
+                    <div>
+                      <CardTitle>SMS</CardTitle>
+                      <CardDescription>Send text messages via Twilio</CardDescription>
+                    </div>
+                    <Badge variant={smsChannel.is_connected ? 'success' : 'neutral'}>
+                      {smsChannel.is_connected ? 'Connected' : 'Not Connected'}
+                    </Badge>
+                  </CardHeader>
+                  <CardContent className="space-y-4">
+                    {smsChannel.sends_paused_at && (
+                      <Alert variant="error" className="mb-2">
+                        <div className="font-semibold">SMS sending paused</div>
+                        <p className="text-sm">
+                          Your provider rejected these credentials: {smsChannel.sends_paused_reason}. Queued messages will go out once you reconnect SMS.
+                        </p>
+                      </Alert>
+                    )}
+                    {(smsChannel.is_connected || smsChannel.provider) && (
+                      <div className="rounded-lg border border-[var(--border)] bg-[var(--card)] p-3 space-y-2">
+                        {smsChannel.provider && (
+                          <p className="text-sm text-[var(--text-muted)]">
+                            <span className="font-semibold text-[var(--text)]">Provider:</span> {smsChannel.provider === 'mock' ? 'Mock (test gateway)' : 'Twilio'}
+                          </p>
+                        )}
+                        {smsChannel.account_sid && (
+                          <p className="text-sm text-[var(--text-muted)]">
+                            <span className="font-semibold text-[var(--text)]">Account SID:</span> {smsChannel.account_sid}
+                          </p>
+                        )}
+                        {smsChannel.from_number && (
+                          <p className="text-sm text-[var(--text-muted)]">
+                            <span className="font-semibold text-[var(--text)]">Sender Number:</span> {smsChannel.from_number}
+                          </p>
+                        )}
+                        {smsChannel.messaging_service_sid && (
+                          <p className="text-sm text-[var(--text-muted)]">
+                            <span className="font-semibold text-[var(--text)]">Messaging Service:</span> {smsChannel.messaging_service_sid}
+                          </p>
+                        )}
+                        {smsChannel.is_connected && smsChannel.connected_at && (
+                          <p className="text-sm text-[var(--text-muted)]">
+                            <span className="font-semibold text-[var(--text)]">Connected at:</span> {new Date(smsChannel.connected_at).toLocaleString()}
+                          </p>
+                        )}
+                      </div>
+                    )}
+
+                    <div className="rounded-lg border border-[var(--border)] bg-[var(--card)] p-3 text-sm text-[var(--text-muted)]">
+                      <span className="font-semibold text-[var(--text)]">Status callback URL:</span>{' '}
+                      {smsChannel.status_callback_url || 'Set WEBHOOK_BASE_URL on the server to receive delivery receipts at /webhooks/sms/status'}
+                    </div>
+
+                    <div className="flex flex-wrap gap-3">
+                      {!smsChannel.is_connected ? (
+                        <Button onClick={openSmsModal}>Connect SMS</Button>
+                      ) : (
+                        <>
+                          <Button variant="secondary" onClick={openSmsModal}>
+                            Update
+                          </Button>
+                          <Button
+                            variant="danger"
+                            onClick={handleSmsDisconnect}
+                            disabled={loading}
+                          >
+                            Disconnect
+                          </Button>
+                        </>
+                      )}
+                    </div>
+                  </CardContent>
+                </Card>
+
+                {/* Opt-out Keywords Card */}
+                <Card>
+                  <CardHeader>
+                    <CardTitle>Opt-out Keywords</CardTitle>
+                    <CardDescription>
+                      A WhatsApp reply that is exactly one of these words turns off WhatsApp consent for that contact
+                    </CardDescription>
+                  </CardHeader>
+                  <CardContent className="space-y-4">
+                    <div className="flex flex-wrap gap-2">
+                      {defaultOptOutKeywords.map(keyword => (
+                        <Badge key={keyword} variant="neutral">{keyword}</Badge>
+                      ))}
+                    </div>
+                    <form onSubmit={handleSaveOptOutKeywords} className="space-y-3">
+                      <div className="space-y-1">
+                        <Label htmlFor="optOutKeywords">Additional keywords</Label>
+                        <Input
+                          id="optOutKeywords"
+                          value={optOutKeywordsInput}
+                          onChange={(e) => setOptOutKeywordsInput(e.target.value)}
+                          placeholder="e.g. ARRÊT, BAJA, PARAR"
+                          disabled={!canManageTenant}
+                        />
+                        <p className="text-xs text-[var(--text-muted)]">
+                          Comma-separated. Matching ignores case, accents and punctuation. Email contacts unsubscribe through the link added to every campaign email.
+                        </p>
+                      </div>
+                      {optOutError && <Alert variant="error">{optOutError}</Alert>}
+                      {canManageTenant && (
+                        <Button type="submit" disabled={optOutSaving}>
+                          {optOutSaving ? 'Saving...' : 'Save Keywords'}
+                        </Button>
+                      )}
+                    </form>
+                  </CardContent>
+                </Card>
               </div>
             )}
 
@@ -967,6 +1453,40 @@ export default function SettingsPage() {
               </div>
             )}
 
+            {activeTab === 'fields' && (
+              <div className="space-y-6">
+                <ContactFieldsPage embedded />
+              </div>
+            )}
+
+            {/* API Keys Tab */}
+            {activeTab === 'api-keys' && (
+              <div className="space-y-6">
+                <ApiKeysPage embedded />
+              </div>
+            )}
+
+            {/* Sender Domains Tab */}
+            {activeTab === 'sender-domains' && (
+              <div className="space-y-6">
+                <SenderDomainsPage embedded canManage={canManageTenant} />
+              </div>
+            )}
+
+            {/* Webhooks Tab */}
+            {activeTab === 'webhooks' && (
+              <div className="space-y-6">
+                <WebhooksPage embedded />
+              </div>
+            )}
+
+            {/* Single Sign-On Tab */}
+            {activeTab === 'sso' && (
+              <div className="space-y-6">
+                <SsoSettingsPage embedded />
+              </div>
+            )}
+
             {/* Tenant Profile Tab */}
             {activeTab === 'tenant' && (
               <div className="space-y-6">
@@ -1083,7 +1603,7 @@ export default function SettingsPage() {
         open={showEmailModal}
         onClose={() => setShowEmailModal(false)}
         title="Connect Email"
-        description="Configure your email provider (AWS SES or Brevo) for sending campaigns."
+        description="Configure your email provider (AWS SES, Brevo or SMTP) for sending campaigns."
         footer={
           <>
             <Button variant="secondary" onClick={() => setShowEmailModal(false)}>
@@ -1104,7 +1624,8 @@ export default function SettingsPage() {
         <div className="space-y-4">
           <div className="rounded-lg border border-[var(--border)] bg-[var(--card)] p-3 text-sm text-[var(--text-muted)]">
             SES: Verify your sender email/domain in SES Console → Verified identities, then paste that email here.<br />
-            Brevo: Add a sender in Brevo (Senders & IPs → Senders) and use that verified email.
+            Brevo: Add a sender in Brevo (Senders & IPs → Senders) and use that verified email.<br />
+            SMTP: Any relay that accepts your sender address (use localhost:1025 for a local MailHog catch-all).
           </div>
           <div className="flex items-center gap-2">
             <input
@@ -1127,6 +1648,7 @@ export default function SettingsPage() {
             >
               <option value="ses">AWS SES</option>
               <option value="brevo">Brevo</option>
+              <option value="smtp">SMTP</option>
             </select>
           </div>
 
@@ -1187,6 +1709,64 @@ export default function SettingsPage() {
             )
           )}
 
+          {emailForm.provider === 'smtp' && (
+            !useStoredEmail && (
+              <>
+                <div className="grid grid-cols-3 gap-4">
+                  <div className="col-span-2 space-y-2">
+                    <Label>SMTP Host *</Label>
+                    <Input
+                      value={emailForm.smtpHost}
+                      onChange={(e) => setEmailForm({ ...emailForm, smtpHost: e.target.value })}
+                      placeholder="smtp.example.com"
+                    />
+                  </div>
+                  <div className="space-y-2">
+                    <Label>Port</Label>
+                    <Input
+                      type="number"
+                      min="1"
+                      value={emailForm.smtpPort}
+                      onChange={(e) => setEmailForm({ ...emailForm, smtpPort: e.target.value })}
+                      placeholder="587"
+                    />
+                  </div>
+                </div>
+
+                <div className="grid grid-cols-2 gap-4">
+                  <div className="space-y-2">
+                    <Label>Username</Label>
+                    <Input
+                      value={emailForm.smtpUsername}
+                      onChange={(e) => setEmailForm({ ...emailForm, smtpUsername: e.target.value })}
+                      placeholder="Leave blank if not required"
+                    />
+                  </div>
+                  <div className="space-y-2">
+                    <Label>Password</Label>
+                    <Input
+                      type="password"
+                      value={emailForm.smtpPassword}
+                      onChange={(e) => setEmailForm({ ...emailForm, smtpPassword: e.target.value })}
+                      placeholder="SMTP password"
+                    />
+                  </div>
+                </div>
+
+                <div className="flex items-center gap-2">
+                  <input
+                    id="smtpSecure"
+                    type="checkbox"
+                    className="h-4 w-4 rounded border-[var(--border)] text-primary-600 focus:ring-primary-500"
+                    checked={emailForm.smtpSecure}
+                    onChange={(e) => setEmailForm({ ...emailForm, smtpSecure: e.target.checked })}
+                  />
+                  <Label htmlFor="smtpSecure">Use implicit TLS (port 465). STARTTLS is used automatically when offered.</Label>
+                </div>
+              </>
+            )
+          )}
+
           <div className="space-y-2">
             <Label>Verified Sender Email *</Label>
             <Input
@@ -1196,6 +1776,115 @@ export default function SettingsPage() {
               placeholder="Your verified email address"
             />
           </div>
+
+          <div className="grid grid-cols-2 gap-4">
+            <div className="space-y-2">
+              <Label>Max Send Rate (per second)</Label>
+              <Input
+                type="number"
+                min="1"
+                value={emailForm.sendRatePerSecond}
+                onChange={(e) => setEmailForm({ ...emailForm, sendRatePerSecond: e.target.value })}
+                placeholder="14"
+              />
+            </div>
+            <div className="space-y-2">
+              <Label>Daily Send Quota</Label>
+              <Input
+                type="number"
+                min="1"
+                value={emailForm.dailySendLimit}
+                onChange={(e) => setEmailForm({ ...emailForm, dailySendLimit: e.target.value })}
+                placeholder="No limit"
+              />
+            </div>
+          </div>
+          <p className="text-xs text-[var(--text-muted)]">
+            Copy these from your provider account (SES: Sending statistics → Maximum send rate / Daily sending quota). Campaign sends are throttled to stay under them.
+          </p>
+        </div>
+      </Dialog>
+
+      {/* SMS Modal */}
+      <Dialog
+        open={showSmsModal}
+        onClose={() => setShowSmsModal(false)}
+        title="Connect SMS"
+        description="Configure your SMS provider for sending campaigns."
+        footer={
+          <>
+            <Button variant="secondary" onClick={() => setShowSmsModal(false)}>
+              Cancel
+            </Button>
+            <Button onClick={handleSmsConnect} disabled={smsLoading}>
+              {smsLoading ? 'Connecting...' : 'Connect'}
+            </Button>
+          </>
+        }
+      >
+        {smsError && (
+          <Alert variant="error" className="mb-4">
+            {smsError}
+          </Alert>
+        )}
+
+        <div className="space-y-4">
+          <div className="space-y-2">
+            <Label>Provider *</Label>
+            <select
+              value={smsForm.provider}
+              onChange={(e) => setSmsForm({ ...smsForm, provider: e.target.value })}
+              className="w-full rounded-lg border border-[var(--border)] bg-[var(--card)] px-4 py-2 text-[var(--text)] focus-visible:outline-none focus-visible:ring-2 focus-visible:ring-primary-500 focus-visible:ring-offset-2"
+            >
+              <option value="twilio">Twilio</option>
+              <option value="mock">Mock (test gateway, no real messages)</option>
+            </select>
+          </div>
+
+          {smsForm.provider === 'twilio' && (
+            <>
+              <div className="rounded-lg border border-[var(--border)] bg-[var(--card)] p-3 text-sm text-[var(--text-muted)]">
+                Find your Account SID and Auth Token in the Twilio Console. Use an SMS-capable number you own, or a Messaging Service SID.
+              </div>
+
+              <div className="space-y-2">
+                <Label>Account SID *</Label>
+                <Input
+                  value={smsForm.accountSid}
+                  onChange={(e) => setSmsForm({ ...smsForm, accountSid: e.target.value })}
+                  placeholder="AC..."
+                />
+              </div>
+
+              <div className="space-y-2">
+                <Label>Auth Token {smsChannel.account_sid ? '' : '*'}</Label>
+                <Input
+                  type="password"
+                  value={smsForm.authToken}
+                  onChange={(e) => setSmsForm({ ...smsForm, authToken: e.target.value })}
+                  placeholder={smsChannel.account_sid ? 'Leave blank to keep the stored token' : 'Your Twilio auth token'}
+                />
+              </div>
+
+              <div className="space-y-2">
+                <Label>Messaging Service SID</Label>
+                <Input
+                  value={smsForm.messagingServiceSid}
+                  onChange={(e) => setSmsForm({ ...smsForm, messagingServiceSid: e.target.value })}
+                  placeholder="MG... (optional, used instead of the sender number)"
+                />
+              </div>
+            </>
+          )}
+
+          <div className="space-y-2">
+            <Label>Sender Number{smsForm.provider === 'twilio' && !smsForm.messagingServiceSid ? ' *' : ''}</Label>
+            <Input
+              value={smsForm.fromNumber}
+              onChange={(e) => setSmsForm({ ...smsForm, fromNumber: e.target.value })}
+              placeholder="+15551234567"
+            />
+          </div>
         </div>
       </Dialog>
     </>
@@ -0,0 +1,332 @@
+import React, { useEffect, useState } from 'react'
+import AppShell from '../components/layout/AppShell'
+import {
+  Button,
+  Input,
+  Label,
+  Card,
+  CardHeader,
+  CardTitle,
+  CardDescription,
+  CardContent,
+  Badge,
+  Alert,
+  Dialog,
+  LoadingState,
+  toast
+} from '../components/ui'
+
+const selectClassName = 'w-full rounded-lg border border-[var(--border)] bg-[var(--card)] px-4 py-2 text-[var(--text)] h-10 focus-visible:outline-none focus-visible:ring-2 focus-visible:ring-primary-500 focus-visible:ring-offset-2'
+
+const ROLE_OPTIONS = [
+  { value: 'viewer', label: 'Viewer' },
+  { value: 'member', label: 'Member' },
+  { value: 'admin', label: 'Admin' }
+]
+
+const formFromConfig = (config) => ({
+  protocol: config?.protocol || 'oidc',
+  enabled: config ? config.enabled : true,
+  issuer: config?.issuer || '',
+  clientId: config?.client_id || '',
+  clientSecret: '',
+  domains: (config?.domains || []).join(', '),
+  defaultRole: config?.default_role || 'member',
+  enforceSso: Boolean(config?.enforce_sso)
+})
+
+/**
+ * SSO Settings Page
+ * The tenant's OpenID Connect provider, the email domains that sign in through it and
+ * whether password login is turned off for them
+ */
+export default function SsoSettingsPage({ embedded = false } = {}) {
+  const [config, setConfig] = useState(null)
+  const [redirectUri, setRedirectUri] = useState('')
+  const [form, setForm] = useState(formFromConfig(null))
+  const [loading, setLoading] = useState(true)
+  const [error, setError] = useState(null)
+
+  const [saving, setSaving] = useState(false)
+  const [formError, setFormError] = useState(null)
+  const [confirmRemove, setConfirmRemove] = useState(false)
+  const [removing, setRemoving] = useState(false)
+
+  useEffect(() => {
+    fetchConfig()
+  }, [])
+
+  const request = async (url, options = {}, fallback = 'Request failed') => {
+    const res = await fetch(url, {
+      credentials: 'include',
+      headers: { 'Content-Type': 'application/json' },
+      ...options
+    })
+    const data = await res.json()
+    if (!res.ok) {
+      throw new Error(data.message || fallback)
+    }
+    return data
+  }
+
+  const applyConfig = (data) => {
+    setConfig(data.config)
+    setRedirectUri(data.redirect_uri)
+    setForm(formFromConfig(data.config))
+  }
+
+  const fetchConfig = async () => {
+    try {
+      setLoading(true)
+      setError(null)
+      const data = await request('/api/settings/sso', {}, 'Failed to load SSO settings')
+      applyConfig(data.data)
+    } catch (err) {
+      setError(err.message)
+    } finally {
+      setLoading(false)
+    }
+  }
+
+  const updateField = (field, value) => setForm(prev => ({ ...prev, [field]: value }))
+
+  const handleSave = async (e) => {
+    e.preventDefault()
+    const domains = form.domains.split(',').map(domain => domain.trim()).filter(Boolean)
+    if (!form.issuer.trim() || !form.clientId.trim() || domains.length === 0) {
+      setFormError('Issuer, client ID and at least one domain are required.')
+      return
+    }
+
+    try {
+      setSaving(true)
+      setFormError(null)
+      const data = await request('/api/settings/sso', {
+        method: 'PUT',
+        body: JSON.stringify({
+          protocol: form.protocol,
+          enabled: form.enabled,
+          issuer: form.issuer.trim(),
+          client_id: form.clientId.trim(),
+          client_secret: form.clientSecret,
+          domains,
+          default_role: form.defaultRole,
+          enforce_sso: form.enforceSso
+        })
+      }, 'Failed to save SSO settings')
+      applyConfig(data.data)
+      toast({ title: 'SSO settings saved', description: 'The identity provider was reached and the settings are live.', variant: 'success' })
+    } catch (err) {
+      setFormError(err.message)
+    } finally {
+      setSaving(false)
+    }
+  }
+
+  const handleRemove = async () => {
+    try {
+      setRemoving(true)
+      await request('/api/settings/sso', { method: 'DELETE' }, 'Failed to remove SSO settings')
+      await fetchConfig()
+    } catch (err) {
+      setError(err.message)
+    } finally {
+      setConfirmRemove(false)
+      setRemoving(false)
+    }
+  }
+
+  const copyRedirectUri = async () => {
+    try {
+      await navigator.clipboard.writeText(redirectUri)
+      toast({ title: 'Copied', description: 'Redirect URI copied to clipboard.', variant: 'success' })
+    } catch {
+      toast({ title: 'Copy failed', description: 'Select the redirect URI and copy it manually.', variant: 'error' })
+    }
+  }
+
+  const content = (
+    <div className="space-y-6">
+      {error && (
+        <Alert type="error" title="Error">
+          {error}
+        </Alert>
+      )}
+
+      {loading ? (
+        <LoadingState message="Loading SSO settings..." />
+      ) : (
+        <Card>
+          <CardHeader className="flex items-start justify-between">
+            <div>
+              <CardTitle className="text-xl">Single Sign-On</CardTitle>
+              <CardDescription>
+                People with an email on your domains sign in through your OpenID Connect provider. Anyone new is
+                added to this tenant with the default role on their first sign-in. Domains must be verified under
+                Sender Domains first.
+              </CardDescription>
+            </div>
+            <Badge variant={config?.enabled ? 'success' : 'neutral'}>
+              {config ? (config.enabled ? 'Enabled' : 'Disabled') : 'Not Configured'}
+            </Badge>
+          </CardHeader>
+          <CardContent>
+            <form onSubmit={handleSave} className="space-y-4" data-testid="sso-settings-form">
+              <div className="space-y-2">
+                <Label htmlFor="sso-redirect-uri">Redirect URI</Label>
+                <div className="flex gap-2">
+                  <Input id="sso-redirect-uri" value={redirectUri} readOnly className="font-mono text-xs" />
+                  <Button type="button" variant="secondary" onClick={copyRedirectUri}>Copy</Button>
+                </div>
+                <p className="text-xs text-[var(--text-muted)]">Register this as an allowed redirect URI for the client at your provider.</p>
+              </div>
+
+              <div className="grid grid-cols-1 gap-4 md:grid-cols-2">
+                <div className="space-y-2">
+                  <Label htmlFor="sso-protocol">Protocol</Label>
+                  <select
+                    id="sso-protocol"
+                    value={form.protocol}
+                    onChange={(e) => updateField('protocol', e.target.value)}
+                    className={selectClassName}
+                    disabled={saving}
+                  >
+                    <option value="oidc">OpenID Connect</option>
+                    <option value="saml" disabled>SAML 2.0 (coming soon)</option>
+                  </select>
+                </div>
+                <div className="space-y-2">
+                  <Label htmlFor="sso-issuer">Issuer URL</Label>
+                  <Input
+                    id="sso-issuer"
+                    value={form.issuer}
+                    onChange={(e) => updateField('issuer', e.target.value)}
+                    placeholder="https://login.example.com"
+                    disabled={saving}
+                  />
+                </div>
+                <div className="space-y-2">
+                  <Label htmlFor="sso-client-id">Client ID</Label>
+                  <Input
+                    id="sso-client-id"
+                    value={form.clientId}
+                    onChange={(e) => updateField('clientId', e.target.value)}
+                    disabled={saving}
+                  />
+                </div>
+                <div className="space-y-2">
+                  <Label htmlFor="sso-client-secret">Client Secret</Label>
+                  <Input
+                    id="sso-client-secret"
+                    type="password"
+                    value={form.clientSecret}
+                    onChange={(e) => updateField('clientSecret', e.target.value)}
+                    placeholder={config?.client_secret_set ? 'Saved — leave blank to keep' : ''}
+                    autoComplete="new-password"
+                    disabled={saving}
+                  />
+                </div>
+                <div className="space-y-2">
+                  <Label htmlFor="sso-domains">Email Domains</Label>
+                  <Input
+                    id="sso-domains"
+                    value={form.domains}
+                    onChange={(e) => updateField('domains', e.target.value)}
+                    placeholder="example.com, example.co.uk"
+                    disabled={saving}
+                  />
+                </div>
+                <div className="space-y-2">
+                  <Label htmlFor="sso-default-role">Default Role</Label>
+                  <select
+                    id="sso-default-role"
+                    value={form.defaultRole}
+                    onChange={(e) => updateField('defaultRole', e.target.value)}
+                    className={selectClassName}
+                    disabled={saving}
+                  >
+                    {ROLE_OPTIONS.map(role => (
+                      <option key={role.value} value={role.value}>{role.label}</option>
+                    ))}
+                  </select>
+                </div>
+              </div>
+
+              <label className="flex items-start gap-3 text-[var(--text)]">
+                <input
+                  type="checkbox"
+                  checked={form.enabled}
+                  onChange={(e) => updateField('enabled', e.target.checked)}
+                  className="mt-1 h-4 w-4"
+                  disabled={saving}
+                />
+                <span>
+                  <span className="block text-sm font-medium">Enable single sign-on</span>
+                  <span className="block text-xs text-[var(--text-muted)]">Offer &quot;Continue with SSO&quot; on the login page for these domains.</span>
+                </span>
+              </label>
+              <label className="flex items-start gap-3 text-[var(--text)]">
+                <input
+                  type="checkbox"
+                  checked={form.enforceSso}
+                  onChange={(e) => updateField('enforceSso', e.target.checked)}
+                  className="mt-1 h-4 w-4"
+                  disabled={saving || !form.enabled}
+                />
+                <span>
+                  <span className="block text-sm font-medium">Require single sign-on</span>
+                  <span className="block text-xs text-[var(--text-muted)]">
+                    Members on these domains can no longer sign in with a password. Tenant owners keep password login
+                    in case the provider is unavailable.
+                  </span>
+                </span>
+              </label>
+
+              {formError && (
+                <Alert type="error" title="Could not save SSO settings">
+                  {formError}
+                </Alert>
+              )}
+
+              <div className="flex flex-wrap gap-2">
+                <Button type="submit" disabled={saving}>
+                  {saving ? 'Checking provider...' : 'Save'}
+                </Button>
+                {config && (
+                  <Button type="button" variant="ghost" onClick={() => setConfirmRemove(true)} disabled={saving}>
+                    Remove SSO
+                  </Button>
+                )}
+              </div>
+            </form>
+          </CardContent>
+        </Card>
+      )}
+
+      <Dialog
+        open={confirmRemove}
+        onClose={() => setConfirmRemove(false)}
+        title="Remove single sign-on"
+        description="Remove the identity provider? Members sign in with their passwords again. People created by SSO need to reset their password first."
+        footer={(
+          <>
+            <Button variant="secondary" onClick={() => setConfirmRemove(false)} disabled={removing}>
+              Cancel
+            </Button>
+            <Button variant="danger" onClick={handleRemove} disabled={removing}>
+              {removing ? 'Removing...' : 'Remove'}
+            </Button>
+          </>
+        )}
+      />
+    </div>
+  )
+
+  if (embedded) return content
+
+  return (
+    <AppShell title="Single Sign-On" subtitle="Sign in through your identity provider">
+      {content}
+    </AppShell>
+  )
+}
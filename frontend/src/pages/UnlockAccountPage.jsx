@@ -0,0 +1,97 @@
+import React, { useState } from 'react';
+import { Link, useNavigate, useSearchParams } from 'react-router-dom';
+import {
+  Button,
+  Alert,
+  Card,
+  CardHeader,
+  CardTitle,
+  CardDescription,
+  CardContent,
+  CardFooter
+} from '../components/ui';
+
+/**
+ * Unlock Account Page
+ * Lifts a failed-login lockout with the token from the lock notice email
+ */
+export const UnlockAccountPage = () => {
+  const navigate = useNavigate();
+  const [searchParams] = useSearchParams();
+  const token = searchParams.get('token');
+
+  const [error, setError] = useState('');
+  const [done, setDone] = useState(false);
+  const [loading, setLoading] = useState(false);
+
+  const handleUnlock = async () => {
+    setError('');
+    setLoading(true);
+    try {
+      const response = await fetch('/api/auth/unlock-account', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        credentials: 'include',
+        body: JSON.stringify({ token })
+      });
+      const data = await response.json().catch(() => ({}));
+      if (!response.ok) {
+        setError(data.message || 'Could not unlock your account');
+      } else {
+        setDone(true);
+      }
+    } catch (err) {
+      setError('Could not unlock your account. Please try again.');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  return (
+    <div className="min-h-screen bg-[var(--bg-gradient)] flex items-center justify-center py-12 px-4">
+      <Card className="w-full max-w-md shadow-2xl">
+        <CardHeader className="text-center space-y-3">
+          <CardTitle>Unlock your account</CardTitle>
+          <CardDescription>Your account was locked after too many failed logins.</CardDescription>
+        </CardHeader>
+
+        <CardContent className="space-y-4">
+          {!token ? (
+            <Alert variant="error" title="Invalid link">
+              This unlock link is missing its token. Wait for the lock to expire or reset your password.
+            </Alert>
+          ) : done ? (
+            <Alert variant="success" title="Account unlocked">
+              You can log in again. If the failed logins weren&apos;t you, reset your password.
+            </Alert>
+          ) : (
+            <>
+              {error && (
+                <Alert variant="error" title="Unlock failed">
+                  {error}
+                </Alert>
+              )}
+              <Button onClick={handleUnlock} disabled={loading} className="w-full">
+                {loading ? 'Unlocking...' : 'Unlock My Account'}
+              </Button>
+            </>
+          )}
+        </CardContent>
+
+        <CardFooter className="flex flex-col gap-2">
+          {done ? (
+            <Button className="w-full" onClick={() => navigate('/login')}>
+              Go to Login
+            </Button>
+          ) : (
+            <Link to="/forgot-password" className="text-sm text-primary-600 hover:underline font-semibold">
+              Reset your password instead
+            </Link>
+          )}
+        </CardFooter>
+      </Card>
+    </div>
+  );
+};
+
+export default UnlockAccountPage;
@@ -0,0 +1,423 @@
+import React, { useEffect, useState } from 'react'
+import AppShell from '../components/layout/AppShell'
+import {
+  Button,
+  Input,
+  Label,
+  Card,
+  CardHeader,
+  CardTitle,
+  CardDescription,
+  CardContent,
+  Badge,
+  Alert,
+  Dialog,
+  LoadingState,
+  toast
+} from '../components/ui'
+
+const EVENT_DESCRIPTIONS = {
+  'message.sent': 'A campaign message was handed to the provider',
+  'message.delivered': 'The provider confirmed delivery',
+  'message.read': 'The recipient read (WhatsApp) or opened (email) it',
+  'message.failed': 'The message could not be sent',
+  'contact.created': 'A contact was added',
+  'contact.updated': 'A contact was edited',
+  'contact.opted_out': 'A contact opted out of a channel',
+  'campaign.completed': 'Every message of a campaign was processed',
+  'journey.webhook': 'A contact reached a webhook step in a journey'
+}
+
+const DELIVERY_BADGES = {
+  succeeded: 'success',
+  pending: 'warning',
+  failed: 'danger'
+}
+
+const emptyForm = () => ({ url: '', description: '', events: [] })
+
+const formatDate = (value) => (value ? new Date(value).toLocaleString() : '—')
+
+/**
+ * Webhooks Page
+ * Outbound webhook endpoints and their delivery log (admins only)
+ */
+export default function WebhooksPage({ embedded = false } = {}) {
+  const [endpoints, setEndpoints] = useState([])
+  const [events, setEvents] = useState([])
+  const [loading, setLoading] = useState(true)
+  const [error, setError] = useState(null)
+
+  const [form, setForm] = useState(emptyForm())
+  const [saving, setSaving] = useState(false)
+  const [formError, setFormError] = useState(null)
+
+  // { url, secret } shown after create, rotate or reveal
+  const [revealed, setRevealed] = useState(null)
+
+  const [selected, setSelected] = useState(null)
+  const [deliveries, setDeliveries] = useState([])
+  const [deliveriesLoading, setDeliveriesLoading] = useState(false)
+
+  const [deleteTarget, setDeleteTarget] = useState(null)
+  const [deleting, setDeleting] = useState(false)
+
+  useEffect(() => {
+    fetchEndpoints()
+  }, [])
+
+  useEffect(() => {
+    if (selected) fetchDeliveries(selected.id)
+  }, [selected?.id])
+
+  const request = async (url, options = {}, fallback = 'Request failed') => {
+    const res = await fetch(url, {
+      credentials: 'include',
+      headers: { 'Content-Type': 'application/json' },
+      ...options
+    })
+    const data = await res.json()
+    if (!res.ok) {
+      throw new Error(data.message || fallback)
+    }
+    return data
+  }
+
+  const fetchEndpoints = async () => {
+    try {
+      setLoading(true)
+      setError(null)
+      const data = await request('/api/settings/webhooks', {}, 'Failed to load webhooks')
+      setEndpoints(data.data || [])
+      setEvents(data.events || [])
+    } catch (err) {
+      setError(err.message)
+    } finally {
+      setLoading(false)
+    }
+  }
+
+  const fetchDeliveries = async (endpointId) => {
+    try {
+      setDeliveriesLoading(true)
+      const data = await request(`/api/settings/webhooks/${endpointId}/deliveries?limit=50`, {}, 'Failed to load deliveries')
+      setDeliveries(data.data || [])
+    } catch (err) {
+      setError(err.message)
+    } finally {
+      setDeliveriesLoading(false)
+    }
+  }
+
+  const toggleEvent = (event) => {
+    setForm(prev => ({
+      ...prev,
+      events: prev.events.includes(event) ? prev.events.filter(e => e !== event) : [...prev.events, event]
+    }))
+  }
+
+  const handleCreate = async (e) => {
+    e.preventDefault()
+    if (!form.url.trim()) {
+      setFormError('URL is required.')
+      return
+    }
+    if (form.events.length === 0) {
+      setFormError('Select at least one event.')
+      return
+    }
+
+    try {
+      setSaving(true)
+      setFormError(null)
+      const data = await request('/api/settings/webhooks', {
+        method: 'POST',
+        body: JSON.stringify({ url: form.url.trim(), description: form.description.trim(), events: form.events })
+      }, 'Failed to create webhook')
+      setRevealed({ url: data.data.url, secret: data.data.secret })
+      setForm(emptyForm())
+      await fetchEndpoints()
+    } catch (err) {
+      setFormError(err.message)
+    } finally {
+      setSaving(false)
+    }
+  }
+
+  const runAction = async (action) => {
+    try {
+      await action()
+    } catch (err) {
+      toast({ title: 'Something went wrong', description: err.message, variant: 'error' })
+    }
+  }
+
+  const setActive = (endpoint, isActive) => runAction(async () => {
+    await request(`/api/settings/webhooks/${endpoint.id}`, {
+      method: 'PUT',
+      body: JSON.stringify({ is_active: isActive })
+    }, 'Failed to update webhook')
+    await fetchEndpoints()
+  })
+
+  const revealSecret = (endpoint) => runAction(async () => {
+    const data = await request(`/api/settings/webhooks/${endpoint.id}/secret`, {}, 'Failed to load secret')
+    setRevealed({ url: endpoint.url, secret: data.data.secret })
+  })
+
+  const rotateSecret = (endpoint) => runAction(async () => {
+    const data = await request(`/api/settings/webhooks/${endpoint.id}/rotate-secret`, { method: 'POST' }, 'Failed to rotate secret')
+    setRevealed({ url: endpoint.url, secret: data.data.secret })
+  })
+
+  const sendTest = (endpoint) => runAction(async () => {
+    await request(`/api/settings/webhooks/${endpoint.id}/test`, { method: 'POST' }, 'Failed to send test event')
+    toast({ title: 'Test event queued', description: 'Check the delivery log in a few seconds.', variant: 'success' })
+    if (selected?.id === endpoint.id) fetchDeliveries(endpoint.id)
+  })
+
+  const replay = (delivery) => runAction(async () => {
+    await request(`/api/settings/webhooks/deliveries/${delivery.id}/replay`, { method: 'POST' }, 'Failed to replay delivery')
+    toast({ title: 'Delivery queued', description: `${delivery.event_type} will be sent again.`, variant: 'success' })
+    fetchDeliveries(delivery.endpoint_id)
+  })
+
+  const handleDelete = async () => {
+    if (!deleteTarget) return
+    try {
+      setDeleting(true)
+      await request(`/api/settings/webhooks/${deleteTarget.id}`, { method: 'DELETE' }, 'Failed to delete webhook')
+      if (selected?.id === deleteTarget.id) setSelected(null)
+      await fetchEndpoints()
+    } catch (err) {
+      setError(err.message)
+    } finally {
+      setDeleteTarget(null)
+      setDeleting(false)
+    }
+  }
+
+  const content = (
+    <div className="space-y-6">
+      {revealed && (
+        <Alert type="info" title={`Signing secret for ${revealed.url}`}>
+          <p className="mb-3">
+            Verify the <code className="font-mono">X-EngageNinja-Signature</code> header: <code className="font-mono">v1</code> is the
+            HMAC-SHA256 of <code className="font-mono">{'{t}.{raw body}'}</code> with this secret.
+          </p>
+          <div className="flex flex-col gap-2 md:flex-row md:items-center">
+            <code className="flex-1 break-all rounded-lg border border-[var(--border)] bg-[var(--card)] px-3 py-2 font-mono text-sm text-[var(--text)]" data-testid="webhook-secret">
+              {revealed.secret}
+            </code>
+            <Button size="sm" variant="ghost" onClick={() => setRevealed(null)}>Hide</Button>
+          </div>
+        </Alert>
+      )}
+
+      <Card>
+        <CardHeader>
+          <CardTitle className="text-xl">New Webhook Endpoint</CardTitle>
+          <CardDescription>
+            EngageNinja POSTs a signed JSON event to your URL. Failed deliveries are retried with backoff for about an hour,
+            and endpoints that keep failing are disabled.
+          </CardDescription>
+        </CardHeader>
+        <CardContent>
+          <form onSubmit={handleCreate} className="space-y-4">
+            <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+              <div className="space-y-2">
+                <Label htmlFor="webhook-url">URL</Label>
+                <Input
+                  id="webhook-url"
+                  value={form.url}
+                  onChange={(e) => setForm(prev => ({ ...prev, url: e.target.value }))}
+                  placeholder="https://example.com/engageninja/webhooks"
+                  disabled={saving}
+                />
+              </div>
+              <div className="space-y-2">
+                <Label htmlFor="webhook-description">Description</Label>
+                <Input
+                  id="webhook-description"
+                  value={form.description}
+                  onChange={(e) => setForm(prev => ({ ...prev, description: e.target.value }))}
+                  placeholder="e.g., CRM sync"
+                  disabled={saving}
+                />
+              </div>
+            </div>
+
+            <div className="space-y-2">
+              <Label>Events</Label>
+              <div className="grid grid-cols-1 md:grid-cols-2 gap-2">
+                {events.map(event => (
+                  <label key={event} className="flex items-start gap-3 rounded-lg border border-[var(--border)] p-3 text-[var(--text)]">
+                    <input
+                      type="checkbox"
+                      checked={form.events.includes(event)}
+                      onChange={() => toggleEvent(event)}
+                      className="mt-1 h-4 w-4"
+                      disabled={saving}
+                    />
+                    <span>
+                      <span className="block font-mono text-sm">{event}</span>
+                      <span className="block text-xs text-[var(--text-muted)]">{EVENT_DESCRIPTIONS[event]}</span>
+                    </span>
+                  </label>
+                ))}
+              </div>
+            </div>
+
+            {formError && (
+              <Alert type="error" title="Could not create webhook">
+                {formError}
+              </Alert>
+            )}
+
+            <div className="flex justify-end">
+              <Button type="submit" disabled={saving}>
+                {saving ? 'Creating...' : 'Add Endpoint'}
+              </Button>
+            </div>
+          </form>
+        </CardContent>
+      </Card>
+
+      {error && (
+        <Alert type="error" title="Error">
+          {error}
+        </Alert>
+      )}
+
+      {loading ? (
+        <LoadingState message="Loading webhooks..." />
+      ) : endpoints.length === 0 ? (
+        <Card className="p-12 text-center" data-testid="empty-webhooks">
+          <p className="text-[var(--text-muted)]">No webhook endpoints yet.</p>
+        </Card>
+      ) : (
+        <div className="space-y-4" data-testid="webhook-endpoints">
+          {endpoints.map(endpoint => (
+            <Card key={endpoint.id} className={selected?.id === endpoint.id ? 'ring-2 ring-primary-500' : ''}>
+              <CardContent className="pt-6 space-y-3">
+                <div className="flex flex-col gap-3 md:flex-row md:items-start md:justify-between">
+                  <div className="space-y-1 min-w-0">
+                    <div className="flex items-center gap-2">
+                      <p className="font-mono text-sm text-[var(--text)] break-all">{endpoint.url}</p>
+                      <Badge variant={endpoint.is_active ? 'success' : 'danger'}>
+                        {endpoint.is_active ? 'Active' : 'Disabled'}
+                      </Badge>
+                    </div>
+                    {endpoint.description && (
+                      <p className="text-sm text-[var(--text-muted)]">{endpoint.description}</p>
+                    )}
+                    <div className="flex flex-wrap gap-1">
+                      {endpoint.events.map(event => (
+                        <Badge key={event} variant="neutral">{event}</Badge>
+                      ))}
+                    </div>
+                    <p className="text-xs text-[var(--text-muted)]">
+                      Last success {formatDate(endpoint.last_success_at)} · Last failure {formatDate(endpoint.last_failure_at)}
+                    </p>
+                    {!endpoint.is_active && endpoint.disabled_reason && (
+                      <p className="text-xs text-red-600">Disabled {formatDate(endpoint.disabled_at)}: {endpoint.disabled_reason}</p>
+                    )}
+                  </div>
+                  <div className="flex flex-wrap gap-2">
+                    <Button size="sm" variant="secondary" onClick={() => setSelected(selected?.id === endpoint.id ? null : endpoint)}>
+                      {selected?.id === endpoint.id ? 'Hide Log' : 'Delivery Log'}
+                    </Button>
+                    <Button size="sm" variant="secondary" onClick={() => sendTest(endpoint)} disabled={!endpoint.is_active}>
+                      Send Test
+                    </Button>
+                    <Button size="sm" variant="ghost" onClick={() => revealSecret(endpoint)}>Secret</Button>
+                    <Button size="sm" variant="ghost" onClick={() => rotateSecret(endpoint)}>Rotate Secret</Button>
+                    <Button size="sm" variant="ghost" onClick={() => setActive(endpoint, !endpoint.is_active)}>
+                      {endpoint.is_active ? 'Disable' : 'Enable'}
+                    </Button>
+                    <Button size="sm" variant="ghost" onClick={() => setDeleteTarget(endpoint)}>Delete</Button>
+                  </div>
+                </div>
+
+                {selected?.id === endpoint.id && (
+                  deliveriesLoading ? (
+                    <LoadingState message="Loading deliveries..." />
+                  ) : deliveries.length === 0 ? (
+                    <p className="text-sm text-[var(--text-muted)]">No deliveries yet.</p>
+                  ) : (
+                    <div className="overflow-x-auto rounded-lg border border-[var(--border)]">
+                      <table className="min-w-full divide-y divide-[var(--border)]" data-testid="webhook-deliveries-table">
+                        <thead className="bg-black/5">
+                          <tr>
+                            <th className="px-4 py-2 text-left text-xs font-medium text-[var(--text-muted)] uppercase tracking-wider">Event</th>
+                            <th className="px-4 py-2 text-left text-xs font-medium text-[var(--text-muted)] uppercase tracking-wider">Status</th>
+                            <th className="px-4 py-2 text-left text-xs font-medium text-[var(--text-muted)] uppercase tracking-wider">Attempts</th>
+                            <th className="px-4 py-2 text-left text-xs font-medium text-[var(--text-muted)] uppercase tracking-wider">Response</th>
+                            <th className="px-4 py-2 text-left text-xs font-medium text-[var(--text-muted)] uppercase tracking-wider">Created</th>
+                            <th className="px-4 py-2" />
+                          </tr>
+                        </thead>
+                        <tbody className="divide-y divide-[var(--border)]">
+                          {deliveries.map(delivery => (
+                            <tr key={delivery.id}>
+                              <td className="px-4 py-2 font-mono text-sm text-[var(--text)]">
+                                {delivery.event_type}
+                                {delivery.replay_of && <span className="ml-2 text-xs text-[var(--text-muted)]">(replay)</span>}
+                              </td>
+                              <td className="px-4 py-2">
+                                <Badge variant={DELIVERY_BADGES[delivery.status] || 'neutral'}>{delivery.status}</Badge>
+                                {delivery.status === 'pending' && delivery.attempts > 0 && (
+                                  <p className="text-xs text-[var(--text-muted)] mt-1">Retry {formatDate(delivery.next_attempt_at)}</p>
+                                )}
+                              </td>
+                              <td className="px-4 py-2 text-sm text-[var(--text)]">{delivery.attempts}</td>
+                              <td className="px-4 py-2 text-sm text-[var(--text-muted)]">
+                                {delivery.response_status || delivery.error || '—'}
+                                {delivery.duration_ms != null && <span className="ml-1 text-xs">({delivery.duration_ms} ms)</span>}
+                              </td>
+                              <td className="px-4 py-2 whitespace-nowrap text-sm text-[var(--text-muted)]">{formatDate(delivery.created_at)}</td>
+                              <td className="px-4 py-2 text-right">
+                                <Button size="sm" variant="ghost" onClick={() => replay(delivery)} disabled={!endpoint.is_active}>
+                                  Replay
+                                </Button>
+                              </td>
+                            </tr>
+                          ))}
+                        </tbody>
+                      </table>
+                    </div>
+                  )
+                )}
+              </CardContent>
+            </Card>
+          ))}
+        </div>
+      )}
+
+      <Dialog
+        open={Boolean(deleteTarget)}
+        onClose={() => setDeleteTarget(null)}
+        title="Delete webhook endpoint"
+        description={deleteTarget ? `Delete ${deleteTarget.url}? Its delivery log is deleted too.` : ''}
+        footer={(
+          <>
+            <Button variant="secondary" onClick={() => setDeleteTarget(null)} disabled={deleting}>
+              Cancel
+            </Button>
+            <Button variant="danger" onClick={handleDelete} disabled={deleting}>
+              {deleting ? 'Deleting...' : 'Delete'}
+            </Button>
+          </>
+        )}
+      />
+    </div>
+  )
+
+  if (embedded) return content
+
+  return (
+    <AppShell title="Webhooks" subtitle="Notify your systems when things happen in EngageNinja">
+      {content}
+    </AppShell>
+  )
+}
@@ -31,6 +31,7 @@ export const AdminDashboard = () => {
   const [createError, setCreateError] = useState(null);
 
   const [stats, setStats] = useState(null);
+  const [queue, setQueue] = useState(null);
   const [updatingTenantId, setUpdatingTenantId] = useState(null);
 
   // Fetch tenants and stats
@@ -64,6 +65,16 @@ export const AdminDashboard = () => {
         const statsData = await statsRes.json();
         setStats(statsData);
       }
+
+      // Fetch per-tenant send queue
+      const queueRes = await fetch('/api/admin/queue', {
+        credentials: 'include'
+      });
+
+      if (queueRes.ok) {
+        const queueData = await queueRes.json();
+        setQueue(queueData);
+      }
     } catch (err) {
       setError(err.message);
     } finally {
@@ -211,6 +222,63 @@ export const AdminDashboard = () => {
           </div>
         )}
 
+        {/* Send Queue */}
+        {queue && (
+          <div className="bg-[var(--card)] rounded-lg border border-[var(--border)] shadow overflow-hidden mb-8">
+            <div className="px-6 py-4 flex flex-wrap items-baseline justify-between gap-2 border-b border-[var(--border)]">
+              <h2 className="text-lg font-semibold text-[var(--text)]">Send Queue</h2>
+              <p className="text-sm text-[var(--text-muted)]">
+                {queue.totals.ready} ready · {queue.totals.waiting} waiting · {queue.totals.in_flight} in flight · {queue.totals.sent_last_minute} sent last minute · {queue.totals.sent_last_hour} last hour
+              </p>
+            </div>
+            {queue.tenants.length === 0 ? (
+              <p className="px-6 py-6 text-sm text-[var(--text-muted)]">No messages queued or sent in the last hour.</p>
+            ) : (
+              <table className="min-w-full divide-y divide-[var(--border)]">
+                <thead className="bg-black/5">
+                  <tr>
+                    {['Tenant', 'Ready', 'Waiting', 'In Flight', 'Oldest Ready', 'Sent / min', 'Sent / hour', 'WhatsApp Limit', 'Email Limit'].map((heading) => (
+                      <th key={heading} className="px-6 py-3 text-left text-xs font-medium text-[var(--text-muted)] uppercase tracking-wider">
+                        {heading}
+                      </th>
+                    ))}
+                  </tr>
+                </thead>
+                <tbody className="bg-[var(--card)] divide-y divide-[var(--border)]">
+                  {queue.tenants.map((row) => (
+                    <tr key={row.tenant_id} className="hover:bg-black/3 transition">
+                      <td className="px-6 py-4 whitespace-nowrap text-sm font-medium">
+                        <button
+                          onClick={() => handleViewTenant(row.tenant_id)}
+                          className="text-primary hover:text-primary/80 transition"
+                        >
+                          {row.tenant_name}
+                        </button>
+                      </td>
+                      <td className="px-6 py-4 whitespace-nowrap text-sm text-[var(--text)]">{row.ready}</td>
+                      <td className="px-6 py-4 whitespace-nowrap text-sm text-[var(--text-muted)]">{row.waiting}</td>
+                      <td className="px-6 py-4 whitespace-nowrap text-sm text-[var(--text-muted)]">{row.in_flight}</td>
+                      <td className="px-6 py-4 whitespace-nowrap text-sm text-[var(--text-muted)]">
+                        {row.oldest_ready_at ? new Date(row.oldest_ready_at).toLocaleTimeString() : '—'}
+                      </td>
+                      <td className="px-6 py-4 whitespace-nowrap text-sm text-[var(--text)]">{row.sent_last_minute}</td>
+                      <td className="px-6 py-4 whitespace-nowrap text-sm text-[var(--text-muted)]">{row.sent_last_hour}</td>
+                      <td className="px-6 py-4 whitespace-nowrap text-sm text-[var(--text-muted)]">
+                        {row.limits.whatsapp.rate_per_second}/s
+                        {row.limits.whatsapp.daily_limit ? ` · ${row.limits.whatsapp.daily_limit.toLocaleString()}/24h` : ''}
+                      </td>
+                      <td className="px-6 py-4 whitespace-nowrap text-sm text-[var(--text-muted)]">
+                        {row.limits.email.rate_per_second}/s
+                        {row.limits.email.daily_limit ? ` · ${row.limits.email.daily_limit.toLocaleString()}/24h` : ''}
+                      </td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            )}
+          </div>
+        )}
+
         {/* Error Message */}
         {error && (
           <Alert type="error" title="Error" className="mb-6">
@@ -5,9 +5,11 @@ import { Input } from '../../components/ui/Input';
 import { Button } from '../../components/ui/Button';
 import { Badge } from '../../components/ui/Badge';
 import { Alert } from '../../components/ui/Alert';
+import { useAuth } from '../../context/AuthContext';
 
 export const AdminUsersPage = () => {
   const navigate = useNavigate();
+  const { refreshAuth } = useAuth();
   const [users, setUsers] = useState([]);
   const [loading, setLoading] = useState(true);
   const [error, setError] = useState(null);
@@ -15,11 +17,70 @@ export const AdminUsersPage = () => {
   const [actionLoading, setActionLoading] = useState({});
   const [roleUpdates, setRoleUpdates] = useState({});
   const [roleSaving, setRoleSaving] = useState({});
+  const [requirePlatform2fa, setRequirePlatform2fa] = useState(false);
+  const [policySaving, setPolicySaving] = useState(false);
 
   useEffect(() => {
     fetchUsers();
+    fetchTwoFactorPolicy();
   }, []);
 
+  const fetchTwoFactorPolicy = async () => {
+    try {
+      const res = await fetch('/api/admin/config', { credentials: 'include' });
+      if (!res.ok) return;
+      const config = await res.json();
+      setRequirePlatform2fa(config.require_2fa_platform_users === true);
+    } catch (err) {
+      console.error('Failed to load 2FA policy', err);
+    }
+  };
+
+  const toggleTwoFactorPolicy = async () => {
+    const next = !requirePlatform2fa;
+    if (next && !window.confirm('Require two-factor authentication for every user with a platform role? Anyone not enrolled (including you) must set it up before continuing.')) return;
+
+    try {
+      setPolicySaving(true);
+      setError(null);
+      const res = await fetch('/api/admin/config/require_2fa_platform_users', {
+        method: 'PATCH',
+        headers: { 'Content-Type': 'application/json' },
+        credentials: 'include',
+        body: JSON.stringify({ value: next })
+      });
+      const data = await res.json();
+      if (!res.ok) throw new Error(data.error || 'Failed to update 2FA policy');
+      setRequirePlatform2fa(next);
+      // The policy may now apply to the signed-in admin too
+      await refreshAuth();
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setPolicySaving(false);
+    }
+  };
+
+  const resetTwoFactor = async (user) => {
+    if (!window.confirm(`Reset two-factor authentication for ${user.email}? Their authenticator and recovery codes stop working.`)) return;
+
+    try {
+      setActionLoading(prev => ({ ...prev, [user.id]: true }));
+      setError(null);
+      const res = await fetch(`/api/admin/users/${user.id}/2fa/reset`, {
+        method: 'POST',
+        credentials: 'include'
+      });
+      const data = await res.json();
+      if (!res.ok) throw new Error(data.error || 'Failed to reset two-factor authentication');
+      await fetchUsers(search);
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setActionLoading(prev => ({ ...prev, [user.id]: false }));
+    }
+  };
+
   const fetchUsers = async (searchTerm = '') => {
     try {
       setLoading(true);
@@ -139,6 +200,23 @@ export const AdminUsersPage = () => {
             </Button>
           </div>
         </div>
+        <div className="px-6 py-4 border-t border-[var(--border)] flex items-center justify-between gap-4">
+          <div>
+            <p className="text-sm font-medium text-[var(--text)]">Require 2FA for platform users</p>
+            <p className="text-xs text-[var(--text-muted)]">
+              Users with a platform role must set up two-factor authentication before they can continue.
+            </p>
+          </div>
+          <label className="flex items-center gap-2 text-sm text-[var(--text)]">
+            <input
+              type="checkbox"
+              checked={requirePlatform2fa}
+              onChange={toggleTwoFactorPolicy}
+              disabled={policySaving}
+            />
+            {requirePlatform2fa ? 'Required' : 'Optional'}
+          </label>
+        </div>
       </div>
 
       {error && (
@@ -159,7 +237,7 @@ export const AdminUsersPage = () => {
       ) : (
         <div className="bg-[var(--card)] rounded-lg border border-[var(--border)] shadow">
           <div className="overflow-x-auto">
-            <table className="min-w-[880px] divide-y divide-[var(--border)]">
+            <table className="min-w-[960px] divide-y divide-[var(--border)]">
               <thead className="bg-black/5">
               <tr>
                 <th className="px-6 py-3 text-left text-xs font-medium text-[var(--text-muted)] uppercase tracking-wider">
@@ -174,6 +252,9 @@ export const AdminUsersPage = () => {
                 <th className="px-6 py-3 text-left text-xs font-medium text-[var(--text-muted)] uppercase tracking-wider">
                   Status
                 </th>
+                <th className="px-6 py-3 text-left text-xs font-medium text-[var(--text-muted)] uppercase tracking-wider">
+                  2FA
+                </th>
                 <th className="px-6 py-3 text-left text-xs font-medium text-[var(--text-muted)] uppercase tracking-wider">
                   Tenants
                 </th>
@@ -235,6 +316,11 @@ export const AdminUsersPage = () => {
                       {user.active ? 'Active' : 'Inactive'}
                     </Badge>
                   </td>
+                  <td className="px-6 py-4 whitespace-nowrap">
+                    <Badge className={user.two_factor_enabled ? 'bg-green-100 text-green-800' : 'bg-gray-100 text-gray-800'}>
+                      {user.two_factor_enabled ? 'On' : 'Off'}
+                    </Badge>
+                  </td>
                   <td className="px-6 py-4 whitespace-nowrap text-sm text-[var(--text-muted)]">
                     {user.tenant_count || 0}
                   </td>
@@ -249,6 +335,15 @@ export const AdminUsersPage = () => {
                       >
                         View
                       </button>
+                      {!!user.two_factor_enabled && (
+                        <button
+                          className="text-amber-700 hover:text-amber-900 transition"
+                          onClick={() => resetTwoFactor(user)}
+                          disabled={!!actionLoading[user.id]}
+                        >
+                          Reset 2FA
+                        </button>
+                      )}
                       {isProtectedAdmin ? (
                         <span className="text-[var(--text-muted)] text-xs">Protected</span>
                       ) : (
@@ -90,6 +90,7 @@ export const AuditLogPage = () => {
   };
 
   const getActionBadgeColor = (action) => {
+    if (action === 'auth.login_failed' || action === 'auth.locked') return 'bg-red-100 text-red-800';
     if (action.includes('create')) return 'bg-green-100 text-green-800';
     if (action.includes('delete')) return 'bg-red-100 text-red-800';
     if (action.includes('update')) return 'bg-blue-100 text-blue-800';
@@ -151,7 +152,7 @@ export const AuditLogPage = () => {
               </label>
               <Input
                 type="text"
-                placeholder="e.g., user.login, tenant.create"
+                placeholder="e.g., auth.login_failed, tenant.create"
                 value={filterAction}
                 onChange={(e) => {
                   setFilterAction(e.target.value);
@@ -293,8 +294,11 @@ export const AuditLogPage = () => {
                         {log.actor_name || 'System'}
                       </div>
                       <div className="text-xs text-[var(--text-muted)]">
-                        {log.actor_email || log.actor_user_id || '-'}
+                        {log.actor_email || log.actor_user_id || log.metadata?.email || '-'}
                       </div>
+                      {log.ip_address && (
+                        <div className="text-xs text-[var(--text-muted)]">IP {log.ip_address}</div>
+                      )}
                     </td>
                     <td className="px-6 py-4 whitespace-nowrap text-sm text-[var(--text-muted)]">
                       {log.tenant_name || '-'}
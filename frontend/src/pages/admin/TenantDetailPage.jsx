@@ -104,6 +104,34 @@ export const TenantDetailPage = () => {
     }
   };
 
+  const handleRequire2faChange = async (required) => {
+    try {
+      setUpdating(true);
+      setUpdateError(null);
+      setUpdateSuccess(null);
+
+      const response = await fetch(`/api/admin/tenants/${tenantId}`, {
+        method: 'PATCH',
+        headers: { 'Content-Type': 'application/json' },
+        credentials: 'include',
+        body: JSON.stringify({ require_2fa: required })
+      });
+
+      if (!response.ok) {
+        const data = await response.json();
+        throw new Error(data.error || 'Failed to update tenant');
+      }
+
+      setUpdateSuccess(required ? 'Two-factor authentication is now required' : 'Two-factor authentication is now optional');
+      setTimeout(() => setUpdateSuccess(null), 3000);
+      await fetchTenant();
+    } catch (err) {
+      setUpdateError(err.message);
+    } finally {
+      setUpdating(false);
+    }
+  };
+
   const handleSyncTags = async () => {
     try {
       setSyncing(true);
@@ -323,6 +351,24 @@ export const TenantDetailPage = () => {
                   </Button>
                 </div>
               </div>
+
+              <div className="mt-8 pt-8 border-t border-[var(--border)]">
+                <h3 className="text-lg font-medium text-[var(--text)] mb-2">Two-Factor Authentication</h3>
+                <p className="text-sm text-[var(--text-muted)] mb-4">
+                  When required, members must set up an authenticator app before they can use the workspace.
+                  {' '}{users.filter(u => !u.two_factor_enabled).length} of {users.length} members have not enrolled.
+                </p>
+                <label className="flex items-center gap-2 text-sm text-[var(--text)]">
+                  <input
+                    type="checkbox"
+                    data-testid="require-2fa-toggle"
+                    checked={!!tenant.require_2fa}
+                    onChange={(e) => handleRequire2faChange(e.target.checked)}
+                    disabled={updating}
+                  />
+                  Require two-factor authentication for all members
+                </label>
+              </div>
             </div>
           </div>
         </div>
@@ -395,6 +441,9 @@ export const TenantDetailPage = () => {
                     <th className="px-6 py-3 text-left text-xs font-medium text-[var(--text-muted)] uppercase">
                       Role
                     </th>
+                    <th className="px-6 py-3 text-left text-xs font-medium text-[var(--text-muted)] uppercase">
+                      2FA
+                    </th>
                     <th className="px-6 py-3 text-left text-xs font-medium text-[var(--text-muted)] uppercase">
                       Joined
                     </th>
@@ -419,6 +468,11 @@ export const TenantDetailPage = () => {
                           {user.role.charAt(0).toUpperCase() + user.role.slice(1)}
                         </Badge>
                       </td>
+                      <td className="px-6 py-4 whitespace-nowrap">
+                        <Badge className={user.two_factor_enabled ? 'bg-green-100 text-green-800' : 'bg-gray-100 text-gray-800'}>
+                          {user.two_factor_enabled ? 'On' : 'Off'}
+                        </Badge>
+                      </td>
                       <td className="px-6 py-4 whitespace-nowrap text-[var(--text-muted)]">
                         {new Date(user.joined_at).toLocaleDateString()}
                       </td>
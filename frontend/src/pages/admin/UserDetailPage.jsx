@@ -12,6 +12,7 @@ export const UserDetailPage = () => {
   const navigate = useNavigate();
   const [user, setUser] = useState(null);
   const [tenants, setTenants] = useState([]);
+  const [sessions, setSessions] = useState([]);
   const [loading, setLoading] = useState(true);
   const [error, setError] = useState(null);
   const [actionError, setActionError] = useState(null);
@@ -82,6 +83,7 @@ export const UserDetailPage = () => {
       const data = await res.json();
       setUser(data.user);
       setTenants(data.tenants || []);
+      setSessions(data.sessions || []);
     } catch (err) {
       setError(err.message);
     } finally {
@@ -210,6 +212,27 @@ export const UserDetailPage = () => {
     }
   };
 
+  const handleForceLogout = async () => {
+    if (!window.confirm(`Sign ${user.email} out of all sessions?`)) return;
+    try {
+      setUpdating(true);
+      setActionError(null);
+      setActionSuccess(null);
+      const res = await fetch(`/api/admin/users/${userId}/sessions`, {
+        method: 'DELETE',
+        credentials: 'include'
+      });
+      const data = await res.json();
+      if (!res.ok) throw new Error(data.error || 'Failed to sign out user');
+      flashSuccess(`Signed out of ${data.sessionsRevoked} session${data.sessionsRevoked === 1 ? '' : 's'}`);
+      await fetchUser();
+    } catch (err) {
+      setActionError(err.message);
+    } finally {
+      setUpdating(false);
+    }
+  };
+
   const roleBadge = (role) => {
     const map = {
       system_admin: 'bg-purple-100 text-purple-800',
@@ -370,6 +393,61 @@ export const UserDetailPage = () => {
           </div>
         </div>
 
+        <div className="bg-[var(--card)] rounded-lg border border-[var(--border)] shadow mb-6">
+          <div className="px-6 py-4 border-b border-[var(--border)]">
+            <div className="flex items-center justify-between gap-3">
+              <h3 className="text-lg font-medium text-[var(--text)]">Active Sessions ({sessions.length})</h3>
+              <Button
+                variant="secondary"
+                onClick={handleForceLogout}
+                disabled={updating || sessions.length === 0}
+              >
+                Force Logout
+              </Button>
+            </div>
+          </div>
+          {sessions.length === 0 ? (
+            <div className="px-6 py-12 text-center text-[var(--text-muted)]">Not signed in anywhere</div>
+          ) : (
+            <table className="min-w-full divide-y divide-[var(--border)]">
+              <thead className="bg-black/5">
+                <tr>
+                  <th className="px-6 py-3 text-left text-xs font-medium text-[var(--text-muted)] uppercase tracking-wider">
+                    Device
+                  </th>
+                  <th className="px-6 py-3 text-left text-xs font-medium text-[var(--text-muted)] uppercase tracking-wider">
+                    IP Address
+                  </th>
+                  <th className="px-6 py-3 text-left text-xs font-medium text-[var(--text-muted)] uppercase tracking-wider">
+                    Last Seen
+                  </th>
+                  <th className="px-6 py-3 text-left text-xs font-medium text-[var(--text-muted)] uppercase tracking-wider">
+                    Signed In
+                  </th>
+                </tr>
+              </thead>
+              <tbody className="divide-y divide-[var(--border)]">
+                {sessions.map((session) => (
+                  <tr key={session.id} className="hover:bg-black/3 transition">
+                    <td className="px-6 py-4 whitespace-nowrap text-sm font-medium text-[var(--text)]" title={session.user_agent || ''}>
+                      {session.device}
+                    </td>
+                    <td className="px-6 py-4 whitespace-nowrap text-sm font-mono text-[var(--text-muted)]">
+                      {session.ip_address || '—'}
+                    </td>
+                    <td className="px-6 py-4 whitespace-nowrap text-sm text-[var(--text-muted)]">
+                      {session.last_seen_at ? new Date(session.last_seen_at).toLocaleString() : '—'}
+                    </td>
+                    <td className="px-6 py-4 whitespace-nowrap text-sm text-[var(--text-muted)]">
+                      {session.created_at ? new Date(session.created_at).toLocaleString() : '—'}
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          )}
+        </div>
+
         <div className="bg-[var(--card)] rounded-lg border border-[var(--border)] shadow">
           <div className="px-6 py-4 border-b border-[var(--border)]">
             <div className="flex items-center justify-between gap-3">
@@ -0,0 +1,127 @@
+// Shared helpers for campaign A/B tests (mirrors backend/src/services/abTesting.js)
+
+export const VARIANT_LABELS = ['A', 'B', 'C', 'D']
+export const MAX_VARIANTS = VARIANT_LABELS.length
+export const MIN_WAIT_MINUTES = 15
+export const MAX_WAIT_MINUTES = 7 * 24 * 60
+export const DEFAULT_TEST_PERCENTAGE = 20
+export const DEFAULT_WAIT_MINUTES = 240
+
+export const WAIT_OPTIONS = [
+  { value: 60, label: '1 hour' },
+  { value: 240, label: '4 hours' },
+  { value: 720, label: '12 hours' },
+  { value: 1440, label: '24 hours' },
+  { value: 2880, label: '2 days' }
+]
+
+export const AB_TEST_CHANNELS = ['whatsapp', 'email']
+
+/**
+ * Editable state for one extra variant (B-D). Variant A is the campaign's own content.
+ */
+export const createVariant = () => ({
+  template_id: '',
+  variables: {},
+  sources: {},
+  headerMediaLink: '',
+  subject: '',
+  htmlBody: '',
+  textBody: ''
+})
+
+const stripHtml = (html = '') => html.replace(/<[^>]+>/g, ' ').replace(/\s+/g, ' ').trim()
+
+/**
+ * WhatsApp message_content: custom values go in static, contact fields in mapping
+ */
+export const buildWhatsAppContent = (variables = {}, sources = {}, headerMediaLink = '') => {
+  const staticVars = {}
+  const mapping = {}
+  const keys = new Set([...Object.keys(variables), ...Object.keys(sources)])
+  keys.forEach(key => {
+    const source = sources[key] || 'custom'
+    if (source === 'custom') {
+      staticVars[key] = variables[key] || ''
+    } else {
+      mapping[key] = source
+    }
+  })
+  const media = headerMediaLink ? { header_link: headerMediaLink.trim() } : undefined
+  return { static: staticVars, mapping, ...(media ? { media } : {}) }
+}
+
+/**
+ * Variant as sent in ab_test.variants
+ */
+export const buildVariantPayload = (channel, variant) => {
+  if (channel === 'whatsapp') {
+    return {
+      template_id: variant.template_id,
+      message_content: buildWhatsAppContent(variant.variables, variant.sources, variant.headerMediaLink)
+    }
+  }
+  return {
+    message_content: {
+      subject: variant.subject.trim(),
+      htmlBody: variant.htmlBody,
+      textBody: variant.textBody.trim() || stripHtml(variant.htmlBody)
+    }
+  }
+}
+
+/**
+ * Editable state from a saved variant (GET /campaigns/:id ab_test.variants)
+ */
+export const parseVariant = (variant) => {
+  let content = {}
+  try {
+    content = typeof variant.message_content === 'string'
+      ? JSON.parse(variant.message_content)
+      : variant.message_content || {}
+  } catch {
+    content = {}
+  }
+
+  const sources = { ...(content.mapping || {}) }
+  Object.keys(content.static || {}).forEach(key => { sources[key] = 'custom' })
+
+  return {
+    ...createVariant(),
+    template_id: variant.template_id || '',
+    variables: content.static || {},
+    sources,
+    headerMediaLink: content.media?.header_link || '',
+    subject: content.subject || '',
+    htmlBody: content.htmlBody || '',
+    textBody: content.textBody || ''
+  }
+}
+
+/**
+ * First problem with an extra variant, or null when it is complete
+ */
+export const validateVariant = (channel, variant, label, templates = []) => {
+  if (channel === 'whatsapp') {
+    if (!variant.template_id) return `Select a template for variant ${label}.`
+    const template = templates.find(t => t.id === variant.template_id)
+    const missing = (template?.variables || []).filter(v =>
+      (variant.sources[v] || 'custom') === 'custom' && !variant.variables[v]?.trim()
+    )
+    if (missing.length > 0) return `Variant ${label}: enter values for ${missing.join(', ')}.`
+    if (template && ['IMAGE', 'VIDEO', 'DOCUMENT'].includes(template.header_type || '') && !variant.headerMediaLink.trim()) {
+      return `Variant ${label}: media header requires a URL.`
+    }
+    return null
+  }
+  if (!variant.subject.trim()) return `Subject is required for variant ${label}.`
+  if (!stripHtml(variant.htmlBody) && !variant.textBody.trim()) return `Message content is required for variant ${label}.`
+  return null
+}
+
+export const formatWaitMinutes = (minutes) => {
+  if (!minutes) return '-'
+  if (minutes % 1440 === 0) return `${minutes / 1440} day${minutes === 1440 ? '' : 's'}`
+  if (minutes % 60 === 0) return `${minutes / 60} hour${minutes === 60 ? '' : 's'}`
+  return `${minutes} minutes`
+}
@@ -0,0 +1,23 @@
+/**
+ * Audience preview helpers
+ */
+
+// Must match EXCLUSION_REASONS in backend/src/services/audience.js
+const EXCLUSION_LABELS = {
+  deleted: 'deleted',
+  missing_address: 'no address for this channel',
+  no_consent: 'no consent',
+  suppressed: 'suppressed after a bounce or complaint'
+}
+
+/**
+ * Human readable exclusion breakdown, e.g. ["3 no consent", "1 deleted"]
+ * @param {Object} summary - { excluded: { reason: count } } from the audience endpoints
+ * @returns {Array<string>}
+ */
+export const describeExclusions = (summary) => {
+  const excluded = summary?.excluded || {}
+  return Object.entries(EXCLUSION_LABELS)
+    .filter(([reason]) => excluded[reason] > 0)
+    .map(([reason, label]) => `${excluded[reason]} ${label}`)
+}
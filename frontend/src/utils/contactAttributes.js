@@ -0,0 +1,66 @@
+/**
+ * Custom contact attribute helpers
+ * Types and value rules must match backend/src/services/contactAttributes.js
+ */
+
+export const ATTRIBUTE_TYPES = [
+  { value: 'string', label: 'Text' },
+  { value: 'number', label: 'Number' },
+  { value: 'date', label: 'Date' },
+  { value: 'boolean', label: 'Yes / No' },
+  { value: 'enum', label: 'Choice list' }
+]
+
+export const ATTRIBUTE_KEY_PATTERN = /^[A-Za-z_][A-Za-z0-9_]{0,63}$/
+
+export const attributeTypeLabel = (type) =>
+  ATTRIBUTE_TYPES.find(t => t.value === type)?.label || type
+
+/**
+ * Suggest a key from a label, e.g. "Loyalty Tier" -> "loyalty_tier"
+ */
+export const keyFromLabel = (label) => {
+  const key = String(label || '')
+    .trim()
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, '_')
+    .replace(/^_+|_+$/g, '')
+    .slice(0, 64)
+  return /^[0-9]/.test(key) ? `_${key}` : key
+}
+
+/**
+ * Stored values -> form strings ('' when unset)
+ * @param {Array} definitions - From GET /api/contacts/attributes
+ * @param {Object} stored - contact.custom_attributes
+ */
+export const toAttributeFormValues = (definitions, stored = {}) => {
+  const values = {}
+  definitions.forEach(definition => {
+    const value = stored?.[definition.key]
+    values[definition.key] = value === undefined || value === null ? '' : String(value)
+  })
+  return values
+}
+
+/**
+ * Form strings -> custom_attributes payload; the server coerces and validates
+ * @param {Object} formValues
+ * @param {boolean} includeEmpty - Send '' so the server clears the value (edits)
+ */
+export const toAttributePayload = (formValues, includeEmpty = false) => {
+  const payload = {}
+  Object.entries(formValues).forEach(([key, value]) => {
+    if (value !== '' || includeEmpty) payload[key] = value
+  })
+  return payload
+}
+
+/**
+ * Render a stored value for display
+ */
+export const formatAttributeValue = (value) => {
+  if (value === undefined || value === null || value === '') return ''
+  if (typeof value === 'boolean') return value ? 'Yes' : 'No'
+  return String(value)
+}
@@ -0,0 +1,193 @@
+/**
+ * Journey builder helpers
+ * Trigger and step shapes must match backend/src/services/journeys.js
+ */
+
+export const TRIGGER_TYPES = [
+  { value: 'contact_created', label: 'Contact is created' },
+  { value: 'tag_added', label: 'Tag is added' },
+  { value: 'inbound_keyword', label: 'Contact replies with a keyword' },
+  { value: 'date_attribute', label: 'Date attribute is reached' }
+]
+
+export const STEP_TYPES = [
+  { value: 'send_template', label: 'Send WhatsApp template' },
+  { value: 'send_email', label: 'Send email' },
+  { value: 'delay', label: 'Wait' },
+  { value: 'condition', label: 'Check message status' },
+  { value: 'add_tag', label: 'Add tag' },
+  { value: 'remove_tag', label: 'Remove tag' },
+  { value: 'webhook', label: 'Call webhook' }
+]
+
+export const SEND_STEP_TYPES = ['send_template', 'send_email']
+
+export const DELAY_UNITS = [
+  { value: 'minutes', label: 'minutes' },
+  { value: 'hours', label: 'hours' },
+  { value: 'days', label: 'days' }
+]
+
+export const CONDITION_STATUSES = [
+  { value: 'read', label: 'was read' },
+  { value: 'delivered', label: 'was delivered' },
+  { value: 'sent', label: 'was sent' },
+  { value: 'failed', label: 'failed' }
+]
+
+export const JOURNEY_STATUS_VARIANTS = {
+  draft: 'neutral',
+  active: 'success',
+  paused: 'warning'
+}
+
+export const getStepLabel = (type) => STEP_TYPES.find(option => option.value === type)?.label || type
+
+const createStepId = () => `step_${Math.random().toString(36).slice(2, 10)}`
+
+export const createTrigger = (type, tags = [], dateAttributes = []) => {
+  switch (type) {
+    case 'tag_added':
+      return { type, tag_id: tags[0]?.id || '' }
+    case 'inbound_keyword':
+      return { type, keywords: [] }
+    case 'date_attribute':
+      return { type, attribute: dateAttributes[0]?.key || '', offset_days: 0, annual: false, hour: 9 }
+    default:
+      return { type: 'contact_created' }
+  }
+}
+
+export const createStep = (type, tags = []) => {
+  const base = { id: createStepId(), type, next: null }
+  switch (type) {
+    case 'send_template':
+      return { ...base, template_id: '', message_content: null }
+    case 'send_email':
+      return { ...base, subject: '', htmlBody: '', textBody: '' }
+    case 'delay':
+      return { ...base, amount: 1, unit: 'days' }
+    case 'condition':
+      return { id: base.id, type, status: 'read', step_id: null, then: null, else: null }
+    case 'add_tag':
+    case 'remove_tag':
+      return { ...base, tag_id: tags[0]?.id || '' }
+    case 'webhook':
+      return { ...base, payload: null }
+    default:
+      return base
+  }
+}
+
+export const createEmptyJourneyDefinition = () => ({
+  trigger: { type: 'contact_created' },
+  start: null,
+  steps: []
+})
+
+/**
+ * Where a step continues; `branch` is 'then' or 'else' for conditions and 'next' otherwise
+ */
+const getBranchTarget = (definition, parentId, branch) => {
+  if (!parentId) return definition.start
+  const parent = definition.steps.find(step => step.id === parentId)
+  return parent ? parent[branch] : null
+}
+
+const setBranchTarget = (definition, parentId, branch, target) => {
+  if (!parentId) return { ...definition, start: target }
+  return {
+    ...definition,
+    steps: definition.steps.map(step => (step.id === parentId ? { ...step, [branch]: target } : step))
+  }
+}
+
+// Drop steps that can no longer be reached from start
+const pruneUnreachable = (definition) => {
+  const byId = new Map(definition.steps.map(step => [step.id, step]))
+  const reachable = new Set()
+  const queue = definition.start ? [definition.start] : []
+  while (queue.length > 0) {
+    const stepId = queue.shift()
+    const step = byId.get(stepId)
+    if (!step || reachable.has(stepId)) continue
+    reachable.add(stepId)
+    const targets = step.type === 'condition' ? [step.then, step.else] : [step.next]
+    targets.filter(Boolean).forEach(target => queue.push(target))
+  }
+  return { ...definition, steps: definition.steps.filter(step => reachable.has(step.id)) }
+}
+
+/**
+ * Insert a new step after parentId's branch (or at the start when parentId is null).
+ * The steps that followed continue after the new step; for a condition they become its "yes" branch.
+ * @returns {{ definition: Object, step: Object }}
+ */
+export const insertStep = (definition, parentId, branch, type, tags = []) => {
+  const target = getBranchTarget(definition, parentId, branch)
+  const step = createStep(type, tags)
+  if (type === 'condition') {
+    step.then = target
+    const previousSend = [...definition.steps].reverse().find(s => SEND_STEP_TYPES.includes(s.type))
+    step.step_id = previousSend?.id || null
+  } else {
+    step.next = target
+  }
+  const withStep = { ...definition, steps: [...definition.steps, step] }
+  return { definition: setBranchTarget(withStep, parentId, branch, step.id), step }
+}
+
+/**
+ * Remove a step and reconnect whatever pointed at it to the step that followed.
+ * Removing a condition keeps its "yes" branch and drops the "no" branch.
+ */
+export const removeStep = (definition, stepId) => {
+  const removed = definition.steps.find(step => step.id === stepId)
+  if (!removed) return definition
+  const successor = removed.type === 'condition' ? removed.then : removed.next
+  const relink = (value) => (value === stepId ? successor : value)
+
+  const steps = definition.steps
+    .filter(step => step.id !== stepId)
+    .map(step => {
+      const updated = step.type === 'condition'
+        ? { ...step, then: relink(step.then), else: relink(step.else) }
+        : { ...step, next: relink(step.next) }
+      // Conditions checking the removed send fall back to the latest send
+      if (updated.type === 'condition' && updated.step_id === stepId) updated.step_id = null
+      return updated
+    })
+
+  return pruneUnreachable({ ...definition, start: relink(definition.start), steps })
+}
+
+export const updateStep = (definition, stepId, changes) => ({
+  ...definition,
+  steps: definition.steps.map(step => (step.id === stepId ? { ...step, ...changes } : step))
+})
+
+/**
+ * One-line summary of a step for the flow view
+ */
+export const describeStep = (step, { tags = [], templates = [] } = {}) => {
+  const tagName = (id) => tags.find(tag => tag.id === id)?.name || 'a tag'
+  switch (step.type) {
+    case 'send_template':
+      return templates.find(template => template.id === step.template_id)?.name || 'No template chosen'
+    case 'send_email':
+      return step.subject || 'No subject yet'
+    case 'delay':
+      return `${step.amount} ${step.amount === 1 ? step.unit.replace(/s$/, '') : step.unit}`
+    case 'condition': {
+      const status = CONDITION_STATUSES.find(option => option.value === step.status)?.label || step.status
+      return `If the ${step.step_id ? 'checked' : 'latest'} message ${status}`
+    }
+    case 'add_tag':
+    case 'remove_tag':
+      return tagName(step.tag_id)
+    case 'webhook':
+      return 'journey.webhook event'
+    default:
+      return ''
+  }
+}
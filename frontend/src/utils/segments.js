@@ -0,0 +1,82 @@
+/**
+ * Segment builder helpers
+ * Condition shapes must match backend/src/services/segments.js
+ */
+
+export const CONDITION_TYPES = [
+  { value: 'tag', label: 'Tag' },
+  { value: 'consent', label: 'Consent' },
+  { value: 'created_at', label: 'Added to contacts' },
+  { value: 'engagement', label: 'Message history' },
+  { value: 'attribute', label: 'Custom attribute' }
+]
+
+export const CHANNEL_OPTIONS = [
+  { value: 'whatsapp', label: 'WhatsApp' },
+  { value: 'email', label: 'Email' },
+  { value: 'sms', label: 'SMS' }
+]
+
+export const CREATED_AT_OPERATORS = [
+  { value: 'in_last_days', label: 'in the last (days)' },
+  { value: 'older_than_days', label: 'more than (days) ago' },
+  { value: 'after', label: 'on or after' },
+  { value: 'before', label: 'before' }
+]
+
+export const ENGAGEMENT_EVENTS = [
+  { value: 'read', label: 'Read' },
+  { value: 'delivered', label: 'Delivered' },
+  { value: 'sent', label: 'Sent' },
+  { value: 'failed', label: 'Failed' }
+]
+
+export const ENGAGEMENT_OPERATORS = [
+  { value: 'in_last_days', label: 'in the last (days)' },
+  { value: 'not_in_last_days', label: 'not in the last (days)' },
+  { value: 'ever', label: 'ever' },
+  { value: 'never', label: 'never' }
+]
+
+export const ATTRIBUTE_OPERATORS = [
+  { value: 'equals', label: 'equals' },
+  { value: 'not_equals', label: 'does not equal' },
+  { value: 'contains', label: 'contains' },
+  { value: 'gt', label: 'greater than' },
+  { value: 'lt', label: 'less than' },
+  { value: 'after', label: 'on or after (date)' },
+  { value: 'before', label: 'before (date)' },
+  { value: 'is_set', label: 'is set' },
+  { value: 'is_not_set', label: 'is not set' }
+]
+
+// Operators that take a number of days or no value at all
+export const DAY_OPERATORS = ['in_last_days', 'older_than_days', 'not_in_last_days']
+export const VALUELESS_OPERATORS = ['ever', 'never', 'is_set', 'is_not_set']
+
+export const MAX_GROUP_DEPTH = 4
+
+export const createGroup = () => ({ type: 'group', match: 'all', negate: false, conditions: [] })
+
+export const createEmptyDefinition = () => ({ match: 'all', negate: false, conditions: [] })
+
+/**
+ * Default condition for a type, ready to edit
+ * @param {string} type - One of CONDITION_TYPES
+ * @param {Array} tags - Tenant tags (first one preselected)
+ */
+export const createCondition = (type, tags = []) => {
+  switch (type) {
+    case 'consent':
+      return { type, channel: 'whatsapp', value: true }
+    case 'created_at':
+      return { type, operator: 'in_last_days', value: 30 }
+    case 'engagement':
+      return { type, event: 'read', operator: 'in_last_days', value: 30, channel: '' }
+    case 'attribute':
+      return { type, key: '', operator: 'equals', value: '' }
+    case 'tag':
+    default:
+      return { type: 'tag', operator: 'has', value: tags[0]?.id || '' }
+  }
+}
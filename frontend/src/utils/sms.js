@@ -0,0 +1,45 @@
+/**
+ * SMS composer helpers: segment counting and placeholder previews
+ */
+
+// Must match backend/src/routes/campaigns.js
+export const SMS_MAX_BODY_LENGTH = 1600
+
+// GSM-7 basic character set (plus the extension table, which costs two septets)
+const GSM7_BASIC = '@£$¥èéùìòÇ\nØø\rÅåΔ_ΦΓΛΩΠΨΣΘΞÆæßÉ !"#¤%&\'()*+,-./0123456789:;<=>?¡ABCDEFGHIJKLMNOPQRSTUVWXYZÄÖÑÜ§¿abcdefghijklmnopqrstuvwxyzäöñüà'
+const GSM7_EXTENDED = '^{}\\[~]|€\f'
+
+/**
+ * Count the segments carriers will bill an SMS body as
+ * @returns {{ encoding: string, characters: number, segments: number, perSegment: number }}
+ */
+export const countSmsSegments = (text = '') => {
+  const chars = Array.from(text)
+  const isGsm = chars.every(ch => GSM7_BASIC.includes(ch) || GSM7_EXTENDED.includes(ch))
+
+  if (isGsm) {
+    const septets = chars.reduce((sum, ch) => sum + (GSM7_EXTENDED.includes(ch) ? 2 : 1), 0)
+    const perSegment = septets <= 160 ? 160 : 153
+    return {
+      encoding: 'GSM-7',
+      characters: septets,
+      segments: septets === 0 ? 0 : Math.ceil(septets / perSegment),
+      perSegment
+    }
+  }
+
+  const units = text.length
+  const perSegment = units <= 70 ? 70 : 67
+  return {
+    encoding: 'UCS-2',
+    characters: units,
+    segments: Math.ceil(units / perSegment),
+    perSegment
+  }
+}
+
+/**
+ * Fill {{name}}, {{email}} and {{phone}} placeholders for a preview
+ */
+export const renderSmsPreview = (body = '', contact = {}) =>
+  body.replace(/\{\{\s*(name|email|phone)\s*\}\}/g, (_match, field) => contact?.[field] || `{{${field}}}`)
@@ -0,0 +1,62 @@
+/**
+ * Timezone helpers for displaying and editing times in a tenant's timezone
+ */
+
+const pad = (value) => String(value).padStart(2, '0')
+
+/**
+ * Break a UTC instant into wall-clock parts for a timezone
+ */
+const getZonedParts = (date, timeZone) => {
+  const parts = new Intl.DateTimeFormat('en-US', {
+    timeZone,
+    hourCycle: 'h23',
+    year: 'numeric',
+    month: '2-digit',
+    day: '2-digit',
+    hour: '2-digit',
+    minute: '2-digit'
+  }).formatToParts(date)
+
+  return parts.reduce((acc, part) => {
+    acc[part.type] = part.value
+    return acc
+  }, {})
+}
+
+/**
+ * Format an ISO timestamp for display in a timezone
+ * e.g. "Oct 20, 2026, 9:00 AM"
+ */
+export const formatInTimeZone = (isoString, timeZone) => {
+  if (!isoString) return ''
+  const date = new Date(isoString)
+  if (Number.isNaN(date.getTime())) return ''
+  return date.toLocaleString(undefined, {
+    timeZone,
+    dateStyle: 'medium',
+    timeStyle: 'short'
+  })
+}
+
+/**
+ * Convert an ISO timestamp to a datetime-local input value in a timezone
+ * e.g. "2026-10-20T09:00"
+ */
+export const toTimeZoneInputValue = (isoString, timeZone) => {
+  const date = isoString ? new Date(isoString) : new Date()
+  if (Number.isNaN(date.getTime())) return ''
+  const p = getZonedParts(date, timeZone)
+  return `${p.year}-${pad(p.month)}-${pad(p.day)}T${pad(p.hour)}:${pad(p.minute)}`
+}
+
+/**
+ * Current time in a timezone as a datetime-local value, rounded up to the next hour
+ * Used as the default for schedule pickers
+ */
+export const nextHourInTimeZone = (timeZone) => {
+  const next = new Date()
+  next.setMinutes(0, 0, 0)
+  next.setHours(next.getHours() + 1)
+  return toTimeZoneInputValue(next.toISOString(), timeZone)
+}